@@ -1,5 +1,6 @@
 package com.dupss.app.BE_Dupss.config;
 
+import com.dupss.app.BE_Dupss.service.CourseService;
 import com.dupss.app.BE_Dupss.service.UserService;
 import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.beans.factory.annotation.Value;
@@ -12,9 +13,13 @@ public class DataInitializer implements CommandLineRunner {
     @Autowired
     private UserService userService;
 
+    @Autowired
+    private CourseService courseService;
+
     @Override
     public void run(String... args) throws Exception {
         userService.createAdminUserIfNotExists();
+        courseService.backfillLessonDurations();
     }
 
 }
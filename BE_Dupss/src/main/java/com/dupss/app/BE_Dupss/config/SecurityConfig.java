@@ -233,8 +233,19 @@ public class SecurityConfig {
             "/api/appointments",
             "/api/appointments/guest",
             "/api/appointments/*/cancel/guest",
+            "/api/appointments/access",
+            "/api/appointments/*/cancel/anonymous",
+            "/api/appointments/*/reschedule/guest",
+            "/api/appointments/*/reschedule/anonymous",
+            "/api/appointments/*/review/anonymous",
             "/api/appointments/{id}/review",
             "/api/appointments/{id}",
+            "/api/calendar/feed/*",
+            "/api/calendar/appointments/*",
+            "/api/waitlist",
+            "/api/waitlist/confirm",
+            "/api/waitlist/hold",
+            "/api/waitlist/hold/decline",
             "/api/slots/available",
             "/api/topics",
             "/chat/**"
@@ -3,6 +3,7 @@ package com.dupss.app.BE_Dupss.controller;
 import com.dupss.app.BE_Dupss.dto.request.*;
 import com.dupss.app.BE_Dupss.dto.response.AppointmentResponseDto;
 import com.dupss.app.BE_Dupss.service.AppointmentService;
+import jakarta.servlet.http.HttpServletRequest;
 import jakarta.validation.Valid;
 import lombok.RequiredArgsConstructor;
 import org.springframework.http.HttpStatus;
@@ -27,9 +28,10 @@ public class AppointmentController {
      * Đối với member, userId sẽ được thiết lập
      */
     @PostMapping
-    public ResponseEntity<AppointmentResponseDto> createAppointment(@Valid @RequestBody AppointmentRequestDto requestDto) {
+    public ResponseEntity<AppointmentResponseDto> createAppointment(@Valid @RequestBody AppointmentRequestDto requestDto,
+                                                                    HttpServletRequest request) {
         return ResponseEntity.status(HttpStatus.CREATED)
-                .body(appointmentService.createAppointment(requestDto));
+                .body(appointmentService.createAppointment(requestDto, request.getRemoteAddr()));
     }
 
     /**
@@ -133,6 +135,58 @@ public class AppointmentController {
         return ResponseEntity.ok(appointmentService.cancelAppointmentByGuest(id, email));
     }
 
+    /**
+     * API lấy cuộc hẹn ẩn danh theo mã truy cập (nhập mã hoặc mở magic link)
+     */
+    @GetMapping("/access")
+    public ResponseEntity<AppointmentResponseDto> getAppointmentByAccessCode(@RequestParam String code) {
+        return ResponseEntity.ok(appointmentService.getAppointmentByAccessCode(code));
+    }
+
+    /**
+     * API hủy cuộc hẹn ẩn danh bằng mã truy cập
+     */
+    @PutMapping("/{id}/cancel/anonymous")
+    public ResponseEntity<AppointmentResponseDto> cancelAppointmentByAccessCode(
+            @PathVariable Long id,
+            @RequestParam String code) {
+        return ResponseEntity.ok(appointmentService.cancelAppointmentByAccessCode(id, code));
+    }
+
+    /**
+     * API đổi lịch hẹn của thành viên đã đăng nhập sang slot khác
+     * Giữ nguyên ID cuộc hẹn, lịch sử và phòng họp; slot cũ được trả lại
+     */
+    @PutMapping("/{appointmentId}/reschedule/user")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<AppointmentResponseDto> rescheduleAppointmentByUser(
+            @PathVariable("appointmentId") Long appointmentId,
+            @Valid @RequestBody AppointmentRescheduleRequest request) {
+        return ResponseEntity.ok(appointmentService.rescheduleAppointmentByUser(appointmentId, request.getSlotId()));
+    }
+
+    /**
+     * API đổi lịch hẹn của khách (guest) sang slot khác
+     */
+    @PutMapping("/{id}/reschedule/guest")
+    public ResponseEntity<AppointmentResponseDto> rescheduleAppointmentByGuest(
+            @PathVariable Long id,
+            @RequestParam String email,
+            @Valid @RequestBody AppointmentRescheduleRequest request) {
+        return ResponseEntity.ok(appointmentService.rescheduleAppointmentByGuest(id, email, request.getSlotId()));
+    }
+
+    /**
+     * API đổi lịch hẹn ẩn danh bằng mã truy cập
+     */
+    @PutMapping("/{id}/reschedule/anonymous")
+    public ResponseEntity<AppointmentResponseDto> rescheduleAppointmentByAccessCode(
+            @PathVariable Long id,
+            @RequestParam String code,
+            @Valid @RequestBody AppointmentRescheduleRequest request) {
+        return ResponseEntity.ok(appointmentService.rescheduleAppointmentByAccessCode(id, code, request.getSlotId()));
+    }
+
     @GetMapping("/unassigned")
     @PreAuthorize("hasRole('ROLE_CONSULTANT')")
     public ResponseEntity<List<AppointmentResponseDto>> getUnassignedAppointments() {
@@ -157,6 +211,14 @@ public class AppointmentController {
         return ResponseEntity.ok(appointmentService.endAppointment(id, consultantId, request.getConsultantNote()));
     }
     
+    @PutMapping("/{id}/reschedule/consultant")
+    @PreAuthorize("hasRole('ROLE_CONSULTANT')")
+    public ResponseEntity<AppointmentResponseDto> rescheduleAppointmentByConsultant(
+            @PathVariable Long id,
+            @Valid @RequestBody AppointmentRescheduleRequest request) {
+        return ResponseEntity.ok(appointmentService.rescheduleAppointmentByConsultant(id, request.getSlotId()));
+    }
+
     @PutMapping("/{id}/cancel/consultant")
     @PreAuthorize("hasRole('ADMIN') or hasRole('ROLE_CONSULTANT') ")
     public ResponseEntity<AppointmentResponseDto> cancelAppointmentByConsultant(
@@ -180,4 +242,12 @@ public class AppointmentController {
             @RequestBody AppointmentReviewRequest request) {
         return ResponseEntity.ok(appointmentService.reviewAppointmentByGuest(id, request.getReviewScore(), request.getCustomerReview(), email));
     }
+
+    @PutMapping("/{id}/review/anonymous")
+    public ResponseEntity<AppointmentResponseDto> reviewAppointmentByAccessCode(
+            @PathVariable Long id,
+            @RequestParam String code,
+            @RequestBody AppointmentReviewRequest request) {
+        return ResponseEntity.ok(appointmentService.reviewAppointmentByAccessCode(id, request.getReviewScore(), request.getCustomerReview(), code));
+    }
 } 
\ No newline at end of file
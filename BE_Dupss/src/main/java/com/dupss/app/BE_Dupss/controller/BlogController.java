@@ -1,8 +1,13 @@
 package com.dupss.app.BE_Dupss.controller;
 
+import com.dupss.app.BE_Dupss.dto.request.BlogCommentRequest;
 import com.dupss.app.BE_Dupss.dto.request.BlogRequest;
+import com.dupss.app.BE_Dupss.dto.request.CommentReportRequest;
+import com.dupss.app.BE_Dupss.dto.response.BlogCommentResponse;
 import com.dupss.app.BE_Dupss.dto.response.BlogResponse;
+import com.dupss.app.BE_Dupss.entity.ReactionType;
 import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.service.BlogCommentService;
 import com.dupss.app.BE_Dupss.service.BlogService;
 import jakarta.validation.Valid;
 import lombok.RequiredArgsConstructor;
@@ -17,6 +22,7 @@ import org.springframework.web.multipart.MultipartFile;
 
 import java.io.IOException;
 import java.util.List;
+import java.util.Map;
 
 @RestController
 @RequestMapping("/api/blogs")
@@ -25,6 +31,7 @@ import java.util.List;
 public class BlogController {
 
     private final BlogService blogService;
+    private final BlogCommentService blogCommentService;
 
     @PostMapping(consumes = MediaType.MULTIPART_FORM_DATA_VALUE)
     @PreAuthorize("hasAnyAuthority('ROLE_STAFF', 'ROLE_MANAGER')")
@@ -57,4 +64,34 @@ public class BlogController {
         return ResponseEntity.ok(blogResponses);
     }
 
-}
\ No newline at end of file
+    @PostMapping("/{blogId}/comments")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<BlogCommentResponse> addComment(@PathVariable Long blogId,
+                                                          @RequestBody @Valid BlogCommentRequest request) {
+        BlogCommentResponse response = blogCommentService.addComment(blogId, request);
+        return new ResponseEntity<>(response, HttpStatus.CREATED);
+    }
+
+    @PatchMapping("/comments/{commentId}/reaction")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<BlogCommentResponse> reactToComment(@PathVariable Long commentId,
+                                                              @RequestParam("type") ReactionType type) {
+        return ResponseEntity.ok(blogCommentService.react(commentId, type));
+    }
+
+    @PostMapping("/comments/{commentId}/report")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<?> reportComment(@PathVariable Long commentId,
+                                           @RequestBody @Valid CommentReportRequest request) {
+        blogCommentService.reportComment(commentId, request);
+        return ResponseEntity.ok(Map.of("message", "Cảm ơn bạn đã báo cáo, chúng tôi sẽ xem xét bình luận này"));
+    }
+
+    @PatchMapping("/comments/delete/{commentId}")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<?> deleteComment(@PathVariable Long commentId) {
+        blogCommentService.deleteComment(commentId);
+        return ResponseEntity.ok(Map.of("message", "Bình luận đã được xóa thành công"));
+    }
+
+}
@@ -0,0 +1,81 @@
+package com.dupss.app.BE_Dupss.controller;
+
+import com.dupss.app.BE_Dupss.dto.response.CalendarFeedResponse;
+import com.dupss.app.BE_Dupss.service.CalendarService;
+import lombok.RequiredArgsConstructor;
+import org.springframework.http.ContentDisposition;
+import org.springframework.http.HttpHeaders;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.security.access.prepost.PreAuthorize;
+import org.springframework.web.bind.annotation.*;
+import org.springframework.web.servlet.support.ServletUriComponentsBuilder;
+
+import java.nio.charset.StandardCharsets;
+
+@RestController
+@RequestMapping("/api/calendar")
+@RequiredArgsConstructor
+public class CalendarController {
+
+    private static final MediaType TEXT_CALENDAR = new MediaType("text", "calendar", StandardCharsets.UTF_8);
+
+    private final CalendarService calendarService;
+
+    /**
+     * Feed iCal cá nhân để đăng ký (subscribe) trong Google Calendar, Outlook, Apple Calendar.
+     * Không yêu cầu đăng nhập vì ứng dụng lịch không gửi JWT, token trong URL đóng vai trò khóa truy cập.
+     */
+    @GetMapping("/feed/{token}.ics")
+    public ResponseEntity<String> getFeed(@PathVariable String token) {
+        return ResponseEntity.ok()
+                .contentType(TEXT_CALENDAR)
+                .body(calendarService.buildFeed(token));
+    }
+
+    @GetMapping("/feed")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<CalendarFeedResponse> getFeedStatus() {
+        return ResponseEntity.ok(calendarService.getFeedStatus());
+    }
+
+    /**
+     * Tạo URL feed mới (thu hồi URL cũ). URL chỉ được trả về một lần trong response này.
+     */
+    @PostMapping("/feed/regenerate")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<CalendarFeedResponse> regenerateFeedUrl() {
+        String token = calendarService.regenerateFeedToken();
+        CalendarFeedResponse response = calendarService.getFeedStatus();
+        response.setFeedUrl(ServletUriComponentsBuilder.fromCurrentContextPath()
+                .path("/api/calendar/feed/{token}.ics")
+                .buildAndExpand(token)
+                .toUriString());
+        return ResponseEntity.ok(response);
+    }
+
+    @DeleteMapping("/feed")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<Void> revokeFeedUrl() {
+        calendarService.revokeFeedToken();
+        return ResponseEntity.noContent().build();
+    }
+
+    /**
+     * Tải file .ics của một cuộc hẹn. Khách đặt lịch ẩn danh truyền mã truy cập qua tham số code,
+     * khách vãng lai đặt lịch bằng email truyền email đã đăng ký qua tham số email.
+     */
+    @GetMapping("/appointments/{appointmentId}.ics")
+    public ResponseEntity<String> downloadAppointment(
+            @PathVariable Long appointmentId,
+            @RequestParam(required = false) String code,
+            @RequestParam(required = false) String email) {
+        return ResponseEntity.ok()
+                .contentType(TEXT_CALENDAR)
+                .header(HttpHeaders.CONTENT_DISPOSITION, ContentDisposition.attachment()
+                        .filename("lich-hen-" + appointmentId + ".ics")
+                        .build()
+                        .toString())
+                .body(calendarService.buildAppointmentCalendar(appointmentId, code, email));
+    }
+}
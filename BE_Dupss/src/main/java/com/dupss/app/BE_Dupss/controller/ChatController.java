@@ -1,9 +1,18 @@
 package com.dupss.app.BE_Dupss.controller;
 
 import com.dupss.app.BE_Dupss.dto.request.ChatRequest;
+import com.dupss.app.BE_Dupss.dto.response.ChatConversationResponse;
+import com.dupss.app.BE_Dupss.dto.response.ChatMessageResponse;
 import com.dupss.app.BE_Dupss.service.ChatService;
 import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.security.access.prepost.PreAuthorize;
 import org.springframework.web.bind.annotation.*;
+import org.springframework.web.servlet.mvc.method.annotation.SseEmitter;
+
+import java.util.List;
+import java.util.Map;
 
 @RestController
 @RequestMapping("/api/chat")
@@ -19,4 +28,28 @@ public class ChatController {
     public String chat(@RequestBody ChatRequest request) {
         return chatService.chat(request);
     }
-} 
\ No newline at end of file
+
+    @PostMapping(value = "/stream", produces = MediaType.TEXT_EVENT_STREAM_VALUE)
+    public SseEmitter streamChat(@RequestBody ChatRequest request) {
+        return chatService.streamChat(request);
+    }
+
+    @GetMapping("/conversations")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<List<ChatConversationResponse>> getMyConversations() {
+        return ResponseEntity.ok(chatService.getMyConversations());
+    }
+
+    @GetMapping("/conversations/{conversationId}")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<List<ChatMessageResponse>> getConversationMessages(@PathVariable Long conversationId) {
+        return ResponseEntity.ok(chatService.getConversationMessages(conversationId));
+    }
+
+    @DeleteMapping("/conversations/{conversationId}")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<Map<String, String>> deleteConversation(@PathVariable Long conversationId) {
+        chatService.deleteConversation(conversationId);
+        return ResponseEntity.ok(Map.of("message", "Đã xóa cuộc trò chuyện"));
+    }
+}
@@ -1,22 +1,31 @@
 package com.dupss.app.BE_Dupss.controller;
 
+import com.dupss.app.BE_Dupss.dto.request.AvailabilityTemplateRequest;
 import com.dupss.app.BE_Dupss.dto.request.SlotRequestDto;
 import com.dupss.app.BE_Dupss.dto.response.AppointmentResponseDto;
+import com.dupss.app.BE_Dupss.dto.response.AvailabilityTemplateResponse;
+import com.dupss.app.BE_Dupss.dto.response.BulkSlotResponse;
 import com.dupss.app.BE_Dupss.dto.response.ConsultantResponse;
 import com.dupss.app.BE_Dupss.dto.response.SlotResponseDto;
 import com.dupss.app.BE_Dupss.entity.User;
 import com.dupss.app.BE_Dupss.respository.AppointmentRepository;
 import com.dupss.app.BE_Dupss.respository.UserRepository;
 import com.dupss.app.BE_Dupss.service.AppointmentService;
+import com.dupss.app.BE_Dupss.service.AvailabilityTemplateService;
 import com.dupss.app.BE_Dupss.service.SlotService;
 import com.dupss.app.BE_Dupss.service.UserService;
+import jakarta.validation.Valid;
 import lombok.RequiredArgsConstructor;
+import org.springframework.format.annotation.DateTimeFormat;
 import org.springframework.http.HttpStatus;
 import org.springframework.http.ResponseEntity;
 import org.springframework.security.access.prepost.PreAuthorize;
 import org.springframework.web.bind.annotation.*;
 
+import java.time.DayOfWeek;
+import java.time.LocalDate;
 import java.util.List;
+import java.util.Set;
 
 /**
  * Controller xử lý các API liên quan đến tư vấn viên
@@ -33,6 +42,7 @@ public class ConsultantController {
     private final AppointmentRepository appointmentRepository;
     private final SlotService slotService;
     private final UserService userService;
+    private final AvailabilityTemplateService availabilityTemplateService;
 
     /**
      * API lấy tất cả tư vấn viên đang hoạt động
@@ -101,6 +111,68 @@ public class ConsultantController {
         return ResponseEntity.status(HttpStatus.CREATED).body(res);
     }
 
+    /**
+     * API đăng ký hàng loạt slot, slot không hợp lệ hoặc trùng lặp được bỏ qua và trả về kèm lý do
+     *
+     * @param slots Danh sách slot cần tạo
+     * @return Số slot đã tạo và danh sách slot bị bỏ qua
+     */
+    @PostMapping("/slots/bulk")
+    @PreAuthorize("hasAuthority('ROLE_CONSULTANT')")
+    public ResponseEntity<BulkSlotResponse> createSlots(@RequestBody @Valid List<SlotRequestDto> slots) {
+        return ResponseEntity.status(HttpStatus.CREATED).body(slotService.createSlots(slots));
+    }
+
+    /**
+     * API xóa hàng loạt slot còn trống trong khoảng ngày, có thể lọc theo ngày trong tuần
+     *
+     * @param from Ngày bắt đầu (dd/MM/yyyy)
+     * @param to Ngày kết thúc (dd/MM/yyyy)
+     * @param daysOfWeek Các ngày trong tuần cần xóa (MONDAY, TUESDAY...), bỏ trống nghĩa là mọi ngày
+     * @return Số slot đã xóa
+     */
+    @DeleteMapping("/slots")
+    @PreAuthorize("hasAuthority('ROLE_CONSULTANT')")
+    public ResponseEntity<BulkSlotResponse> deleteAvailableSlots(
+            @RequestParam @DateTimeFormat(pattern = "dd/MM/yyyy") LocalDate from,
+            @RequestParam @DateTimeFormat(pattern = "dd/MM/yyyy") LocalDate to,
+            @RequestParam(required = false) Set<DayOfWeek> daysOfWeek) {
+        return ResponseEntity.ok(slotService.deleteAvailableSlots(from, to, daysOfWeek));
+    }
+
+    /**
+     * API lấy mẫu lịch làm việc hàng tuần của tư vấn viên hiện tại
+     *
+     * @return Mẫu lịch đã lưu, hoặc 204 nếu chưa có
+     */
+    @GetMapping("/availability-template")
+    @PreAuthorize("hasAuthority('ROLE_CONSULTANT')")
+    public ResponseEntity<AvailabilityTemplateResponse> getAvailabilityTemplate() {
+        return availabilityTemplateService.getMyTemplate()
+                .map(ResponseEntity::ok)
+                .orElseGet(() -> ResponseEntity.noContent().build());
+    }
+
+    @PutMapping("/availability-template")
+    @PreAuthorize("hasAuthority('ROLE_CONSULTANT')")
+    public ResponseEntity<AvailabilityTemplateResponse> saveAvailabilityTemplate(
+            @RequestBody @Valid AvailabilityTemplateRequest request) {
+        return ResponseEntity.ok(availabilityTemplateService.saveTemplate(request));
+    }
+
+    /**
+     * API áp dụng mẫu lịch: đăng ký slot theo mẫu cho số tuần của mẫu, tính từ ngày bắt đầu
+     *
+     * @param startDate Ngày bắt đầu áp dụng (dd/MM/yyyy), mặc định là hôm nay
+     * @return Số slot đã tạo và danh sách slot bị bỏ qua
+     */
+    @PostMapping("/availability-template/apply")
+    @PreAuthorize("hasAuthority('ROLE_CONSULTANT')")
+    public ResponseEntity<BulkSlotResponse> applyAvailabilityTemplate(
+            @RequestParam(required = false) @DateTimeFormat(pattern = "dd/MM/yyyy") LocalDate startDate) {
+        return ResponseEntity.status(HttpStatus.CREATED).body(availabilityTemplateService.applyTemplate(startDate));
+    }
+
     /**
      * API lấy danh sách tư vấn viên có sẵn để đặt lịch
      * Trả về thông tin chi tiết hơn so với API getAllConsultants
@@ -3,9 +3,11 @@ package com.dupss.app.BE_Dupss.controller;
 import com.dupss.app.BE_Dupss.dto.request.CourseCreateRequest;
 import com.dupss.app.BE_Dupss.dto.request.CourseUpdateRequest;
 import com.dupss.app.BE_Dupss.dto.request.SurveyResultRequest;
+import com.dupss.app.BE_Dupss.dto.request.VideoProgressRequest;
 import com.dupss.app.BE_Dupss.dto.response.*;
 import com.dupss.app.BE_Dupss.entity.Certificate;
 import com.dupss.app.BE_Dupss.service.CourseEnrollmentService;
+import com.dupss.app.BE_Dupss.service.CourseQuizAttemptService;
 import com.dupss.app.BE_Dupss.service.CourseService;
 import com.fasterxml.jackson.databind.ObjectMapper;
 import jakarta.mail.MessagingException;
@@ -33,6 +35,7 @@ public class CourseController {
     private final CourseService courseService;
     private final CourseEnrollmentService enrollmentService;
     private final CourseEnrollmentService courseEnrollmentService;
+    private final CourseQuizAttemptService quizAttemptService;
 //    private final ObjectMapper objectMapper;
 
 
@@ -81,6 +84,24 @@ public class CourseController {
         return ResponseEntity.ok("Video watched status and progress updated");
     }
 
+    @PostMapping("/videos/{videoId}/progress")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<VideoProgressResponse> syncVideoProgress(@PathVariable Long videoId, @Valid @RequestBody VideoProgressRequest request) {
+        return ResponseEntity.ok(courseEnrollmentService.syncVideoProgress(videoId, request));
+    }
+
+    @GetMapping("/{courseId}/quiz/attempts/status")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<QuizAttemptStatusResponse> getQuizAttemptStatus(@PathVariable Long courseId) {
+        return ResponseEntity.ok(quizAttemptService.getStatus(courseId));
+    }
+
+    @PostMapping("/{courseId}/quiz/attempts")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<QuizAttemptResponse> startQuizAttempt(@PathVariable Long courseId) {
+        return ResponseEntity.ok(quizAttemptService.startAttempt(courseId));
+    }
+
     @PostMapping("/{courseId}/quiz/submit")
     @PreAuthorize("isAuthenticated()")
     public ResponseEntity<QuizResultResponse> submitFinalQuiz(@PathVariable Long courseId, @RequestBody SurveyResultRequest request) throws MessagingException, UnsupportedEncodingException {
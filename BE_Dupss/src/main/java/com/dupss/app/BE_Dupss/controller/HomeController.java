@@ -1,8 +1,11 @@
 package com.dupss.app.BE_Dupss.controller;
 
+import com.dupss.app.BE_Dupss.dto.request.SurveyResultRequest;
 import com.dupss.app.BE_Dupss.dto.request.SurveySummaryResponse;
 import com.dupss.app.BE_Dupss.dto.response.*;
+import com.dupss.app.BE_Dupss.entity.AcademicTitle;
 import com.dupss.app.BE_Dupss.service.*;
+import jakarta.validation.Valid;
 import lombok.RequiredArgsConstructor;
 import lombok.extern.slf4j.Slf4j;
 import org.springframework.data.domain.Page;
@@ -24,12 +27,16 @@ import java.util.Map;
 @Slf4j
 public class HomeController {
 
+    // Số ngày tối đa của một lần lấy lịch trống theo dải ngày
+    private static final int MAX_AVAILABILITY_DAYS = 14;
+
     private final CourseService courseService;
     private final BlogService blogService;
     private final SurveyService surveyService;
     private final CourseEnrollmentService courseEnrollmentService;
     private final SlotService slotService;
     private final UserService userService;
+    private final BlogCommentService blogCommentService;
 
     @GetMapping("/courses")
     public ResponseEntity<Map<String, Object>> getAllCourses(
@@ -101,6 +108,26 @@ public class HomeController {
         return ResponseEntity.ok(response);
     }
 
+    @GetMapping("/blog/{id}/comments")
+    public ResponseEntity<Map<String, Object>> getBlogComments(
+            @PathVariable Long id,
+            @RequestParam(defaultValue = "1") int page,
+            @RequestParam(defaultValue = "5") int size) {
+
+        int pageIndex = page > 0 ? page - 1 : 0;
+        Pageable pageable = PageRequest.of(pageIndex, size, Sort.by(Sort.Direction.DESC, "createdAt"));
+        Page<BlogCommentResponse> commentPage = blogCommentService.getComments(id, pageable);
+
+        Map<String, Object> response = new HashMap<>();
+        response.put("comments", commentPage.getContent());
+        response.put("currentPage", commentPage.getNumber() + 1);
+        response.put("totalItems", commentPage.getTotalElements());
+        response.put("totalPages", commentPage.getTotalPages());
+        response.put("totalComments", blogCommentService.countVisibleComments(id));
+
+        return ResponseEntity.ok(response);
+    }
+
     @GetMapping("/surveys/lastest")
     public ResponseEntity<List<SurveySummaryResponse>> getLastestSurveys() {
     List<SurveySummaryResponse> latestSurveys = surveyService.getSurveySummary();
@@ -113,6 +140,12 @@ public class HomeController {
         return ResponseEntity.ok(surveyDetails);
     }
 
+    // Chấm điểm để hiển thị kết quả trước khi lưu, khách chưa đăng nhập cũng dùng được
+    @PostMapping("/survey/score")
+    public ResponseEntity<SurveyResultResponse> previewSurveyResult(@Valid @RequestBody SurveyResultRequest request) {
+        return ResponseEntity.ok(surveyService.previewSurveyResult(request));
+    }
+
     @GetMapping("/course/{id}")
     public ResponseEntity<CourseDetailPublicResponse> getCourseDetailPublic(@PathVariable Long id) {
         CourseDetailPublicResponse response = courseService.getCoursePublicDetail(id);
@@ -132,8 +165,11 @@ public class HomeController {
     }
 
     @GetMapping("/consultants/available")
-    public ResponseEntity<List<ConsultantResponse>> getAvailableConsultants() {
-        List<ConsultantResponse> consultants = userService.getAllConsultants();
+    public ResponseEntity<List<ConsultantResponse>> getAvailableConsultants(
+            @RequestParam(required = false) Long topicId,
+            @RequestParam(required = false) AcademicTitle academicTitle,
+            @RequestParam(required = false) Double minRating) {
+        List<ConsultantResponse> consultants = userService.searchConsultants(topicId, academicTitle, minRating);
         return ResponseEntity.ok(consultants);
     }
 
@@ -146,4 +182,35 @@ public class HomeController {
         return ResponseEntity.ok(res);
     }
 
+    /**
+     * Lịch trống của nhiều tư vấn viên trong nhiều ngày liên tiếp, thay cho việc gọi từng tư vấn viên/từng ngày
+     */
+    @GetMapping("/slots/availability")
+    public ResponseEntity<List<SlotResponseDto>> getAvailabilityForConsultants(
+            @RequestParam List<Long> consultantIds,
+            @RequestParam(required = false) @DateTimeFormat(pattern = "dd/MM/yyyy") LocalDate from,
+            @RequestParam(defaultValue = "7") int days) {
+        if (days < 1 || days > MAX_AVAILABILITY_DAYS) {
+            throw new RuntimeException("Số ngày phải từ 1 đến " + MAX_AVAILABILITY_DAYS);
+        }
+        LocalDate start = from != null ? from : LocalDate.now();
+        return ResponseEntity.ok(slotService.getAvailableSlotsByConsultants(consultantIds, start, start.plusDays(days - 1)));
+    }
+
+    /**
+     * Slot trống sớm nhất trong số các tư vấn viên khớp bộ lọc
+     */
+    @GetMapping("/slots/first-available")
+    public ResponseEntity<SlotResponseDto> getFirstAvailableSlot(
+            @RequestParam(required = false) Long topicId,
+            @RequestParam(required = false) AcademicTitle academicTitle,
+            @RequestParam(required = false) Double minRating) {
+        List<Long> consultantIds = userService.searchConsultants(topicId, academicTitle, minRating).stream()
+                .map(ConsultantResponse::getId)
+                .toList();
+        return slotService.findFirstAvailableSlot(consultantIds)
+                .map(ResponseEntity::ok)
+                .orElseGet(() -> ResponseEntity.noContent().build());
+    }
+
 }
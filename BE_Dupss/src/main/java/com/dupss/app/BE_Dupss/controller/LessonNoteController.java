@@ -0,0 +1,70 @@
+package com.dupss.app.BE_Dupss.controller;
+
+import com.dupss.app.BE_Dupss.dto.request.LessonNoteRequest;
+import com.dupss.app.BE_Dupss.dto.response.LessonNoteResponse;
+import com.dupss.app.BE_Dupss.service.LessonNoteService;
+import jakarta.validation.Valid;
+import lombok.RequiredArgsConstructor;
+import org.springframework.http.ContentDisposition;
+import org.springframework.http.HttpHeaders;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.security.access.prepost.PreAuthorize;
+import org.springframework.web.bind.annotation.*;
+
+import java.nio.charset.StandardCharsets;
+import java.util.List;
+
+@RestController
+@RequestMapping("/api/notes")
+@RequiredArgsConstructor
+@PreAuthorize("isAuthenticated()")
+public class LessonNoteController {
+
+    private static final MediaType TEXT_MARKDOWN = new MediaType("text", "markdown", StandardCharsets.UTF_8);
+
+    private final LessonNoteService lessonNoteService;
+
+    /**
+     * Tìm ghi chú trên mọi khóa học của người dùng, bỏ trống keyword để lấy tất cả
+     */
+    @GetMapping
+    public ResponseEntity<List<LessonNoteResponse>> searchNotes(@RequestParam(required = false) String keyword) {
+        return ResponseEntity.ok(lessonNoteService.searchNotes(keyword));
+    }
+
+    @GetMapping("/export.md")
+    public ResponseEntity<String> exportMarkdown(@RequestParam(required = false) String keyword) {
+        return ResponseEntity.ok()
+                .contentType(TEXT_MARKDOWN)
+                .header(HttpHeaders.CONTENT_DISPOSITION, ContentDisposition.attachment()
+                        .filename("ghi-chu-bai-hoc.md")
+                        .build()
+                        .toString())
+                .body(lessonNoteService.exportMarkdown(keyword));
+    }
+
+    @GetMapping("/courses/{courseId}")
+    public ResponseEntity<List<LessonNoteResponse>> getCourseNotes(@PathVariable Long courseId) {
+        return ResponseEntity.ok(lessonNoteService.getCourseNotes(courseId));
+    }
+
+    @PostMapping("/videos/{videoId}")
+    public ResponseEntity<LessonNoteResponse> createNote(@PathVariable Long videoId,
+                                                         @Valid @RequestBody LessonNoteRequest request) {
+        return ResponseEntity.status(HttpStatus.CREATED).body(lessonNoteService.createNote(videoId, request));
+    }
+
+    @PutMapping("/{id}")
+    public ResponseEntity<LessonNoteResponse> updateNote(@PathVariable Long id,
+                                                         @Valid @RequestBody LessonNoteRequest request) {
+        return ResponseEntity.ok(lessonNoteService.updateNote(id, request));
+    }
+
+    @DeleteMapping("/{id}")
+    public ResponseEntity<Void> deleteNote(@PathVariable Long id) {
+        lessonNoteService.deleteNote(id);
+        return ResponseEntity.noContent().build();
+    }
+}
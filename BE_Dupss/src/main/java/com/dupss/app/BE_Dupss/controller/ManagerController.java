@@ -1,5 +1,6 @@
 package com.dupss.app.BE_Dupss.controller;
 
+import com.dupss.app.BE_Dupss.dto.request.CommentModerationRequest;
 import com.dupss.app.BE_Dupss.dto.request.SurveyCreateRequest;
 import com.dupss.app.BE_Dupss.dto.request.TopicRequest;
 import com.dupss.app.BE_Dupss.dto.response.*;
@@ -11,6 +12,7 @@ import com.dupss.app.BE_Dupss.respository.UserRepository;
 import com.dupss.app.BE_Dupss.service.*;
 import jakarta.validation.Valid;
 import lombok.RequiredArgsConstructor;
+import org.springframework.format.annotation.DateTimeFormat;
 import org.springframework.http.HttpStatus;
 import org.springframework.http.MediaType;
 import org.springframework.http.ResponseEntity;
@@ -21,6 +23,7 @@ import org.springframework.web.bind.annotation.*;
 import org.springframework.web.multipart.MultipartFile;
 
 import java.io.IOException;
+import java.time.LocalDate;
 import java.util.List;
 import java.util.Map;
 import java.util.stream.Collectors;
@@ -36,8 +39,11 @@ public class ManagerController {
     private final CourseService courseService;
     private final BlogService blogService;
     private final SurveyRepo surveyRepository;
+    private final CourseRepository courseRepository;
+    private final SurveyAnalyticsService surveyAnalyticsService;
     private final AppointmentService appointmentService;
     private final ActionLogService actionLogService;
+    private final BlogCommentService blogCommentService;
 
 
     @GetMapping("/staff")
@@ -94,6 +100,10 @@ public class ManagerController {
     @PreAuthorize("hasAnyAuthority('ROLE_MANAGER', 'ROLE_ADMIN')")
     public ResponseEntity<List<SurveyManagerResponse>> getAllSurveys() {
         List<Survey> surveys = surveyRepository.findAll();
+        Map<Long, Topic> quizTopics = courseRepository.findAll().stream()
+                .filter(course -> course.getSurveyQuiz() != null && course.getTopic() != null)
+                .collect(Collectors.toMap(course -> course.getSurveyQuiz().getId(), Course::getTopic,
+                        (first, second) -> first));
         List<SurveyManagerResponse> responses = surveys.stream()
                 .map(survey -> SurveyManagerResponse.builder()
                         .surveyId(survey.getId())
@@ -106,11 +116,29 @@ public class ManagerController {
                         .createdBy(survey.getCreatedBy() != null ? survey.getCreatedBy().getFullname() : null)
                         .status(survey.getStatus())
 //                        .checkedBy(survey.getCheckedBy() != null ? survey.getCheckedBy().getFullname() : null)
+                        .topicId(quizTopics.containsKey(survey.getId()) ? quizTopics.get(survey.getId()).getId() : null)
+                        .topicName(quizTopics.containsKey(survey.getId()) ? quizTopics.get(survey.getId()).getName() : null)
                         .build())
                 .collect(Collectors.toList());
         return ResponseEntity.ok(responses);
     }
 
+    /**
+     * API thống kê kết quả của một khảo sát, lọc theo khoảng ngày làm bài và giới tính/năm sinh người làm
+     * Chỉ dành cho Manager và Admin
+     */
+    @GetMapping("/surveys/{id}/analytics")
+    @PreAuthorize("hasAnyAuthority('ROLE_MANAGER', 'ROLE_ADMIN')")
+    public ResponseEntity<SurveyAnalyticsResponse> getSurveyAnalytics(
+            @PathVariable Long id,
+            @RequestParam(required = false) @DateTimeFormat(pattern = "dd/MM/yyyy") LocalDate from,
+            @RequestParam(required = false) @DateTimeFormat(pattern = "dd/MM/yyyy") LocalDate to,
+            @RequestParam(required = false) String gender,
+            @RequestParam(required = false) Integer yobFrom,
+            @RequestParam(required = false) Integer yobTo) {
+        return ResponseEntity.ok(surveyAnalyticsService.getSurveyAnalytics(id, from, to, gender, yobFrom, yobTo));
+    }
+
     @GetMapping("/appointments")
     public ResponseEntity<List<AppointmentResponseDto>> getAllAppointments() {
         return ResponseEntity.ok(appointmentService.getAllAppointments());
@@ -199,6 +227,42 @@ public class ManagerController {
     }
 
 
+    /**
+     * API lấy các bình luận mới đăng hoặc bị báo cáo đang chờ kiểm duyệt
+     * Chỉ dành cho Manager
+     */
+    @GetMapping("/comments/pending")
+    @PreAuthorize("hasAnyAuthority('ROLE_MANAGER')")
+    public ResponseEntity<List<CommentModerationResponse>> getPendingComments() {
+        return ResponseEntity.ok(blogCommentService.getCommentsPendingModeration());
+    }
+
+    /**
+     * API duyệt/ẩn/xóa hàng loạt bình luận
+     * Chỉ dành cho Manager
+     */
+    @PatchMapping("/comments/moderation")
+    @PreAuthorize("hasAnyAuthority('ROLE_MANAGER')")
+    public ResponseEntity<?> moderateComments(@RequestBody @Valid CommentModerationRequest request) {
+        int processed = blogCommentService.moderateComments(request);
+        return ResponseEntity.ok(Map.of(
+                "message", "Đã xử lý " + processed + " bình luận",
+                "processed", processed));
+    }
+
+    /**
+     * API ẩn/hiện bình luận vi phạm trên bài viết
+     * Chỉ dành cho Manager
+     */
+    @PatchMapping("/comments/{id}/visibility")
+    @PreAuthorize("hasAnyAuthority('ROLE_MANAGER')")
+    public ResponseEntity<String> updateCommentVisibility(@PathVariable Long id, @RequestParam("status") CommentStatus status) {
+        blogCommentService.updateVisibility(id, status);
+        String message = status == CommentStatus.HIDDEN ? "Bình luận đã được ẩn" : "Bình luận đã được hiển thị lại";
+        return ResponseEntity.ok(message);
+    }
+
+
     @PostMapping("/topic")
     public ResponseEntity<TopicResponse> createTopic(@RequestBody TopicRequest topic) {
         TopicResponse topicRes = topicService.create(topic);
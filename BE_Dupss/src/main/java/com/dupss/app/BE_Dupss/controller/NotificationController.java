@@ -0,0 +1,67 @@
+package com.dupss.app.BE_Dupss.controller;
+
+import com.dupss.app.BE_Dupss.dto.request.NotificationPreferenceRequest;
+import com.dupss.app.BE_Dupss.dto.response.NotificationPreferenceResponse;
+import com.dupss.app.BE_Dupss.dto.response.NotificationResponse;
+import com.dupss.app.BE_Dupss.service.NotificationService;
+import lombok.RequiredArgsConstructor;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.security.access.prepost.PreAuthorize;
+import org.springframework.web.bind.annotation.*;
+import org.springframework.web.servlet.mvc.method.annotation.SseEmitter;
+
+import java.util.List;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/notifications")
+@RequiredArgsConstructor
+@PreAuthorize("isAuthenticated()")
+public class NotificationController {
+
+    private final NotificationService notificationService;
+
+    @GetMapping
+    public ResponseEntity<List<NotificationResponse>> getMyNotifications(
+            @RequestParam(defaultValue = "false") boolean unreadOnly) {
+        return ResponseEntity.ok(notificationService.getMyNotifications(unreadOnly));
+    }
+
+    /**
+     * Luồng Server-Sent Events đẩy thông báo mới và số chưa đọc theo thời gian thực
+     */
+    @GetMapping(value = "/stream", produces = MediaType.TEXT_EVENT_STREAM_VALUE)
+    public SseEmitter stream() {
+        return notificationService.subscribe();
+    }
+
+    @GetMapping("/unread-count")
+    public ResponseEntity<Map<String, Long>> getUnreadCount() {
+        return ResponseEntity.ok(Map.of("count", notificationService.getUnreadCount()));
+    }
+
+    @PutMapping("/{id}/read")
+    public ResponseEntity<NotificationResponse> markAsRead(@PathVariable Long id) {
+        return ResponseEntity.ok(notificationService.markAsRead(id));
+    }
+
+    /**
+     * Tùy chọn nhận thông báo: các loại đã tắt và các chủ đề đang theo dõi
+     */
+    @GetMapping("/preferences")
+    public ResponseEntity<NotificationPreferenceResponse> getPreferences() {
+        return ResponseEntity.ok(notificationService.getMyPreferences());
+    }
+
+    @PutMapping("/preferences")
+    public ResponseEntity<NotificationPreferenceResponse> updatePreferences(@RequestBody NotificationPreferenceRequest request) {
+        return ResponseEntity.ok(notificationService.updateMyPreferences(request));
+    }
+
+    @PutMapping("/read-all")
+    public ResponseEntity<Void> markAllAsRead() {
+        notificationService.markAllAsRead();
+        return ResponseEntity.noContent().build();
+    }
+}
@@ -6,6 +6,7 @@ import com.dupss.app.BE_Dupss.dto.request.CourseUpdateRequest;
 import com.dupss.app.BE_Dupss.dto.request.SurveyCreateRequest;
 import com.dupss.app.BE_Dupss.dto.response.BlogResponse;
 import com.dupss.app.BE_Dupss.dto.response.CourseResponse;
+import com.dupss.app.BE_Dupss.dto.response.LessonMediaResponse;
 import com.dupss.app.BE_Dupss.dto.response.SurveyManagerResponse;
 import com.dupss.app.BE_Dupss.dto.response.SurveyResponse;
 import com.dupss.app.BE_Dupss.entity.ApprovalStatus;
@@ -79,6 +80,15 @@ public class StaffController {
         return ResponseEntity.ok(blogResponses);
     }
 
+    /**
+     * API kiểm tra các khoảng điểm đánh giá của khảo sát đang soạn
+     * Trả về danh sách cảnh báo (chồng lấn, bỏ sót khoảng điểm), rỗng nếu hợp lệ
+     */
+    @PostMapping("/surveys/scoring-check")
+    public ResponseEntity<List<String>> checkSurveyScoring(@RequestBody SurveyCreateRequest request) {
+        return ResponseEntity.ok(surveyService.checkScoringRules(request));
+    }
+
     @GetMapping("surveys/{id}")
     public ResponseEntity<SurveyResponse> getSurvey(@PathVariable Long id) {
         SurveyResponse surveyResponse = surveyService.getSurveyById(id);
@@ -150,6 +160,16 @@ public class StaffController {
         return ResponseEntity.status(HttpStatus.CREATED).body(response);
     }
     
+    /**
+     * API tải video hoặc tài liệu (PDF/slide) cho bài học lên Cloudinary
+     * Trả về đường dẫn để gắn vào bài học khi tạo/cập nhật khóa học
+     */
+    @PostMapping(value = "/course/media", consumes = MediaType.MULTIPART_FORM_DATA_VALUE)
+    @PreAuthorize("hasAnyAuthority('ROLE_STAFF', 'ROLE_MANAGER')")
+    public ResponseEntity<LessonMediaResponse> uploadLessonMedia(@RequestPart("file") MultipartFile file) throws IOException {
+        return ResponseEntity.status(HttpStatus.CREATED).body(courseService.uploadLessonMedia(file));
+    }
+
     /**
      * API cập nhật khóa học
      * Staff chỉ có thể cập nhật khóa học của mình và chưa được phê duyệt
@@ -1,9 +1,12 @@
 package com.dupss.app.BE_Dupss.controller;
 
 import com.dupss.app.BE_Dupss.dto.request.SurveyCreateRequest;
+import com.dupss.app.BE_Dupss.dto.request.SurveyDraftRequest;
 import com.dupss.app.BE_Dupss.dto.request.SurveyResultRequest;
+import com.dupss.app.BE_Dupss.dto.response.SurveyDraftResponse;
 import com.dupss.app.BE_Dupss.dto.response.SurveyResponse;
 import com.dupss.app.BE_Dupss.dto.response.SurveyResultResponse;
+import com.dupss.app.BE_Dupss.service.SurveyDraftService;
 import com.dupss.app.BE_Dupss.service.SurveyService;
 import com.fasterxml.jackson.databind.ObjectMapper;
 import jakarta.validation.Valid;
@@ -24,6 +27,7 @@ import java.util.List;
 public class SurveyController {
 
     private final SurveyService surveyService;
+    private final SurveyDraftService surveyDraftService;
     private final ObjectMapper objectMapper;
 
     @PostMapping("/results")
@@ -40,6 +44,34 @@ public class SurveyController {
         return ResponseEntity.ok(results);
     }
 
+    @GetMapping("/drafts")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<List<SurveyDraftResponse>> getMyDrafts() {
+        return ResponseEntity.ok(surveyDraftService.getMyDrafts());
+    }
+
+    @GetMapping("/{surveyId}/draft")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<SurveyDraftResponse> getDraft(@PathVariable Long surveyId) {
+        return surveyDraftService.getDraft(surveyId)
+                .map(ResponseEntity::ok)
+                .orElseGet(() -> ResponseEntity.noContent().build());
+    }
+
+    @PutMapping("/{surveyId}/draft")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<SurveyDraftResponse> saveDraft(@PathVariable Long surveyId,
+                                                         @RequestBody @Valid SurveyDraftRequest request) {
+        return ResponseEntity.ok(surveyDraftService.saveDraft(surveyId, request));
+    }
+
+    @DeleteMapping("/{surveyId}/draft")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<Void> deleteDraft(@PathVariable Long surveyId) {
+        surveyDraftService.deleteDraft(surveyId);
+        return ResponseEntity.noContent().build();
+    }
+
 //    @PostMapping(consumes = MediaType.MULTIPART_FORM_DATA_VALUE)
 //    @PreAuthorize("hasAuthority('ROLE_STAFF')")
 //    public ResponseEntity<SurveyResponse> createSurvey(@Valid @RequestPart(value = "request") String request,                                                                                                  @RequestPart(value = "coverImage", required = false) MultipartFile coverImage) throws IOException {
@@ -0,0 +1,62 @@
+package com.dupss.app.BE_Dupss.controller;
+
+import com.dupss.app.BE_Dupss.dto.request.WaitlistRequest;
+import com.dupss.app.BE_Dupss.dto.response.WaitlistResponse;
+import com.dupss.app.BE_Dupss.service.WaitlistService;
+import jakarta.validation.Valid;
+import lombok.RequiredArgsConstructor;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.ResponseEntity;
+import org.springframework.security.access.prepost.PreAuthorize;
+import org.springframework.web.bind.annotation.*;
+
+import java.util.List;
+
+@RestController
+@RequestMapping("/api/waitlist")
+@RequiredArgsConstructor
+public class WaitlistController {
+
+    private final WaitlistService waitlistService;
+
+    /**
+     * API đăng ký danh sách chờ, dùng được cho cả khách (bắt buộc tên và email) và thành viên đã đăng nhập
+     */
+    @PostMapping
+    public ResponseEntity<WaitlistResponse> joinWaitlist(@Valid @RequestBody WaitlistRequest request) {
+        return ResponseEntity.status(HttpStatus.CREATED).body(waitlistService.join(request));
+    }
+
+    /**
+     * API xác nhận đăng ký danh sách chờ của khách bằng mã trong email xác nhận
+     */
+    @PostMapping("/confirm")
+    public ResponseEntity<WaitlistResponse> confirmWaitlist(@RequestParam String token) {
+        return ResponseEntity.ok(waitlistService.confirm(token));
+    }
+
+    @GetMapping("/me")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<List<WaitlistResponse>> getMyWaitlist() {
+        return ResponseEntity.ok(waitlistService.getMyEntries());
+    }
+
+    @DeleteMapping("/{id}")
+    @PreAuthorize("isAuthenticated()")
+    public ResponseEntity<WaitlistResponse> cancelWaitlist(@PathVariable Long id) {
+        return ResponseEntity.ok(waitlistService.cancel(id));
+    }
+
+    /**
+     * API lấy thông tin slot đang được giữ theo mã giữ chỗ trong email
+     */
+    @GetMapping("/hold")
+    public ResponseEntity<WaitlistResponse> getHold(@RequestParam String token) {
+        return ResponseEntity.ok(waitlistService.getHold(token));
+    }
+
+    @PostMapping("/hold/decline")
+    public ResponseEntity<WaitlistResponse> declineHold(@RequestParam String token) {
+        return ResponseEntity.ok(waitlistService.declineHold(token));
+    }
+}
@@ -4,6 +4,7 @@ import jakarta.validation.constraints.Email;
 import jakarta.validation.constraints.NotBlank;
 import jakarta.validation.constraints.NotNull;
 import jakarta.validation.constraints.Pattern;
+import jakarta.validation.constraints.Size;
 import lombok.AllArgsConstructor;
 import lombok.Data;
 import lombok.NoArgsConstructor;
@@ -13,17 +14,21 @@ import lombok.NoArgsConstructor;
 @AllArgsConstructor
 public class AppointmentRequestDto {
     
+    // Với cuộc hẹn ẩn danh đây là bí danh của khách
     @NotBlank(message = "Tên khách hàng không được để trống")
     private String customerName;
     
-    @NotBlank(message = "Số điện thoại không được để trống")
+    // Bắt buộc trừ khi đặt lịch ẩn danh (kiểm tra trong service)
     @Pattern(regexp = "^[0-9]{10,11}$", message = "Số điện thoại phải có 10-11 chữ số")
     private String phoneNumber;
     
-    @NotBlank(message = "Email không được để trống")
+    // Bắt buộc trừ khi đặt lịch ẩn danh (kiểm tra trong service)
     @Email(message = "Email không hợp lệ")
     private String email;
 
+    // Đặt lịch ẩn danh: không lưu email/số điện thoại, khách truy cập cuộc hẹn bằng mã truy cập
+    private boolean anonymous;
+
     private String videoCallId;
     
     @NotNull(message = "Chủ đề tư vấn không được để trống")
@@ -32,6 +37,12 @@ public class AppointmentRequestDto {
     @NotNull(message = "Slot không được để trống")
     private Long slotId;
     
+    // Mã giữ chỗ từ email danh sách chờ, cho phép đặt slot đang được giữ riêng cho người này
+    private String holdToken;
+
     // Nếu đây là một thành viên đã đăng nhập, userId sẽ được set
     private Long userId;
+
+    @Size(max = 2000, message = "Ghi chú không được vượt quá 2000 ký tự")
+    private String customerNote;
 } 
\ No newline at end of file
@@ -0,0 +1,10 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import jakarta.validation.constraints.NotNull;
+import lombok.Data;
+
+@Data
+public class AppointmentRescheduleRequest {
+    @NotNull(message = "Slot không được để trống")
+    private Long slotId;
+}
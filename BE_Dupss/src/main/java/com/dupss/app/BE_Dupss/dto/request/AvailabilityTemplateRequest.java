@@ -0,0 +1,60 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import com.fasterxml.jackson.annotation.JsonFormat;
+import jakarta.validation.Valid;
+import jakarta.validation.constraints.Max;
+import jakarta.validation.constraints.Min;
+import jakarta.validation.constraints.NotEmpty;
+import jakarta.validation.constraints.NotNull;
+import lombok.AllArgsConstructor;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.DayOfWeek;
+import java.time.LocalDate;
+import java.time.LocalTime;
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+public class AvailabilityTemplateRequest {
+
+    @NotNull(message = "Độ dài slot không được để trống")
+    @Min(value = 30, message = "Slot phải dài ít nhất 30 phút")
+    @Max(value = 120, message = "Slot không được dài quá 120 phút")
+    private Integer slotMinutes;
+
+    @NotNull(message = "Số tuần không được để trống")
+    @Min(value = 1, message = "Số tuần phải từ 1 đến 12")
+    @Max(value = 12, message = "Số tuần phải từ 1 đến 12")
+    private Integer weeks;
+
+    @NotEmpty(message = "Mẫu lịch phải có ít nhất một khung giờ")
+    @Valid
+    private List<Rule> rules = new ArrayList<>();
+
+    @JsonFormat(pattern = "dd/MM/yyyy")
+    private List<LocalDate> exceptionDates = new ArrayList<>();
+
+    /**
+     * Khung giờ lặp lại vào các ngày trong tuần đã chọn, ví dụ Thứ 3 và Thứ 5, 13:00 - 17:00
+     */
+    @Data
+    @NoArgsConstructor
+    @AllArgsConstructor
+    public static class Rule {
+
+        @NotEmpty(message = "Vui lòng chọn ít nhất một ngày trong tuần")
+        private List<DayOfWeek> daysOfWeek = new ArrayList<>();
+
+        @NotNull(message = "Giờ bắt đầu không được để trống")
+        @JsonFormat(pattern = "HH:mm")
+        private LocalTime startTime;
+
+        @NotNull(message = "Giờ kết thúc không được để trống")
+        @JsonFormat(pattern = "HH:mm")
+        private LocalTime endTime;
+    }
+}
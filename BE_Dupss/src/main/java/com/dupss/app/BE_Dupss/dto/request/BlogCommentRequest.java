@@ -0,0 +1,21 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import jakarta.validation.constraints.NotBlank;
+import jakarta.validation.constraints.Size;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class BlogCommentRequest {
+    @NotBlank(message = "Nội dung bình luận không được để trống")
+    @Size(max = 2000, message = "Bình luận không được vượt quá 2000 ký tự")
+    private String content;
+
+    // Id của bình luận được trả lời, để trống nếu là bình luận mới
+    private Long parentId;
+}
@@ -1,3 +1,13 @@
 package com.dupss.app.BE_Dupss.dto.request;
 
-public record ChatRequest(String message) {} 
\ No newline at end of file
+import com.dupss.app.BE_Dupss.entity.ChatRole;
+
+import java.util.List;
+
+/**
+ * conversationId dùng cho người dùng đã đăng nhập (lịch sử lưu trên server),
+ * history dùng cho khách (lịch sử lưu ở sessionStorage và gửi kèm mỗi lần hỏi).
+ */
+public record ChatRequest(String message, Long conversationId, List<HistoryMessage> history) {
+    public record HistoryMessage(ChatRole role, String content) {}
+}
@@ -0,0 +1,23 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import com.dupss.app.BE_Dupss.entity.CommentModerationAction;
+import jakarta.validation.constraints.NotEmpty;
+import jakarta.validation.constraints.NotNull;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.util.List;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class CommentModerationRequest {
+    @NotEmpty(message = "Phải chọn ít nhất một bình luận")
+    private List<Long> commentIds;
+
+    @NotNull(message = "Hành động kiểm duyệt không được để trống")
+    private CommentModerationAction action;
+}
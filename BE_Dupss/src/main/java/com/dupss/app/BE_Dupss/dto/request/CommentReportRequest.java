@@ -0,0 +1,16 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import jakarta.validation.constraints.Size;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class CommentReportRequest {
+    @Size(max = 500, message = "Lý do báo cáo không được vượt quá 500 ký tự")
+    private String reason;
+}
@@ -1,6 +1,8 @@
 package com.dupss.app.BE_Dupss.dto.request;
 
 import jakarta.validation.Valid;
+import jakarta.validation.constraints.Max;
+import jakarta.validation.constraints.Min;
 import jakarta.validation.constraints.NotBlank;
 import jakarta.validation.constraints.NotNull;
 import jakarta.validation.constraints.Positive;
@@ -29,6 +31,10 @@ public class CourseCreateRequest {
     @Positive(message = "Thời lượng khóa học phải lớn hơn 0")
     private Integer duration;
 
+    @Min(value = 1, message = "Ngưỡng hoàn thành video phải từ 1 đến 100%")
+    @Max(value = 100, message = "Ngưỡng hoàn thành video phải từ 1 đến 100%")
+    private Integer videoCompletionThreshold;
+
     private String modules;
 
     private String quiz;
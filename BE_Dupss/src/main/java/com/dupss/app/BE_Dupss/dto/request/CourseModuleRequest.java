@@ -1,5 +1,6 @@
 package com.dupss.app.BE_Dupss.dto.request;
 
+import com.dupss.app.BE_Dupss.entity.LessonMediaType;
 import com.dupss.app.BE_Dupss.entity.VideoCourse;
 import jakarta.validation.Valid;
 import jakarta.validation.constraints.NotBlank;
@@ -36,6 +37,12 @@ public class CourseModuleRequest {
 
         @NotBlank(message = "Đường dẫn video không được để trống")
         private String videoUrl;
+
+        // Bỏ trống thì đoán theo đường dẫn (YouTube, tệp video hoặc tài liệu)
+        private LessonMediaType mediaType;
+
+        // Thời lượng Cloudinary trả về khi tải video lên, hoặc staff nhập với video YouTube/link tệp video
+        private Double durationSeconds;
     }
 
 } 
\ No newline at end of file
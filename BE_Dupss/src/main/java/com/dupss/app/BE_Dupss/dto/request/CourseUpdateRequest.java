@@ -1,6 +1,8 @@
 package com.dupss.app.BE_Dupss.dto.request;
 
 import com.dupss.app.BE_Dupss.entity.ApprovalStatus;
+import jakarta.validation.constraints.Max;
+import jakarta.validation.constraints.Min;
 import jakarta.validation.constraints.NotBlank;
 import jakarta.validation.constraints.NotNull;
 import lombok.AllArgsConstructor;
@@ -20,6 +22,9 @@ public class CourseUpdateRequest {
     private MultipartFile coverImage;
     private String content;
     private Integer duration;
+    @Min(value = 1, message = "Ngưỡng hoàn thành video phải từ 1 đến 100%")
+    @Max(value = 100, message = "Ngưỡng hoàn thành video phải từ 1 đến 100%")
+    private Integer videoCompletionThreshold;
     private String modules;
     private String quiz;
 }
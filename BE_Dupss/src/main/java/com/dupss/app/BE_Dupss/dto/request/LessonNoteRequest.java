@@ -0,0 +1,22 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import jakarta.validation.constraints.Min;
+import jakarta.validation.constraints.NotNull;
+import jakarta.validation.constraints.Size;
+import lombok.AllArgsConstructor;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+public class LessonNoteRequest {
+
+    @NotNull(message = "Thời điểm ghi chú không được để trống")
+    @Min(value = 0, message = "Thời điểm ghi chú không hợp lệ")
+    private Double timestampSeconds;
+
+    // Để trống để tạo dấu trang
+    @Size(max = 5000, message = "Ghi chú không được vượt quá 5000 ký tự")
+    private String content;
+}
@@ -0,0 +1,19 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import com.dupss.app.BE_Dupss.entity.NotificationType;
+import lombok.AllArgsConstructor;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.util.HashSet;
+import java.util.Set;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+public class NotificationPreferenceRequest {
+
+    private Set<NotificationType> disabledTypes = new HashSet<>();
+
+    private Set<Long> followedTopicIds = new HashSet<>();
+}
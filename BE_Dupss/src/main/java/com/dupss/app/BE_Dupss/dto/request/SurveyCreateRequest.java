@@ -1,10 +1,15 @@
 package com.dupss.app.BE_Dupss.dto.request;
 
+import com.dupss.app.BE_Dupss.entity.BranchAction;
+import com.dupss.app.BE_Dupss.entity.QuestionType;
+import com.dupss.app.BE_Dupss.entity.RiskLevel;
 import jakarta.validation.Valid;
 import jakarta.validation.constraints.Future;
+import jakarta.validation.constraints.Min;
 import jakarta.validation.constraints.NotBlank;
 import jakarta.validation.constraints.NotEmpty;
 import jakarta.validation.constraints.NotNull;
+import jakarta.validation.constraints.Size;
 import lombok.AllArgsConstructor;
 import lombok.Builder;
 import lombok.Data;
@@ -29,6 +34,10 @@ public class SurveyCreateRequest {
     public static class SurveySection {
         private Long sectionId;
         private String sectionName;
+
+        // Số câu rút ngẫu nhiên cho mỗi lượt làm bài kiểm tra khóa học, null = tất cả
+        @Min(value = 1, message = "Số câu hỏi rút ngẫu nhiên phải lớn hơn hoặc bằng 1")
+        private Integer drawCount;
         List<QuestionRequest> questions;
         @Data
         @AllArgsConstructor
@@ -39,6 +48,20 @@ public class SurveyCreateRequest {
 
             @NotBlank(message = "Tên câu hỏi không được để trống")
             private String questionText;
+
+            // Mặc định SINGLE_CHOICE nếu không truyền
+            private QuestionType questionType;
+
+            // Hệ số nhân điểm, mặc định 1
+            @Min(value = 1, message = "Hệ số câu hỏi phải lớn hơn hoặc bằng 1")
+            private Integer weight;
+
+            @Size(max = 2000, message = "Giải thích không được vượt quá 2000 ký tự")
+            private String explanation;
+
+            // Bài học liên quan (chỉ với bài kiểm tra khóa học), xem LessonReference
+            @Valid
+            private LessonReference reference;
             @Valid
             private List<OptionRequest> options;
         }
@@ -54,11 +77,59 @@ public class SurveyCreateRequest {
 
             @NotNull(message = "Điểm không được để trống")
             private Integer score;
+
+            // Khoảng giá trị cho câu hỏi NUMERIC
+            private Double minValue;
+            private Double maxValue;
+
+            // Mặc định NEXT_SECTION nếu không truyền
+            private BranchAction branchAction;
+
+            // Vị trí (bắt đầu từ 0) của section đích trong danh sách sections của request
+            private Integer targetSectionIndex;
+
+            @Size(max = 2000, message = "Giải thích không được vượt quá 2000 ký tự")
+            private String explanation;
+
+            @Valid
+            private LessonReference reference;
+        }
+
+        /**
+         * Chương/bài học liên quan theo vị trí (bắt đầu từ 0) trong danh sách modules gửi cùng khóa học,
+         * vì chương/bài học mới chưa có id khi soạn. Máy chủ chuyển thành moduleId/videoId sau khi lưu các chương.
+         * videoIndex null nghĩa là tham chiếu cả chương.
+         */
+        @Data
+        @AllArgsConstructor
+        @NoArgsConstructor
+        public static class LessonReference {
+            @NotNull(message = "Chưa chọn chương tham chiếu")
+            @Min(value = 0, message = "Chương tham chiếu không hợp lệ")
+            private Integer moduleIndex;
+
+            @Min(value = 0, message = "Bài học tham chiếu không hợp lệ")
+            private Integer videoIndex;
+
+            private Long moduleId;
+            private Long videoId;
         }
     }
     @Valid
     @NotEmpty(message = "Phải có ít nhất một điều kiện")
     private List<ConditionRequest> conditions;
+
+    // Cấu hình lượt làm bài kiểm tra khóa học, bỏ trống là không giới hạn
+    @Min(value = 1, message = "Thời gian làm bài phải lớn hơn hoặc bằng 1 phút")
+    private Integer timeLimitMinutes;
+
+    @Min(value = 1, message = "Số lượt làm bài tối đa phải lớn hơn hoặc bằng 1")
+    private Integer maxAttempts;
+
+    @Min(value = 0, message = "Thời gian chờ giữa các lượt làm bài không hợp lệ")
+    private Integer attemptCooldownMinutes;
+
+    private Boolean shuffleOptions;
     @Data
     public static class ConditionRequest {
         private Long conditionId;
@@ -69,6 +140,11 @@ public class SurveyCreateRequest {
         @NotNull
         private Integer value;
 
+        // Cận trên khi operator là RANGE
+        private Integer maxValue;
+
+        private RiskLevel riskLevel;
+
         @NotBlank
         private String message;
     }
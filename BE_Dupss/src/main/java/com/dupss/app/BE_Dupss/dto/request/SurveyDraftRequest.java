@@ -0,0 +1,26 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import jakarta.validation.constraints.Min;
+import jakarta.validation.constraints.NotBlank;
+import jakarta.validation.constraints.NotNull;
+import jakarta.validation.constraints.Size;
+import lombok.AllArgsConstructor;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+public class SurveyDraftRequest {
+    @NotBlank(message = "Dữ liệu bài làm không được để trống")
+    @Size(max = 100000, message = "Dữ liệu bài làm quá lớn")
+    private String state;
+
+    @NotNull
+    @Min(0)
+    private Integer answeredCount;
+
+    @NotNull
+    @Min(0)
+    private Integer totalQuestions;
+}
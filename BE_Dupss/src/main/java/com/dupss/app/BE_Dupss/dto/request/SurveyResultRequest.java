@@ -1,11 +1,13 @@
 package com.dupss.app.BE_Dupss.dto.request;
 
-import jakarta.validation.constraints.NotEmpty;
+import jakarta.validation.Valid;
 import jakarta.validation.constraints.NotNull;
+import jakarta.validation.constraints.Size;
 import lombok.AllArgsConstructor;
 import lombok.Data;
 import lombok.NoArgsConstructor;
 
+import java.util.ArrayList;
 import java.util.List;
 @Data
 @AllArgsConstructor
@@ -14,7 +16,26 @@ public class SurveyResultRequest {
     @NotNull(message = "Survey ID cannot be null")
     private Long surveyId;
 
+    // Lượt làm bài kiểm tra khóa học mà bài nộp thuộc về, không dùng cho khảo sát
+    private Long attemptId;
 
-    @NotEmpty(message = "Selected option IDs cannot be empty")
-    private List<Long> selectedOptionIds;
+    // Có thể rỗng nếu khảo sát chỉ gồm câu hỏi nhập số/văn bản
+    private List<Long> selectedOptionIds = new ArrayList<>();
+
+    // Câu trả lời cho câu hỏi NUMERIC và FREE_TEXT
+    @Valid
+    private List<AnswerRequest> answers = new ArrayList<>();
+
+    @Data
+    @AllArgsConstructor
+    @NoArgsConstructor
+    public static class AnswerRequest {
+        @NotNull(message = "Question ID cannot be null")
+        private Long questionId;
+
+        private Double numericValue;
+
+        @Size(max = 2000, message = "Câu trả lời không được vượt quá 2000 ký tự")
+        private String textValue;
+    }
 }
@@ -16,6 +16,7 @@ import org.springframework.web.multipart.MultipartFile;
 
 import java.time.LocalDate;
 import java.util.Date;
+import java.util.List;
 
 
 @Data
@@ -44,4 +45,6 @@ public class UpdateUserRequest {
     private String bio;
     private String certificates;
     private AcademicTitle academicTitle;
+    // Chủ đề chuyên môn; danh sách rỗng để xóa hết
+    private List<Long> topicIds;
 }
\ No newline at end of file
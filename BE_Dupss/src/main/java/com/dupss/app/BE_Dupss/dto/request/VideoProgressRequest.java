@@ -0,0 +1,39 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import jakarta.validation.Valid;
+import jakarta.validation.constraints.NotNull;
+import jakarta.validation.constraints.PositiveOrZero;
+import lombok.AllArgsConstructor;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+public class VideoProgressRequest {
+
+    // Các đoạn đã phát từ lần đồng bộ trước, tính bằng giây
+    @Valid
+    private List<SegmentRequest> segments = new ArrayList<>();
+
+    @PositiveOrZero(message = "Vị trí xem không hợp lệ")
+    private Double position;
+
+    // Thời lượng trình phát báo về, chỉ dùng tạm khi bài học chưa có thời lượng đã lưu
+    @PositiveOrZero(message = "Thời lượng video không hợp lệ")
+    private Double duration;
+
+    @Data
+    @NoArgsConstructor
+    @AllArgsConstructor
+    public static class SegmentRequest {
+        @NotNull
+        private Double start;
+
+        @NotNull
+        private Double end;
+    }
+}
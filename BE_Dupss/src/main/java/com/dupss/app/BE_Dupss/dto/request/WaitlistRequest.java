@@ -0,0 +1,36 @@
+package com.dupss.app.BE_Dupss.dto.request;
+
+import com.fasterxml.jackson.annotation.JsonFormat;
+import jakarta.validation.constraints.Email;
+import jakarta.validation.constraints.NotNull;
+import lombok.AllArgsConstructor;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDate;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+public class WaitlistRequest {
+
+    // Bỏ trống để chờ bất kỳ tư vấn viên nào
+    private Long consultantId;
+
+    // Bỏ trống để không giới hạn chủ đề
+    private Long topicId;
+
+    @NotNull(message = "Ngày bắt đầu không được để trống")
+    @JsonFormat(pattern = "dd/MM/yyyy")
+    private LocalDate dateFrom;
+
+    @NotNull(message = "Ngày kết thúc không được để trống")
+    @JsonFormat(pattern = "dd/MM/yyyy")
+    private LocalDate dateTo;
+
+    // Bắt buộc với khách chưa đăng nhập (kiểm tra trong service), thành viên mặc định dùng thông tin tài khoản
+    private String customerName;
+
+    @Email(message = "Email không hợp lệ")
+    private String email;
+}
@@ -29,6 +29,9 @@ public class AppointmentResponseDto {
     private String consultantName;
     private Long consultantId;
     private boolean isGuest;
+    private boolean isAnonymous;
+    // Mã truy cập của cuộc hẹn ẩn danh, chỉ có trong phản hồi khi vừa đặt lịch
+    private String accessCode;
     private String status;
     private Long userId;
 
@@ -38,9 +41,12 @@ public class AppointmentResponseDto {
     @JsonFormat(pattern = "dd/MM/yyyy HH:mm:ss")
     private LocalDateTime checkOutTime;
 
+    private String customerNote;
     private String consultantNote;
     private Integer reviewScore;
     private String customerReview;
     private boolean isReview;
+    private int rescheduleCount;
+    private String rescheduleNotice;
     private String linkGoogleMeet;
 }
\ No newline at end of file
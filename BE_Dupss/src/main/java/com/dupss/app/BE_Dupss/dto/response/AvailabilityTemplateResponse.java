@@ -0,0 +1,31 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.dto.request.AvailabilityTemplateRequest;
+import com.fasterxml.jackson.annotation.JsonFormat;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.List;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class AvailabilityTemplateResponse {
+
+    private int slotMinutes;
+
+    private int weeks;
+
+    private List<AvailabilityTemplateRequest.Rule> rules;
+
+    @JsonFormat(pattern = "dd/MM/yyyy")
+    private List<LocalDate> exceptionDates;
+
+    @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
+    private LocalDateTime updatedAt;
+}
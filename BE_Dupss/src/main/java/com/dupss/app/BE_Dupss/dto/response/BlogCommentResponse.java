@@ -0,0 +1,38 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.entity.CommentStatus;
+import com.dupss.app.BE_Dupss.entity.ReactionType;
+import com.fasterxml.jackson.annotation.JsonFormat;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.List;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class BlogCommentResponse {
+    private Long id;
+    private Long blogId;
+    private Long parentId;
+    private Long authorId;
+    private String authorName;
+    private String authorAvatar;
+    private boolean blogAuthor;
+    private String content;
+    private int likes;
+    private int dislikes;
+    private ReactionType myReaction;
+    private CommentStatus status;
+
+    @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
+    private LocalDateTime createdAt;
+
+    @Builder.Default
+    private List<BlogCommentResponse> replies = new ArrayList<>();
+}
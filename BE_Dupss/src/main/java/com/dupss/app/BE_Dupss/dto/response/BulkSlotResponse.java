@@ -0,0 +1,25 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.util.List;
+
+/**
+ * Kết quả đăng ký/xóa slot hàng loạt
+ */
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class BulkSlotResponse {
+
+    private int created;
+
+    private int removed;
+
+    // Các slot bị bỏ qua kèm lý do (trùng slot đã có, nằm trong quá khứ...)
+    private List<String> skipped;
+}
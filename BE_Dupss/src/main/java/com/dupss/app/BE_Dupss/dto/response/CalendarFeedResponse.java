@@ -0,0 +1,20 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class CalendarFeedResponse {
+    // URL feed lịch cá nhân, dán vào Google Calendar/Outlook/Apple Calendar để đồng bộ lịch hẹn.
+    // Chỉ có khi vừa tạo URL mới, vì hệ thống chỉ lưu mã băm của token
+    private String feedUrl;
+    private boolean active;
+    private LocalDateTime expiresAt;
+}
@@ -0,0 +1,21 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.entity.ChatRole;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class ChatMessageResponse {
+    private Long id;
+    private ChatRole role;
+    private String content;
+    private boolean stopped;
+    private LocalDateTime createdAt;
+}
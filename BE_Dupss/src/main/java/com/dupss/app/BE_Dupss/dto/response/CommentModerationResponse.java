@@ -0,0 +1,36 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.entity.CommentStatus;
+import com.fasterxml.jackson.annotation.JsonFormat;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+import java.util.List;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class CommentModerationResponse {
+    private Long id;
+    private String content;
+    private String authorName;
+    private String authorUsername;
+    private CommentStatus status;
+    private int flagCount;
+    private List<String> reportReasons;
+
+    private Long blogId;
+    private String blogTitle;
+    private String blogDescription;
+
+    // Bình luận được trả lời, giúp manager xem bình luận trong ngữ cảnh
+    private String parentAuthorName;
+    private String parentContent;
+
+    @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
+    private LocalDateTime createdAt;
+}
@@ -1,5 +1,6 @@
 package com.dupss.app.BE_Dupss.dto.response;
 
+import com.dupss.app.BE_Dupss.entity.AcademicTitle;
 import lombok.AllArgsConstructor;
 import lombok.Data;
 import lombok.NoArgsConstructor;
@@ -15,4 +16,10 @@ public class ConsultantResponse {
     private String avatar;
     private String certificates;
     private String bio;
+    private AcademicTitle academicTitle;
+    private List<Long> topicIds;
+    private List<String> topicNames;
+    // Điểm đánh giá trung bình (1-5) từ các cuộc hẹn đã được đánh giá, null nếu chưa có
+    private Double averageRating;
+    private long reviewCount;
 }
@@ -22,11 +22,15 @@ public class CourseResponse {
     private String coverImage;
     private String content;
     private int duration;
+    private int videoCompletionThreshold;
+    private Double progress;
     private LocalDateTime createdAt;
     private LocalDateTime updatedAt;
     private String creator;
     private List<CourseModuleResponse> modules;
     private SurveyResponse quiz;
+    // Giải thích và bài học liên quan của câu hỏi/đáp án quiz, chỉ có với người soạn/duyệt khóa học
+    private List<QuizExplanationResponse> quizExplanations;
     private ApprovalStatus status;
 
 } 
\ No newline at end of file
@@ -0,0 +1,18 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.entity.LessonMediaType;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+@Data
+@Builder
+@NoArgsConstructor
+@AllArgsConstructor
+public class LessonMediaResponse {
+    private String url;
+    private LessonMediaType mediaType;
+    private Double durationSeconds;
+    private String fileName;
+}
@@ -0,0 +1,38 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.fasterxml.jackson.annotation.JsonFormat;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class LessonNoteResponse {
+
+    private Long id;
+
+    private Long courseId;
+
+    private String courseTitle;
+
+    private Long videoId;
+
+    private String videoTitle;
+
+    private Double timestampSeconds;
+
+    private String content;
+
+    private boolean bookmark;
+
+    @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
+    private LocalDateTime createdAt;
+
+    @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
+    private LocalDateTime updatedAt;
+}
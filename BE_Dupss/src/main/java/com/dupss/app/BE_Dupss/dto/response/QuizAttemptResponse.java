@@ -0,0 +1,25 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+import java.util.List;
+
+@Data
+@Builder
+@NoArgsConstructor
+@AllArgsConstructor
+public class QuizAttemptResponse {
+    private Long attemptId;
+    private int attemptNumber;
+    private Integer maxAttempts;
+    private LocalDateTime startedAt;
+    private LocalDateTime deadline;
+    // Số giây còn lại tính theo giờ máy chủ, null khi không giới hạn thời gian
+    private Long remainingSeconds;
+    // Chỉ gồm các câu hỏi được rút cho lượt này, đáp án đã được xáo trộn nếu bật
+    private List<SurveyResponse.SurveySectionDTO> sections;
+}
@@ -0,0 +1,29 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+@Data
+@Builder
+@NoArgsConstructor
+@AllArgsConstructor
+public class QuizAttemptStatusResponse {
+    private int attemptsUsed;
+    // null khi không giới hạn số lượt
+    private Integer maxAttempts;
+    private Integer remainingAttempts;
+    private Integer timeLimitMinutes;
+    private Integer attemptCooldownMinutes;
+    // Số câu hỏi của mỗi lượt làm bài (sau khi rút ngẫu nhiên)
+    private int questionCount;
+    private boolean canStart;
+    // Còn lượt đang làm dở chưa hết giờ, bắt đầu lại sẽ tiếp tục lượt đó
+    private boolean inProgress;
+    private LocalDateTime nextAttemptAt;
+    // Lý do không thể làm bài
+    private String message;
+}
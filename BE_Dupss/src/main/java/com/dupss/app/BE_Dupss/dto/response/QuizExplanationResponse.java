@@ -0,0 +1,43 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.entity.SurveyOption;
+import com.dupss.app.BE_Dupss.entity.SurveyQuestion;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+/**
+ * Giải thích và bài học liên quan của một câu hỏi (optionId null) hoặc một đáp án trong bài kiểm tra khóa học.
+ * Chỉ trả về cho người soạn/duyệt khóa học; người học chỉ thấy sau khi nộp bài
+ */
+@Data
+@Builder
+@NoArgsConstructor
+@AllArgsConstructor
+public class QuizExplanationResponse {
+    private Long questionId;
+    private Long optionId;
+    private String explanation;
+    private Long referenceModuleId;
+    private Long referenceVideoId;
+
+    public static QuizExplanationResponse fromEntity(SurveyQuestion question) {
+        return QuizExplanationResponse.builder()
+                .questionId(question.getId())
+                .explanation(question.getExplanation())
+                .referenceModuleId(question.getReferenceModuleId())
+                .referenceVideoId(question.getReferenceVideoId())
+                .build();
+    }
+
+    public static QuizExplanationResponse fromEntity(SurveyOption option) {
+        return QuizExplanationResponse.builder()
+                .questionId(option.getQuestion().getId())
+                .optionId(option.getId())
+                .explanation(option.getExplanation())
+                .referenceModuleId(option.getReferenceModuleId())
+                .referenceVideoId(option.getReferenceVideoId())
+                .build();
+    }
+}
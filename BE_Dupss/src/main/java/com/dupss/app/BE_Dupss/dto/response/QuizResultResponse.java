@@ -1,10 +1,12 @@
 package com.dupss.app.BE_Dupss.dto.response;
 
+import com.dupss.app.BE_Dupss.entity.QuestionType;
 import com.fasterxml.jackson.annotation.JsonFormat;
 import lombok.Builder;
 import lombok.Data;
 
 import java.time.LocalDateTime;
+import java.util.List;
 
 @Builder
 @Data
@@ -14,4 +16,44 @@ public class QuizResultResponse {
     private String message;
     @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
     private LocalDateTime submittedAt;
+    // Xem lại từng câu hỏi theo thứ tự của lượt làm bài
+    private List<QuestionReview> review;
+
+    @Builder
+    @Data
+    public static class QuestionReview {
+        private Long questionId;
+        private String sectionName;
+        private String questionText;
+        private QuestionType questionType;
+        // null với câu hỏi không có đáp án đúng (trả lời tự do)
+        private Boolean correct;
+        // Giá trị đã nhập với câu hỏi NUMERIC/FREE_TEXT
+        private Double numericValue;
+        private String textValue;
+        private String explanation;
+        private LessonLink lesson;
+        private List<OptionReview> options;
+    }
+
+    @Builder
+    @Data
+    public static class OptionReview {
+        private Long id;
+        private String optionText;
+        private boolean selected;
+        private boolean correct;
+        private String explanation;
+        private LessonLink lesson;
+    }
+
+    /**
+     * Bài học để xem lại trong trang học của khóa học
+     */
+    @Builder
+    @Data
+    public static class LessonLink {
+        private Long videoId;
+        private String title;
+    }
 }
@@ -26,4 +26,6 @@ public class SlotResponseDto {
     private LocalTime endTime;
 
     private String consultantName;
+
+    private Long consultantId;
 } 
\ No newline at end of file
@@ -0,0 +1,86 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.entity.QuestionType;
+import com.dupss.app.BE_Dupss.entity.RiskLevel;
+import com.fasterxml.jackson.annotation.JsonFormat;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDate;
+import java.util.List;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class SurveyAnalyticsResponse {
+    private Long surveyId;
+    private String surveyTitle;
+    private int totalResponses;
+    private Double averageScore;
+    private Integer maxScore;
+    private List<ScoreBucketDTO> scoreHistogram;
+    private List<RiskBandDTO> riskBands;
+    private List<QuestionDistributionDTO> questions;
+    private List<WeeklyTrendDTO> weeklyTrend;
+
+    // Số người có điểm trong khoảng [from, to]
+    @Data
+    @AllArgsConstructor
+    @NoArgsConstructor
+    @Builder
+    public static class ScoreBucketDTO {
+        private int from;
+        private int to;
+        private long count;
+    }
+
+    // Số người rơi vào một điều kiện đánh giá; condition null là nhóm không khớp điều kiện nào
+    @Data
+    @AllArgsConstructor
+    @NoArgsConstructor
+    @Builder
+    public static class RiskBandDTO {
+        private String condition;
+        private RiskLevel riskLevel;
+        private String message;
+        private long count;
+    }
+
+    @Data
+    @AllArgsConstructor
+    @NoArgsConstructor
+    @Builder
+    public static class QuestionDistributionDTO {
+        private Long questionId;
+        private String sectionName;
+        private String questionText;
+        private QuestionType questionType;
+        // Số người đã trả lời câu hỏi (kể cả câu tự luận/nhập số)
+        private long answeredCount;
+        private List<OptionCountDTO> options;
+    }
+
+    @Data
+    @AllArgsConstructor
+    @NoArgsConstructor
+    @Builder
+    public static class OptionCountDTO {
+        private Long optionId;
+        private String optionText;
+        private long count;
+    }
+
+    @Data
+    @AllArgsConstructor
+    @NoArgsConstructor
+    @Builder
+    public static class WeeklyTrendDTO {
+        @JsonFormat(pattern = "dd/MM/yyyy")
+        private LocalDate weekStart;
+        private long responses;
+        private Double averageScore;
+    }
+}
@@ -0,0 +1,20 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+@Data
+@AllArgsConstructor
+@NoArgsConstructor
+@Builder
+public class SurveyDraftResponse {
+    private Long surveyId;
+    private String state;
+    private Integer answeredCount;
+    private Integer totalQuestions;
+    private LocalDateTime updatedAt;
+}
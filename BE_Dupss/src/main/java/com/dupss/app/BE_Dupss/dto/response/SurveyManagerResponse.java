@@ -23,4 +23,7 @@ public class SurveyManagerResponse {
     private String createdBy;
     private ApprovalStatus status;
     private String checkedBy;
+    // Chủ đề của khóa học có bài kiểm tra này; null với khảo sát đánh giá nguy cơ
+    private Long topicId;
+    private String topicName;
 } 
\ No newline at end of file
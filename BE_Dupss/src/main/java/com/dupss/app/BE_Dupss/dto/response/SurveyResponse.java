@@ -27,6 +27,12 @@ public class SurveyResponse {
     private List<SurveyConditionDTO> conditions;
     private ApprovalStatus approvalStatus;
 
+    // Cấu hình lượt làm bài, chỉ có với bài kiểm tra khóa học
+    private Integer timeLimitMinutes;
+    private Integer maxAttempts;
+    private Integer attemptCooldownMinutes;
+    private Boolean shuffleOptions;
+
     @Data
     @Builder
     @NoArgsConstructor
@@ -34,12 +40,14 @@ public class SurveyResponse {
     public static class SurveySectionDTO {
         private Long id;
         private String sectionName;
+        private Integer drawCount;
         private List<SurveyQuestionDTO> questions;
 
         public static SurveySectionDTO fromEntity(SurveySection section) {
             return SurveySectionDTO.builder()
                     .id(section.getId())
                     .sectionName(section.getSectionName())
+                    .drawCount(section.getDrawCount())
                     .questions(
                             section.getQuestions().stream()
                                     .map(SurveyQuestionDTO::fromEntity)
@@ -56,12 +64,16 @@ public class SurveyResponse {
     public static class SurveyQuestionDTO {
         private Long id;
         private String questionText;
+        private QuestionType questionType;
+        private Integer weight;
         private List<SurveyOptionDTO> options;
 
         public static SurveyQuestionDTO fromEntity(SurveyQuestion question) {
             return SurveyQuestionDTO.builder()
                     .id(question.getId())
                     .questionText(question.getQuestionText())
+                    .questionType(question.getQuestionType() != null ? question.getQuestionType() : QuestionType.SINGLE_CHOICE)
+                    .weight(question.getWeight() != null ? question.getWeight() : 1)
 //                    .required(question.isRequired())
                     .options(
                             question.getOptions().stream()
@@ -80,12 +92,20 @@ public class SurveyResponse {
         private Long id;
         private String optionText;
         private Integer score;
+        private Double minValue;
+        private Double maxValue;
+        private BranchAction branchAction;
+        private Long targetSectionId;
 
         public static SurveyOptionDTO fromEntity(SurveyOption option) {
             return SurveyOptionDTO.builder()
                     .id(option.getId())
                     .optionText(option.getOptionText())
                     .score(option.getScore())
+                    .minValue(option.getMinValue())
+                    .maxValue(option.getMaxValue())
+                    .branchAction(option.getBranchAction() != null ? option.getBranchAction() : BranchAction.NEXT_SECTION)
+                    .targetSectionId(option.getTargetSection() != null ? option.getTargetSection().getId() : null)
                     .build();
         }
     }
@@ -98,6 +118,8 @@ public class SurveyResponse {
         private Long id;
         private String operator;
         private Integer value;
+        private Integer maxValue;
+        private RiskLevel riskLevel;
         private String message;
 
         public static SurveyConditionDTO fromEntity(SurveyCondition c) {
@@ -105,6 +127,8 @@ public class SurveyResponse {
                     .id(c.getId())
                     .operator(c.getOperator())
                     .value(c.getValue())
+                    .maxValue(c.getMaxValue())
+                    .riskLevel(c.getRiskLevel())
                     .message(c.getMessage())
                     .build();
         }
@@ -1,5 +1,6 @@
 package com.dupss.app.BE_Dupss.dto.response;
 
+import com.dupss.app.BE_Dupss.entity.RiskLevel;
 import com.fasterxml.jackson.annotation.JsonFormat;
 import lombok.AllArgsConstructor;
 import lombok.Builder;
@@ -7,16 +8,33 @@ import lombok.Data;
 import lombok.NoArgsConstructor;
 
 import java.time.LocalDateTime;
+import java.util.List;
 
 @Data
 @AllArgsConstructor
 @NoArgsConstructor
 @Builder
 public class SurveyResultResponse {
+    private Long surveyId;
     private String surveyName;
+    // Bài kiểm tra của khóa học, không phải khảo sát đánh giá nguy cơ
+    private boolean forCourse;
     private Integer totalScore;
     private Integer score;
     private String advice;
+    private RiskLevel riskLevel;
+    // Điểm theo từng phần, chỉ có khi vừa chấm (không lưu lại)
+    private List<SectionScoreDTO> sectionScores;
     @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
     private LocalDateTime submittedAt;
+
+    @Data
+    @AllArgsConstructor
+    @NoArgsConstructor
+    @Builder
+    public static class SectionScoreDTO {
+        private String sectionName;
+        private Integer score;
+        private Integer maxScore;
+    }
 }
@@ -9,6 +9,7 @@ import lombok.NoArgsConstructor;
 
 import java.time.LocalDate;
 import java.util.Date;
+import java.util.List;
 
 
 @Data
@@ -34,6 +35,7 @@ public class UpdateUserResponse {
     private String bio;
     private String certificates;
     private AcademicTitle academicTitle;
+    private List<Long> topicIds;
 
     private ERole role;
     private String message;
@@ -8,6 +8,7 @@ import lombok.Setter;
 
 import java.time.LocalDate;
 import java.util.Date;
+import java.util.List;
 
 @Getter
 @Setter
@@ -27,5 +28,6 @@ public class UserDetailResponse {
     private String bio;
     private String certificates;
     private AcademicTitle academicTitle;
+    private List<Long> topicIds;
     private String role;
 }
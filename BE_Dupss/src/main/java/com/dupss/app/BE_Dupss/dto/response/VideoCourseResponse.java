@@ -1,5 +1,6 @@
 package com.dupss.app.BE_Dupss.dto.response;
 
+import com.dupss.app.BE_Dupss.entity.LessonMediaType;
 import lombok.AllArgsConstructor;
 import lombok.Builder;
 import lombok.Data;
@@ -13,5 +14,9 @@ public class VideoCourseResponse {
     private Long id;
     private String title;
     private String videoUrl;
+    private LessonMediaType mediaType;
     private boolean watched;
+    private Double lastPosition;
+    private Double durationSeconds;
+    private double watchedPercent;
 }
@@ -0,0 +1,21 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+@Data
+@Builder
+@NoArgsConstructor
+@AllArgsConstructor
+public class VideoProgressResponse {
+    private Long videoId;
+    private boolean watched;
+    private double watchedSeconds;
+    private double watchedPercent;
+    private Double lastPosition;
+    private Double durationSeconds;
+    private int completionThreshold;
+    private double courseProgress;
+}
@@ -0,0 +1,52 @@
+package com.dupss.app.BE_Dupss.dto.response;
+
+import com.dupss.app.BE_Dupss.entity.WaitlistStatus;
+import com.fasterxml.jackson.annotation.JsonFormat;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class WaitlistResponse {
+
+    private Long id;
+
+    private String customerName;
+
+    private String email;
+
+    private Long consultantId;
+
+    private String consultantName;
+
+    private Long topicId;
+
+    private String topicName;
+
+    @JsonFormat(pattern = "dd/MM/yyyy")
+    private LocalDate dateFrom;
+
+    @JsonFormat(pattern = "dd/MM/yyyy")
+    private LocalDate dateTo;
+
+    private WaitlistStatus status;
+
+    // Slot đang được giữ (chỉ khi status = OFFERED)
+    private SlotResponseDto heldSlot;
+
+    // Chỉ trả về cho chính người đăng ký để mở trang đặt lịch với slot đang giữ
+    private String holdToken;
+
+    @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
+    private LocalDateTime holdExpiresAt;
+
+    @JsonFormat(pattern = "dd/MM/yyyy HH:mm")
+    private LocalDateTime createdAt;
+}
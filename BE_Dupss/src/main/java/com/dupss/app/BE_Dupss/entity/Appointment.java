@@ -40,9 +40,9 @@ public class Appointment {
     private String phoneNumber;
 
     /**
-     * Email của khách hàng, dùng để liên hệ và xác nhận cuộc hẹn
+     * Email của khách hàng, dùng để liên hệ và xác nhận cuộc hẹn (null với cuộc hẹn ẩn danh)
      */
-    @Column(name = "email", nullable = false)
+    @Column(name = "email")
     private String email;
 
     /**
@@ -77,6 +77,24 @@ public class Appointment {
     @Column(name = "is_guest", nullable = false)
     private boolean isGuest = true;
 
+    /**
+     * Đánh dấu cuộc hẹn đặt ẩn danh: khách chỉ dùng bí danh, không lưu email và số điện thoại
+     */
+    @Column(name = "is_anonymous", nullable = false)
+    private boolean isAnonymous = false;
+
+    /**
+     * Mã băm SHA-256 của mã truy cập cuộc hẹn ẩn danh, mã gốc chỉ được trả về một lần khi đặt lịch
+     */
+    @Column(name = "access_code_hash", unique = true, length = 64)
+    private String accessCodeHash;
+
+    /**
+     * Mã băm SHA-256 địa chỉ IP đã đặt cuộc hẹn ẩn danh, chỉ dùng để giới hạn số lịch ẩn danh đang mở của một người đặt
+     */
+    @Column(name = "booked_from_hash", length = 64)
+    private String bookedFromHash;
+
     /**
      * Người dùng đã đăng ký đặt lịch (nếu không phải khách vãng lai)
      */
@@ -103,6 +121,12 @@ public class Appointment {
     @Column(name = "check_out_time")
     private LocalDateTime checkOutTime;
 
+    /**
+     * Ghi chú của khách hàng khi đặt lịch (có thể là tóm tắt cuộc trò chuyện với trợ lý AI)
+     */
+    @Column(name = "customer_note", length = 2000)
+    private String customerNote;
+
     /**
      * Ghi chú của tư vấn viên sau khi hoàn thành cuộc hẹn
      */
@@ -127,6 +151,19 @@ public class Appointment {
     @Column(name = "is_review", nullable = false)
     private boolean isReview = false;
 
+    /**
+     * Số lần cuộc hẹn đã được đổi lịch (giữ nguyên ID, lịch sử và phòng họp)
+     */
+    @Column(name = "reschedule_count", nullable = false)
+    private int rescheduleCount = 0;
+
+    /**
+     * Thông báo lần đổi lịch gần nhất do tư vấn viên thực hiện, hiển thị khi khách tra cứu cuộc hẹn
+     * (cuộc hẹn ẩn danh không có email để gửi thông báo)
+     */
+    @Column(name = "reschedule_notice", length = 500)
+    private String rescheduleNotice;
+
     /**
      * Đường link đến phòng họp trực tuyến
      */
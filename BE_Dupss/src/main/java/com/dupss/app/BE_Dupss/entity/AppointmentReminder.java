@@ -0,0 +1,40 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+/**
+ * Đánh dấu một mốc nhắc lịch (ví dụ 24 giờ, 15 phút trước giờ hẹn) đã được gửi cho một cuộc hẹn.
+ * Lưu kèm thời điểm bắt đầu cuộc hẹn để khi đổi lịch, các mốc nhắc được gửi lại theo giờ mới.
+ */
+@Entity
+@Table(name = "appointment_reminders", uniqueConstraints = @UniqueConstraint(
+        columnNames = {"appointment_id", "offset_minutes", "appointment_start"}))
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class AppointmentReminder {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "appointment_id", nullable = false)
+    private Appointment appointment;
+
+    @Column(name = "offset_minutes", nullable = false)
+    private long offsetMinutes;
+
+    @Column(name = "appointment_start", nullable = false)
+    private LocalDateTime appointmentStart;
+
+    @Column(name = "sent_at", nullable = false)
+    private LocalDateTime sentAt;
+}
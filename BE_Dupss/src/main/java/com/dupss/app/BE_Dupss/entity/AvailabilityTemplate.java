@@ -0,0 +1,61 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.ArrayList;
+import java.util.List;
+
+/**
+ * Mẫu lịch làm việc hàng tuần của tư vấn viên (mỗi tư vấn viên một mẫu).
+ * Áp dụng mẫu sẽ đăng ký hàng loạt slot có độ dài slotMinutes trong các khung giờ của mẫu cho số tuần đã chọn,
+ * bỏ qua các ngày ngoại lệ (ngày lễ, nghỉ phép).
+ */
+@Entity
+@Table(name = "availability_templates")
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class AvailabilityTemplate {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @OneToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "consultant_id", nullable = false, unique = true)
+    private User consultant;
+
+    @Column(name = "slot_minutes", nullable = false)
+    private int slotMinutes;
+
+    @Column(name = "weeks", nullable = false)
+    private int weeks;
+
+    @ElementCollection
+    @CollectionTable(name = "availability_template_rules", joinColumns = @JoinColumn(name = "template_id"))
+    @OrderBy("dayOfWeek ASC, startTime ASC")
+    @Builder.Default
+    private List<AvailabilityRule> rules = new ArrayList<>();
+
+    @ElementCollection
+    @CollectionTable(name = "availability_template_exceptions", joinColumns = @JoinColumn(name = "template_id"))
+    @Column(name = "exception_date", nullable = false)
+    @OrderBy
+    @Builder.Default
+    private List<LocalDate> exceptionDates = new ArrayList<>();
+
+    private LocalDateTime updatedAt;
+
+    @PrePersist
+    @PreUpdate
+    public void touch() {
+        this.updatedAt = LocalDateTime.now();
+    }
+}
@@ -0,0 +1,70 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+@Entity
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class BlogComment {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "blog_id", nullable = false)
+    private Blog blog;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "author_id", nullable = false)
+    private User author;
+
+    // Bình luận được trả lời trực tiếp (null nếu là bình luận gốc)
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "parent_id")
+    private BlogComment parent;
+
+    // Bình luận gốc của cả luồng trả lời, dùng để tải toàn bộ luồng trong một truy vấn
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "root_id")
+    private BlogComment root;
+
+    @Column(columnDefinition = "NVARCHAR(2000)", nullable = false)
+    private String content;
+
+    @Enumerated(EnumType.STRING)
+    @Column(nullable = false)
+    private CommentStatus status;
+
+    private int likeCount;
+    private int dislikeCount;
+
+    // Số lượt người dùng báo cáo vi phạm
+    private int flagCount;
+
+    // false khi bình luận mới được đăng hoặc vừa bị báo cáo, chờ manager xem xét
+    private boolean reviewed;
+
+    private boolean active;
+
+    private LocalDateTime createdAt;
+    private LocalDateTime updatedAt;
+
+    @PrePersist
+    public void prePersist() {
+        this.createdAt = LocalDateTime.now();
+    }
+
+    @PreUpdate
+    public void preUpdate() {
+        this.updatedAt = LocalDateTime.now();
+    }
+}
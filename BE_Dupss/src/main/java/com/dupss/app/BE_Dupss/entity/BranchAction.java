@@ -0,0 +1,10 @@
+package com.dupss.app.BE_Dupss.entity;
+
+/**
+ * Điều hướng của khảo sát sau khi người dùng chọn một đáp án
+ */
+public enum BranchAction {
+    NEXT_SECTION,
+    GO_TO_SECTION,
+    END_SURVEY
+}
@@ -0,0 +1,42 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+@Entity
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class ChatMessage {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "conversation_id", nullable = false)
+    private ChatConversation conversation;
+
+    @Enumerated(EnumType.STRING)
+    @Column(nullable = false)
+    private ChatRole role;
+
+    @Column(columnDefinition = "LONGTEXT", nullable = false)
+    private String content;
+
+    // true nếu người dùng dừng sinh câu trả lời giữa chừng
+    private boolean stopped;
+
+    private LocalDateTime createdAt;
+
+    @PrePersist
+    public void prePersist() {
+        this.createdAt = LocalDateTime.now();
+    }
+}
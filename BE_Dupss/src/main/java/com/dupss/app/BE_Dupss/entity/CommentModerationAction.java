@@ -0,0 +1,7 @@
+package com.dupss.app.BE_Dupss.entity;
+
+public enum CommentModerationAction {
+    APPROVE,
+    HIDE,
+    DELETE
+}
@@ -5,6 +5,9 @@ import lombok.AllArgsConstructor;
 import lombok.Data;
 import lombok.NoArgsConstructor;
 
+import java.util.ArrayList;
+import java.util.List;
+
 /**
  * Entity đại diện cho thông tin của một tư vấn viên trong hệ thống
  * Lưu trữ thông tin chuyên môn, học vị và tiểu sử của tư vấn viên
@@ -40,6 +43,15 @@ public class Consultant {
     @Enumerated(EnumType.STRING)
     private AcademicTitle academicTitle;
 
+    /**
+     * Các chủ đề tư vấn viên có chuyên môn, dùng để lọc khi người dùng tìm tư vấn viên
+     */
+    @ManyToMany
+    @JoinTable(name = "consultant_topics",
+            joinColumns = @JoinColumn(name = "consultant_id"),
+            inverseJoinColumns = @JoinColumn(name = "topic_id"))
+    private List<Topic> topics = new ArrayList<>();
+
     /**
      * Liên kết đến thông tin người dùng cơ bản của tư vấn viên
      * Mối quan hệ One-to-One với entity User
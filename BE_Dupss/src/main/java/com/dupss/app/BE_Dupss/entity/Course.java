@@ -34,6 +34,9 @@ public class Course {
     @Column(length = 10000)
     private String content;
     private Integer duration; // Duration in minutes
+
+    // Phần trăm thời lượng phải thực sự xem để video được tính là đã xem, null thì dùng mặc định 80%
+    private Integer videoCompletionThreshold;
     @Enumerated(EnumType.STRING)
     @Column(nullable = false)
     private ApprovalStatus status;
@@ -55,6 +58,12 @@ public class Course {
     private LocalDateTime createdAt;
     private LocalDateTime updatedAt;
 
+    public static final int DEFAULT_VIDEO_COMPLETION_THRESHOLD = 80;
+
+    public int resolveVideoCompletionThreshold() {
+        return videoCompletionThreshold != null ? videoCompletionThreshold : DEFAULT_VIDEO_COMPLETION_THRESHOLD;
+    }
+
     @PrePersist
     protected void onCreate() {
         this.createdAt = LocalDateTime.now();
@@ -0,0 +1,22 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import java.util.Locale;
+
+public enum LessonMediaType {
+    YOUTUBE,
+    // Video tải lên Cloudinary hoặc đường dẫn trực tiếp tới tệp video (mp4, webm...)
+    VIDEO,
+    // Tài liệu PDF hoặc slide
+    DOCUMENT;
+
+    /**
+     * Đoán loại bài học từ đường dẫn, dùng cho video tạo trước khi có trường mediaType
+     */
+    public static LessonMediaType detect(String url) {
+        if (url == null) return VIDEO;
+        String lower = url.toLowerCase(Locale.ROOT);
+        if (lower.contains("youtube.com/") || lower.contains("youtu.be/")) return YOUTUBE;
+        if (lower.matches(".*\\.(pdf|pptx?|ppsx?)(\\?.*)?$")) return DOCUMENT;
+        return VIDEO;
+    }
+}
@@ -0,0 +1,60 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+/**
+ * Ghi chú cá nhân của người học, gắn với một thời điểm trong bài học.
+ * Ghi chú không có nội dung là một dấu trang (bookmark).
+ */
+@Entity
+@Table(name = "lesson_notes", indexes = @Index(name = "idx_lesson_notes_user_video", columnList = "user_id, video_id"))
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class LessonNote {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false)
+    private User user;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "video_id", nullable = false)
+    private VideoCourse video;
+
+    // Vị trí trong video (giây); tài liệu luôn là 0
+    @Column(nullable = false)
+    private Double timestampSeconds;
+
+    @Column(columnDefinition = "TEXT")
+    private String content;
+
+    @Column(nullable = false)
+    private LocalDateTime createdAt;
+
+    private LocalDateTime updatedAt;
+
+    public boolean isBookmark() {
+        return content == null || content.isBlank();
+    }
+
+    @PrePersist
+    protected void onCreate() {
+        createdAt = LocalDateTime.now();
+    }
+
+    @PreUpdate
+    protected void onUpdate() {
+        updatedAt = LocalDateTime.now();
+    }
+}
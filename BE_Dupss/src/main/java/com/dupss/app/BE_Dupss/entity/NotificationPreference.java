@@ -0,0 +1,46 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.util.HashSet;
+import java.util.Set;
+
+/**
+ * Tùy chọn nhận thông báo của một người dùng: các loại thông báo đã tắt và các chủ đề đang theo dõi.
+ * Người dùng chưa có bản ghi được xem như nhận mọi loại thông báo và chưa theo dõi chủ đề nào.
+ */
+@Entity
+@Table(name = "notification_preferences")
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class NotificationPreference {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @OneToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false, unique = true)
+    private User user;
+
+    @ElementCollection
+    @CollectionTable(name = "notification_preference_disabled_types", joinColumns = @JoinColumn(name = "preference_id"))
+    @Enumerated(EnumType.STRING)
+    @Column(name = "type", nullable = false, length = 40)
+    @Builder.Default
+    private Set<NotificationType> disabledTypes = new HashSet<>();
+
+    // Có bài viết/khóa học mới được duyệt trong các chủ đề này sẽ gửi thông báo NEW_TOPIC_CONTENT
+    @ManyToMany
+    @JoinTable(name = "topic_followers",
+            joinColumns = @JoinColumn(name = "preference_id"),
+            inverseJoinColumns = @JoinColumn(name = "topic_id"))
+    @Builder.Default
+    private Set<Topic> followedTopics = new HashSet<>();
+}
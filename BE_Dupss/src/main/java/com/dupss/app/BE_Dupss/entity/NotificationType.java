@@ -0,0 +1,16 @@
+package com.dupss.app.BE_Dupss.entity;
+
+public enum NotificationType {
+    APPOINTMENT_REMINDER,
+    NEW_APPOINTMENT,
+    NEW_UNASSIGNED_APPOINTMENT,
+    APPOINTMENT_CANCELLED,
+    CONTENT_PENDING_REVIEW,
+    CONTENT_APPROVED,
+    CONTENT_REJECTED,
+    APPOINTMENT_CONFIRMED,
+    APPOINTMENT_STATUS_CHANGED,
+    CONSULTANT_NOTE,
+    COURSE_COMPLETED,
+    NEW_TOPIC_CONTENT
+}
@@ -0,0 +1,12 @@
+package com.dupss.app.BE_Dupss.entity;
+
+/**
+ * Loại câu hỏi trong khảo sát/bài kiểm tra
+ */
+public enum QuestionType {
+    SINGLE_CHOICE,   // Chọn một đáp án
+    MULTIPLE_CHOICE, // Chọn nhiều đáp án, điểm được cộng dồn
+    LIKERT,          // Thang đo mức độ, mỗi mức là một đáp án
+    NUMERIC,         // Nhập số, điểm theo khoảng giá trị (mỗi khoảng là một đáp án)
+    FREE_TEXT        // Trả lời tự do, không tính điểm
+}
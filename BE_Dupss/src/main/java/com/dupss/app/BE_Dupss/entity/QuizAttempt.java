@@ -0,0 +1,80 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.Duration;
+import java.time.LocalDateTime;
+
+/**
+ * Một lượt làm bài kiểm tra khóa học: các câu hỏi đã rút cho lượt này, hạn nộp bài và kết quả.
+ * Lượt chưa nộp mà đã quá hạn được tính là đã dùng nhưng không có điểm.
+ */
+@Entity
+@Table(name = "quiz_attempts", indexes = @Index(name = "idx_quiz_attempts_user_course", columnList = "user_id, course_id"))
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class QuizAttempt {
+
+    // Bài nộp tự động khi hết giờ có thể tới muộn vài giây do mạng
+    public static final Duration SUBMIT_GRACE = Duration.ofSeconds(30);
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false)
+    private User user;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "course_id", nullable = false)
+    private Course course;
+
+    @Column(nullable = false)
+    private LocalDateTime startedAt;
+
+    // null khi bài kiểm tra không giới hạn thời gian
+    private LocalDateTime deadline;
+
+    private LocalDateTime submittedAt;
+
+    // Id các câu hỏi được rút theo thứ tự hiển thị, dạng "12,5,9" (xem QuizDraw)
+    @Column(columnDefinition = "TEXT", nullable = false)
+    private String questionIds;
+
+    // Hạt giống xáo trộn đáp án, để mở lại lượt làm bài vẫn thấy cùng thứ tự
+    @Column(nullable = false)
+    private Long shuffleSeed;
+
+    @OneToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "survey_result_id")
+    private SurveyResult result;
+
+    private Boolean passed;
+
+    public boolean isExpired(LocalDateTime now) {
+        return submittedAt == null && deadline != null && now.isAfter(deadline.plus(SUBMIT_GRACE));
+    }
+
+    public boolean isOpen(LocalDateTime now) {
+        return submittedAt == null && !isExpired(now);
+    }
+
+    // Thời điểm lượt làm bài kết thúc, dùng để tính thời gian chờ trước lượt tiếp theo
+    public LocalDateTime endedAt() {
+        return submittedAt != null ? submittedAt : deadline;
+    }
+
+    @PrePersist
+    protected void onCreate() {
+        if (startedAt == null) {
+            startedAt = LocalDateTime.now();
+        }
+    }
+}
@@ -0,0 +1,6 @@
+package com.dupss.app.BE_Dupss.entity;
+
+public enum ReactionType {
+    LIKE,
+    DISLIKE
+}
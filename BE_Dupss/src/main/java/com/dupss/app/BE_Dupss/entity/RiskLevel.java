@@ -0,0 +1,10 @@
+package com.dupss.app.BE_Dupss.entity;
+
+/**
+ * Mức độ nguy cơ gắn với một khoảng điểm của khảo sát
+ */
+public enum RiskLevel {
+    LOW,      // Nguy cơ thấp
+    MODERATE, // Nguy cơ trung bình
+    HIGH      // Nguy cơ cao
+}
@@ -46,7 +46,9 @@ public class Survey {
     @JoinColumn(name = "created_by_id", nullable = false)
     private User createdBy;
 
+    // Thứ tự section cố định để luật rẽ nhánh tham chiếu đúng section phía sau
     @OneToMany(mappedBy = "survey", cascade = CascadeType.ALL, orphanRemoval = true)
+    @OrderBy("id ASC")
     private List<SurveySection> sections = new ArrayList<>();
 
     @OneToMany(mappedBy = "survey", cascade = CascadeType.ALL)
@@ -55,6 +57,17 @@ public class Survey {
     @OneToMany(mappedBy = "survey", cascade = CascadeType.ALL, orphanRemoval = true)
     private List<SurveyCondition> conditions = new ArrayList<>();
 
+    // Cấu hình lượt làm bài, chỉ áp dụng cho bài kiểm tra khóa học (forCourse); null là không giới hạn
+    private Integer timeLimitMinutes;
+
+    private Integer maxAttempts;
+
+    // Thời gian chờ (phút) sau mỗi lượt làm bài trước khi được làm lại
+    private Integer attemptCooldownMinutes;
+
+    // Xáo trộn thứ tự đáp án của câu hỏi lựa chọn trong mỗi lượt làm bài
+    private Boolean shuffleOptions;
+
     @PrePersist
     protected void onCreate() {
         createdAt = LocalDateTime.now();
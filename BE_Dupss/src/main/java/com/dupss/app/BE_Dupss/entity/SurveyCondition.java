@@ -19,6 +19,13 @@ public class SurveyCondition {
     @Column(nullable = false)
     private Integer value;
 
+    // Cận trên (bao gồm) khi operator là RANGE; value là cận dưới
+    private Integer maxValue;
+
+    // null với dữ liệu cũ (chưa phân mức nguy cơ)
+    @Enumerated(EnumType.STRING)
+    private RiskLevel riskLevel;
+
     @Column(length = 1000)
     private String message;
 
@@ -0,0 +1,49 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDateTime;
+
+/**
+ * Bài khảo sát/bài kiểm tra đang làm dở của người dùng đã đăng nhập (mỗi người một bản cho mỗi khảo sát)
+ */
+@Entity
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+@Table(uniqueConstraints = @UniqueConstraint(columnNames = {"user_id", "survey_id"}))
+public class SurveyDraft {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id", nullable = false)
+    private User user;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "survey_id", nullable = false)
+    private Survey survey;
+
+    // Trạng thái làm bài dạng JSON do frontend định nghĩa (câu trả lời, bước hiện tại); server chỉ lưu và trả lại
+    @Column(columnDefinition = "LONGTEXT", nullable = false)
+    private String state;
+
+    private Integer answeredCount;
+
+    private Integer totalQuestions;
+
+    private LocalDateTime updatedAt;
+
+    @PrePersist
+    @PreUpdate
+    public void touch() {
+        this.updatedAt = LocalDateTime.now();
+    }
+}
@@ -28,4 +28,23 @@ public class SurveyOption {
     @JoinColumn(name = "question_id", nullable = false)
     private SurveyQuestion question;
 
+    // Khoảng giá trị [minValue, maxValue] áp dụng cho câu hỏi NUMERIC
+    private Double minValue;
+    private Double maxValue;
+
+    // null được hiểu là NEXT_SECTION (dữ liệu cũ trước khi có rẽ nhánh)
+    @Enumerated(EnumType.STRING)
+    private BranchAction branchAction;
+
+    // Section đích khi branchAction là GO_TO_SECTION, luôn nằm sau section chứa câu hỏi
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "target_section_id")
+    private SurveySection targetSection;
+
+    // Giải thích vì sao đáp án đúng/sai và bài học liên quan (xem SurveyQuestion)
+    @Column(columnDefinition = "TEXT")
+    private String explanation;
+    private Long referenceModuleId;
+    private Long referenceVideoId;
+
 }
@@ -23,6 +23,23 @@ public class SurveyQuestion {
     @JoinColumn(name = "section_id", nullable = false)
     private SurveySection section;
 
+    // null được hiểu là SINGLE_CHOICE (dữ liệu cũ)
+    @Enumerated(EnumType.STRING)
+    private QuestionType questionType;
+
+    // Hệ số nhân điểm của câu hỏi, null được hiểu là 1
+    private Integer weight;
+
+    // Giải thích đáp án, hiển thị khi người học xem lại bài kiểm tra khóa học
+    @Column(columnDefinition = "TEXT")
+    private String explanation;
+
+    // Chương/bài học liên quan trong khóa học; không dùng khóa ngoại vì bài học có thể bị xóa khi sửa khóa học
+    private Long referenceModuleId;
+    private Long referenceVideoId;
+
+    // Giữ thứ tự đáp án như khi soạn (quan trọng với thang Likert)
     @OneToMany(mappedBy = "question", cascade = CascadeType.ALL, orphanRemoval = true)
+    @OrderBy("id ASC")
     private List<SurveyOption> options = new ArrayList<>();
 }
@@ -33,10 +33,16 @@ public class SurveyResult {
 
     private Integer score;
 
+    @Enumerated(EnumType.STRING)
+    private RiskLevel riskLevel;
+
     @Column(nullable = false)
     private LocalDateTime submittedAt;
 
     @OneToMany(mappedBy = "surveyResult", cascade = CascadeType.ALL, orphanRemoval = true)
     private List<SurveyResultOption> selectedOptions = new ArrayList<>();
 
+    @OneToMany(mappedBy = "surveyResult", cascade = CascadeType.ALL, orphanRemoval = true)
+    private List<SurveyResultAnswer> answers = new ArrayList<>();
+
 }
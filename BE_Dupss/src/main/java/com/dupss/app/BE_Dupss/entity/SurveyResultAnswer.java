@@ -0,0 +1,34 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Getter;
+import lombok.NoArgsConstructor;
+import lombok.Setter;
+
+/**
+ * Câu trả lời dạng nhập (số hoặc văn bản) của người dùng, bổ sung cho các đáp án đã chọn
+ */
+@Entity
+@Getter
+@Setter
+@NoArgsConstructor
+@AllArgsConstructor
+public class SurveyResultAnswer {
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "survey_result_id", nullable = false)
+    private SurveyResult surveyResult;
+
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "question_id", nullable = false)
+    private SurveyQuestion question;
+
+    private Double numericValue;
+
+    @Column(columnDefinition = "NVARCHAR(2000)")
+    private String textValue;
+}
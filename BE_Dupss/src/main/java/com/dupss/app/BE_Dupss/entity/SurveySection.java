@@ -25,5 +25,10 @@ public class SurveySection {
     private Survey survey;
 
     @OneToMany(mappedBy = "section", cascade = CascadeType.ALL, orphanRemoval = true)
+    @OrderBy("id ASC")
     private List<SurveyQuestion> questions = new ArrayList<>();
+
+    // Bài kiểm tra khóa học: số câu rút ngẫu nhiên từ ngân hàng câu hỏi của section cho mỗi lượt làm bài,
+    // null là dùng tất cả câu hỏi theo thứ tự gốc
+    private Integer drawCount;
 }
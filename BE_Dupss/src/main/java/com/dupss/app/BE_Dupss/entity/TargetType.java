@@ -4,5 +4,6 @@ public enum TargetType {
     USER,
     BLOG,
     COURSE,
-    SURVEY
+    SURVEY,
+    COMMENT
 }
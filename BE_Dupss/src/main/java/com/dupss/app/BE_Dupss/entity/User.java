@@ -11,6 +11,7 @@ import org.springframework.security.core.userdetails.UserDetails;
 
 
 import java.time.LocalDate;
+import java.time.LocalDateTime;
 
 import java.util.*;
 
@@ -58,6 +59,14 @@ public class User implements UserDetails {
 
     private boolean enabled = true;
 
+    // Mã băm SHA-256 của token bí mật trong URL feed lịch (.ics) cá nhân; token gốc chỉ hiển thị một lần khi tạo
+    @Column(name = "calendar_feed_token_hash", unique = true, length = 64)
+    private String calendarFeedTokenHash;
+
+    // Hết hạn thì URL feed ngừng hoạt động, người dùng phải tạo URL mới
+    @Column(name = "calendar_feed_token_expires_at")
+    private LocalDateTime calendarFeedTokenExpiresAt;
+
 
     @Override
     public Collection<? extends GrantedAuthority> getAuthorities() {
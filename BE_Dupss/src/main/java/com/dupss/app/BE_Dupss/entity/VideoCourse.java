@@ -19,10 +19,21 @@ public class VideoCourse {
     private String title;
 
     private String videoUrl;
+
+    @Enumerated(EnumType.STRING)
+    private LessonMediaType mediaType;
+
+    // Thời lượng video (giây): Cloudinary trả về khi tải lên, staff nhập với video YouTube
+    private Double durationSeconds;
+
     @ManyToOne
     @JoinColumn(name = "courseModule_id", nullable = false)
     private CourseModule courseModule;
 
     @OneToMany(mappedBy = "video", cascade = CascadeType.REMOVE, orphanRemoval = true)
     private List<WatchedVideo> watchedVideos;
+
+    public LessonMediaType resolveMediaType() {
+        return mediaType != null ? mediaType : LessonMediaType.detect(videoUrl);
+    }
 }
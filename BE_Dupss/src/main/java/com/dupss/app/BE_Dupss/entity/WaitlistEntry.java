@@ -0,0 +1,85 @@
+package com.dupss.app.BE_Dupss.entity;
+
+import jakarta.persistence.*;
+import lombok.AllArgsConstructor;
+import lombok.Builder;
+import lombok.Data;
+import lombok.NoArgsConstructor;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+
+/**
+ * Đăng ký danh sách chờ khi tư vấn viên/ngày mong muốn đã kín lịch.
+ * Khi có slot phù hợp được giải phóng hoặc đăng ký mới, người chờ lâu nhất được giữ slot trong một khoảng thời gian
+ * và nhận email kèm đường dẫn đặt lịch (holdToken).
+ */
+@Entity
+@Table(name = "waitlist_entries")
+@Data
+@NoArgsConstructor
+@AllArgsConstructor
+@Builder
+public class WaitlistEntry {
+
+    @Id
+    @GeneratedValue(strategy = GenerationType.IDENTITY)
+    private Long id;
+
+    // Thành viên đăng ký, null nếu là khách
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "user_id")
+    private User user;
+
+    @Column(name = "customer_name", nullable = false)
+    private String customerName;
+
+    @Column(name = "email", nullable = false)
+    private String email;
+
+    // Tư vấn viên mong muốn, null nếu chấp nhận bất kỳ tư vấn viên nào
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "consultant_id")
+    private User consultant;
+
+    // Chủ đề mong muốn, null nếu không giới hạn
+    @ManyToOne(fetch = FetchType.LAZY)
+    @JoinColumn(name = "topic_id")
+    private Topic topic;
+
+    @Column(name = "date_from", nullable = false)
+    private LocalDate dateFrom;
+
+    @Column(name = "date_to", nullable = false)
+    private LocalDate dateTo;
+
+    @Enumerated(EnumType.STRING)
+    @Column(nullable = false, length = 20)
+    @Builder.Default
+    private WaitlistStatus status = WaitlistStatus.WAITING;
+
+    // Slot đang được giữ cho người này khi status = OFFERED
+    @ManyToOne(fetch = FetchType.EAGER)
+    @JoinColumn(name = "held_slot_id")
+    private Slot heldSlot;
+
+    // Mã xác nhận email gửi cho khách khi status = PENDING_CONFIRMATION
+    @Column(name = "confirm_token", unique = true, length = 64)
+    private String confirmToken;
+
+    @Column(name = "hold_token", unique = true, length = 64)
+    private String holdToken;
+
+    @Column(name = "hold_expires_at")
+    private LocalDateTime holdExpiresAt;
+
+    @Column(name = "created_at", nullable = false)
+    private LocalDateTime createdAt;
+
+    @PrePersist
+    public void prePersist() {
+        if (createdAt == null) {
+            createdAt = LocalDateTime.now();
+        }
+    }
+}
@@ -0,0 +1,13 @@
+package com.dupss.app.BE_Dupss.entity;
+
+public enum WaitlistStatus {
+    // Khách chưa đăng nhập đăng ký bằng email, chờ xác nhận qua đường dẫn trong email
+    PENDING_CONFIRMATION,
+    // Đang chờ slot trống
+    WAITING,
+    // Đã được giữ một slot, chờ người dùng xác nhận đặt lịch trước khi hết hạn
+    OFFERED,
+    BOOKED,
+    EXPIRED,
+    CANCELLED
+}
@@ -30,6 +30,19 @@ public class WatchedVideo {
     @Column(nullable = false)
     private Boolean watched;
 
+    // Hợp các đoạn đã thực sự phát, dạng "0.0-12.5,30.0-45.0" (xem WatchedSegments)
+    @Column(columnDefinition = "TEXT")
+    private String watchedSegments;
+
+    // Vị trí xem gần nhất (giây) để tiếp tục trên thiết bị khác
+    private Double lastPosition;
+
+    // Lần đồng bộ tiến độ gần nhất, giới hạn số giây được cộng thêm ở lần đồng bộ sau
+    private LocalDateTime lastSyncedAt;
+
+    // Thời lượng tạm (giây) theo trình phát của người học khi video chưa có thời lượng đã lưu, xem WatchedSegments.boundReportedDuration
+    private Double reportedDurationSeconds;
+
     @PrePersist
     protected void onCreate() {
         watchedAt = LocalDateTime.now();
@@ -5,6 +5,7 @@ import com.dupss.app.BE_Dupss.entity.ActionType;
 import com.dupss.app.BE_Dupss.entity.TargetType;
 import org.springframework.data.jpa.repository.JpaRepository;
 
+import java.util.Collection;
 import java.util.List;
 import java.util.Optional;
 
@@ -14,4 +15,6 @@ public interface ActionLogRepo extends JpaRepository<ActionLog, Long> {
     Optional<ActionLog> findFirstByTargetTypeAndTargetIdAndActionType(TargetType targetType, Long targetId, ActionType actionType);
 
     List<ActionLog> findAllByTargetTypeOrderByActionTimeDesc(TargetType targetType);
+
+    List<ActionLog> findAllByTargetTypeInOrderByActionTimeDesc(Collection<TargetType> targetTypes);
 }
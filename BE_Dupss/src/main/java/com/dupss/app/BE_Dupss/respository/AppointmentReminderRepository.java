@@ -0,0 +1,15 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.Appointment;
+import com.dupss.app.BE_Dupss.entity.AppointmentReminder;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.time.LocalDateTime;
+import java.util.List;
+
+@Repository
+public interface AppointmentReminderRepository extends JpaRepository<AppointmentReminder, Long> {
+
+    List<AppointmentReminder> findByAppointmentAndAppointmentStart(Appointment appointment, LocalDateTime appointmentStart);
+}
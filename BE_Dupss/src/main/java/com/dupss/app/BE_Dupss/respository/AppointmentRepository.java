@@ -10,6 +10,7 @@ import org.springframework.stereotype.Repository;
 import java.time.LocalDate;
 import java.time.LocalTime;
 import java.util.List;
+import java.util.Optional;
 
 @Repository
 public interface AppointmentRepository extends JpaRepository<Appointment, Long> {
@@ -18,6 +19,10 @@ public interface AppointmentRepository extends JpaRepository<Appointment, Long>
 
     List<Appointment> findByUser(User user);
 
+    List<Appointment> findByUserAndAppointmentDateGreaterThanEqualOrderByAppointmentDateAsc(User user, LocalDate from);
+
+    List<Appointment> findByConsultantAndAppointmentDateGreaterThanEqualOrderByAppointmentDateAsc(User consultant, LocalDate from);
+
     List<Appointment> findByAppointmentDate(LocalDate date);
 
     List<Appointment> findByIsGuestAndEmailOrderByAppointmentDateDesc(boolean isGuest, String email);
@@ -26,6 +31,17 @@ public interface AppointmentRepository extends JpaRepository<Appointment, Long>
 
     long countByEmailAndAppointmentDateAndStatusNot(String email, LocalDate date, String status);
 
+    long countByUserIdAndAppointmentDateAndStatusNotAndIdNot(Long userId, LocalDate date, String status, Long excludedId);
+
+    long countByEmailAndAppointmentDateAndStatusNotAndIdNot(String email, LocalDate date, String status, Long excludedId);
+
+    Optional<Appointment> findByAccessCodeHash(String accessCodeHash);
+
+    long countByIsAnonymousTrueAndBookedFromHashAndStatusAndAppointmentDateGreaterThanEqual(
+            String bookedFromHash, String status, LocalDate from);
+
+    boolean existsByAccessCodeHash(String accessCodeHash);
+
     /**
      * Tìm các cuộc hẹn của một tư vấn viên với trạng thái đã hoàn thành hoặc đã hủy
      */
@@ -38,6 +54,8 @@ public interface AppointmentRepository extends JpaRepository<Appointment, Long>
 
     List<Appointment> findByStatusInOrderByCheckOutTimeDesc(List<String> statuses);
 
+    List<Appointment> findByStatusInAndAppointmentDateBetween(List<String> statuses, LocalDate from, LocalDate to);
+
     //    boolean existsByAppointmentDateAndAppointmentTime(LocalDate date, LocalTime time);
     @Query("""
                 SELECT COUNT(a) > 0
@@ -50,4 +68,27 @@ public interface AppointmentRepository extends JpaRepository<Appointment, Long>
             @Param("date") LocalDate date,
             @Param("time") LocalTime time
     );
+
+    /**
+     * Điểm đánh giá trung bình và số lượt đánh giá của từng tư vấn viên
+     */
+    @Query("""
+                SELECT a.consultant.id AS consultantId,
+                       AVG(a.reviewScore) AS averageScore,
+                       COUNT(a) AS reviewCount
+                FROM Appointment a
+                WHERE a.isReview = true
+                  AND a.reviewScore IS NOT NULL
+                  AND a.consultant IS NOT NULL
+                GROUP BY a.consultant.id
+            """)
+    List<ConsultantRating> findConsultantRatings();
+
+    interface ConsultantRating {
+        Long getConsultantId();
+
+        Double getAverageScore();
+
+        Long getReviewCount();
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,14 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.AvailabilityTemplate;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.Optional;
+
+@Repository
+public interface AvailabilityTemplateRepository extends JpaRepository<AvailabilityTemplate, Long> {
+
+    Optional<AvailabilityTemplate> findByConsultant(User consultant);
+}
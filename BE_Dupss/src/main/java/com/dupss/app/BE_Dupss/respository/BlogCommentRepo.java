@@ -0,0 +1,40 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.Blog;
+import com.dupss.app.BE_Dupss.entity.BlogComment;
+import com.dupss.app.BE_Dupss.entity.CommentStatus;
+import org.springframework.data.domain.Page;
+import org.springframework.data.domain.Pageable;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import org.springframework.stereotype.Repository;
+
+import java.util.Collection;
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface BlogCommentRepo extends JpaRepository<BlogComment, Long> {
+    Page<BlogComment> findByBlogAndParentIsNullAndStatusAndActiveTrue(Blog blog, CommentStatus status, Pageable pageable);
+    List<BlogComment> findByRootIdInAndStatusAndActiveTrueOrderByCreatedAtAsc(Collection<Long> rootIds, CommentStatus status);
+
+    /**
+     * Đếm bình luận đang hiển thị của bài viết, không tính trả lời nằm dưới bình luận gốc hoặc bình luận cha đã bị ẩn/xóa
+     */
+    @Query("""
+                SELECT COUNT(c)
+                FROM BlogComment c
+                LEFT JOIN c.parent p
+                LEFT JOIN c.root r
+                WHERE c.blog = :blog
+                  AND c.status = :status AND c.active = true
+                  AND (p IS NULL OR (p.status = :status AND p.active = true))
+                  AND (r IS NULL OR (r.status = :status AND r.active = true))
+            """)
+    long countShownComments(@Param("blog") Blog blog, @Param("status") CommentStatus status);
+
+    Optional<BlogComment> findByIdAndActiveTrue(Long id);
+    List<BlogComment> findByReviewedFalseAndActiveTrueOrderByFlagCountDescCreatedAtDesc();
+    List<BlogComment> findByIdInAndActiveTrue(Collection<Long> ids);
+}
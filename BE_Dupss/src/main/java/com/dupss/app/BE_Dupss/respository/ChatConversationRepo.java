@@ -0,0 +1,15 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.ChatConversation;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface ChatConversationRepo extends JpaRepository<ChatConversation, Long> {
+    List<ChatConversation> findByUserAndActiveTrueOrderByUpdatedAtDesc(User user);
+    Optional<ChatConversation> findByIdAndUserAndActiveTrue(Long id, User user);
+}
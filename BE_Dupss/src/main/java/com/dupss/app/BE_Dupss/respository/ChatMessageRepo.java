@@ -0,0 +1,13 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.ChatConversation;
+import com.dupss.app.BE_Dupss.entity.ChatMessage;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+
+@Repository
+public interface ChatMessageRepo extends JpaRepository<ChatMessage, Long> {
+    List<ChatMessage> findByConversationOrderByCreatedAtAscIdAsc(ChatConversation conversation);
+}
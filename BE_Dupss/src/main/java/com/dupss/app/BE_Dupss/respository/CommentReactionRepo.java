@@ -0,0 +1,17 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.BlogComment;
+import com.dupss.app.BE_Dupss.entity.CommentReaction;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.Collection;
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface CommentReactionRepo extends JpaRepository<CommentReaction, Long> {
+    Optional<CommentReaction> findByCommentAndUser(BlogComment comment, User user);
+    List<CommentReaction> findByUserAndCommentIdIn(User user, Collection<Long> commentIds);
+}
@@ -0,0 +1,15 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.BlogComment;
+import com.dupss.app.BE_Dupss.entity.CommentReport;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+
+@Repository
+public interface CommentReportRepo extends JpaRepository<CommentReport, Long> {
+    boolean existsByCommentAndReporter(BlogComment comment, User reporter);
+    List<CommentReport> findByCommentOrderByReportedAtDesc(BlogComment comment);
+}
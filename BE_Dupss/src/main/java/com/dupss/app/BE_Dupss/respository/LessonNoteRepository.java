@@ -0,0 +1,35 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.Course;
+import com.dupss.app.BE_Dupss.entity.LessonNote;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.entity.VideoCourse;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface LessonNoteRepository extends JpaRepository<LessonNote, Long> {
+
+    Optional<LessonNote> findByIdAndUser(Long id, User user);
+
+    @Query("SELECT n FROM LessonNote n JOIN FETCH n.video v JOIN FETCH v.courseModule m " +
+            "WHERE n.user = :user AND m.course = :course " +
+            "ORDER BY m.orderIndex, v.id, n.timestampSeconds")
+    List<LessonNote> findByUserAndCourse(@Param("user") User user, @Param("course") Course course);
+
+    /**
+     * Ghi chú của người dùng trên mọi khóa học, lọc theo nội dung, tên bài học hoặc tên khóa học (keyword null = tất cả)
+     */
+    @Query("SELECT n FROM LessonNote n JOIN FETCH n.video v JOIN FETCH v.courseModule m JOIN FETCH m.course c " +
+            "WHERE n.user = :user AND (:keyword IS NULL " +
+            "OR LOWER(n.content) LIKE LOWER(CONCAT('%', :keyword, '%')) " +
+            "OR LOWER(v.title) LIKE LOWER(CONCAT('%', :keyword, '%')) " +
+            "OR LOWER(c.title) LIKE LOWER(CONCAT('%', :keyword, '%'))) " +
+            "ORDER BY c.title, m.orderIndex, v.id, n.timestampSeconds")
+    List<LessonNote> search(@Param("user") User user, @Param("keyword") String keyword);
+
+    void deleteByVideo(VideoCourse video);
+}
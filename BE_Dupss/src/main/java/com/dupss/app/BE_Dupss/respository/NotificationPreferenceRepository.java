@@ -0,0 +1,21 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.NotificationPreference;
+import com.dupss.app.BE_Dupss.entity.Topic;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface NotificationPreferenceRepository extends JpaRepository<NotificationPreference, Long> {
+
+    Optional<NotificationPreference> findByUser(User user);
+
+    @Query("SELECT p.user FROM NotificationPreference p JOIN p.followedTopics t WHERE t = :topic AND p.user.enabled = true")
+    List<User> findFollowersOfTopic(@Param("topic") Topic topic);
+}
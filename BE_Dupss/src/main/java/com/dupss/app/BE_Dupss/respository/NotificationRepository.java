@@ -0,0 +1,29 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.Notification;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.domain.Pageable;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface NotificationRepository extends JpaRepository<Notification, Long> {
+
+    List<Notification> findByRecipientOrderByCreatedAtDesc(User recipient, Pageable pageable);
+
+    List<Notification> findByRecipientAndReadFalseOrderByCreatedAtDesc(User recipient, Pageable pageable);
+
+    long countByRecipientAndReadFalse(User recipient);
+
+    Optional<Notification> findByIdAndRecipient(Long id, User recipient);
+
+    @Modifying
+    @Query("UPDATE Notification n SET n.read = true WHERE n.recipient = :recipient AND n.read = false")
+    int markAllAsRead(@Param("recipient") User recipient);
+}
@@ -0,0 +1,16 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.Course;
+import com.dupss.app.BE_Dupss.entity.QuizAttempt;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.jpa.repository.JpaRepository;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface QuizAttemptRepository extends JpaRepository<QuizAttempt, Long> {
+
+    List<QuizAttempt> findByUserAndCourseOrderByStartedAtDesc(User user, Course course);
+
+    Optional<QuizAttempt> findByIdAndUserAndCourse(Long id, User user, Course course);
+}
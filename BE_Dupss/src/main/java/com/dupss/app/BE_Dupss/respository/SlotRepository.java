@@ -3,12 +3,14 @@ package com.dupss.app.BE_Dupss.respository;
 import com.dupss.app.BE_Dupss.entity.Slot;
 import com.dupss.app.BE_Dupss.entity.User;
 import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
 import org.springframework.data.jpa.repository.Query;
 import org.springframework.data.repository.query.Param;
 import org.springframework.stereotype.Repository;
 
 import java.time.LocalDate;
 import java.time.LocalTime;
+import java.util.Collection;
 import java.util.List;
 import java.util.Optional;
 
@@ -20,4 +22,26 @@ public interface SlotRepository extends JpaRepository<Slot, Long> {
     List<Slot> findByConsultantAndAvailableTrue(User consultant);
     Optional<Slot> findByConsultantAndDateAndStartTime(User consultant, LocalDate date, LocalTime startTime);
     boolean existsByConsultantAndDateAndStartTime(User consultant, LocalDate date, LocalTime startTime);
+
+    // Slot của tư vấn viên giao với khoảng [startTime, endTime) trong ngày
+    @Query("SELECT COUNT(s) > 0 FROM Slot s WHERE s.consultant = :consultant AND s.date = :date " +
+            "AND s.startTime < :endTime AND s.endTime > :startTime")
+    boolean existsOverlapping(@Param("consultant") User consultant, @Param("date") LocalDate date,
+                              @Param("startTime") LocalTime startTime, @Param("endTime") LocalTime endTime);
+
+    List<Slot> findByConsultantAndDateBetweenAndAvailableTrue(User consultant, LocalDate from, LocalDate to);
+
+    List<Slot> findByConsultant_IdInAndDateBetweenAndAvailableTrueOrderByDateAscStartTimeAsc(
+            Collection<Long> consultantIds, LocalDate from, LocalDate to);
+
+    Optional<Slot> findFirstByConsultant_IdInAndDateAndStartTimeAfterAndAvailableTrueOrderByStartTimeAsc(
+            Collection<Long> consultantIds, LocalDate date, LocalTime startTime);
+
+    Optional<Slot> findFirstByConsultant_IdInAndDateAfterAndAvailableTrueOrderByDateAscStartTimeAsc(
+            Collection<Long> consultantIds, LocalDate date);
+
+    // Đánh dấu slot đã được đặt nếu còn trống; trả về 0 khi slot đã bị người khác đặt trước
+    @Modifying
+    @Query("UPDATE Slot s SET s.available = false WHERE s.id = :id AND s.available = true")
+    int claimSlot(@Param("id") Long id);
 } 
\ No newline at end of file
@@ -0,0 +1,22 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.SurveyDraft;
+import com.dupss.app.BE_Dupss.entity.User;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import org.springframework.stereotype.Repository;
+
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface SurveyDraftRepo extends JpaRepository<SurveyDraft, Long> {
+    List<SurveyDraft> findByUserOrderByUpdatedAtDesc(User user);
+    Optional<SurveyDraft> findByUserAndSurvey_Id(User user, Long surveyId);
+
+    @Modifying
+    @Query("DELETE FROM SurveyDraft d WHERE d.user = :user AND d.survey.id = :surveyId")
+    void deleteByUserAndSurveyId(@Param("user") User user, @Param("surveyId") Long surveyId);
+}
@@ -0,0 +1,14 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.SurveyQuestion;
+import com.dupss.app.BE_Dupss.entity.SurveyResultAnswer;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+
+public interface SurveyResultAnswerRepo extends JpaRepository<SurveyResultAnswer, Long> {
+    @Modifying
+    @Query("DELETE FROM SurveyResultAnswer sra WHERE sra.question = :question")
+    void deleteByQuestion(@Param("question") SurveyQuestion question);
+}
@@ -3,9 +3,35 @@ package com.dupss.app.BE_Dupss.respository;
 import com.dupss.app.BE_Dupss.entity.SurveyResult;
 import com.dupss.app.BE_Dupss.entity.User;
 import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
 
+import java.time.LocalDate;
+import java.time.LocalDateTime;
 import java.util.List;
 
 public interface SurveyResultRepo extends JpaRepository<SurveyResult, Long> {
     List<SurveyResult> findByUser(User user);
+
+    // Tham số bằng null nghĩa là không lọc theo điều kiện đó; người làm chưa khai báo năm sinh bị loại khi lọc theo năm sinh
+    @Query("""
+                SELECT r
+                FROM SurveyResult r
+                JOIN FETCH r.user u
+                WHERE r.survey.id = :surveyId
+                  AND (:from IS NULL OR r.submittedAt >= :from)
+                  AND (:to IS NULL OR r.submittedAt < :to)
+                  AND (:gender IS NULL OR LOWER(u.gender) = LOWER(:gender))
+                  AND (:yobFrom IS NULL OR u.yob >= :yobFrom)
+                  AND (:yobTo IS NULL OR u.yob < :yobTo)
+                ORDER BY r.submittedAt
+            """)
+    List<SurveyResult> findForAnalytics(
+            @Param("surveyId") Long surveyId,
+            @Param("from") LocalDateTime from,
+            @Param("to") LocalDateTime to,
+            @Param("gender") String gender,
+            @Param("yobFrom") LocalDate yobFrom,
+            @Param("yobTo") LocalDate yobTo
+    );
 }
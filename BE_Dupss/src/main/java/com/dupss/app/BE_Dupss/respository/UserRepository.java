@@ -10,6 +10,8 @@ import java.util.Optional;
 public interface UserRepository extends JpaRepository<User, Long> {
     Optional<User> findByEmail(String email);
     Optional<User> findByUsernameAndEnabledTrue(String username);
+
+    Optional<User> findByCalendarFeedTokenHashAndEnabledTrue(String calendarFeedTokenHash);
     Optional<User> findByUsername(String username);
     List<User> findAllByEnabled(boolean enabled);
 
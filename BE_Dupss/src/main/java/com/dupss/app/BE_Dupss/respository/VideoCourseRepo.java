@@ -4,6 +4,9 @@ import com.dupss.app.BE_Dupss.entity.Course;
 import com.dupss.app.BE_Dupss.entity.VideoCourse;
 import org.springframework.data.jpa.repository.JpaRepository;
 
+import java.util.List;
+
 public interface VideoCourseRepo extends JpaRepository<VideoCourse, Long> {
     long countByCourseModule_Course(Course course);
+    List<VideoCourse> findByDurationSecondsIsNull();
 }
@@ -0,0 +1,40 @@
+package com.dupss.app.BE_Dupss.respository;
+
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.entity.WaitlistEntry;
+import com.dupss.app.BE_Dupss.entity.WaitlistStatus;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+import org.springframework.stereotype.Repository;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.Collection;
+import java.util.List;
+import java.util.Optional;
+
+@Repository
+public interface WaitlistEntryRepository extends JpaRepository<WaitlistEntry, Long> {
+
+    List<WaitlistEntry> findByUserOrderByCreatedAtDesc(User user);
+
+    Optional<WaitlistEntry> findByHoldToken(String holdToken);
+
+    Optional<WaitlistEntry> findByConfirmToken(String confirmToken);
+
+    // Người đang chờ phù hợp với slot, xếp theo thứ tự đăng ký (đến trước được ưu tiên)
+    @Query("SELECT w FROM WaitlistEntry w WHERE w.status = com.dupss.app.BE_Dupss.entity.WaitlistStatus.WAITING " +
+            "AND (w.consultant IS NULL OR w.consultant = :consultant) " +
+            "AND w.dateFrom <= :date AND w.dateTo >= :date " +
+            "ORDER BY w.createdAt ASC, w.id ASC")
+    List<WaitlistEntry> findWaitingForSlot(@Param("consultant") User consultant, @Param("date") LocalDate date);
+
+    List<WaitlistEntry> findByStatusAndHoldExpiresAtBefore(WaitlistStatus status, LocalDateTime time);
+
+    List<WaitlistEntry> findByStatusAndDateToBefore(WaitlistStatus status, LocalDate date);
+
+    List<WaitlistEntry> findByStatusAndCreatedAtBefore(WaitlistStatus status, LocalDateTime time);
+
+    long countByEmailAndStatusIn(String email, Collection<WaitlistStatus> statuses);
+}
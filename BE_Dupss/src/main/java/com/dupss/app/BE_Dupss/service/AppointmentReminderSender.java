@@ -0,0 +1,143 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.entity.Appointment;
+import com.dupss.app.BE_Dupss.entity.AppointmentReminder;
+import com.dupss.app.BE_Dupss.entity.NotificationType;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
+import com.dupss.app.BE_Dupss.respository.AppointmentReminderRepository;
+import com.dupss.app.BE_Dupss.respository.AppointmentRepository;
+import lombok.RequiredArgsConstructor;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Propagation;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.util.UriComponentsBuilder;
+
+import java.time.Duration;
+import java.time.LocalDateTime;
+import java.time.format.DateTimeFormatter;
+import java.util.List;
+import java.util.Set;
+import java.util.stream.Collectors;
+
+/**
+ * Xử lý nhắc lịch của từng cuộc hẹn trong transaction riêng, tách khỏi AppointmentReminderService
+ * để lỗi của một cuộc hẹn không làm rollback các mốc đã gửi của cuộc hẹn khác.
+ */
+@Service
+@RequiredArgsConstructor
+public class AppointmentReminderSender {
+
+    private static final String PROFILE_URL = "https://dupssapp.id.vn/profile";
+    private static final String GUEST_MANAGE_URL = "https://dupssapp.id.vn/appointment/access";
+    private static final String CONSULTANT_SCHEDULE_URL = "https://admin.dupssapp.id.vn/consultant/schedule";
+    private static final DateTimeFormatter TIME_FORMAT = DateTimeFormatter.ofPattern("HH:mm 'ngày' dd/MM/yyyy");
+
+    private final AppointmentRepository appointmentRepository;
+    private final AppointmentReminderRepository reminderRepository;
+    private final NotificationService notificationService;
+    private final EmailService emailService;
+
+    /**
+     * Ghi nhận các mốc nhắc đã đến hạn của cuộc hẹn trước khi gửi, để lỗi khi gửi không làm nhắc lại mỗi phút
+     *
+     * @return true nếu có mốc đến hạn cần gửi nhắc
+     */
+    @Transactional(propagation = Propagation.REQUIRES_NEW)
+    public boolean markDueReminders(Long appointmentId, List<Duration> offsets, LocalDateTime now) {
+        Appointment appointment = findAppointment(appointmentId);
+        LocalDateTime start = startOf(appointment);
+        if (!start.isAfter(now)) {
+            return false;
+        }
+        Set<Long> sentOffsets = reminderRepository.findByAppointmentAndAppointmentStart(appointment, start).stream()
+                .map(AppointmentReminder::getOffsetMinutes)
+                .collect(Collectors.toSet());
+        List<Duration> dueOffsets = offsets.stream()
+                .filter(offset -> !start.minus(offset).isAfter(now))
+                .filter(offset -> !sentOffsets.contains(offset.toMinutes()))
+                .toList();
+
+        for (Duration offset : dueOffsets) {
+            reminderRepository.save(AppointmentReminder.builder()
+                    .appointment(appointment)
+                    .offsetMinutes(offset.toMinutes())
+                    .appointmentStart(start)
+                    .sentAt(now)
+                    .build());
+        }
+        return !dueOffsets.isEmpty();
+    }
+
+    @Transactional(propagation = Propagation.REQUIRES_NEW)
+    public void sendReminder(Long appointmentId, LocalDateTime now) {
+        Appointment appointment = findAppointment(appointmentId);
+        LocalDateTime start = startOf(appointment);
+        String leadTime = formatLeadTime(Duration.between(now, start));
+        String joinLink = appointment.getLinkMeet();
+        String topic = appointment.getTopic().getName();
+
+        // Khách hàng: thành viên nhận cả thông báo trong ứng dụng, khách nhận email (cuộc hẹn ẩn danh không có email)
+        String customerManageLink = appointment.getUser() != null ? PROFILE_URL : guestManageLink(appointment);
+        String customerMessage = "Cuộc hẹn tư vấn \"" + topic + "\""
+                + (appointment.getConsultant() != null ? " với " + appointment.getConsultant().getFullname() : "")
+                + " sẽ bắt đầu lúc " + start.format(TIME_FORMAT) + " (còn " + leadTime + ").";
+        if (appointment.getUser() != null) {
+            notificationService.notify(appointment.getUser(), NotificationType.APPOINTMENT_REMINDER,
+                    "Sắp đến giờ tư vấn", customerMessage, joinLink != null ? joinLink : "/profile");
+        }
+        emailService.sendAppointmentReminder(appointment, appointment.getEmail(), appointment.getCustomerName(),
+                customerMessage, joinLink, customerManageLink);
+
+        User consultant = appointment.getConsultant();
+        if (consultant != null) {
+            String consultantMessage = "Buổi tư vấn \"" + topic + "\" với " + appointment.getCustomerName()
+                    + " sẽ bắt đầu lúc " + start.format(TIME_FORMAT) + " (còn " + leadTime + ").";
+            notificationService.notify(consultant, NotificationType.APPOINTMENT_REMINDER,
+                    "Sắp đến giờ tư vấn", consultantMessage, joinLink != null ? joinLink : "/consultant/schedule");
+            emailService.sendAppointmentReminder(appointment, consultant.getEmail(), consultant.getFullname(),
+                    consultantMessage, joinLink, CONSULTANT_SCHEDULE_URL);
+        }
+    }
+
+    // Cuộc hẹn ẩn danh chỉ tra cứu được bằng mã truy cập (server không lưu mã), khách có email tra cứu bằng email
+    private String guestManageLink(Appointment appointment) {
+        if (appointment.isAnonymous() || appointment.getEmail() == null) {
+            return GUEST_MANAGE_URL;
+        }
+        return UriComponentsBuilder.fromUriString(GUEST_MANAGE_URL)
+                .queryParam("id", appointment.getId())
+                .queryParam("email", appointment.getEmail())
+                .encode()
+                .toUriString();
+    }
+
+    private Appointment findAppointment(Long appointmentId) {
+        return appointmentRepository.findById(appointmentId)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy cuộc hẹn với ID: " + appointmentId));
+    }
+
+    private static LocalDateTime startOf(Appointment appointment) {
+        return appointment.getAppointmentDate().atTime(appointment.getAppointmentTime());
+    }
+
+    // Làm tròn lên theo phút, ví dụ "1 ngày", "2 giờ 30 phút", "15 phút"
+    static String formatLeadTime(Duration remaining) {
+        long totalMinutes = (remaining.toSeconds() + 59) / 60;
+        long days = totalMinutes / (24 * 60);
+        long hours = totalMinutes % (24 * 60) / 60;
+        long minutes = totalMinutes % 60;
+
+        StringBuilder builder = new StringBuilder();
+        if (days > 0) {
+            builder.append(days).append(" ngày");
+        }
+        if (hours > 0) {
+            builder.append(builder.isEmpty() ? "" : " ").append(hours).append(" giờ");
+        }
+        if (minutes > 0 || builder.isEmpty()) {
+            builder.append(builder.isEmpty() ? "" : " ").append(minutes).append(" phút");
+        }
+        return builder.toString();
+    }
+}
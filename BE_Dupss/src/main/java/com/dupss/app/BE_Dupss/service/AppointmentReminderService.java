@@ -0,0 +1,56 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.entity.Appointment;
+import com.dupss.app.BE_Dupss.respository.AppointmentRepository;
+import lombok.RequiredArgsConstructor;
+import lombok.extern.slf4j.Slf4j;
+import org.springframework.beans.factory.annotation.Value;
+import org.springframework.scheduling.annotation.Scheduled;
+import org.springframework.stereotype.Service;
+
+import java.time.Duration;
+import java.time.LocalDateTime;
+import java.util.Comparator;
+import java.util.List;
+
+/**
+ * Nhắc lịch hẹn qua email và thông báo trong ứng dụng cho khách hàng và tư vấn viên
+ * tại các mốc cấu hình trước giờ hẹn (app.reminders.offsets, mặc định 24 giờ và 15 phút).
+ * Mỗi mốc chỉ gửi một lần cho mỗi giờ hẹn; cuộc hẹn đổi lịch sẽ được nhắc lại theo giờ mới.
+ */
+@Service
+@RequiredArgsConstructor
+@Slf4j
+public class AppointmentReminderService {
+
+    private static final List<String> REMINDER_STATUSES = List.of("PENDING", "CONFIRMED");
+
+    private final AppointmentRepository appointmentRepository;
+    private final AppointmentReminderSender reminderSender;
+
+    @Value("${app.reminders.offsets:24h,15m}")
+    private List<Duration> offsets;
+
+    @Scheduled(fixedDelay = 60_000)
+    public void sendDueReminders() {
+        if (offsets.isEmpty()) {
+            return;
+        }
+        LocalDateTime now = LocalDateTime.now();
+        Duration maxOffset = offsets.stream().max(Comparator.naturalOrder()).orElseThrow();
+        List<Appointment> appointments = appointmentRepository.findByStatusInAndAppointmentDateBetween(
+                REMINDER_STATUSES, now.toLocalDate(), now.plus(maxOffset).toLocalDate());
+
+        for (Appointment appointment : appointments) {
+            // Mốc nhắc được lưu trong transaction riêng trước khi gửi: gửi lỗi thì bỏ qua, không nhắc lại mỗi phút.
+            // Nhiều mốc đến hạn cùng lúc (đặt lịch sát giờ hẹn, server vừa khởi động lại) chỉ gửi một lần nhắc
+            try {
+                if (reminderSender.markDueReminders(appointment.getId(), offsets, now)) {
+                    reminderSender.sendReminder(appointment.getId(), now);
+                }
+            } catch (Exception e) {
+                log.error("Lỗi khi gửi nhắc lịch cho cuộc hẹn ID {}: {}", appointment.getId(), e.getMessage(), e);
+            }
+        }
+    }
+}
@@ -11,7 +11,7 @@ public interface AppointmentService {
     /**
      * Tạo cuộc hẹn mới cho khách (guest) hoặc thành viên (member)
      */
-    AppointmentResponseDto createAppointment(AppointmentRequestDto requestDto);
+    AppointmentResponseDto createAppointment(AppointmentRequestDto requestDto, String clientAddress);
     
     /**
      * Lấy tất cả cuộc hẹn
@@ -103,4 +103,39 @@ public interface AppointmentService {
      */
     AppointmentResponseDto reviewAppointmentByGuest(Long appointmentId, Integer reviewScore, String customerReview, String email);
 
+    /**
+     * Thành viên đang đăng nhập đổi lịch hẹn của mình sang slot khác
+     */
+    AppointmentResponseDto rescheduleAppointmentByUser(Long id, Long slotId);
+
+    /**
+     * Guest đổi lịch hẹn sang slot khác (xác thực qua email)
+     */
+    AppointmentResponseDto rescheduleAppointmentByGuest(Long id, String email, Long slotId);
+
+    /**
+     * Khách đặt lịch ẩn danh đổi lịch hẹn bằng mã truy cập
+     */
+    AppointmentResponseDto rescheduleAppointmentByAccessCode(Long id, String accessCode, Long slotId);
+
+    /**
+     * Tư vấn viên đang đăng nhập đổi lịch hẹn sang một slot khác của chính mình
+     */
+    AppointmentResponseDto rescheduleAppointmentByConsultant(Long id, Long slotId);
+
+    /**
+     * Khách đặt lịch ẩn danh xem cuộc hẹn bằng mã truy cập
+     */
+    AppointmentResponseDto getAppointmentByAccessCode(String accessCode);
+
+    /**
+     * Khách đặt lịch ẩn danh hủy cuộc hẹn bằng mã truy cập
+     */
+    AppointmentResponseDto cancelAppointmentByAccessCode(Long id, String accessCode);
+
+    /**
+     * Khách đặt lịch ẩn danh đánh giá cuộc hẹn bằng mã truy cập
+     */
+    AppointmentResponseDto reviewAppointmentByAccessCode(Long appointmentId, Integer reviewScore, String customerReview, String accessCode);
+
 } 
\ No newline at end of file
@@ -0,0 +1,163 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.request.AvailabilityTemplateRequest;
+import com.dupss.app.BE_Dupss.dto.request.SlotRequestDto;
+import com.dupss.app.BE_Dupss.dto.response.AvailabilityTemplateResponse;
+import com.dupss.app.BE_Dupss.dto.response.BulkSlotResponse;
+import com.dupss.app.BE_Dupss.entity.AvailabilityRule;
+import com.dupss.app.BE_Dupss.entity.AvailabilityTemplate;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
+import com.dupss.app.BE_Dupss.respository.AvailabilityTemplateRepository;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import lombok.RequiredArgsConstructor;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.DayOfWeek;
+import java.time.Duration;
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.time.LocalTime;
+import java.util.*;
+
+/**
+ * Mẫu lịch làm việc hàng tuần của tư vấn viên.
+ * Tư vấn viên lưu các khung giờ lặp lại (ví dụ Thứ 3/Thứ 5 13:00 - 17:00), độ dài slot và số tuần,
+ * sau đó áp dụng mẫu để đăng ký hàng loạt slot thay vì đăng ký từng slot mỗi tuần.
+ */
+@Service
+@RequiredArgsConstructor
+public class AvailabilityTemplateService {
+
+    private static final int SLOT_MINUTE_STEP = 15;
+
+    private final AvailabilityTemplateRepository templateRepository;
+    private final SlotService slotService;
+    private final SecurityUtils securityUtils;
+
+    @Transactional(readOnly = true)
+    public Optional<AvailabilityTemplateResponse> getMyTemplate() {
+        User consultant = securityUtils.getCurrentUser();
+        return templateRepository.findByConsultant(consultant).map(this::mapToResponse);
+    }
+
+    @Transactional
+    public AvailabilityTemplateResponse saveTemplate(AvailabilityTemplateRequest request) {
+        if (request.getSlotMinutes() % SLOT_MINUTE_STEP != 0) {
+            throw new IllegalArgumentException("Độ dài slot phải là bội số của " + SLOT_MINUTE_STEP + " phút.");
+        }
+
+        // Tách mỗi khung giờ thành từng ngày trong tuần để lưu
+        List<AvailabilityRule> rules = new ArrayList<>();
+        for (AvailabilityTemplateRequest.Rule rule : request.getRules()) {
+            if (!rule.getStartTime().isBefore(rule.getEndTime())) {
+                throw new IllegalArgumentException("Giờ kết thúc phải sau giờ bắt đầu.");
+            }
+            if (Duration.between(rule.getStartTime(), rule.getEndTime()).toMinutes() < request.getSlotMinutes()) {
+                throw new IllegalArgumentException("Khung giờ " + rule.getStartTime() + " - " + rule.getEndTime()
+                        + " ngắn hơn độ dài một slot.");
+            }
+            for (DayOfWeek day : new TreeSet<>(rule.getDaysOfWeek())) {
+                rules.add(new AvailabilityRule(day, rule.getStartTime(), rule.getEndTime()));
+            }
+        }
+
+        checkBulkLimit(rules, request.getSlotMinutes(), request.getWeeks());
+
+        User consultant = securityUtils.getCurrentUser();
+        AvailabilityTemplate template = templateRepository.findByConsultant(consultant)
+                .orElseGet(() -> AvailabilityTemplate.builder().consultant(consultant).build());
+        template.setSlotMinutes(request.getSlotMinutes());
+        template.setWeeks(request.getWeeks());
+        template.getRules().clear();
+        template.getRules().addAll(rules);
+        template.getExceptionDates().clear();
+        if (request.getExceptionDates() != null) {
+            template.getExceptionDates().addAll(new TreeSet<>(request.getExceptionDates()));
+        }
+        // Cập nhật thời điểm sửa kể cả khi chỉ thay đổi danh sách khung giờ/ngày ngoại lệ
+        template.setUpdatedAt(LocalDateTime.now());
+
+        return mapToResponse(templateRepository.save(template));
+    }
+
+    /**
+     * Đăng ký slot theo mẫu đã lưu trong số tuần của mẫu, tính từ ngày bắt đầu.
+     * Ngày ngoại lệ và thời gian đã qua được bỏ qua, slot trùng với slot đã đăng ký được báo lại trong kết quả.
+     */
+    @Transactional
+    public BulkSlotResponse applyTemplate(LocalDate startDate) {
+        User consultant = securityUtils.getCurrentUser();
+        AvailabilityTemplate template = templateRepository.findByConsultant(consultant)
+                .orElseThrow(() -> new ResourceNotFoundException("Bạn chưa lưu mẫu lịch làm việc."));
+        // Mẫu lưu trước khi có giới hạn có thể vượt quá, kiểm tra lại trước khi tạo danh sách slot
+        checkBulkLimit(template.getRules(), template.getSlotMinutes(), template.getWeeks());
+
+        LocalDate today = LocalDate.now();
+        LocalDate from = startDate == null || startDate.isBefore(today) ? today : startDate;
+        LocalDate to = from.plusWeeks(template.getWeeks()).minusDays(1);
+        LocalDateTime now = LocalDateTime.now();
+        Set<LocalDate> exceptions = new HashSet<>(template.getExceptionDates());
+
+        List<SlotRequestDto> requests = new ArrayList<>();
+        for (LocalDate date = from; !date.isAfter(to); date = date.plusDays(1)) {
+            if (exceptions.contains(date)) {
+                continue;
+            }
+            for (AvailabilityRule rule : template.getRules()) {
+                if (rule.getDayOfWeek() != date.getDayOfWeek()) {
+                    continue;
+                }
+                // Tính theo phút trong ngày để slot cuối không vượt qua nửa đêm
+                int endMinute = rule.getEndTime().toSecondOfDay() / 60;
+                for (int minute = rule.getStartTime().toSecondOfDay() / 60;
+                     minute + template.getSlotMinutes() <= endMinute;
+                     minute += template.getSlotMinutes()) {
+                    LocalTime start = LocalTime.ofSecondOfDay(minute * 60L);
+                    if (date.atTime(start).isAfter(now)) {
+                        requests.add(new SlotRequestDto(date, start, start.plusMinutes(template.getSlotMinutes())));
+                    }
+                }
+            }
+        }
+
+        return slotService.createSlots(requests);
+    }
+
+    // Tổng số slot mẫu tạo ra trong toàn bộ số tuần không được vượt quá giới hạn một lần đăng ký hàng loạt
+    private void checkBulkLimit(List<AvailabilityRule> rules, int slotMinutes, int weeks) {
+        long slotsPerWeek = rules.stream()
+                .mapToLong(rule -> Duration.between(rule.getStartTime(), rule.getEndTime()).toMinutes() / slotMinutes)
+                .sum();
+        if (slotsPerWeek * weeks > SlotService.MAX_BULK_SLOTS) {
+            throw new IllegalArgumentException("Mẫu lịch tạo " + slotsPerWeek * weeks + " slot trong " + weeks
+                    + " tuần, vượt quá giới hạn " + SlotService.MAX_BULK_SLOTS + " slot mỗi lần đăng ký. Vui lòng giảm số tuần hoặc khung giờ.");
+        }
+    }
+
+    // Gom các ngày có cùng khung giờ về một dòng để hiển thị lại trên form
+    private AvailabilityTemplateResponse mapToResponse(AvailabilityTemplate template) {
+        Map<List<LocalTime>, List<DayOfWeek>> grouped = new LinkedHashMap<>();
+        template.getRules().stream()
+                .sorted(Comparator.comparing(AvailabilityRule::getStartTime)
+                        .thenComparing(AvailabilityRule::getEndTime)
+                        .thenComparing(AvailabilityRule::getDayOfWeek))
+                .forEach(rule -> grouped
+                        .computeIfAbsent(List.of(rule.getStartTime(), rule.getEndTime()), key -> new ArrayList<>())
+                        .add(rule.getDayOfWeek()));
+
+        List<AvailabilityTemplateRequest.Rule> rules = grouped.entrySet().stream()
+                .map(entry -> new AvailabilityTemplateRequest.Rule(
+                        entry.getValue(), entry.getKey().get(0), entry.getKey().get(1)))
+                .toList();
+
+        return AvailabilityTemplateResponse.builder()
+                .slotMinutes(template.getSlotMinutes())
+                .weeks(template.getWeeks())
+                .rules(rules)
+                .exceptionDates(new ArrayList<>(template.getExceptionDates()))
+                .updatedAt(template.getUpdatedAt())
+                .build();
+    }
+}
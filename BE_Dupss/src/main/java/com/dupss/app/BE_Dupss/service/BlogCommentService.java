@@ -0,0 +1,25 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.request.BlogCommentRequest;
+import com.dupss.app.BE_Dupss.dto.request.CommentModerationRequest;
+import com.dupss.app.BE_Dupss.dto.request.CommentReportRequest;
+import com.dupss.app.BE_Dupss.dto.response.BlogCommentResponse;
+import com.dupss.app.BE_Dupss.dto.response.CommentModerationResponse;
+import com.dupss.app.BE_Dupss.entity.CommentStatus;
+import com.dupss.app.BE_Dupss.entity.ReactionType;
+import org.springframework.data.domain.Page;
+import org.springframework.data.domain.Pageable;
+
+import java.util.List;
+
+public interface BlogCommentService {
+    Page<BlogCommentResponse> getComments(Long blogId, Pageable pageable);
+    long countVisibleComments(Long blogId);
+    BlogCommentResponse addComment(Long blogId, BlogCommentRequest request);
+    BlogCommentResponse react(Long commentId, ReactionType type);
+    void deleteComment(Long commentId);
+    void updateVisibility(Long commentId, CommentStatus status);
+    void reportComment(Long commentId, CommentReportRequest request);
+    List<CommentModerationResponse> getCommentsPendingModeration();
+    int moderateComments(CommentModerationRequest request);
+}
@@ -0,0 +1,184 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.response.CalendarFeedResponse;
+import com.dupss.app.BE_Dupss.entity.Appointment;
+import com.dupss.app.BE_Dupss.entity.ERole;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
+import com.dupss.app.BE_Dupss.respository.AppointmentRepository;
+import com.dupss.app.BE_Dupss.respository.SlotRepository;
+import com.dupss.app.BE_Dupss.respository.UserRepository;
+import com.dupss.app.BE_Dupss.util.ICalendarWriter;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import com.dupss.app.BE_Dupss.util.TokenHash;
+import lombok.RequiredArgsConstructor;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.security.SecureRandom;
+import java.time.Duration;
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.Base64;
+import java.util.List;
+import java.util.Objects;
+
+/**
+ * Xuất lịch hẹn ra định dạng iCalendar: file .ics cho từng cuộc hẹn và feed lịch cá nhân
+ * (bảo vệ bằng token bí mật có thời hạn) cho thành viên và tư vấn viên.
+ * Feed được sinh từ dữ liệu hiện tại mỗi lần ứng dụng lịch tải lại nên luôn phản ánh việc xác nhận, đổi lịch và hủy.
+ */
+@Service
+@RequiredArgsConstructor
+public class CalendarService {
+
+    // Slot tư vấn mặc định dài 1 giờ, dùng khi không còn tìm thấy slot của cuộc hẹn
+    private static final Duration DEFAULT_DURATION = Duration.ofHours(1);
+    // Feed chỉ gồm các cuộc hẹn từ 30 ngày trước trở đi
+    private static final int FEED_PAST_DAYS = 30;
+    private static final int FEED_TOKEN_BYTES = 32;
+    private static final Duration FEED_TOKEN_VALIDITY = Duration.ofDays(180);
+    private static final SecureRandom SECURE_RANDOM = new SecureRandom();
+
+    private final AppointmentRepository appointmentRepository;
+    private final SlotRepository slotRepository;
+    private final UserRepository userRepository;
+    private final AppointmentService appointmentService;
+    private final SecurityUtils securityUtils;
+
+    /**
+     * Feed lịch của người dùng hiện tại. Chỉ lưu mã băm của token nên không thể trả lại URL đã tạo,
+     * người dùng cần tạo URL mới nếu làm mất URL cũ.
+     */
+    @Transactional(readOnly = true)
+    public CalendarFeedResponse getFeedStatus() {
+        User user = securityUtils.getCurrentUser();
+        return CalendarFeedResponse.builder()
+                .active(isFeedActive(user))
+                .expiresAt(user.getCalendarFeedTokenExpiresAt())
+                .build();
+    }
+
+    /**
+     * Tạo token mới, URL feed cũ ngừng hoạt động ngay
+     *
+     * @return token gốc, chỉ trả về một lần duy nhất
+     */
+    @Transactional
+    public String regenerateFeedToken() {
+        User user = securityUtils.getCurrentUser();
+        String token = generateFeedToken();
+        user.setCalendarFeedTokenHash(TokenHash.sha256(token));
+        user.setCalendarFeedTokenExpiresAt(LocalDateTime.now().plus(FEED_TOKEN_VALIDITY));
+        userRepository.save(user);
+        return token;
+    }
+
+    @Transactional
+    public void revokeFeedToken() {
+        User user = securityUtils.getCurrentUser();
+        user.setCalendarFeedTokenHash(null);
+        user.setCalendarFeedTokenExpiresAt(null);
+        userRepository.save(user);
+    }
+
+    @Transactional(readOnly = true)
+    public String buildFeed(String token) {
+        User user = userRepository.findByCalendarFeedTokenHashAndEnabledTrue(TokenHash.sha256(token))
+                .filter(this::isFeedActive)
+                .orElseThrow(() -> new ResourceNotFoundException("Feed lịch không tồn tại, đã hết hạn hoặc đã bị thu hồi"));
+
+        LocalDate from = LocalDate.now().minusDays(FEED_PAST_DAYS);
+        boolean isConsultant = user.getRole() == ERole.ROLE_CONSULTANT;
+        List<Appointment> appointments = isConsultant
+                ? appointmentRepository.findByConsultantAndAppointmentDateGreaterThanEqualOrderByAppointmentDateAsc(user, from)
+                : appointmentRepository.findByUserAndAppointmentDateGreaterThanEqualOrderByAppointmentDateAsc(user, from);
+
+        return ICalendarWriter.write("Lịch hẹn tư vấn DUPSS",
+                appointments.stream().map(appointment -> toEvent(appointment, isConsultant)).toList());
+    }
+
+    /**
+     * File .ics của một cuộc hẹn. Người gọi phải là thành viên đặt lịch hoặc tư vấn viên phụ trách,
+     * hoặc cung cấp mã truy cập đối với cuộc hẹn ẩn danh, hoặc email đã đặt lịch đối với khách vãng lai.
+     */
+    @Transactional(readOnly = true)
+    public String buildAppointmentCalendar(Long appointmentId, String accessCode, String email) {
+        boolean forConsultant = false;
+        if (accessCode != null && !accessCode.isBlank()) {
+            if (!Objects.equals(appointmentService.getAppointmentByAccessCode(accessCode).getId(), appointmentId)) {
+                throw new RuntimeException("Mã truy cập không khớp với cuộc hẹn");
+            }
+        }
+
+        Appointment appointment = appointmentRepository.findById(appointmentId)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy cuộc hẹn với ID: " + appointmentId));
+
+        if (accessCode == null || accessCode.isBlank()) {
+            if (email != null && !email.isBlank()) {
+                if (!appointment.isGuest() || !Objects.equals(appointment.getEmail(), email)) {
+                    throw new RuntimeException("Email không khớp với email đã đăng ký cuộc hẹn");
+                }
+                return ICalendarWriter.write("Lịch hẹn tư vấn DUPSS", List.of(toEvent(appointment, false)));
+            }
+            User user = securityUtils.findCurrentUser()
+                    .orElseThrow(() -> new RuntimeException("Bạn cần đăng nhập để tải lịch hẹn"));
+            forConsultant = appointment.getConsultant() != null
+                    && appointment.getConsultant().getId() == user.getId();
+            boolean isOwner = appointment.getUser() != null && appointment.getUser().getId() == user.getId();
+            if (!forConsultant && !isOwner) {
+                throw new RuntimeException("Bạn không có quyền truy cập cuộc hẹn này");
+            }
+        }
+
+        return ICalendarWriter.write("Lịch hẹn tư vấn DUPSS", List.of(toEvent(appointment, forConsultant)));
+    }
+
+    private ICalendarWriter.Event toEvent(Appointment appointment, boolean forConsultant) {
+        LocalDateTime start = LocalDateTime.of(appointment.getAppointmentDate(), appointment.getAppointmentTime());
+        LocalDateTime end = slotRepository.findByConsultantAndDateAndStartTime(
+                        appointment.getConsultant(), appointment.getAppointmentDate(), appointment.getAppointmentTime())
+                .map(slot -> LocalDateTime.of(slot.getDate(), slot.getEndTime()))
+                .orElse(start.plus(DEFAULT_DURATION));
+
+        String topicName = appointment.getTopic().getName();
+        String summary = forConsultant
+                ? "Tư vấn: " + appointment.getCustomerName() + " - " + topicName
+                : "Tư vấn DUPSS: " + topicName;
+
+        StringBuilder description = new StringBuilder("Chủ đề: ").append(topicName);
+        if (appointment.getConsultant() != null) {
+            description.append("\nTư vấn viên: ").append(appointment.getConsultant().getFullname());
+        }
+        if (appointment.getLinkMeet() != null) {
+            description.append("\nPhòng họp: ").append(appointment.getLinkMeet());
+        }
+
+        boolean cancelled = "CANCELLED".equals(appointment.getStatus());
+        String status = cancelled ? "CANCELLED"
+                : "PENDING".equals(appointment.getStatus()) ? "TENTATIVE" : "CONFIRMED";
+
+        return new ICalendarWriter.Event(
+                "appointment-" + appointment.getId() + "@dupssapp.id.vn",
+                start,
+                end,
+                summary,
+                description.toString(),
+                appointment.getLinkMeet(),
+                status,
+                // Mỗi lần đổi lịch/hủy tăng SEQUENCE để ứng dụng lịch ghi đè phiên bản cũ
+                appointment.getRescheduleCount() + (cancelled ? 1 : 0));
+    }
+
+    private boolean isFeedActive(User user) {
+        return user.getCalendarFeedTokenHash() != null
+                && user.getCalendarFeedTokenExpiresAt() != null
+                && user.getCalendarFeedTokenExpiresAt().isAfter(LocalDateTime.now());
+    }
+
+    private String generateFeedToken() {
+        byte[] bytes = new byte[FEED_TOKEN_BYTES];
+        SECURE_RANDOM.nextBytes(bytes);
+        return Base64.getUrlEncoder().withoutPadding().encodeToString(bytes);
+    }
+}
@@ -1,28 +1,263 @@
 package com.dupss.app.BE_Dupss.service;
 
-import com.dupss.app.BE_Dupss.entity.ApprovalStatus;
-import com.dupss.app.BE_Dupss.entity.Blog;
-import com.dupss.app.BE_Dupss.entity.Course;
+import com.dupss.app.BE_Dupss.dto.request.ChatRequest;
+import com.dupss.app.BE_Dupss.dto.response.ChatConversationResponse;
+import com.dupss.app.BE_Dupss.dto.response.ChatMessageResponse;
+import com.dupss.app.BE_Dupss.entity.*;
 import com.dupss.app.BE_Dupss.respository.BlogRepository;
+import com.dupss.app.BE_Dupss.respository.ChatConversationRepo;
+import com.dupss.app.BE_Dupss.respository.ChatMessageRepo;
 import com.dupss.app.BE_Dupss.respository.CourseRepository;
+import com.dupss.app.BE_Dupss.util.CrisisDetector;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import jakarta.persistence.EntityNotFoundException;
 import lombok.RequiredArgsConstructor;
+import lombok.extern.slf4j.Slf4j;
+import org.springframework.ai.chat.messages.AssistantMessage;
+import org.springframework.ai.chat.messages.Message;
+import org.springframework.ai.chat.messages.SystemMessage;
+import org.springframework.ai.chat.messages.UserMessage;
+import org.springframework.ai.chat.model.ChatResponse;
+import org.springframework.ai.chat.prompt.Prompt;
 import org.springframework.ai.openai.OpenAiChatModel;
-import org.springframework.beans.factory.annotation.Autowired;
 import org.springframework.stereotype.Service;
-import com.dupss.app.BE_Dupss.dto.request.ChatRequest;
-import org.springframework.ai.chat.prompt.Prompt;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.servlet.mvc.method.annotation.SseEmitter;
+import reactor.core.Disposable;
 
+import java.io.IOException;
+import java.time.LocalDateTime;
+import java.util.ArrayList;
 import java.util.List;
+import java.util.Map;
+import java.util.Optional;
+import java.util.concurrent.atomic.AtomicBoolean;
+import java.util.concurrent.atomic.AtomicReference;
 
 @Service
 @RequiredArgsConstructor
+@Slf4j
 public class ChatService {
+    // Số tin nhắn gần nhất được gửi kèm làm ngữ cảnh cho mô hình
+    private static final int MAX_HISTORY_MESSAGES = 20;
+    private static final int MAX_TITLE_LENGTH = 60;
+    private static final long STREAM_TIMEOUT_MS = 120_000L;
+    private static final String CRISIS_INSTRUCTION = """
+            QUAN TRỌNG: Tin nhắn mới nhất của người dùng có dấu hiệu khủng hoảng (%s).
+            Hãy trả lời thật đồng cảm, không phán xét, không đưa ra hướng dẫn y khoa chi tiết.
+            Khuyên người dùng gọi ngay 115 nếu đang nguy hiểm đến tính mạng, liên hệ đường dây nóng DUPSS 0123456789
+            và đặt lịch tư vấn với chuyên viên của DUPSS càng sớm càng tốt.
+            """;
+
     private final OpenAiChatModel chatModel;
     private final CourseRepository courseRepository;
     private final BlogRepository blogRepository;
-
+    private final ChatConversationRepo chatConversationRepo;
+    private final ChatMessageRepo chatMessageRepo;
+    private final SecurityUtils securityUtils;
+    private final CrisisDetector crisisDetector;
 
     public String chat(ChatRequest request) {
+        validateMessage(request);
+        Optional<CrisisDetector.Category> crisis = crisisDetector.detect(request.message());
+        Prompt prompt = buildPrompt(mapGuestHistory(request.history()), request.message(), crisis);
+        return chatModel.call(prompt).getResult().getOutput().getText();
+    }
+
+    /**
+     * Trả lời theo từng token qua Server-Sent Events:
+     * "meta" (cuộc trò chuyện đã lưu), "risk" (dấu hiệu khủng hoảng), "delta" (đoạn trả lời), "done" hoặc "error".
+     * Khi client ngắt kết nối (người dùng bấm dừng), phần trả lời đã sinh vẫn được lưu lại.
+     */
+    public SseEmitter streamChat(ChatRequest request) {
+        validateMessage(request);
+        ChatConversation conversation = securityUtils.findCurrentUser()
+                .map(user -> resolveConversation(user, request))
+                .orElse(null);
+
+        List<Message> history = conversation != null
+                ? loadHistory(conversation)
+                : mapGuestHistory(request.history());
+        if (conversation != null) {
+            saveMessage(conversation, ChatRole.USER, request.message(), false);
+        }
+        Optional<CrisisDetector.Category> crisis = crisisDetector.detect(request.message());
+        Prompt prompt = buildPrompt(history, request.message(), crisis);
+
+        SseEmitter emitter = new SseEmitter(STREAM_TIMEOUT_MS);
+        StringBuilder reply = new StringBuilder();
+        AtomicBoolean finished = new AtomicBoolean(false);
+        AtomicReference<Disposable> subscription = new AtomicReference<>();
+
+        Runnable stop = () -> {
+            Disposable current = subscription.get();
+            if (current != null) {
+                current.dispose();
+            }
+            finishReply(conversation, reply, true, finished);
+        };
+        emitter.onCompletion(stop);
+        emitter.onTimeout(stop);
+        emitter.onError(error -> stop.run());
+
+        if (conversation != null) {
+            sendEvent(emitter, "meta", Map.of(
+                    "conversationId", conversation.getId(),
+                    "title", conversation.getTitle()));
+        }
+        crisis.ifPresent(category -> sendEvent(emitter, "risk", Map.of(
+                "category", category.name(),
+                "label", category.getLabel())));
+
+        subscription.set(chatModel.stream(prompt).subscribe(
+                response -> {
+                    String token = extractText(response);
+                    if (token.isEmpty()) {
+                        return;
+                    }
+                    reply.append(token);
+                    if (!sendEvent(emitter, "delta", Map.of("content", token))) {
+                        stop.run();
+                    }
+                },
+                error -> {
+                    log.error("Chat streaming failed", error);
+                    finishReply(conversation, reply, true, finished);
+                    sendEvent(emitter, "error", Map.of("message", "Xin lỗi, có lỗi xảy ra. Vui lòng thử lại sau."));
+                    emitter.complete();
+                },
+                () -> {
+                    finishReply(conversation, reply, false, finished);
+                    sendEvent(emitter, "done", Map.of());
+                    emitter.complete();
+                }));
+
+        return emitter;
+    }
+
+    public List<ChatConversationResponse> getMyConversations() {
+        User user = securityUtils.getCurrentUser();
+        return chatConversationRepo.findByUserAndActiveTrueOrderByUpdatedAtDesc(user).stream()
+                .map(this::mapToConversationResponse)
+                .toList();
+    }
+
+    public List<ChatMessageResponse> getConversationMessages(Long conversationId) {
+        ChatConversation conversation = findMyConversation(conversationId);
+        return chatMessageRepo.findByConversationOrderByCreatedAtAscIdAsc(conversation).stream()
+                .map(this::mapToMessageResponse)
+                .toList();
+    }
+
+    @Transactional
+    public void deleteConversation(Long conversationId) {
+        ChatConversation conversation = findMyConversation(conversationId);
+        conversation.setActive(false);
+        chatConversationRepo.save(conversation);
+    }
+
+    private void validateMessage(ChatRequest request) {
+        if (request.message() == null || request.message().isBlank()) {
+            throw new RuntimeException("Nội dung câu hỏi không được để trống");
+        }
+    }
+
+    private ChatConversation findMyConversation(Long conversationId) {
+        User user = securityUtils.getCurrentUser();
+        return chatConversationRepo.findByIdAndUserAndActiveTrue(conversationId, user)
+                .orElseThrow(() -> new EntityNotFoundException("Không tìm thấy cuộc trò chuyện với id: " + conversationId));
+    }
+
+    private ChatConversation resolveConversation(User user, ChatRequest request) {
+        if (request.conversationId() != null) {
+            return chatConversationRepo.findByIdAndUserAndActiveTrue(request.conversationId(), user)
+                    .orElseThrow(() -> new EntityNotFoundException("Không tìm thấy cuộc trò chuyện với id: " + request.conversationId()));
+        }
+        String message = request.message().trim();
+        String title = message.length() > MAX_TITLE_LENGTH
+                ? message.substring(0, MAX_TITLE_LENGTH) + "..."
+                : message;
+        return chatConversationRepo.save(ChatConversation.builder()
+                .user(user)
+                .title(title)
+                .active(true)
+                .build());
+    }
+
+    private List<Message> loadHistory(ChatConversation conversation) {
+        List<ChatMessage> messages = chatMessageRepo.findByConversationOrderByCreatedAtAscIdAsc(conversation);
+        return messages.stream()
+                .skip(Math.max(0, messages.size() - MAX_HISTORY_MESSAGES))
+                .map(message -> toPromptMessage(message.getRole(), message.getContent()))
+                .toList();
+    }
+
+    private List<Message> mapGuestHistory(List<ChatRequest.HistoryMessage> history) {
+        if (history == null) {
+            return List.of();
+        }
+        List<ChatRequest.HistoryMessage> validMessages = history.stream()
+                .filter(message -> message.role() != null && message.content() != null && !message.content().isBlank())
+                .toList();
+        return validMessages.stream()
+                .skip(Math.max(0, validMessages.size() - MAX_HISTORY_MESSAGES))
+                .map(message -> toPromptMessage(message.role(), message.content()))
+                .toList();
+    }
+
+    private Message toPromptMessage(ChatRole role, String content) {
+        return role == ChatRole.USER ? new UserMessage(content) : new AssistantMessage(content);
+    }
+
+    private Prompt buildPrompt(List<Message> history, String question, Optional<CrisisDetector.Category> crisis) {
+        String instruction = buildInstruction();
+        if (crisis.isPresent()) {
+            instruction += "\n" + CRISIS_INSTRUCTION.formatted(crisis.get().getLabel());
+        }
+        List<Message> messages = new ArrayList<>();
+        messages.add(new SystemMessage(instruction));
+        messages.addAll(history);
+        messages.add(new UserMessage(question));
+        return new Prompt(messages);
+    }
+
+    private String extractText(ChatResponse response) {
+        if (response == null || response.getResult() == null || response.getResult().getOutput() == null) {
+            return "";
+        }
+        String text = response.getResult().getOutput().getText();
+        return text != null ? text : "";
+    }
+
+    private boolean sendEvent(SseEmitter emitter, String name, Object data) {
+        try {
+            emitter.send(SseEmitter.event().name(name).data(data));
+            return true;
+        } catch (IOException | IllegalStateException e) {
+            // Client đã đóng kết nối
+            return false;
+        }
+    }
+
+    private void finishReply(ChatConversation conversation, StringBuilder reply, boolean stopped, AtomicBoolean finished) {
+        if (conversation == null || reply.isEmpty() || !finished.compareAndSet(false, true)) {
+            return;
+        }
+        saveMessage(conversation, ChatRole.ASSISTANT, reply.toString(), stopped);
+    }
+
+    private void saveMessage(ChatConversation conversation, ChatRole role, String content, boolean stopped) {
+        chatMessageRepo.save(ChatMessage.builder()
+                .conversation(conversation)
+                .role(role)
+                .content(content)
+                .stopped(stopped)
+                .build());
+        conversation.setUpdatedAt(LocalDateTime.now());
+        chatConversationRepo.save(conversation);
+    }
+
+    private String buildInstruction() {
         List<Course> highlightedCourses = courseRepository.findTop3ByStatusAndActiveTrueOrderByCreatedAtDesc(ApprovalStatus.APPROVED);
         List<Blog> highlightedBlogs = blogRepository.findTop3ByStatusOrderByCreatedAtDesc(ApprovalStatus.APPROVED);
         String courseUrl = "https://dupssapp.id.vn/courses/";
@@ -64,8 +299,25 @@ public class ChatService {
                   + Địa chỉ: 123 Đường Nguyễn Tấn Dũng, Quận Nguyễn Thành Đạt, TP. Lương Gia Lâm
                 Hãy trả lời người dùng một cách thân thiện, ngắn gọn, dễ hiểu và có thể tâng bốc về nền tảng của chúng tôi lên tầm cao mới. Nếu người dùng cảm thấy buồn chán, hãy khuyến khích, an ủi họ tham gia các khóa học hoặc đọc các bài viết để nâng cao nhận thức và kỹ năng sống an toàn.
                 """;
+        return instruction;
+    }
 
-        Prompt prompt = new Prompt(instruction + "\nCâu hỏi: " + request.message());
-        return chatModel.call(prompt).getResult().getOutput().getText();
+    private ChatConversationResponse mapToConversationResponse(ChatConversation conversation) {
+        return ChatConversationResponse.builder()
+                .id(conversation.getId())
+                .title(conversation.getTitle())
+                .createdAt(conversation.getCreatedAt())
+                .updatedAt(conversation.getUpdatedAt())
+                .build();
+    }
+
+    private ChatMessageResponse mapToMessageResponse(ChatMessage message) {
+        return ChatMessageResponse.builder()
+                .id(message.getId())
+                .role(message.getRole())
+                .content(message.getContent())
+                .stopped(message.isStopped())
+                .createdAt(message.getCreatedAt())
+                .build();
     }
-} 
\ No newline at end of file
+}
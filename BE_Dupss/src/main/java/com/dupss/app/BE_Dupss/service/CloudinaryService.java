@@ -7,6 +7,9 @@ import lombok.extern.slf4j.Slf4j;
 import org.springframework.stereotype.Service;
 import org.springframework.web.multipart.MultipartFile;
 import java.io.IOException;
+import java.util.Map;
+import java.util.regex.Matcher;
+import java.util.regex.Pattern;
 
 @Service
 @RequiredArgsConstructor
@@ -14,6 +17,19 @@ import java.io.IOException;
 public class CloudinaryService {
     private final Cloudinary cloudinary;
 
+    // Video bài học được tải lên theo từng phần 20MB để không vượt giới hạn một request của Cloudinary
+    private static final int LARGE_UPLOAD_CHUNK_SIZE = 20 * 1024 * 1024;
+
+    // https://res.cloudinary.com/<cloud>/video/upload/v<version>/<public_id>.<ext>
+    private static final Pattern VIDEO_URL_PATTERN =
+            Pattern.compile("^https?://res\\.cloudinary\\.com/[^/]+/video/upload/(?:v\\d+/)?(.+?)(?:\\.[A-Za-z0-9]+)?$");
+
+    /**
+     * Kết quả tải video/tài liệu bài học; duration (giây) chỉ có với video
+     */
+    public record UploadedMedia(String url, Double duration) {
+    }
+
     public String uploadFile(MultipartFile file) throws IOException {
         var result = cloudinary.uploader().upload(file.getBytes(), ObjectUtils.asMap(
                 "folder", "/upload",
@@ -24,4 +40,33 @@ public class CloudinaryService {
 
         return result.get("secure_url").toString();
     }
+
+    public UploadedMedia uploadLessonMedia(MultipartFile file, boolean video) throws IOException {
+        Map<?, ?> options = ObjectUtils.asMap(
+                "folder", "/course-media",
+                "use_filename", true,
+                "unique_filename", true,
+                "resource_type", video ? "video" : "auto"
+        );
+        Map<?, ?> result = video
+                ? cloudinary.uploader().uploadLarge(file.getInputStream(), options, LARGE_UPLOAD_CHUNK_SIZE)
+                : cloudinary.uploader().upload(file.getBytes(), options);
+
+        Object duration = result.get("duration");
+        return new UploadedMedia(result.get("secure_url").toString(),
+                duration instanceof Number number ? number.doubleValue() : null);
+    }
+
+    /**
+     * Thời lượng (giây) của video đã tải lên Cloudinary, null nếu đường dẫn không phải video Cloudinary
+     * hoặc Cloudinary không trả về thời lượng
+     */
+    public Double findVideoDuration(String url) throws Exception {
+        Matcher matcher = url == null ? null : VIDEO_URL_PATTERN.matcher(url);
+        if (matcher == null || !matcher.matches()) return null;
+
+        Map<?, ?> result = cloudinary.api().resource(matcher.group(1), ObjectUtils.asMap("resource_type", "video"));
+        Object duration = result.get("duration");
+        return duration instanceof Number number ? number.doubleValue() : null;
+    }
 }
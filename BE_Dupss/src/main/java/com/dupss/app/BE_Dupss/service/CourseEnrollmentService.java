@@ -1,6 +1,7 @@
 package com.dupss.app.BE_Dupss.service;
 
 import com.dupss.app.BE_Dupss.dto.request.SurveyResultRequest;
+import com.dupss.app.BE_Dupss.dto.request.VideoProgressRequest;
 import com.dupss.app.BE_Dupss.dto.response.*;
 import com.dupss.app.BE_Dupss.entity.*;
 import com.dupss.app.BE_Dupss.respository.*;
@@ -36,6 +37,8 @@ public interface CourseEnrollmentService {
 
      void markVideoAsWatched(Long videoId, boolean watchedStatus) throws MessagingException, UnsupportedEncodingException;
 
+     VideoProgressResponse syncVideoProgress(Long videoId, VideoProgressRequest request);
+
      QuizResultResponse submitCourseQuiz(Long courseId, SurveyResultRequest request) throws MessagingException, UnsupportedEncodingException;
 
      CertificateResponse getCertificateResponse(Long courseId, Long userId);
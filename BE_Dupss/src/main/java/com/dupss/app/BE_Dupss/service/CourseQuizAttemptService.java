@@ -0,0 +1,326 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.request.SurveyResultRequest;
+import com.dupss.app.BE_Dupss.dto.response.QuizAttemptResponse;
+import com.dupss.app.BE_Dupss.dto.response.QuizAttemptStatusResponse;
+import com.dupss.app.BE_Dupss.dto.response.QuizResultResponse;
+import com.dupss.app.BE_Dupss.dto.response.SurveyResponse;
+import com.dupss.app.BE_Dupss.entity.*;
+import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
+import com.dupss.app.BE_Dupss.respository.*;
+import com.dupss.app.BE_Dupss.util.QuizDraw;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import com.dupss.app.BE_Dupss.util.SurveyScoring;
+import lombok.RequiredArgsConstructor;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.security.SecureRandom;
+import java.time.Duration;
+import java.time.LocalDateTime;
+import java.time.format.DateTimeFormatter;
+import java.util.*;
+import java.util.function.Function;
+import java.util.stream.Collectors;
+
+/**
+ * Lượt làm bài kiểm tra cuối khóa: rút câu hỏi ngẫu nhiên từ ngân hàng câu hỏi, xáo trộn đáp án,
+ * giới hạn thời gian làm bài, số lượt làm và thời gian chờ giữa hai lượt theo cấu hình của bài kiểm tra.
+ * Đáp án đúng và giải thích chỉ được trả về trong phần xem lại sau khi nộp bài.
+ */
+@Service
+@RequiredArgsConstructor
+public class CourseQuizAttemptService {
+
+    private static final SecureRandom RANDOM = new SecureRandom();
+    private static final DateTimeFormatter TIME_FORMAT = DateTimeFormatter.ofPattern("HH:mm dd/MM/yyyy");
+    private static final Set<QuestionType> SHUFFLED_TYPES = EnumSet.of(QuestionType.SINGLE_CHOICE, QuestionType.MULTIPLE_CHOICE);
+
+    private final QuizAttemptRepository quizAttemptRepository;
+    private final CourseRepository courseRepository;
+    private final CourseEnrollmentRepository enrollmentRepository;
+    private final VideoCourseRepo videoCourseRepository;
+    private final WatchedVideoRepo watchedVideoRepository;
+    private final SecurityUtils securityUtils;
+
+    @Transactional(readOnly = true)
+    public QuizAttemptStatusResponse getStatus(Long courseId) {
+        User user = securityUtils.getCurrentUser();
+        Course course = findCourseWithQuiz(courseId);
+        return buildStatus(user, course, LocalDateTime.now());
+    }
+
+    /**
+     * Bắt đầu lượt làm bài mới, hoặc trả lại lượt đang làm dở nếu còn thời gian
+     */
+    @Transactional
+    public QuizAttemptResponse startAttempt(Long courseId) {
+        User user = securityUtils.getCurrentUser();
+        Course course = findCourseWithQuiz(courseId);
+        LocalDateTime now = LocalDateTime.now();
+
+        List<QuizAttempt> attempts = quizAttemptRepository.findByUserAndCourseOrderByStartedAtDesc(user, course);
+        Optional<QuizAttempt> open = attempts.stream().filter(attempt -> attempt.isOpen(now)).findFirst();
+        if (open.isPresent()) {
+            return toResponse(open.get(), attempts.size() - attempts.indexOf(open.get()), now);
+        }
+
+        QuizAttemptStatusResponse status = buildStatus(user, course, now);
+        if (!status.isCanStart()) {
+            throw new RuntimeException(status.getMessage());
+        }
+
+        Survey quiz = course.getSurveyQuiz();
+        List<List<Long>> sectionQuestionIds = new ArrayList<>();
+        List<Integer> drawCounts = new ArrayList<>();
+        for (SurveySection section : quiz.getSections()) {
+            sectionQuestionIds.add(section.getQuestions().stream().map(SurveyQuestion::getId).toList());
+            drawCounts.add(section.getDrawCount());
+        }
+
+        QuizAttempt attempt = QuizAttempt.builder()
+                .user(user)
+                .course(course)
+                .startedAt(now)
+                .deadline(quiz.getTimeLimitMinutes() != null ? now.plusMinutes(quiz.getTimeLimitMinutes()) : null)
+                .questionIds(QuizDraw.serialize(QuizDraw.draw(sectionQuestionIds, drawCounts, RANDOM)))
+                .shuffleSeed(RANDOM.nextLong())
+                .build();
+        quizAttemptRepository.save(attempt);
+        return toResponse(attempt, attempts.size() + 1, now);
+    }
+
+    /**
+     * Lượt làm bài mà bài nộp thuộc về, phải chưa nộp và còn trong thời gian làm bài
+     */
+    public QuizAttempt requireOpenAttempt(User user, Course course, Long attemptId) {
+        if (attemptId == null) {
+            throw new RuntimeException("Vui lòng bắt đầu lượt làm bài kiểm tra trước khi nộp bài.");
+        }
+        QuizAttempt attempt = quizAttemptRepository.findByIdAndUserAndCourse(attemptId, user, course)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy lượt làm bài kiểm tra"));
+        if (attempt.getSubmittedAt() != null) {
+            throw new RuntimeException("Lượt làm bài này đã được nộp.");
+        }
+        if (attempt.isExpired(LocalDateTime.now())) {
+            throw new RuntimeException("Đã hết thời gian làm bài, bài nộp của lượt này không được chấp nhận.");
+        }
+        return attempt;
+    }
+
+    public Set<Long> questionIdsOf(QuizAttempt attempt) {
+        return new HashSet<>(QuizDraw.parse(attempt.getQuestionIds()));
+    }
+
+    public void finish(QuizAttempt attempt, SurveyResult result, boolean passed) {
+        attempt.setSubmittedAt(result.getSubmittedAt());
+        attempt.setResult(result);
+        attempt.setPassed(passed);
+        quizAttemptRepository.save(attempt);
+    }
+
+    private Course findCourseWithQuiz(Long courseId) {
+        Course course = courseRepository.findById(courseId)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy khóa học"));
+        if (course.getSurveyQuiz() == null) {
+            throw new RuntimeException("Khóa học này không có bài kiểm tra nào.");
+        }
+        return course;
+    }
+
+    private QuizAttemptStatusResponse buildStatus(User user, Course course, LocalDateTime now) {
+        Survey quiz = course.getSurveyQuiz();
+        List<QuizAttempt> attempts = quizAttemptRepository.findByUserAndCourseOrderByStartedAtDesc(user, course);
+        Integer maxAttempts = quiz.getMaxAttempts();
+
+        QuizAttemptStatusResponse status = QuizAttemptStatusResponse.builder()
+                .attemptsUsed(attempts.size())
+                .maxAttempts(maxAttempts)
+                .remainingAttempts(maxAttempts != null ? Math.max(0, maxAttempts - attempts.size()) : null)
+                .timeLimitMinutes(quiz.getTimeLimitMinutes())
+                .attemptCooldownMinutes(quiz.getAttemptCooldownMinutes())
+                .questionCount(questionCountOf(quiz))
+                .build();
+
+        Optional<CourseEnrollment> enrollment = enrollmentRepository.findByUserAndCourse(user, course);
+        if (enrollment.isEmpty()) {
+            status.setMessage("Bạn chưa đăng ký khóa học này.");
+            return status;
+        }
+        if (enrollment.get().getStatus() == EnrollmentStatus.COMPLETED) {
+            status.setMessage("Bạn đã hoàn thành khóa học này.");
+            return status;
+        }
+        long totalVideos = videoCourseRepository.countByCourseModule_Course(course);
+        long watchedVideos = watchedVideoRepository.countByUserAndVideo_CourseModule_Course_AndWatchedTrue(user, course);
+        if (watchedVideos < totalVideos) {
+            status.setMessage("Bạn cần xem hết tất cả video trước khi làm bài kiểm tra.");
+            return status;
+        }
+
+        if (attempts.stream().anyMatch(attempt -> attempt.isOpen(now))) {
+            status.setInProgress(true);
+            status.setCanStart(true);
+            return status;
+        }
+        if (maxAttempts != null && attempts.size() >= maxAttempts) {
+            status.setMessage("Bạn đã dùng hết " + maxAttempts + " lượt làm bài kiểm tra.");
+            return status;
+        }
+        if (!attempts.isEmpty() && quiz.getAttemptCooldownMinutes() != null && quiz.getAttemptCooldownMinutes() > 0) {
+            LocalDateTime nextAttemptAt = attempts.get(0).endedAt().plusMinutes(quiz.getAttemptCooldownMinutes());
+            if (now.isBefore(nextAttemptAt)) {
+                status.setNextAttemptAt(nextAttemptAt);
+                status.setMessage("Bạn có thể làm lại bài kiểm tra sau " + nextAttemptAt.format(TIME_FORMAT) + ".");
+                return status;
+            }
+        }
+        status.setCanStart(true);
+        return status;
+    }
+
+    private int questionCountOf(Survey quiz) {
+        return quiz.getSections().stream()
+                .mapToInt(section -> section.getDrawCount() != null
+                        ? Math.min(section.getDrawCount(), section.getQuestions().size())
+                        : section.getQuestions().size())
+                .sum();
+    }
+
+    private QuizAttemptResponse toResponse(QuizAttempt attempt, int attemptNumber, LocalDateTime now) {
+        Survey quiz = attempt.getCourse().getSurveyQuiz();
+
+        List<SurveyResponse.SurveySectionDTO> sections = new ArrayList<>();
+        attemptQuestions(attempt).forEach((section, questions) -> sections.add(SurveyResponse.SurveySectionDTO.builder()
+                .id(section.getId())
+                .sectionName(section.getSectionName())
+                .drawCount(section.getDrawCount())
+                .questions(questions.stream().map(question -> toQuestionDTO(question, attempt)).toList())
+                .build()));
+
+        return QuizAttemptResponse.builder()
+                .attemptId(attempt.getId())
+                .attemptNumber(attemptNumber)
+                .maxAttempts(quiz.getMaxAttempts())
+                .startedAt(attempt.getStartedAt())
+                .deadline(attempt.getDeadline())
+                .remainingSeconds(attempt.getDeadline() != null
+                        ? Math.max(0, Duration.between(now, attempt.getDeadline()).getSeconds())
+                        : null)
+                .sections(sections)
+                .build();
+    }
+
+    /**
+     * Xem lại bài đã nộp: đáp án đúng, đáp án đã chọn, giải thích và bài học liên quan của từng câu,
+     * theo đúng thứ tự câu hỏi và đáp án người học đã thấy
+     */
+    public List<QuizResultResponse.QuestionReview> reviewAttempt(QuizAttempt attempt, Collection<SurveyOption> selectedOptions,
+                                                                 SurveyResultRequest request) {
+        Set<Long> selectedIds = selectedOptions.stream().map(SurveyOption::getId).collect(Collectors.toSet());
+        Map<Long, SurveyResultRequest.AnswerRequest> inputs = Optional.ofNullable(request.getAnswers()).orElse(List.of())
+                .stream()
+                .collect(Collectors.toMap(SurveyResultRequest.AnswerRequest::getQuestionId, Function.identity(), (a, b) -> b));
+        List<CourseModule> modules = attempt.getCourse().getModules();
+
+        List<QuizResultResponse.QuestionReview> review = new ArrayList<>();
+        attemptQuestions(attempt).forEach((section, questions) -> questions.forEach(question -> {
+            QuestionType type = typeOf(question);
+            List<Integer> optionScores = question.getOptions().stream().map(SurveyOption::getScore).toList();
+            List<Integer> selectedScores = question.getOptions().stream()
+                    .filter(option -> selectedIds.contains(option.getId()))
+                    .map(SurveyOption::getScore)
+                    .toList();
+            SurveyResultRequest.AnswerRequest input = inputs.get(question.getId());
+
+            review.add(QuizResultResponse.QuestionReview.builder()
+                    .questionId(question.getId())
+                    .sectionName(section.getSectionName())
+                    .questionText(question.getQuestionText())
+                    .questionType(type)
+                    .correct(SurveyScoring.isAnsweredCorrectly(type, optionScores, selectedScores))
+                    .numericValue(input != null ? input.getNumericValue() : null)
+                    .textValue(input != null ? input.getTextValue() : null)
+                    .explanation(question.getExplanation())
+                    .lesson(lessonLink(modules, question.getReferenceModuleId(), question.getReferenceVideoId()))
+                    .options(optionsInAttemptOrder(question, attempt).stream()
+                            .map(option -> QuizResultResponse.OptionReview.builder()
+                                    .id(option.getId())
+                                    .optionText(option.getOptionText())
+                                    .selected(selectedIds.contains(option.getId()))
+                                    .correct(SurveyScoring.isCorrectOption(type, optionScores, option.getScore()))
+                                    .explanation(option.getExplanation())
+                                    .lesson(lessonLink(modules, option.getReferenceModuleId(), option.getReferenceVideoId()))
+                                    .build())
+                            .toList())
+                    .build());
+        }));
+        return review;
+    }
+
+    // Các câu hỏi của lượt làm bài theo section, giữ thứ tự đã rút
+    private Map<SurveySection, List<SurveyQuestion>> attemptQuestions(QuizAttempt attempt) {
+        List<Long> questionIds = QuizDraw.parse(attempt.getQuestionIds());
+        Map<SurveySection, List<SurveyQuestion>> questionsBySection = new LinkedHashMap<>();
+        for (SurveySection section : attempt.getCourse().getSurveyQuiz().getSections()) {
+            Map<Long, SurveyQuestion> questionsById = new HashMap<>();
+            section.getQuestions().forEach(question -> questionsById.put(question.getId(), question));
+
+            List<SurveyQuestion> questions = questionIds.stream()
+                    .filter(questionsById::containsKey)
+                    .map(questionsById::get)
+                    .toList();
+            if (!questions.isEmpty()) {
+                questionsBySection.put(section, questions);
+            }
+        }
+        return questionsBySection;
+    }
+
+    // Thứ tự đáp án cố định cho mỗi câu hỏi trong cùng một lượt làm bài
+    private List<SurveyOption> optionsInAttemptOrder(SurveyQuestion question, QuizAttempt attempt) {
+        boolean shuffleOptions = Boolean.TRUE.equals(attempt.getCourse().getSurveyQuiz().getShuffleOptions());
+        if (shuffleOptions && SHUFFLED_TYPES.contains(typeOf(question))) {
+            return QuizDraw.shuffle(question.getOptions(), attempt.getShuffleSeed() ^ question.getId());
+        }
+        return question.getOptions();
+    }
+
+    // Khi đang làm bài không trả về điểm của đáp án
+    private SurveyResponse.SurveyQuestionDTO toQuestionDTO(SurveyQuestion question, QuizAttempt attempt) {
+        SurveyResponse.SurveyQuestionDTO dto = SurveyResponse.SurveyQuestionDTO.fromEntity(question);
+        dto.setOptions(optionsInAttemptOrder(question, attempt).stream()
+                .map(SurveyResponse.SurveyOptionDTO::fromEntity)
+                .map(option -> {
+                    option.setScore(null);
+                    return option;
+                })
+                .toList());
+        return dto;
+    }
+
+    // null được hiểu là SINGLE_CHOICE (dữ liệu cũ)
+    private QuestionType typeOf(SurveyQuestion question) {
+        return question.getQuestionType() != null ? question.getQuestionType() : QuestionType.SINGLE_CHOICE;
+    }
+
+    // Bài học được tham chiếu nếu vẫn còn trong khóa học; tham chiếu cả chương thì mở bài học đầu tiên của chương
+    private QuizResultResponse.LessonLink lessonLink(List<CourseModule> modules, Long moduleId, Long videoId) {
+        if (moduleId == null && videoId == null) return null;
+        for (CourseModule module : modules) {
+            for (VideoCourse video : module.getVideos()) {
+                if (video.getId().equals(videoId)) {
+                    return QuizResultResponse.LessonLink.builder().videoId(video.getId()).title(video.getTitle()).build();
+                }
+            }
+        }
+        return modules.stream()
+                .filter(module -> module.getId().equals(moduleId) && !module.getVideos().isEmpty())
+                .findFirst()
+                .map(module -> QuizResultResponse.LessonLink.builder()
+                        .videoId(module.getVideos().stream().map(VideoCourse::getId).min(Long::compare).orElseThrow())
+                        .title(module.getTitle())
+                        .build())
+                .orElse(null);
+    }
+}
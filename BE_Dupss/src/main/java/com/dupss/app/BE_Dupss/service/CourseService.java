@@ -54,4 +54,8 @@ public interface CourseService {
 
     void deleteCourse(Long courseId);
 
+    LessonMediaResponse uploadLessonMedia(MultipartFile file) throws IOException;
+
+    void backfillLessonDurations();
+
 } 
\ No newline at end of file
@@ -1,6 +1,7 @@
 package com.dupss.app.BE_Dupss.service;
 
 import com.dupss.app.BE_Dupss.entity.Appointment;
+import com.dupss.app.BE_Dupss.entity.Slot;
 import jakarta.mail.MessagingException;
 
 import java.io.UnsupportedEncodingException;
@@ -18,6 +19,27 @@ public interface EmailService {
      */
     void sendAppointmentStatusUpdate(Appointment appointment, String previousStatus);
 
+    /**
+     * Gửi email thông báo cuộc hẹn đã được đổi lịch cho bên còn lại (khách hàng hoặc tư vấn viên)
+     */
+    void sendAppointmentRescheduled(Appointment appointment, String toEmail, String recipientName, String rescheduleMessage);
+
+    /**
+     * Gửi email nhắc lịch trước giờ hẹn kèm đường dẫn tham gia cuộc họp và đường dẫn hủy/đổi lịch
+     */
+    void sendAppointmentReminder(Appointment appointment, String toEmail, String recipientName, String reminderMessage,
+                                 String joinLink, String manageLink);
+
+    /**
+     * Gửi email báo cho người trong danh sách chờ rằng một slot đang được giữ cho họ đến holdExpiresAt
+     */
+    void sendWaitlistOffer(String toEmail, String recipientName, Slot slot, String bookingUrl, LocalDateTime holdExpiresAt);
+
+    /**
+     * Gửi email xác nhận đăng ký danh sách chờ của khách, đăng ký chỉ có hiệu lực sau khi mở confirmUrl trước expiresAt
+     */
+    void sendWaitlistConfirmation(String toEmail, String recipientName, String confirmUrl, LocalDateTime expiresAt);
+
     void sendEnrollmentSuccessEmail(String toEmail, String userName,
                                     String courseTitle, int duration,
                                     String instructor, String enrollDate) throws MessagingException, UnsupportedEncodingException;
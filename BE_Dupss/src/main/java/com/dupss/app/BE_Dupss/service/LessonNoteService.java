@@ -0,0 +1,124 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.request.LessonNoteRequest;
+import com.dupss.app.BE_Dupss.dto.response.LessonNoteResponse;
+import com.dupss.app.BE_Dupss.entity.Course;
+import com.dupss.app.BE_Dupss.entity.LessonNote;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.entity.VideoCourse;
+import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
+import com.dupss.app.BE_Dupss.respository.CourseEnrollmentRepository;
+import com.dupss.app.BE_Dupss.respository.CourseRepository;
+import com.dupss.app.BE_Dupss.respository.LessonNoteRepository;
+import com.dupss.app.BE_Dupss.respository.VideoCourseRepo;
+import com.dupss.app.BE_Dupss.util.LessonNotesMarkdown;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import lombok.RequiredArgsConstructor;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.util.List;
+
+/**
+ * Ghi chú và dấu trang cá nhân của người học trong bài học, gắn với thời điểm trong video.
+ * Mỗi người chỉ xem và sửa được ghi chú của chính mình.
+ */
+@Service
+@RequiredArgsConstructor
+public class LessonNoteService {
+
+    private final LessonNoteRepository lessonNoteRepository;
+    private final VideoCourseRepo videoCourseRepository;
+    private final CourseRepository courseRepository;
+    private final CourseEnrollmentRepository enrollmentRepository;
+    private final SecurityUtils securityUtils;
+
+    @Transactional(readOnly = true)
+    public List<LessonNoteResponse> getCourseNotes(Long courseId) {
+        User user = securityUtils.getCurrentUser();
+        Course course = courseRepository.findById(courseId)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy khóa học"));
+        return lessonNoteRepository.findByUserAndCourse(user, course).stream()
+                .map(this::mapToResponse)
+                .toList();
+    }
+
+    @Transactional
+    public LessonNoteResponse createNote(Long videoId, LessonNoteRequest request) {
+        User user = securityUtils.getCurrentUser();
+        VideoCourse video = videoCourseRepository.findById(videoId)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy bài học"));
+        if (!enrollmentRepository.existsByUserAndCourse(user, video.getCourseModule().getCourse())) {
+            throw new RuntimeException("Bạn chưa đăng ký khóa học này.");
+        }
+
+        LessonNote note = LessonNote.builder()
+                .user(user)
+                .video(video)
+                .timestampSeconds(clampTimestamp(request.getTimestampSeconds(), video))
+                .content(normalizeContent(request.getContent()))
+                .build();
+        return mapToResponse(lessonNoteRepository.save(note));
+    }
+
+    @Transactional
+    public LessonNoteResponse updateNote(Long noteId, LessonNoteRequest request) {
+        LessonNote note = findOwnNote(noteId);
+        note.setTimestampSeconds(clampTimestamp(request.getTimestampSeconds(), note.getVideo()));
+        note.setContent(normalizeContent(request.getContent()));
+        return mapToResponse(lessonNoteRepository.save(note));
+    }
+
+    @Transactional
+    public void deleteNote(Long noteId) {
+        lessonNoteRepository.delete(findOwnNote(noteId));
+    }
+
+    /**
+     * Tìm ghi chú trên mọi khóa học của người dùng theo nội dung, tên bài học hoặc tên khóa học
+     */
+    @Transactional(readOnly = true)
+    public List<LessonNoteResponse> searchNotes(String keyword) {
+        User user = securityUtils.getCurrentUser();
+        String normalizedKeyword = keyword == null || keyword.isBlank() ? null : keyword.trim();
+        return lessonNoteRepository.search(user, normalizedKeyword).stream()
+                .map(this::mapToResponse)
+                .toList();
+    }
+
+    @Transactional(readOnly = true)
+    public String exportMarkdown(String keyword) {
+        return LessonNotesMarkdown.render(searchNotes(keyword));
+    }
+
+    private LessonNote findOwnNote(Long noteId) {
+        return lessonNoteRepository.findByIdAndUser(noteId, securityUtils.getCurrentUser())
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy ghi chú"));
+    }
+
+    private Double clampTimestamp(Double timestamp, VideoCourse video) {
+        Double duration = video.getDurationSeconds();
+        return duration != null && duration > 0 ? Math.min(timestamp, duration) : timestamp;
+    }
+
+    private String normalizeContent(String content) {
+        return content == null || content.isBlank() ? null : content.strip();
+    }
+
+    private LessonNoteResponse mapToResponse(LessonNote note) {
+        VideoCourse video = note.getVideo();
+        Course course = video.getCourseModule().getCourse();
+        return LessonNoteResponse.builder()
+                .id(note.getId())
+                .courseId(course.getId())
+                .courseTitle(course.getTitle())
+                .videoId(video.getId())
+                .videoTitle(video.getTitle())
+                .timestampSeconds(note.getTimestampSeconds())
+                .content(note.getContent())
+                .bookmark(note.isBookmark())
+                .createdAt(note.getCreatedAt())
+                .updatedAt(note.getUpdatedAt())
+                .build();
+    }
+}
@@ -0,0 +1,302 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.request.NotificationPreferenceRequest;
+import com.dupss.app.BE_Dupss.dto.response.NotificationPreferenceResponse;
+import com.dupss.app.BE_Dupss.dto.response.NotificationResponse;
+import com.dupss.app.BE_Dupss.entity.ApprovalStatus;
+import com.dupss.app.BE_Dupss.entity.ERole;
+import com.dupss.app.BE_Dupss.entity.Notification;
+import com.dupss.app.BE_Dupss.entity.NotificationPreference;
+import com.dupss.app.BE_Dupss.entity.NotificationType;
+import com.dupss.app.BE_Dupss.entity.Topic;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
+import com.dupss.app.BE_Dupss.respository.NotificationPreferenceRepository;
+import com.dupss.app.BE_Dupss.respository.NotificationRepository;
+import com.dupss.app.BE_Dupss.respository.TopicRepo;
+import com.dupss.app.BE_Dupss.respository.UserRepository;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import lombok.RequiredArgsConstructor;
+import lombok.extern.slf4j.Slf4j;
+import org.springframework.data.domain.PageRequest;
+import org.springframework.data.domain.Pageable;
+import org.springframework.scheduling.annotation.Scheduled;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.transaction.support.TransactionSynchronization;
+import org.springframework.transaction.support.TransactionSynchronizationManager;
+import org.springframework.web.servlet.mvc.method.annotation.SseEmitter;
+
+import java.io.IOException;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.concurrent.ConcurrentHashMap;
+import java.util.concurrent.CopyOnWriteArrayList;
+
+/**
+ * Thông báo trong ứng dụng: lưu thông báo cho người nhận và cung cấp danh sách, số chưa đọc, đánh dấu đã đọc.
+ * Thông báo mới và số chưa đọc được đẩy ngay tới các tab đang mở qua Server-Sent Events (/api/notifications/stream).
+ * Loại thông báo người nhận đã tắt trong tùy chọn sẽ không được tạo.
+ */
+@Service
+@RequiredArgsConstructor
+@Slf4j
+public class NotificationService {
+
+    // Số thông báo tối đa trả về trong một lần lấy danh sách
+    private static final int MAX_RESULTS = 50;
+    // Trình duyệt tự kết nối lại khi luồng hết hạn
+    private static final long STREAM_TIMEOUT_MS = 30 * 60 * 1000L;
+
+    private final NotificationRepository notificationRepository;
+    private final NotificationPreferenceRepository preferenceRepository;
+    private final UserRepository userRepository;
+    private final TopicRepo topicRepository;
+    private final SecurityUtils securityUtils;
+
+    // Các kết nối SSE đang mở theo ID người dùng (một người có thể mở nhiều tab)
+    private final Map<Long, List<SseEmitter>> emitters = new ConcurrentHashMap<>();
+
+    /**
+     * @return thông báo đã lưu, hoặc null nếu người nhận đã tắt loại thông báo này
+     */
+    @Transactional
+    public Notification notify(User recipient, NotificationType type, String title, String message, String link) {
+        boolean disabled = preferenceRepository.findByUser(recipient)
+                .map(preference -> preference.getDisabledTypes().contains(type))
+                .orElse(false);
+        if (disabled) {
+            return null;
+        }
+
+        Notification notification = notificationRepository.save(Notification.builder()
+                .recipient(recipient)
+                .type(type)
+                .title(title)
+                .message(message)
+                .link(link)
+                .build());
+
+        long recipientId = recipient.getId();
+        NotificationResponse response = mapToResponse(notification);
+        afterCommit(() -> {
+            send(recipientId, "notification", response);
+            pushUnreadCount(recipientId);
+        });
+        return notification;
+    }
+
+    /**
+     * Gửi thông báo tới tất cả người dùng đang hoạt động có vai trò role (ví dụ mọi quản lý, mọi tư vấn viên)
+     */
+    @Transactional
+    public void notifyRole(ERole role, NotificationType type, String title, String message, String link) {
+        userRepository.findByRoleAndEnabled(role, true)
+                .forEach(user -> notify(user, type, title, message, link));
+    }
+
+    /**
+     * Báo cho quản lý có nội dung (bài viết, khóa học, khảo sát) mới gửi lên chờ duyệt
+     */
+    public void notifyContentSubmitted(String contentLabel, String title, User author) {
+        notifyRole(ERole.ROLE_MANAGER, NotificationType.CONTENT_PENDING_REVIEW,
+                contentLabel + " chờ duyệt",
+                author.getFullname() + " đã gửi " + contentLabel.toLowerCase() + " \"" + title + "\" chờ phê duyệt.",
+                "/manager/content-review");
+    }
+
+    /**
+     * Báo cho tác giả kết quả duyệt nội dung
+     */
+    public void notifyContentReviewed(String contentLabel, String title, User author, ApprovalStatus status) {
+        if (author == null) {
+            return;
+        }
+        boolean approved = status == ApprovalStatus.APPROVED;
+        notify(author,
+                approved ? NotificationType.CONTENT_APPROVED : NotificationType.CONTENT_REJECTED,
+                contentLabel + (approved ? " đã được duyệt" : " bị từ chối"),
+                contentLabel + " \"" + title + "\" của bạn " + (approved ? "đã được phê duyệt." : "đã bị từ chối."),
+                "/staff/history");
+    }
+
+    /**
+     * Báo cho người theo dõi chủ đề khi có nội dung mới được duyệt trong chủ đề đó
+     */
+    @Transactional
+    public void notifyTopicFollowers(Topic topic, String contentLabel, String title, String link) {
+        if (topic == null) {
+            return;
+        }
+        preferenceRepository.findFollowersOfTopic(topic).forEach(user -> notify(user, NotificationType.NEW_TOPIC_CONTENT,
+                contentLabel + " mới về " + topic.getName(),
+                contentLabel + " \"" + title + "\" vừa được đăng trong chủ đề bạn theo dõi.",
+                link));
+    }
+
+    @Transactional(readOnly = true)
+    public List<NotificationResponse> getMyNotifications(boolean unreadOnly) {
+        User user = securityUtils.getCurrentUser();
+        Pageable limit = PageRequest.of(0, MAX_RESULTS);
+        List<Notification> notifications = unreadOnly
+                ? notificationRepository.findByRecipientAndReadFalseOrderByCreatedAtDesc(user, limit)
+                : notificationRepository.findByRecipientOrderByCreatedAtDesc(user, limit);
+        return notifications.stream().map(this::mapToResponse).toList();
+    }
+
+    @Transactional(readOnly = true)
+    public long getUnreadCount() {
+        return notificationRepository.countByRecipientAndReadFalse(securityUtils.getCurrentUser());
+    }
+
+    @Transactional
+    public NotificationResponse markAsRead(Long id) {
+        User user = securityUtils.getCurrentUser();
+        Notification notification = notificationRepository.findByIdAndRecipient(id, user)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy thông báo"));
+        notification.setRead(true);
+        NotificationResponse response = mapToResponse(notificationRepository.save(notification));
+        afterCommit(() -> pushUnreadCount(user.getId()));
+        return response;
+    }
+
+    @Transactional
+    public void markAllAsRead() {
+        User user = securityUtils.getCurrentUser();
+        notificationRepository.markAllAsRead(user);
+        afterCommit(() -> pushUnreadCount(user.getId()));
+    }
+
+    @Transactional(readOnly = true)
+    public NotificationPreferenceResponse getMyPreferences() {
+        return preferenceRepository.findByUser(securityUtils.getCurrentUser())
+                .map(this::mapToPreferenceResponse)
+                .orElseGet(() -> NotificationPreferenceResponse.builder()
+                        .disabledTypes(new HashSet<>())
+                        .followedTopicIds(List.of())
+                        .build());
+    }
+
+    @Transactional
+    public NotificationPreferenceResponse updateMyPreferences(NotificationPreferenceRequest request) {
+        User user = securityUtils.getCurrentUser();
+        NotificationPreference preference = preferenceRepository.findByUser(user)
+                .orElseGet(() -> NotificationPreference.builder().user(user).build());
+
+        preference.getDisabledTypes().clear();
+        if (request.getDisabledTypes() != null) {
+            preference.getDisabledTypes().addAll(request.getDisabledTypes());
+        }
+
+        preference.getFollowedTopics().clear();
+        if (request.getFollowedTopicIds() != null) {
+            for (Long topicId : request.getFollowedTopicIds()) {
+                Topic topic = topicRepository.findByIdAndActive(topicId, true);
+                if (topic == null) {
+                    throw new ResourceNotFoundException("Không tìm thấy chủ đề với ID: " + topicId);
+                }
+                preference.getFollowedTopics().add(topic);
+            }
+        }
+
+        return mapToPreferenceResponse(preferenceRepository.save(preference));
+    }
+
+    /**
+     * Mở luồng SSE cho người dùng hiện tại. Sự kiện "unread-count" được gửi ngay khi kết nối
+     * và mỗi khi số chưa đọc thay đổi, sự kiện "notification" khi có thông báo mới.
+     */
+    public SseEmitter subscribe() {
+        User user = securityUtils.getCurrentUser();
+        long userId = user.getId();
+        SseEmitter emitter = new SseEmitter(STREAM_TIMEOUT_MS);
+        emitters.computeIfAbsent(userId, id -> new CopyOnWriteArrayList<>()).add(emitter);
+        emitter.onCompletion(() -> removeEmitter(userId, emitter));
+        emitter.onTimeout(() -> removeEmitter(userId, emitter));
+        emitter.onError(e -> removeEmitter(userId, emitter));
+
+        try {
+            emitter.send(SseEmitter.event()
+                    .name("unread-count")
+                    .data(Map.of("count", notificationRepository.countByRecipientAndReadFalse(user))));
+        } catch (IOException e) {
+            removeEmitter(userId, emitter);
+        }
+        return emitter;
+    }
+
+    // Giữ kết nối qua proxy/load balancer và dọn các kết nối đã đóng
+    @Scheduled(fixedDelay = 25_000)
+    public void sendHeartbeat() {
+        emitters.forEach((userId, userEmitters) -> userEmitters.forEach(emitter -> {
+            try {
+                emitter.send(SseEmitter.event().comment("ping"));
+            } catch (IOException | IllegalStateException e) {
+                removeEmitter(userId, emitter);
+            }
+        }));
+    }
+
+    private void pushUnreadCount(long userId) {
+        if (!emitters.containsKey(userId)) {
+            return;
+        }
+        userRepository.findById(userId).ifPresent(user ->
+                send(userId, "unread-count", Map.of("count", notificationRepository.countByRecipientAndReadFalse(user))));
+    }
+
+    private void send(long userId, String eventName, Object data) {
+        List<SseEmitter> userEmitters = emitters.get(userId);
+        if (userEmitters == null) {
+            return;
+        }
+        for (SseEmitter emitter : userEmitters) {
+            try {
+                emitter.send(SseEmitter.event().name(eventName).data(data));
+            } catch (IOException | IllegalStateException e) {
+                removeEmitter(userId, emitter);
+            }
+        }
+    }
+
+    private void removeEmitter(long userId, SseEmitter emitter) {
+        emitters.computeIfPresent(userId, (id, userEmitters) -> {
+            userEmitters.remove(emitter);
+            return userEmitters.isEmpty() ? null : userEmitters;
+        });
+    }
+
+    // Chỉ đẩy sự kiện khi giao dịch đã commit để client không đọc thấy dữ liệu chưa lưu
+    private void afterCommit(Runnable action) {
+        if (TransactionSynchronizationManager.isSynchronizationActive()) {
+            TransactionSynchronizationManager.registerSynchronization(new TransactionSynchronization() {
+                @Override
+                public void afterCommit() {
+                    action.run();
+                }
+            });
+        } else {
+            action.run();
+        }
+    }
+
+    private NotificationPreferenceResponse mapToPreferenceResponse(NotificationPreference preference) {
+        return NotificationPreferenceResponse.builder()
+                .disabledTypes(new HashSet<>(preference.getDisabledTypes()))
+                .followedTopicIds(preference.getFollowedTopics().stream().map(Topic::getId).sorted().toList())
+                .build();
+    }
+
+    private NotificationResponse mapToResponse(Notification notification) {
+        return NotificationResponse.builder()
+                .id(notification.getId())
+                .type(notification.getType())
+                .title(notification.getTitle())
+                .message(notification.getMessage())
+                .link(notification.getLink())
+                .read(notification.isRead())
+                .createdAt(notification.getCreatedAt())
+                .build();
+    }
+}
@@ -1,18 +1,36 @@
 package com.dupss.app.BE_Dupss.service;
 
 import com.dupss.app.BE_Dupss.dto.request.SlotRequestDto;
+import com.dupss.app.BE_Dupss.dto.response.BulkSlotResponse;
 import com.dupss.app.BE_Dupss.dto.response.SlotResponseDto;
 import com.dupss.app.BE_Dupss.entity.Slot;
 
+import java.time.DayOfWeek;
 import java.time.LocalDate;
 import java.util.List;
+import java.util.Optional;
+import java.util.Set;
 
 public interface SlotService {
+
+    // Giới hạn số slot trong một lần đăng ký hàng loạt
+    int MAX_BULK_SLOTS = 1000;
     
     /**
      * Tạo slot thời gian mới cho tư vấn viên
      */
     SlotResponseDto createSlot(SlotRequestDto requestDto);
+
+    /**
+     * Đăng ký hàng loạt slot cho tư vấn viên hiện tại, bỏ qua (không báo lỗi) các slot không hợp lệ hoặc bị trùng
+     */
+    BulkSlotResponse createSlots(List<SlotRequestDto> requests);
+
+    /**
+     * Xóa hàng loạt các slot còn trống của tư vấn viên hiện tại trong khoảng ngày [from, to];
+     * daysOfWeek rỗng nghĩa là mọi ngày. Slot đã có người đặt hoặc đang được giữ cho danh sách chờ được giữ nguyên.
+     */
+    BulkSlotResponse deleteAvailableSlots(LocalDate from, LocalDate to, Set<DayOfWeek> daysOfWeek);
     
     /**
      * Lấy tất cả các slot của một tư vấn viên
@@ -23,6 +41,16 @@ public interface SlotService {
      * Lấy các slot khả dụng của một tư vấn viên vào một ngày cụ thể
      */
     List<SlotResponseDto> getAvailableSlotsByConsultantAndDate(Long consultantId, LocalDate date);
+
+    /**
+     * Lấy các slot khả dụng của nhiều tư vấn viên trong khoảng ngày [from, to] bằng một truy vấn
+     */
+    List<SlotResponseDto> getAvailableSlotsByConsultants(List<Long> consultantIds, LocalDate from, LocalDate to);
+
+    /**
+     * Tìm slot khả dụng sớm nhất (chưa qua giờ) trong số các tư vấn viên
+     */
+    Optional<SlotResponseDto> findFirstAvailableSlot(List<Long> consultantIds);
     
     /**
      * Cập nhật trạng thái khả dụng của slot
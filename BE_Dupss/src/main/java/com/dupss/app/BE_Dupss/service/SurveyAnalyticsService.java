@@ -0,0 +1,227 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.response.SurveyAnalyticsResponse;
+import com.dupss.app.BE_Dupss.entity.Survey;
+import com.dupss.app.BE_Dupss.entity.SurveyCondition;
+import com.dupss.app.BE_Dupss.entity.SurveyOption;
+import com.dupss.app.BE_Dupss.entity.SurveyQuestion;
+import com.dupss.app.BE_Dupss.entity.SurveyResult;
+import com.dupss.app.BE_Dupss.entity.SurveyResultAnswer;
+import com.dupss.app.BE_Dupss.entity.SurveyResultOption;
+import com.dupss.app.BE_Dupss.entity.SurveySection;
+import com.dupss.app.BE_Dupss.respository.SurveyRepo;
+import com.dupss.app.BE_Dupss.respository.SurveyResultRepo;
+import com.dupss.app.BE_Dupss.util.SurveyScoring;
+import lombok.RequiredArgsConstructor;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.DayOfWeek;
+import java.time.LocalDate;
+import java.time.temporal.TemporalAdjusters;
+import java.util.ArrayList;
+import java.util.HashMap;
+import java.util.HashSet;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Map;
+import java.util.Optional;
+import java.util.Set;
+import java.util.TreeMap;
+
+/**
+ * Thống kê kết quả của một khảo sát cho quản lý: phân bố điểm, tỉ lệ theo điều kiện đánh giá,
+ * phân bố đáp án từng câu hỏi và xu hướng theo tuần.
+ */
+@Service
+@RequiredArgsConstructor
+public class SurveyAnalyticsService {
+
+    // Khoảng điểm rộng hơn mức này thì gộp thành HISTOGRAM_BUCKETS cột thay vì mỗi điểm một cột
+    private static final int MAX_SINGLE_SCORE_BUCKETS = 20;
+    private static final int HISTOGRAM_BUCKETS = 10;
+
+    private final SurveyRepo surveyRepository;
+    private final SurveyResultRepo surveyResultRepository;
+
+    /**
+     * @param from    ngày bắt đầu (bao gồm), null nếu không giới hạn
+     * @param to      ngày kết thúc (bao gồm), null nếu không giới hạn
+     * @param gender  male/female/other, null nếu không lọc
+     * @param yobFrom năm sinh từ (bao gồm), null nếu không giới hạn
+     * @param yobTo   năm sinh đến (bao gồm), null nếu không giới hạn
+     */
+    @Transactional(readOnly = true)
+    public SurveyAnalyticsResponse getSurveyAnalytics(Long surveyId, LocalDate from, LocalDate to,
+                                                      String gender, Integer yobFrom, Integer yobTo) {
+        if (from != null && to != null && from.isAfter(to)) {
+            throw new RuntimeException("Ngày bắt đầu phải trước ngày kết thúc");
+        }
+        if (yobFrom != null && yobTo != null && yobFrom > yobTo) {
+            throw new RuntimeException("Năm sinh bắt đầu phải nhỏ hơn năm sinh kết thúc");
+        }
+
+        Survey survey = surveyRepository.findById(surveyId)
+                .orElseThrow(() -> new RuntimeException("Không tìm thấy khảo sát với ID: " + surveyId));
+
+        List<SurveyResult> results = surveyResultRepository.findForAnalytics(
+                surveyId,
+                from != null ? from.atStartOfDay() : null,
+                to != null ? to.plusDays(1).atStartOfDay() : null,
+                gender != null && !gender.isBlank() ? gender.trim() : null,
+                yobFrom != null ? LocalDate.of(yobFrom, 1, 1) : null,
+                yobTo != null ? LocalDate.of(yobTo + 1, 1, 1) : null);
+
+        List<SurveyResult> scored = results.stream().filter(result -> result.getScore() != null).toList();
+
+        return SurveyAnalyticsResponse.builder()
+                .surveyId(survey.getId())
+                .surveyTitle(survey.getTitle())
+                .totalResponses(results.size())
+                .averageScore(average(scored))
+                .maxScore(scored.stream()
+                        .map(SurveyResult::getTotalScore)
+                        .filter(total -> total != null)
+                        .max(Integer::compare)
+                        .orElse(null))
+                .scoreHistogram(buildHistogram(scored))
+                .riskBands(buildRiskBands(survey, scored))
+                .questions(buildQuestionDistributions(survey, results))
+                .weeklyTrend(buildWeeklyTrend(results))
+                .build();
+    }
+
+    private Double average(List<SurveyResult> scored) {
+        if (scored.isEmpty()) {
+            return null;
+        }
+        double avg = scored.stream().mapToInt(SurveyResult::getScore).average().orElse(0);
+        return Math.round(avg * 100) / 100.0;
+    }
+
+    private List<SurveyAnalyticsResponse.ScoreBucketDTO> buildHistogram(List<SurveyResult> scored) {
+        if (scored.isEmpty()) {
+            return List.of();
+        }
+        int low = Math.min(0, scored.stream().mapToInt(SurveyResult::getScore).min().orElse(0));
+        int high = scored.stream()
+                .mapToInt(result -> Math.max(result.getScore(),
+                        result.getTotalScore() != null ? result.getTotalScore() : result.getScore()))
+                .max()
+                .orElse(0);
+        int range = high - low + 1;
+        int width = range <= MAX_SINGLE_SCORE_BUCKETS ? 1 : (int) Math.ceil((double) range / HISTOGRAM_BUCKETS);
+
+        List<SurveyAnalyticsResponse.ScoreBucketDTO> buckets = new ArrayList<>();
+        for (int start = low; start <= high; start += width) {
+            buckets.add(new SurveyAnalyticsResponse.ScoreBucketDTO(start, Math.min(start + width - 1, high), 0));
+        }
+        for (SurveyResult result : scored) {
+            SurveyAnalyticsResponse.ScoreBucketDTO bucket = buckets.get((result.getScore() - low) / width);
+            bucket.setCount(bucket.getCount() + 1);
+        }
+        return buckets;
+    }
+
+    // Xếp kết quả vào điều kiện đánh giá hiện tại của khảo sát (giống cách chấm khi nộp bài)
+    private List<SurveyAnalyticsResponse.RiskBandDTO> buildRiskBands(Survey survey, List<SurveyResult> scored) {
+        List<SurveyScoring.Band> bands = new ArrayList<>();
+        for (SurveyCondition condition : survey.getConditions()) {
+            try {
+                bands.add(SurveyScoring.toBand(condition.getOperator(), condition.getValue(),
+                        condition.getMaxValue(), condition.getRiskLevel(), condition.getMessage()));
+            } catch (IllegalArgumentException e) {
+                // Điều kiện cấu hình sai không dùng được để chấm nên cũng bỏ qua khi thống kê
+            }
+        }
+
+        Map<SurveyScoring.Band, Long> counts = new LinkedHashMap<>();
+        bands.forEach(band -> counts.put(band, 0L));
+        long unmatched = 0;
+        for (SurveyResult result : scored) {
+            Optional<SurveyScoring.Band> band = SurveyScoring.findBand(bands, result.getScore());
+            if (band.isPresent()) {
+                counts.merge(band.get(), 1L, Long::sum);
+            } else {
+                unmatched++;
+            }
+        }
+
+        List<SurveyAnalyticsResponse.RiskBandDTO> riskBands = new ArrayList<>();
+        counts.forEach((band, count) -> riskBands.add(SurveyAnalyticsResponse.RiskBandDTO.builder()
+                .condition(band.describe())
+                .riskLevel(band.riskLevel())
+                .message(band.message())
+                .count(count)
+                .build()));
+        if (unmatched > 0) {
+            riskBands.add(SurveyAnalyticsResponse.RiskBandDTO.builder()
+                    .message("Không khớp điều kiện nào")
+                    .count(unmatched)
+                    .build());
+        }
+        return riskBands;
+    }
+
+    private List<SurveyAnalyticsResponse.QuestionDistributionDTO> buildQuestionDistributions(
+            Survey survey, List<SurveyResult> results) {
+        Map<Long, Long> optionCounts = new HashMap<>();
+        Map<Long, Set<Long>> respondentsByQuestion = new HashMap<>();
+
+        for (SurveyResult result : results) {
+            for (SurveyResultOption selected : result.getSelectedOptions()) {
+                SurveyOption option = selected.getSurveyOption();
+                optionCounts.merge(option.getId(), 1L, Long::sum);
+                respondentsByQuestion.computeIfAbsent(option.getQuestion().getId(), id -> new HashSet<>())
+                        .add(result.getId());
+            }
+            for (SurveyResultAnswer answer : result.getAnswers()) {
+                respondentsByQuestion.computeIfAbsent(answer.getQuestion().getId(), id -> new HashSet<>())
+                        .add(result.getId());
+            }
+        }
+
+        List<SurveyAnalyticsResponse.QuestionDistributionDTO> questions = new ArrayList<>();
+        for (SurveySection section : survey.getSections()) {
+            for (SurveyQuestion question : section.getQuestions()) {
+                questions.add(SurveyAnalyticsResponse.QuestionDistributionDTO.builder()
+                        .questionId(question.getId())
+                        .sectionName(section.getSectionName())
+                        .questionText(question.getQuestionText())
+                        .questionType(question.getQuestionType())
+                        .answeredCount(respondentsByQuestion.getOrDefault(question.getId(), Set.of()).size())
+                        .options(question.getOptions().stream()
+                                .map(option -> new SurveyAnalyticsResponse.OptionCountDTO(
+                                        option.getId(),
+                                        option.getOptionText(),
+                                        optionCounts.getOrDefault(option.getId(), 0L)))
+                                .toList())
+                        .build());
+            }
+        }
+        return questions;
+    }
+
+    // Mỗi tuần bắt đầu từ thứ Hai; các tuần không có lượt làm nào vẫn được trả về với 0 lượt
+    private List<SurveyAnalyticsResponse.WeeklyTrendDTO> buildWeeklyTrend(List<SurveyResult> results) {
+        if (results.isEmpty()) {
+            return List.of();
+        }
+        TreeMap<LocalDate, List<SurveyResult>> byWeek = new TreeMap<>();
+        for (SurveyResult result : results) {
+            LocalDate weekStart = result.getSubmittedAt().toLocalDate()
+                    .with(TemporalAdjusters.previousOrSame(DayOfWeek.MONDAY));
+            byWeek.computeIfAbsent(weekStart, week -> new ArrayList<>()).add(result);
+        }
+
+        List<SurveyAnalyticsResponse.WeeklyTrendDTO> trend = new ArrayList<>();
+        for (LocalDate week = byWeek.firstKey(); !week.isAfter(byWeek.lastKey()); week = week.plusWeeks(1)) {
+            List<SurveyResult> weekResults = byWeek.getOrDefault(week, List.of());
+            trend.add(new SurveyAnalyticsResponse.WeeklyTrendDTO(
+                    week,
+                    weekResults.size(),
+                    average(weekResults.stream().filter(result -> result.getScore() != null).toList())));
+        }
+        return trend;
+    }
+}
@@ -0,0 +1,78 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.request.SurveyDraftRequest;
+import com.dupss.app.BE_Dupss.dto.response.SurveyDraftResponse;
+import com.dupss.app.BE_Dupss.entity.Survey;
+import com.dupss.app.BE_Dupss.entity.SurveyDraft;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.respository.SurveyDraftRepo;
+import com.dupss.app.BE_Dupss.respository.SurveyRepo;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import lombok.RequiredArgsConstructor;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.util.List;
+import java.util.Optional;
+
+/**
+ * Lưu bài khảo sát/bài kiểm tra khóa học đang làm dở để người dùng đã đăng nhập có thể làm tiếp trên mọi thiết bị.
+ * Khách chưa đăng nhập được lưu ở localStorage phía frontend.
+ */
+@Service
+@RequiredArgsConstructor
+public class SurveyDraftService {
+
+    private final SurveyDraftRepo surveyDraftRepo;
+    private final SurveyRepo surveyRepository;
+    private final SecurityUtils securityUtils;
+
+    public List<SurveyDraftResponse> getMyDrafts() {
+        User user = securityUtils.getCurrentUser();
+        return surveyDraftRepo.findByUserOrderByUpdatedAtDesc(user).stream()
+                .map(this::mapToResponse)
+                .toList();
+    }
+
+    public Optional<SurveyDraftResponse> getDraft(Long surveyId) {
+        User user = securityUtils.getCurrentUser();
+        return surveyDraftRepo.findByUserAndSurvey_Id(user, surveyId).map(this::mapToResponse);
+    }
+
+    @Transactional
+    public SurveyDraftResponse saveDraft(Long surveyId, SurveyDraftRequest request) {
+        User user = securityUtils.getCurrentUser();
+        SurveyDraft draft = surveyDraftRepo.findByUserAndSurvey_Id(user, surveyId)
+                .orElseGet(() -> {
+                    Survey survey = surveyRepository.findById(surveyId)
+                            .orElseThrow(() -> new RuntimeException("Không tìm thấy khảo sát với ID: " + surveyId));
+                    return SurveyDraft.builder().user(user).survey(survey).build();
+                });
+
+        draft.setState(request.getState());
+        draft.setAnsweredCount(Math.min(request.getAnsweredCount(), request.getTotalQuestions()));
+        draft.setTotalQuestions(request.getTotalQuestions());
+        return mapToResponse(surveyDraftRepo.save(draft));
+    }
+
+    @Transactional
+    public void deleteDraft(Long surveyId) {
+        discardDraft(securityUtils.getCurrentUser(), surveyId);
+    }
+
+    // Gọi sau khi nộp bài thành công để bản nháp không còn được gợi ý làm tiếp
+    @Transactional
+    public void discardDraft(User user, Long surveyId) {
+        surveyDraftRepo.deleteByUserAndSurveyId(user, surveyId);
+    }
+
+    private SurveyDraftResponse mapToResponse(SurveyDraft draft) {
+        return SurveyDraftResponse.builder()
+                .surveyId(draft.getSurvey().getId())
+                .state(draft.getState())
+                .answeredCount(draft.getAnsweredCount())
+                .totalQuestions(draft.getTotalQuestions())
+                .updatedAt(draft.getUpdatedAt())
+                .build();
+    }
+}
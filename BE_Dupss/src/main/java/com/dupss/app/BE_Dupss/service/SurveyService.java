@@ -9,17 +9,25 @@ import com.dupss.app.BE_Dupss.dto.response.SurveyResultResponse;
 import com.dupss.app.BE_Dupss.entity.ApprovalStatus;
 import com.dupss.app.BE_Dupss.entity.Survey;
 import com.dupss.app.BE_Dupss.entity.SurveyCondition;
+import com.dupss.app.BE_Dupss.entity.SurveyOption;
+import com.dupss.app.BE_Dupss.entity.SurveyResult;
+import com.dupss.app.BE_Dupss.entity.SurveyResultAnswer;
+import com.dupss.app.BE_Dupss.entity.SurveySection;
 import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.util.SurveyScoring;
 import org.springframework.web.multipart.MultipartFile;
 
 import java.io.IOException;
+import java.util.Collection;
 import java.util.List;
+import java.util.Set;
 
 public interface SurveyService {
     SurveyResponse createSurvey(SurveyCreateRequest surveyCreateRequest, MultipartFile coverImage) throws IOException;
     List<SurveySummaryResponse> getSurveySummary();
     SurveyResponse getSurveyDetails(Long surveyId);
     SurveyResultResponse submitSurveyResult(SurveyResultRequest request);
+    SurveyResultResponse previewSurveyResult(SurveyResultRequest request);
     List<SurveyResultResponse> getSubmittedSurveys();
     Survey createAndSaveSurveyEntity(SurveyCreateRequest request, MultipartFile coverImage, User author) throws IOException;
     List<SurveyManagerResponse> getAllSurveys();
@@ -27,6 +35,12 @@ public interface SurveyService {
     SurveyResponse getSurveyById(Long id);
     SurveyResultResponse submitSurvey(Long surveyId, SurveyResultRequest request);
     boolean evaluate(int score, SurveyCondition condition);
+    List<SurveyOption> resolveSelectedOptions(Survey survey, SurveyResultRequest request);
+    List<SurveyResultAnswer> buildResultAnswers(Survey survey, SurveyResultRequest request, SurveyResult result);
+    SurveyScoring.Outcome score(List<SurveySection> sections, Collection<SurveyOption> selectedOptions);
+    // Chỉ chấm các câu hỏi trong questionIds (các câu được rút cho một lượt làm bài kiểm tra), null là tất cả
+    SurveyScoring.Outcome score(List<SurveySection> sections, Collection<SurveyOption> selectedOptions, Set<Long> questionIds);
+    List<String> checkScoringRules(SurveyCreateRequest request);
     void updateStatus(ApprovalStatus status, Long surveyId);
     void updateSurvey(SurveyCreateRequest request, Long surveyId, MultipartFile coverImage) throws IOException;
     void deleteSurvey(Long surveyId);
@@ -6,6 +6,7 @@ import com.dupss.app.BE_Dupss.dto.request.LoginRequest;
 import com.dupss.app.BE_Dupss.dto.request.RegisterRequest;
 import com.dupss.app.BE_Dupss.dto.request.UpdateUserRequest;
 import com.dupss.app.BE_Dupss.dto.response.*;
+import com.dupss.app.BE_Dupss.entity.AcademicTitle;
 import com.dupss.app.BE_Dupss.entity.Consultant;
 import com.dupss.app.BE_Dupss.entity.ERole;
 import com.dupss.app.BE_Dupss.entity.Slot;
@@ -49,5 +50,10 @@ public interface UserService {
 
     List<ConsultantResponse> getAllConsultants();
 
+    /**
+     * Tìm tư vấn viên đang hoạt động; tham số null nghĩa là không lọc theo tiêu chí đó
+     */
+    List<ConsultantResponse> searchConsultants(Long topicId, AcademicTitle academicTitle, Double minRating);
+
 
 }
@@ -0,0 +1,317 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.request.WaitlistRequest;
+import com.dupss.app.BE_Dupss.dto.response.SlotResponseDto;
+import com.dupss.app.BE_Dupss.dto.response.WaitlistResponse;
+import com.dupss.app.BE_Dupss.entity.*;
+import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
+import com.dupss.app.BE_Dupss.respository.SlotRepository;
+import com.dupss.app.BE_Dupss.respository.TopicRepo;
+import com.dupss.app.BE_Dupss.respository.UserRepository;
+import com.dupss.app.BE_Dupss.respository.WaitlistEntryRepository;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import lombok.RequiredArgsConstructor;
+import lombok.extern.slf4j.Slf4j;
+import org.springframework.scheduling.annotation.Scheduled;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.security.SecureRandom;
+import java.time.Duration;
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.Base64;
+import java.util.List;
+import java.util.Objects;
+import java.util.Optional;
+
+/**
+ * Danh sách chờ khi tư vấn viên đã kín lịch.
+ * Mỗi khi một slot trống trở lại (cuộc hẹn bị hủy/đổi lịch) hoặc tư vấn viên đăng ký slot mới,
+ * người chờ phù hợp đăng ký sớm nhất được giữ slot trong HOLD_DURATION và nhận email kèm đường dẫn đặt lịch.
+ * Hết thời gian giữ mà chưa đặt, slot được chuyển cho người tiếp theo.
+ * Khách chưa đăng nhập phải xác nhận email trong CONFIRM_DURATION thì đăng ký mới có hiệu lực.
+ */
+@Service
+@RequiredArgsConstructor
+@Slf4j
+public class WaitlistService {
+
+    private static final Duration HOLD_DURATION = Duration.ofMinutes(30);
+    private static final Duration CONFIRM_DURATION = Duration.ofHours(24);
+    private static final int MAX_RANGE_DAYS = 30;
+    // Số đăng ký đang chờ/đang giữ slot tối đa của một email
+    private static final int MAX_ACTIVE_ENTRIES = 3;
+    private static final List<WaitlistStatus> ACTIVE_STATUSES = List.of(WaitlistStatus.WAITING, WaitlistStatus.OFFERED);
+    private static final String BOOKING_URL = "https://dupssapp.id.vn/appointment?holdToken=";
+    private static final String CONFIRM_URL = "https://dupssapp.id.vn/appointment?waitlistToken=";
+    private static final SecureRandom SECURE_RANDOM = new SecureRandom();
+
+    private final WaitlistEntryRepository waitlistEntryRepository;
+    private final SlotRepository slotRepository;
+    private final UserRepository userRepository;
+    private final TopicRepo topicRepository;
+    private final EmailService emailService;
+    private final SecurityUtils securityUtils;
+
+    @Transactional
+    public WaitlistResponse join(WaitlistRequest request) {
+        LocalDate today = LocalDate.now();
+        if (request.getDateFrom().isBefore(today)) {
+            throw new IllegalArgumentException("Không thể đăng ký chờ cho ngày trong quá khứ");
+        }
+        if (request.getDateTo().isBefore(request.getDateFrom())) {
+            throw new IllegalArgumentException("Ngày kết thúc phải sau hoặc bằng ngày bắt đầu");
+        }
+        if (request.getDateTo().isAfter(request.getDateFrom().plusDays(MAX_RANGE_DAYS - 1))) {
+            throw new IllegalArgumentException("Khoảng thời gian chờ tối đa là " + MAX_RANGE_DAYS + " ngày");
+        }
+
+        Optional<User> currentUser = securityUtils.findCurrentUser();
+        String customerName = isBlank(request.getCustomerName())
+                ? currentUser.map(User::getFullname).orElse(null)
+                : request.getCustomerName().trim();
+        String email = isBlank(request.getEmail())
+                ? currentUser.map(User::getEmail).orElse(null)
+                : request.getEmail().trim();
+        if (isBlank(customerName)) {
+            throw new IllegalArgumentException("Tên khách hàng không được để trống");
+        }
+        if (isBlank(email)) {
+            throw new IllegalArgumentException("Email không được để trống");
+        }
+        // Email khách tự nhập chưa được xác minh: đăng ký chỉ được tính vào giới hạn của email sau khi chủ email xác nhận,
+        // để không ai dùng email của người khác chiếm hết số đăng ký của họ
+        boolean emailVerified = currentUser.map(user -> email.equalsIgnoreCase(user.getEmail())).orElse(false);
+        if (emailVerified) {
+            checkActiveLimit(email);
+        } else if (waitlistEntryRepository.countByEmailAndStatusIn(email, List.of(WaitlistStatus.PENDING_CONFIRMATION)) >= MAX_ACTIVE_ENTRIES) {
+            throw new IllegalStateException("Email này đang có " + MAX_ACTIVE_ENTRIES + " đăng ký chờ xác nhận, vui lòng kiểm tra hộp thư");
+        }
+
+        User consultant = null;
+        if (request.getConsultantId() != null) {
+            consultant = userRepository.findById(request.getConsultantId())
+                    .filter(user -> user.getRole() == ERole.ROLE_CONSULTANT && user.isEnabled())
+                    .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy tư vấn viên với ID: " + request.getConsultantId()));
+        }
+        Topic topic = null;
+        if (request.getTopicId() != null) {
+            topic = topicRepository.findByIdAndActive(request.getTopicId(), true);
+            if (topic == null) {
+                throw new ResourceNotFoundException("Không tìm thấy chủ đề với ID: " + request.getTopicId());
+            }
+        }
+
+        WaitlistEntry entry = WaitlistEntry.builder()
+                .user(currentUser.orElse(null))
+                .customerName(customerName)
+                .email(email)
+                .consultant(consultant)
+                .topic(topic)
+                .dateFrom(request.getDateFrom())
+                .dateTo(request.getDateTo())
+                .status(emailVerified ? WaitlistStatus.WAITING : WaitlistStatus.PENDING_CONFIRMATION)
+                .confirmToken(emailVerified ? null : generateToken())
+                .build();
+        WaitlistEntry saved = waitlistEntryRepository.save(entry);
+        if (!emailVerified) {
+            emailService.sendWaitlistConfirmation(email, customerName, CONFIRM_URL + saved.getConfirmToken(),
+                    saved.getCreatedAt().plus(CONFIRM_DURATION));
+        }
+        return mapToResponse(saved);
+    }
+
+    // Khách mở đường dẫn xác nhận trong email: đăng ký bắt đầu được xếp hàng chờ slot
+    @Transactional
+    public WaitlistResponse confirm(String confirmToken) {
+        WaitlistEntry entry = waitlistEntryRepository.findByConfirmToken(confirmToken)
+                .orElseThrow(() -> new ResourceNotFoundException("Mã xác nhận không hợp lệ"));
+        if (entry.getStatus() != WaitlistStatus.PENDING_CONFIRMATION
+                || entry.getCreatedAt().plus(CONFIRM_DURATION).isBefore(LocalDateTime.now())) {
+            throw new IllegalStateException("Đường dẫn xác nhận đã hết hạn");
+        }
+        checkActiveLimit(entry.getEmail());
+        entry.setStatus(WaitlistStatus.WAITING);
+        entry.setConfirmToken(null);
+        return mapToResponse(waitlistEntryRepository.save(entry));
+    }
+
+    @Transactional(readOnly = true)
+    public List<WaitlistResponse> getMyEntries() {
+        User user = securityUtils.getCurrentUser();
+        return waitlistEntryRepository.findByUserOrderByCreatedAtDesc(user).stream()
+                .map(this::mapToResponse)
+                .toList();
+    }
+
+    @Transactional
+    public WaitlistResponse cancel(Long id) {
+        User user = securityUtils.getCurrentUser();
+        WaitlistEntry entry = waitlistEntryRepository.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy đăng ký chờ với ID: " + id));
+        if (entry.getUser() == null || entry.getUser().getId() != user.getId()) {
+            throw new IllegalArgumentException("Bạn không có quyền hủy đăng ký chờ này");
+        }
+        return mapToResponse(close(entry, WaitlistStatus.CANCELLED));
+    }
+
+    @Transactional(readOnly = true)
+    public WaitlistResponse getHold(String holdToken) {
+        return mapToResponse(findActiveHold(holdToken));
+    }
+
+    // Người được giữ slot từ chối: rời danh sách chờ và slot được chuyển cho người tiếp theo
+    @Transactional
+    public WaitlistResponse declineHold(String holdToken) {
+        return mapToResponse(close(findActiveHold(holdToken), WaitlistStatus.CANCELLED));
+    }
+
+    /**
+     * Kiểm tra mã giữ chỗ khi đặt lịch vào slot đang được giữ
+     *
+     * @throws IllegalStateException nếu mã không hợp lệ, đã hết hạn hoặc không khớp slot
+     */
+    @Transactional(readOnly = true)
+    public WaitlistEntry getActiveHold(String holdToken, Long slotId) {
+        WaitlistEntry entry = findActiveHold(holdToken);
+        if (!Objects.equals(entry.getHeldSlot().getId(), slotId)) {
+            throw new IllegalStateException("Mã giữ chỗ không áp dụng cho slot này");
+        }
+        return entry;
+    }
+
+    @Transactional
+    public void completeHold(WaitlistEntry entry) {
+        entry.setStatus(WaitlistStatus.BOOKED);
+        waitlistEntryRepository.save(entry);
+    }
+
+    /**
+     * Giữ slot vừa trống cho người chờ phù hợp đăng ký sớm nhất.
+     * Gọi sau khi slot được giải phóng hoặc tạo mới; không làm gì nếu slot đã qua hoặc không còn trống.
+     */
+    @Transactional
+    public void offerSlot(Slot slot) {
+        LocalDateTime slotStart = LocalDateTime.of(slot.getDate(), slot.getStartTime());
+        LocalDateTime now = LocalDateTime.now();
+        if (!slot.isAvailable() || !slotStart.isAfter(now)) {
+            return;
+        }
+
+        Optional<WaitlistEntry> candidate = waitlistEntryRepository.findWaitingForSlot(slot.getConsultant(), slot.getDate())
+                .stream()
+                .filter(entry -> coversTopic(slot.getConsultant(), entry.getTopic()))
+                .findFirst();
+        if (candidate.isEmpty() || slotRepository.claimSlot(slot.getId()) == 0) {
+            return;
+        }
+        slot.setAvailable(false);
+
+        WaitlistEntry entry = candidate.get();
+        LocalDateTime holdEnd = now.plus(HOLD_DURATION);
+        entry.setStatus(WaitlistStatus.OFFERED);
+        entry.setHeldSlot(slot);
+        entry.setHoldToken(generateToken());
+        // Không giữ slot quá giờ bắt đầu
+        entry.setHoldExpiresAt(holdEnd.isBefore(slotStart) ? holdEnd : slotStart);
+        waitlistEntryRepository.save(entry);
+
+        emailService.sendWaitlistOffer(entry.getEmail(), entry.getCustomerName(), slot,
+                BOOKING_URL + entry.getHoldToken(), entry.getHoldExpiresAt());
+        log.info("Giữ slot {} cho đăng ký chờ {} đến {}", slot.getId(), entry.getId(), entry.getHoldExpiresAt());
+    }
+
+    // Giải phóng các slot giữ chỗ đã hết hạn và đóng các đăng ký chờ đã qua khoảng ngày mong muốn
+    @Scheduled(fixedDelay = 60_000)
+    @Transactional
+    public void expireHolds() {
+        waitlistEntryRepository.findByStatusAndHoldExpiresAtBefore(WaitlistStatus.OFFERED, LocalDateTime.now())
+                .forEach(entry -> close(entry, WaitlistStatus.EXPIRED));
+        waitlistEntryRepository.findByStatusAndDateToBefore(WaitlistStatus.WAITING, LocalDate.now())
+                .forEach(entry -> close(entry, WaitlistStatus.EXPIRED));
+        waitlistEntryRepository.findByStatusAndCreatedAtBefore(WaitlistStatus.PENDING_CONFIRMATION,
+                        LocalDateTime.now().minus(CONFIRM_DURATION))
+                .forEach(entry -> close(entry, WaitlistStatus.EXPIRED));
+    }
+
+    private void checkActiveLimit(String email) {
+        if (waitlistEntryRepository.countByEmailAndStatusIn(email, ACTIVE_STATUSES) >= MAX_ACTIVE_ENTRIES) {
+            throw new IllegalStateException("Bạn chỉ có thể đăng ký tối đa " + MAX_ACTIVE_ENTRIES + " danh sách chờ cùng lúc");
+        }
+    }
+
+    // Đăng ký chưa xác nhận email chưa giữ slot nào, chỉ cần vô hiệu đường dẫn xác nhận
+    private WaitlistEntry close(WaitlistEntry entry, WaitlistStatus status) {
+        if (entry.getStatus() != WaitlistStatus.WAITING && entry.getStatus() != WaitlistStatus.OFFERED
+                && entry.getStatus() != WaitlistStatus.PENDING_CONFIRMATION) {
+            throw new IllegalStateException("Đăng ký chờ đã kết thúc");
+        }
+        Slot heldSlot = entry.getStatus() == WaitlistStatus.OFFERED ? entry.getHeldSlot() : null;
+        entry.setStatus(status);
+        entry.setConfirmToken(null);
+        WaitlistEntry saved = waitlistEntryRepository.save(entry);
+
+        if (heldSlot != null) {
+            heldSlot.setAvailable(true);
+            slotRepository.save(heldSlot);
+            offerSlot(heldSlot);
+        }
+        return saved;
+    }
+
+    private WaitlistEntry findActiveHold(String holdToken) {
+        WaitlistEntry entry = waitlistEntryRepository.findByHoldToken(holdToken)
+                .orElseThrow(() -> new ResourceNotFoundException("Mã giữ chỗ không hợp lệ"));
+        if (entry.getStatus() != WaitlistStatus.OFFERED || entry.getHoldExpiresAt().isBefore(LocalDateTime.now())) {
+            throw new IllegalStateException("Thời gian giữ chỗ đã kết thúc");
+        }
+        return entry;
+    }
+
+    // Tư vấn viên chưa khai báo chủ đề chuyên môn được xem là nhận mọi chủ đề
+    private boolean coversTopic(User consultant, Topic topic) {
+        if (topic == null || consultant.getConsultantProfile() == null) {
+            return true;
+        }
+        List<Topic> topics = consultant.getConsultantProfile().getTopics();
+        return topics.isEmpty() || topics.stream().anyMatch(t -> Objects.equals(t.getId(), topic.getId()));
+    }
+
+    private String generateToken() {
+        byte[] bytes = new byte[32];
+        SECURE_RANDOM.nextBytes(bytes);
+        return Base64.getUrlEncoder().withoutPadding().encodeToString(bytes);
+    }
+
+    private boolean isBlank(String value) {
+        return value == null || value.isBlank();
+    }
+
+    private WaitlistResponse mapToResponse(WaitlistEntry entry) {
+        WaitlistResponse.WaitlistResponseBuilder builder = WaitlistResponse.builder()
+                .id(entry.getId())
+                .customerName(entry.getCustomerName())
+                .email(entry.getEmail())
+                .dateFrom(entry.getDateFrom())
+                .dateTo(entry.getDateTo())
+                .status(entry.getStatus())
+                .createdAt(entry.getCreatedAt());
+        if (entry.getConsultant() != null) {
+            builder.consultantId(entry.getConsultant().getId())
+                    .consultantName(entry.getConsultant().getFullname());
+        }
+        if (entry.getTopic() != null) {
+            builder.topicId(entry.getTopic().getId())
+                    .topicName(entry.getTopic().getName());
+        }
+        if (entry.getStatus() == WaitlistStatus.OFFERED) {
+            Slot slot = entry.getHeldSlot();
+            builder.heldSlot(new SlotResponseDto(slot.getId(), slot.getDate(), slot.getStartTime(), slot.getEndTime(),
+                            slot.getConsultant().getFullname(), slot.getConsultant().getId()))
+                    .holdToken(entry.getHoldToken())
+                    .holdExpiresAt(entry.getHoldExpiresAt());
+        }
+        return builder.build();
+    }
+}
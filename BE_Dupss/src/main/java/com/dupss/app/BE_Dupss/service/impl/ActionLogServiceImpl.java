@@ -18,7 +18,8 @@ public class ActionLogServiceImpl implements ActionLogService {
 
     @Override
     public List<ActionLogResponse> getAllActionLog() {
-        List<ActionLog> actionLogs = actionLogRepo.findAllByTargetTypeOrderByActionTimeDesc(TargetType.USER);
+        List<ActionLog> actionLogs = actionLogRepo.findAllByTargetTypeInOrderByActionTimeDesc(
+                List.of(TargetType.USER, TargetType.COMMENT));
         return actionLogs.stream()
                 .map(actionLog -> ActionLogResponse.builder()
                         .performedBy(actionLog.getPerformedBy().getFullname() + " (" + actionLog.getPerformedBy().getUsername() + ")")
@@ -8,15 +8,23 @@ import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
 import com.dupss.app.BE_Dupss.respository.*;
 import com.dupss.app.BE_Dupss.service.AppointmentService;
 import com.dupss.app.BE_Dupss.service.EmailService;
+import com.dupss.app.BE_Dupss.service.NotificationService;
+import com.dupss.app.BE_Dupss.service.WaitlistService;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import com.dupss.app.BE_Dupss.util.TokenHash;
 import lombok.RequiredArgsConstructor;
 import lombok.extern.slf4j.Slf4j;
 import org.springframework.security.core.Authentication;
 import org.springframework.security.core.context.SecurityContextHolder;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
 
+import java.security.SecureRandom;
 import java.time.Duration;
 import java.time.LocalDate;
 import java.time.LocalDateTime;
+import java.time.LocalTime;
+import java.time.format.DateTimeFormatter;
 import java.util.List;
 import java.util.Objects;
 import java.util.Optional;
@@ -32,11 +40,22 @@ import java.util.stream.Collectors;
 @Slf4j
 public class AppointmentServiceImpl implements AppointmentService {
 
+    // Bỏ các ký tự dễ nhầm (0/O, 1/I) để khách đọc và nhập lại mã truy cập dễ hơn
+    private static final String ACCESS_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+    private static final int ACCESS_CODE_LENGTH = 10;
+    // Đặt ẩn danh không cần email hay đăng nhập, nên giới hạn số lịch ẩn danh chưa diễn ra của cùng một địa chỉ IP
+    static final int MAX_OPEN_ANONYMOUS_APPOINTMENTS = 2;
+    private static final SecureRandom SECURE_RANDOM = new SecureRandom();
+    private static final DateTimeFormatter RESCHEDULE_TIME_FORMAT = DateTimeFormatter.ofPattern("HH:mm dd/MM/yyyy");
+
     private final AppointmentRepository appointmentRepository;
     private final TopicRepo topicRepository;
     private final UserRepository userRepository;
     private final EmailService emailService;
     private final SlotRepository slotRepository;
+    private final WaitlistService waitlistService;
+    private final NotificationService notificationService;
+    private final SecurityUtils securityUtils;
 
     /**
      * Tạo một cuộc hẹn tư vấn mới
@@ -53,9 +72,15 @@ public class AppointmentServiceImpl implements AppointmentService {
      * 6. Lưu cuộc hẹn vào database
      * 7. Tạo link meeting cho cuộc hẹn
      * 8. Gửi email xác nhận đến khách hàng
+     *
+     * Slot đang được giữ cho người trong danh sách chờ chỉ đặt được khi gửi kèm holdToken hợp lệ
+     *
+     * Với cuộc hẹn ẩn danh, không lưu email/số điện thoại mà sinh mã truy cập
+     * trả về một lần duy nhất trong phản hồi để khách tham gia, hủy và đánh giá cuộc hẹn.
+     * Mỗi địa chỉ IP chỉ được giữ tối đa MAX_OPEN_ANONYMOUS_APPOINTMENTS lịch ẩn danh chưa diễn ra
      */
     @Override
-    public AppointmentResponseDto createAppointment(AppointmentRequestDto requestDto) {
+    public AppointmentResponseDto createAppointment(AppointmentRequestDto requestDto, String clientAddress) {
         // Lấy topic theo ID
         Topic topic = topicRepository.findByIdAndActive(requestDto.getTopicId(), true);
         if (topic == null) {
@@ -73,8 +98,11 @@ public class AppointmentServiceImpl implements AppointmentService {
             throw new IllegalArgumentException("Không được chọn ngày giờ trong quá khứ");
         }
 
-        // Kiểm tra slot đã được đặt chưa
-        if (!selectedSlot.isAvailable()) {
+        // Kiểm tra slot đã được đặt chưa; slot đang giữ cho người trong danh sách chờ chỉ đặt được bằng mã giữ chỗ
+        WaitlistEntry waitlistHold = null;
+        if (requestDto.getHoldToken() != null && !requestDto.getHoldToken().isBlank()) {
+            waitlistHold = waitlistService.getActiveHold(requestDto.getHoldToken(), selectedSlot.getId());
+        } else if (!selectedSlot.isAvailable()) {
             throw new IllegalStateException("Slot này đã được đặt. Vui lòng chọn slot khác.");
         }
 
@@ -84,6 +112,27 @@ public class AppointmentServiceImpl implements AppointmentService {
             throw new ResourceNotFoundException("Không tìm thấy tư vấn viên hợp lệ cho slot này.");
         }
 
+        String bookedFromHash = null;
+        if (requestDto.isAnonymous()) {
+            if (requestDto.getUserId() != null) {
+                throw new IllegalArgumentException("Thành viên đã đăng nhập không thể đặt lịch ẩn danh");
+            }
+            bookedFromHash = TokenHash.sha256(clientAddress);
+            long openCount = appointmentRepository.countByIsAnonymousTrueAndBookedFromHashAndStatusAndAppointmentDateGreaterThanEqual(
+                    bookedFromHash, "CONFIRMED", LocalDate.now());
+            if (openCount >= MAX_OPEN_ANONYMOUS_APPOINTMENTS) {
+                throw new IllegalStateException("Bạn đã có " + MAX_OPEN_ANONYMOUS_APPOINTMENTS
+                        + " lịch hẹn ẩn danh chưa diễn ra. Vui lòng hoàn thành hoặc hủy bớt trước khi đặt thêm.");
+            }
+        } else {
+            if (requestDto.getPhoneNumber() == null || requestDto.getPhoneNumber().isBlank()) {
+                throw new IllegalArgumentException("Số điện thoại không được để trống");
+            }
+            if (requestDto.getEmail() == null || requestDto.getEmail().isBlank()) {
+                throw new IllegalArgumentException("Email không được để trống");
+            }
+        }
+
         LocalDate appointmentDate = selectedSlot.getDate();
         //Giới hạn số lần đặt lịch trong ngày
         if (requestDto.getUserId() != null) {
@@ -92,7 +141,7 @@ public class AppointmentServiceImpl implements AppointmentService {
             if (count >= 2) {
                 throw new IllegalStateException("Bạn đã đạt giới hạn 2 lần đặt lịch trong ngày hôm nay.");
             }
-        } else {
+        } else if (!requestDto.isAnonymous()) {
             // Guest – kiểm tra theo email, giới hạn 2 lịch/ngày
             long count = appointmentRepository.countByEmailAndAppointmentDateAndStatusNot(
                     requestDto.getEmail(), appointmentDate, "CANCELLED"
@@ -105,8 +154,17 @@ public class AppointmentServiceImpl implements AppointmentService {
         // Khởi tạo đối tượng Appointment
         Appointment appointment = new Appointment();
         appointment.setCustomerName(requestDto.getCustomerName());
-        appointment.setPhoneNumber(requestDto.getPhoneNumber());
-        appointment.setEmail(requestDto.getEmail());
+        String accessCode = null;
+        if (requestDto.isAnonymous()) {
+            accessCode = generateAccessCode();
+            appointment.setAnonymous(true);
+            appointment.setAccessCodeHash(hashAccessCode(accessCode));
+            appointment.setBookedFromHash(bookedFromHash);
+        } else {
+            appointment.setPhoneNumber(requestDto.getPhoneNumber());
+            appointment.setEmail(requestDto.getEmail());
+        }
+        appointment.setCustomerNote(requestDto.getCustomerNote());
         appointment.setTopic(topic);
         appointment.setConsultant(consultant);
 
@@ -133,6 +191,9 @@ public class AppointmentServiceImpl implements AppointmentService {
         
         // Lưu cuộc hẹn vào database
         Appointment savedAppointment = appointmentRepository.save(appointment);
+        if (waitlistHold != null) {
+            waitlistService.completeHold(waitlistHold);
+        }
 
         // Tạo link meeting cho cuộc hẹn
         String videoCallId = requestDto.getVideoCallId();
@@ -148,9 +209,15 @@ public class AppointmentServiceImpl implements AppointmentService {
             // Không rollback nếu lỗi gửi mail, chỉ log
             log.warn("Không thể gửi email xác nhận lịch hẹn: {}", ex.getMessage());
         }
+        notifyNewAppointment(savedAppointment);
+        notifyMember(savedAppointment, NotificationType.APPOINTMENT_CONFIRMED, "Đặt lịch thành công",
+                "Cuộc hẹn tư vấn \"" + topic.getName() + "\" lúc " + formatAppointmentTime(savedAppointment)
+                        + " đã được xác nhận.", "/profile");
 
         // Chuyển đổi thành AppointmentResponseDto và trả về
-        return mapToResponseDto(savedAppointment);
+        AppointmentResponseDto responseDto = mapToResponseDto(savedAppointment);
+        responseDto.setAccessCode(accessCode);
+        return responseDto;
     }
 
     /**
@@ -293,6 +360,12 @@ public class AppointmentServiceImpl implements AppointmentService {
         appointment.setStatus(status);
         Appointment updatedAppointment = appointmentRepository.save(appointment);
 
+        if (!status.equals(previousStatus)) {
+            notifyMember(updatedAppointment, NotificationType.APPOINTMENT_STATUS_CHANGED, "Cập nhật trạng thái cuộc hẹn",
+                    "Cuộc hẹn lúc " + formatAppointmentTime(updatedAppointment) + " đã chuyển sang trạng thái \""
+                            + statusLabel(status) + "\".", "/profile");
+        }
+
         // Gửi email cập nhật trạng thái
         emailService.sendAppointmentStatusUpdate(updatedAppointment, previousStatus);
 
@@ -333,14 +406,8 @@ public class AppointmentServiceImpl implements AppointmentService {
         Appointment updatedAppointment = appointmentRepository.save(appointment);
 
         // Trả lại slot thành available để người khác có thể đặt
-        Optional<Slot> selectedSlot = slotRepository.findByConsultantAndDateAndStartTime(
-                appointment.getConsultant(),
-                appointment.getAppointmentDate(),
-                appointment.getAppointmentTime());
-        selectedSlot.ifPresent(slot -> {
-            slot.setAvailable(true);
-            slotRepository.save(slot);
-        });
+        releaseSlot(appointment);
+        notifyConsultantOfCancellation(updatedAppointment);
 
         // Gửi email thông báo hủy cuộc hẹn
         emailService.sendAppointmentStatusUpdate(updatedAppointment, previousStatus);
@@ -363,7 +430,7 @@ public class AppointmentServiceImpl implements AppointmentService {
                 .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy cuộc hẹn với ID: " + id));
 
         // Kiểm tra xem cuộc hẹn có thuộc về guest với email này không
-        if (!appointment.isGuest() || !appointment.getEmail().equals(email)) {
+        if (!appointment.isGuest() || !Objects.equals(appointment.getEmail(), email)) {
             throw new IllegalArgumentException("Người dùng không có quyền hủy cuộc hẹn này");
         }
 
@@ -380,6 +447,10 @@ public class AppointmentServiceImpl implements AppointmentService {
         appointment.setStatus("CANCELLED");
         Appointment updatedAppointment = appointmentRepository.save(appointment);
 
+        // Trả lại slot thành available để người khác có thể đặt
+        releaseSlot(appointment);
+        notifyConsultantOfCancellation(updatedAppointment);
+
         // Gửi email thông báo hủy cuộc hẹn
         emailService.sendAppointmentStatusUpdate(updatedAppointment, previousStatus);
 
@@ -483,6 +554,9 @@ public class AppointmentServiceImpl implements AppointmentService {
         // Lưu vào database
         Appointment updatedAppointment = appointmentRepository.save(appointment);
 
+        notifyMember(updatedAppointment, NotificationType.APPOINTMENT_STATUS_CHANGED, "Buổi tư vấn đã bắt đầu",
+                "Tư vấn viên đã vào phòng tư vấn, bạn có thể tham gia ngay.", updatedAppointment.getLinkMeet());
+
         return mapToResponseDto(updatedAppointment);
     }
 
@@ -535,6 +609,15 @@ public class AppointmentServiceImpl implements AppointmentService {
         // Lưu vào database
         Appointment updatedAppointment = appointmentRepository.save(appointment);
 
+        if (consultantNote != null && !consultantNote.isBlank()) {
+            notifyMember(updatedAppointment, NotificationType.CONSULTANT_NOTE, "Ghi chú từ tư vấn viên",
+                    "Tư vấn viên " + updatedAppointment.getConsultant().getFullname()
+                            + " đã gửi ghi chú sau buổi tư vấn: " + abbreviate(consultantNote), "/profile");
+        } else {
+            notifyMember(updatedAppointment, NotificationType.APPOINTMENT_STATUS_CHANGED, "Buổi tư vấn đã hoàn thành",
+                    "Cảm ơn bạn đã tham gia buổi tư vấn. Hãy dành chút thời gian đánh giá buổi tư vấn nhé.", "/profile");
+        }
+
         // Gửi email thông báo hoàn thành và yêu cầu đánh giá
         emailService.sendAppointmentStatusUpdate(updatedAppointment, "ON_GOING");
 
@@ -585,6 +668,11 @@ public class AppointmentServiceImpl implements AppointmentService {
         // Lưu vào database
         Appointment updatedAppointment = appointmentRepository.save(appointment);
 
+        notifyMember(updatedAppointment, NotificationType.APPOINTMENT_CANCELLED, "Cuộc hẹn đã bị hủy",
+                "Tư vấn viên đã hủy cuộc hẹn lúc " + formatAppointmentTime(updatedAppointment)
+                        + (reason != null && !reason.isBlank() ? ". Lý do: " + reason : "."),
+                "/profile");
+
         // Gửi email thông báo hủy cuộc hẹn
         emailService.sendAppointmentStatusUpdate(updatedAppointment, previousStatus);
 
@@ -650,7 +738,7 @@ public class AppointmentServiceImpl implements AppointmentService {
                 .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy cuộc hẹn với ID: " + appointmentId));
 
         // Kiểm tra quyền truy cập
-        if (!appointment.isGuest() || !appointment.getEmail().equals(email)) {
+        if (!appointment.isGuest() || !Objects.equals(appointment.getEmail(), email)) {
             throw new IllegalArgumentException("Email không khớp với email đã đăng ký cuộc hẹn");
         }
 
@@ -680,6 +768,371 @@ public class AppointmentServiceImpl implements AppointmentService {
         return mapToResponseDto(updatedAppointment);
     }
 
+    /**
+     * Đổi lịch hẹn của thành viên đang đăng nhập sang slot khác
+     *
+     * @param id ID của cuộc hẹn cần đổi lịch
+     * @param slotId ID của slot mới
+     * @return Thông tin cuộc hẹn sau khi đổi lịch
+     * @throws ResourceNotFoundException nếu không tìm thấy cuộc hẹn hoặc slot
+     * @throws IllegalArgumentException nếu người dùng không có quyền hoặc cuộc hẹn không thể đổi lịch
+     */
+    @Override
+    @Transactional
+    public AppointmentResponseDto rescheduleAppointmentByUser(Long id, Long slotId) {
+        User currentUser = securityUtils.getCurrentUser();
+        Appointment appointment = appointmentRepository.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy cuộc hẹn với ID: " + id));
+
+        if (appointment.isGuest() || appointment.getUser() == null
+                || !Objects.equals(appointment.getUser().getId(), currentUser.getId())) {
+            throw new IllegalArgumentException("Người dùng không có quyền đổi lịch cuộc hẹn này");
+        }
+
+        return reschedule(appointment, slotId, false);
+    }
+
+    /**
+     * Đổi lịch hẹn của khách vãng lai (guest) sang slot khác
+     *
+     * @param id ID của cuộc hẹn cần đổi lịch
+     * @param email Email của khách vãng lai thực hiện đổi lịch
+     * @param slotId ID của slot mới
+     * @return Thông tin cuộc hẹn sau khi đổi lịch
+     * @throws ResourceNotFoundException nếu không tìm thấy cuộc hẹn hoặc slot
+     * @throws IllegalArgumentException nếu email không khớp hoặc cuộc hẹn không thể đổi lịch
+     */
+    @Override
+    @Transactional
+    public AppointmentResponseDto rescheduleAppointmentByGuest(Long id, String email, Long slotId) {
+        Appointment appointment = appointmentRepository.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy cuộc hẹn với ID: " + id));
+
+        if (!appointment.isGuest() || !Objects.equals(appointment.getEmail(), email)) {
+            throw new IllegalArgumentException("Người dùng không có quyền đổi lịch cuộc hẹn này");
+        }
+
+        return reschedule(appointment, slotId, false);
+    }
+
+    /**
+     * Đổi lịch hẹn ẩn danh bằng mã truy cập
+     *
+     * @param id ID của cuộc hẹn cần đổi lịch
+     * @param accessCode Mã truy cập của cuộc hẹn
+     * @param slotId ID của slot mới
+     * @return Thông tin cuộc hẹn sau khi đổi lịch
+     * @throws ResourceNotFoundException nếu mã truy cập không hợp lệ hoặc không tìm thấy slot
+     * @throws IllegalArgumentException nếu mã truy cập không thuộc cuộc hẹn này hoặc cuộc hẹn không thể đổi lịch
+     */
+    @Override
+    @Transactional
+    public AppointmentResponseDto rescheduleAppointmentByAccessCode(Long id, String accessCode, Long slotId) {
+        Appointment appointment = findByAccessCode(accessCode);
+        if (!Objects.equals(appointment.getId(), id)) {
+            throw new IllegalArgumentException("Người dùng không có quyền đổi lịch cuộc hẹn này");
+        }
+
+        return reschedule(appointment, slotId, false);
+    }
+
+    /**
+     * Tư vấn viên đang đăng nhập đổi lịch hẹn sang một slot khác của chính mình
+     *
+     * @param id ID của cuộc hẹn cần đổi lịch
+     * @param slotId ID của slot mới (phải thuộc tư vấn viên này)
+     * @return Thông tin cuộc hẹn sau khi đổi lịch
+     * @throws ResourceNotFoundException nếu không tìm thấy cuộc hẹn hoặc slot
+     * @throws IllegalArgumentException nếu tư vấn viên không có quyền hoặc cuộc hẹn không thể đổi lịch
+     */
+    @Override
+    @Transactional
+    public AppointmentResponseDto rescheduleAppointmentByConsultant(Long id, Long slotId) {
+        User currentConsultant = securityUtils.getCurrentUser();
+        Appointment appointment = appointmentRepository.findById(id)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy cuộc hẹn với ID: " + id));
+
+        if (appointment.getConsultant() == null ||
+                !Objects.equals(appointment.getConsultant().getId(), currentConsultant.getId())) {
+            throw new IllegalArgumentException("Tư vấn viên không có quyền đổi lịch cuộc hẹn này");
+        }
+
+        return reschedule(appointment, slotId, true);
+    }
+
+    /**
+     * Chuyển cuộc hẹn sang slot mới trong cùng một transaction: giữ chỗ slot mới, trả lại slot cũ,
+     * cập nhật thời gian/tư vấn viên và thông báo cho bên còn lại.
+     * ID cuộc hẹn, ghi chú và phòng họp được giữ nguyên.
+     *
+     * @param byConsultant true nếu tư vấn viên đổi lịch (chỉ được chọn slot của chính mình, thông báo cho khách),
+     *                     false nếu khách đổi lịch (có thể chọn tư vấn viên khác, thông báo cho tư vấn viên)
+     */
+    private AppointmentResponseDto reschedule(Appointment appointment, Long slotId, boolean byConsultant) {
+        if (!appointment.getStatus().equals("PENDING") && !appointment.getStatus().equals("CONFIRMED")) {
+            throw new IllegalArgumentException("Chỉ có thể đổi lịch cuộc hẹn đang chờ hoặc đã xác nhận");
+        }
+
+        Slot newSlot = slotRepository.findById(slotId)
+                .orElseThrow(() -> new ResourceNotFoundException("Không tìm thấy slot với ID: " + slotId));
+
+        if (LocalDateTime.of(newSlot.getDate(), newSlot.getStartTime()).isBefore(LocalDateTime.now())) {
+            throw new IllegalArgumentException("Không được chọn ngày giờ trong quá khứ");
+        }
+
+        User newConsultant = newSlot.getConsultant();
+        if (newConsultant == null || !newConsultant.isEnabled()) {
+            throw new ResourceNotFoundException("Không tìm thấy tư vấn viên hợp lệ cho slot này.");
+        }
+        if (byConsultant && !Objects.equals(newConsultant.getId(), appointment.getConsultant().getId())) {
+            throw new IllegalArgumentException("Tư vấn viên chỉ có thể đổi lịch sang slot của chính mình");
+        }
+        if (!byConsultant) {
+            checkDailyLimitForReschedule(appointment, newSlot.getDate());
+        }
+
+        // Giữ chỗ slot mới bằng một câu lệnh UPDATE có điều kiện để hai người không thể cùng đặt một slot
+        if (slotRepository.claimSlot(newSlot.getId()) == 0) {
+            throw new IllegalStateException("Slot này đã được đặt. Vui lòng chọn slot khác.");
+        }
+
+        // Trả lại slot cũ trước khi thay đổi thời gian/tư vấn viên của cuộc hẹn
+        releaseSlot(appointment);
+
+        User previousConsultant = appointment.getConsultant();
+        LocalDateTime previousTime = LocalDateTime.of(appointment.getAppointmentDate(), appointment.getAppointmentTime());
+
+        appointment.setConsultant(newConsultant);
+        appointment.setAppointmentDate(newSlot.getDate());
+        appointment.setAppointmentTime(newSlot.getStartTime());
+        appointment.setRescheduleCount(appointment.getRescheduleCount() + 1);
+
+        String message = "Cuộc hẹn đã được đổi từ " + previousTime.format(RESCHEDULE_TIME_FORMAT)
+                + " sang " + LocalDateTime.of(newSlot.getDate(), newSlot.getStartTime()).format(RESCHEDULE_TIME_FORMAT);
+        // Khách tự đổi lịch thì đã biết giờ mới; tư vấn viên đổi lịch thì lưu lại để khách thấy khi tra cứu
+        appointment.setRescheduleNotice(byConsultant ? message + " theo đề nghị của tư vấn viên." : null);
+        Appointment updatedAppointment = appointmentRepository.save(appointment);
+
+        if (byConsultant) {
+            notifyMember(updatedAppointment, NotificationType.APPOINTMENT_STATUS_CHANGED, "Cuộc hẹn đã được đổi lịch",
+                    updatedAppointment.getRescheduleNotice(), "/profile");
+            // Cuộc hẹn ẩn danh không có email, khách xem thông báo đổi lịch qua mã truy cập
+            if (updatedAppointment.getEmail() != null) {
+                emailService.sendAppointmentRescheduled(updatedAppointment, updatedAppointment.getEmail(),
+                        updatedAppointment.getCustomerName(), updatedAppointment.getRescheduleNotice());
+            }
+        } else {
+            emailService.sendAppointmentRescheduled(updatedAppointment, newConsultant.getEmail(),
+                    newConsultant.getFullname(), message + " theo yêu cầu của khách hàng.");
+            // Khách chuyển sang tư vấn viên khác: báo cho tư vấn viên cũ biết lịch đã được chuyển đi
+            if (previousConsultant != null && !Objects.equals(previousConsultant.getId(), newConsultant.getId())) {
+                emailService.sendAppointmentRescheduled(updatedAppointment, previousConsultant.getEmail(),
+                        previousConsultant.getFullname(),
+                        message + " và chuyển sang tư vấn viên " + newConsultant.getFullname() + " theo yêu cầu của khách hàng.");
+            }
+        }
+
+        return mapToResponseDto(updatedAppointment);
+    }
+
+    /**
+     * Áp dụng giới hạn 2 lịch/ngày như khi đặt lịch cho ngày mới của cuộc hẹn, không tính chính cuộc hẹn đang được đổi
+     */
+    private void checkDailyLimitForReschedule(Appointment appointment, LocalDate newDate) {
+        long count;
+        if (appointment.getUser() != null) {
+            count = appointmentRepository.countByUserIdAndAppointmentDateAndStatusNotAndIdNot(
+                    appointment.getUser().getId(), newDate, "CANCELLED", appointment.getId());
+        } else if (appointment.getEmail() != null) {
+            count = appointmentRepository.countByEmailAndAppointmentDateAndStatusNotAndIdNot(
+                    appointment.getEmail(), newDate, "CANCELLED", appointment.getId());
+        } else {
+            return;
+        }
+        if (count >= 2) {
+            throw new IllegalStateException("Bạn đã đạt giới hạn 2 lần đặt lịch trong ngày này.");
+        }
+    }
+
+    /**
+     * Lấy thông tin cuộc hẹn ẩn danh bằng mã truy cập
+     *
+     * @param accessCode Mã truy cập nhận được khi đặt lịch (có thể kèm dấu gạch ngang, không phân biệt hoa thường)
+     * @return Thông tin cuộc hẹn
+     * @throws ResourceNotFoundException nếu mã truy cập không khớp cuộc hẹn nào
+     */
+    @Override
+    public AppointmentResponseDto getAppointmentByAccessCode(String accessCode) {
+        return mapToResponseDto(findByAccessCode(accessCode));
+    }
+
+    /**
+     * Hủy cuộc hẹn ẩn danh bằng mã truy cập
+     *
+     * @param id ID của cuộc hẹn cần hủy
+     * @param accessCode Mã truy cập của cuộc hẹn
+     * @return Thông tin cuộc hẹn sau khi hủy
+     * @throws ResourceNotFoundException nếu mã truy cập không khớp cuộc hẹn nào
+     * @throws IllegalArgumentException nếu mã truy cập không thuộc cuộc hẹn này hoặc cuộc hẹn không thể hủy
+     */
+    @Override
+    public AppointmentResponseDto cancelAppointmentByAccessCode(Long id, String accessCode) {
+        Appointment appointment = findByAccessCode(accessCode);
+        if (!Objects.equals(appointment.getId(), id)) {
+            throw new IllegalArgumentException("Người dùng không có quyền hủy cuộc hẹn này");
+        }
+
+        // Kiểm tra nếu cuộc hẹn đã hoàn thành hoặc đã hủy rồi
+        if (appointment.getStatus().equals("COMPLETED") || appointment.getStatus().equals("CANCELLED")) {
+            throw new IllegalArgumentException("Không thể hủy cuộc hẹn đã " +
+                    (appointment.getStatus().equals("COMPLETED") ? "hoàn thành" : "hủy"));
+        }
+
+        appointment.setStatus("CANCELLED");
+        Appointment updatedAppointment = appointmentRepository.save(appointment);
+
+        // Trả lại slot thành available để người khác có thể đặt
+        releaseSlot(appointment);
+        notifyConsultantOfCancellation(updatedAppointment);
+
+        return mapToResponseDto(updatedAppointment);
+    }
+
+    /**
+     * Đánh giá cuộc hẹn ẩn danh bằng mã truy cập
+     *
+     * @param appointmentId ID của cuộc hẹn cần đánh giá
+     * @param reviewScore Điểm đánh giá (1-5)
+     * @param customerReview Nhận xét của khách hàng
+     * @param accessCode Mã truy cập của cuộc hẹn
+     * @return Thông tin cuộc hẹn sau khi đánh giá
+     * @throws ResourceNotFoundException nếu mã truy cập không khớp cuộc hẹn nào
+     * @throws IllegalArgumentException nếu mã truy cập không thuộc cuộc hẹn này, cuộc hẹn chưa hoàn thành,
+     * đã được đánh giá, hoặc điểm đánh giá không hợp lệ
+     */
+    @Override
+    public AppointmentResponseDto reviewAppointmentByAccessCode(Long appointmentId, Integer reviewScore,
+            String customerReview, String accessCode) {
+        Appointment appointment = findByAccessCode(accessCode);
+        if (!Objects.equals(appointment.getId(), appointmentId)) {
+            throw new IllegalArgumentException("Mã truy cập không khớp với cuộc hẹn");
+        }
+
+        // Kiểm tra trạng thái cuộc hẹn
+        if (!appointment.getStatus().equals("COMPLETED")) {
+            throw new IllegalArgumentException("Chỉ có thể đánh giá cuộc hẹn đã hoàn thành");
+        }
+
+        // Kiểm tra đã đánh giá chưa
+        if (appointment.isReview()) {
+            throw new IllegalArgumentException("Cuộc hẹn này đã được đánh giá");
+        }
+
+        // Kiểm tra điểm đánh giá
+        if (reviewScore == null || reviewScore < 1 || reviewScore > 5) {
+            throw new IllegalArgumentException("Điểm đánh giá phải từ 1 đến 5");
+        }
+
+        appointment.setReviewScore(reviewScore);
+        appointment.setCustomerReview(customerReview);
+        appointment.setReview(true);
+
+        return mapToResponseDto(appointmentRepository.save(appointment));
+    }
+
+    private Appointment findByAccessCode(String accessCode) {
+        return appointmentRepository.findByAccessCodeHash(hashAccessCode(accessCode))
+                .filter(Appointment::isAnonymous)
+                .orElseThrow(() -> new ResourceNotFoundException("Mã truy cập không hợp lệ"));
+    }
+
+    /**
+     * Sinh mã truy cập ngẫu nhiên dạng XXXXX-XXXXX, đảm bảo không trùng với cuộc hẹn khác
+     */
+    private String generateAccessCode() {
+        String code;
+        do {
+            StringBuilder builder = new StringBuilder();
+            for (int i = 0; i < ACCESS_CODE_LENGTH; i++) {
+                if (i == ACCESS_CODE_LENGTH / 2) {
+                    builder.append('-');
+                }
+                builder.append(ACCESS_CODE_ALPHABET.charAt(SECURE_RANDOM.nextInt(ACCESS_CODE_ALPHABET.length())));
+            }
+            code = builder.toString();
+        } while (appointmentRepository.existsByAccessCodeHash(hashAccessCode(code)));
+        return code;
+    }
+
+    // Chỉ lưu mã băm của mã truy cập; bỏ dấu gạch ngang/khoảng trắng và không phân biệt hoa thường khi so khớp
+    private String hashAccessCode(String accessCode) {
+        String normalized = accessCode == null ? "" : accessCode.replaceAll("[^A-Za-z0-9]", "").toUpperCase();
+        return TokenHash.sha256(normalized);
+    }
+
+    // Báo cho tư vấn viên phụ trách, hoặc mọi tư vấn viên nếu cuộc hẹn chưa được phân công
+    private void notifyNewAppointment(Appointment appointment) {
+        String message = appointment.getCustomerName() + " đặt lịch tư vấn \"" + appointment.getTopic().getName()
+                + "\" lúc " + formatAppointmentTime(appointment) + ".";
+        if (appointment.getConsultant() == null) {
+            notificationService.notifyRole(ERole.ROLE_CONSULTANT, NotificationType.NEW_UNASSIGNED_APPOINTMENT,
+                    "Yêu cầu tư vấn chưa phân công", message, "/consultant/dashboard");
+        } else {
+            notificationService.notify(appointment.getConsultant(), NotificationType.NEW_APPOINTMENT,
+                    "Lịch hẹn mới", message, "/consultant/schedule");
+        }
+    }
+
+    private void notifyConsultantOfCancellation(Appointment appointment) {
+        if (appointment.getConsultant() == null) {
+            return;
+        }
+        notificationService.notify(appointment.getConsultant(), NotificationType.APPOINTMENT_CANCELLED,
+                "Cuộc hẹn đã bị hủy",
+                appointment.getCustomerName() + " đã hủy cuộc hẹn lúc " + formatAppointmentTime(appointment) + ".",
+                "/consultant/schedule");
+    }
+
+    // Thông báo trong ứng dụng chỉ gửi cho thành viên, khách đặt lịch nhận email
+    private void notifyMember(Appointment appointment, NotificationType type, String title, String message, String link) {
+        if (appointment.getUser() != null) {
+            notificationService.notify(appointment.getUser(), type, title, message, link);
+        }
+    }
+
+    private String statusLabel(String status) {
+        return switch (status) {
+            case "PENDING" -> "Chờ xác nhận";
+            case "CONFIRMED" -> "Đã xác nhận";
+            case "ON_GOING" -> "Đang diễn ra";
+            case "COMPLETED" -> "Đã hoàn thành";
+            case "CANCELLED" -> "Đã hủy";
+            default -> status;
+        };
+    }
+
+    private String abbreviate(String text) {
+        return text.length() <= 200 ? text : text.substring(0, 197) + "...";
+    }
+
+    private String formatAppointmentTime(Appointment appointment) {
+        return LocalDateTime.of(appointment.getAppointmentDate(), appointment.getAppointmentTime())
+                .format(RESCHEDULE_TIME_FORMAT);
+    }
+
+    // Trả lại slot của cuộc hẹn đã hủy thành available để người khác có thể đặt, ưu tiên người trong danh sách chờ
+    private void releaseSlot(Appointment appointment) {
+        Optional<Slot> selectedSlot = slotRepository.findByConsultantAndDateAndStartTime(
+                appointment.getConsultant(),
+                appointment.getAppointmentDate(),
+                appointment.getAppointmentTime());
+        selectedSlot.ifPresent(slot -> {
+            slot.setAvailable(true);
+            slotRepository.save(slot);
+            waitlistService.offerSlot(slot);
+        });
+    }
+
     /**
      * Kiểm tra tính hợp lệ của trạng thái cuộc hẹn
      * 
@@ -712,6 +1165,7 @@ public class AppointmentServiceImpl implements AppointmentService {
         responseDto.setTopicName(appointment.getTopic().getName());
         responseDto.setConsultantName(appointment.getConsultant() != null ? appointment.getConsultant().getFullname() : "Chưa phân công");;
         responseDto.setGuest(appointment.isGuest());
+        responseDto.setAnonymous(appointment.isAnonymous());
         responseDto.setStatus(appointment.getStatus());
 
         // Kiểm tra nếu không phải là guest thì mới có userId
@@ -722,10 +1176,13 @@ public class AppointmentServiceImpl implements AppointmentService {
         // Map các trường mới
         responseDto.setCheckInTime(appointment.getCheckInTime());
         responseDto.setCheckOutTime(appointment.getCheckOutTime());
+        responseDto.setCustomerNote(appointment.getCustomerNote());
         responseDto.setConsultantNote(appointment.getConsultantNote());
         responseDto.setReviewScore(appointment.getReviewScore());
         responseDto.setCustomerReview(appointment.getCustomerReview());
         responseDto.setReview(appointment.isReview());
+        responseDto.setRescheduleCount(appointment.getRescheduleCount());
+        responseDto.setRescheduleNotice(appointment.getRescheduleNotice());
         responseDto.setLinkGoogleMeet(appointment.getLinkMeet());
         return responseDto;
     }
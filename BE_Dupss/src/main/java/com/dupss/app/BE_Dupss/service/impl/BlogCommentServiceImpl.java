@@ -0,0 +1,326 @@
+package com.dupss.app.BE_Dupss.service.impl;
+
+import com.dupss.app.BE_Dupss.dto.request.BlogCommentRequest;
+import com.dupss.app.BE_Dupss.dto.request.CommentModerationRequest;
+import com.dupss.app.BE_Dupss.dto.request.CommentReportRequest;
+import com.dupss.app.BE_Dupss.dto.response.BlogCommentResponse;
+import com.dupss.app.BE_Dupss.dto.response.CommentModerationResponse;
+import com.dupss.app.BE_Dupss.entity.*;
+import com.dupss.app.BE_Dupss.respository.ActionLogRepo;
+import com.dupss.app.BE_Dupss.respository.BlogCommentRepo;
+import com.dupss.app.BE_Dupss.respository.BlogRepository;
+import com.dupss.app.BE_Dupss.respository.CommentReactionRepo;
+import com.dupss.app.BE_Dupss.respository.CommentReportRepo;
+import com.dupss.app.BE_Dupss.service.BlogCommentService;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import jakarta.persistence.EntityNotFoundException;
+import lombok.RequiredArgsConstructor;
+import lombok.extern.slf4j.Slf4j;
+import org.springframework.data.domain.Page;
+import org.springframework.data.domain.PageImpl;
+import org.springframework.data.domain.Pageable;
+import org.springframework.security.access.AccessDeniedException;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+
+import java.time.LocalDateTime;
+import java.util.*;
+import java.util.stream.Collectors;
+
+@Service
+@RequiredArgsConstructor
+@Slf4j
+public class BlogCommentServiceImpl implements BlogCommentService {
+
+    private final BlogCommentRepo blogCommentRepo;
+    private final CommentReactionRepo commentReactionRepo;
+    private final CommentReportRepo commentReportRepo;
+    private final BlogRepository blogRepository;
+    private final ActionLogRepo actionLogRepo;
+    private final SecurityUtils securityUtils;
+
+    @Override
+    @Transactional(readOnly = true)
+    public Page<BlogCommentResponse> getComments(Long blogId, Pageable pageable) {
+        Blog blog = findApprovedBlog(blogId);
+
+        Page<BlogComment> rootPage = blogCommentRepo.findByBlogAndParentIsNullAndStatusAndActiveTrue(
+                blog, CommentStatus.VISIBLE, pageable);
+        List<BlogComment> roots = rootPage.getContent();
+        if (roots.isEmpty()) {
+            return new PageImpl<>(List.of(), pageable, rootPage.getTotalElements());
+        }
+
+        List<Long> rootIds = roots.stream().map(BlogComment::getId).toList();
+        List<BlogComment> replies = blogCommentRepo.findByRootIdInAndStatusAndActiveTrueOrderByCreatedAtAsc(
+                rootIds, CommentStatus.VISIBLE);
+
+        List<BlogComment> all = new ArrayList<>(roots);
+        all.addAll(replies);
+        Map<Long, ReactionType> myReactions = findMyReactions(all);
+
+        Map<Long, BlogCommentResponse> responses = all.stream()
+                .collect(Collectors.toMap(BlogComment::getId,
+                        comment -> mapToResponse(comment, myReactions.get(comment.getId())),
+                        (a, b) -> a, LinkedHashMap::new));
+
+        // Gắn các trả lời vào bình luận cha; trả lời của bình luận đã bị ẩn sẽ không hiển thị
+        for (BlogComment reply : replies) {
+            BlogCommentResponse parent = responses.get(reply.getParent().getId());
+            if (parent != null) {
+                parent.getReplies().add(responses.get(reply.getId()));
+            }
+        }
+
+        List<BlogCommentResponse> content = roots.stream()
+                .map(root -> responses.get(root.getId()))
+                .toList();
+        return new PageImpl<>(content, pageable, rootPage.getTotalElements());
+    }
+
+    @Override
+    public long countVisibleComments(Long blogId) {
+        return blogCommentRepo.countShownComments(findApprovedBlog(blogId), CommentStatus.VISIBLE);
+    }
+
+    @Override
+    @Transactional
+    public BlogCommentResponse addComment(Long blogId, BlogCommentRequest request) {
+        User currentUser = securityUtils.getCurrentUser();
+        Blog blog = findApprovedBlog(blogId);
+
+        BlogComment comment = BlogComment.builder()
+                .blog(blog)
+                .author(currentUser)
+                .content(request.getContent().trim())
+                .status(CommentStatus.VISIBLE)
+                .active(true)
+                .build();
+
+        if (request.getParentId() != null) {
+            BlogComment parent = findVisibleComment(request.getParentId());
+            if (!Objects.equals(parent.getBlog().getId(), blog.getId())) {
+                throw new RuntimeException("Bình luận được trả lời không thuộc bài viết này");
+            }
+            comment.setParent(parent);
+            comment.setRoot(parent.getRoot() != null ? parent.getRoot() : parent);
+        }
+
+        BlogComment saved = blogCommentRepo.save(comment);
+        log.info("User {} commented on blog {}", currentUser.getUsername(), blogId);
+        return mapToResponse(saved, null);
+    }
+
+    @Override
+    @Transactional
+    public BlogCommentResponse react(Long commentId, ReactionType type) {
+        User currentUser = securityUtils.getCurrentUser();
+        BlogComment comment = findVisibleComment(commentId);
+
+        Optional<CommentReaction> existing = commentReactionRepo.findByCommentAndUser(comment, currentUser);
+        ReactionType myReaction = type;
+
+        if (existing.isPresent()) {
+            CommentReaction reaction = existing.get();
+            adjustCount(comment, reaction.getType(), -1);
+            if (reaction.getType() == type) {
+                // Bấm lại cùng một biểu tượng để bỏ phản hồi
+                commentReactionRepo.delete(reaction);
+                myReaction = null;
+            } else {
+                reaction.setType(type);
+                reaction.setReactedAt(LocalDateTime.now());
+                commentReactionRepo.save(reaction);
+                adjustCount(comment, type, 1);
+            }
+        } else {
+            commentReactionRepo.save(CommentReaction.builder()
+                    .comment(comment)
+                    .user(currentUser)
+                    .type(type)
+                    .reactedAt(LocalDateTime.now())
+                    .build());
+            adjustCount(comment, type, 1);
+        }
+
+        blogCommentRepo.save(comment);
+        return mapToResponse(comment, myReaction);
+    }
+
+    @Override
+    @Transactional
+    public void deleteComment(Long commentId) {
+        User currentUser = securityUtils.getCurrentUser();
+        BlogComment comment = blogCommentRepo.findByIdAndActiveTrue(commentId)
+                .orElseThrow(() -> new EntityNotFoundException("Không tìm thấy bình luận với id: " + commentId));
+
+        if (comment.getAuthor().getId() != currentUser.getId() && currentUser.getRole() != ERole.ROLE_MANAGER) {
+            throw new AccessDeniedException("Bạn chỉ có thể xóa bình luận của chính mình");
+        }
+        comment.setActive(false);
+        blogCommentRepo.save(comment);
+    }
+
+    @Override
+    @Transactional
+    public void updateVisibility(Long commentId, CommentStatus status) {
+        CommentModerationAction action = status == CommentStatus.HIDDEN
+                ? CommentModerationAction.HIDE
+                : CommentModerationAction.APPROVE;
+        moderateComments(CommentModerationRequest.builder()
+                .commentIds(List.of(commentId))
+                .action(action)
+                .build());
+    }
+
+    @Override
+    @Transactional
+    public void reportComment(Long commentId, CommentReportRequest request) {
+        User currentUser = securityUtils.getCurrentUser();
+        BlogComment comment = findVisibleComment(commentId);
+
+        if (comment.getAuthor().getId() == currentUser.getId()) {
+            throw new RuntimeException("Bạn không thể báo cáo bình luận của chính mình");
+        }
+        if (commentReportRepo.existsByCommentAndReporter(comment, currentUser)) {
+            throw new RuntimeException("Bạn đã báo cáo bình luận này trước đó");
+        }
+
+        commentReportRepo.save(CommentReport.builder()
+                .comment(comment)
+                .reporter(currentUser)
+                .reason(request.getReason())
+                .reportedAt(LocalDateTime.now())
+                .build());
+
+        // Đưa bình luận trở lại hàng chờ kiểm duyệt
+        comment.setFlagCount(comment.getFlagCount() + 1);
+        comment.setReviewed(false);
+        blogCommentRepo.save(comment);
+    }
+
+    @Override
+    @Transactional(readOnly = true)
+    public List<CommentModerationResponse> getCommentsPendingModeration() {
+        return blogCommentRepo.findByReviewedFalseAndActiveTrueOrderByFlagCountDescCreatedAtDesc().stream()
+                .map(this::mapToModerationResponse)
+                .toList();
+    }
+
+    @Override
+    @Transactional
+    public int moderateComments(CommentModerationRequest request) {
+        User currentUser = securityUtils.getCurrentUser();
+        List<BlogComment> comments = blogCommentRepo.findByIdInAndActiveTrue(request.getCommentIds());
+        if (comments.isEmpty()) {
+            throw new EntityNotFoundException("Không tìm thấy bình luận cần kiểm duyệt");
+        }
+
+        ActionType actionType = switch (request.getAction()) {
+            case APPROVE -> ActionType.APPROVE;
+            case HIDE -> ActionType.REJECT;
+            case DELETE -> ActionType.DELETE;
+        };
+
+        LocalDateTime now = LocalDateTime.now();
+        List<ActionLog> logs = new ArrayList<>();
+        for (BlogComment comment : comments) {
+            switch (request.getAction()) {
+                case APPROVE -> comment.setStatus(CommentStatus.VISIBLE);
+                case HIDE -> comment.setStatus(CommentStatus.HIDDEN);
+                case DELETE -> comment.setActive(false);
+            }
+            comment.setReviewed(true);
+
+            logs.add(ActionLog.builder()
+                    .performedBy(currentUser)
+                    .actionType(actionType)
+                    .targetType(TargetType.COMMENT)
+                    .targetId(comment.getId())
+                    .actionTime(now)
+                    .build());
+        }
+
+        blogCommentRepo.saveAll(comments);
+        actionLogRepo.saveAll(logs);
+        log.info("Manager {} applied {} to {} comment(s)", currentUser.getUsername(), request.getAction(), comments.size());
+        return comments.size();
+    }
+
+    private Blog findApprovedBlog(Long blogId) {
+        Blog blog = blogRepository.findByIdAndActiveTrue(blogId)
+                .orElseThrow(() -> new EntityNotFoundException("Blog not found with id: " + blogId));
+        if (blog.getStatus() != ApprovalStatus.APPROVED) {
+            throw new RuntimeException("Bài viết chưa được phê duyệt");
+        }
+        return blog;
+    }
+
+    private BlogComment findVisibleComment(Long commentId) {
+        BlogComment comment = blogCommentRepo.findByIdAndActiveTrue(commentId)
+                .orElseThrow(() -> new EntityNotFoundException("Không tìm thấy bình luận với id: " + commentId));
+        if (comment.getStatus() != CommentStatus.VISIBLE) {
+            throw new RuntimeException("Bình luận đã bị ẩn");
+        }
+        return comment;
+    }
+
+    private Map<Long, ReactionType> findMyReactions(List<BlogComment> comments) {
+        Optional<User> currentUser = securityUtils.findCurrentUser();
+        if (currentUser.isEmpty()) {
+            return Map.of();
+        }
+        List<Long> ids = comments.stream().map(BlogComment::getId).toList();
+        return commentReactionRepo.findByUserAndCommentIdIn(currentUser.get(), ids).stream()
+                .collect(Collectors.toMap(reaction -> reaction.getComment().getId(), CommentReaction::getType));
+    }
+
+    private void adjustCount(BlogComment comment, ReactionType type, int delta) {
+        if (type == ReactionType.LIKE) {
+            comment.setLikeCount(Math.max(0, comment.getLikeCount() + delta));
+        } else {
+            comment.setDislikeCount(Math.max(0, comment.getDislikeCount() + delta));
+        }
+    }
+
+    private CommentModerationResponse mapToModerationResponse(BlogComment comment) {
+        BlogComment parent = comment.getParent();
+        return CommentModerationResponse.builder()
+                .id(comment.getId())
+                .content(comment.getContent())
+                .authorName(comment.getAuthor().getFullname())
+                .authorUsername(comment.getAuthor().getUsername())
+                .status(comment.getStatus())
+                .flagCount(comment.getFlagCount())
+                .reportReasons(commentReportRepo.findByCommentOrderByReportedAtDesc(comment).stream()
+                        .map(CommentReport::getReason)
+                        .filter(reason -> reason != null && !reason.isBlank())
+                        .toList())
+                .blogId(comment.getBlog().getId())
+                .blogTitle(comment.getBlog().getTitle())
+                .blogDescription(comment.getBlog().getDescription())
+                .parentAuthorName(parent != null ? parent.getAuthor().getFullname() : null)
+                .parentContent(parent != null ? parent.getContent() : null)
+                .createdAt(comment.getCreatedAt())
+                .build();
+    }
+
+    private BlogCommentResponse mapToResponse(BlogComment comment, ReactionType myReaction) {
+        User author = comment.getAuthor();
+        return BlogCommentResponse.builder()
+                .id(comment.getId())
+                .blogId(comment.getBlog().getId())
+                .parentId(comment.getParent() != null ? comment.getParent().getId() : null)
+                .authorId(author.getId())
+                .authorName(author.getFullname())
+                .authorAvatar(author.getAvatar())
+                .blogAuthor(comment.getBlog().getAuthor().getId() == author.getId())
+                .content(comment.getContent())
+                .likes(comment.getLikeCount())
+                .dislikes(comment.getDislikeCount())
+                .myReaction(myReaction)
+                .status(comment.getStatus())
+                .createdAt(comment.getCreatedAt())
+                .build();
+    }
+}
@@ -10,6 +10,7 @@ import com.dupss.app.BE_Dupss.respository.*;
 import com.dupss.app.BE_Dupss.service.BlogService;
 
 import com.dupss.app.BE_Dupss.service.CloudinaryService;
+import com.dupss.app.BE_Dupss.service.NotificationService;
 import com.dupss.app.BE_Dupss.util.SecurityUtils;
 import jakarta.persistence.EntityNotFoundException;
 import lombok.RequiredArgsConstructor;
@@ -41,6 +42,7 @@ public class BlogServiceImpl implements BlogService {
     private final TopicRepo topicRepository;
     private final ActionLogRepo actionLogRepo;
     private final SecurityUtils securityUtils;
+    private final NotificationService notificationService;
 
     @Override
     @Transactional
@@ -69,6 +71,7 @@ public class BlogServiceImpl implements BlogService {
             blog.setCoverImage(imageUrl);
         }
         blogRepository.save(savedBlog);
+        notificationService.notifyContentSubmitted("Bài viết", savedBlog.getTitle(), author);
 
         // Prepare response
         return mapToResponse(savedBlog, author.getFullname());
@@ -214,6 +217,10 @@ public class BlogServiceImpl implements BlogService {
             throw new RuntimeException("Blog đã được phê duyệt hoặc từ chối, không thể cập nhật trạng thái");
         }
         blogRepository.save(blog);
+        notificationService.notifyContentReviewed("Bài viết", blog.getTitle(), blog.getAuthor(), status);
+        if (status == ApprovalStatus.APPROVED) {
+            notificationService.notifyTopicFollowers(blog.getTopic(), "Bài viết", blog.getTitle(), "/blogs/" + blog.getId());
+        }
 
         ActionLog actionLog = ActionLog.builder()
                 .performedBy(currentUser)
@@ -260,6 +267,7 @@ public class BlogServiceImpl implements BlogService {
         blog.setStatus(ApprovalStatus.PENDING);
 
         blogRepository.save(blog);
+        notificationService.notifyContentSubmitted("Bài viết", blog.getTitle(), blog.getAuthor());
 
     }
 
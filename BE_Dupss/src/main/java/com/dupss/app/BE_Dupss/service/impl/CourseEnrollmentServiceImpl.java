@@ -1,15 +1,22 @@
 package com.dupss.app.BE_Dupss.service.impl;
 
 import com.dupss.app.BE_Dupss.dto.request.SurveyResultRequest;
+import com.dupss.app.BE_Dupss.dto.request.VideoProgressRequest;
 import com.dupss.app.BE_Dupss.dto.response.CertificateResponse;
 import com.dupss.app.BE_Dupss.dto.response.CourseEnrollmentResponse;
 import com.dupss.app.BE_Dupss.dto.response.QuizResultResponse;
+import com.dupss.app.BE_Dupss.dto.response.VideoProgressResponse;
 import com.dupss.app.BE_Dupss.entity.*;
 import com.dupss.app.BE_Dupss.respository.*;
 import com.dupss.app.BE_Dupss.service.CourseEnrollmentService;
+import com.dupss.app.BE_Dupss.service.CourseQuizAttemptService;
 import com.dupss.app.BE_Dupss.service.EmailService;
+import com.dupss.app.BE_Dupss.service.NotificationService;
+import com.dupss.app.BE_Dupss.service.SurveyDraftService;
 import com.dupss.app.BE_Dupss.service.SurveyService;
 import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import com.dupss.app.BE_Dupss.util.SurveyScoring;
+import com.dupss.app.BE_Dupss.util.WatchedSegments;
 import jakarta.mail.MessagingException;
 import lombok.RequiredArgsConstructor;
 import lombok.extern.slf4j.Slf4j;
@@ -19,10 +26,12 @@ import org.springframework.transaction.annotation.Transactional;
 
 import java.io.UnsupportedEncodingException;
 import java.time.LocalDate;
+import java.time.Duration;
 import java.time.LocalDateTime;
 import java.time.format.DateTimeFormatter;
 import java.util.List;
 import java.util.Optional;
+import java.util.Set;
 import java.util.stream.Collectors;
 
 @Service
@@ -30,16 +39,23 @@ import java.util.stream.Collectors;
 @Slf4j
 public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
 
+    // Giới hạn số giây xem được cộng thêm mỗi lần đồng bộ: thời gian trôi qua x tốc độ phát tối đa + sai lệch mạng
+    private static final double MAX_PLAYBACK_RATE = 2.0;
+    private static final double SYNC_TOLERANCE_SECONDS = 5.0;
+    private static final long MAX_SYNC_GAP_SECONDS = 120;
+
     private final CourseRepository courseRepository;
     private final CourseEnrollmentRepository enrollmentRepository;
     private final EmailService emailService;
     private final WatchedVideoRepo watchedVideoRepository;
     private final VideoCourseRepo videoCourseRepository;
     private final CertificateRepo certificateRepository;
-    private final SurveyOptionRepo surveyOptionRepository;
     private final SurveyResultRepo surveyResultRepository;
     private final SurveyService surveyService;
+    private final SurveyDraftService surveyDraftService;
     private final SecurityUtils securityUtils;
+    private final NotificationService notificationService;
+    private final CourseQuizAttemptService quizAttemptService;
 
     @Override
     @Transactional
@@ -110,6 +126,11 @@ public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
 
         // Mark as completed if progress is 100%
         if (progress >= 100.0) {
+            if (enrollment.getStatus() != EnrollmentStatus.COMPLETED) {
+                notificationService.notify(currentUser, NotificationType.COURSE_COMPLETED, "Hoàn thành khóa học",
+                        "Chúc mừng bạn đã hoàn thành khóa học \"" + enrollment.getCourse().getTitle() + "\".",
+                        "/courses/" + enrollment.getCourse().getId());
+            }
             enrollment.setStatus(EnrollmentStatus.COMPLETED);
             enrollment.setCompletionDate(java.time.LocalDateTime.now());
         }
@@ -128,8 +149,20 @@ public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
                 .orElseThrow(() -> new RuntimeException("Video not found"));
 
         Optional<WatchedVideo> optionalWatched = watchedVideoRepository.findByUserAndVideo(user, video);
+        Course course = video.getCourseModule().getCourse();
 
         if (watchedStatus) {
+            // Chỉ đánh dấu đã xem khi đã thực sự xem đủ ngưỡng của khóa học
+            boolean alreadyWatched = optionalWatched.map(w -> Boolean.TRUE.equals(w.getWatched())).orElse(false);
+            double watchedPercent = video.resolveMediaType() == LessonMediaType.DOCUMENT ? 100.0 : optionalWatched
+                    .map(w -> WatchedSegments.percentOf(WatchedSegments.parse(w.getWatchedSegments()),
+                            video.getDurationSeconds() != null ? video.getDurationSeconds() : w.getReportedDurationSeconds()))
+                    .orElse(0.0);
+            int threshold = course.resolveVideoCompletionThreshold();
+            if (!alreadyWatched && watchedPercent < threshold) {
+                throw new RuntimeException("Bạn cần xem ít nhất " + threshold + "% thời lượng video để hoàn thành video này.");
+            }
+
             // Nếu chưa có thì tạo mới
             WatchedVideo watchedVideo = optionalWatched.orElseGet(() -> {
                 WatchedVideo w = new WatchedVideo();
@@ -147,10 +180,95 @@ public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
         }
 
         // Tính progress
-        Course course = video.getCourseModule().getCourse();
         CourseEnrollment enrollment = enrollmentRepository.findByUserAndCourse(user, course)
                 .orElseThrow(() -> new RuntimeException("You are not enrolled in this course"));
 
+        recalculateProgress(user, course, enrollment);
+    }
+
+    /**
+     * Đồng bộ các đoạn video người học đã phát và vị trí xem gần nhất.
+     * Video chỉ được tính là đã xem khi hợp các đoạn đã phát đạt ngưỡng của khóa học, tua đến cuối không được tính.
+     */
+    @Override
+    @Transactional
+    public VideoProgressResponse syncVideoProgress(Long videoId, VideoProgressRequest request) {
+        User user = securityUtils.getCurrentUser();
+
+        VideoCourse video = videoCourseRepository.findById(videoId)
+                .orElseThrow(() -> new RuntimeException("Video not found"));
+        Course course = video.getCourseModule().getCourse();
+        CourseEnrollment enrollment = enrollmentRepository.findByUserAndCourse(user, course)
+                .orElseThrow(() -> new RuntimeException("Bạn chưa đăng ký khóa học này."));
+
+        LessonMediaType mediaType = video.resolveMediaType();
+
+        WatchedVideo watchedVideo = watchedVideoRepository.findByUserAndVideo(user, video).orElseGet(() -> {
+            WatchedVideo w = new WatchedVideo();
+            w.setUser(user);
+            w.setVideo(video);
+            w.setWatched(false);
+            return w;
+        });
+
+        // Thời lượng do Cloudinary trả về (video tải lên) hoặc staff nhập (video YouTube).
+        // Bài học tạo trước khi lưu thời lượng tạm dùng thời lượng trình phát báo về, có giới hạn, cho tới khi được bổ sung
+        Double duration = video.getDurationSeconds();
+        if (duration == null && mediaType != LessonMediaType.DOCUMENT) {
+            duration = WatchedSegments.boundReportedDuration(request.getDuration(), watchedVideo.getReportedDurationSeconds(),
+                    WatchedSegments.parse(watchedVideo.getWatchedSegments()));
+            watchedVideo.setReportedDurationSeconds(duration);
+        }
+
+        List<WatchedSegments.Segment> incoming = Optional.ofNullable(request.getSegments()).orElse(List.of()).stream()
+                .map(s -> new WatchedSegments.Segment(s.getStart(), s.getEnd()))
+                .collect(Collectors.toList());
+        if (duration != null) {
+            incoming = WatchedSegments.clamp(incoming, duration);
+        }
+
+        LocalDateTime now = LocalDateTime.now();
+        List<WatchedSegments.Segment> segments = WatchedSegments.addWithinBudget(
+                WatchedSegments.parse(watchedVideo.getWatchedSegments()), incoming, syncBudget(watchedVideo.getLastSyncedAt(), now));
+        watchedVideo.setWatchedSegments(WatchedSegments.serialize(segments));
+        watchedVideo.setLastSyncedAt(now);
+        if (request.getPosition() != null) {
+            watchedVideo.setLastPosition(duration != null ? Math.min(request.getPosition(), duration) : request.getPosition());
+        }
+
+        int threshold = course.resolveVideoCompletionThreshold();
+        // Tài liệu (PDF/slide) không có thời lượng, được tính là đã xem khi người học mở tài liệu
+        double watchedPercent = mediaType == LessonMediaType.DOCUMENT ? 100.0 : WatchedSegments.percentOf(segments, duration);
+        boolean completedNow = !Boolean.TRUE.equals(watchedVideo.getWatched()) && watchedPercent >= threshold;
+        if (completedNow) {
+            watchedVideo.setWatched(true);
+        }
+        watchedVideoRepository.save(watchedVideo);
+
+        double courseProgress = completedNow
+                ? recalculateProgress(user, course, enrollment)
+                : Optional.ofNullable(enrollment.getProgress()).orElse(0.0);
+
+        return VideoProgressResponse.builder()
+                .videoId(video.getId())
+                .watched(Boolean.TRUE.equals(watchedVideo.getWatched()))
+                .watchedSeconds(WatchedSegments.totalLength(segments))
+                .watchedPercent(watchedPercent)
+                .lastPosition(watchedVideo.getLastPosition())
+                .durationSeconds(duration)
+                .completionThreshold(threshold)
+                .courseProgress(courseProgress)
+                .build();
+    }
+
+    // Lần đồng bộ đầu tiên (lúc bắt đầu phát) chỉ được cộng phần sai lệch; khoảng nghỉ dài được tính tối đa MAX_SYNC_GAP_SECONDS
+    private double syncBudget(LocalDateTime lastSyncedAt, LocalDateTime now) {
+        if (lastSyncedAt == null) return SYNC_TOLERANCE_SECONDS;
+        long elapsed = Math.min(Math.max(Duration.between(lastSyncedAt, now).toSeconds(), 0), MAX_SYNC_GAP_SECONDS);
+        return elapsed * MAX_PLAYBACK_RATE + SYNC_TOLERANCE_SECONDS;
+    }
+
+    private double recalculateProgress(User user, Course course, CourseEnrollment enrollment) {
         long totalVideos = videoCourseRepository.countByCourseModule_Course(course);
         long watchedVideos = watchedVideoRepository.countByUserAndVideo_CourseModule_Course_AndWatchedTrue(user, course);
 
@@ -161,6 +279,7 @@ public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
         enrollment.setProgress(progress);
 
         enrollmentRepository.save(enrollment);
+        return progress;
     }
 
     @Override
@@ -191,20 +310,21 @@ public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
             throw new RuntimeException("Bạn đã hoàn thành khóa học này. Không thể nộp lại bài kiểm tra.");
         }
 
-        // Chấm điểm quiz
-        List<Long> selectedOptionIds = request.getSelectedOptionIds();
-        List<SurveyOption> selectedOptions = surveyOptionRepository.findAllById(selectedOptionIds);
-
-        int userScore = selectedOptions.stream().mapToInt(SurveyOption::getScore).sum();
-        int totalScore = quiz.getSections().stream()
-                .flatMap(section -> section.getQuestions().stream())
-                .mapToInt(question ->
-                        question.getOptions().stream()
-                                .mapToInt(SurveyOption::getScore)
-                                .max()
-                                .orElse(0) // Nếu không có option nào, coi điểm là 0
-                )
-                .sum();
+        QuizAttempt attempt = quizAttemptService.requireOpenAttempt(user, course, request.getAttemptId());
+        Set<Long> questionIds = quizAttemptService.questionIdsOf(attempt);
+
+        // Chấm điểm quiz, chỉ trên các câu hỏi được rút cho lượt này.
+        // Bài tự nộp khi hết giờ có thể chưa trả lời câu nào
+        boolean answeredNothing = (request.getSelectedOptionIds() == null || request.getSelectedOptionIds().isEmpty())
+                && (request.getAnswers() == null || request.getAnswers().isEmpty());
+        List<SurveyOption> selectedOptions = answeredNothing ? List.of()
+                : surveyService.resolveSelectedOptions(quiz, request).stream()
+                .filter(option -> questionIds.contains(option.getQuestion().getId()))
+                .toList();
+
+        SurveyScoring.Outcome outcome = surveyService.score(quiz.getSections(), selectedOptions, questionIds);
+        int userScore = outcome.score();
+        int totalScore = outcome.maxScore();
 
         // Save kết quả
         SurveyResult result = new SurveyResult();
@@ -219,18 +339,27 @@ public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
         }).collect(Collectors.toList());
 
         result.setSelectedOptions(resultOptions);
+        result.setAnswers(surveyService.buildResultAnswers(quiz, request, result).stream()
+                .filter(answer -> questionIds.contains(answer.getQuestion().getId()))
+                .collect(Collectors.toList()));
         result.setSubmittedAt(LocalDateTime.now());
         result.setTotalScore(totalScore);
         result.setScore(userScore);
         surveyResultRepository.save(result);
+        surveyDraftService.discardDraft(user, quiz.getId());
 
         List<SurveyCondition> conditions = result.getSurvey().getConditions();
         boolean passed = conditions.stream()
                 .allMatch(condition -> surveyService.evaluate(userScore, condition));
         result.setAdvice("Rất tiếc, bạn đã không vượt qua bài kiểm tra.");
+        quizAttemptService.finish(attempt, result, passed);
 
         if (passed && enrollment.getProgress() == 100.0) {
             result.setAdvice("Chúc mừng! Bạn đã vượt qua bài kiểm tra.");
+            notificationService.notify(user, NotificationType.COURSE_COMPLETED, "Hoàn thành khóa học",
+                    "Chúc mừng bạn đã vượt qua bài kiểm tra và hoàn thành khóa học \"" + course.getTitle()
+                            + "\". Chứng chỉ của bạn đã sẵn sàng.",
+                    "/courses/" + course.getId() + "/cert/" + user.getId());
             enrollment.setStatus(EnrollmentStatus.COMPLETED);
             enrollment.setCompletionDate(LocalDateTime.now());
 
@@ -263,6 +392,7 @@ public class CourseEnrollmentServiceImpl implements CourseEnrollmentService {
                 .score(userScore)
                 .message(result.getAdvice())
                 .submittedAt(result.getSubmittedAt())
+                .review(quizAttemptService.reviewAttempt(attempt, selectedOptions, request))
                 .build();
     }
 
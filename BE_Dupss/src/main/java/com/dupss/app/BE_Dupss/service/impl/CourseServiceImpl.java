@@ -8,9 +8,11 @@ import com.dupss.app.BE_Dupss.dto.response.*;
 import com.dupss.app.BE_Dupss.entity.*;
 import com.dupss.app.BE_Dupss.respository.*;
 import com.dupss.app.BE_Dupss.service.CloudinaryService;
+import com.dupss.app.BE_Dupss.service.NotificationService;
 import com.dupss.app.BE_Dupss.service.CourseService;
 import com.dupss.app.BE_Dupss.service.SurveyService;
 import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import com.dupss.app.BE_Dupss.util.WatchedSegments;
 import com.fasterxml.jackson.core.JsonProcessingException;
 import com.fasterxml.jackson.core.type.TypeReference;
 import com.fasterxml.jackson.databind.ObjectMapper;
@@ -25,10 +27,12 @@ import org.springframework.security.core.context.SecurityContextHolder;
 import org.springframework.stereotype.Service;
 import org.springframework.transaction.annotation.Transactional;
 import org.springframework.util.StringUtils;
+import org.springframework.web.multipart.MultipartFile;
 
 import java.io.IOException;
 import java.util.*;
 import java.util.stream.Collectors;
+import java.util.stream.Stream;
 
 @Service
 @RequiredArgsConstructor
@@ -38,6 +42,8 @@ public class CourseServiceImpl implements CourseService {
     private final CourseModuleRepository moduleRepository;
     private final CourseEnrollmentRepository enrollmentRepository;
     private final WatchedVideoRepo watchedVideoRepo;
+    private final LessonNoteRepository lessonNoteRepository;
+    private final VideoCourseRepo videoCourseRepo;
     private final UserRepository userRepository;
     private final TopicRepo topicRepository;
     private final CloudinaryService cloudinaryService;
@@ -46,6 +52,19 @@ public class CourseServiceImpl implements CourseService {
     private final ObjectMapper objectMapper;
     private final ActionLogRepo actionLogRepo;
     private final SecurityUtils securityUtils;
+    private final NotificationService notificationService;
+
+    private static final Set<String> LESSON_VIDEO_TYPES = Set.of("video/mp4", "video/webm", "video/quicktime");
+    private static final Set<String> LESSON_DOCUMENT_TYPES = Set.of(
+            "application/pdf",
+            "application/vnd.ms-powerpoint",
+            "application/vnd.openxmlformats-officedocument.presentationml.presentation");
+    private static final long MAX_LESSON_VIDEO_SIZE = 200L * 1024 * 1024;
+    private static final long MAX_LESSON_DOCUMENT_SIZE = 20L * 1024 * 1024;
+
+    // Chương đã lưu cùng các bài học theo đúng thứ tự trong request, để chuyển tham chiếu theo vị trí của quiz thành id
+    private record SavedModule(CourseModule module, List<VideoCourse> videos) {
+    }
 
     @Override
     @Transactional
@@ -68,6 +87,7 @@ public class CourseServiceImpl implements CourseService {
         course.setDescription(request.getDescription());
         course.setContent(request.getContent());
         course.setDuration(request.getDuration());
+        course.setVideoCompletionThreshold(request.getVideoCompletionThreshold());
         course.setActive(true);
         course.setCreator(currentUser);
         course.setStatus(ApprovalStatus.PENDING);
@@ -79,6 +99,7 @@ public class CourseServiceImpl implements CourseService {
 
         Course savedCourse = courseRepository.save(course);
         log.info("Course created: {}", savedCourse.getTitle());
+        notificationService.notifyContentSubmitted("Khóa học", savedCourse.getTitle(), currentUser);
 
         // Create modules if provided
         List<CourseModule> modules = new ArrayList<>();
@@ -100,6 +121,7 @@ public class CourseServiceImpl implements CourseService {
                         VideoCourse video = new VideoCourse();
                         video.setTitle(url.getTitle());
                         video.setVideoUrl(url.getVideoUrl());
+                        applyLessonMedia(video, url);
                         video.setCourseModule(module);
                         videos.add(video);
                     }
@@ -114,13 +136,16 @@ public class CourseServiceImpl implements CourseService {
         if (StringUtils.hasText(request.getQuiz())) {
             SurveyCreateRequest quizRequest = objectMapper.readValue(
                     request.getQuiz(), SurveyCreateRequest.class);
+            resolveLessonReferences(quizRequest, modules.stream()
+                    .map(module -> new SavedModule(module, module.getVideos()))
+                    .toList());
             Survey quiz = surveyService.createAndSaveSurveyEntity(quizRequest, null, currentUser);
             quiz.setForCourse(true);
             surveyRepository.save(quiz);
             savedCourse.setSurveyQuiz(quiz);
         }
 
-        return mapToCourseResponse(savedCourse, modules, currentUser);
+        return mapToCourseResponse(savedCourse, modules, currentUser, true);
     }
 
     @Override
@@ -222,7 +247,7 @@ public class CourseServiceImpl implements CourseService {
             throw new AccessDeniedException("Bạn không có quyền truy cập khóa học này");
         }
 
-        return mapToCourseResponse(course, modules, currentUser);
+        return mapToCourseResponse(course, modules, currentUser, isOwner);
     }
 
     @Override
@@ -234,7 +259,7 @@ public class CourseServiceImpl implements CourseService {
 
         List<CourseModule> modules = moduleRepository.findByCourseOrderByOrderIndexAsc(course);
 
-        return mapToCourseResponse(course, modules, course.getCreator());
+        return mapToCourseResponse(course, modules, course.getCreator(), true);
     }
 
     @Override
@@ -244,7 +269,7 @@ public class CourseServiceImpl implements CourseService {
 
         List<Course> courses = courseRepository.findByStatusAndActiveTrue(ApprovalStatus.PENDING);
         List<CourseResponse> response = courses.stream()
-                .map(course -> mapToCourseResponse(course, course.getModules(), currentUser))
+                .map(course -> mapToCourseResponse(course, course.getModules(), currentUser, true))
                 .collect(Collectors.toList());
         return response;
     }
@@ -303,7 +328,7 @@ public class CourseServiceImpl implements CourseService {
         return courses.stream()
                 .map(course -> {
                     List<CourseModule> modules = moduleRepository.findByCourseOrderByOrderIndexAsc(course);
-                    return mapToCourseResponse(course, modules, currentUser);
+                    return mapToCourseResponse(course, modules, currentUser, true);
                 })
                 .collect(Collectors.toList());
     }
@@ -345,6 +370,10 @@ public class CourseServiceImpl implements CourseService {
             course.setDuration(request.getDuration());
         }
 
+        if (request.getVideoCompletionThreshold() != null) {
+            course.setVideoCompletionThreshold(request.getVideoCompletionThreshold());
+        }
+
 
         if (request.getTopicId() != null) {
             Topic topic = topicRepository.findById(request.getTopicId())
@@ -361,12 +390,13 @@ public class CourseServiceImpl implements CourseService {
         log.info("Course updated: {}", savedCourse.getTitle());
 
         // Update modules if provided
-        updateModules(savedCourse, request.getModules());
+        List<SavedModule> savedModules = updateModules(savedCourse, request.getModules());
 
         // Convert quiz from JSON string
         if (StringUtils.hasText(request.getQuiz())) {
             SurveyCreateRequest quizRequest = objectMapper.readValue(
                     request.getQuiz(), SurveyCreateRequest.class);
+            resolveLessonReferences(quizRequest, savedModules);
 
             Survey quiz = course.getSurveyQuiz();
             if (quiz == null) {
@@ -379,12 +409,17 @@ public class CourseServiceImpl implements CourseService {
             savedCourse.setSurveyQuiz(quiz);
         }
         course.setStatus(ApprovalStatus.PENDING);
+        notificationService.notifyContentSubmitted("Khóa học", savedCourse.getTitle(), currentUser);
 
-        return mapToCourseResponse(savedCourse, savedCourse.getModules(), currentUser);
+        return mapToCourseResponse(savedCourse, savedCourse.getModules(), currentUser, true);
     }
 
-    private void updateModules(Course savedCourse, String modulesJson) throws JsonProcessingException {
-        if (!StringUtils.hasText(modulesJson)) return;
+    private List<SavedModule> updateModules(Course savedCourse, String modulesJson) throws JsonProcessingException {
+        if (!StringUtils.hasText(modulesJson)) {
+            return moduleRepository.findByCourseOrderByOrderIndexAsc(savedCourse).stream()
+                    .map(module -> new SavedModule(module, module.getVideos()))
+                    .toList();
+        }
 
         List<CourseModuleRequest> moduleRequests = objectMapper.readValue(modulesJson, new TypeReference<>() {
         });
@@ -405,14 +440,18 @@ public class CourseServiceImpl implements CourseService {
         existingModules.removeIf(module -> {
             boolean shouldDelete = module.getId() != null && !incomingModuleIds.contains(module.getId());
             if (shouldDelete) {
-                // Xóa video đã xem trước
-                module.getVideos().forEach(video -> watchedVideoRepo.deleteByVideo(video));
+                // Xóa video đã xem và ghi chú của người học trước
+                module.getVideos().forEach(video -> {
+                    watchedVideoRepo.deleteByVideo(video);
+                    lessonNoteRepository.deleteByVideo(video);
+                });
                 moduleRepository.delete(module); // Xóa module khỏi DB
             }
             return shouldDelete;
         });
 
         List<CourseModule> updatedModules = new ArrayList<>();
+        List<SavedModule> savedModules = new ArrayList<>();
 
         for (CourseModuleRequest moduleRequest : moduleRequests) {
             CourseModule module = moduleRequest.getCourseModuleId() != null
@@ -448,29 +487,79 @@ public class CourseServiceImpl implements CourseService {
                 boolean shouldDelete = video.getId() != null && !incomingVideoIds.contains(video.getId());
                 if (shouldDelete) {
                     watchedVideoRepo.deleteByVideo(video);
+                    lessonNoteRepository.deleteByVideo(video);
                 }
                 return shouldDelete;
             });
 
             // Thêm hoặc cập nhật video
+            List<VideoCourse> savedVideos = new ArrayList<>();
             for (CourseModuleRequest.VideoCourseRequest videoRequest : videoRequests) {
                 VideoCourse video = videoRequest.getVideoModuleId() != null
                         ? videoMap.getOrDefault(videoRequest.getVideoModuleId(), new VideoCourse())
                         : new VideoCourse();
 
+                // Đổi sang tệp/đường dẫn khác thì thời lượng cũ không còn đúng
+                if (video.getVideoUrl() != null && !video.getVideoUrl().equals(videoRequest.getVideoUrl())) {
+                    video.setDurationSeconds(null);
+                }
                 video.setTitle(videoRequest.getTitle());
                 video.setVideoUrl(videoRequest.getVideoUrl());
+                applyLessonMedia(video, videoRequest);
                 video.setCourseModule(module);
 
                 if (video.getId() == null || !currentVideos.contains(video)) {
                     currentVideos.add(video);
                 }
+                // Bài học mới của chương đã có được lưu ngay để có id cho tham chiếu của quiz
+                if (video.getId() == null && module.getId() != null) {
+                    videoCourseRepo.save(video);
+                }
+                savedVideos.add(video);
             }
 
             updatedModules.add(module);
+            savedModules.add(new SavedModule(module, savedVideos));
         }
 
         moduleRepository.saveAll(updatedModules);
+        return savedModules;
+    }
+
+    /**
+     * Chuyển tham chiếu chương/bài học theo vị trí của câu hỏi và đáp án quiz thành id đã lưu
+     */
+    private void resolveLessonReferences(SurveyCreateRequest quizRequest, List<SavedModule> savedModules) {
+        if (quizRequest.getSections() == null) return;
+        for (SurveyCreateRequest.SurveySection section : quizRequest.getSections()) {
+            if (section.getQuestions() == null) continue;
+            for (SurveyCreateRequest.SurveySection.QuestionRequest question : section.getQuestions()) {
+                resolveLessonReference(question.getReference(), savedModules);
+                if (question.getOptions() == null) continue;
+                question.getOptions().forEach(option -> resolveLessonReference(option.getReference(), savedModules));
+            }
+        }
+    }
+
+    private void resolveLessonReference(SurveyCreateRequest.SurveySection.LessonReference reference,
+                                        List<SavedModule> savedModules) {
+        if (reference == null) return;
+        Integer moduleIndex = reference.getModuleIndex();
+        if (moduleIndex == null || moduleIndex < 0 || moduleIndex >= savedModules.size()) {
+            throw new RuntimeException("Chương tham chiếu của câu hỏi quiz không tồn tại");
+        }
+        SavedModule saved = savedModules.get(moduleIndex);
+        reference.setModuleId(saved.module().getId());
+        reference.setVideoId(null);
+
+        Integer videoIndex = reference.getVideoIndex();
+        if (videoIndex != null) {
+            if (videoIndex < 0 || videoIndex >= saved.videos().size()) {
+                throw new RuntimeException("Bài học tham chiếu của câu hỏi quiz không tồn tại trong chương \""
+                        + saved.module().getTitle() + "\"");
+            }
+            reference.setVideoId(saved.videos().get(videoIndex).getId());
+        }
     }
 
 
@@ -486,6 +575,10 @@ public class CourseServiceImpl implements CourseService {
             throw new RuntimeException("Blog đã được phê duyệt hoặc từ chối, không thể cập nhật trạng thái");
         }
         courseRepository.save(course);
+        notificationService.notifyContentReviewed("Khóa học", course.getTitle(), course.getCreator(), status);
+        if (status == ApprovalStatus.APPROVED) {
+            notificationService.notifyTopicFollowers(course.getTopic(), "Khóa học", course.getTitle(), "/courses/" + course.getId());
+        }
 
         ActionLog actionLog = ActionLog.builder()
                 .performedBy(currentUser)
@@ -523,7 +616,92 @@ public class CourseServiceImpl implements CourseService {
         actionLogRepo.save(actionLog);
     }
 
-    private CourseResponse mapToCourseResponse(Course course, List<CourseModule> modules, User currentUser) {
+    @Override
+    public LessonMediaResponse uploadLessonMedia(MultipartFile file) throws IOException {
+        if (file == null || file.isEmpty()) {
+            throw new RuntimeException("Vui lòng chọn tệp để tải lên");
+        }
+
+        String contentType = Optional.ofNullable(file.getContentType()).orElse("").toLowerCase(Locale.ROOT);
+        LessonMediaType mediaType;
+        if (LESSON_VIDEO_TYPES.contains(contentType)) {
+            mediaType = LessonMediaType.VIDEO;
+            if (file.getSize() > MAX_LESSON_VIDEO_SIZE) {
+                throw new RuntimeException("Video bài học không được vượt quá 200MB");
+            }
+        } else if (LESSON_DOCUMENT_TYPES.contains(contentType)) {
+            mediaType = LessonMediaType.DOCUMENT;
+            if (file.getSize() > MAX_LESSON_DOCUMENT_SIZE) {
+                throw new RuntimeException("Tài liệu bài học không được vượt quá 20MB");
+            }
+        } else {
+            throw new RuntimeException("Chỉ hỗ trợ video MP4, WebM, MOV hoặc tài liệu PDF, PPT, PPTX");
+        }
+
+        CloudinaryService.UploadedMedia uploaded = cloudinaryService.uploadLessonMedia(file, mediaType == LessonMediaType.VIDEO);
+        if (mediaType == LessonMediaType.VIDEO && (uploaded.duration() == null || uploaded.duration() <= 0)) {
+            throw new RuntimeException("Không đọc được thời lượng của video \"" + file.getOriginalFilename() + "\", vui lòng thử tệp khác");
+        }
+        log.info("Lesson media uploaded: {} ({})", file.getOriginalFilename(), mediaType);
+
+        return LessonMediaResponse.builder()
+                .url(uploaded.url())
+                .mediaType(mediaType)
+                .durationSeconds(uploaded.duration())
+                .fileName(file.getOriginalFilename())
+                .build();
+    }
+
+    /**
+     * Bổ sung thời lượng cho các video tải lên trước khi thời lượng được lưu, lấy từ Cloudinary.
+     * Video YouTube cần staff nhập thời lượng khi sửa khóa học; trong lúc chờ, tiến độ dùng thời lượng tạm (xem syncVideoProgress).
+     */
+    @Override
+    @Transactional
+    public void backfillLessonDurations() {
+        int updated = 0;
+        int missing = 0;
+        for (VideoCourse video : videoCourseRepo.findByDurationSecondsIsNull()) {
+            LessonMediaType mediaType = video.resolveMediaType();
+            if (mediaType == LessonMediaType.DOCUMENT) continue;
+
+            Double duration = null;
+            if (mediaType == LessonMediaType.VIDEO) {
+                try {
+                    duration = cloudinaryService.findVideoDuration(video.getVideoUrl());
+                } catch (Exception e) {
+                    log.warn("Could not fetch duration of lesson video {}: {}", video.getId(), e.getMessage());
+                }
+            }
+            if (duration != null && duration > 0) {
+                video.setDurationSeconds(duration);
+                videoCourseRepo.save(video);
+                updated++;
+            } else {
+                missing++;
+            }
+        }
+        if (updated > 0 || missing > 0) {
+            log.info("Lesson duration backfill: {} updated, {} still missing a duration", updated, missing);
+        }
+    }
+
+    private void applyLessonMedia(VideoCourse video, CourseModuleRequest.VideoCourseRequest request) {
+        video.setMediaType(request.getMediaType() != null
+                ? request.getMediaType()
+                : LessonMediaType.detect(request.getVideoUrl()));
+        if (request.getDurationSeconds() != null && request.getDurationSeconds() > 0) {
+            video.setDurationSeconds(request.getDurationSeconds());
+        }
+        // Tiến độ xem được tính theo thời lượng đã lưu, không tin thời lượng trình phát của người học báo về
+        if (video.getMediaType() != LessonMediaType.DOCUMENT && video.getDurationSeconds() == null) {
+            throw new RuntimeException("Vui lòng nhập thời lượng cho video"
+                    + (video.getMediaType() == LessonMediaType.YOUTUBE ? " YouTube" : "") + " \"" + request.getTitle() + "\"");
+        }
+    }
+
+    // Chỉ người soạn/duyệt khóa học nhận câu hỏi kèm điểm đáp án; người học nhận câu hỏi theo từng lượt làm bài
+    private CourseResponse mapToCourseResponse(Course course, List<CourseModule> modules, User currentUser, boolean includeQuizQuestions) {
         List<CourseModuleResponse> moduleResponses = modules.stream()
                 .map(m -> mapToModuleResponse(m, currentUser))
                 .collect(Collectors.toList());
@@ -533,14 +711,18 @@ public class CourseServiceImpl implements CourseService {
             quizResponse = SurveyResponse.builder()
                     .id(course.getSurveyQuiz().getId())
                     .title(course.getSurveyQuiz().getTitle())
-                    .sections(course.getSurveyQuiz().getSections().stream()
+                    .sections(includeQuizQuestions ? course.getSurveyQuiz().getSections().stream()
                             .map(SurveyResponse.SurveySectionDTO::fromEntity)
-                            .collect(Collectors.toList()))
+                            .collect(Collectors.toList()) : null)
                     .conditions(course.getSurveyQuiz().getConditions().stream()
                             .map(SurveyResponse.SurveyConditionDTO::fromEntity)
                             .collect(Collectors.toList()))
                     .forCourse(course.getSurveyQuiz().isForCourse())
                     .active(course.getSurveyQuiz().isActive())
+                    .timeLimitMinutes(course.getSurveyQuiz().getTimeLimitMinutes())
+                    .maxAttempts(course.getSurveyQuiz().getMaxAttempts())
+                    .attemptCooldownMinutes(course.getSurveyQuiz().getAttemptCooldownMinutes())
+                    .shuffleOptions(course.getSurveyQuiz().getShuffleOptions())
                     .build();
         }
 
@@ -551,16 +733,32 @@ public class CourseServiceImpl implements CourseService {
                 .description(course.getDescription())
                 .content(course.getContent())
                 .duration(course.getDuration())
+                .videoCompletionThreshold(course.resolveVideoCompletionThreshold())
+                .progress(currentUser == null ? null : enrollmentRepository.findByUserAndCourse(currentUser, course)
+                        .map(CourseEnrollment::getProgress)
+                        .orElse(null))
                 .coverImage(course.getCoverImage())
                 .createdAt(course.getCreatedAt())
                 .updatedAt(course.getUpdatedAt())
                 .creator(course.getCreator().getFullname())
                 .modules(moduleResponses)
                 .quiz(quizResponse)
+                .quizExplanations(includeQuizQuestions && course.getSurveyQuiz() != null
+                        ? mapToQuizExplanations(course.getSurveyQuiz()) : null)
                 .status(course.getStatus())
                 .build();
     }
 
+    private List<QuizExplanationResponse> mapToQuizExplanations(Survey quiz) {
+        return quiz.getSections().stream()
+                .flatMap(section -> section.getQuestions().stream())
+                .flatMap(question -> Stream.concat(
+                        Stream.of(QuizExplanationResponse.fromEntity(question)),
+                        question.getOptions().stream().map(QuizExplanationResponse::fromEntity)))
+                .filter(e -> e.getExplanation() != null || e.getReferenceModuleId() != null || e.getReferenceVideoId() != null)
+                .collect(Collectors.toList());
+    }
+
     private CourseHomeResponse mapToCourseHomeResponse(Course course, boolean isEnrolled) {
         CourseHomeResponse dto = new CourseHomeResponse();
         dto.setId(course.getId());
@@ -578,10 +776,20 @@ public class CourseServiceImpl implements CourseService {
     private CourseModuleResponse mapToModuleResponse(CourseModule module, User currentUser) {
         List<VideoCourseResponse> videoDTOs = module.getVideos().stream()
                 .map(video -> {
+                    // Trạng thái xem và vị trí xem gần nhất của người dùng hiện tại để tiếp tục xem trên thiết bị khác
+                    Optional<WatchedVideo> watched = currentUser == null
+                            ? Optional.empty()
+                            : watchedVideoRepo.findByUserAndVideo(currentUser, video);
                     return VideoCourseResponse.builder()
                             .id(video.getId())
                             .title(video.getTitle())
                             .videoUrl(video.getVideoUrl())
+                            .mediaType(video.resolveMediaType())
+                            .watched(watched.map(w -> Boolean.TRUE.equals(w.getWatched())).orElse(false))
+                            .lastPosition(watched.map(WatchedVideo::getLastPosition).orElse(null))
+                            .durationSeconds(video.getDurationSeconds())
+                            .watchedPercent(watched.map(w -> WatchedSegments.percentOf(
+                                    WatchedSegments.parse(w.getWatchedSegments()), video.getDurationSeconds())).orElse(0.0))
                             .build();
                 })
                 .collect(Collectors.toList());
@@ -1,6 +1,7 @@
 package com.dupss.app.BE_Dupss.service.impl;
 
 import com.dupss.app.BE_Dupss.entity.Appointment;
+import com.dupss.app.BE_Dupss.entity.Slot;
 import com.dupss.app.BE_Dupss.service.EmailService;
 import jakarta.mail.MessagingException;
 import jakarta.mail.internet.MimeMessage;
@@ -32,6 +33,10 @@ public class EmailServiceImpl implements EmailService {
     @Async
     @Override
     public void sendAppointmentConfirmation(Appointment appointment) {
+        // Cuộc hẹn ẩn danh không có email liên hệ
+        if (appointment.getEmail() == null) {
+            return;
+        }
         try {
             log.info("Bắt đầu gửi email xác nhận đặt lịch cho cuộc hẹn ID: {}", appointment.getId());
 
@@ -64,6 +69,9 @@ public class EmailServiceImpl implements EmailService {
     @Async
     @Override
     public void sendAppointmentStatusUpdate(Appointment appointment, String previousStatus) {
+        if (appointment.getEmail() == null) {
+            return;
+        }
         try {
             log.info("Bắt đầu gửi email cập nhật trạng thái cho cuộc hẹn ID: {}", appointment.getId());
             
@@ -103,6 +111,115 @@ public class EmailServiceImpl implements EmailService {
             // Không throw exception để không ảnh hưởng đến luồng chính
         }
     }
+    @Async
+    @Override
+    public void sendAppointmentRescheduled(Appointment appointment, String toEmail, String recipientName, String rescheduleMessage) {
+        if (toEmail == null) {
+            return;
+        }
+        try {
+            log.info("Bắt đầu gửi email đổi lịch cho cuộc hẹn ID: {}", appointment.getId());
+
+            Context context = new Context();
+            context.setVariable("appointment", appointment);
+            context.setVariable("recipientName", recipientName);
+            context.setVariable("rescheduleMessage", rescheduleMessage);
+            context.setVariable("dupssMeetLink", appointment.getLinkMeet());
+
+            String content = templateEngine.process("email/appointment-rescheduled", context);
+            if (content == null || content.trim().isEmpty()) {
+                throw new RuntimeException("Không thể tạo nội dung email từ template");
+            }
+
+            sendEmail(toEmail, "Thông báo đổi lịch cuộc hẹn tư vấn", content);
+            log.info("Email đổi lịch đã được gửi thành công tới: {}", toEmail);
+        } catch (Exception e) {
+            log.error("Lỗi khi gửi email đổi lịch cho cuộc hẹn ID {}: {}",
+                     appointment.getId(), e.getMessage(), e);
+            // Không throw exception để không ảnh hưởng đến luồng chính
+        }
+    }
+
+    @Async
+    @Override
+    public void sendAppointmentReminder(Appointment appointment, String toEmail, String recipientName, String reminderMessage,
+                                        String joinLink, String manageLink) {
+        if (toEmail == null) {
+            return;
+        }
+        try {
+            log.info("Bắt đầu gửi email nhắc lịch cho cuộc hẹn ID: {}", appointment.getId());
+
+            Context context = new Context();
+            context.setVariable("appointment", appointment);
+            context.setVariable("recipientName", recipientName);
+            context.setVariable("reminderMessage", reminderMessage);
+            context.setVariable("dupssMeetLink", joinLink);
+            context.setVariable("manageLink", manageLink);
+
+            String content = templateEngine.process("email/appointment-reminder", context);
+            if (content == null || content.trim().isEmpty()) {
+                throw new RuntimeException("Không thể tạo nội dung email từ template");
+            }
+
+            sendEmail(toEmail, "Nhắc lịch hẹn tư vấn", content);
+            log.info("Email nhắc lịch đã được gửi thành công tới: {}", toEmail);
+        } catch (Exception e) {
+            log.error("Lỗi khi gửi email nhắc lịch cho cuộc hẹn ID {}: {}",
+                     appointment.getId(), e.getMessage(), e);
+            // Không throw exception để không ảnh hưởng đến luồng chính
+        }
+    }
+
+    @Async
+    @Override
+    public void sendWaitlistOffer(String toEmail, String recipientName, Slot slot, String bookingUrl, LocalDateTime holdExpiresAt) {
+        try {
+            log.info("Bắt đầu gửi email giữ chỗ slot ID {} tới: {}", slot.getId(), toEmail);
+
+            Context context = new Context();
+            context.setVariable("recipientName", recipientName);
+            context.setVariable("slot", slot);
+            context.setVariable("bookingUrl", bookingUrl);
+            context.setVariable("holdExpiresAt", holdExpiresAt);
+
+            String content = templateEngine.process("email/waitlist-offer", context);
+            if (content == null || content.trim().isEmpty()) {
+                throw new RuntimeException("Không thể tạo nội dung email từ template");
+            }
+
+            sendEmail(toEmail, "Có lịch tư vấn trống đang được giữ cho bạn", content);
+            log.info("Email giữ chỗ đã được gửi thành công tới: {}", toEmail);
+        } catch (Exception e) {
+            log.error("Lỗi khi gửi email giữ chỗ slot ID {}: {}", slot.getId(), e.getMessage(), e);
+            // Không throw exception để không ảnh hưởng đến luồng chính
+        }
+    }
+
+    @Async
+    @Override
+    public void sendWaitlistConfirmation(String toEmail, String recipientName, String confirmUrl, LocalDateTime expiresAt) {
+        try {
+            log.info("Bắt đầu gửi email xác nhận danh sách chờ tới: {}", toEmail);
+
+            Context context = new Context();
+            context.setVariable("recipientName", recipientName);
+            context.setVariable("confirmUrl", confirmUrl);
+            context.setVariable("expiresAt", expiresAt);
+
+            String content = templateEngine.process("email/waitlist-confirm", context);
+            if (content == null || content.trim().isEmpty()) {
+                throw new RuntimeException("Không thể tạo nội dung email từ template");
+            }
+
+            sendEmail(toEmail, "Xác nhận đăng ký danh sách chờ", content);
+            log.info("Email xác nhận danh sách chờ đã được gửi thành công tới: {}", toEmail);
+        } catch (Exception e) {
+            log.error("Lỗi khi gửi email xác nhận danh sách chờ tới {}: {}", toEmail, e.getMessage(), e);
+            // Không throw exception để không ảnh hưởng đến luồng chính
+        }
+    }
+
     //send mail welcome
     @Async
     @Override
@@ -1,6 +1,7 @@
 package com.dupss.app.BE_Dupss.service.impl;
 
 import com.dupss.app.BE_Dupss.dto.request.SlotRequestDto;
+import com.dupss.app.BE_Dupss.dto.response.BulkSlotResponse;
 import com.dupss.app.BE_Dupss.dto.response.ConsultantResponse;
 import com.dupss.app.BE_Dupss.dto.response.SlotResponseDto;
 import com.dupss.app.BE_Dupss.entity.Slot;
@@ -9,17 +10,23 @@ import com.dupss.app.BE_Dupss.exception.ResourceNotFoundException;
 import com.dupss.app.BE_Dupss.respository.SlotRepository;
 import com.dupss.app.BE_Dupss.respository.UserRepository;
 import com.dupss.app.BE_Dupss.service.SlotService;
+import com.dupss.app.BE_Dupss.service.WaitlistService;
 import com.dupss.app.BE_Dupss.util.SecurityUtils;
 import lombok.RequiredArgsConstructor;
 import org.springframework.security.core.Authentication;
 import org.springframework.security.core.context.SecurityContextHolder;
 import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
 
+import java.time.DayOfWeek;
 import java.time.Duration;
 import java.time.LocalDate;
 import java.time.LocalTime;
+import java.time.format.DateTimeFormatter;
 import java.util.ArrayList;
 import java.util.List;
+import java.util.Optional;
+import java.util.Set;
 
 /**
  * Lớp triển khai các chức năng quản lý slot thời gian làm việc của tư vấn viên
@@ -29,16 +36,24 @@ import java.util.List;
 @RequiredArgsConstructor
 public class SlotServiceImpl implements SlotService {
 
+    // Độ dài slot cho phép: 30 - 120 phút, bội số của 15 phút
+    private static final int MIN_SLOT_MINUTES = 30;
+    private static final int MAX_SLOT_MINUTES = 120;
+    private static final int SLOT_MINUTE_STEP = 15;
+    private static final DateTimeFormatter DATE_FORMAT = DateTimeFormatter.ofPattern("dd/MM/yyyy");
+
     private final SlotRepository slotRepository;
+
     private final UserRepository consultantRepository;
     private final SecurityUtils securityUtils;
+    private final WaitlistService waitlistService;
 
     /**
      * Tạo slot thời gian mới cho tư vấn viên
      * 
      * @param requestDto Đối tượng chứa thông tin slot cần tạo
      * @return Thông tin slot đã được tạo
-     * @throws IllegalArgumentException nếu thời gian không hợp lệ hoặc slot đã tồn tại
+     * @throws IllegalArgumentException nếu thời gian không hợp lệ hoặc trùng với slot đã đăng ký
      */
     @Override
     public SlotResponseDto createSlot(SlotRequestDto requestDto) {
@@ -46,6 +61,75 @@ public class SlotServiceImpl implements SlotService {
         // Lấy thông tin tư vấn viên hiện tại từ context bảo mật
         User consultant = securityUtils.getCurrentUser();
 
+        return mapToResponseDto(saveSlot(consultant, requestDto));
+    }
+
+    /**
+     * Đăng ký hàng loạt slot (từ mẫu lịch hàng tuần) cho tư vấn viên hiện tại
+     *
+     * @param requests Danh sách slot cần tạo
+     * @return Số slot đã tạo và danh sách slot bị bỏ qua kèm lý do
+     * @throws IllegalArgumentException nếu số slot vượt quá giới hạn một lần đăng ký
+     */
+    @Override
+    @Transactional
+    public BulkSlotResponse createSlots(List<SlotRequestDto> requests) {
+        if (requests.size() > MAX_BULK_SLOTS) {
+            throw new IllegalArgumentException("Mỗi lần chỉ được đăng ký tối đa " + MAX_BULK_SLOTS + " slot.");
+        }
+        User consultant = securityUtils.getCurrentUser();
+
+        int created = 0;
+        List<String> skipped = new ArrayList<>();
+        for (SlotRequestDto request : requests) {
+            try {
+                saveSlot(consultant, request);
+                created++;
+            } catch (IllegalArgumentException e) {
+                skipped.add(request.getDate().format(DATE_FORMAT) + " " + request.getStartTime() + " - "
+                        + request.getEndTime() + ": " + e.getMessage());
+            }
+        }
+        return BulkSlotResponse.builder()
+                .created(created)
+                .skipped(skipped)
+                .build();
+    }
+
+    /**
+     * Xóa hàng loạt slot còn trống của tư vấn viên hiện tại
+     *
+     * @param from Ngày bắt đầu
+     * @param to Ngày kết thúc
+     * @param daysOfWeek Các ngày trong tuần cần xóa, rỗng nghĩa là mọi ngày
+     * @return Số slot đã xóa
+     */
+    @Override
+    @Transactional
+    public BulkSlotResponse deleteAvailableSlots(LocalDate from, LocalDate to, Set<DayOfWeek> daysOfWeek) {
+        if (to.isBefore(from)) {
+            throw new IllegalArgumentException("Ngày kết thúc phải sau hoặc bằng ngày bắt đầu.");
+        }
+        User consultant = securityUtils.getCurrentUser();
+        LocalDate today = LocalDate.now();
+        LocalTime now = LocalTime.now();
+
+        List<Slot> slots = slotRepository.findByConsultantAndDateBetweenAndAvailableTrue(consultant, from, to).stream()
+                .filter(slot -> daysOfWeek == null || daysOfWeek.isEmpty() || daysOfWeek.contains(slot.getDate().getDayOfWeek()))
+                // Không xóa slot đã qua để giữ lịch sử
+                .filter(slot -> slot.getDate().isAfter(today)
+                        || (slot.getDate().isEqual(today) && slot.getStartTime().isAfter(now)))
+                .toList();
+        slotRepository.deleteAll(slots);
+
+        return BulkSlotResponse.builder()
+                .removed(slots.size())
+                .skipped(List.of())
+                .build();
+    }
+
+    // Kiểm tra và lưu một slot mới, sau đó giữ ngay cho người trong danh sách chờ phù hợp (nếu có)
+    private Slot saveSlot(User consultant, SlotRequestDto requestDto) {
         LocalDate today = LocalDate.now();
         LocalTime now = LocalTime.now();
 
@@ -55,18 +139,16 @@ public class SlotServiceImpl implements SlotService {
             throw new IllegalArgumentException("Không thể đăng ký slot ở thời gian quá khứ.");
         }
 
-        // Kiểm tra thời lượng slot phải đúng 1 giờ
-        Duration duration = Duration.between(requestDto.getStartTime(), requestDto.getEndTime());
-        if (!duration.equals(Duration.ofHours(1))) {
-            throw new IllegalArgumentException("Slot phải kéo dài đúng 1 giờ.");
+        // Kiểm tra thời lượng slot
+        long minutes = Duration.between(requestDto.getStartTime(), requestDto.getEndTime()).toMinutes();
+        if (minutes < MIN_SLOT_MINUTES || minutes > MAX_SLOT_MINUTES || minutes % SLOT_MINUTE_STEP != 0) {
+            throw new IllegalArgumentException("Slot phải dài từ " + MIN_SLOT_MINUTES + " đến " + MAX_SLOT_MINUTES
+                    + " phút và là bội số của " + SLOT_MINUTE_STEP + " phút.");
         }
 
-        // Kiểm tra slot không được trùng lặp
-        boolean isExist = slotRepository.existsByConsultantAndDateAndStartTime(
-                consultant, requestDto.getDate(), requestDto.getStartTime()
-        );
-        if (isExist) {
-            throw new IllegalArgumentException("Slot này đã được đăng ký.");
+        // Kiểm tra slot không được trùng với slot đã đăng ký
+        if (slotRepository.existsOverlapping(consultant, requestDto.getDate(), requestDto.getStartTime(), requestDto.getEndTime())) {
+            throw new IllegalArgumentException("Slot này trùng với slot đã được đăng ký.");
         }
 
         // Tạo đối tượng Slot từ requestDto
@@ -77,9 +159,9 @@ public class SlotServiceImpl implements SlotService {
         slot.setConsultant(consultant);
         slot.setAvailable(true);
 
-        // Lưu vào database và chuyển đổi sang DTO để trả về
         Slot savedSlot = slotRepository.save(slot);
-        return mapToResponseDto(savedSlot);
+        waitlistService.offerSlot(savedSlot);
+        return savedSlot;
     }
 
     /**
@@ -128,6 +210,38 @@ public class SlotServiceImpl implements SlotService {
                 .toList();
     }
 
+    @Override
+    public List<SlotResponseDto> getAvailableSlotsByConsultants(List<Long> consultantIds, LocalDate from, LocalDate to) {
+        if (consultantIds == null || consultantIds.isEmpty()) {
+            return List.of();
+        }
+        LocalDate today = LocalDate.now();
+        LocalTime now = LocalTime.now();
+
+        return slotRepository.findByConsultant_IdInAndDateBetweenAndAvailableTrueOrderByDateAscStartTimeAsc(
+                        consultantIds, from.isBefore(today) ? today : from, to)
+                .stream()
+                // Giống lịch theo ngày: bỏ các slot hôm nay đã qua giờ bắt đầu
+                .filter(slot -> !slot.getDate().equals(today) || slot.getStartTime().isAfter(now))
+                .map(this::mapToResponseDto)
+                .toList();
+    }
+
+    @Override
+    public Optional<SlotResponseDto> findFirstAvailableSlot(List<Long> consultantIds) {
+        if (consultantIds == null || consultantIds.isEmpty()) {
+            return Optional.empty();
+        }
+        LocalDate today = LocalDate.now();
+
+        return slotRepository
+                .findFirstByConsultant_IdInAndDateAndStartTimeAfterAndAvailableTrueOrderByStartTimeAsc(
+                        consultantIds, today, LocalTime.now())
+                .or(() -> slotRepository.findFirstByConsultant_IdInAndDateAfterAndAvailableTrueOrderByDateAscStartTimeAsc(
+                        consultantIds, today))
+                .map(this::mapToResponseDto);
+    }
+
     /**
      * Cập nhật trạng thái khả dụng của slot
      * 
@@ -186,6 +300,7 @@ public class SlotServiceImpl implements SlotService {
         responseDto.setStartTime(slot.getStartTime());
         responseDto.setEndTime(slot.getEndTime());
         responseDto.setConsultantName(slot.getConsultant().getFullname());
+        responseDto.setConsultantId(slot.getConsultant().getId());
         return responseDto;
     }
 } 
\ No newline at end of file
@@ -9,8 +9,11 @@ import com.dupss.app.BE_Dupss.dto.response.SurveyResultResponse;
 import com.dupss.app.BE_Dupss.entity.*;
 import com.dupss.app.BE_Dupss.respository.*;
 import com.dupss.app.BE_Dupss.service.CloudinaryService;
+import com.dupss.app.BE_Dupss.service.NotificationService;
+import com.dupss.app.BE_Dupss.service.SurveyDraftService;
 import com.dupss.app.BE_Dupss.service.SurveyService;
 import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import com.dupss.app.BE_Dupss.util.SurveyScoring;
 import com.fasterxml.jackson.core.type.TypeReference;
 import com.fasterxml.jackson.databind.ObjectMapper;
 import jakarta.transaction.Transactional;
@@ -39,11 +42,14 @@ public class SurveyServiceImpl implements SurveyService {
     private final SurveyOptionRepo surveyOptionRepository;
     private final SurveySectionRepo surveySectionRepository;
     private final SurveyResultOptionRepo surveyResultOptionRepository;
+    private final SurveyResultAnswerRepo surveyResultAnswerRepository;
     private final SurveyConditionRepo surveyConditionRepo;
+    private final SurveyDraftService surveyDraftService;
     private final UserRepository userRepository;
     private final CloudinaryService cloudinaryService;
     private final ActionLogRepo actionLogRepo;
     private final SecurityUtils securityUtils;
+    private final NotificationService notificationService;
 
 
     @Override
@@ -55,6 +61,7 @@ public class SurveyServiceImpl implements SurveyService {
                 .orElseThrow(() -> new RuntimeException("User not found"));
 
         Survey savedSurvey = createAndSaveSurveyEntity(request, coverImage, author);
+        notificationService.notifyContentSubmitted("Khảo sát", savedSurvey.getTitle(), author);
         return SurveyResponse.builder()
                 .id(savedSurvey.getId())
                 .title(savedSurvey.getTitle())
@@ -81,6 +88,7 @@ public class SurveyServiceImpl implements SurveyService {
         survey.setForCourse(false);
         survey.setCreatedAt(LocalDateTime.now());
         survey.setStatus(ApprovalStatus.PENDING); // Đặt trạng thái mặc định là PENDING
+        applyQuizSettings(survey, request);
 
         if (coverImage != null && !coverImage.isEmpty()) {
             String imageUrl = cloudinaryService.uploadFile(coverImage);
@@ -88,24 +96,33 @@ public class SurveyServiceImpl implements SurveyService {
         }
 
         List<SurveySection> sectionList = new ArrayList<>();
+        List<BranchBinding> branchBindings = new ArrayList<>();
         for (SurveyCreateRequest.SurveySection sectionRequest : request.getSections()) {
+            int sectionIndex = sectionList.size();
             SurveySection section = new SurveySection();
             section.setSectionName(sectionRequest.getSectionName());
+            section.setDrawCount(resolveDrawCount(sectionRequest));
             section.setSurvey(survey);
             section.setQuestions(new ArrayList<>());
 
             for (SurveyCreateRequest.SurveySection.QuestionRequest questionRequest : sectionRequest.getQuestions()) {
                 SurveyQuestion question = new SurveyQuestion();
                 question.setQuestionText(questionRequest.getQuestionText());
+                question.setQuestionType(questionTypeOf(questionRequest));
+                question.setWeight(questionRequest.getWeight());
+                applyExplanation(question, questionRequest);
                 question.setSection(section);
                 question.setOptions(new ArrayList<>());
 
-                for (SurveyCreateRequest.SurveySection.OptionRequest optionRequest : questionRequest.getOptions()) {
+                for (SurveyCreateRequest.SurveySection.OptionRequest optionRequest : optionRequestsOf(questionRequest)) {
                     SurveyOption option = new SurveyOption();
                     option.setOptionText(optionRequest.getOptionText());
                     option.setScore(optionRequest.getScore());
+                    applyNumericBand(option, optionRequest, question);
+                    applyExplanation(option, optionRequest);
                     option.setQuestion(question);
                     question.getOptions().add(option);
+                    branchBindings.add(new BranchBinding(option, optionRequest, sectionIndex));
                 }
                 section.getQuestions().add(question);
             }
@@ -116,15 +133,18 @@ public class SurveyServiceImpl implements SurveyService {
         List<SurveyCondition> conditions = new ArrayList<>();
         for (SurveyCreateRequest.ConditionRequest conditionRequest : request.getConditions()) {
             SurveyCondition condition = new SurveyCondition();
-            condition.setOperator(conditionRequest.getOperator());
-            condition.setValue(conditionRequest.getValue());
-            condition.setMessage(conditionRequest.getMessage());
+            applyCondition(condition, conditionRequest);
             condition.setSurvey(survey);
             conditions.add(condition);
         }
         survey.setConditions(conditions);
 
-        return surveyRepository.save(survey);
+        // Section phải có ID trước khi đáp án có thể trỏ tới, nên gán luật rẽ nhánh sau lần lưu đầu
+        Survey savedSurvey = surveyRepository.save(survey);
+        if (applyBranchRules(branchBindings, sectionList)) {
+            savedSurvey = surveyRepository.save(savedSurvey);
+        }
+        return savedSurvey;
 
     }
 
@@ -173,33 +193,18 @@ public class SurveyServiceImpl implements SurveyService {
                 .orElseThrow(() -> new RuntimeException("Survey not found"));
 
 
-        List<SurveyOption> selectedOptions = surveyOptionRepository.findAllById(request.getSelectedOptionIds());
-        int userScore = selectedOptions.stream().mapToInt(SurveyOption::getScore).sum();
-
-        int totalScore = survey.getSections().stream()
-                .flatMap(section -> section.getQuestions().stream())
-                .mapToInt(question ->
-                        question.getOptions().stream()
-                                .mapToInt(SurveyOption::getScore)
-                                .max()
-                                .orElse(0) // Nếu không có option nào, coi điểm là 0
-                )
-                .sum();
-        String advice = survey.getConditions().stream()
-                .filter(c -> evaluate(userScore, c))
-                .sorted(Comparator.comparing(SurveyCondition::getValue))
-                .map(SurveyCondition::getMessage)
-                .reduce((a, b) -> b).orElse("Không có lời khuyên phù hợp");
+        ScoredSubmission scored = scoreSubmission(survey, request);
 
         SurveyResult result = new SurveyResult();
         result.setUser(user);
         result.setSurvey(survey);
-        result.setScore(userScore);
-        result.setTotalScore(totalScore);
-        result.setAdvice(advice);
+        result.setScore(scored.outcome().score());
+        result.setTotalScore(scored.outcome().maxScore());
+        result.setAdvice(scored.advice());
+        result.setRiskLevel(scored.riskLevel());
         result.setSubmittedAt(LocalDateTime.now());
 
-        List<SurveyResultOption> resultOptions = selectedOptions.stream().map(option -> {
+        List<SurveyResultOption> resultOptions = scored.selectedOptions().stream().map(option -> {
             SurveyResultOption sro = new SurveyResultOption();
             sro.setSurveyOption(option);
             sro.setSurveyResult(result);
@@ -207,10 +212,171 @@ public class SurveyServiceImpl implements SurveyService {
         }).collect(Collectors.toList());
 
         result.setSelectedOptions(resultOptions);
+        result.setAnswers(buildResultAnswers(survey, request, result).stream()
+                .filter(answer -> scored.visitedSectionIds().contains(answer.getQuestion().getSection().getId()))
+                .collect(Collectors.toList()));
 
         surveyResultRepository.save(result);
+        surveyDraftService.discardDraft(user, survey.getId());
+
+        SurveyResultResponse response = mapToSurveyResultResponse(result);
+        response.setSectionScores(toSectionScoreDTOs(scored.outcome()));
+        return response;
+    }
+
+    @Override
+    public SurveyResultResponse previewSurveyResult(SurveyResultRequest request) {
+        Survey survey = surveyRepository.findById(request.getSurveyId())
+                .orElseThrow(() -> new RuntimeException("Survey not found"));
+
+        ScoredSubmission scored = scoreSubmission(survey, request);
+        return SurveyResultResponse.builder()
+                .surveyId(survey.getId())
+                .surveyName(survey.getTitle())
+                .score(scored.outcome().score())
+                .totalScore(scored.outcome().maxScore())
+                .advice(scored.advice())
+                .riskLevel(scored.riskLevel())
+                .sectionScores(toSectionScoreDTOs(scored.outcome()))
+                .build();
+    }
+
+    // Kết quả chấm một lượt trả lời, chỉ gồm các section người dùng thực sự đi qua theo luật rẽ nhánh
+    private record ScoredSubmission(List<SurveyOption> selectedOptions,
+                                    Set<Long> visitedSectionIds,
+                                    SurveyScoring.Outcome outcome,
+                                    String advice,
+                                    RiskLevel riskLevel) {
+    }
+
+    private ScoredSubmission scoreSubmission(Survey survey, SurveyResultRequest request) {
+        List<SurveyOption> chosenOptions = resolveSelectedOptions(survey, request);
+        List<SurveySection> visitedSections = resolveVisitedSections(survey, chosenOptions);
+        Set<Long> visitedSectionIds = visitedSections.stream()
+                .map(SurveySection::getId)
+                .collect(Collectors.toSet());
+        List<SurveyOption> selectedOptions = chosenOptions.stream()
+                .filter(option -> visitedSectionIds.contains(option.getQuestion().getSection().getId()))
+                .collect(Collectors.toList());
+
+        SurveyScoring.Outcome outcome = score(visitedSections, selectedOptions);
+        Optional<SurveyScoring.Band> band = SurveyScoring.findBand(toBands(survey.getConditions()), outcome.score());
+        return new ScoredSubmission(
+                selectedOptions,
+                visitedSectionIds,
+                outcome,
+                band.map(SurveyScoring.Band::message).orElse("Không có lời khuyên phù hợp"),
+                band.map(SurveyScoring.Band::riskLevel).orElse(null));
+    }
+
+    private List<SurveyResultResponse.SectionScoreDTO> toSectionScoreDTOs(SurveyScoring.Outcome outcome) {
+        return outcome.sections().stream()
+                .map(section -> SurveyResultResponse.SectionScoreDTO.builder()
+                        .sectionName(section.sectionName())
+                        .score(section.score())
+                        .maxScore(section.maxScore())
+                        .build())
+                .collect(Collectors.toList());
+    }
+
+    @Override
+    public SurveyScoring.Outcome score(List<SurveySection> sections, Collection<SurveyOption> selectedOptions) {
+        return score(sections, selectedOptions, null);
+    }
+
+    @Override
+    public SurveyScoring.Outcome score(List<SurveySection> sections, Collection<SurveyOption> selectedOptions,
+                                       Set<Long> questionIds) {
+        Set<Long> selectedIds = selectedOptions.stream()
+                .map(SurveyOption::getId)
+                .collect(Collectors.toSet());
+        return SurveyScoring.score(sections.stream()
+                .map(section -> new SurveyScoring.SectionInput(
+                        section.getSectionName(),
+                        section.getQuestions().stream()
+                                .filter(question -> questionIds == null || questionIds.contains(question.getId()))
+                                .map(question -> new SurveyScoring.QuestionInput(
+                                        questionTypeOf(question),
+                                        question.getWeight(),
+                                        question.getOptions().stream().map(SurveyOption::getScore).toList(),
+                                        question.getOptions().stream()
+                                                .filter(option -> selectedIds.contains(option.getId()))
+                                                .map(SurveyOption::getScore)
+                                                .toList()))
+                                .toList()))
+                .toList());
+    }
+
+    private List<SurveyScoring.Band> toBands(List<SurveyCondition> conditions) {
+        return conditions.stream()
+                .map(condition -> SurveyScoring.toBand(condition.getOperator(), condition.getValue(),
+                        condition.getMaxValue(), condition.getRiskLevel(), condition.getMessage()))
+                .toList();
+    }
+
+    @Override
+    public List<String> checkScoringRules(SurveyCreateRequest request) {
+        List<String> warnings = new ArrayList<>();
+        List<SurveyScoring.Band> bands = new ArrayList<>();
+        for (SurveyCreateRequest.ConditionRequest conditionRequest : Optional.ofNullable(request.getConditions()).orElse(List.of())) {
+            if (conditionRequest.getOperator() == null || conditionRequest.getValue() == null) {
+                continue;
+            }
+            try {
+                bands.add(SurveyScoring.toBand(conditionRequest.getOperator(), conditionRequest.getValue(),
+                        conditionRequest.getMaxValue(), conditionRequest.getRiskLevel(), conditionRequest.getMessage()));
+            } catch (IllegalArgumentException e) {
+                warnings.add(e.getMessage());
+            }
+        }
+
+        SurveyScoring.Outcome outcome = SurveyScoring.score(Optional.ofNullable(request.getSections()).orElse(List.of()).stream()
+                .map(section -> new SurveyScoring.SectionInput(
+                        section.getSectionName(),
+                        Optional.ofNullable(section.getQuestions()).orElse(List.of()).stream()
+                                .map(question -> new SurveyScoring.QuestionInput(
+                                        questionTypeOf(question),
+                                        question.getWeight(),
+                                        optionRequestsOf(question).stream()
+                                                .map(option -> option.getScore() != null ? option.getScore() : 0)
+                                                .toList(),
+                                        List.of()))
+                                .toList()))
+                .toList());
+        warnings.addAll(SurveyScoring.checkBands(bands, outcome.minScore(), outcome.maxScore()));
+        return warnings;
+    }
+
+    private void applyQuizSettings(Survey survey, SurveyCreateRequest request) {
+        survey.setTimeLimitMinutes(request.getTimeLimitMinutes());
+        survey.setMaxAttempts(request.getMaxAttempts());
+        survey.setAttemptCooldownMinutes(request.getAttemptCooldownMinutes());
+        survey.setShuffleOptions(request.getShuffleOptions());
+    }
+
+    // Số câu rút ngẫu nhiên không được vượt quá số câu hỏi trong ngân hàng của section
+    private Integer resolveDrawCount(SurveyCreateRequest.SurveySection sectionRequest) {
+        Integer drawCount = sectionRequest.getDrawCount();
+        if (drawCount == null) {
+            return null;
+        }
+        int questionCount = Optional.ofNullable(sectionRequest.getQuestions()).map(List::size).orElse(0);
+        if (drawCount < 1 || drawCount > questionCount) {
+            throw new RuntimeException("Phần \"" + sectionRequest.getSectionName() + "\" chỉ có " + questionCount
+                    + " câu hỏi, không thể rút " + drawCount + " câu");
+        }
+        return drawCount;
+    }
 
-        return mapToSurveyResultResponse(result);
+    // Gán dữ liệu điều kiện từ request, từ chối toán tử hoặc khoảng điểm không hợp lệ
+    private void applyCondition(SurveyCondition condition, SurveyCreateRequest.ConditionRequest conditionRequest) {
+        SurveyScoring.toBand(conditionRequest.getOperator(), conditionRequest.getValue(),
+                conditionRequest.getMaxValue(), conditionRequest.getRiskLevel(), conditionRequest.getMessage());
+        condition.setOperator(conditionRequest.getOperator());
+        condition.setValue(conditionRequest.getValue());
+        condition.setMaxValue(SurveyScoring.RANGE.equals(conditionRequest.getOperator()) ? conditionRequest.getMaxValue() : null);
+        condition.setRiskLevel(conditionRequest.getRiskLevel());
+        condition.setMessage(conditionRequest.getMessage());
     }
 
     @Override
@@ -230,24 +396,25 @@ public class SurveyServiceImpl implements SurveyService {
     private SurveyResultResponse mapToSurveyResultResponse(SurveyResult result) {
 
         return SurveyResultResponse.builder()
+                .surveyId(result.getSurvey().getId())
                 .surveyName(result.getSurvey().getTitle())
+                .forCourse(result.getSurvey().isForCourse())
                 .totalScore(result.getTotalScore())
                 .score(result.getScore())
                 .advice(result.getAdvice())
+                .riskLevel(result.getRiskLevel())
                 .submittedAt(result.getSubmittedAt())
                 .build();
     }
 
     @Override
     public boolean evaluate(int score, SurveyCondition condition) {
-        return switch (condition.getOperator()) {
-            case "=" -> score == condition.getValue();
-            case ">" -> score > condition.getValue();
-            case "<" -> score < condition.getValue();
-            case ">=" -> score >= condition.getValue();
-            case "<=" -> score <= condition.getValue();
-            default -> false;
-        };
+        try {
+            return SurveyScoring.toBand(condition.getOperator(), condition.getValue(), condition.getMaxValue(),
+                    condition.getRiskLevel(), condition.getMessage()).contains(score);
+        } catch (IllegalArgumentException e) {
+            return false;
+        }
     }
 
     @Override
@@ -262,6 +429,7 @@ public class SurveyServiceImpl implements SurveyService {
         }
 //        survey.setCheckedBy(currentUser);
         surveyRepository.save(survey);
+        notificationService.notifyContentReviewed("Khảo sát", survey.getTitle(), survey.getCreatedBy(), status);
     }
 
     @Override
@@ -280,6 +448,7 @@ public class SurveyServiceImpl implements SurveyService {
         if (request.getDescription() != null) {
             survey.setDescription(request.getDescription());
         }
+        applyQuizSettings(survey, request);
         if (coverImage != null && !coverImage.isEmpty()) {
             String imageUrl = cloudinaryService.uploadFile(coverImage);
             survey.setSurveyImage(imageUrl);
@@ -290,6 +459,17 @@ public class SurveyServiceImpl implements SurveyService {
                 .map(SurveyCreateRequest.SurveySection::getSectionId)
                 .collect(Collectors.toList());
 
+        // Gỡ các luật rẽ nhánh trỏ tới section sắp bị xóa để tránh lỗi khóa ngoại khi flush
+        survey.getSections().stream()
+                .flatMap(section -> section.getQuestions().stream())
+                .flatMap(question -> question.getOptions().stream())
+                .filter(option -> option.getTargetSection() != null
+                        && !sectionIdsFromRequest.contains(option.getTargetSection().getId()))
+                .forEach(option -> {
+                    option.setBranchAction(BranchAction.NEXT_SECTION);
+                    option.setTargetSection(null);
+                });
+
         survey.getSections().removeIf(existingSection -> {
             boolean shouldRemove = !sectionIdsFromRequest.contains(existingSection.getId());
             if (shouldRemove) {
@@ -298,6 +478,7 @@ public class SurveyServiceImpl implements SurveyService {
                     for (SurveyOption option : question.getOptions()) {
                         deleteSurveyOptionWithResults(option);
                     }
+                    surveyResultAnswerRepository.deleteByQuestion(question);
                 }
             }
             return shouldRemove;
@@ -305,8 +486,11 @@ public class SurveyServiceImpl implements SurveyService {
 
 
         // Cập nhật các section
+        List<SurveySection> requestSections = new ArrayList<>();
+        List<BranchBinding> branchBindings = new ArrayList<>();
         if (request.getSections() != null) {
             for (SurveyCreateRequest.SurveySection sectionReq : request.getSections()) {
+                int sectionIndex = requestSections.size();
                 SurveySection section;
 
                 if (sectionReq.getSectionId() != null) {
@@ -319,6 +503,8 @@ public class SurveyServiceImpl implements SurveyService {
                 }
 
                 section.setSectionName(sectionReq.getSectionName());
+                section.setDrawCount(resolveDrawCount(sectionReq));
+                requestSections.add(section);
 
                 // QUESTION: xử lý xóa câu hỏi cũ
                 List<Long> questionIdsFromRequest = sectionReq.getQuestions().stream()
@@ -333,6 +519,7 @@ public class SurveyServiceImpl implements SurveyService {
                         for (SurveyOption option : existingQ.getOptions()) {
                             deleteSurveyOptionWithResults(option);
                         }
+                        surveyResultAnswerRepository.deleteByQuestion(existingQ);
                     }
                     return shouldRemove;
                 });
@@ -351,9 +538,12 @@ public class SurveyServiceImpl implements SurveyService {
                     }
 
                     question.setQuestionText(questionReq.getQuestionText());
+                    question.setQuestionType(questionTypeOf(questionReq));
+                    question.setWeight(questionReq.getWeight());
+                    applyExplanation(question, questionReq);
 
                     // OPTION: xử lý xóa option cũ
-                    List<Long> optionIdsFromRequest = questionReq.getOptions().stream()
+                    List<Long> optionIdsFromRequest = optionRequestsOf(questionReq).stream()
                             .filter(o -> o.getOptionId() != null)
                             .map(SurveyCreateRequest.SurveySection.OptionRequest::getOptionId)
                             .collect(Collectors.toList());
@@ -373,7 +563,7 @@ public class SurveyServiceImpl implements SurveyService {
                     });
 
                     // update/add option
-                    for (SurveyCreateRequest.SurveySection.OptionRequest optionReq : questionReq.getOptions()) {
+                    for (SurveyCreateRequest.SurveySection.OptionRequest optionReq : optionRequestsOf(questionReq)) {
                         SurveyOption option;
 
                         if (optionReq.getOptionId() != null) {
@@ -387,6 +577,9 @@ public class SurveyServiceImpl implements SurveyService {
 
                         option.setOptionText(optionReq.getOptionText());
                         option.setScore(optionReq.getScore());
+                        applyNumericBand(option, optionReq, question);
+                        applyExplanation(option, optionReq);
+                        branchBindings.add(new BranchBinding(option, optionReq, sectionIndex));
                     }
                 }
             }
@@ -416,13 +609,234 @@ public class SurveyServiceImpl implements SurveyService {
                     survey.getConditions().add(condition);
                 }
 
-                condition.setOperator(conditionReq.getOperator());
-                condition.setValue(conditionReq.getValue());
-                condition.setMessage(conditionReq.getMessage());
+                applyCondition(condition, conditionReq);
             }
         }
+        // Flush để section mới có ID trước khi gán làm đích rẽ nhánh
+        surveyRepository.saveAndFlush(survey);
+        applyBranchRules(branchBindings, requestSections);
+
         survey.setStatus(ApprovalStatus.PENDING);
         surveyRepository.save(survey);
+        // Bài quiz của khóa học được duyệt cùng khóa học
+        if (!survey.isForCourse()) {
+            notificationService.notifyContentSubmitted("Khảo sát", survey.getTitle(), currentUser);
+        }
+    }
+
+    private QuestionType questionTypeOf(SurveyCreateRequest.SurveySection.QuestionRequest questionRequest) {
+        return questionRequest.getQuestionType() != null ? questionRequest.getQuestionType() : QuestionType.SINGLE_CHOICE;
+    }
+
+    private QuestionType questionTypeOf(SurveyQuestion question) {
+        return question.getQuestionType() != null ? question.getQuestionType() : QuestionType.SINGLE_CHOICE;
+    }
+
+    // Câu hỏi trả lời tự do không có đáp án
+    private List<SurveyCreateRequest.SurveySection.OptionRequest> optionRequestsOf(
+            SurveyCreateRequest.SurveySection.QuestionRequest questionRequest) {
+        if (questionTypeOf(questionRequest) == QuestionType.FREE_TEXT || questionRequest.getOptions() == null) {
+            return List.of();
+        }
+        return questionRequest.getOptions();
+    }
+
+    private void applyNumericBand(SurveyOption option, SurveyCreateRequest.SurveySection.OptionRequest optionRequest,
+                                  SurveyQuestion question) {
+        if (questionTypeOf(question) != QuestionType.NUMERIC) {
+            option.setMinValue(null);
+            option.setMaxValue(null);
+            return;
+        }
+        if (optionRequest.getMinValue() == null || optionRequest.getMaxValue() == null
+                || optionRequest.getMinValue() > optionRequest.getMaxValue()) {
+            throw new RuntimeException("Khoảng giá trị của \"" + optionRequest.getOptionText()
+                    + "\" trong câu hỏi \"" + question.getQuestionText() + "\" không hợp lệ");
+        }
+        option.setMinValue(optionRequest.getMinValue());
+        option.setMaxValue(optionRequest.getMaxValue());
+    }
+
+    private void applyExplanation(SurveyQuestion question, SurveyCreateRequest.SurveySection.QuestionRequest request) {
+        SurveyCreateRequest.SurveySection.LessonReference reference = request.getReference();
+        question.setExplanation(StringUtils.hasText(request.getExplanation()) ? request.getExplanation().trim() : null);
+        question.setReferenceModuleId(reference != null ? reference.getModuleId() : null);
+        question.setReferenceVideoId(reference != null ? reference.getVideoId() : null);
+    }
+
+    private void applyExplanation(SurveyOption option, SurveyCreateRequest.SurveySection.OptionRequest request) {
+        SurveyCreateRequest.SurveySection.LessonReference reference = request.getReference();
+        option.setExplanation(StringUtils.hasText(request.getExplanation()) ? request.getExplanation().trim() : null);
+        option.setReferenceModuleId(reference != null ? reference.getModuleId() : null);
+        option.setReferenceVideoId(reference != null ? reference.getVideoId() : null);
+    }
+
+    private Map<Long, SurveyQuestion> indexQuestions(Survey survey) {
+        Map<Long, SurveyQuestion> questionsById = new HashMap<>();
+        survey.getSections().stream()
+                .flatMap(section -> section.getQuestions().stream())
+                .forEach(question -> questionsById.put(question.getId(), question));
+        return questionsById;
+    }
+
+    /**
+     * Xác định các đáp án được tính điểm theo loại câu hỏi: nhiều đáp án với MULTIPLE_CHOICE,
+     * một đáp án với SINGLE_CHOICE/LIKERT, và khoảng chứa giá trị nhập với NUMERIC.
+     */
+    @Override
+    public List<SurveyOption> resolveSelectedOptions(Survey survey, SurveyResultRequest request) {
+        Map<Long, SurveyQuestion> questionsById = indexQuestions(survey);
+        List<Long> optionIds = request.getSelectedOptionIds() != null ? request.getSelectedOptionIds() : List.of();
+        List<SurveyResultRequest.AnswerRequest> answers = request.getAnswers() != null ? request.getAnswers() : List.of();
+
+        Map<Long, List<SurveyOption>> optionsByQuestion = new LinkedHashMap<>();
+        for (SurveyOption option : surveyOptionRepository.findAllById(optionIds)) {
+            if (!questionsById.containsKey(option.getQuestion().getId())) {
+                throw new RuntimeException("Đáp án không thuộc khảo sát này");
+            }
+            optionsByQuestion.computeIfAbsent(option.getQuestion().getId(), id -> new ArrayList<>()).add(option);
+        }
+
+        List<SurveyOption> selected = new ArrayList<>();
+        optionsByQuestion.forEach((questionId, options) -> {
+            switch (questionTypeOf(questionsById.get(questionId))) {
+                case MULTIPLE_CHOICE -> selected.addAll(options);
+                case SINGLE_CHOICE, LIKERT -> selected.add(options.get(0));
+                default -> {
+                    // NUMERIC được chấm theo giá trị nhập, FREE_TEXT không tính điểm
+                }
+            }
+        });
+
+        for (SurveyResultRequest.AnswerRequest answer : answers) {
+            SurveyQuestion question = questionsById.get(answer.getQuestionId());
+            if (question != null && questionTypeOf(question) == QuestionType.NUMERIC && answer.getNumericValue() != null) {
+                selected.add(findNumericBand(question, answer.getNumericValue()));
+            }
+        }
+
+        if (selected.isEmpty() && answers.isEmpty()) {
+            throw new RuntimeException("Bạn chưa trả lời câu hỏi nào");
+        }
+        return selected;
+    }
+
+    private SurveyOption findNumericBand(SurveyQuestion question, double value) {
+        return question.getOptions().stream()
+                .filter(option -> option.getMinValue() != null && option.getMaxValue() != null)
+                .filter(option -> value >= option.getMinValue() && value <= option.getMaxValue())
+                .findFirst()
+                .orElseThrow(() -> new RuntimeException("Giá trị " + value + " của câu hỏi \""
+                        + question.getQuestionText() + "\" nằm ngoài các khoảng cho phép"));
+    }
+
+    @Override
+    public List<SurveyResultAnswer> buildResultAnswers(Survey survey, SurveyResultRequest request, SurveyResult result) {
+        if (request.getAnswers() == null) {
+            return new ArrayList<>();
+        }
+        Map<Long, SurveyQuestion> questionsById = indexQuestions(survey);
+
+        List<SurveyResultAnswer> answers = new ArrayList<>();
+        for (SurveyResultRequest.AnswerRequest answerRequest : request.getAnswers()) {
+            SurveyQuestion question = questionsById.get(answerRequest.getQuestionId());
+            if (question == null) {
+                throw new RuntimeException("Câu hỏi không thuộc khảo sát này");
+            }
+
+            SurveyResultAnswer answer = new SurveyResultAnswer();
+            answer.setSurveyResult(result);
+            answer.setQuestion(question);
+            QuestionType type = questionTypeOf(question);
+            if (type == QuestionType.NUMERIC && answerRequest.getNumericValue() != null) {
+                answer.setNumericValue(answerRequest.getNumericValue());
+            } else if (type == QuestionType.FREE_TEXT && StringUtils.hasText(answerRequest.getTextValue())) {
+                answer.setTextValue(answerRequest.getTextValue().trim());
+            } else {
+                continue;
+            }
+            answers.add(answer);
+        }
+        return answers;
+    }
+
+    // Liên kết giữa đáp án đã dựng và request tương ứng, kèm vị trí section chứa đáp án
+    private record BranchBinding(SurveyOption option,
+                                 SurveyCreateRequest.SurveySection.OptionRequest request,
+                                 int sectionIndex) {
+    }
+
+    /**
+     * Gán luật rẽ nhánh cho từng đáp án. Đích chỉ được là section nằm sau section hiện tại
+     * để khảo sát không bao giờ quay vòng.
+     *
+     * @return true nếu có ít nhất một đáp án không đi theo thứ tự mặc định
+     */
+    private boolean applyBranchRules(List<BranchBinding> bindings, List<SurveySection> sectionsInRequestOrder) {
+        boolean hasBranch = false;
+        for (BranchBinding binding : bindings) {
+            BranchAction action = binding.request().getBranchAction() != null
+                    ? binding.request().getBranchAction()
+                    : BranchAction.NEXT_SECTION;
+            SurveySection target = null;
+
+            if (action == BranchAction.GO_TO_SECTION) {
+                Integer targetIndex = binding.request().getTargetSectionIndex();
+                if (targetIndex == null || targetIndex <= binding.sectionIndex()
+                        || targetIndex >= sectionsInRequestOrder.size()) {
+                    throw new RuntimeException("Đáp án \"" + binding.request().getOptionText()
+                            + "\" chỉ có thể chuyển tới một phần phía sau trong khảo sát");
+                }
+                target = sectionsInRequestOrder.get(targetIndex);
+            }
+
+            binding.option().setBranchAction(action);
+            binding.option().setTargetSection(target);
+            hasBranch |= action != BranchAction.NEXT_SECTION;
+        }
+        return hasBranch;
+    }
+
+    /**
+     * Dựng lại đường đi của người dùng qua các section từ những đáp án đã chọn.
+     * Trong mỗi section, đáp án đầu tiên (theo thứ tự câu hỏi và đáp án) mang luật rẽ nhánh sẽ quyết định section kế tiếp.
+     */
+    private List<SurveySection> resolveVisitedSections(Survey survey, List<SurveyOption> selectedOptions) {
+        List<SurveySection> sections = survey.getSections();
+        Set<Long> selectedIds = selectedOptions.stream()
+                .map(SurveyOption::getId)
+                .collect(Collectors.toSet());
+
+        List<SurveySection> visited = new ArrayList<>();
+        int index = 0;
+        while (index < sections.size()) {
+            SurveySection section = sections.get(index);
+            visited.add(section);
+            int nextIndex = index + 1;
+
+            SurveyOption chosen = section.getQuestions().stream()
+                    .flatMap(question -> question.getOptions().stream())
+                    .filter(option -> selectedIds.contains(option.getId()))
+                    .filter(option -> option.getBranchAction() != null
+                            && option.getBranchAction() != BranchAction.NEXT_SECTION)
+                    .findFirst()
+                    .orElse(null);
+            if (chosen != null) {
+                if (chosen.getBranchAction() == BranchAction.END_SURVEY) {
+                    nextIndex = sections.size();
+                } else if (chosen.getTargetSection() != null) {
+                    Long targetId = chosen.getTargetSection().getId();
+                    for (int i = index + 1; i < sections.size(); i++) {
+                        if (Objects.equals(sections.get(i).getId(), targetId)) {
+                            nextIndex = i;
+                            break;
+                        }
+                    }
+                }
+            }
+            index = nextIndex;
+        }
+        return visited;
     }
 
 //    @Transactional
@@ -563,26 +977,12 @@ public class SurveyServiceImpl implements SurveyService {
                                 .id(section.getId())
                                 .sectionName(section.getSectionName())
                                 .questions(section.getQuestions().stream()
-                                        .map(question -> SurveyResponse.SurveyQuestionDTO.builder()
-                                                .id(question.getId())
-                                                .questionText(question.getQuestionText())
-                                                .options(question.getOptions().stream()
-                                                        .map(option -> SurveyResponse.SurveyOptionDTO.builder()
-                                                                .id(option.getId())
-                                                                .optionText(option.getOptionText())
-                                                                .score(option.getScore())
-                                                                .build())
-                                                        .collect(Collectors.toList()))
-                                                .build())
+                                        .map(SurveyResponse.SurveyQuestionDTO::fromEntity)
                                         .collect(Collectors.toList()))
                                 .build())
                         .collect(Collectors.toList()))
                 .conditions(survey.getConditions().stream()
-                        .map(condition -> SurveyResponse.SurveyConditionDTO.builder()
-                                .operator(condition.getOperator())
-                                .value(condition.getValue())
-                                .message(condition.getMessage())
-                                .build())
+                        .map(SurveyResponse.SurveyConditionDTO::fromEntity)
                         .collect(Collectors.toList()))
                 .build();
     }
@@ -7,11 +7,15 @@ import com.dupss.app.BE_Dupss.dto.response.ConsultantResponse;
 import com.dupss.app.BE_Dupss.dto.response.RegisterResponse;
 import com.dupss.app.BE_Dupss.dto.response.UpdateUserResponse;
 import com.dupss.app.BE_Dupss.dto.response.UserDetailResponse;
+import com.dupss.app.BE_Dupss.entity.AcademicTitle;
 import com.dupss.app.BE_Dupss.entity.Consultant;
 import com.dupss.app.BE_Dupss.entity.ERole;
 import com.dupss.app.BE_Dupss.entity.Slot;
+import com.dupss.app.BE_Dupss.entity.Topic;
 import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.respository.AppointmentRepository;
 import com.dupss.app.BE_Dupss.respository.SlotRepository;
+import com.dupss.app.BE_Dupss.respository.TopicRepo;
 import com.dupss.app.BE_Dupss.respository.UserRepository;
 import com.dupss.app.BE_Dupss.service.CloudinaryService;
 import com.dupss.app.BE_Dupss.service.EmailService;
@@ -32,7 +36,9 @@ import java.io.UnsupportedEncodingException;
 import java.time.LocalDate;
 import java.util.ArrayList;
 import java.util.List;
+import java.util.Map;
 import java.util.Optional;
+import java.util.function.Function;
 import java.util.stream.Collectors;
 
 @Service
@@ -55,6 +61,8 @@ public class UserServiceImpl implements UserService {
     private final CloudinaryService cloudinaryService;
     private final JwtService jwtService;
     private final SlotRepository slotRepository;
+    private final TopicRepo topicRepository;
+    private final AppointmentRepository appointmentRepository;
 
     @Override
     public void createAdminUserIfNotExists() {
@@ -183,6 +191,7 @@ public class UserServiceImpl implements UserService {
                             .bio(consultant != null ? consultant.getBio() : null)
                             .certificates(consultant != null ? consultant.getCertificates() : null)
                             .academicTitle(consultant != null ? consultant.getAcademicTitle() : null)
+                            .topicIds(consultant != null ? topicIdsOf(consultant) : null)
                             .role(user.getRole().name())
                             .build();
                 })
@@ -240,7 +249,15 @@ public class UserServiceImpl implements UserService {
             if (request.getAcademicTitle() != null) {
                 consultant.setAcademicTitle(request.getAcademicTitle());
             }
-        } else if (request.getBio() != null || request.getCertificates() != null || request.getAcademicTitle() != null) {
+            if (request.getTopicIds() != null) {
+                List<Topic> topics = topicRepository.findAllById(request.getTopicIds());
+                if (topics.size() != request.getTopicIds().stream().distinct().count()) {
+                    throw new RuntimeException("Chủ đề không tồn tại");
+                }
+                consultant.setTopics(new ArrayList<>(topics));
+            }
+        } else if (request.getBio() != null || request.getCertificates() != null || request.getAcademicTitle() != null
+                || request.getTopicIds() != null) {
             throw new RuntimeException("Bạn không có quyền thay đổi thông tin này");
         }
 
@@ -268,6 +285,7 @@ public class UserServiceImpl implements UserService {
                 .bio(consultant != null ? consultant.getBio() : null)
                 .certificates(consultant != null ? consultant.getCertificates() : null)
                 .academicTitle(consultant != null ? consultant.getAcademicTitle() : null)
+                .topicIds(consultant != null ? topicIdsOf(consultant) : null)
                 .role(updatedUser.getRole())
                 .message("Cập nhật người dùng thành công")
                 .build();
@@ -275,10 +293,29 @@ public class UserServiceImpl implements UserService {
 
     @Override
     public List<ConsultantResponse> getAllConsultants() {
+        return searchConsultants(null, null, null);
+    }
+
+    @Override
+    public List<ConsultantResponse> searchConsultants(Long topicId, AcademicTitle academicTitle, Double minRating) {
         List<User> consultants = userRepository.findByRoleAndEnabled(ERole.ROLE_CONSULTANT, true);
+        Map<Long, AppointmentRepository.ConsultantRating> ratings = appointmentRepository.findConsultantRatings().stream()
+                .collect(Collectors.toMap(AppointmentRepository.ConsultantRating::getConsultantId, Function.identity()));
         List<ConsultantResponse> result = new ArrayList<>();
 
         for (User consultant : consultants) {
+            Consultant profile = consultant.getConsultantProfile();
+            AppointmentRepository.ConsultantRating rating = ratings.get(consultant.getId());
+            if (topicId != null && !topicIdsOf(profile).contains(topicId)) {
+                continue;
+            }
+            if (academicTitle != null && academicTitle != profile.getAcademicTitle()) {
+                continue;
+            }
+            if (minRating != null && (rating == null || rating.getAverageScore() < minRating)) {
+                continue;
+            }
+
             ConsultantResponse dto = new ConsultantResponse();
             String consultantName = "";
             dto.setId(consultant.getId());
@@ -292,9 +329,20 @@ public class UserServiceImpl implements UserService {
                 consultantName = consultant.getFullname();
             }
             dto.setConsultantName(consultantName);
+            dto.setAcademicTitle(profile.getAcademicTitle());
+            dto.setTopicIds(topicIdsOf(profile));
+            dto.setTopicNames(profile.getTopics().stream().map(Topic::getName).toList());
+            if (rating != null) {
+                dto.setAverageRating(Math.round(rating.getAverageScore() * 10) / 10.0);
+                dto.setReviewCount(rating.getReviewCount());
+            }
             result.add(dto);
         }
         return result;
     }
 
+    private List<Long> topicIdsOf(Consultant consultant) {
+        return consultant.getTopics().stream().map(Topic::getId).toList();
+    }
+
 }
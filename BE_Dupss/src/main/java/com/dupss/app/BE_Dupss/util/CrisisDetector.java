@@ -0,0 +1,91 @@
+package com.dupss.app.BE_Dupss.util;
+
+import org.springframework.stereotype.Component;
+
+import java.text.Normalizer;
+import java.util.List;
+import java.util.Locale;
+import java.util.Optional;
+import java.util.Set;
+
+/**
+ * Nhận diện tin nhắn có dấu hiệu khủng hoảng (quá liều, tự hại, tái nghiện) để chatbot
+ * hiển thị đường dây nóng và gợi ý đặt lịch với chuyên viên.
+ * Kết quả được gửi cho frontend qua sự kiện "risk" của luồng trả lời (xem ChatService.streamChat).
+ */
+@Component
+public class CrisisDetector {
+
+    public enum Category {
+        OVERDOSE("Quá liều / ngộ độc"),
+        SELF_HARM("Ý nghĩ tự hại"),
+        RELAPSE("Nguy cơ tái nghiện");
+
+        private final String label;
+
+        Category(String label) {
+            this.label = label;
+        }
+
+        public String getLabel() {
+            return label;
+        }
+    }
+
+    private record Rule(Category category, List<String> keywords) {}
+
+    // Thứ tự ưu tiên: tự hại và quá liều được xét trước tái nghiện.
+    // Chỉ dùng cụm từ cụ thể: "tái sử dụng", "thèm thuốc" (thuốc lá), "ngộ độc" (thực phẩm) hay "mệt muốn chết" là câu thường ngày
+    private static final List<Rule> RULES = List.of(
+            new Rule(Category.SELF_HARM, List.of(
+                    "tự tử", "tự sát", "không muốn sống", "chán sống", "kết liễu bản thân", "kết liễu cuộc đời",
+                    "tự hại", "tự làm hại bản thân", "rạch tay", "nhảy lầu", "suicide", "kill myself", "self harm")),
+            new Rule(Category.OVERDOSE, List.of(
+                    "quá liều", "sốc thuốc", "sốc ma túy", "ngộ độc ma túy", "ngộ độc thuốc", "bất tỉnh", "co giật",
+                    "sùi bọt mép", "overdose")),
+            new Rule(Category.RELAPSE, List.of(
+                    "tái nghiện", "dùng lại ma túy", "sử dụng lại ma túy", "thèm ma túy", "không cai được", "relapse"))
+    );
+
+    // Các cụm từ khi bỏ dấu sẽ trùng với từ thông dụng ("tự tử" và "từ từ", "tự sát" và "tủ sắt", "co giật" và "có giật")
+    // nên chỉ so khớp có dấu
+    private static final Set<String> ACCENT_ONLY = Set.of("tự tử", "tự sát", "chán sống", "nhảy lầu", "co giật");
+
+    public Optional<Category> detect(String text) {
+        if (text == null || text.isBlank()) {
+            return Optional.empty();
+        }
+        String lower = Normalizer.normalize(text, Normalizer.Form.NFC).toLowerCase(Locale.ROOT);
+        String unaccented = removeAccents(lower);
+
+        for (Rule rule : RULES) {
+            for (String keyword : rule.keywords()) {
+                boolean matched = containsPhrase(lower, keyword)
+                        || (!ACCENT_ONLY.contains(keyword) && containsPhrase(unaccented, removeAccents(keyword)));
+                if (matched) {
+                    return Optional.of(rule.category());
+                }
+            }
+        }
+        return Optional.empty();
+    }
+
+    // Chỉ khớp trọn từ, để "relapse" không khớp trong từ dài hơn và cụm từ không bị cắt giữa âm tiết
+    private boolean containsPhrase(String text, String phrase) {
+        for (int start = text.indexOf(phrase); start >= 0; start = text.indexOf(phrase, start + 1)) {
+            int end = start + phrase.length();
+            boolean wordStart = start == 0 || !Character.isLetterOrDigit(text.charAt(start - 1));
+            boolean wordEnd = end == text.length() || !Character.isLetterOrDigit(text.charAt(end));
+            if (wordStart && wordEnd) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    private String removeAccents(String text) {
+        return Normalizer.normalize(text, Normalizer.Form.NFD)
+                .replaceAll("\\p{M}", "")
+                .replace('đ', 'd');
+    }
+}
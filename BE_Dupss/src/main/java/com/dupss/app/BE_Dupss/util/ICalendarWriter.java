@@ -0,0 +1,119 @@
+package com.dupss.app.BE_Dupss.util;
+
+import java.nio.charset.StandardCharsets;
+import java.time.Instant;
+import java.time.LocalDateTime;
+import java.time.ZoneOffset;
+import java.time.format.DateTimeFormatter;
+import java.util.List;
+
+/**
+ * Sinh nội dung iCalendar (RFC 5545) cho file .ics và feed lịch.
+ * Giờ hẹn trong hệ thống là giờ Việt Nam nên mọi sự kiện được ghi theo TZID Asia/Ho_Chi_Minh (UTC+7, không có giờ mùa hè).
+ */
+public final class ICalendarWriter {
+
+    public static final String TIME_ZONE = "Asia/Ho_Chi_Minh";
+
+    private static final String PRODUCT_ID = "-//DUPSS//Appointments//VI";
+    private static final String CRLF = "\r\n";
+    // Mỗi dòng tối đa 75 octet, dòng dài hơn được gấp lại bằng CRLF + khoảng trắng
+    private static final int MAX_LINE_OCTETS = 75;
+    private static final DateTimeFormatter LOCAL_FORMAT = DateTimeFormatter.ofPattern("yyyyMMdd'T'HHmmss");
+    private static final DateTimeFormatter UTC_FORMAT = DateTimeFormatter.ofPattern("yyyyMMdd'T'HHmmss'Z'")
+            .withZone(ZoneOffset.UTC);
+
+    private ICalendarWriter() {
+    }
+
+    /**
+     * Một sự kiện trong lịch
+     *
+     * @param uid      định danh cố định của sự kiện, giữ nguyên khi đổi lịch/hủy để ứng dụng lịch cập nhật đúng sự kiện
+     * @param sequence tăng mỗi lần sự kiện thay đổi (đổi lịch, hủy)
+     * @param status   CONFIRMED, TENTATIVE hoặc CANCELLED
+     */
+    public record Event(String uid, LocalDateTime start, LocalDateTime end, String summary, String description,
+                        String url, String status, int sequence) {
+    }
+
+    public static String write(String calendarName, List<Event> events) {
+        return write(calendarName, events, Instant.now());
+    }
+
+    static String write(String calendarName, List<Event> events, Instant stamp) {
+        StringBuilder builder = new StringBuilder();
+        appendLine(builder, "BEGIN:VCALENDAR");
+        appendLine(builder, "VERSION:2.0");
+        appendLine(builder, "PRODID:" + PRODUCT_ID);
+        appendLine(builder, "CALSCALE:GREGORIAN");
+        appendLine(builder, "METHOD:PUBLISH");
+        appendLine(builder, "X-WR-CALNAME:" + escape(calendarName));
+        appendLine(builder, "X-WR-TIMEZONE:" + TIME_ZONE);
+
+        appendLine(builder, "BEGIN:VTIMEZONE");
+        appendLine(builder, "TZID:" + TIME_ZONE);
+        appendLine(builder, "BEGIN:STANDARD");
+        appendLine(builder, "DTSTART:19700101T000000");
+        appendLine(builder, "TZOFFSETFROM:+0700");
+        appendLine(builder, "TZOFFSETTO:+0700");
+        appendLine(builder, "TZNAME:ICT");
+        appendLine(builder, "END:STANDARD");
+        appendLine(builder, "END:VTIMEZONE");
+
+        String dtStamp = UTC_FORMAT.format(stamp);
+        for (Event event : events) {
+            appendLine(builder, "BEGIN:VEVENT");
+            appendLine(builder, "UID:" + event.uid());
+            appendLine(builder, "DTSTAMP:" + dtStamp);
+            appendLine(builder, "DTSTART;TZID=" + TIME_ZONE + ":" + LOCAL_FORMAT.format(event.start()));
+            appendLine(builder, "DTEND;TZID=" + TIME_ZONE + ":" + LOCAL_FORMAT.format(event.end()));
+            appendLine(builder, "SEQUENCE:" + event.sequence());
+            appendLine(builder, "STATUS:" + event.status());
+            appendLine(builder, "SUMMARY:" + escape(event.summary()));
+            if (event.description() != null) {
+                appendLine(builder, "DESCRIPTION:" + escape(event.description()));
+            }
+            if (event.url() != null) {
+                appendLine(builder, "URL:" + event.url());
+            }
+            appendLine(builder, "END:VEVENT");
+        }
+
+        appendLine(builder, "END:VCALENDAR");
+        return builder.toString();
+    }
+
+    // Thoát các ký tự đặc biệt trong giá trị TEXT: \ ; , và xuống dòng
+    static String escape(String value) {
+        if (value == null) {
+            return "";
+        }
+        return value.replace("\\", "\\\\")
+                .replace(";", "\\;")
+                .replace(",", "\\,")
+                .replace("\r\n", "\\n")
+                .replace("\n", "\\n");
+    }
+
+    // Gấp dòng theo số octet UTF-8, không cắt giữa một ký tự nhiều byte (tiếng Việt)
+    static void appendLine(StringBuilder builder, String line) {
+        int octets = 0;
+        int limit = MAX_LINE_OCTETS;
+        for (int i = 0; i < line.length(); ) {
+            int codePoint = line.codePointAt(i);
+            int charCount = Character.charCount(codePoint);
+            int size = new String(Character.toChars(codePoint)).getBytes(StandardCharsets.UTF_8).length;
+            if (octets + size > limit) {
+                builder.append(CRLF).append(' ');
+                octets = 0;
+                // Dòng tiếp theo đã có 1 octet khoảng trắng ở đầu
+                limit = MAX_LINE_OCTETS - 1;
+            }
+            builder.appendCodePoint(codePoint);
+            octets += size;
+            i += charCount;
+        }
+        builder.append(CRLF);
+    }
+}
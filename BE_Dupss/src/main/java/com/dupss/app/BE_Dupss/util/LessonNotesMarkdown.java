@@ -0,0 +1,64 @@
+package com.dupss.app.BE_Dupss.util;
+
+import com.dupss.app.BE_Dupss.dto.response.LessonNoteResponse;
+
+import java.util.List;
+import java.util.Objects;
+
+/**
+ * Xuất ghi chú bài học ra Markdown, nhóm theo khóa học rồi theo bài học.
+ * Danh sách ghi chú phải đã được sắp xếp theo khóa học, bài học và thời điểm.
+ */
+public final class LessonNotesMarkdown {
+
+    private LessonNotesMarkdown() {
+    }
+
+    public static String render(List<LessonNoteResponse> notes) {
+        StringBuilder markdown = new StringBuilder("# Ghi chú bài học\n");
+        if (notes.isEmpty()) {
+            return markdown.append("\nChưa có ghi chú nào.\n").toString();
+        }
+
+        Long currentCourseId = null;
+        Long currentVideoId = null;
+        for (LessonNoteResponse note : notes) {
+            if (!Objects.equals(note.getCourseId(), currentCourseId)) {
+                currentCourseId = note.getCourseId();
+                currentVideoId = null;
+                markdown.append("\n## ").append(singleLine(note.getCourseTitle())).append('\n');
+            }
+            if (!Objects.equals(note.getVideoId(), currentVideoId)) {
+                currentVideoId = note.getVideoId();
+                markdown.append("\n### ").append(singleLine(note.getVideoTitle())).append("\n\n");
+            }
+
+            markdown.append("- **[").append(formatTimestamp(note.getTimestampSeconds())).append("]** ");
+            if (note.isBookmark()) {
+                markdown.append("_Dấu trang_");
+            } else {
+                // Các dòng tiếp theo thụt vào để vẫn thuộc cùng một mục danh sách
+                markdown.append(note.getContent().strip().replace("\r\n", "\n").replace("\n", "\n  "));
+            }
+            markdown.append('\n');
+        }
+        return markdown.toString();
+    }
+
+    /**
+     * Định dạng số giây thành m:ss hoặc h:mm:ss
+     */
+    public static String formatTimestamp(Double seconds) {
+        long total = seconds == null || seconds < 0 ? 0 : (long) Math.floor(seconds);
+        long hours = total / 3600;
+        long minutes = (total % 3600) / 60;
+        long secs = total % 60;
+        return hours > 0
+                ? String.format("%d:%02d:%02d", hours, minutes, secs)
+                : String.format("%d:%02d", minutes, secs);
+    }
+
+    private static String singleLine(String value) {
+        return value == null ? "" : value.replaceAll("\\s+", " ").strip();
+    }
+}
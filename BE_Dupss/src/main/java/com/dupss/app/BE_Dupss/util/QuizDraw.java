@@ -0,0 +1,68 @@
+package com.dupss.app.BE_Dupss.util;
+
+import java.util.ArrayList;
+import java.util.Collections;
+import java.util.List;
+import java.util.Random;
+
+/**
+ * Rút câu hỏi ngẫu nhiên từ ngân hàng câu hỏi của từng section và xáo trộn đáp án cho một lượt làm bài kiểm tra.
+ */
+public final class QuizDraw {
+
+    private QuizDraw() {
+    }
+
+    /**
+     * Rút câu hỏi cho một lượt làm bài, giữ thứ tự các section.
+     * Section có drawCount null (hoặc không nhỏ hơn số câu) dùng mọi câu theo thứ tự gốc,
+     * ngược lại rút ngẫu nhiên drawCount câu theo thứ tự ngẫu nhiên.
+     *
+     * @param sectionQuestionIds id câu hỏi của từng section
+     * @param drawCounts         số câu rút của từng section, cùng thứ tự với sectionQuestionIds
+     */
+    public static List<Long> draw(List<List<Long>> sectionQuestionIds, List<Integer> drawCounts, Random random) {
+        List<Long> drawn = new ArrayList<>();
+        for (int i = 0; i < sectionQuestionIds.size(); i++) {
+            List<Long> questionIds = sectionQuestionIds.get(i);
+            Integer drawCount = i < drawCounts.size() ? drawCounts.get(i) : null;
+            if (drawCount == null || drawCount >= questionIds.size()) {
+                drawn.addAll(questionIds);
+                continue;
+            }
+            List<Long> pool = new ArrayList<>(questionIds);
+            Collections.shuffle(pool, random);
+            drawn.addAll(pool.subList(0, Math.max(0, drawCount)));
+        }
+        return drawn;
+    }
+
+    /**
+     * Xáo trộn cố định theo seed: cùng seed luôn cho cùng thứ tự
+     */
+    public static <T> List<T> shuffle(List<T> items, long seed) {
+        List<T> shuffled = new ArrayList<>(items);
+        Collections.shuffle(shuffled, new Random(seed));
+        return shuffled;
+    }
+
+    public static String serialize(List<Long> questionIds) {
+        return String.join(",", questionIds.stream().map(String::valueOf).toList());
+    }
+
+    /**
+     * Đọc chuỗi id đã lưu, bỏ qua phần không hợp lệ
+     */
+    public static List<Long> parse(String value) {
+        List<Long> ids = new ArrayList<>();
+        if (value == null || value.isBlank()) return ids;
+        for (String part : value.split(",")) {
+            try {
+                ids.add(Long.parseLong(part.trim()));
+            } catch (NumberFormatException ignored) {
+                // Bỏ qua id hỏng
+            }
+        }
+        return ids;
+    }
+}
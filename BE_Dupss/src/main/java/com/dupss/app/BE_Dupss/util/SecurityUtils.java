@@ -7,6 +7,8 @@ import org.springframework.security.core.Authentication;
 import org.springframework.security.core.context.SecurityContextHolder;
 import org.springframework.stereotype.Component;
 
+import java.util.Optional;
+
 @Component
 public class SecurityUtils {
     @Autowired
@@ -18,4 +20,14 @@ public class SecurityUtils {
         return userRepository.findByUsernameAndEnabledTrue(username)
                 .orElseThrow(() -> new RuntimeException("User not found"));
     }
+
+    // Dùng cho các API public: trả về rỗng nếu người gọi chưa đăng nhập
+    public Optional<User> findCurrentUser() {
+        Authentication authentication = SecurityContextHolder.getContext().getAuthentication();
+        if (authentication == null || !authentication.isAuthenticated()
+                || authentication.getName().equals("anonymousUser")) {
+            return Optional.empty();
+        }
+        return userRepository.findByUsernameAndEnabledTrue(authentication.getName());
+    }
 }
@@ -0,0 +1,245 @@
+package com.dupss.app.BE_Dupss.util;
+
+import com.dupss.app.BE_Dupss.entity.QuestionType;
+import com.dupss.app.BE_Dupss.entity.RiskLevel;
+
+import java.util.ArrayList;
+import java.util.Comparator;
+import java.util.List;
+import java.util.Optional;
+
+/**
+ * Chấm điểm khảo sát và xác định mức nguy cơ theo khoảng điểm.
+ * Lớp thuần (không phụ thuộc Spring/JPA) để dùng chung cho nộp khảo sát, xem trước kết quả,
+ * bài kiểm tra khóa học và kiểm tra cấu hình điều kiện khi soạn khảo sát.
+ */
+public final class SurveyScoring {
+
+    // Toán tử khoảng: value là cận dưới, maxValue là cận trên (đều bao gồm)
+    public static final String RANGE = "RANGE";
+
+    private SurveyScoring() {
+    }
+
+    /**
+     * Một câu hỏi cần chấm: điểm của mọi đáp án và điểm của các đáp án người dùng đã chọn
+     */
+    public record QuestionInput(QuestionType type, Integer weight, List<Integer> optionScores,
+                                List<Integer> selectedScores) {
+    }
+
+    public record SectionInput(String sectionName, List<QuestionInput> questions) {
+    }
+
+    public record SectionScore(String sectionName, int score, int maxScore) {
+    }
+
+    public record Outcome(int score, int minScore, int maxScore, List<SectionScore> sections) {
+    }
+
+    /**
+     * Khoảng điểm [from, to] (bao gồm hai đầu) của một điều kiện; null nghĩa là không giới hạn phía đó
+     */
+    public record Band(Integer from, Integer to, RiskLevel riskLevel, String message) {
+
+        public boolean contains(int score) {
+            return (from == null || score >= from) && (to == null || score <= to);
+        }
+
+        public String describe() {
+            if (from != null && to != null) {
+                return from.equals(to) ? "điểm bằng " + from : "điểm từ " + from + " đến " + to;
+            }
+            if (from != null) {
+                return "điểm từ " + from + " trở lên";
+            }
+            if (to != null) {
+                return "điểm từ " + to + " trở xuống";
+            }
+            return "mọi mức điểm";
+        }
+    }
+
+    /**
+     * Chuyển một điều kiện (toán tử, giá trị) thành khoảng điểm
+     *
+     * @throws IllegalArgumentException nếu toán tử không hợp lệ hoặc khoảng bị ngược
+     */
+    public static Band toBand(String operator, int value, Integer maxValue, RiskLevel riskLevel, String message) {
+        if (operator == null) {
+            throw new IllegalArgumentException("Toán tử điều kiện không được để trống");
+        }
+        return switch (operator) {
+            case "=" -> new Band(value, value, riskLevel, message);
+            case ">" -> new Band(value + 1, null, riskLevel, message);
+            case ">=" -> new Band(value, null, riskLevel, message);
+            case "<" -> new Band(null, value - 1, riskLevel, message);
+            case "<=" -> new Band(null, value, riskLevel, message);
+            case RANGE -> {
+                if (maxValue == null || maxValue < value) {
+                    throw new IllegalArgumentException("Khoảng điểm từ " + value + " đến " + maxValue + " không hợp lệ");
+                }
+                yield new Band(value, maxValue, riskLevel, message);
+            }
+            default -> throw new IllegalArgumentException("Toán tử điều kiện không hợp lệ: " + operator);
+        };
+    }
+
+    public static int weightOf(Integer weight) {
+        return weight != null ? weight : 1;
+    }
+
+    /**
+     * Điểm tối đa (chưa nhân hệ số): tổng các đáp án điểm dương với MULTIPLE_CHOICE,
+     * điểm cao nhất với các loại còn lại, 0 nếu không có đáp án (FREE_TEXT)
+     */
+    public static int questionMaxScore(QuestionType type, List<Integer> optionScores) {
+        if (type == QuestionType.MULTIPLE_CHOICE) {
+            return optionScores.stream().mapToInt(Integer::intValue).filter(score -> score > 0).sum();
+        }
+        return optionScores.stream().mapToInt(Integer::intValue).max().orElse(0);
+    }
+
+    /**
+     * Điểm thấp nhất (chưa nhân hệ số) có thể đạt được khi đã trả lời câu hỏi
+     */
+    public static int questionMinScore(QuestionType type, List<Integer> optionScores) {
+        if (type == QuestionType.MULTIPLE_CHOICE) {
+            int negativeSum = optionScores.stream().mapToInt(Integer::intValue).filter(score -> score < 0).sum();
+            if (negativeSum < 0) {
+                return negativeSum;
+            }
+        }
+        return optionScores.stream().mapToInt(Integer::intValue).min().orElse(0);
+    }
+
+    /**
+     * Đáp án đúng của bài kiểm tra: mọi đáp án điểm dương với MULTIPLE_CHOICE, đáp án điểm cao nhất với các loại còn lại.
+     * Câu hỏi không có đáp án điểm dương (FREE_TEXT, khảo sát) không có đáp án đúng
+     */
+    public static boolean isCorrectOption(QuestionType type, List<Integer> optionScores, int score) {
+        int max = questionMaxScore(type, optionScores);
+        if (max <= 0) {
+            return false;
+        }
+        return type == QuestionType.MULTIPLE_CHOICE ? score > 0 : score == max;
+    }
+
+    /**
+     * Trả lời đúng khi đạt điểm tối đa của câu hỏi; null khi câu hỏi không có đáp án đúng
+     */
+    public static Boolean isAnsweredCorrectly(QuestionType type, List<Integer> optionScores, List<Integer> selectedScores) {
+        int max = questionMaxScore(type, optionScores);
+        if (max <= 0) {
+            return null;
+        }
+        return selectedScores.stream().mapToInt(Integer::intValue).sum() >= max;
+    }
+
+    /**
+     * Chấm điểm từng section và toàn bài; điểm mỗi câu được nhân với hệ số của câu đó
+     */
+    public static Outcome score(List<SectionInput> sections) {
+        int score = 0;
+        int minScore = 0;
+        int maxScore = 0;
+        List<SectionScore> sectionScores = new ArrayList<>();
+
+        for (SectionInput section : sections) {
+            int sectionScore = 0;
+            int sectionMax = 0;
+            for (QuestionInput question : section.questions()) {
+                int weight = weightOf(question.weight());
+                sectionScore += weight * question.selectedScores().stream().mapToInt(Integer::intValue).sum();
+                sectionMax += weight * questionMaxScore(question.type(), question.optionScores());
+                minScore += weight * questionMinScore(question.type(), question.optionScores());
+            }
+            sectionScores.add(new SectionScore(section.sectionName(), sectionScore, sectionMax));
+            score += sectionScore;
+            maxScore += sectionMax;
+        }
+        return new Outcome(score, minScore, maxScore, sectionScores);
+    }
+
+    /**
+     * Tìm khoảng điểm chứa điểm số. Nếu nhiều khoảng chồng lấn, khoảng hẹp nhất
+     * (hoặc có cận gần điểm số nhất với khoảng một phía) được chọn.
+     */
+    public static Optional<Band> findBand(List<Band> bands, int score) {
+        return bands.stream()
+                .filter(band -> band.contains(score))
+                .min(Comparator.comparingLong((Band band) -> band.from() == null || band.to() == null ? 1 : 0)
+                        .thenComparingLong(band -> tightness(band, score)));
+    }
+
+    private static long tightness(Band band, int score) {
+        if (band.from() == null && band.to() == null) {
+            return Long.MAX_VALUE;
+        }
+        if (band.from() != null && band.to() != null) {
+            return (long) band.to() - band.from();
+        }
+        return band.from() != null ? (long) score - band.from() : (long) band.to() - score;
+    }
+
+    /**
+     * Phát hiện các khoảng điểm chồng lấn nhau, không bao giờ xảy ra, hoặc các mức điểm
+     * trong [minScore, maxScore] chưa được điều kiện nào bao phủ
+     *
+     * @return danh sách cảnh báo, rỗng nếu cấu hình hợp lệ
+     */
+    public static List<String> checkBands(List<Band> bands, int minScore, int maxScore) {
+        List<String> warnings = new ArrayList<>();
+        if (bands.isEmpty()) {
+            warnings.add("Chưa có điều kiện đánh giá nào");
+            return warnings;
+        }
+
+        for (int i = 0; i < bands.size(); i++) {
+            Band band = bands.get(i);
+            if (clippedFrom(band, minScore) > clippedTo(band, maxScore)) {
+                warnings.add("Điều kiện " + band.describe() + " không bao giờ được áp dụng vì điểm chỉ nằm trong khoảng "
+                        + minScore + " đến " + maxScore);
+                continue;
+            }
+            for (int j = i + 1; j < bands.size(); j++) {
+                Band other = bands.get(j);
+                long from = Math.max(clippedFrom(band, minScore), clippedFrom(other, minScore));
+                long to = Math.min(clippedTo(band, maxScore), clippedTo(other, maxScore));
+                if (from <= to) {
+                    warnings.add("Điều kiện " + band.describe() + " và " + other.describe()
+                            + " chồng lấn ở " + describeRange(from, to));
+                }
+            }
+        }
+
+        List<Band> sorted = bands.stream()
+                .filter(band -> clippedFrom(band, minScore) <= clippedTo(band, maxScore))
+                .sorted(Comparator.comparingLong(band -> clippedFrom(band, minScore)))
+                .toList();
+        long cursor = minScore;
+        for (Band band : sorted) {
+            long from = clippedFrom(band, minScore);
+            if (from > cursor) {
+                warnings.add("Chưa có điều kiện cho " + describeRange(cursor, from - 1));
+            }
+            cursor = Math.max(cursor, clippedTo(band, maxScore) + 1);
+        }
+        if (cursor <= maxScore) {
+            warnings.add("Chưa có điều kiện cho " + describeRange(cursor, maxScore));
+        }
+        return warnings;
+    }
+
+    private static long clippedFrom(Band band, int minScore) {
+        return band.from() != null ? Math.max(band.from(), minScore) : minScore;
+    }
+
+    private static long clippedTo(Band band, int maxScore) {
+        return band.to() != null ? Math.min(band.to(), maxScore) : maxScore;
+    }
+
+    private static String describeRange(long from, long to) {
+        return from == to ? "điểm " + from : "điểm từ " + from + " đến " + to;
+    }
+}
@@ -0,0 +1,28 @@
+package com.dupss.app.BE_Dupss.util;
+
+import java.nio.charset.StandardCharsets;
+import java.security.MessageDigest;
+import java.security.NoSuchAlgorithmException;
+import java.util.HexFormat;
+
+/**
+ * Băm SHA-256 cho các mã bí mật (mã truy cập cuộc hẹn, token feed lịch): chỉ lưu mã băm trong cơ sở dữ liệu,
+ * mã gốc chỉ được trả về một lần khi tạo.
+ */
+public final class TokenHash {
+
+    private TokenHash() {
+    }
+
+    /**
+     * @return mã băm dạng hex 64 ký tự
+     */
+    public static String sha256(String value) {
+        try {
+            MessageDigest digest = MessageDigest.getInstance("SHA-256");
+            return HexFormat.of().formatHex(digest.digest((value == null ? "" : value).getBytes(StandardCharsets.UTF_8)));
+        } catch (NoSuchAlgorithmException e) {
+            throw new IllegalStateException("Không hỗ trợ thuật toán băm SHA-256", e);
+        }
+    }
+}
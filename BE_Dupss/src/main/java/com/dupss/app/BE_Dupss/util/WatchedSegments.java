@@ -0,0 +1,176 @@
+package com.dupss.app.BE_Dupss.util;
+
+import java.util.ArrayList;
+import java.util.Collection;
+import java.util.Comparator;
+import java.util.List;
+import java.util.Locale;
+
+/**
+ * Tính các đoạn video người học đã thực sự phát (hợp của các khoảng [start, end] tính bằng giây).
+ * Lưu dạng chuỗi gọn "0.0-12.5,30.0-45.0" trong WatchedVideo.watchedSegments.
+ */
+public final class WatchedSegments {
+
+    // Hai đoạn cách nhau không quá khoảng này được gộp làm một (client gửi mẫu theo từng giây)
+    static final double MERGE_GAP_SECONDS = 1.0;
+
+    // Giới hạn thời lượng trình phát báo về, chỉ dùng cho bài học chưa có thời lượng đã lưu
+    static final double MIN_REPORTED_DURATION_SECONDS = 60.0;
+    static final double MAX_REPORTED_DURATION_SECONDS = 6 * 60 * 60.0;
+
+    private WatchedSegments() {
+    }
+
+    public record Segment(double start, double end) {
+
+        public double length() {
+            return end - start;
+        }
+    }
+
+    /**
+     * Hợp các đoạn: sắp xếp theo điểm bắt đầu, gộp các đoạn chồng lấn hoặc gần kề, bỏ đoạn rỗng
+     */
+    public static List<Segment> merge(Collection<Segment> segments) {
+        List<Segment> sorted = segments.stream()
+                .filter(s -> s != null && Double.isFinite(s.start()) && Double.isFinite(s.end()) && s.end() > s.start())
+                .sorted(Comparator.comparingDouble(Segment::start))
+                .toList();
+
+        List<Segment> merged = new ArrayList<>();
+        for (Segment segment : sorted) {
+            if (!merged.isEmpty()) {
+                Segment last = merged.get(merged.size() - 1);
+                if (segment.start() <= last.end() + MERGE_GAP_SECONDS) {
+                    merged.set(merged.size() - 1, new Segment(last.start(), Math.max(last.end(), segment.end())));
+                    continue;
+                }
+            }
+            merged.add(segment);
+        }
+        return merged;
+    }
+
+    /**
+     * Cắt các đoạn vào khoảng [0, duration]
+     */
+    public static List<Segment> clamp(Collection<Segment> segments, double duration) {
+        List<Segment> clamped = new ArrayList<>();
+        for (Segment segment : segments) {
+            if (segment == null) continue;
+            double start = Math.max(0, segment.start());
+            double end = Math.min(duration, segment.end());
+            if (end > start) {
+                clamped.add(new Segment(start, end));
+            }
+        }
+        return clamped;
+    }
+
+    public static double totalLength(Collection<Segment> segments) {
+        return merge(segments).stream().mapToDouble(Segment::length).sum();
+    }
+
+    /**
+     * Phần trăm thời lượng đã xem, 0 khi chưa biết thời lượng video
+     */
+    public static double percentOf(Collection<Segment> segments, Double duration) {
+        if (duration == null || duration <= 0) return 0;
+        return Math.min(100.0, totalLength(clamp(segments, duration)) * 100.0 / duration);
+    }
+
+    /**
+     * Thời lượng tạm dùng cho bài học chưa có thời lượng đã lưu (tạo trước khi lưu thời lượng video).
+     * Không ngắn hơn lần báo trước, điểm cuối xa nhất đã xem hay MIN_REPORTED_DURATION_SECONDS,
+     * nên client không thể khai báo video ngắn lại để hoàn thành nhanh hơn.
+     *
+     * @param reported thời lượng trình phát vừa báo về
+     * @param previous thời lượng tạm đã dùng trước đó
+     * @param watched  các đoạn đã lưu
+     * @return null khi client chưa từng báo thời lượng
+     */
+    public static Double boundReportedDuration(Double reported, Double previous, Collection<Segment> watched) {
+        boolean hasReported = reported != null && Double.isFinite(reported) && reported > 0;
+        if (!hasReported && previous == null) return null;
+
+        double furthestEnd = merge(watched).stream().mapToDouble(Segment::end).max().orElse(0);
+        double duration = Math.max(Math.max(hasReported ? reported : 0, previous != null ? previous : 0),
+                Math.max(furthestEnd, MIN_REPORTED_DURATION_SECONDS));
+        return Math.min(duration, MAX_REPORTED_DURATION_SECONDS);
+    }
+
+    /**
+     * Thêm các đoạn mới vào các đoạn đã xem, nhưng tổng thời lượng mới được cộng thêm không vượt quá budget giây.
+     * Phần chưa xem của mỗi đoạn được nhận lần lượt từ đầu đoạn cho tới khi hết budget,
+     * nhờ vậy client không thể khai báo đã xem nhiều hơn thời gian thực tế trôi qua.
+     *
+     * @param watched  các đoạn đã lưu
+     * @param incoming các đoạn client gửi lên
+     * @param budget   số giây tối đa được cộng thêm
+     * @return hợp các đoạn sau khi thêm
+     */
+    public static List<Segment> addWithinBudget(Collection<Segment> watched, Collection<Segment> incoming, double budget) {
+        List<Segment> result = merge(watched);
+        double remaining = Math.max(0, budget);
+
+        for (Segment segment : merge(incoming)) {
+            if (remaining <= 0) break;
+            for (Segment gap : uncovered(result, segment)) {
+                if (remaining <= 0) break;
+                double taken = Math.min(gap.length(), remaining);
+                List<Segment> next = new ArrayList<>(result);
+                next.add(new Segment(gap.start(), gap.start() + taken));
+                result = merge(next);
+                remaining -= taken;
+            }
+        }
+        return result;
+    }
+
+    // Các phần của segment chưa nằm trong những đoạn đã hợp (merged phải đã sắp xếp và không chồng lấn)
+    private static List<Segment> uncovered(List<Segment> merged, Segment segment) {
+        List<Segment> gaps = new ArrayList<>();
+        double cursor = segment.start();
+        for (Segment covered : merged) {
+            if (covered.end() <= cursor) continue;
+            if (covered.start() >= segment.end()) break;
+            if (covered.start() > cursor) {
+                gaps.add(new Segment(cursor, covered.start()));
+            }
+            cursor = Math.max(cursor, covered.end());
+            if (cursor >= segment.end()) break;
+        }
+        if (cursor < segment.end()) {
+            gaps.add(new Segment(cursor, segment.end()));
+        }
+        return gaps;
+    }
+
+    public static String serialize(Collection<Segment> segments) {
+        StringBuilder builder = new StringBuilder();
+        for (Segment segment : merge(segments)) {
+            if (!builder.isEmpty()) builder.append(',');
+            builder.append(String.format(Locale.ROOT, "%.1f-%.1f", segment.start(), segment.end()));
+        }
+        return builder.toString();
+    }
+
+    /**
+     * Đọc chuỗi đã lưu, bỏ qua phần không hợp lệ
+     */
+    public static List<Segment> parse(String value) {
+        List<Segment> segments = new ArrayList<>();
+        if (value == null || value.isBlank()) return segments;
+        for (String part : value.split(",")) {
+            String[] bounds = part.trim().split("-");
+            if (bounds.length != 2) continue;
+            try {
+                segments.add(new Segment(Double.parseDouble(bounds[0]), Double.parseDouble(bounds[1])));
+            } catch (NumberFormatException ignored) {
+                // Bỏ qua đoạn hỏng, các đoạn còn lại vẫn được tính
+            }
+        }
+        return merge(segments);
+    }
+}
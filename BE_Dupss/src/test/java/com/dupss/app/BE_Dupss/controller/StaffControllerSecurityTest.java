@@ -0,0 +1,84 @@
+package com.dupss.app.BE_Dupss.controller;
+
+import com.dupss.app.BE_Dupss.config.SecurityConfig;
+import com.dupss.app.BE_Dupss.dto.response.LessonMediaResponse;
+import com.dupss.app.BE_Dupss.respository.BlogRepository;
+import com.dupss.app.BE_Dupss.respository.SurveyRepo;
+import com.dupss.app.BE_Dupss.respository.UserRepository;
+import com.dupss.app.BE_Dupss.service.BlogService;
+import com.dupss.app.BE_Dupss.service.CourseService;
+import com.dupss.app.BE_Dupss.service.SurveyService;
+import com.dupss.app.BE_Dupss.service.UserDetailServiceCustomizer;
+import org.junit.jupiter.api.Test;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.test.autoconfigure.web.servlet.WebMvcTest;
+import org.springframework.context.annotation.Import;
+import org.springframework.mock.web.MockMultipartFile;
+import org.springframework.security.oauth2.jwt.JwtDecoder;
+import org.springframework.security.test.context.support.WithAnonymousUser;
+import org.springframework.security.test.context.support.WithMockUser;
+import org.springframework.test.context.bean.override.mockito.MockitoBean;
+import org.springframework.test.web.servlet.MockMvc;
+
+import static org.junit.jupiter.api.Assertions.assertTrue;
+import static org.mockito.ArgumentMatchers.any;
+import static org.mockito.Mockito.never;
+import static org.mockito.Mockito.verify;
+import static org.mockito.Mockito.when;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.multipart;
+import static org.springframework.test.web.servlet.result.MockMvcResultMatchers.status;
+
+@WebMvcTest(StaffController.class)
+@Import(SecurityConfig.class)
+class StaffControllerSecurityTest {
+
+	@Autowired
+	private MockMvc mockMvc;
+
+	@MockitoBean
+	private JwtDecoder jwtDecoder;
+	@MockitoBean
+	private UserDetailServiceCustomizer userDetailServiceCustomizer;
+	@MockitoBean
+	private SurveyService surveyService;
+	@MockitoBean
+	private CourseService courseService;
+	@MockitoBean
+	private BlogService blogService;
+	@MockitoBean
+	private UserRepository userRepository;
+	@MockitoBean
+	private BlogRepository blogRepository;
+	@MockitoBean
+	private SurveyRepo surveyRepo;
+
+	private final MockMultipartFile file = new MockMultipartFile("file", "lesson.mp4", "video/mp4", new byte[]{1, 2, 3});
+
+	@Test
+	@WithAnonymousUser
+	void anonymousCannotUploadLessonMedia() throws Exception {
+		int status = mockMvc.perform(multipart("/api/staff/course/media").file(file))
+				.andReturn().getResponse().getStatus();
+
+		assertTrue(status == 401 || status == 403, "status " + status);
+		verify(courseService, never()).uploadLessonMedia(any());
+	}
+
+	@Test
+	@WithMockUser(authorities = "ROLE_MEMBER")
+	void memberCannotUploadLessonMedia() throws Exception {
+		mockMvc.perform(multipart("/api/staff/course/media").file(file))
+				.andExpect(status().isForbidden());
+
+		verify(courseService, never()).uploadLessonMedia(any());
+	}
+
+	@Test
+	@WithMockUser(authorities = "ROLE_STAFF")
+	void staffCanUploadLessonMedia() throws Exception {
+		when(courseService.uploadLessonMedia(any())).thenReturn(LessonMediaResponse.builder().url("https://cdn/lesson.mp4").build());
+
+		mockMvc.perform(multipart("/api/staff/course/media").file(file))
+				.andExpect(status().isCreated());
+	}
+}
@@ -0,0 +1,67 @@
+package com.dupss.app.BE_Dupss.service;
+
+import com.dupss.app.BE_Dupss.dto.response.WaitlistResponse;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.entity.WaitlistEntry;
+import com.dupss.app.BE_Dupss.entity.WaitlistStatus;
+import com.dupss.app.BE_Dupss.respository.SlotRepository;
+import com.dupss.app.BE_Dupss.respository.WaitlistEntryRepository;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.util.Optional;
+
+import static org.junit.jupiter.api.Assertions.assertEquals;
+import static org.junit.jupiter.api.Assertions.assertNull;
+import static org.mockito.ArgumentMatchers.any;
+import static org.mockito.Mockito.never;
+import static org.mockito.Mockito.verify;
+import static org.mockito.Mockito.when;
+
+@ExtendWith(MockitoExtension.class)
+class WaitlistServiceTest {
+
+	@Mock
+	private WaitlistEntryRepository waitlistEntryRepository;
+	@Mock
+	private SlotRepository slotRepository;
+	@Mock
+	private SecurityUtils securityUtils;
+
+	@InjectMocks
+	private WaitlistService waitlistService;
+
+	@Test
+	void cancelsEntryStillWaitingForEmailConfirmation() {
+		User member = new User();
+		member.setId(1L);
+		WaitlistEntry entry = WaitlistEntry.builder()
+				.id(3L)
+				.user(member)
+				.customerName("Khách")
+				.email("khac@example.com")
+				.dateFrom(LocalDate.now())
+				.dateTo(LocalDate.now().plusDays(3))
+				.status(WaitlistStatus.PENDING_CONFIRMATION)
+				.confirmToken("token")
+				.createdAt(LocalDateTime.now())
+				.build();
+
+		when(securityUtils.getCurrentUser()).thenReturn(member);
+		when(waitlistEntryRepository.findById(3L)).thenReturn(Optional.of(entry));
+		when(waitlistEntryRepository.save(entry)).thenReturn(entry);
+
+		WaitlistResponse response = waitlistService.cancel(3L);
+
+		assertEquals(WaitlistStatus.CANCELLED, entry.getStatus());
+		assertNull(entry.getConfirmToken());
+		assertEquals(WaitlistStatus.CANCELLED, response.getStatus());
+		verify(slotRepository, never()).save(any());
+	}
+}
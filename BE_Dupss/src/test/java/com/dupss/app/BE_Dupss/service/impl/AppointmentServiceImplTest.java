@@ -0,0 +1,120 @@
+package com.dupss.app.BE_Dupss.service.impl;
+
+import com.dupss.app.BE_Dupss.dto.request.AppointmentRequestDto;
+import com.dupss.app.BE_Dupss.entity.Appointment;
+import com.dupss.app.BE_Dupss.entity.Slot;
+import com.dupss.app.BE_Dupss.entity.Topic;
+import com.dupss.app.BE_Dupss.entity.User;
+import com.dupss.app.BE_Dupss.respository.AppointmentRepository;
+import com.dupss.app.BE_Dupss.respository.SlotRepository;
+import com.dupss.app.BE_Dupss.respository.TopicRepo;
+import com.dupss.app.BE_Dupss.util.SecurityUtils;
+import com.dupss.app.BE_Dupss.util.TokenHash;
+import org.junit.jupiter.api.Test;
+import org.junit.jupiter.api.extension.ExtendWith;
+import org.mockito.InjectMocks;
+import org.mockito.Mock;
+import org.mockito.junit.jupiter.MockitoExtension;
+
+import java.time.LocalDate;
+import java.time.LocalTime;
+import java.util.Optional;
+
+import static org.junit.jupiter.api.Assertions.assertThrows;
+import static org.mockito.ArgumentMatchers.any;
+import static org.mockito.ArgumentMatchers.eq;
+import static org.mockito.Mockito.never;
+import static org.mockito.Mockito.verify;
+import static org.mockito.Mockito.when;
+
+@ExtendWith(MockitoExtension.class)
+class AppointmentServiceImplTest {
+
+	@Mock
+	private AppointmentRepository appointmentRepository;
+	@Mock
+	private TopicRepo topicRepository;
+	@Mock
+	private SlotRepository slotRepository;
+	@Mock
+	private SecurityUtils securityUtils;
+
+	@InjectMocks
+	private AppointmentServiceImpl appointmentService;
+
+	@Test
+	void rejectsAnonymousBookingWhenAddressHasTooManyOpenAppointments() {
+		Slot slot = futureSlot(5L, user(20L));
+
+		when(topicRepository.findByIdAndActive(1L, true)).thenReturn(new Topic());
+		when(slotRepository.findById(5L)).thenReturn(Optional.of(slot));
+		when(appointmentRepository.countByIsAnonymousTrueAndBookedFromHashAndStatusAndAppointmentDateGreaterThanEqual(
+				eq(TokenHash.sha256("203.0.113.7")), eq("CONFIRMED"), any(LocalDate.class)))
+				.thenReturn((long) AppointmentServiceImpl.MAX_OPEN_ANONYMOUS_APPOINTMENTS);
+
+		AppointmentRequestDto request = new AppointmentRequestDto();
+		request.setCustomerName("Bí danh");
+		request.setAnonymous(true);
+		request.setTopicId(1L);
+		request.setSlotId(5L);
+
+		assertThrows(IllegalStateException.class, () -> appointmentService.createAppointment(request, "203.0.113.7"));
+		verify(slotRepository, never()).save(any());
+		verify(appointmentRepository, never()).save(any());
+	}
+
+	@Test
+	void memberCannotRescheduleSomeoneElsesAppointment() {
+		Appointment appointment = memberAppointment(7L, user(1L));
+		when(securityUtils.getCurrentUser()).thenReturn(user(2L));
+		when(appointmentRepository.findById(7L)).thenReturn(Optional.of(appointment));
+
+		assertThrows(IllegalArgumentException.class, () -> appointmentService.rescheduleAppointmentByUser(7L, 5L));
+		verify(slotRepository, never()).claimSlot(any());
+	}
+
+	@Test
+	void rescheduleRespectsDailyLimitOnTheNewDate() {
+		User member = user(1L);
+		Appointment appointment = memberAppointment(7L, member);
+		Slot slot = futureSlot(5L, appointment.getConsultant());
+		when(securityUtils.getCurrentUser()).thenReturn(member);
+		when(appointmentRepository.findById(7L)).thenReturn(Optional.of(appointment));
+		when(slotRepository.findById(5L)).thenReturn(Optional.of(slot));
+		when(appointmentRepository.countByUserIdAndAppointmentDateAndStatusNotAndIdNot(1L, slot.getDate(), "CANCELLED", 7L))
+				.thenReturn(2L);
+
+		assertThrows(IllegalStateException.class, () -> appointmentService.rescheduleAppointmentByUser(7L, 5L));
+		verify(slotRepository, never()).claimSlot(any());
+		verify(appointmentRepository, never()).save(any());
+	}
+
+	private static User user(long id) {
+		User user = new User();
+		user.setId(id);
+		user.setEnabled(true);
+		return user;
+	}
+
+	private static Slot futureSlot(Long id, User consultant) {
+		Slot slot = new Slot();
+		slot.setId(id);
+		slot.setDate(LocalDate.now().plusDays(1));
+		slot.setStartTime(LocalTime.of(9, 0));
+		slot.setAvailable(true);
+		slot.setConsultant(consultant);
+		return slot;
+	}
+
+	private static Appointment memberAppointment(Long id, User member) {
+		Appointment appointment = new Appointment();
+		appointment.setId(id);
+		appointment.setUser(member);
+		appointment.setGuest(false);
+		appointment.setConsultant(user(20L));
+		appointment.setStatus("CONFIRMED");
+		appointment.setAppointmentDate(LocalDate.now().plusDays(2));
+		appointment.setAppointmentTime(LocalTime.of(10, 0));
+		return appointment;
+	}
+}
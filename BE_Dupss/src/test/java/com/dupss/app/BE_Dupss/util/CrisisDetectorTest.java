@@ -0,0 +1,41 @@
+package com.dupss.app.BE_Dupss.util;
+
+import com.dupss.app.BE_Dupss.util.CrisisDetector.Category;
+import org.junit.jupiter.api.Test;
+
+import java.util.Optional;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+class CrisisDetectorTest {
+
+	private final CrisisDetector detector = new CrisisDetector();
+
+	@Test
+	void detectsCrisisMessages() {
+		assertEquals(Optional.of(Category.SELF_HARM), detector.detect("Tôi muốn tự tử"));
+		assertEquals(Optional.of(Category.SELF_HARM), detector.detect("toi khong muon song nua"));
+		assertEquals(Optional.of(Category.OVERDOSE), detector.detect("Bạn tôi bị sốc thuốc sau khi dùng"));
+		assertEquals(Optional.of(Category.RELAPSE), detector.detect("Em lại TÁI NGHIỆN rồi"));
+		assertEquals(Optional.of(Category.RELAPSE), detector.detect("I think I had a relapse"));
+	}
+
+	@Test
+	void selfHarmTakesPriorityOverRelapse() {
+		assertEquals(Optional.of(Category.SELF_HARM), detector.detect("Tái nghiện rồi, chán sống lắm"));
+	}
+
+	@Test
+	void ignoresEverydayMessages() {
+		assertTrue(detector.detect("Từ từ thôi, không vội").isEmpty());
+		assertTrue(detector.detect("Chai nhựa này có thể tái sử dụng không?").isEmpty());
+		assertTrue(detector.detect("Tôi đang thèm thuốc lá").isEmpty());
+		assertTrue(detector.detect("Hôm qua bị ngộ độc thực phẩm").isEmpty());
+		assertTrue(detector.detect("Mệt muốn chết").isEmpty());
+		assertTrue(detector.detect("Để tủ sắt ở đâu?").isEmpty());
+		assertTrue(detector.detect("Có giật mình không?").isEmpty());
+		assertTrue(detector.detect("The relapsed count").isEmpty());
+		assertTrue(detector.detect(null).isEmpty());
+		assertTrue(detector.detect("   ").isEmpty());
+	}
+}
@@ -0,0 +1,56 @@
+package com.dupss.app.BE_Dupss.util;
+
+import org.junit.jupiter.api.Test;
+
+import java.nio.charset.StandardCharsets;
+import java.time.Instant;
+import java.time.LocalDateTime;
+import java.util.List;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+class ICalendarWriterTest {
+
+	@Test
+	void escapesTextValues() {
+		assertEquals("a\\;b\\,c\\\\d\\ne", ICalendarWriter.escape("a;b,c\\d\ne"));
+		assertEquals("", ICalendarWriter.escape(null));
+	}
+
+	@Test
+	void foldsLongLinesWithoutSplittingCharacters() {
+		StringBuilder builder = new StringBuilder();
+		ICalendarWriter.appendLine(builder, "SUMMARY:" + "Tư vấn sức khỏe tâm lý ".repeat(10));
+
+		String[] lines = builder.toString().split("\r\n");
+		assertTrue(lines.length > 1);
+		for (int i = 0; i < lines.length; i++) {
+			assertTrue(lines[i].getBytes(StandardCharsets.UTF_8).length <= 75);
+			if (i > 0) {
+				assertTrue(lines[i].startsWith(" "));
+			}
+		}
+		assertEquals("SUMMARY:" + "Tư vấn sức khỏe tâm lý ".repeat(10) + "\r\n", builder.toString().replace("\r\n ", ""));
+	}
+
+	@Test
+	void writesEventsInVietnamTimeZone() {
+		String calendar = ICalendarWriter.write("Lịch hẹn", List.of(new ICalendarWriter.Event(
+				"appointment-1@dupssapp.id.vn",
+				LocalDateTime.of(2025, 7, 1, 9, 0),
+				LocalDateTime.of(2025, 7, 1, 10, 0),
+				"Tư vấn",
+				null,
+				null,
+				"CANCELLED",
+				2)), Instant.parse("2025-06-30T02:00:00Z"));
+
+		assertTrue(calendar.startsWith("BEGIN:VCALENDAR\r\n"));
+		assertTrue(calendar.endsWith("END:VCALENDAR\r\n"));
+		assertTrue(calendar.contains("DTSTAMP:20250630T020000Z\r\n"));
+		assertTrue(calendar.contains("DTSTART;TZID=Asia/Ho_Chi_Minh:20250701T090000\r\n"));
+		assertTrue(calendar.contains("DTEND;TZID=Asia/Ho_Chi_Minh:20250701T100000\r\n"));
+		assertTrue(calendar.contains("SEQUENCE:2\r\nSTATUS:CANCELLED\r\n"));
+		assertFalse(calendar.contains("DESCRIPTION:"));
+	}
+}
@@ -0,0 +1,62 @@
+package com.dupss.app.BE_Dupss.util;
+
+import com.dupss.app.BE_Dupss.dto.response.LessonNoteResponse;
+import org.junit.jupiter.api.Test;
+
+import java.util.List;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+class LessonNotesMarkdownTest {
+
+	@Test
+	void formatsTimestamps() {
+		assertEquals("0:00", LessonNotesMarkdown.formatTimestamp(null));
+		assertEquals("1:05", LessonNotesMarkdown.formatTimestamp(65.9));
+		assertEquals("1:02:03", LessonNotesMarkdown.formatTimestamp(3723.0));
+	}
+
+	@Test
+	void groupsNotesByCourseAndLesson() {
+		String markdown = LessonNotesMarkdown.render(List.of(
+				note(1L, "Kỹ năng từ chối", 10L, "Bài 1", 12.0, "Ý chính\nGhi nhớ"),
+				note(1L, "Kỹ năng từ chối", 10L, "Bài 1", 95.0, null),
+				note(2L, "Tác hại của ma túy", 20L, "Bài mở đầu", 0.0, "Xem lại")));
+
+		assertEquals("""
+				# Ghi chú bài học
+
+				## Kỹ năng từ chối
+
+				### Bài 1
+
+				- **[0:12]** Ý chính
+				  Ghi nhớ
+				- **[1:35]** _Dấu trang_
+
+				## Tác hại của ma túy
+
+				### Bài mở đầu
+
+				- **[0:00]** Xem lại
+				""", markdown);
+	}
+
+	@Test
+	void rendersEmptyExport() {
+		assertTrue(LessonNotesMarkdown.render(List.of()).contains("Chưa có ghi chú nào."));
+	}
+
+	private static LessonNoteResponse note(Long courseId, String courseTitle, Long videoId, String videoTitle,
+			Double timestamp, String content) {
+		return LessonNoteResponse.builder()
+				.courseId(courseId)
+				.courseTitle(courseTitle)
+				.videoId(videoId)
+				.videoTitle(videoTitle)
+				.timestampSeconds(timestamp)
+				.content(content)
+				.bookmark(content == null)
+				.build();
+	}
+}
@@ -0,0 +1,45 @@
+package com.dupss.app.BE_Dupss.util;
+
+import org.junit.jupiter.api.Test;
+
+import java.util.Arrays;
+import java.util.HashSet;
+import java.util.List;
+import java.util.Random;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+class QuizDrawTest {
+
+	@Test
+	void drawsRequestedNumberOfQuestionsFromEachSection() {
+		List<Long> pool = List.of(1L, 2L, 3L, 4L, 5L, 6L);
+		List<Long> drawn = QuizDraw.draw(List.of(pool, List.of(10L, 11L)), Arrays.asList(3, null), new Random(42));
+
+		assertEquals(5, drawn.size());
+		assertTrue(pool.containsAll(drawn.subList(0, 3)));
+		assertEquals(3, new HashSet<>(drawn.subList(0, 3)).size());
+		// Section không cấu hình rút ngẫu nhiên giữ nguyên mọi câu và thứ tự gốc
+		assertEquals(List.of(10L, 11L), drawn.subList(3, 5));
+	}
+
+	@Test
+	void drawCountNotSmallerThanPoolKeepsAllQuestions() {
+		assertEquals(List.of(1L, 2L), QuizDraw.draw(List.of(List.of(1L, 2L)), List.of(5), new Random(1)));
+	}
+
+	@Test
+	void shuffleIsStableForSameSeed() {
+		List<Integer> options = List.of(1, 2, 3, 4, 5);
+
+		assertEquals(QuizDraw.shuffle(options, 7L), QuizDraw.shuffle(options, 7L));
+		assertEquals(new HashSet<>(options), new HashSet<>(QuizDraw.shuffle(options, 7L)));
+	}
+
+	@Test
+	void serializesAndParsesQuestionIds() {
+		assertEquals("12,5,9", QuizDraw.serialize(List.of(12L, 5L, 9L)));
+		assertEquals(List.of(12L, 5L, 9L), QuizDraw.parse("12, 5,abc,9"));
+		assertTrue(QuizDraw.parse(null).isEmpty());
+	}
+}
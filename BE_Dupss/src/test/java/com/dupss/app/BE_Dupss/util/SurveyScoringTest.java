@@ -0,0 +1,107 @@
+package com.dupss.app.BE_Dupss.util;
+
+import com.dupss.app.BE_Dupss.entity.QuestionType;
+import com.dupss.app.BE_Dupss.entity.RiskLevel;
+import org.junit.jupiter.api.Test;
+
+import java.util.List;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+class SurveyScoringTest {
+
+	private static SurveyScoring.Band band(String operator, int value, Integer maxValue, RiskLevel riskLevel) {
+		return SurveyScoring.toBand(operator, value, maxValue, riskLevel, riskLevel.name());
+	}
+
+	@Test
+	void scoresSectionsWithWeights() {
+		SurveyScoring.Outcome outcome = SurveyScoring.score(List.of(
+				new SurveyScoring.SectionInput("A", List.of(
+						new SurveyScoring.QuestionInput(QuestionType.SINGLE_CHOICE, 2, List.of(0, 1, 3), List.of(1)),
+						new SurveyScoring.QuestionInput(QuestionType.MULTIPLE_CHOICE, null, List.of(1, 2, -1), List.of(1, 2)))),
+				new SurveyScoring.SectionInput("B", List.of(
+						new SurveyScoring.QuestionInput(QuestionType.FREE_TEXT, 3, List.of(), List.of())))));
+
+		assertEquals(5, outcome.score());
+		assertEquals(9, outcome.maxScore());
+		assertEquals(-1, outcome.minScore());
+		assertEquals(new SurveyScoring.SectionScore("A", 5, 9), outcome.sections().get(0));
+		assertEquals(new SurveyScoring.SectionScore("B", 0, 0), outcome.sections().get(1));
+	}
+
+	@Test
+	void convertsOperatorsToInclusiveRanges() {
+		assertEquals(new SurveyScoring.Band(4, null, RiskLevel.HIGH, "HIGH"), band(">", 3, null, RiskLevel.HIGH));
+		assertEquals(new SurveyScoring.Band(null, 2, RiskLevel.LOW, "LOW"), band("<", 3, null, RiskLevel.LOW));
+		assertEquals(new SurveyScoring.Band(1, 3, RiskLevel.MODERATE, "MODERATE"),
+				band(SurveyScoring.RANGE, 1, 3, RiskLevel.MODERATE));
+		assertThrows(IllegalArgumentException.class, () -> band(SurveyScoring.RANGE, 5, 3, RiskLevel.LOW));
+		assertThrows(IllegalArgumentException.class, () -> band("!=", 5, null, RiskLevel.LOW));
+	}
+
+	@Test
+	void picksMostSpecificBandWhenRangesOverlap() {
+		List<SurveyScoring.Band> bands = List.of(
+				band(">=", 0, null, RiskLevel.LOW),
+				band(">=", 4, null, RiskLevel.MODERATE),
+				band("=", 4, null, RiskLevel.HIGH));
+
+		assertEquals(RiskLevel.LOW, SurveyScoring.findBand(bands, 2).orElseThrow().riskLevel());
+		assertEquals(RiskLevel.HIGH, SurveyScoring.findBand(bands, 4).orElseThrow().riskLevel());
+		assertEquals(RiskLevel.MODERATE, SurveyScoring.findBand(bands, 7).orElseThrow().riskLevel());
+		assertTrue(SurveyScoring.findBand(bands, -1).isEmpty());
+	}
+
+	@Test
+	void acceptsContiguousBands() {
+		List<SurveyScoring.Band> bands = List.of(
+				band(SurveyScoring.RANGE, 0, 1, RiskLevel.LOW),
+				band(SurveyScoring.RANGE, 2, 3, RiskLevel.MODERATE),
+				band(">=", 4, null, RiskLevel.HIGH));
+
+		assertEquals(List.of(), SurveyScoring.checkBands(bands, 0, 10));
+	}
+
+	@Test
+	void reportsOverlapsGapsAndUnreachableBands() {
+		List<SurveyScoring.Band> bands = List.of(
+				band(SurveyScoring.RANGE, 0, 3, RiskLevel.LOW),
+				band(SurveyScoring.RANGE, 2, 5, RiskLevel.MODERATE),
+				band(">=", 8, null, RiskLevel.HIGH),
+				band("=", 20, null, RiskLevel.HIGH));
+
+		List<String> warnings = SurveyScoring.checkBands(bands, 0, 10);
+
+		assertEquals(List.of(
+				"Điều kiện điểm từ 0 đến 3 và điểm từ 2 đến 5 chồng lấn ở điểm từ 2 đến 3",
+				"Điều kiện điểm bằng 20 không bao giờ được áp dụng vì điểm chỉ nằm trong khoảng 0 đến 10",
+				"Chưa có điều kiện cho điểm từ 6 đến 7"), warnings);
+	}
+
+	@Test
+	void correctOptionsAreTheBestChoiceOrEveryPositiveChoice() {
+		List<Integer> scores = List.of(0, 1, 0);
+
+		assertTrue(SurveyScoring.isCorrectOption(QuestionType.SINGLE_CHOICE, scores, 1));
+		assertFalse(SurveyScoring.isCorrectOption(QuestionType.SINGLE_CHOICE, scores, 0));
+		assertTrue(SurveyScoring.isCorrectOption(QuestionType.MULTIPLE_CHOICE, List.of(1, 2, -1), 1));
+		assertFalse(SurveyScoring.isCorrectOption(QuestionType.MULTIPLE_CHOICE, List.of(1, 2, -1), -1));
+		assertFalse(SurveyScoring.isCorrectOption(QuestionType.FREE_TEXT, List.of(), 0));
+	}
+
+	@Test
+	void answerIsCorrectOnlyWithFullScore() {
+		List<Integer> scores = List.of(1, 2, -1);
+
+		assertTrue(SurveyScoring.isAnsweredCorrectly(QuestionType.MULTIPLE_CHOICE, scores, List.of(1, 2)));
+		assertFalse(SurveyScoring.isAnsweredCorrectly(QuestionType.MULTIPLE_CHOICE, scores, List.of(1, 2, -1)));
+		assertFalse(SurveyScoring.isAnsweredCorrectly(QuestionType.SINGLE_CHOICE, List.of(0, 1), List.of()));
+		assertNull(SurveyScoring.isAnsweredCorrectly(QuestionType.FREE_TEXT, List.of(), List.of()));
+	}
+
+	@Test
+	void warnsWhenNoBandIsDefined() {
+		assertEquals(List.of("Chưa có điều kiện đánh giá nào"), SurveyScoring.checkBands(List.of(), 0, 5));
+	}
+}
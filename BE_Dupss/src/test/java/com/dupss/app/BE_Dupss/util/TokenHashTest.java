@@ -0,0 +1,19 @@
+package com.dupss.app.BE_Dupss.util;
+
+import org.junit.jupiter.api.Test;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+class TokenHashTest {
+
+	@Test
+	void hashesToLowercaseHex() {
+		assertEquals("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad", TokenHash.sha256("abc"));
+	}
+
+	@Test
+	void nullHashesLikeEmptyString() {
+		assertEquals(TokenHash.sha256(""), TokenHash.sha256(null));
+		assertEquals(64, TokenHash.sha256(null).length());
+	}
+}
@@ -0,0 +1,80 @@
+package com.dupss.app.BE_Dupss.util;
+
+import com.dupss.app.BE_Dupss.util.WatchedSegments.Segment;
+import org.junit.jupiter.api.Test;
+
+import java.util.List;
+
+import static org.junit.jupiter.api.Assertions.*;
+
+class WatchedSegmentsTest {
+
+	@Test
+	void mergesOverlappingAndAdjacentSegments() {
+		List<Segment> merged = WatchedSegments.merge(List.of(
+				new Segment(30, 40),
+				new Segment(0, 10),
+				new Segment(5, 12),
+				new Segment(12.5, 20),
+				new Segment(50, 50)));
+
+		assertEquals(List.of(new Segment(0, 20), new Segment(30, 40)), merged);
+		assertEquals(30, WatchedSegments.totalLength(merged), 0.001);
+	}
+
+	@Test
+	void seekingToTheEndDoesNotCountSkippedPart() {
+		List<Segment> watched = WatchedSegments.merge(List.of(new Segment(0, 10), new Segment(290, 300)));
+
+		assertEquals(20, WatchedSegments.totalLength(watched), 0.001);
+	}
+
+	@Test
+	void clampsSegmentsToVideoDuration() {
+		List<Segment> clamped = WatchedSegments.clamp(List.of(new Segment(-5, 10), new Segment(95, 200), new Segment(120, 130)), 100);
+
+		assertEquals(List.of(new Segment(0, 10), new Segment(95, 100)), clamped);
+	}
+
+	@Test
+	void addsOnlyUnwatchedPartsWithinBudget() {
+		List<Segment> watched = List.of(new Segment(0, 60));
+
+		// Xem lại đoạn đã xem không tốn budget
+		assertEquals(List.of(new Segment(0, 60)),
+				WatchedSegments.addWithinBudget(watched, List.of(new Segment(10, 50)), 5));
+
+		// Khai báo 240 giây mới nhưng chỉ có 30 giây trôi qua: chỉ nhận 30 giây đầu
+		List<Segment> result = WatchedSegments.addWithinBudget(watched, List.of(new Segment(0, 300)), 30);
+		assertEquals(List.of(new Segment(0, 90)), result);
+	}
+
+	@Test
+	void boundsReportedDurationWhenLessonHasNoStoredDuration() {
+		List<Segment> watched = List.of(new Segment(0, 90));
+
+		// Chưa từng báo thời lượng: không tính được phần trăm
+		assertNull(WatchedSegments.boundReportedDuration(null, null, watched));
+		assertEquals(0, WatchedSegments.percentOf(watched, null), 0.001);
+
+		// Không ngắn hơn điểm cuối đã xem, thời lượng tối thiểu hay lần báo trước
+		assertEquals(90, WatchedSegments.boundReportedDuration(10.0, null, watched), 0.001);
+		assertEquals(60, WatchedSegments.boundReportedDuration(5.0, null, List.of()), 0.001);
+		assertEquals(600, WatchedSegments.boundReportedDuration(120.0, 600.0, watched), 0.001);
+		assertEquals(600, WatchedSegments.boundReportedDuration(null, 600.0, watched), 0.001);
+		assertEquals(6 * 60 * 60, WatchedSegments.boundReportedDuration(1e9, null, watched), 0.001);
+
+		Double duration = WatchedSegments.boundReportedDuration(100.0, null, watched);
+		assertEquals(90, WatchedSegments.percentOf(watched, duration), 0.001);
+	}
+
+	@Test
+	void serializesAndParsesSegments() {
+		String value = WatchedSegments.serialize(List.of(new Segment(30, 45.25), new Segment(0, 12.5)));
+
+		assertEquals("0.0-12.5,30.0-45.3", value);
+		assertEquals(List.of(new Segment(0, 12.5), new Segment(30, 45.3)), WatchedSegments.parse(value));
+		assertEquals(List.of(new Segment(0, 12.5)), WatchedSegments.parse("0-12.5,abc,7"));
+		assertTrue(WatchedSegments.parse(null).isEmpty());
+	}
+}
@@ -10,6 +10,7 @@ import ChangePassword from './components/auth/ChangePassword';
 import AboutUs from './components/about/AboutUs';
 import Appointment from './components/appointment/Appointment';
 import AppointmentReview from './components/appointment/AppointmentReview';
+import AnonymousAppointment from './components/appointment/AnonymousAppointment';
 import VideoMeeting from './components/appointment/VideoMeeting';
 import BlogDetail from './components/blogs/BlogDetail';
 import BlogsList from './components/blogs/BlogsList';
@@ -70,6 +71,11 @@ function App() {
             <Appointment />
           </Layout>
         } />
+        <Route path="/appointment/access" element={
+          <Layout>
+            <AnonymousAppointment />
+          </Layout>
+        } />
         <Route path="/appointment/:id/review" element={
           <Layout>
             <AppointmentReview />
@@ -0,0 +1,336 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Paper,
+  Rating,
+  CircularProgress,
+  Alert,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import { apiGet, apiPut } from '../../services/apiService';
+import { showErrorAlert, showSuccessAlert } from '../common/AlertNotification';
+import RescheduleDialog from './RescheduleDialog';
+import { downloadAppointmentCalendar } from '../../services/calendarService';
+
+const STATUS_LABELS = {
+  PENDING: 'Chờ xét duyệt',
+  CONFIRMED: 'Đã xét duyệt',
+  ON_GOING: 'Đang tiến hành',
+  COMPLETED: 'Đã hoàn thành',
+  CANCELLED: 'Bị hủy'
+};
+
+/**
+ * Trang dành cho khách đặt lịch ẩn danh: mở bằng magic link (/appointment/access?code=...)
+ * hoặc nhập mã truy cập để tham gia cuộc họp, hủy lịch và đánh giá mà không cần email/số điện thoại.
+ * Mã truy cập chỉ nằm trên URL, không lưu vào trình duyệt để tránh lộ trên máy dùng chung.
+ * Khách (không đăng nhập) mở trang từ email nhắc lịch bằng /appointment/access?id=...&email=...
+ */
+const AnonymousAppointment = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const code = searchParams.get('code') || '';
+  const guestId = searchParams.get('id') || '';
+  const guestEmail = searchParams.get('email') || '';
+  const guestMode = !code && !!guestId && !!guestEmail;
+  // Khách xác thực bằng email, cuộc hẹn ẩn danh bằng mã truy cập
+  const credential = guestMode
+    ? `guest?email=${encodeURIComponent(guestEmail)}`
+    : `anonymous?code=${encodeURIComponent(code)}`;
+
+  const [codeInput, setCodeInput] = useState(code);
+  const [appointment, setAppointment] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [openCancelDialog, setOpenCancelDialog] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [openRescheduleDialog, setOpenRescheduleDialog] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [review, setReview] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (code) {
+      fetchAppointment(code);
+    } else if (guestMode) {
+      fetchGuestAppointment(guestId, guestEmail);
+    }
+  }, [code, guestMode, guestId, guestEmail]);
+
+  const showAppointment = (data) => {
+    setAppointment(data);
+    setRating(data.reviewScore || 0);
+    setReview(data.customerReview || '');
+  };
+
+  const fetchAppointment = async (accessCode) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiGet('/appointments/access', { code: accessCode }, false);
+      showAppointment(data);
+    } catch (err) {
+      setAppointment(null);
+      setError(err.response?.data?.message || 'Không thể tải thông tin cuộc hẹn.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchGuestAppointment = async (id, email) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await apiGet('/appointments/guest', { email }, false);
+      const found = data.find(item => String(item.id) === String(id));
+      if (found) {
+        showAppointment(found);
+      } else {
+        setAppointment(null);
+        setError('Không tìm thấy cuộc hẹn.');
+      }
+    } catch (err) {
+      setAppointment(null);
+      setError(err.response?.data?.message || 'Không thể tải thông tin cuộc hẹn.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmitCode = (e) => {
+    e.preventDefault();
+    const trimmed = codeInput.trim();
+    if (!trimmed) {
+      setError('Vui lòng nhập mã truy cập');
+      return;
+    }
+    if (trimmed === code) {
+      fetchAppointment(trimmed);
+    } else {
+      setSearchParams({ code: trimmed }, { replace: true });
+    }
+  };
+
+  const handleJoinMeeting = () => {
+    // linkGoogleMeet là URL đầy đủ, chỉ lấy đường dẫn để điều hướng trong ứng dụng và điền sẵn bí danh
+    const meetingPath = new URL(appointment.linkGoogleMeet, window.location.origin).pathname;
+    navigate(meetingPath, { state: { participantName: appointment.customerName } });
+  };
+
+  const handleConfirmCancel = async () => {
+    setCancelling(true);
+    try {
+      const data = await apiPut(`/appointments/${appointment.id}/cancel/${credential}`);
+      setAppointment(data);
+      showSuccessAlert('Hủy cuộc hẹn thành công!');
+    } catch (err) {
+      console.error('Error cancelling anonymous appointment:', err);
+    } finally {
+      setCancelling(false);
+      setOpenCancelDialog(false);
+    }
+  };
+
+  const handleConfirmReschedule = async (slot) => {
+    try {
+      const data = await apiPut(`/appointments/${appointment.id}/reschedule/${credential}`, {
+        slotId: slot.id
+      });
+      setAppointment(data);
+      setOpenRescheduleDialog(false);
+      showSuccessAlert('Đổi lịch hẹn thành công!');
+    } catch (err) {
+      console.error('Error rescheduling anonymous appointment:', err);
+    }
+  };
+
+  const handleDownloadCalendar = async () => {
+    try {
+      await downloadAppointmentCalendar(appointment.id, guestMode ? { email: guestEmail } : { accessCode: code });
+    } catch (err) {
+      console.error('Error downloading calendar file:', err);
+      showErrorAlert('Không thể tải file lịch hẹn!');
+    }
+  };
+
+  const handleSubmitReview = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      showErrorAlert('Vui lòng chọn đánh giá từ 1 đến 5 sao.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const data = await apiPut(`/appointments/${appointment.id}/review/${credential}`, {
+        reviewScore: rating,
+        customerReview: review
+      });
+      setAppointment(data);
+      showSuccessAlert('Gửi đánh giá cuộc tư vấn thành công!');
+    } catch (err) {
+      console.error('Error submitting anonymous review:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const canJoin = appointment && appointment.linkGoogleMeet
+    && (appointment.status === 'CONFIRMED' || appointment.status === 'ON_GOING');
+  const canModify = appointment && (appointment.status === 'PENDING' || appointment.status === 'CONFIRMED');
+
+  return (
+    <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
+      <Paper sx={{ p: 4, borderRadius: 2, boxShadow: '0 4px 15px rgba(0,0,0,0.05)' }}>
+        <Typography variant="h5" component="h1" gutterBottom sx={{ fontWeight: 600, color: '#0056b3' }}>
+          {guestMode ? 'Cuộc hẹn của bạn' : 'Cuộc hẹn ẩn danh'}
+        </Typography>
+
+        {!guestMode && (
+          <Box component="form" onSubmit={handleSubmitCode} noValidate sx={{ display: 'flex', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+            <TextField
+              label="Mã truy cập"
+              placeholder="VD: ABCDE-23456"
+              value={codeInput}
+              onChange={(e) => setCodeInput(e.target.value)}
+              sx={{ flex: 1, minWidth: 220 }}
+              inputProps={{ style: { textTransform: 'uppercase', letterSpacing: 2 } }}
+            />
+            <Button type="submit" variant="contained" disabled={loading} sx={{ fontWeight: 600, minWidth: 150 }}>
+              {loading ? <CircularProgress size={24} color="inherit" /> : 'Xem cuộc hẹn'}
+            </Button>
+          </Box>
+        )}
+
+        {guestMode && loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>
+        )}
+
+        {appointment && (
+          <>
+            <Divider sx={{ my: 3 }} />
+
+            {appointment.rescheduleNotice && (
+              <Alert severity="info" sx={{ mb: 2 }}>{appointment.rescheduleNotice}</Alert>
+            )}
+
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '180px 1fr' }, rowGap: 1 }}>
+              <Typography color="text.secondary">{guestMode ? 'Họ tên' : 'Bí danh'}</Typography>
+              <Typography sx={{ fontWeight: 500 }}>{appointment.customerName}</Typography>
+              <Typography color="text.secondary">Chủ đề tư vấn</Typography>
+              <Typography>{appointment.topicName}</Typography>
+              <Typography color="text.secondary">Tư vấn viên</Typography>
+              <Typography>{appointment.consultantName}</Typography>
+              <Typography color="text.secondary">Thời gian</Typography>
+              <Typography>{appointment.appointmentTime} - {appointment.appointmentDate}</Typography>
+              <Typography color="text.secondary">Trạng thái</Typography>
+              <Typography sx={{ fontWeight: 600 }}>{STATUS_LABELS[appointment.status] || appointment.status}</Typography>
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 2, mt: 3, flexWrap: 'wrap' }}>
+              {canJoin && (
+                <Button variant="contained" onClick={handleJoinMeeting} sx={{ fontWeight: 600 }}>
+                  Tham gia cuộc họp
+                </Button>
+              )}
+              {appointment.status !== 'CANCELLED' && (
+                <Button variant="outlined" onClick={handleDownloadCalendar} sx={{ fontWeight: 600 }}>
+                  Thêm vào lịch
+                </Button>
+              )}
+              {canModify && (
+                <Button variant="outlined" onClick={() => setOpenRescheduleDialog(true)} sx={{ fontWeight: 600 }}>
+                  Đổi lịch
+                </Button>
+              )}
+              {canModify && (
+                <Button variant="outlined" color="error" onClick={() => setOpenCancelDialog(true)} sx={{ fontWeight: 600 }}>
+                  Hủy cuộc hẹn
+                </Button>
+              )}
+            </Box>
+
+            {appointment.status === 'COMPLETED' && (
+              <Box component="form" onSubmit={handleSubmitReview} noValidate sx={{ mt: 4 }}>
+                <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>
+                  Đánh giá cuộc tư vấn
+                </Typography>
+                <Typography variant="body2" color={appointment.review ? 'text.secondary' : 'error.main'} sx={{ mb: 2 }}>
+                  {appointment.review
+                    ? 'Bạn đã đánh giá cuộc họp này rồi, không thể đánh giá lại!'
+                    : 'Bạn chỉ có thể đánh giá cuộc họp này một lần duy nhất!'}
+                </Typography>
+                <Rating
+                  name="rating"
+                  value={rating}
+                  precision={1}
+                  onChange={(event, newValue) => setRating(newValue || 0)}
+                  size="large"
+                  max={5}
+                  disabled={appointment.review}
+                />
+                <TextField
+                  margin="normal"
+                  fullWidth
+                  label="Nhận xét của bạn"
+                  value={review}
+                  onChange={(e) => setReview(e.target.value)}
+                  multiline
+                  rows={4}
+                  disabled={appointment.review}
+                />
+                {!appointment.review && (
+                  <Button type="submit" variant="contained" disabled={submitting} sx={{ mt: 1, width: '150px', fontWeight: 600 }}>
+                    {submitting ? <CircularProgress size={24} /> : 'Gửi đánh giá'}
+                  </Button>
+                )}
+              </Box>
+            )}
+          </>
+        )}
+      </Paper>
+
+      <RescheduleDialog
+        open={openRescheduleDialog}
+        appointment={appointment}
+        onClose={() => setOpenRescheduleDialog(false)}
+        onConfirm={handleConfirmReschedule}
+      />
+
+      <Dialog open={openCancelDialog} onClose={() => setOpenCancelDialog(false)}>
+        <DialogTitle>Xác nhận hủy cuộc hẹn</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Bạn có chắc chắn muốn hủy cuộc hẹn này không? Hành động này không thể hoàn tác.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenCancelDialog(false)} disabled={cancelling}>
+            Không
+          </Button>
+          <Button onClick={handleConfirmCancel} color="error" variant="contained" disabled={cancelling}>
+            {cancelling ? <CircularProgress size={20} color="inherit" /> : 'Hủy cuộc hẹn'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Container>
+  );
+};
+
+export default AnonymousAppointment;
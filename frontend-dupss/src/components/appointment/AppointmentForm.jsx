@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import { 
   Box, 
   Paper, 
@@ -11,7 +12,13 @@ import {
   Alert,
   Snackbar,
   CircularProgress,
-  Divider
+  Divider,
+  FormControlLabel,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import { 
   Person as PersonIcon,
@@ -20,21 +27,32 @@ import {
   CalendarToday as CalendarIcon,
   AccessTime as AccessTimeIcon,
   Category as CategoryIcon,
+  Notes as NotesIcon,
+  ContentCopy as ContentCopyIcon,
   Person
 } from '@mui/icons-material';
-import axios from 'axios';
 import './AppointmentForm.css';
 import { CalendarIcon as CalendarIconX } from '@mui/x-date-pickers';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { format, parse } from 'date-fns';
-import { API_URL } from '../../services/config';
+import { isCancelledError } from '@dupss/api-client';
+import { fetchCurrentUser } from '../../services/authService';
 import ConsultantSelector from './ConsultantSelector';
 import { createMeeting, getToken } from '../../services/videoService';
 import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
+import { apiGet, apiPost } from '../../services/apiService';
 
 const AppointmentForm = () => {
+  // Tóm tắt cuộc trò chuyện được chuyển từ trợ lý AI khi phát hiện dấu hiệu khủng hoảng
+  const location = useLocation();
+  const chatSummary = location.state?.chatSummary || '';
+  // Mã giữ chỗ từ email danh sách chờ (/appointment?holdToken=...)
+  const holdToken = new URLSearchParams(location.search).get('holdToken');
+  // Mã xác nhận đăng ký danh sách chờ của khách (/appointment?waitlistToken=...)
+  const waitlistToken = new URLSearchParams(location.search).get('waitlistToken');
+
   const [formData, setFormData] = useState({
     fullName: '',
     phoneNumber: '',
@@ -43,8 +61,10 @@ const AppointmentForm = () => {
     appointmentTime: '',
     topicId: '',
     consultantName: '',
-    slotId: null
+    slotId: null,
+    customerNote: chatSummary
   });
+  const [prefilledFromChat, setPrefilledFromChat] = useState(!!chatSummary);
 
   const [errors, setErrors] = useState({});
   const [topics, setTopics] = useState([]);
@@ -58,18 +78,32 @@ const AppointmentForm = () => {
   
   const [showConsultantSelector, setShowConsultantSelector] = useState(true);
   const [selectedSlot, setSelectedSlot] = useState(null);
+  // Đặt lịch ẩn danh: chỉ cần bí danh, nhận mã truy cập/magic link thay cho email và số điện thoại
+  const [isAnonymous, setIsAnonymous] = useState(false);
+  const [accessInfo, setAccessInfo] = useState(null);
+  // Slot đang được giữ cho người dùng từ danh sách chờ
+  const [waitlistHold, setWaitlistHold] = useState(null);
 
   useEffect(() => {
+    // Hủy các request tải dữ liệu khi rời trang
+    const controller = new AbortController();
     // Fetch topics when component mounts
-    fetchTopics();
+    fetchTopics(controller.signal);
     // Check authentication status
-    checkAuthStatus();
+    checkAuthStatus(controller.signal);
+    if (holdToken) {
+      fetchWaitlistHold(controller.signal);
+    }
+    if (waitlistToken) {
+      confirmWaitlist();
+    }
 
     // Add event listener for browser's back button
     window.addEventListener('popstate', handlePopState);
 
     // Clean up the event listener when component unmounts
     return () => {
+      controller.abort();
       window.removeEventListener('popstate', handlePopState);
     };
   }, []);
@@ -84,67 +118,73 @@ const AppointmentForm = () => {
     }
   };
 
-  const fetchTopics = async () => {
+  const fetchTopics = async (signal) => {
     try {
-      const response = await axios.get(`${API_URL}/topics`);
-      setTopics(response.data);
+      setTopics(await apiGet('/topics', {}, false, { signal }));
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error('Error fetching topics:', error);
     }
   };
 
-  const checkAuthStatus = async () => {
-    const accessToken = localStorage.getItem('accessToken');
-    if (!accessToken) return;
+  const fetchWaitlistHold = async (signal) => {
+    try {
+      const hold = await apiGet('/waitlist/hold', { token: holdToken }, false, { signal });
+      setWaitlistHold(hold);
+      setFormData(prev => ({
+        ...prev,
+        fullName: prev.fullName || hold.customerName,
+        email: prev.email || hold.email,
+        topicId: hold.topicId || prev.topicId
+      }));
+      handleSlotSelect(hold.heldSlot);
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      showErrorAlert(error.response?.data?.message || 'Lịch giữ chỗ không còn hiệu lực');
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  };
 
+  const confirmWaitlist = async () => {
     try {
-      // Check authentication status with POST method
-      const response = await axios.post(`${API_URL}/auth/me`, {
-        accessToken
-      });
-      
-      if (response.status === 200) {
-        // Prefill form with user data
-        const userData = response.data;
-        setUserId(userData.id); // Store user ID
-        setFormData(prev => ({
-          ...prev,
-          fullName: userData.fullName || '',
-          email: userData.email || '',
-          phoneNumber: userData.phone || ''
-        }));
-      }
+      await apiPost(`/waitlist/confirm?token=${encodeURIComponent(waitlistToken)}`, {}, false);
+      showSuccessAlert('Đã xác nhận đăng ký danh sách chờ! Chúng tôi sẽ gửi email khi có lịch trống.');
     } catch (error) {
-      if (error.response && error.response.status === 401) {
-        // Token expired, try refreshing
-        tryRefreshToken();
-      } else {
-        console.error('Error checking auth status:', error);
-      }
+      showErrorAlert(error.response?.data?.message || 'Đường dẫn xác nhận không còn hiệu lực');
+    } finally {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  };
+
+  const handleDeclineHold = async () => {
+    try {
+      await apiPost(`/waitlist/hold/decline?token=${encodeURIComponent(waitlistHold.holdToken)}`);
+      setWaitlistHold(null);
+      showSuccessAlert('Bạn đã từ chối lịch giữ chỗ, lịch sẽ được chuyển cho người tiếp theo.');
+      handleBackToConsultants();
+    } catch (error) {
+      console.error('Error declining waitlist hold:', error);
     }
   };
 
-  const tryRefreshToken = async () => {
+  const checkAuthStatus = async (signal) => {
     const accessToken = localStorage.getItem('accessToken');
     if (!accessToken) return;
 
     try {
-      const response = await axios.post(`${API_URL}/auth/refresh-token`, {
-        accessToken
-      });
-      
-      if (response.data && response.data.accessToken) {
-        // Save new tokens
-        localStorage.setItem('accessToken', response.data.accessToken);
-        if (response.data.refreshToken) {
-          localStorage.setItem('refreshToken', response.data.refreshToken);
-        }
-        
-        // Retry auth check
-        checkAuthStatus();
-      }
+      // Token hết hạn được api client làm mới tự động
+      const userData = await fetchCurrentUser({ signal });
+      // Prefill form with user data
+      setUserId(userData.id); // Store user ID
+      setFormData(prev => ({
+        ...prev,
+        fullName: userData.fullName || '',
+        email: userData.email || '',
+        phoneNumber: userData.phone || ''
+      }));
     } catch (error) {
-      console.error('Error refreshing token:', error);
+      if (isCancelledError(error)) return;
+      console.error('Error checking auth status:', error);
     }
   };
 
@@ -169,19 +209,21 @@ const AppointmentForm = () => {
     
     // Validate full name
     if (!formData.fullName.trim()) {
-      newErrors.fullName = 'Họ và tên là bắt buộc';
-    }
-    
-    // Validate phone number
-    if (!formData.phoneNumber.trim()) {
-      newErrors.phoneNumber = 'Số điện thoại là bắt buộc';
+      newErrors.fullName = isAnonymous ? 'Bí danh là bắt buộc' : 'Họ và tên là bắt buộc';
     }
     
-    // Validate email
-    if (!formData.email) {
-      newErrors.email = 'Email là bắt buộc';
-    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
-      newErrors.email = 'Email không hợp lệ';
+    if (!isAnonymous) {
+      // Validate phone number
+      if (!formData.phoneNumber.trim()) {
+        newErrors.phoneNumber = 'Số điện thoại là bắt buộc';
+      }
+      
+      // Validate email
+      if (!formData.email) {
+        newErrors.email = 'Email là bắt buộc';
+      } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
+        newErrors.email = 'Email không hợp lệ';
+      }
     }
     
     // Validate topic
@@ -212,16 +254,19 @@ const AppointmentForm = () => {
         // Format the data for API
         const appointmentData = {
           customerName: formData.fullName,
-          phoneNumber: formData.phoneNumber,
-          email: formData.email,
+          phoneNumber: isAnonymous ? null : formData.phoneNumber,
+          email: isAnonymous ? null : formData.email,
+          anonymous: isAnonymous,
           topicId: parseInt(formData.topicId),
           slotId: parseInt(formData.slotId),
           videoCallId: meetingId,
-          userId: userId // Include userId (will be null if not logged in)
+          userId: userId, // Include userId (will be null if not logged in)
+          holdToken: waitlistHold?.heldSlot.id === formData.slotId ? waitlistHold.holdToken : null,
+          customerNote: formData.customerNote.trim() || null
         };
 
         // Submit the appointment
-        const response = await axios.post(`${API_URL}/appointments`, appointmentData);
+        const data = await apiPost('/appointments', appointmentData, false);
         
         // Set processing state to false
         setIsProcessing(false);
@@ -233,8 +278,17 @@ const AppointmentForm = () => {
           severity: 'success'
         });
         
+        // Mã truy cập chỉ được trả về một lần, hiển thị để khách lưu lại
+        if (data?.accessCode) {
+          setAccessInfo({
+            code: data.accessCode,
+            link: `${window.location.origin}/appointment/access?code=${encodeURIComponent(data.accessCode)}`
+          });
+        }
+        
         // Reset form but keep personal info if user is logged in
         handleReset();
+        setWaitlistHold(null);
         
         // Show a success alert notification when returning to ConsultantSelector
         showSuccessAlert('Đặt lịch tư vấn thành công!');
@@ -273,7 +327,8 @@ const AppointmentForm = () => {
         appointmentTime: '',
         topicId: '',
         consultantName: '',
-        slotId: null
+        slotId: null,
+        customerNote: ''
       }));
     } else {
       // If not logged in, clear all fields
@@ -285,12 +340,24 @@ const AppointmentForm = () => {
         appointmentTime: '',
         topicId: '',
         consultantName: '',
-        slotId: null
+        slotId: null,
+        customerNote: ''
       });
     }
+    setPrefilledFromChat(false);
     setErrors({});
   };
 
+  const handleCopy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      showSuccessAlert('Đã sao chép');
+    } catch (error) {
+      console.error('Error copying to clipboard:', error);
+      showErrorAlert('Không thể sao chép, vui lòng sao chép thủ công');
+    }
+  };
+
   const handleCloseAlert = () => {
     setAlert({
       ...alert,
@@ -343,6 +410,13 @@ const AppointmentForm = () => {
 
   return (
     <>
+      {prefilledFromChat && (
+        <Alert severity="info" sx={{ mb: 3 }} onClose={() => setPrefilledFromChat(false)}>
+          Tóm tắt cuộc trò chuyện với trợ lý AI đã được điền sẵn vào phần ghi chú để chuyên viên nắm được tình hình của bạn.
+          Bạn có thể chỉnh sửa hoặc xóa trước khi đặt lịch.
+        </Alert>
+      )}
+
       {showConsultantSelector ? (
         <ConsultantSelector onSlotSelect={handleSlotSelect} />
       ) : (
@@ -351,15 +425,55 @@ const AppointmentForm = () => {
             Thông tin đặt lịch hẹn
           </Typography>
           
+          {waitlistHold && waitlistHold.heldSlot.id === formData.slotId && (
+            <Alert
+              severity="success"
+              sx={{ mb: 3 }}
+              action={
+                <Button color="inherit" size="small" onClick={handleDeclineHold}>
+                  Từ chối
+                </Button>
+              }
+            >
+              Lịch này đang được giữ riêng cho bạn từ danh sách chờ đến {waitlistHold.holdExpiresAt}.
+              Vui lòng hoàn tất đặt lịch trước thời hạn này.
+            </Alert>
+          )}
+
           <Box component="form" onSubmit={handleSubmit} noValidate>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              {/* Anonymous mode - only for guests */}
+              {!userId && (
+                <Box>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={isAnonymous}
+                        onChange={(e) => {
+                          setIsAnonymous(e.target.checked);
+                          setErrors({});
+                        }}
+                      />
+                    }
+                    label="Đặt lịch ẩn danh"
+                  />
+                  {isAnonymous && (
+                    <Alert severity="info" sx={{ mt: 1 }}>
+                      Bạn chỉ cần nhập một bí danh. Sau khi đặt lịch, bạn sẽ nhận được mã truy cập và đường link riêng
+                      để tham gia cuộc họp, hủy lịch hoặc đánh giá. Chúng tôi không lưu email hay số điện thoại của bạn,
+                      vì vậy hãy lưu lại mã truy cập cẩn thận.
+                    </Alert>
+                  )}
+                </Box>
+              )}
+
               {/* Full Name */}
               <TextField
                 fullWidth
                 required
                 id="fullName"
                 name="fullName"
-                label="Họ và Tên"
+                label={isAnonymous ? 'Bí danh' : 'Họ và Tên'}
                 value={formData.fullName}
                 onChange={handleChange}
                 error={!!errors.fullName}
@@ -374,6 +488,7 @@ const AppointmentForm = () => {
               />
               
               {/* Phone Number */}
+              {!isAnonymous && (
               <TextField
                 fullWidth
                 required
@@ -392,8 +507,10 @@ const AppointmentForm = () => {
                   ),
                 }}
               />
+              )}
               
               {/* Email */}
+              {!isAnonymous && (
               <TextField
                 fullWidth
                 required
@@ -413,6 +530,7 @@ const AppointmentForm = () => {
                   ),
                 }}
               />
+              )}
               
               {/* Topic */}
               <TextField
@@ -502,6 +620,28 @@ const AppointmentForm = () => {
                   ),
                 }}
               />
+
+              {/* Customer Note */}
+              <TextField
+                fullWidth
+                multiline
+                minRows={3}
+                id="customerNote"
+                name="customerNote"
+                label="Ghi chú cho chuyên viên"
+                placeholder="Chia sẻ thêm về tình trạng hoặc điều bạn muốn được tư vấn (không bắt buộc)"
+                value={formData.customerNote}
+                onChange={handleChange}
+                inputProps={{ maxLength: 2000 }}
+                helperText={`${formData.customerNote.length}/2000`}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start" sx={{ alignSelf: 'flex-start', mt: 1 }}>
+                      <NotesIcon />
+                    </InputAdornment>
+                  ),
+                }}
+              />
             </Box>
             
             <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
@@ -588,6 +728,39 @@ const AppointmentForm = () => {
           </Snackbar>
         </Paper>
       )}
+
+      {/* Mã truy cập cho cuộc hẹn ẩn danh */}
+      <Dialog open={!!accessInfo} maxWidth="sm" fullWidth>
+        <DialogTitle sx={{ fontWeight: 600, color: '#0056b3' }}>Lưu lại mã truy cập của bạn</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Mã này chỉ hiển thị một lần. Bạn cần mã hoặc đường link bên dưới để tham gia cuộc họp, hủy lịch và đánh giá.
+          </Alert>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+            <Typography variant="h5" sx={{ fontFamily: 'monospace', letterSpacing: 3, fontWeight: 700 }}>
+              {accessInfo?.code}
+            </Typography>
+            <Button size="small" startIcon={<ContentCopyIcon />} onClick={() => handleCopy(accessInfo.code)}>
+              Sao chép mã
+            </Button>
+          </Box>
+          <TextField
+            fullWidth
+            size="small"
+            label="Đường link truy cập"
+            value={accessInfo?.link || ''}
+            InputProps={{ readOnly: true }}
+          />
+          <Button size="small" startIcon={<ContentCopyIcon />} onClick={() => handleCopy(accessInfo.link)} sx={{ mt: 1 }}>
+            Sao chép link
+          </Button>
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={() => setAccessInfo(null)} sx={{ fontWeight: 600 }}>
+            Tôi đã lưu mã
+          </Button>
+        </DialogActions>
+      </Dialog>
     </>
   );
 };
@@ -12,7 +12,8 @@ import {
   Alert,
 } from '@mui/material';
 import { showErrorAlert, showSuccessAlert } from '../common/AlertNotification';
-import { API_URL } from '../../services/config';
+import { isCancelledError } from '@dupss/api-client';
+import api from '../../services/authService';
 
 const AppointmentReview = () => {
   const { id } = useParams();
@@ -24,37 +25,35 @@ const AppointmentReview = () => {
   const [submitting, setSubmitting] = useState(false);
 
   useEffect(() => {
-    fetchAppointmentDetails();
+    const controller = new AbortController();
+    fetchAppointmentDetails(controller.signal);
+    return () => controller.abort();
   }, [id]);
 
-  const fetchAppointmentDetails = async () => {
+  const fetchAppointmentDetails = async (signal) => {
     setLoading(true);
     try {
-      const response = await fetch(`${API_URL}/appointments/${id}`, {
-        method: 'GET'
-      });
+      const { data } = await api.get(`/appointments/${id}`, { signal });
+      setAppointment(data);
 
-      if (response.status === 200) {
-        const data = await response.json();
-        setAppointment(data);
-        
-        // If appointment has existing review, load it
-        if (data.reviewScore) {
-          setRating(data.reviewScore);
-        }
-        if (data.customerReview) {
-          setReview(data.customerReview);
-        }
-      } else {
-        showErrorAlert('Không thể tải thông tin cuộc hẹn.');
-        navigate('/profile');
+      // If appointment has existing review, load it
+      if (data.reviewScore) {
+        setRating(data.reviewScore);
+      }
+      if (data.customerReview) {
+        setReview(data.customerReview);
       }
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error('Error fetching appointment details:', error);
-      showErrorAlert('Có lỗi xảy ra khi tải thông tin cuộc hẹn.');
-    } finally {
-      setLoading(false);
+      if (error.status) {
+        showErrorAlert('Không thể tải thông tin cuộc hẹn.');
+        navigate('/profile');
+      } else {
+        showErrorAlert('Có lỗi xảy ra khi tải thông tin cuộc hẹn.');
+      }
     }
+    setLoading(false);
   };
 
   const handleSubmitReview = async (e) => {
@@ -67,24 +66,13 @@ const AppointmentReview = () => {
 
     setSubmitting(true);
     try {
-      const response = await fetch(`${API_URL}/appointments/${id}/review`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          reviewScore: rating,
-          customerReview: review
-        })
+      await api.put(`/appointments/${id}/review`, {
+        reviewScore: rating,
+        customerReview: review
       });
-
-      if (response.status === 200) {
-        showSuccessAlert('Gửi đánh giá cuộc tư vấn thành công!');
-        // Refresh appointment data
-        fetchAppointmentDetails();
-      } else {
-        showErrorAlert('Gửi đánh giá cuộc tư vấn thất bại!');
-      }
+      showSuccessAlert('Gửi đánh giá cuộc tư vấn thành công!');
+      // Refresh appointment data
+      fetchAppointmentDetails();
     } catch (error) {
       console.error('Error submitting review:', error);
       showErrorAlert('Gửi đánh giá cuộc tư vấn thất bại!');
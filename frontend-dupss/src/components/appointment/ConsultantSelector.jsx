@@ -1,241 +1,329 @@
 import { useState, useEffect } from 'react';
-import { 
-  Box, 
-  Typography, 
-  Paper, 
-  Grid, 
-  Card, 
-  CardContent, 
-  CardMedia, 
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Card,
   Button,
   Avatar,
   CircularProgress,
-  TextField,
-  InputAdornment,
-  Divider,
-  Chip
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Rating,
+  Alert
 } from '@mui/material';
-import { 
-  CalendarMonth as CalendarIcon,
-  AccessTime as AccessTimeIcon
+import {
+  AccessTime as AccessTimeIcon,
+  Search as SearchIcon,
+  ChevronLeft as ChevronLeftIcon,
+  ChevronRight as ChevronRightIcon
 } from '@mui/icons-material';
-import axios from 'axios';
-import { format, addDays, subDays, isValid, isSameDay, isAfter, isBefore, parse } from 'date-fns';
-import { API_URL } from '../../services/config';
+import { isCancelledError } from '@dupss/api-client';
+import { format, addDays, isAfter, startOfDay } from 'date-fns';
+import { vi } from 'date-fns/locale';
+import api from '../../services/authService';
+import WaitlistDialog from './WaitlistDialog';
+
+// Số ngày hiển thị trên dải lịch trống của mỗi tư vấn viên
+const AVAILABILITY_DAYS = 7;
+
+const ACADEMIC_TITLES = [
+  { value: 'GS', label: 'Giáo sư' },
+  { value: 'PGS', label: 'Phó Giáo sư' },
+  { value: 'TS', label: 'Tiến sĩ' },
+  { value: 'ThS', label: 'Thạc sĩ' },
+  { value: 'BS', label: 'Bác sĩ' },
+  { value: 'CN', label: 'Cử nhân' },
+  { value: 'TVV', label: 'Tư vấn viên' }
+];
+
+const RATING_CHOICES = [
+  { value: 4.5, label: 'Từ 4.5 sao' },
+  { value: 4, label: 'Từ 4 sao' },
+  { value: 3, label: 'Từ 3 sao' }
+];
+
+const EMPTY_FILTERS = { topicId: '', academicTitle: '', minRating: '' };
+
+// Sau 17:00 không đặt lịch trong ngày nữa nên ngày sớm nhất là ngày mai
+const getMinDate = () => {
+  const now = new Date();
+  return startOfDay(now.getHours() >= 17 ? addDays(now, 1) : now);
+};
+
+const toApiDate = (date) => format(date, 'dd/MM/yyyy');
+
+const getDays = (startDate) => Array.from({ length: AVAILABILITY_DAYS }, (_, index) => addDays(startDate, index));
+
+const toFilterParams = (filters) => ({
+  topicId: filters.topicId || undefined,
+  academicTitle: filters.academicTitle || undefined,
+  minRating: filters.minRating || undefined
+});
 
 const ConsultantSelector = ({ onSlotSelect }) => {
   const [consultants, setConsultants] = useState([]);
-  const [consultantDates, setConsultantDates] = useState({});
-  const [slotsMap, setSlotsMap] = useState({});
+  const [topics, setTopics] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [startDate, setStartDate] = useState(getMinDate);
+  // { [consultantId]: { [dd/MM/yyyy]: slot[] } }
+  const [availability, setAvailability] = useState({});
+  const [selectedDays, setSelectedDays] = useState({});
+  const [firstAvailable, setFirstAvailable] = useState(undefined);
+  const [searchingFirst, setSearchingFirst] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [loadingSlots, setLoadingSlots] = useState(false);
   const [error, setError] = useState(null);
+  // { open, consultant, date }: consultant = null khi chờ bất kỳ tư vấn viên nào
+  const [waitlistDialog, setWaitlistDialog] = useState({ open: false, consultant: null, date: null });
+
+  const days = getDays(startDate);
 
-  // Fetch consultants when component mounts
   useEffect(() => {
-    fetchConsultants();
+    const controller = new AbortController();
+    const fetchTopics = async () => {
+      try {
+        const response = await api.get('/topics', { signal: controller.signal });
+        setTopics(response.data || []);
+      } catch (err) {
+        if (!isCancelledError(err)) console.error('Error fetching topics:', err);
+      }
+    };
+
+    fetchTopics();
+    return () => controller.abort();
   }, []);
 
-  // Initialize dates and fetch slots when consultants are loaded
+  // Tải lại danh sách khi đổi bộ lọc, hủy request của bộ lọc cũ
   useEffect(() => {
-    if (consultants.length > 0) {
-      // Check if current time is past 5:00 PM
-      const now = new Date();
-      const isPastFivePM = now.getHours() >= 17;
-      
-      // If it's past 5:00 PM, use tomorrow's date as default
-      const defaultDate = isPastFivePM ? addDays(now, 1) : now;
-      const formattedDefaultDate = format(defaultDate, 'dd/MM/yyyy');
-      
-      // Initialize dates for all consultants
-      const initialDates = {};
-      consultants.forEach(consultant => {
-        initialDates[consultant.id] = formattedDefaultDate;
-      });
-      setConsultantDates(initialDates);
-      
-      // Initial fetch of slots for all consultants
-      const consultantIds = consultants.map(c => c.id);
-      fetchSlotsForConsultants(consultantIds, initialDates);
+    const controller = new AbortController();
+    fetchConsultants(controller.signal);
+    setFirstAvailable(undefined);
+    return () => controller.abort();
+  }, [filters]);
+
+  // Lấy lịch trống của mọi tư vấn viên đang hiển thị trong cả dải ngày bằng một request
+  useEffect(() => {
+    if (consultants.length === 0) {
+      setAvailability({});
+      return;
     }
-  }, [consultants]);
 
-  const fetchConsultants = async () => {
+    const controller = new AbortController();
+    const fetchAvailability = async () => {
+      setLoadingSlots(true);
+      try {
+        const response = await api.get('/public/slots/availability', {
+          params: {
+            consultantIds: consultants.map(consultant => consultant.id).join(','),
+            from: toApiDate(startDate),
+            days: AVAILABILITY_DAYS
+          },
+          signal: controller.signal
+        });
+
+        const grouped = {};
+        (response.data || []).forEach(slot => {
+          grouped[slot.consultantId] = grouped[slot.consultantId] || {};
+          grouped[slot.consultantId][slot.date] = [...(grouped[slot.consultantId][slot.date] || []), slot];
+        });
+        setAvailability(grouped);
+
+        // Mặc định chọn ngày đầu tiên có lịch trống của từng tư vấn viên
+        const defaults = {};
+        consultants.forEach(consultant => {
+          const firstDay = getDays(startDate).find(day => grouped[consultant.id]?.[toApiDate(day)]?.length > 0);
+          defaults[consultant.id] = toApiDate(firstDay || startDate);
+        });
+        setSelectedDays(defaults);
+      } catch (err) {
+        if (isCancelledError(err)) return;
+        console.error('Error fetching availability:', err);
+        setAvailability({});
+      }
+      setLoadingSlots(false);
+    };
+
+    fetchAvailability();
+    return () => controller.abort();
+  }, [consultants, startDate]);
+
+  const fetchConsultants = async (signal) => {
     setIsLoading(true);
     try {
-      const response = await axios.get(`${API_URL}/public/consultants/available`);
+      const response = await api.get('/public/consultants/available', {
+        params: toFilterParams(filters),
+        signal
+      });
       setConsultants(response.data);
       setError(null);
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching consultants:', err);
       setError('Không thể tải danh sách tư vấn viên. Vui lòng thử lại sau.');
-    } finally {
-      setIsLoading(false);
     }
+    setIsLoading(false);
   };
 
-  const fetchSlotsForConsultants = async (consultantIds, dateMap) => {
-    const newSlotsMap = { ...slotsMap };
-    
-    for (const consultantId of consultantIds) {
-      try {
-        const date = dateMap[consultantId];
-        // URL encode the date parameter
-        const encodedDate = encodeURIComponent(date);
-        const response = await axios.get(`${API_URL}/public/slots/consultant/${consultantId}?date=${encodedDate}`);
-        newSlotsMap[consultantId] = response.data || [];
-      } catch (err) {
-        console.error(`Error fetching slots for consultant ${consultantId}:`, err);
-        newSlotsMap[consultantId] = [];
-      }
-    }
-    
-    setSlotsMap(newSlotsMap);
-  };
-
-  const handleDateChange = (consultantId, e) => {
-    const newDate = e.target.value;
-    // Validate and format date
+  const handleFindFirstAvailable = async () => {
+    setSearchingFirst(true);
     try {
-      const dateObj = new Date(newDate);
-      if (isValid(dateObj)) {
-        const formattedDate = format(dateObj, 'dd/MM/yyyy');
-        
-        // Update only the specific consultant's date
-        setConsultantDates(prev => {
-          const updated = { 
-            ...prev, 
-            [consultantId]: formattedDate 
-          };
-          
-          // Fetch slots for this consultant with the new date
-          fetchSlotsForConsultants([consultantId], updated);
-          
-          return updated;
-        });
-      }
+      const response = await api.get('/public/slots/first-available', {
+        params: toFilterParams(filters)
+      });
+      // 204: không còn lịch trống nào
+      setFirstAvailable(response.status === 204 ? null : response.data);
     } catch (err) {
-      console.error('Invalid date format:', err);
+      console.error('Error finding first available slot:', err);
+      setFirstAvailable(null);
+    } finally {
+      setSearchingFirst(false);
     }
   };
 
-  const handlePreviousDay = (consultantId) => {
-    try {
-      // Parse the current date for this consultant
-      const currentDate = consultantDates[consultantId];
-      const [day, month, year] = currentDate.split('/').map(Number);
-      const dateObj = new Date(year, month - 1, day); // month is 0-indexed in JS Date
-      
-      // Get today's date (without time)
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      // Check if current date is already today or before today
-      if (!isAfter(dateObj, today)) {
-        return; // Do nothing if current date is today or earlier
-      }
-      
-      // Subtract one day
-      const previousDay = subDays(dateObj, 1);
-      
-      // Format back to dd/MM/yyyy
-      const formattedDate = format(previousDay, 'dd/MM/yyyy');
-      
-      // Update only this consultant's date
-      setConsultantDates(prev => {
-        const updated = { 
-          ...prev, 
-          [consultantId]: formattedDate 
-        };
-        
-        // Fetch slots for this consultant with the new date
-        fetchSlotsForConsultants([consultantId], updated);
-        
-        return updated;
-      });
-    } catch (err) {
-      console.error('Error calculating previous day:', err);
-    }
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
   };
 
-  const handleNextDay = (consultantId) => {
-    try {
-      // Parse the current date for this consultant
-      const currentDate = consultantDates[consultantId];
-      const [day, month, year] = currentDate.split('/').map(Number);
-      const dateObj = new Date(year, month - 1, day); // month is 0-indexed in JS Date
-      
-      // Add one day
-      const nextDay = addDays(dateObj, 1);
-      
-      // Format back to dd/MM/yyyy
-      const formattedDate = format(nextDay, 'dd/MM/yyyy');
-      
-      // Update only this consultant's date
-      setConsultantDates(prev => {
-        const updated = { 
-          ...prev, 
-          [consultantId]: formattedDate 
-        };
-        
-        // Fetch slots for this consultant with the new date
-        fetchSlotsForConsultants([consultantId], updated);
-        
-        return updated;
-      });
-    } catch (err) {
-      console.error('Error calculating next day:', err);
-    }
+  const handlePreviousRange = () => {
+    const previous = addDays(startDate, -AVAILABILITY_DAYS);
+    const minDate = getMinDate();
+    setStartDate(isAfter(previous, minDate) ? previous : minDate);
   };
 
-  // Function to check if date is today or earlier
-  const isPreviousButtonDisabled = (consultantId) => {
-    try {
-      if (!consultantDates[consultantId]) return false;
-      
-      const currentDate = consultantDates[consultantId];
-      const [day, month, year] = currentDate.split('/').map(Number);
-      const dateObj = new Date(year, month - 1, day);
-      
-      const now = new Date();
-      // Check if current time is past 5:00 PM
-      const isPastFivePM = now.getHours() >= 17;
-      
-      // Set minimum allowed date based on time
-      let minAllowedDate;
-      if (isPastFivePM) {
-        // If it's past 5:00 PM, minimum allowed date is tomorrow
-        minAllowedDate = addDays(new Date(), 1);
-      } else {
-        // Otherwise, minimum allowed date is today
-        minAllowedDate = new Date();
-      }
-      
-      // Reset hours to ensure clean date comparison
-      minAllowedDate.setHours(0, 0, 0, 0);
-      
-      // Return true (disabled) if date is minimum allowed date or earlier
-      return !isAfter(dateObj, minAllowedDate);
-    } catch (err) {
-      console.error('Error checking date:', err);
-      return false;
-    }
+  const handleNextRange = () => {
+    setStartDate(addDays(startDate, AVAILABILITY_DAYS));
   };
 
-  if (isLoading) {
-    return (
-      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '300px' }}>
-        <CircularProgress />
+  const renderSlotButton = (slot) => (
+    <Button
+      key={slot.id}
+      variant="outlined"
+      size="small"
+      onClick={() => onSlotSelect(slot)}
+      startIcon={<AccessTimeIcon />}
+      className="time-slot-button"
+      sx={{
+        borderRadius: '20px',
+        px: 2,
+        py: 0.5,
+        mb: 1,
+        borderColor: '#3f8dda',
+        color: '#1976d2',
+        width: { xs: 'calc(33.33% - 8px)', sm: 'auto' },
+        '&:hover': {
+          bgcolor: '#e8f3ff',
+          borderColor: '#1976d2'
+        }
+      }}
+    >
+      {slot.startTime} - {slot.endTime}
+    </Button>
+  );
+
+  const renderFilters = () => (
+    <Paper elevation={1} sx={{ p: 2, mb: 3, borderRadius: 2 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel id="consultant-topic-label">Chủ đề tư vấn</InputLabel>
+          <Select
+            labelId="consultant-topic-label"
+            label="Chủ đề tư vấn"
+            name="topicId"
+            value={filters.topicId}
+            onChange={handleFilterChange}
+          >
+            <MenuItem value="">Tất cả</MenuItem>
+            {topics.map(topic => (
+              <MenuItem key={topic.id} value={topic.id}>{topic.topicName}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel id="consultant-title-label">Học vị</InputLabel>
+          <Select
+            labelId="consultant-title-label"
+            label="Học vị"
+            name="academicTitle"
+            value={filters.academicTitle}
+            onChange={handleFilterChange}
+          >
+            <MenuItem value="">Tất cả</MenuItem>
+            {ACADEMIC_TITLES.map(title => (
+              <MenuItem key={title.value} value={title.value}>{title.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel id="consultant-rating-label">Đánh giá</InputLabel>
+          <Select
+            labelId="consultant-rating-label"
+            label="Đánh giá"
+            name="minRating"
+            value={filters.minRating}
+            onChange={handleFilterChange}
+          >
+            <MenuItem value="">Tất cả</MenuItem>
+            {RATING_CHOICES.map(choice => (
+              <MenuItem key={choice.value} value={choice.value}>{choice.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button
+          variant="contained"
+          startIcon={searchingFirst ? <CircularProgress size={18} color="inherit" /> : <SearchIcon />}
+          onClick={handleFindFirstAvailable}
+          disabled={searchingFirst}
+        >
+          Tìm lịch trống sớm nhất
+        </Button>
       </Box>
-    );
-  }
+
+      {firstAvailable && (
+        <Alert
+          severity="success"
+          sx={{ mt: 2 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => onSlotSelect(firstAvailable)}>
+              Đặt lịch
+            </Button>
+          }
+        >
+          Lịch trống sớm nhất: {firstAvailable.consultantName}, {firstAvailable.startTime} - {firstAvailable.endTime} ngày {firstAvailable.date}
+        </Alert>
+      )}
+      {firstAvailable === null && (
+        <Alert
+          severity="info"
+          sx={{ mt: 2 }}
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => setWaitlistDialog({ open: true, consultant: null, date: null })}
+            >
+              Đăng ký chờ
+            </Button>
+          }
+        >
+          Hiện chưa có tư vấn viên nào phù hợp còn lịch trống.
+        </Alert>
+      )}
+    </Paper>
+  );
 
   if (error) {
     return (
       <Paper elevation={3} sx={{ p: 3, borderRadius: 2, textAlign: 'center' }}>
         <Typography color="error">{error}</Typography>
-        <Button 
-          variant="contained" 
-          onClick={fetchConsultants} 
+        <Button
+          variant="contained"
+          onClick={() => fetchConsultants()}
           sx={{ mt: 2 }}
         >
           Thử lại
@@ -245,153 +333,188 @@ const ConsultantSelector = ({ onSlotSelect }) => {
   }
 
   return (
-    <Box sx={{ mb: 4, width: '100%' }}>      
-      <Grid container spacing={3} sx={{ width: '100%', m: 0 }}>
-        {consultants.map((consultant) => (
-          <Grid item xs={12} md={12} key={consultant.id} sx={{ width: '100%', p: '12px' }}>
-            <Card sx={{ 
-              display: 'flex', 
-              flexDirection: { xs: 'column', md: 'row' },
-              width: '100%'
-            }}>
-              {/* Left side - Consultant Info */}
-              <Box sx={{ 
-                width: { xs: '100%', md: '40%' }, 
-                display: 'flex', 
-                flexDirection: 'column',
-                p: 2,
-                bgcolor: '#f5f7f9',
-                borderRight: { xs: 'none', md: '1px solid #e0e0e0' },
-                borderBottom: { xs: '1px solid #e0e0e0', md: 'none' },
-                overflowY: 'auto',
-                height: { xs: 'auto', md: '400px' }
-              }}>
-                <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mb: 2 }}>
-                  <Avatar 
-                    src={consultant.avatar} 
-                    alt={consultant.consultantName}
-                    sx={{ width: 120, height: 120, mb: 2 }}
-                  />
-                  <Typography variant="h6" component="h2" sx={{ fontWeight: 600, textAlign: 'center', color: '#0056b3' }}>
-                    {consultant.consultantName}
-                  </Typography>
-                </Box>
-                <Typography variant="body2" color="#000000" sx={{textAlign: 'justify'}}>
-                  {consultant.bio}
-                </Typography>
-              </Box>
-              
-              {/* Right side - Availability */}
-              <Box sx={{ 
-                width: { xs: '100%', md: '60%' }, 
-                display: 'flex', 
-                flexDirection: 'column',
-                p: 2
-              }}>
-                <Box 
-                  className="date-navigation-box"
-                  sx={{ 
-                    display: 'flex', 
-                    flexDirection: 'row !important',
-                    justifyContent: 'space-between', 
-                    alignItems: 'center', 
-                    mb: 2,
-                    borderBottom: '1px solid #e0e0e0',
-                    pb: 1
-                  }}
-                >
-                  <Button 
-                    size="small" 
-                    onClick={() => handlePreviousDay(consultant.id)}
-                    sx={{ minWidth: 'auto', px: 1 }}
-                    disabled={isPreviousButtonDisabled(consultant.id)}
-                  >
-                    &lt;
-                  </Button>
-                  
-                  <TextField
-                    type="date"
-                    value={consultantDates[consultant.id] ? 
-                      format(new Date(consultantDates[consultant.id].split('/').reverse().join('-')), 'yyyy-MM-dd') : 
-                      format(new Date(), 'yyyy-MM-dd')
-                    }
-                    onChange={(e) => handleDateChange(consultant.id, e)}
-                    InputProps={{
-                      startAdornment: (
-                        <InputAdornment position="start">
-                          <CalendarIcon fontSize="small" />
-                        </InputAdornment>
-                      ),
-                      inputProps: {
-                        min: format(new Date(), 'yyyy-MM-dd') // Prevent selecting past dates
-                      }
-                    }}
-                    sx={{ width: '180px' }}
-                  />
-                  
-                  <Button 
-                    size="small" 
-                    onClick={() => handleNextDay(consultant.id)}
-                    sx={{ minWidth: 'auto', px: 1 }}
-                  >
-                    &gt;
-                  </Button>
-                </Box>
-                
-                <Typography variant="subtitle2" gutterBottom sx={{fontWeight: 600}}>
-                  Các khung giờ sẵn có:
-                </Typography>
-                
-                <Box 
-                  className="time-slots-container"
-                  sx={{ 
-                    display: 'flex', 
-                    flexWrap: 'wrap', 
-                    gap: 1, 
-                    mt: 1,
-                    maxHeight: '200px',
-                    overflowY: 'auto'
-                  }}
-                >
-                  {slotsMap[consultant.id] && slotsMap[consultant.id].length > 0 ? (
-                    slotsMap[consultant.id].map((slot) => (
-                      <Button
-                        key={slot.id}
-                        variant="outlined"
-                        size="small"
-                        onClick={() => onSlotSelect(slot)}
-                        startIcon={<AccessTimeIcon />}
-                        className="time-slot-button"
-                        sx={{ 
-                          borderRadius: '20px',
-                          px: 2,
-                          py: 0.5,
-                          mb: 1,
-                          borderColor: '#3f8dda',
-                          color: '#1976d2',
-                          width: { xs: 'calc(33.33% - 8px)', sm: 'auto' },
-                          '&:hover': {
-                            bgcolor: '#e8f3ff',
-                            borderColor: '#1976d2'
-                          }
-                        }}
-                      >
-                        {slot.startTime} - {slot.endTime}
-                      </Button>
-                    ))
-                  ) : (
-                    <Typography variant="body2" color="text.secondary" sx={{ width: '100%', textAlign: 'center', py: 2 }}>
-                      Không có lịch trống vào ngày này
+    <Box sx={{ mb: 4, width: '100%' }}>
+      {renderFilters()}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Button
+          size="small"
+          startIcon={<ChevronLeftIcon />}
+          onClick={handlePreviousRange}
+          disabled={!isAfter(startDate, getMinDate())}
+        >
+          {AVAILABILITY_DAYS} ngày trước
+        </Button>
+        <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+          {format(days[0], 'dd/MM')} - {format(days[days.length - 1], 'dd/MM/yyyy')}
+        </Typography>
+        <Button size="small" endIcon={<ChevronRightIcon />} onClick={handleNextRange}>
+          {AVAILABILITY_DAYS} ngày sau
+        </Button>
+      </Box>
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '300px' }}>
+          <CircularProgress />
+        </Box>
+      ) : consultants.length === 0 ? (
+        <Paper elevation={1} sx={{ p: 3, borderRadius: 2, textAlign: 'center' }}>
+          <Typography color="text.secondary">Không có tư vấn viên nào phù hợp với bộ lọc.</Typography>
+        </Paper>
+      ) : (
+        <Grid container spacing={3} sx={{ width: '100%', m: 0 }}>
+          {consultants.map((consultant) => {
+            const consultantSlots = availability[consultant.id] || {};
+            const selectedDay = selectedDays[consultant.id];
+            const daySlots = consultantSlots[selectedDay] || [];
+
+            return (
+              <Grid item xs={12} md={12} key={consultant.id} sx={{ width: '100%', p: '12px' }}>
+                <Card sx={{
+                  display: 'flex',
+                  flexDirection: { xs: 'column', md: 'row' },
+                  width: '100%'
+                }}>
+                  {/* Left side - Consultant Info */}
+                  <Box sx={{
+                    width: { xs: '100%', md: '40%' },
+                    display: 'flex',
+                    flexDirection: 'column',
+                    p: 2,
+                    bgcolor: '#f5f7f9',
+                    borderRight: { xs: 'none', md: '1px solid #e0e0e0' },
+                    borderBottom: { xs: '1px solid #e0e0e0', md: 'none' },
+                    overflowY: 'auto',
+                    height: { xs: 'auto', md: '400px' }
+                  }}>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mb: 2 }}>
+                      <Avatar
+                        src={consultant.avatar}
+                        alt={consultant.consultantName}
+                        sx={{ width: 120, height: 120, mb: 2 }}
+                      />
+                      <Typography variant="h6" component="h2" sx={{ fontWeight: 600, textAlign: 'center', color: '#0056b3' }}>
+                        {consultant.consultantName}
+                      </Typography>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+                        <Rating value={consultant.averageRating || 0} precision={0.1} size="small" readOnly />
+                        <Typography variant="body2" color="text.secondary">
+                          {consultant.averageRating
+                            ? `${consultant.averageRating} (${consultant.reviewCount} đánh giá)`
+                            : 'Chưa có đánh giá'}
+                        </Typography>
+                      </Box>
+                      {consultant.topicNames?.length > 0 && (
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 0.5, mt: 1 }}>
+                          {consultant.topicNames.map(topicName => (
+                            <Chip key={topicName} label={topicName} size="small" color="primary" variant="outlined" />
+                          ))}
+                        </Box>
+                      )}
+                    </Box>
+                    <Typography variant="body2" color="#000000" sx={{textAlign: 'justify'}}>
+                      {consultant.bio}
                     </Typography>
-                  )}
-                </Box>
-              </Box>
-            </Card>
-          </Grid>
-        ))}
-      </Grid>
+                  </Box>
+
+                  {/* Right side - Availability */}
+                  <Box sx={{
+                    width: { xs: '100%', md: '60%' },
+                    display: 'flex',
+                    flexDirection: 'column',
+                    p: 2
+                  }}>
+                    <Box
+                      className="date-navigation-box"
+                      sx={{
+                        display: 'flex',
+                        flexDirection: 'row !important',
+                        gap: 1,
+                        mb: 2,
+                        borderBottom: '1px solid #e0e0e0',
+                        pb: 1,
+                        overflowX: 'auto'
+                      }}
+                    >
+                      {days.map(day => {
+                        const dayKey = toApiDate(day);
+                        const count = consultantSlots[dayKey]?.length || 0;
+                        const selected = dayKey === selectedDay;
+                        return (
+                          <Button
+                            key={dayKey}
+                            size="small"
+                            variant={selected ? 'contained' : 'outlined'}
+                            onClick={() => setSelectedDays(prev => ({ ...prev, [consultant.id]: dayKey }))}
+                            sx={{
+                              minWidth: 64,
+                              flexDirection: 'column',
+                              lineHeight: 1.3,
+                              opacity: count === 0 && !selected ? 0.6 : 1
+                            }}
+                          >
+                            <span>{format(day, 'EEE', { locale: vi })}</span>
+                            <span>{format(day, 'dd/MM')}</span>
+                            <span style={{ fontSize: '0.7rem' }}>{loadingSlots ? '...' : `${count} lịch`}</span>
+                          </Button>
+                        );
+                      })}
+                    </Box>
+
+                    <Typography variant="subtitle2" gutterBottom sx={{fontWeight: 600}}>
+                      Các khung giờ sẵn có{selectedDay ? ` ngày ${selectedDay}` : ''}:
+                    </Typography>
+
+                    <Box
+                      className="time-slots-container"
+                      sx={{
+                        display: 'flex',
+                        flexWrap: 'wrap',
+                        gap: 1,
+                        mt: 1,
+                        maxHeight: '200px',
+                        overflowY: 'auto'
+                      }}
+                    >
+                      {loadingSlots ? (
+                        <Box sx={{ width: '100%', textAlign: 'center', py: 2 }}>
+                          <CircularProgress size={24} />
+                        </Box>
+                      ) : daySlots.length > 0 ? (
+                        daySlots.map(renderSlotButton)
+                      ) : (
+                        <Box sx={{ width: '100%', textAlign: 'center', py: 2 }}>
+                          <Typography variant="body2" color="text.secondary">
+                            Không có lịch trống vào ngày này
+                          </Typography>
+                          <Button
+                            size="small"
+                            onClick={() => setWaitlistDialog({ open: true, consultant, date: selectedDay })}
+                            sx={{ mt: 1 }}
+                          >
+                            Đăng ký danh sách chờ
+                          </Button>
+                        </Box>
+                      )}
+                    </Box>
+                  </Box>
+                </Card>
+              </Grid>
+            );
+          })}
+        </Grid>
+      )}
+
+      <WaitlistDialog
+        open={waitlistDialog.open}
+        consultant={waitlistDialog.consultant}
+        date={waitlistDialog.date}
+        topics={topics}
+        defaultTopicId={filters.topicId}
+        onClose={() => setWaitlistDialog({ open: false, consultant: null, date: null })}
+      />
     </Box>
   );
 };
 
-export default ConsultantSelector;
\ No newline at end of file
+export default ConsultantSelector;
@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Alert,
+  Box,
+  CircularProgress
+} from '@mui/material';
+import ConsultantSelector from './ConsultantSelector';
+
+/**
+ * Hộp thoại đổi lịch hẹn: chọn slot mới bằng ConsultantSelector rồi xác nhận.
+ * onConfirm(slot) trả về Promise; hộp thoại giữ trạng thái đang xử lý cho tới khi Promise kết thúc.
+ */
+const RescheduleDialog = ({ open, appointment, onClose, onConfirm }) => {
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setSelectedSlot(null);
+    }
+  }, [open]);
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    try {
+      await onConfirm(selectedSlot);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={submitting ? undefined : onClose} maxWidth="lg" fullWidth>
+      <DialogTitle sx={{ fontWeight: 600, color: '#0056b3' }}>Đổi lịch hẹn</DialogTitle>
+      <DialogContent dividers>
+        {appointment && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Lịch hiện tại: {appointment.appointmentTime} - {appointment.appointmentDate} với {appointment.consultantName}.
+            Cuộc hẹn vẫn giữ nguyên mã, ghi chú và phòng họp sau khi đổi lịch.
+          </Alert>
+        )}
+
+        {selectedSlot ? (
+          <Box sx={{ textAlign: 'center', py: 3 }}>
+            <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>
+              Xác nhận đổi sang lịch mới
+            </Typography>
+            <Typography>
+              {selectedSlot.startTime} - {selectedSlot.endTime}, ngày {selectedSlot.date}
+            </Typography>
+            <Typography color="text.secondary">
+              Tư vấn viên: {selectedSlot.consultantName}
+            </Typography>
+          </Box>
+        ) : (
+          <ConsultantSelector onSlotSelect={setSelectedSlot} />
+        )}
+      </DialogContent>
+      <DialogActions>
+        {selectedSlot ? (
+          <>
+            <Button onClick={() => setSelectedSlot(null)} disabled={submitting}>
+              Chọn lại
+            </Button>
+            <Button variant="contained" onClick={handleConfirm} disabled={submitting} sx={{ fontWeight: 600 }}>
+              {submitting ? <CircularProgress size={20} color="inherit" /> : 'Xác nhận đổi lịch'}
+            </Button>
+          </>
+        ) : (
+          <Button onClick={onClose}>Đóng</Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RescheduleDialog;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { MeetingProvider, MeetingConsumer, useMeeting } from '@videosdk.live/react-sdk';
 import { getToken, validateMeeting, createMeeting } from '../../services/videoService';
 import { Box, Typography, TextField, Button, CircularProgress, Container, Paper, Stack, Dialog, DialogTitle, DialogContent, DialogActions, DialogContentText, TextareaAutosize } from '@mui/material';
@@ -7,11 +7,10 @@ import VideocamIcon from '@mui/icons-material/Videocam';
 import VideocamOffIcon from '@mui/icons-material/VideocamOff';
 import MicIcon from '@mui/icons-material/Mic';
 import MicOffIcon from '@mui/icons-material/MicOff';
-import { getUserData } from '../../services/authService';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
+import { fetchCurrentUser, getUserData } from '../../services/authService';
 import apiService from '../../services/apiService';
 import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
-import { API_URL } from '../../services/config';
 
 import MeetingContainer from './VideoMeetingComponents/MeetingContainer';
 import JoiningScreen from './VideoMeetingComponents/JoiningScreen';
@@ -33,13 +32,15 @@ const MeetingWrapper = ({ children, meetingRef }) => {
 const VideoMeeting = () => {
   const { videoCallId, appointmentId } = useParams();
   const navigate = useNavigate();
+  // Khách đặt lịch ẩn danh được chuyển tới kèm bí danh để điền sẵn tên hiển thị
+  const location = useLocation();
   
   // Add ref to store meeting object
   const meetingRef = useRef(null);
   
   const [token, setToken] = useState("");
   const [meetingId, setMeetingId] = useState("");
-  const [participantName, setParticipantName] = useState("");
+  const [participantName, setParticipantName] = useState(location.state?.participantName || "");
   const [micOn, setMicOn] = useState(true);
   const [webcamOn, setWebcamOn] = useState(true);
   const [isMeetingStarted, setIsMeetingStarted] = useState(false);
@@ -91,6 +92,7 @@ const VideoMeeting = () => {
   }, [customAudioStream, customVideoStream]);
 
   useEffect(() => {
+    const controller = new AbortController();
     const init = async () => {
       try {
         setLoading(true);
@@ -108,15 +110,12 @@ const VideoMeeting = () => {
         // Check if user is authenticated and prefill their name
         if (userData) {
           try {
-            // Use access token directly to get user details
-            const accessToken = localStorage.getItem('accessToken');
-            if (accessToken) {
-              const response = await axios.post(`${API_URL}/auth/me`, { accessToken });
-              if (response && response.data && response.data.fullName) {
-                setParticipantName(response.data.fullName);
-              }
+            const currentUser = await fetchCurrentUser({ signal: controller.signal });
+            if (currentUser && currentUser.fullName) {
+              setParticipantName(currentUser.fullName);
             }
           } catch (userError) {
+            if (isCancelledError(userError)) return;
             console.error("Error fetching user data:", userError);
             // Still allow meeting to proceed even if user info can't be fetched
           }
@@ -152,6 +151,7 @@ const VideoMeeting = () => {
     };
     
     init();
+    return () => controller.abort();
   }, [videoCallId, appointmentId]);
 
   const onClickStartMeeting = async () => {
@@ -224,43 +224,6 @@ const VideoMeeting = () => {
     }
   };
 
-  // Function to refresh access token using refresh token
-  const refreshAccessToken = async () => {
-    try {
-      const refreshToken = localStorage.getItem('refreshToken');
-      if (!refreshToken) {
-        throw new Error('No refresh token available');
-      }
-      
-      console.log("Attempting to refresh access token");
-      
-      const response = await fetch(`${API_URL}/auth/refresh-token`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ refreshToken })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Failed to refresh token: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      if (data && data.accessToken) {
-        console.log("Successfully refreshed access token");
-        localStorage.setItem('accessToken', data.accessToken);
-        return data.accessToken;
-      } else {
-        throw new Error('Invalid response from refresh token API');
-      }
-    } catch (error) {
-      console.error("Error refreshing token:", error);
-      throw error;
-    }
-  };
-
   // Function to check appointment status
   const checkAppointmentStatus = async () => {
     try {
@@ -271,60 +234,8 @@ const VideoMeeting = () => {
       
       console.log("Checking appointment status for ID:", appointmentId);
       
-      // Try to get appointment status, with token refresh if needed
-      return await fetchAppointmentWithTokenRefresh();
-    } catch (error) {
-      console.error("Error checking appointment status:", error);
-      // Return a default object instead of throwing error
-      return { status: "UNKNOWN" };
-    }
-  };
-  
-  // Helper function to fetch appointment with token refresh if needed
-  const fetchAppointmentWithTokenRefresh = async (isRetry = false) => {
-    // Get access token from localStorage
-    let accessToken = localStorage.getItem('accessToken');
-    if (!accessToken) {
-      console.error("No access token available");
-      return { status: "UNKNOWN" };
-    }
-
-    console.log("Making API call to check appointment status");
-    
-    try {
-      // Make a direct API call with explicit headers
-      const response = await fetch(`${API_URL}/appointments/${appointmentId}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      console.log("API response status:", response.status);
-      
-      // If unauthorized and not already retrying, try refreshing token
-      if (response.status === 401 && !isRetry) {
-        console.log("Unauthorized error. Attempting to refresh token and retry...");
-        try {
-          // Get new access token
-          accessToken = await refreshAccessToken();
-          // Retry the call with new token
-          return await fetchAppointmentWithTokenRefresh(true);
-        } catch (refreshError) {
-          console.error("Failed to refresh token:", refreshError);
-          return { status: "UNKNOWN" };
-        }
-      }
-      
-      if (!response.ok) {
-        console.error(`API error: ${response.status} ${response.statusText}`);
-        return { status: "UNKNOWN" };
-      }
-      
-      const data = await response.json();
-      console.log("Full appointment data:", data);
-      
+      // api client tự làm mới token khi hết hạn
+      const data = await apiService.get(`/appointments/${appointmentId}`, {}, false);
       if (!data || !data.status) {
         console.warn("Invalid data format from API");
         return { status: "UNKNOWN" };
@@ -333,7 +244,8 @@ const VideoMeeting = () => {
       console.log("Appointment status from API:", data.status);
       return data;
     } catch (error) {
-      console.error("Error in fetchAppointmentWithTokenRefresh:", error);
+      console.error("Error checking appointment status:", error);
+      // Return a default object instead of throwing error
       return { status: "UNKNOWN" };
     }
   };
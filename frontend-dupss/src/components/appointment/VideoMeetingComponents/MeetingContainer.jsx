@@ -35,8 +35,7 @@ import ScreenShareIcon from '@mui/icons-material/ScreenShare';
 import StopScreenShareIcon from '@mui/icons-material/StopScreenShare';
 import SendIcon from '@mui/icons-material/Send';
 import CancelIcon from '@mui/icons-material/Cancel';
-import { API_URL } from '../../../services/config';
-import { getUserData } from '../../../services/authService';
+import api, { getUserData } from '../../../services/authService';
 import { showSuccessAlert, showErrorAlert } from '../../../components/common/AlertNotification';
 
 // Hàm tạo màu ngẫu nhiên nhưng nhất quán cho mỗi người dùng
@@ -1058,22 +1057,10 @@ const MeetingContainer = ({ onMeetingLeave, setIsMeetingStarted, isConsultant })
       console.log('Cancellation reason:', cancelReason);
       
       // Make API call to cancel appointment
-      const response = await fetch(`${API_URL}/appointments/${appointmentId}/cancel/consultant?consultantId=${userId}`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          reason: cancelReason || "Không có lý do"
-        })
+      await api.put(`/appointments/${appointmentId}/cancel/consultant?consultantId=${userId}`, {
+        reason: cancelReason || "Không có lý do"
       });
       
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'Lỗi khi hủy cuộc hẹn');
-      }
-      
       // Show success alert
       showSuccessAlert('Hủy cuộc hẹn thành công!');
       
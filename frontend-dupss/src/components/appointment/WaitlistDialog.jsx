@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Box
+} from '@mui/material';
+import { format, parse, addDays } from 'date-fns';
+import { apiPost } from '../../services/apiService';
+import { isAuthenticated } from '../../services/authService';
+import { showSuccessAlert } from '../common/AlertNotification';
+
+// Khoảng ngày chờ tối đa, khớp với giới hạn phía server
+const MAX_RANGE_DAYS = 30;
+
+// Input type="date" dùng yyyy-MM-dd, API dùng dd/MM/yyyy
+const toInputDate = (apiDate) => format(parse(apiDate, 'dd/MM/yyyy', new Date()), 'yyyy-MM-dd');
+const toApiDate = (inputDate) => format(parse(inputDate, 'yyyy-MM-dd', new Date()), 'dd/MM/yyyy');
+
+/**
+ * Hộp thoại đăng ký danh sách chờ khi tư vấn viên/ngày mong muốn không còn lịch trống.
+ * Khi có slot phù hợp, người đăng ký sớm nhất được giữ slot và nhận email kèm đường dẫn đặt lịch.
+ * consultant = null nghĩa là chờ bất kỳ tư vấn viên nào.
+ */
+const WaitlistDialog = ({ open, consultant, date, topics = [], defaultTopicId = '', onClose }) => {
+  const loggedIn = isAuthenticated();
+  const [form, setForm] = useState({ topicId: '', dateFrom: '', dateTo: '', customerName: '', email: '' });
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      const from = date ? toInputDate(date) : format(new Date(), 'yyyy-MM-dd');
+      setForm(prev => ({
+        ...prev,
+        topicId: defaultTopicId,
+        dateFrom: from,
+        dateTo: from
+      }));
+      setErrors({});
+    }
+  }, [open, date, defaultTopicId]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => ({ ...prev, [name]: '' }));
+  };
+
+  const validate = () => {
+    const newErrors = {};
+    if (!form.dateFrom) newErrors.dateFrom = 'Vui lòng chọn ngày bắt đầu';
+    if (!form.dateTo) newErrors.dateTo = 'Vui lòng chọn ngày kết thúc';
+    if (form.dateFrom && form.dateTo) {
+      if (form.dateTo < form.dateFrom) {
+        newErrors.dateTo = 'Ngày kết thúc phải sau ngày bắt đầu';
+      } else if (form.dateTo > format(addDays(parse(form.dateFrom, 'yyyy-MM-dd', new Date()), MAX_RANGE_DAYS - 1), 'yyyy-MM-dd')) {
+        newErrors.dateTo = `Khoảng thời gian chờ tối đa là ${MAX_RANGE_DAYS} ngày`;
+      }
+    }
+    if (!loggedIn) {
+      if (!form.customerName.trim()) newErrors.customerName = 'Vui lòng nhập họ tên';
+      if (!form.email.trim()) {
+        newErrors.email = 'Vui lòng nhập email';
+      } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email)) {
+        newErrors.email = 'Email không hợp lệ';
+      }
+    }
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async () => {
+    if (!validate()) return;
+
+    setSubmitting(true);
+    try {
+      const entry = await apiPost('/waitlist', {
+        consultantId: consultant?.id || null,
+        topicId: form.topicId || null,
+        dateFrom: toApiDate(form.dateFrom),
+        dateTo: toApiDate(form.dateTo),
+        customerName: loggedIn ? null : form.customerName.trim(),
+        email: loggedIn ? null : form.email.trim()
+      });
+      showSuccessAlert(entry.status === 'PENDING_CONFIRMATION'
+        ? 'Vui lòng mở đường dẫn trong email để xác nhận đăng ký danh sách chờ (hiệu lực 24 giờ).'
+        : 'Đăng ký danh sách chờ thành công! Chúng tôi sẽ gửi email khi có lịch trống.');
+      onClose();
+    } catch (err) {
+      console.error('Error joining waitlist:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={submitting ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ fontWeight: 600, color: '#0056b3' }}>Đăng ký danh sách chờ</DialogTitle>
+      <DialogContent dividers>
+        <DialogContentText sx={{ mb: 2 }}>
+          {consultant
+            ? `Chờ lịch trống của tư vấn viên ${consultant.consultantName}.`
+            : 'Chờ lịch trống của bất kỳ tư vấn viên nào.'}
+          {' '}Khi có lịch phù hợp, lịch sẽ được giữ cho bạn trong 30 phút và gửi qua email.
+        </DialogContentText>
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2 }}>
+          <TextField
+            type="date"
+            label="Từ ngày"
+            name="dateFrom"
+            value={form.dateFrom}
+            onChange={handleChange}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: format(new Date(), 'yyyy-MM-dd') }}
+            error={!!errors.dateFrom}
+            helperText={errors.dateFrom}
+          />
+          <TextField
+            type="date"
+            label="Đến ngày"
+            name="dateTo"
+            value={form.dateTo}
+            onChange={handleChange}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: form.dateFrom }}
+            error={!!errors.dateTo}
+            helperText={errors.dateTo}
+          />
+        </Box>
+        <FormControl fullWidth sx={{ mt: 2 }}>
+          <InputLabel id="waitlist-topic-label">Chủ đề tư vấn</InputLabel>
+          <Select
+            labelId="waitlist-topic-label"
+            label="Chủ đề tư vấn"
+            name="topicId"
+            value={form.topicId}
+            onChange={handleChange}
+          >
+            <MenuItem value="">Bất kỳ</MenuItem>
+            {topics.map(topic => (
+              <MenuItem key={topic.id} value={topic.id}>{topic.topicName}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {!loggedIn && (
+          <>
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Họ và tên"
+              name="customerName"
+              value={form.customerName}
+              onChange={handleChange}
+              error={!!errors.customerName}
+              helperText={errors.customerName}
+            />
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Email nhận thông báo"
+              name="email"
+              type="email"
+              value={form.email}
+              onChange={handleChange}
+              error={!!errors.email}
+              helperText={errors.email}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={submitting}>Đóng</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={submitting} sx={{ fontWeight: 600 }}>
+          {submitting ? <CircularProgress size={20} color="inherit" /> : 'Đăng ký chờ'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WaitlistDialog;
@@ -20,7 +20,7 @@ import { IconButton } from '@mui/material';
 import { Link as RouterLink } from 'react-router-dom';
 import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
 import styles from './Login.module.css';
-import { API_URL } from '../../services/config';
+import api from '../../services/authService';
 
 const ForgotPassword = () => {
   const [email, setEmail] = useState('');
@@ -46,28 +46,12 @@ const ForgotPassword = () => {
     setIsLoading(true);
     
     try {
-      const response = await fetch(`${API_URL}/auth/password/forgot`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email }),
-      });
-
-      const data = await response.json();
-
-      if (response.status === 400) {
-        showErrorAlert(data.message);
-        setEmail('');
-      } else if (response.ok) {
-        showSuccessAlert(data.message);
-        setStep(2); // Move to next step
-      } else {
-        throw new Error(`Request failed with status: ${response.status}`);
-      }
+      const response = await api.post('/auth/password/forgot', { email }, { skipAuth: true });
+      showSuccessAlert(response.data.message);
+      setStep(2); // Move to next step
     } catch (error) {
       console.error('Forgot password error:', error);
-      showErrorAlert('Đã xảy ra lỗi. Vui lòng thử lại sau.');
+      showErrorAlert(error.status === 400 ? error.message : 'Đã xảy ra lỗi. Vui lòng thử lại sau.');
       setEmail('');
     } finally {
       setIsLoading(false);
@@ -85,29 +69,12 @@ const ForgotPassword = () => {
     setIsLoading(true);
     
     try {
-      const response = await fetch(`${API_URL}/auth/password/reset`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ email, otp, newPassword }),
-      });
-
-      const data = await response.json();
-
-      if (response.status === 400) {
-        showErrorAlert(data.message || 'Đổi mật khẩu không thành công');
-        setOtp('');
-        setNewPassword('');
-      } else if (response.ok) {
-        showSuccessAlert(data.message);
-        navigate('/login'); // Redirect to login page
-      } else {
-        throw new Error(`Request failed with status: ${response.status}`);
-      }
+      const response = await api.post('/auth/password/reset', { email, otp, newPassword }, { skipAuth: true });
+      showSuccessAlert(response.data.message);
+      navigate('/login'); // Redirect to login page
     } catch (error) {
       console.error('Reset password error:', error);
-      showErrorAlert('Đã xảy ra lỗi. Vui lòng thử lại sau.');
+      showErrorAlert(error.status === 400 ? error.message || 'Đổi mật khẩu không thành công' : 'Đã xảy ra lỗi. Vui lòng thử lại sau.');
       setOtp('');
       setNewPassword('');
     } finally {
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  TextField,
+  InputAdornment,
+  Button,
+  Chip,
+  CircularProgress
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import DescriptionIcon from '@mui/icons-material/Description';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import BookmarkIcon from '@mui/icons-material/Bookmark';
+import {
+  searchNotes,
+  downloadNotesMarkdown,
+  printNotesAsPdf,
+  formatTimestamp
+} from '../../services/lessonNoteService';
+import { showErrorAlert } from '../common/AlertNotification';
+
+// Chờ người dùng ngừng gõ rồi mới tìm
+const SEARCH_DEBOUNCE_MS = 400;
+
+/**
+ * Ghi chú bài học trong trang hồ sơ: tìm trên mọi khóa học, mở lại đúng bài học và thời điểm,
+ * xuất ra Markdown hoặc PDF
+ */
+const LessonNotes = () => {
+  const navigate = useNavigate();
+  const [keyword, setKeyword] = useState('');
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await searchNotes(keyword.trim());
+        if (!cancelled) setNotes(result);
+      } catch (err) {
+        console.error('Error searching lesson notes:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [keyword]);
+
+  const handleOpenNote = (note) => {
+    navigate(`/courses/${note.courseId}/learn`, {
+      state: { note: { videoId: note.videoId, timestampSeconds: note.timestampSeconds } }
+    });
+  };
+
+  const handleExportMarkdown = async () => {
+    setExporting(true);
+    try {
+      await downloadNotesMarkdown(keyword.trim());
+    } catch (err) {
+      console.error('Error exporting lesson notes:', err);
+      showErrorAlert('Không thể xuất ghi chú. Vui lòng thử lại sau!');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleExportPdf = () => {
+    if (!printNotesAsPdf(notes)) {
+      showErrorAlert('Trình duyệt đã chặn cửa sổ in. Vui lòng cho phép cửa sổ bật lên và thử lại.');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          size="small"
+          placeholder="Tìm theo nội dung, bài học hoặc khóa học"
+          value={keyword}
+          onChange={(e) => setKeyword(e.target.value)}
+          sx={{ flex: '1 1 260px' }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            )
+          }}
+        />
+        <Button
+          variant="outlined"
+          startIcon={<DescriptionIcon />}
+          onClick={handleExportMarkdown}
+          disabled={exporting || notes.length === 0}
+        >
+          Xuất Markdown
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<PictureAsPdfIcon />}
+          onClick={handleExportPdf}
+          disabled={notes.length === 0}
+        >
+          Xuất PDF
+        </Button>
+      </Box>
+
+      {loading ? (
+        <Box sx={{ textAlign: 'center', py: 2 }}>
+          <CircularProgress size={30} />
+        </Box>
+      ) : notes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          {keyword.trim()
+            ? 'Không tìm thấy ghi chú phù hợp.'
+            : 'Bạn chưa có ghi chú nào. Hãy ghi chú trong khi học để xem lại tại đây.'}
+        </Typography>
+      ) : notes.map((note, index) => (
+        <Box key={note.id}>
+          {(index === 0 || notes[index - 1].courseId !== note.courseId) && (
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, color: '#0056b3', mt: index === 0 ? 0 : 3 }}>
+              {note.courseTitle}
+            </Typography>
+          )}
+          {(index === 0 || notes[index - 1].videoId !== note.videoId) && (
+            <Typography variant="subtitle2" color="text.secondary" sx={{ mt: 1.5, mb: 0.5 }}>
+              {note.videoTitle}
+            </Typography>
+          )}
+          <Box sx={{ display: 'flex', gap: 1.5, alignItems: 'flex-start', py: 0.75 }}>
+            <Chip
+              size="small"
+              clickable
+              icon={note.bookmark ? <BookmarkIcon fontSize="small" /> : undefined}
+              label={formatTimestamp(note.timestampSeconds)}
+              onClick={() => handleOpenNote(note)}
+              sx={{ bgcolor: '#e8f0fe', color: '#0056b3', fontWeight: 600 }}
+            />
+            <Typography
+              variant="body2"
+              sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', color: note.bookmark ? 'text.secondary' : 'inherit' }}
+            >
+              {note.bookmark ? 'Dấu trang' : note.content}
+            </Typography>
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default LessonNotes;
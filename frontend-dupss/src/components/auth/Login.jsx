@@ -19,10 +19,9 @@ import GoogleIcon from '@mui/icons-material/Google';
 import { Link as RouterLink } from 'react-router-dom';
 import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
 import styles from './Login.module.css';
-import { login } from '../../services/authService';
+import { login, loginWithGoogle } from '../../services/authService';
 import { submitSurveyResult } from '../../services/surveyService';
-import axios from 'axios';
-import { API_URL } from '../../services/config';
+import { deleteDraft } from '../../services/surveyDraftService';
 
 // Lấy Google Client ID từ biến môi trường
 const GOOGLE_CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID;
@@ -110,15 +109,8 @@ const Login = () => {
     
     try {
       // Send the credential to your backend
-      const apiResponse = await axios.post(`${API_URL}/auth/google-login`, {
-        credential: response.credential
-      });
-      
-      const { accessToken, refreshToken } = apiResponse.data;
-      
-      // Store tokens in local storage
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
+      // Token được lưu vào local storage trong loginWithGoogle
+      await loginWithGoogle(response.credential);
       
       // Store login success flag in localStorage
       localStorage.setItem('loginSuccess', 'true');
@@ -156,17 +148,18 @@ const Login = () => {
       const surveyData = JSON.parse(storedData);
       
       // Lấy thông tin cần thiết
-      const { surveyId, selectedOptionIds } = surveyData;
+      const { surveyId, selectedOptionIds, inputAnswers } = surveyData;
       
       if (!surveyId || !selectedOptionIds) {
         throw new Error('Dữ liệu khảo sát không đầy đủ');
       }
       
       // Gửi kết quả khảo sát đến server
-      await submitSurveyResult(surveyId, selectedOptionIds);
+      await submitSurveyResult(surveyId, selectedOptionIds, inputAnswers);
       
       // Xóa dữ liệu đã lưu sau khi gửi thành công
       localStorage.removeItem('pendingSurveySubmission');
+      await deleteDraft(surveyId);
       
       // Lưu thông báo thành công vào localStorage để hiển thị ở trang SurveysList
       localStorage.setItem('surveySubmissionResult', JSON.stringify({
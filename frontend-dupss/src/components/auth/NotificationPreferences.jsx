@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  FormGroup,
+  FormControlLabel,
+  Switch,
+  Chip,
+  Button,
+  CircularProgress
+} from '@mui/material';
+import { apiGet } from '../../services/apiService';
+import { getNotificationPreferences, updateNotificationPreferences } from '../../services/notificationService';
+import { showSuccessAlert } from '../common/AlertNotification';
+
+// Các loại thông báo thành viên có thể bật/tắt
+const NOTIFICATION_TYPES = [
+  { type: 'APPOINTMENT_CONFIRMED', label: 'Xác nhận đặt lịch tư vấn' },
+  { type: 'APPOINTMENT_STATUS_CHANGED', label: 'Thay đổi trạng thái hoặc đổi lịch cuộc hẹn' },
+  { type: 'APPOINTMENT_CANCELLED', label: 'Cuộc hẹn bị hủy' },
+  { type: 'APPOINTMENT_REMINDER', label: 'Nhắc lịch trước buổi tư vấn' },
+  { type: 'CONSULTANT_NOTE', label: 'Ghi chú của tư vấn viên sau buổi tư vấn' },
+  { type: 'COURSE_COMPLETED', label: 'Hoàn thành khóa học' },
+  { type: 'NEW_TOPIC_CONTENT', label: 'Bài viết, khóa học mới trong chủ đề đang theo dõi' }
+];
+
+/**
+ * Cài đặt thông báo trong trang hồ sơ: bật/tắt từng loại thông báo và chọn chủ đề theo dõi
+ */
+const NotificationPreferences = () => {
+  const [disabledTypes, setDisabledTypes] = useState([]);
+  const [followedTopicIds, setFollowedTopicIds] = useState([]);
+  const [topics, setTopics] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [preferences, topicList] = await Promise.all([
+          getNotificationPreferences(),
+          apiGet('/topics', {}, false)
+        ]);
+        setDisabledTypes(preferences.disabledTypes || []);
+        setFollowedTopicIds(preferences.followedTopicIds || []);
+        setTopics(topicList || []);
+      } catch (err) {
+        console.error('Error fetching notification preferences:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const handleToggleType = (type) => {
+    setDisabledTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+  };
+
+  const handleToggleTopic = (topicId) => {
+    setFollowedTopicIds(prev => (prev.includes(topicId) ? prev.filter(id => id !== topicId) : [...prev, topicId]));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await updateNotificationPreferences({ disabledTypes, followedTopicIds });
+      setDisabledTypes(saved.disabledTypes || []);
+      setFollowedTopicIds(saved.followedTopicIds || []);
+      showSuccessAlert('Đã lưu cài đặt thông báo!');
+    } catch (err) {
+      console.error('Error saving notification preferences:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 3, textAlign: 'center' }}>
+        <CircularProgress size={30} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+        Loại thông báo
+      </Typography>
+      <FormGroup>
+        {NOTIFICATION_TYPES.map(({ type, label }) => (
+          <FormControlLabel
+            key={type}
+            control={<Switch checked={!disabledTypes.includes(type)} onChange={() => handleToggleType(type)} />}
+            label={label}
+          />
+        ))}
+      </FormGroup>
+
+      <Typography variant="subtitle1" sx={{ fontWeight: 600, mt: 3, mb: 1 }}>
+        Chủ đề theo dõi
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+        Bạn sẽ nhận thông báo khi có bài viết hoặc khóa học mới trong các chủ đề đã chọn.
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+        {topics.map(topic => {
+          const followed = followedTopicIds.includes(topic.id);
+          return (
+            <Chip
+              key={topic.id}
+              label={topic.topicName}
+              color={followed ? 'primary' : 'default'}
+              variant={followed ? 'filled' : 'outlined'}
+              onClick={() => handleToggleTopic(topic.id)}
+            />
+          );
+        })}
+      </Box>
+
+      <Box sx={{ mt: 3, textAlign: 'right' }}>
+        <Button variant="contained" onClick={handleSave} disabled={saving} sx={{ fontWeight: 600 }}>
+          {saving ? <CircularProgress size={20} color="inherit" /> : 'Lưu cài đặt'}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default NotificationPreferences;
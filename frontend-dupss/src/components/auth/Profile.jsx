@@ -52,8 +52,19 @@ import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { format, parse } from 'date-fns';
-import api, { getUserData } from '../../services/authService';
+import { isCancelledError } from '@dupss/api-client';
+import api, { fetchCurrentUser, getUserData } from '../../services/authService';
 import { API_URL } from '../../services/config';
+import WellbeingDashboard from './WellbeingDashboard';
+import NotificationPreferences from './NotificationPreferences';
+import LessonNotes from './LessonNotes';
+import RescheduleDialog from '../appointment/RescheduleDialog';
+import {
+  downloadAppointmentCalendar,
+  getCalendarFeedStatus,
+  regenerateCalendarFeedUrl,
+  revokeCalendarFeed
+} from '../../services/calendarService';
 
 const Profile = () => {
   const navigate = useNavigate();
@@ -74,6 +85,10 @@ const Profile = () => {
   const [expandedCourses, setExpandedCourses] = useState(false);
   const [expandedAppointments, setExpandedAppointments] = useState(false);
   const [expandedSurveys, setExpandedSurveys] = useState(false);
+  const [expandedWellbeing, setExpandedWellbeing] = useState(false);
+  const [expandedWaitlist, setExpandedWaitlist] = useState(false);
+  const [waitlist, setWaitlist] = useState([]);
+  const [loadingWaitlist, setLoadingWaitlist] = useState(false);
   const [appointments, setAppointments] = useState([]);
   const [loadingAppointments, setLoadingAppointments] = useState(false);
   const [surveys, setSurveys] = useState([]);
@@ -82,9 +97,19 @@ const Profile = () => {
     open: false,
     appointmentId: null
   });
+  const [rescheduleDialog, setRescheduleDialog] = useState({
+    open: false,
+    appointment: null
+  });
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState('');
+  // null khi chưa tải trạng thái feed: { active, expiresAt }
+  const [calendarFeedStatus, setCalendarFeedStatus] = useState(null);
+  const [loadingCalendarFeed, setLoadingCalendarFeed] = useState(false);
 
   useEffect(() => {
-    fetchUserData();
+    const controller = new AbortController();
+    fetchUserData(controller.signal);
+    return () => controller.abort();
   }, []);
 
   const handleCoursesAccordionChange = () => {
@@ -108,6 +133,62 @@ const Profile = () => {
     }
   };
 
+  const handleWellbeingAccordionChange = () => {
+    setExpandedWellbeing(!expandedWellbeing);
+    if (!expandedWellbeing && surveys.length === 0) {
+      fetchSurveys();
+    }
+  };
+
+  const handleWaitlistAccordionChange = () => {
+    setExpandedWaitlist(!expandedWaitlist);
+    if (!expandedWaitlist && waitlist.length === 0) {
+      fetchWaitlist();
+    }
+  };
+
+  const fetchWaitlist = async () => {
+    setLoadingWaitlist(true);
+    try {
+      const response = await api.get(`${API_URL}/waitlist/me`);
+      setWaitlist(response.data);
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+    } finally {
+      setLoadingWaitlist(false);
+    }
+  };
+
+  const handleCancelWaitlist = async (entryId) => {
+    try {
+      await api.delete(`${API_URL}/waitlist/${entryId}`);
+      showSuccessAlert('Đã hủy đăng ký chờ!');
+      fetchWaitlist();
+    } catch (error) {
+      console.error('Error cancelling waitlist entry:', error);
+      showErrorAlert(error.response?.data?.message || 'Hủy đăng ký chờ thất bại!');
+    }
+  };
+
+  const getWaitlistStatusLabel = (status) => {
+    switch (status) {
+      case 'PENDING_CONFIRMATION':
+        return 'Chờ xác nhận email';
+      case 'WAITING':
+        return 'Đang chờ';
+      case 'OFFERED':
+        return 'Đang giữ lịch';
+      case 'BOOKED':
+        return 'Đã đặt lịch';
+      case 'EXPIRED':
+        return 'Hết hạn';
+      case 'CANCELLED':
+        return 'Đã hủy';
+      default:
+        return status;
+    }
+  };
+
   const fetchEnrolledCourses = async () => {
     setLoadingCourses(true);
     try {
@@ -133,20 +214,8 @@ const Profile = () => {
         return;
       }
       
-      const accessToken = localStorage.getItem('accessToken');
-      const response = await fetch(`${API_URL}/appointments/user/${userId}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        }
-      });
-      
-      if (response.status === 200) {
-        const data = await response.json();
-        setAppointments(data);
-      } else {
-        console.error('Failed to fetch appointments:', response.status);
-      }
+      const response = await api.get(`/appointments/user/${userId}`);
+      setAppointments(response.data);
       setLoadingAppointments(false);
     } catch (error) {
       console.error('Error fetching appointments:', error);
@@ -157,7 +226,7 @@ const Profile = () => {
   const fetchSurveys = async () => {
     setLoadingSurveys(true);
     try {
-      const response = await api.get(`${API_URL}/survey/results`);
+      const response = await api.get('/survey/results');
       setSurveys(response.data);
       setLoadingSurveys(false);
     } catch (error) {
@@ -197,19 +266,9 @@ const Profile = () => {
         return;
       }
 
-      const response = await fetch(`${API_URL}/appointments/${appointmentId}/cancel/user/${userId}`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
-
-      if (response.status === 200) {
-        showSuccessAlert('Hủy cuộc hẹn thành công!');
-        fetchAppointments(); // Refresh appointment data
-      } else {
-        showErrorAlert('Hủy cuộc hẹn thất bại!');
-      }
+      await api.put(`/appointments/${appointmentId}/cancel/user/${userId}`);
+      showSuccessAlert('Hủy cuộc hẹn thành công!');
+      fetchAppointments(); // Refresh appointment data
     } catch (error) {
       console.error('Error canceling appointment:', error);
       showErrorAlert('Hủy cuộc hẹn thất bại!');
@@ -223,6 +282,74 @@ const Profile = () => {
     });
   };
 
+  const handleConfirmReschedule = async (slot) => {
+    const appointment = rescheduleDialog.appointment;
+    try {
+      await api.put(`/appointments/${appointment.id}/reschedule/user`, { slotId: slot.id });
+      showSuccessAlert('Đổi lịch hẹn thành công!');
+      setRescheduleDialog({ open: false, appointment: null });
+      fetchAppointments(); // Refresh appointment data
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      showErrorAlert(error.status ? error.message : 'Đổi lịch hẹn thất bại!');
+    }
+  };
+
+  const handleDownloadCalendar = async (appointmentId) => {
+    try {
+      await downloadAppointmentCalendar(appointmentId);
+    } catch (error) {
+      console.error('Error downloading calendar file:', error);
+      showErrorAlert('Không thể tải file lịch hẹn!');
+    }
+  };
+
+  // URL feed chỉ hiển thị một lần khi tạo; lần đầu chưa có feed thì tạo luôn
+  const handleShowCalendarFeed = async (regenerate = false) => {
+    setLoadingCalendarFeed(true);
+    try {
+      const status = regenerate ? null : await getCalendarFeedStatus();
+      if (status?.active) {
+        setCalendarFeedStatus(status);
+        return;
+      }
+      const feed = await regenerateCalendarFeedUrl();
+      setCalendarFeedUrl(feed.feedUrl);
+      setCalendarFeedStatus(feed);
+      if (regenerate) {
+        showSuccessAlert('Đã tạo URL mới, URL cũ không còn hoạt động!');
+      }
+    } catch (error) {
+      console.error('Error loading calendar feed:', error);
+      showErrorAlert('Không thể lấy URL lịch cá nhân!');
+    } finally {
+      setLoadingCalendarFeed(false);
+    }
+  };
+
+  const handleRevokeCalendarFeed = async () => {
+    setLoadingCalendarFeed(true);
+    try {
+      await revokeCalendarFeed();
+      setCalendarFeedUrl('');
+      setCalendarFeedStatus({ active: false, expiresAt: null });
+      showSuccessAlert('Đã thu hồi URL lịch cá nhân!');
+    } catch (error) {
+      console.error('Error revoking calendar feed:', error);
+    } finally {
+      setLoadingCalendarFeed(false);
+    }
+  };
+
+  const handleCopyCalendarFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeedUrl);
+      showSuccessAlert('Đã sao chép URL lịch!');
+    } catch {
+      showErrorAlert('Không thể sao chép, vui lòng sao chép thủ công.');
+    }
+  };
+
   const getStatusLabel = (status) => {
     switch (status) {
       case 'PENDING':
@@ -240,7 +367,7 @@ const Profile = () => {
     }
   };
 
-  const fetchUserData = async () => {
+  const fetchUserData = async (signal) => {
     const accessToken = localStorage.getItem('accessToken');
 
     if (!accessToken) {
@@ -249,80 +376,38 @@ const Profile = () => {
     }
 
     try {
-      // Follow the exact API endpoint structure
-      const response = await fetch(`${API_URL}/auth/me`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${accessToken}`
-        },
-        body: JSON.stringify({ accessToken })
+      const data = await fetchCurrentUser({ signal });
+      setUserData({
+        fullName: data.fullName || '',
+        email: data.email || '',
+        phone: data.phone || '',
+        gender: data.gender || '',
+        address: data.address || '',
+        avatar: data.avatar || '',
       });
 
-      if (response.status === 200) {
-        const data = await response.json();
-        setUserData({
-          fullName: data.fullName || '',
-          email: data.email || '',
-          phone: data.phone || '',
-          gender: data.gender || '',
-          address: data.address || '',
-          avatar: data.avatar || '',
-        });
-
-        // Handle birth date separately
-        if (data.yob) {
-          // Convert from DD/MM/YYYY to YYYY-MM-DD for input type="date"
-          const parts = data.yob.split('/');
-          if (parts.length === 3) {
-            setBirthDate(`${parts[2]}-${parts[1]}-${parts[0]}`);
-          }
+      // Handle birth date separately
+      if (data.yob) {
+        // Convert from DD/MM/YYYY to YYYY-MM-DD for input type="date"
+        const parts = data.yob.split('/');
+        if (parts.length === 3) {
+          setBirthDate(`${parts[2]}-${parts[1]}-${parts[0]}`);
         }
-      } else {
-        // Handle expired token
-        if (response.status === 401) {
-          try {
-            // Try refreshing token
-            const refreshToken = localStorage.getItem('refreshToken');
-            if (refreshToken) {
-              const refreshResponse = await fetch(`${API_URL}/auth/refresh-token`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ refreshToken }),
-              });
-
-              if (refreshResponse.status === 200) {
-                const refreshData = await refreshResponse.json();
-                localStorage.setItem('accessToken', refreshData.accessToken);
-
-                // Retry with new token
-                return fetchUserData();
-              }
-            }
-          } catch (refreshError) {
-            console.error('Error refreshing token:', refreshError);
-          }
-
-          // If refresh token fails or doesn't exist
-          showErrorAlert('Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.');
-          localStorage.removeItem('accessToken');
-          localStorage.removeItem('refreshToken');
-          navigate('/login');
-          return;
-        }
-
-        const errorData = await response.json();
-        showErrorAlert(errorData.message || 'Có lỗi xảy ra!');
-        navigate('/');
       }
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error('Error fetching user data:', error);
-      showErrorAlert('Có lỗi xảy ra!');
+      if (error.status === 401) {
+        showErrorAlert('Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.');
+        navigate('/login');
+        return;
+      }
+      showErrorAlert(error.status ? error.message : 'Có lỗi xảy ra!');
       navigate('/');
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -441,44 +526,27 @@ const Profile = () => {
         console.log(pair[0] + ': ' + pair[1]);
       }
 
-      const response = await fetch(`${API_URL}/auth/me`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-          // Don't add Content-Type, let browser set it automatically when sending FormData
-        },
-        body: formData
-      });
+      // Không đặt Content-Type, axios tự gắn boundary cho FormData
+      const response = await api.patch('/auth/me', formData);
+      const data = response.data;
+      console.log('Response data:', data);
+      showSuccessAlert(data.message || 'Cập nhật thông tin thành công!');
 
-      console.log('Status code:', response.status);
+      // Update user data after successful save
+      fetchUserData();
 
-      // Set processing state to false
-      setIsProcessing(false);
+      // Update information in AuthButton
+      updateAuthButtonInfo();
 
-      if (response.status === 200) {
-        const data = await response.json();
-        console.log('Response data:', data);
-        showSuccessAlert(data.message || 'Cập nhật thông tin thành công!');
-
-        // Update user data after successful save
-        fetchUserData();
-
-        // Update information in AuthButton
-        updateAuthButtonInfo();
-
-        // Wait 1.5 seconds for user to see success message, then refresh page
-        setTimeout(() => {
-          window.location.reload();
-        }, 1500);
-      } else {
-        const errorData = await response.json();
-        console.error('Error response:', errorData);
-        showErrorAlert(errorData.message || 'Cập nhật thất bại!');
-      }
+      // Wait 1.5 seconds for user to see success message, then refresh page
+      setTimeout(() => {
+        window.location.reload();
+      }, 1500);
     } catch (error) {
       console.error('Error updating profile:', error);
-      showErrorAlert('Có lỗi xảy ra khi cập nhật thông tin!');
-      setIsProcessing(false); // Ensure processing state is turned off if error occurs
+      showErrorAlert(error.status ? error.message || 'Cập nhật thất bại!' : 'Có lỗi xảy ra khi cập nhật thông tin!');
+    } finally {
+      setIsProcessing(false);
     }
   };
 
@@ -895,6 +963,66 @@ const Profile = () => {
             </Box>
           ) : appointments.length > 0 ? (
             <>
+              <Box sx={{ p: 2, borderBottom: '1px solid #eee' }}>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  Đồng bộ lịch hẹn vào Google Calendar, Outlook hoặc Apple Calendar bằng URL lịch cá nhân.
+                  Lịch tự cập nhật khi cuộc hẹn được xác nhận, đổi lịch hoặc hủy. Không chia sẻ URL này cho người khác.
+                </Typography>
+                {calendarFeedStatus?.active && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                    {calendarFeedUrl
+                      ? 'URL chỉ hiển thị một lần, hãy sao chép ngay.'
+                      : 'Bạn đã tạo URL lịch cá nhân trước đó. Nếu làm mất URL, hãy tạo URL mới.'}
+                    {' '}Hết hạn ngày {new Date(calendarFeedStatus.expiresAt).toLocaleDateString('vi-VN')}.
+                  </Typography>
+                )}
+                {calendarFeedStatus?.active ? (
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                    {calendarFeedUrl && (
+                      <>
+                        <TextField
+                          size="small"
+                          value={calendarFeedUrl}
+                          InputProps={{ readOnly: true }}
+                          onFocus={(e) => e.target.select()}
+                          sx={{ flex: 1, minWidth: 260 }}
+                        />
+                        <Button variant="outlined" size="small" onClick={handleCopyCalendarFeed} sx={{ fontWeight: 600 }}>
+                          Sao chép
+                        </Button>
+                      </>
+                    )}
+                    <Button
+                      color="warning"
+                      size="small"
+                      disabled={loadingCalendarFeed}
+                      onClick={() => handleShowCalendarFeed(true)}
+                      sx={{ fontWeight: 600 }}
+                    >
+                      Tạo URL mới
+                    </Button>
+                    <Button
+                      color="error"
+                      size="small"
+                      disabled={loadingCalendarFeed}
+                      onClick={handleRevokeCalendarFeed}
+                      sx={{ fontWeight: 600 }}
+                    >
+                      Thu hồi
+                    </Button>
+                  </Box>
+                ) : (
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    disabled={loadingCalendarFeed}
+                    onClick={() => handleShowCalendarFeed()}
+                    sx={{ fontWeight: 600 }}
+                  >
+                    {loadingCalendarFeed ? <CircularProgress size={20} /> : 'Lấy URL lịch cá nhân'}
+                  </Button>
+                )}
+              </Box>
               <TableContainer>
                 <Table sx={{ minWidth: 650 }}>
                   <TableHead sx={{ backgroundColor: '#f5f5f5' }}>
@@ -905,7 +1033,9 @@ const Profile = () => {
                       <TableCell sx={{ fontWeight: 600 }}>Tư vấn viên</TableCell>
                       <TableCell sx={{ fontWeight: 600 }}>Trạng thái</TableCell>
                       <TableCell sx={{ fontWeight: 600 }}>Hủy cuộc hẹn</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Đổi lịch</TableCell>
                       <TableCell sx={{ fontWeight: 600 }}>Link tham dự</TableCell>
+                      <TableCell sx={{ fontWeight: 600 }}>Lịch</TableCell>
                       <TableCell sx={{ fontWeight: 600 }}>Đánh giá</TableCell>
                     </TableRow>
                   </TableHead>
@@ -929,6 +1059,17 @@ const Profile = () => {
                             Hủy cuộc hẹn
                           </Button>
                         </TableCell>
+                        <TableCell>
+                          <Button
+                            variant="outlined"
+                            size="small"
+                            disabled={appointment.status !== 'PENDING' && appointment.status !== 'CONFIRMED'}
+                            onClick={() => setRescheduleDialog({ open: true, appointment })}
+                            sx={{fontWeight: 600}}
+                          >
+                            Đổi lịch
+                          </Button>
+                        </TableCell>
                         <TableCell>
                           {appointment.linkGoogleMeet ? (
                             <Link href={appointment.linkGoogleMeet} target="_blank" rel="noopener noreferrer">
@@ -936,6 +1077,16 @@ const Profile = () => {
                             </Link>
                           ) : null}
                         </TableCell>
+                        <TableCell>
+                          <Button
+                            size="small"
+                            disabled={appointment.status === 'CANCELLED'}
+                            onClick={() => handleDownloadCalendar(appointment.id)}
+                            sx={{ fontWeight: 600, whiteSpace: 'nowrap' }}
+                          >
+                            Thêm vào lịch
+                          </Button>
+                        </TableCell>
                         <TableCell>
                           {renderReviewButton(appointment)}
                         </TableCell>
@@ -955,6 +1106,147 @@ const Profile = () => {
         </AccordionDetails>
       </Accordion>
 
+      {/* Waitlist Section */}
+      <Accordion
+        expanded={expandedWaitlist}
+        onChange={handleWaitlistAccordionChange}
+        sx={{
+          boxShadow: '0 4px 15px rgba(0,0,0,0.05)',
+          borderRadius: '8px',
+          overflow: 'hidden',
+          '&:before': {
+            display: 'none',
+          },
+          mb: 2
+        }}
+      >
+        <AccordionSummary
+          expandIcon={<ExpandMoreIcon />}
+          aria-controls="waitlist-content"
+          id="waitlist-header"
+          sx={{
+            backgroundColor: '#f5f8ff',
+            borderBottom: '1px solid #e0e7ff',
+            padding: '12px 20px',
+          }}
+        >
+          <Typography variant="h6" sx={{ fontWeight: 600, color: '#0056b3' }}>
+            Danh sách chờ
+          </Typography>
+        </AccordionSummary>
+        <AccordionDetails sx={{ p: 0 }}>
+          {loadingWaitlist ? (
+            <Box sx={{ p: 3, textAlign: 'center' }}>
+              <CircularProgress size={30} />
+            </Box>
+          ) : waitlist.length > 0 ? (
+            <TableContainer>
+              <Table sx={{ minWidth: 650 }}>
+                <TableHead sx={{ backgroundColor: '#f5f5f5' }}>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 600 }}>Khoảng ngày</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Tư vấn viên</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Chủ đề</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Trạng thái</TableCell>
+                    <TableCell sx={{ fontWeight: 600 }}>Thao tác</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {waitlist.map((entry) => (
+                    <TableRow key={entry.id}>
+                      <TableCell>{entry.dateFrom} - {entry.dateTo}</TableCell>
+                      <TableCell>{entry.consultantName || 'Bất kỳ'}</TableCell>
+                      <TableCell>{entry.topicName || 'Bất kỳ'}</TableCell>
+                      <TableCell>
+                        {getWaitlistStatusLabel(entry.status)}
+                        {entry.status === 'OFFERED' && entry.heldSlot && (
+                          <Typography variant="body2" color="text.secondary">
+                            {entry.heldSlot.startTime} ngày {entry.heldSlot.date}, giữ đến {entry.holdExpiresAt}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', gap: 1 }}>
+                          {entry.status === 'OFFERED' && (
+                            <Button
+                              variant="contained"
+                              size="small"
+                              component={RouterLink}
+                              to={`/appointment?holdToken=${encodeURIComponent(entry.holdToken)}`}
+                              sx={{ fontWeight: 600 }}
+                            >
+                              Đặt lịch
+                            </Button>
+                          )}
+                          {['PENDING_CONFIRMATION', 'WAITING', 'OFFERED'].includes(entry.status) && (
+                            <Button
+                              variant="outlined"
+                              color="error"
+                              size="small"
+                              onClick={() => handleCancelWaitlist(entry.id)}
+                              sx={{ fontWeight: 600 }}
+                            >
+                              Hủy
+                            </Button>
+                          )}
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          ) : (
+            <Box sx={{ p: 3, textAlign: 'center' }}>
+              <Typography variant="body1" color="text.secondary">
+                Bạn chưa đăng ký danh sách chờ nào.
+              </Typography>
+            </Box>
+          )}
+        </AccordionDetails>
+      </Accordion>
+
+      {/* Wellbeing Trend Section */}
+      <Accordion
+        expanded={expandedWellbeing}
+        onChange={handleWellbeingAccordionChange}
+        sx={{
+          boxShadow: '0 4px 15px rgba(0,0,0,0.05)',
+          borderRadius: '8px',
+          overflow: 'hidden',
+          '&:before': {
+            display: 'none',
+          },
+        }}
+      >
+        <AccordionSummary
+          expandIcon={<ExpandMoreIcon />}
+          aria-controls="wellbeing-content"
+          id="wellbeing-header"
+          sx={{
+            backgroundColor: '#f5f8ff',
+            borderBottom: '1px solid #e0e7ff',
+            padding: '12px 20px',
+          }}
+        >
+          <Typography variant="h6" sx={{ fontWeight: 600, color: '#0056b3' }}>
+            Sức khỏe của tôi
+          </Typography>
+        </AccordionSummary>
+        <AccordionDetails sx={{ p: 0 }}>
+          {loadingSurveys ? (
+            <Box sx={{ p: 3, textAlign: 'center' }}>
+              <CircularProgress size={30} />
+              <Typography variant="body1" sx={{ mt: 2 }}>
+                Đang tải lịch sử khảo sát...
+              </Typography>
+            </Box>
+          ) : (
+            <WellbeingDashboard results={surveys} />
+          )}
+        </AccordionDetails>
+      </Accordion>
+
       {/* Surveys Section */}
       <Accordion
         expanded={expandedSurveys}
@@ -1032,6 +1324,77 @@ const Profile = () => {
         </AccordionDetails>
       </Accordion>
 
+      {/* Lesson Notes Section */}
+      <Accordion
+        TransitionProps={{ unmountOnExit: true }}
+        sx={{
+          boxShadow: '0 4px 15px rgba(0,0,0,0.05)',
+          borderRadius: '8px',
+          overflow: 'hidden',
+          '&:before': {
+            display: 'none',
+          },
+          mt: 2
+        }}
+      >
+        <AccordionSummary
+          expandIcon={<ExpandMoreIcon />}
+          aria-controls="lesson-notes-content"
+          id="lesson-notes-header"
+          sx={{
+            backgroundColor: '#f5f8ff',
+            borderBottom: '1px solid #e0e7ff',
+            padding: '12px 20px',
+          }}
+        >
+          <Typography variant="h6" sx={{ fontWeight: 600, color: '#0056b3' }}>
+            Ghi chú bài học
+          </Typography>
+        </AccordionSummary>
+        <AccordionDetails sx={{ p: 0 }}>
+          <LessonNotes />
+        </AccordionDetails>
+      </Accordion>
+
+      {/* Notification Settings Section */}
+      <Accordion
+        TransitionProps={{ unmountOnExit: true }}
+        sx={{
+          boxShadow: '0 4px 15px rgba(0,0,0,0.05)',
+          borderRadius: '8px',
+          overflow: 'hidden',
+          '&:before': {
+            display: 'none',
+          },
+          mt: 2
+        }}
+      >
+        <AccordionSummary
+          expandIcon={<ExpandMoreIcon />}
+          aria-controls="notification-settings-content"
+          id="notification-settings-header"
+          sx={{
+            backgroundColor: '#f5f8ff',
+            borderBottom: '1px solid #e0e7ff',
+            padding: '12px 20px',
+          }}
+        >
+          <Typography variant="h6" sx={{ fontWeight: 600, color: '#0056b3' }}>
+            Cài đặt thông báo
+          </Typography>
+        </AccordionSummary>
+        <AccordionDetails sx={{ p: 0 }}>
+          <NotificationPreferences />
+        </AccordionDetails>
+      </Accordion>
+
+      <RescheduleDialog
+        open={rescheduleDialog.open}
+        appointment={rescheduleDialog.appointment}
+        onClose={() => setRescheduleDialog({ open: false, appointment: null })}
+        onConfirm={handleConfirmReschedule}
+      />
+
       {/* Confirmation Dialog */}
       <Dialog
         open={confirmDialog.open}
@@ -23,12 +23,11 @@ import VisibilityIcon from '@mui/icons-material/Visibility';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
 import GoogleIcon from '@mui/icons-material/Google';
 import { Link as RouterLink, useNavigate } from 'react-router-dom';
-import axios from 'axios';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { format, parse } from 'date-fns';
-import { API_URL } from '../../services/config';
+import api, { loginWithGoogle } from '../../services/authService';
 import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
 
 // Lấy Google Client ID từ biến môi trường
@@ -115,14 +114,8 @@ const Register = () => {
     
     try {
       // Send the credential to your backend using google-login endpoint instead of google-register
-      const apiResponse = await axios.post(`${API_URL}/auth/google-login`, {
-        credential: response.credential
-      });
-      
-      // Store tokens in local storage (like in Login component)
-      const { accessToken, refreshToken } = apiResponse.data;
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
+      // Token được lưu vào local storage trong loginWithGoogle (like in Login component)
+      await loginWithGoogle(response.credential);
       
       // Store registration success flag in localStorage with registration message
       localStorage.setItem('loginSuccess', 'true');
@@ -224,10 +217,7 @@ const Register = () => {
         yob: yobFormat // API expects yob not birthDate
       };
       
-      const response = await axios.post(
-        `${API_URL}/auth/register`,
-        payload
-      );
+      const response = await api.post('/auth/register', payload, { skipAuth: true });
       
       if (response.status === 201) {
         // Set processing state to false
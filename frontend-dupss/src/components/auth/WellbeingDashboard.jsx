@@ -0,0 +1,281 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  AlertTitle,
+  Button,
+  Chip,
+  List,
+  ListItem,
+  ListItemText
+} from '@mui/material';
+import { parse, format } from 'date-fns';
+import { apiPublicGet } from '../../services/apiService';
+
+// Thứ tự và màu của mức nguy cơ; kết quả cũ chưa có mức nguy cơ được vẽ màu xám
+const RISK_LEVELS = {
+  LOW: { rank: 0, label: 'Nguy cơ thấp', color: '#4caf50' },
+  MODERATE: { rank: 1, label: 'Nguy cơ trung bình', color: '#ff9800' },
+  HIGH: { rank: 2, label: 'Nguy cơ cao', color: '#f44336' }
+};
+const UNKNOWN_RISK_COLOR = '#9e9e9e';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = { top: 16, right: 24, bottom: 40, left: 40 };
+
+const getRiskColor = (riskLevel) => RISK_LEVELS[riskLevel]?.color || UNKNOWN_RISK_COLOR;
+
+/**
+ * Gom kết quả khảo sát (không tính bài kiểm tra khóa học) theo từng khảo sát, sắp theo thời gian
+ * @returns {Array<{surveyId, surveyName, points: Array}>}
+ */
+const groupBySurvey = (results) => {
+  const groups = new Map();
+  results
+    .filter(result => !result.forCourse && result.submittedAt)
+    .forEach(result => {
+      const key = result.surveyId ?? result.surveyName;
+      if (!groups.has(key)) {
+        groups.set(key, { surveyId: key, surveyName: result.surveyName, points: [] });
+      }
+      groups.get(key).points.push({
+        ...result,
+        date: parse(result.submittedAt, 'dd/MM/yyyy HH:mm', new Date())
+      });
+    });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, points: group.points.sort((a, b) => a.date - b.date) }))
+    .sort((a, b) => b.points[b.points.length - 1].date - a.points[a.points.length - 1].date);
+};
+
+// Những lần mức nguy cơ thay đổi so với lần làm trước đó
+const getBandChanges = (points) =>
+  points.slice(1)
+    .map((point, index) => ({ from: points[index], to: point }))
+    .filter(({ from, to }) => from.riskLevel && to.riskLevel && from.riskLevel !== to.riskLevel);
+
+/**
+ * Xu hướng xấu đi: mức nguy cơ lần gần nhất cao hơn lần trước,
+ * hoặc điểm tăng khi một trong hai lần chưa có mức nguy cơ (điểm cao hơn là nguy cơ cao hơn)
+ */
+const isWorsening = (points) => {
+  if (points.length < 2) return false;
+  const previous = points[points.length - 2];
+  const latest = points[points.length - 1];
+  if (RISK_LEVELS[previous.riskLevel] && RISK_LEVELS[latest.riskLevel]) {
+    return RISK_LEVELS[latest.riskLevel].rank > RISK_LEVELS[previous.riskLevel].rank;
+  }
+  return latest.score > previous.score;
+};
+
+const TrendChart = ({ points }) => {
+  const innerWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const maxScore = Math.max(1, ...points.map(point => Math.max(point.totalScore || 0, point.score || 0)));
+
+  const x = (index) => CHART_PADDING.left + (points.length > 1 ? (index / (points.length - 1)) * innerWidth : innerWidth / 2);
+  const y = (score) => CHART_PADDING.top + innerHeight - (Math.max(0, score) / maxScore) * innerHeight;
+  const yTicks = [0, Math.round(maxScore / 2), maxScore];
+
+  return (
+    <Box sx={{ width: '100%', overflowX: 'auto' }}>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        width="100%"
+        style={{ minWidth: 360, display: 'block' }}
+        role="img"
+        aria-label="Biểu đồ điểm khảo sát theo thời gian"
+      >
+        {yTicks.map(tick => (
+          <g key={tick}>
+            <line
+              x1={CHART_PADDING.left}
+              x2={CHART_WIDTH - CHART_PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+              stroke="#e0e0e0"
+            />
+            <text x={CHART_PADDING.left - 8} y={y(tick) + 4} textAnchor="end" fontSize="12" fill="#757575">
+              {tick}
+            </text>
+          </g>
+        ))}
+
+        <polyline
+          fill="none"
+          stroke="#0056b3"
+          strokeWidth="2"
+          points={points.map((point, index) => `${x(index)},${y(point.score)}`).join(' ')}
+        />
+
+        {points.map((point, index) => {
+          const bandChanged = index > 0 && point.riskLevel && points[index - 1].riskLevel
+            && point.riskLevel !== points[index - 1].riskLevel;
+          return (
+            <g key={index}>
+              {bandChanged && (
+                <circle cx={x(index)} cy={y(point.score)} r="10" fill="none" stroke={getRiskColor(point.riskLevel)} strokeWidth="2" />
+              )}
+              <circle cx={x(index)} cy={y(point.score)} r="5" fill={getRiskColor(point.riskLevel)}>
+                <title>
+                  {`${point.submittedAt}: ${point.score}/${point.totalScore}${point.riskLevel ? ` - ${RISK_LEVELS[point.riskLevel]?.label}` : ''}`}
+                </title>
+              </circle>
+              <text x={x(index)} y={CHART_HEIGHT - CHART_PADDING.bottom + 18} textAnchor="middle" fontSize="11" fill="#757575">
+                {format(point.date, 'dd/MM/yy')}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </Box>
+  );
+};
+
+/**
+ * Biểu đồ điểm theo thời gian của từng khảo sát, đánh dấu các lần thay đổi mức nguy cơ
+ * và gợi ý khóa học/đặt lịch tư vấn khi kết quả xấu đi.
+ * results: danh sách kết quả từ GET /survey/results
+ */
+const WellbeingDashboard = ({ results }) => {
+  const groups = useMemo(() => groupBySurvey(results), [results]);
+  const [selectedSurveyId, setSelectedSurveyId] = useState('');
+  const [suggestedCourses, setSuggestedCourses] = useState([]);
+
+  const selected = groups.find(group => group.surveyId === selectedSurveyId) || groups[0];
+  const worsening = !!selected && isWorsening(selected.points);
+  const bandChanges = selected ? getBandChanges(selected.points) : [];
+
+  useEffect(() => {
+    if (!worsening || suggestedCourses.length > 0) return;
+
+    apiPublicGet('/courses/latest', {}, false)
+      .then(courses => setSuggestedCourses((courses || []).slice(0, 3)))
+      .catch(error => console.error('Error fetching suggested courses:', error));
+  }, [worsening, suggestedCourses.length]);
+
+  if (!selected) {
+    return (
+      <Box sx={{ p: 3, textAlign: 'center' }}>
+        <Typography variant="body1" color="text.secondary">
+          Bạn chưa làm khảo sát đánh giá nguy cơ nào.
+        </Typography>
+      </Box>
+    );
+  }
+
+  const latest = selected.points[selected.points.length - 1];
+
+  return (
+    <Box sx={{ p: 3 }}>
+      {groups.length > 1 && (
+        <FormControl size="small" sx={{ minWidth: 260, mb: 2 }}>
+          <InputLabel id="wellbeing-survey-label">Khảo sát</InputLabel>
+          <Select
+            labelId="wellbeing-survey-label"
+            label="Khảo sát"
+            value={selected.surveyId}
+            onChange={(e) => setSelectedSurveyId(e.target.value)}
+          >
+            {groups.map(group => (
+              <MenuItem key={group.surveyId} value={group.surveyId}>
+                {group.surveyName} ({group.points.length} lần)
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+          {selected.surveyName}
+        </Typography>
+        <Chip
+          size="small"
+          label={`Gần nhất: ${latest.score}/${latest.totalScore}${latest.riskLevel ? ` - ${RISK_LEVELS[latest.riskLevel]?.label}` : ''}`}
+          sx={{ bgcolor: getRiskColor(latest.riskLevel), color: '#fff', fontWeight: 600 }}
+        />
+      </Box>
+
+      {selected.points.length > 1 ? (
+        <TrendChart points={selected.points} />
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ my: 2 }}>
+          Làm lại khảo sát này để theo dõi sự thay đổi theo thời gian.
+        </Typography>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 1 }}>
+        {Object.values(RISK_LEVELS).map(level => (
+          <Box key={level.label} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: level.color }} />
+            <Typography variant="caption">{level.label}</Typography>
+          </Box>
+        ))}
+      </Box>
+
+      {bandChanges.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+            Các lần thay đổi mức nguy cơ
+          </Typography>
+          <List dense disablePadding>
+            {bandChanges.map(({ from, to }, index) => (
+              <ListItem key={index} disableGutters>
+                <ListItemText
+                  primary={`${to.submittedAt}: ${RISK_LEVELS[from.riskLevel]?.label} → ${RISK_LEVELS[to.riskLevel]?.label}`}
+                  primaryTypographyProps={{
+                    color: RISK_LEVELS[to.riskLevel].rank > RISK_LEVELS[from.riskLevel].rank ? 'error' : 'success.main'
+                  }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Box>
+      )}
+
+      {worsening && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          <AlertTitle>Kết quả gần đây của bạn có xu hướng xấu đi</AlertTitle>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            Bạn có thể trao đổi với chuyên viên tư vấn hoặc tham gia các khóa học để được hỗ trợ kịp thời.
+          </Typography>
+          {suggestedCourses.length > 0 && (
+            <List dense disablePadding sx={{ mb: 1 }}>
+              {suggestedCourses.map(course => (
+                <ListItem key={course.id} disableGutters>
+                  <ListItemText
+                    primary={
+                      <RouterLink to={`/courses/${course.id}`} style={{ color: '#0056b3' }}>
+                        {course.title}
+                      </RouterLink>
+                    }
+                    secondary={course.topicName}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            <Button variant="contained" size="small" component={RouterLink} to="/appointment">
+              Đặt lịch tư vấn
+            </Button>
+            <Button variant="outlined" size="small" component={RouterLink} to="/courses">
+              Xem khóa học
+            </Button>
+          </Box>
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default WellbeingDashboard;
@@ -3,11 +3,12 @@ import { useParams, useLocation, Link as RouterLink } from 'react-router-dom';
 import { Container, Typography, Box, CircularProgress, Fade, Divider, 
          Breadcrumbs, Link, styled } from '@mui/material';
 import NavigateNextIcon from '@mui/icons-material/NavigateNext';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import BlogHeader from './BlogHeader';
 import BlogContent from './BlogContent';
 import RelatedArticles from './RelatedArticles';
-import { API_URL } from '../../services/config';
+import CommentSection from './CommentSection';
+import { apiPublicGet } from '../../services/apiService';
 
 // Breadcrumb container
 const BreadcrumbContainer = styled(Box)(({ theme }) => ({
@@ -24,7 +25,7 @@ const BlogDetail = () => {
   const [loading, setLoading] = useState(true);
   const [contentVisible, setContentVisible] = useState(false);
 
-  const fetchBlogData = async (blogId) => {
+  const fetchBlogData = async (blogId, signal) => {
     // Set content invisible first, but don't show loading state immediately
     setContentVisible(false);
     
@@ -38,20 +39,20 @@ const BlogDetail = () => {
     try {
       window.scrollTo({ top: 0, behavior: 'smooth' });
       
-      const response = await axios.get(`${API_URL}/public/blog/${blogId}`);
+      const data = await apiPublicGet(`/blog/${blogId}`, {}, false, { signal });
       setBlog({
-        id: response.data.id,
-        title: response.data.title,
-        tag: response.data.topic,
-        createdDate: response.data.createdAt,
-        thumbnail: response.data.imageUrl,
-        blogContent: response.data.content,
-        authorName: response.data.authorName
+        id: data.id,
+        title: data.title,
+        tag: data.topic,
+        createdDate: data.createdAt,
+        thumbnail: data.imageUrl,
+        blogContent: data.content,
+        authorName: data.authorName
       });
       
       // Fetch related articles
-      const relatedResponse = await axios.get(`${API_URL}/public/blogs/latest`);
-      setRelatedArticles(relatedResponse.data.map(article => ({
+      const related = await apiPublicGet('/blogs/latest', {}, false, { signal });
+      setRelatedArticles(related.map(article => ({
         id: article.id,
         title: article.title,
         coverImage: article.coverImage,
@@ -69,6 +70,8 @@ const BlogDetail = () => {
       }, 100);
     } catch (error) {
       clearTimeout(loadingTimer);
+      // Đã chuyển sang bài viết khác, request mới sẽ cập nhật trạng thái
+      if (isCancelledError(error)) return;
       console.error('Error fetching blog data:', error);
       setLoading(false);
       setContentVisible(true);
@@ -79,10 +82,12 @@ const BlogDetail = () => {
     // Set a default loading title
     document.title = "Đang tải bài viết... - DUPSS";
     
-    fetchBlogData(id);
+    const controller = new AbortController();
+    fetchBlogData(id, controller.signal);
     
     // Cleanup function
     return () => {
+      controller.abort();
       setContentVisible(false);
     };
   }, [id, location.pathname]);
@@ -152,6 +157,10 @@ const BlogDetail = () => {
           />
           
           <BlogContent content={blog.blogContent} />
+
+          <Box sx={{ mt: 6 }}>
+            <CommentSection blogId={blog.id} />
+          </Box>
           
           <Box sx={{ mt: 6, mb: 4 }}>
             <Divider sx={{ mb: 2 }} />
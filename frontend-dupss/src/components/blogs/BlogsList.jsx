@@ -4,8 +4,8 @@ import { Search } from '@mui/icons-material';
 import { Link as RouterLink } from 'react-router-dom';
 import { styled } from '@mui/material/styles';
 import { RelatedArticles } from './index';
-import axios from 'axios';
-import { API_URL } from '../../services/config';
+import { isCancelledError } from '@dupss/api-client';
+import { apiGet, apiPublicGet } from '../../services/apiService';
 
 const FilterContainer = styled(Box)(({ theme }) => ({
   display: 'flex',
@@ -50,16 +50,18 @@ const BlogsList = () => {
 
   // Fetch topics from API
   useEffect(() => {
+    const controller = new AbortController();
     const fetchTopics = async () => {
       try {
-        const response = await axios.get(`${API_URL}/topics`);
-        setTopics(response.data);
+        setTopics(await apiGet('/topics', {}, false, { signal: controller.signal }));
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error fetching topics:', error);
       }
     };
 
     fetchTopics();
+    return () => controller.abort();
   }, []);
 
   // Debounce search input
@@ -80,35 +82,40 @@ const BlogsList = () => {
   useEffect(() => {
     document.title = "Blogs & Thông Tin - DUPSS";
     
+    const controller = new AbortController();
     const fetchBlogs = async () => {
       setLoading(true);
       try {
-        let url = `${API_URL}/public/blogs?keyword=${searchQuery}&page=${currentPage}&sortBy=createdAt&sortDir=${sortDir}`;
-        
+        const params = { keyword: searchQuery, page: currentPage, sortBy: 'createdAt', sortDir };
         if (selectedTopic) {
-          url += `&topic=${selectedTopic}`;
+          params.topic = selectedTopic;
         }
         
-        const response = await axios.get(url);
-        setBlogs(response.data.blogs);
-        setTotalPages(response.data.totalPages);
-        setCurrentPage(response.data.currentPage);
+        const data = await apiPublicGet('/blogs', params, false, { signal: controller.signal });
+        setBlogs(data.blogs);
+        setTotalPages(data.totalPages);
+        setCurrentPage(data.currentPage);
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error fetching blogs:', error);
       } finally {
-        setLoading(false);
-        setInitialLoad(false);
-        
-        // After data loading is complete, scroll to top if not initial loading
-        if (!initialLoad) {
-          setTimeout(() => {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-          }, 100); // Short delay to ensure DOM has been updated
+        // Request cũ bị hủy khi bộ lọc thay đổi, request mới sẽ cập nhật trạng thái
+        if (!controller.signal.aborted) {
+          setLoading(false);
+          setInitialLoad(false);
+          
+          // After data loading is complete, scroll to top if not initial loading
+          if (!initialLoad) {
+            setTimeout(() => {
+              window.scrollTo({ top: 0, behavior: 'smooth' });
+            }, 100); // Short delay to ensure DOM has been updated
+          }
         }
       }
     };
 
     fetchBlogs();
+    return () => controller.abort();
   }, [searchQuery, selectedTopic, sortDir, currentPage]);
 
   const handlePageChange = (event, value) => {
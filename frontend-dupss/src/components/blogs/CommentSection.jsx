@@ -1,22 +1,38 @@
-import { useState } from 'react';
-import { 
-  Box, 
-  Typography, 
-  TextField, 
-  Button, 
-  Paper, 
-  Avatar, 
-  Stack, 
-  Divider,
-  IconButton, 
-  Pagination
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Paper,
+  Avatar,
+  Stack,
+  IconButton,
+  Pagination,
+  CircularProgress,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
-import { ThumbUp, ThumbDown, Reply } from '@mui/icons-material';
+import { ThumbUp, ThumbDown, Reply, VisibilityOff, DeleteOutline, OutlinedFlag } from '@mui/icons-material';
 import { styled } from '@mui/material/styles';
+import { apiPublicGet, apiPost, apiPatch } from '../../services/apiService';
+import { isAuthenticated, getUserData } from '../../services/authService';
+import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
 
-const CommentBox = styled(Box)(({ theme, isReply }) => ({
+const COMMENTS_PER_PAGE = 5;
+// Từ cấp này trở đi các trả lời không thụt lề thêm để tránh bị bóp hẹp trên mobile
+const MAX_INDENT_DEPTH = 2;
+
+const CommentBox = styled(Box, {
+  shouldForwardProp: (prop) => prop !== 'isReply' && prop !== 'isPending'
+})(({ theme, isReply, isPending }) => ({
   display: 'flex',
   marginBottom: '25px',
+  opacity: isPending ? 0.6 : 1,
   ...(isReply && {
     marginLeft: '50px',
     marginTop: '20px',
@@ -28,7 +44,9 @@ const CommentBox = styled(Box)(({ theme, isReply }) => ({
   })
 }));
 
-const ReactionButton = styled(IconButton)(({ theme, isActive }) => ({
+const ReactionButton = styled(IconButton, {
+  shouldForwardProp: (prop) => prop !== 'isActive'
+})(({ isActive }) => ({
   color: isActive ? '#3498db' : '#7f8c8d',
   padding: '4px',
   '&:hover': {
@@ -36,7 +54,7 @@ const ReactionButton = styled(IconButton)(({ theme, isActive }) => ({
   }
 }));
 
-const StyledTextField = styled(TextField)(({ theme }) => ({
+const StyledTextField = styled(TextField)(() => ({
   '& .MuiOutlinedInput-root': {
     '&.Mui-focused fieldset': {
       borderColor: '#3498db',
@@ -44,144 +62,425 @@ const StyledTextField = styled(TextField)(({ theme }) => ({
   },
 }));
 
-const CommentSection = ({ comments }) => {
-  const [commentText, setCommentText] = useState('');
+// Áp dụng thay đổi cho một bình luận bất kỳ trong cây bình luận
+const updateCommentTree = (comments, commentId, updater) =>
+  comments.map(comment => {
+    if (comment.id === commentId) {
+      return updater(comment);
+    }
+    if (comment.replies?.length) {
+      return { ...comment, replies: updateCommentTree(comment.replies, commentId, updater) };
+    }
+    return comment;
+  });
+
+const removeFromCommentTree = (comments, commentId) =>
+  comments
+    .filter(comment => comment.id !== commentId)
+    .map(comment => comment.replies?.length
+      ? { ...comment, replies: removeFromCommentTree(comment.replies, commentId) }
+      : comment);
+
+// Tính trước số like/dislike khi người dùng bấm để cập nhật giao diện ngay lập tức
+const applyReaction = (comment, type) => {
+  let { likes, dislikes, myReaction } = comment;
+  if (myReaction === 'LIKE') likes -= 1;
+  if (myReaction === 'DISLIKE') dislikes -= 1;
+
+  if (myReaction === type) {
+    myReaction = null;
+  } else {
+    myReaction = type;
+    if (type === 'LIKE') likes += 1;
+    else dislikes += 1;
+  }
+  return { ...comment, likes, dislikes, myReaction };
+};
+
+const CommentSection = ({ blogId }) => {
+  const navigate = useNavigate();
+  const [comments, setComments] = useState([]);
   const [page, setPage] = useState(1);
-  const commentsPerPage = 5;
-  
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalComments, setTotalComments] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [commentText, setCommentText] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [reportingComment, setReportingComment] = useState(null);
+  const [reportReason, setReportReason] = useState('');
+  const [submittingReport, setSubmittingReport] = useState(false);
+
+  const loggedIn = isAuthenticated();
+  const userData = getUserData();
+  const isManager = userData?.roles?.includes('ROLE_MANAGER');
+
+  const fetchComments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiPublicGet(`/blog/${blogId}/comments`, { page, size: COMMENTS_PER_PAGE }, false);
+      setComments(data.comments || []);
+      setTotalPages(data.totalPages || 0);
+      setTotalComments(data.totalComments || 0);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      setComments([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [blogId, page]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const requireLogin = () => {
+    sessionStorage.setItem('redirectAfterLogin', window.location.pathname);
+    navigate('/login');
+  };
+
+  const postComment = async (content, parentId = null) => {
+    const tempId = `temp-${Date.now()}`;
+    const optimisticComment = {
+      id: tempId,
+      parentId,
+      authorId: userData?.id,
+      authorName: userData?.username,
+      content,
+      likes: 0,
+      dislikes: 0,
+      myReaction: null,
+      createdAt: 'Đang gửi...',
+      replies: [],
+      pending: true
+    };
+
+    setComments(prev => parentId
+      ? updateCommentTree(prev, parentId, parent => ({
+          ...parent,
+          replies: [...(parent.replies || []), optimisticComment]
+        }))
+      : [optimisticComment, ...prev]);
+    setTotalComments(prev => prev + 1);
+
+    try {
+      const saved = await apiPost(`/blogs/${blogId}/comments`, { content, parentId }, false);
+      setComments(prev => updateCommentTree(prev, tempId, () => saved));
+      if (!parentId && page !== 1) {
+        // Bình luận mới nằm ở trang đầu tiên
+        setPage(1);
+      }
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      setComments(prev => removeFromCommentTree(prev, tempId));
+      setTotalComments(prev => prev - 1);
+      showErrorAlert(error.message || 'Không thể gửi bình luận. Vui lòng thử lại.');
+      // Trả lại nội dung vào ô nhập để người dùng không phải gõ lại (trừ khi họ đã bắt đầu gõ nội dung khác)
+      if (parentId) {
+        setReplyingTo(parentId);
+        setReplyText(prev => prev || content);
+      } else {
+        setCommentText(prev => prev || content);
+      }
+    }
+  };
+
   const handleCommentSubmit = (e) => {
     e.preventDefault();
-    // In a real application, this would send the comment to the backend
-    console.log('Submitting comment:', commentText);
+    if (!loggedIn) {
+      requireLogin();
+      return;
+    }
+    const content = commentText.trim();
+    if (!content) return;
     setCommentText('');
+    postComment(content);
+  };
+
+  const handleReplySubmit = (e, parentId) => {
+    e.preventDefault();
+    const content = replyText.trim();
+    if (!content) return;
+    setReplyText('');
+    setReplyingTo(null);
+    postComment(content, parentId);
+  };
+
+  const handleReplyClick = (commentId) => {
+    if (!loggedIn) {
+      requireLogin();
+      return;
+    }
+    setReplyingTo(prev => prev === commentId ? null : commentId);
+    setReplyText('');
+  };
+
+  const handleReaction = async (comment, type) => {
+    if (!loggedIn) {
+      requireLogin();
+      return;
+    }
+    setComments(prev => updateCommentTree(prev, comment.id, c => applyReaction(c, type)));
+
+    try {
+      const updated = await apiPatch(`/blogs/comments/${comment.id}/reaction?type=${type}`);
+      setComments(prev => updateCommentTree(prev, comment.id, c => ({
+        ...c,
+        likes: updated.likes,
+        dislikes: updated.dislikes,
+        myReaction: updated.myReaction
+      })));
+    } catch (error) {
+      console.error('Error reacting to comment:', error);
+      setComments(prev => updateCommentTree(prev, comment.id, c => ({
+        ...c,
+        likes: comment.likes,
+        dislikes: comment.dislikes,
+        myReaction: comment.myReaction
+      })));
+    }
+  };
+
+  const removeComment = async (commentId, endpoint, successMessage) => {
+    setComments(prev => removeFromCommentTree(prev, commentId));
+    try {
+      await apiPatch(endpoint);
+      showSuccessAlert(successMessage);
+      fetchComments();
+    } catch (error) {
+      console.error('Error removing comment:', error);
+      fetchComments();
+    }
+  };
+
+  const handleHide = (commentId) => {
+    removeComment(commentId, `/manager/comments/${commentId}/visibility?status=HIDDEN`, 'Đã ẩn bình luận');
+  };
+
+  const handleDelete = (commentId) => {
+    removeComment(commentId, `/blogs/comments/delete/${commentId}`, 'Đã xóa bình luận');
+  };
+
+  const handleReportClick = (comment) => {
+    if (!loggedIn) {
+      requireLogin();
+      return;
+    }
+    setReportingComment(comment);
+    setReportReason('');
+  };
+
+  const handleReportSubmit = async () => {
+    setSubmittingReport(true);
+    try {
+      await apiPost(`/blogs/comments/${reportingComment.id}/report`, { reason: reportReason.trim() });
+      showSuccessAlert('Cảm ơn bạn đã báo cáo. Quản lý sẽ xem xét bình luận này.');
+      setReportingComment(null);
+    } catch (error) {
+      console.error('Error reporting comment:', error);
+    } finally {
+      setSubmittingReport(false);
+    }
   };
 
   const handlePageChange = (event, value) => {
     setPage(value);
   };
 
-  // Display comments for current page only
-  const displayComments = comments.slice(
-    (page - 1) * commentsPerPage,
-    page * commentsPerPage
-  );
-
-  const renderComment = (comment, isReply = false) => (
-    <CommentBox key={comment.id} isReply={isReply}>
-      <Avatar 
-        src={comment.avatarUrl} 
-        alt={comment.author}
-        sx={{ 
-          width: 50, 
-          height: 50, 
-          mr: 2,
-          flexShrink: 0
-        }}
+  const renderReplyForm = (comment) => (
+    <Box
+      component="form"
+      onSubmit={(e) => handleReplySubmit(e, comment.id)}
+      sx={{ mt: 1, mb: 2 }}
+    >
+      <StyledTextField
+        multiline
+        fullWidth
+        rows={2}
+        size="small"
+        autoFocus
+        value={replyText}
+        onChange={(e) => setReplyText(e.target.value)}
+        placeholder={`Trả lời ${comment.authorName}...`}
+        sx={{ mb: 1 }}
       />
-      <Box sx={{ width: '100%' }}>
-        <Stack 
-          direction={{ xs: 'column', sm: 'row' }} 
-          justifyContent="space-between"
-          alignItems={{ xs: 'flex-start', sm: 'center' }}
-          mb={1}
+      <Stack direction="row" spacing={1} justifyContent="flex-end">
+        <Button size="small" onClick={() => setReplyingTo(null)} sx={{ textTransform: 'none' }}>
+          Hủy
+        </Button>
+        <Button
+          type="submit"
+          size="small"
+          variant="contained"
+          disabled={!replyText.trim()}
+          sx={{ textTransform: 'none', bgcolor: '#3498db', '&:hover': { bgcolor: '#2980b9' } }}
         >
-          <Box sx={{ display: 'flex', alignItems: 'center' }}>
-            <Typography 
-              variant="subtitle1" 
-              component="h4" 
-              sx={{ fontWeight: 500, mr: 1 }}
-            >
-              {comment.author}
-            </Typography>
-            {comment.isAuthor && (
-              <Box
-                component="span"
-                sx={{
-                  bgcolor: '#3498db',
-                  color: 'white',
-                  fontSize: '0.7rem',
-                  padding: '2px 8px',
-                  borderRadius: '10px',
-                  fontWeight: 'normal'
-                }}
-              >
-                Tác giả
-              </Box>
-            )}
-          </Box>
-          <Typography 
-            variant="caption" 
-            color="text.secondary"
-            sx={{ mt: { xs: 0.5, sm: 0 } }}
-          >
-            {comment.date}
-          </Typography>
-        </Stack>
-        
-        <Typography variant="body2" paragraph>
-          {comment.content}
-        </Typography>
-        
-        <Stack 
-          direction="row" 
-          justifyContent="space-between"
-          alignItems="center"
-        >
-          <Button 
-            startIcon={<Reply />} 
-            size="small" 
-            sx={{ 
-              color: '#3498db',
-              textTransform: 'none'
-            }}
+          Gửi trả lời
+        </Button>
+      </Stack>
+    </Box>
+  );
+
+  const renderComment = (comment, depth = 0) => {
+    const isOwner = userData?.id != null && comment.authorId === userData.id;
+
+    return (
+      <CommentBox
+        key={comment.id}
+        isReply={depth > 0 && depth <= MAX_INDENT_DEPTH}
+        isPending={comment.pending}
+      >
+        <Avatar
+          src={comment.authorAvatar}
+          alt={comment.authorName}
+          sx={{
+            width: 50,
+            height: 50,
+            mr: 2,
+            flexShrink: 0
+          }}
+        />
+        <Box sx={{ width: '100%' }}>
+          <Stack
+            direction={{ xs: 'column', sm: 'row' }}
+            justifyContent="space-between"
+            alignItems={{ xs: 'flex-start', sm: 'center' }}
+            mb={1}
           >
-            Trả lời
-          </Button>
-          
-          <Stack direction="row" spacing={1}>
-            <Box sx={{ display: 'flex', alignItems: 'center' }}>
-              <ReactionButton size="small">
-                <ThumbUp fontSize="small" />
-              </ReactionButton>
-              <Typography variant="caption" sx={{ ml: 0.5 }}>
-                {comment.likes}
-              </Typography>
-            </Box>
-            
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
-              <ReactionButton size="small">
-                <ThumbDown fontSize="small" />
-              </ReactionButton>
-              <Typography variant="caption" sx={{ ml: 0.5 }}>
-                {comment.dislikes}
+              <Typography
+                variant="subtitle1"
+                component="h4"
+                sx={{ fontWeight: 500, mr: 1 }}
+              >
+                {comment.authorName}
               </Typography>
+              {comment.blogAuthor && (
+                <Box
+                  component="span"
+                  sx={{
+                    bgcolor: '#3498db',
+                    color: 'white',
+                    fontSize: '0.7rem',
+                    padding: '2px 8px',
+                    borderRadius: '10px',
+                    fontWeight: 'normal'
+                  }}
+                >
+                  Tác giả
+                </Box>
+              )}
             </Box>
+            <Typography
+              variant="caption"
+              color="text.secondary"
+              sx={{ mt: { xs: 0.5, sm: 0 } }}
+            >
+              {comment.createdAt}
+            </Typography>
           </Stack>
-        </Stack>
-        
-        {/* Render replies if any */}
-        {comment.replies && comment.replies.map(reply => renderComment(reply, true))}
-      </Box>
-    </CommentBox>
-  );
+
+          <Typography variant="body2" paragraph sx={{ whiteSpace: 'pre-line' }}>
+            {comment.content}
+          </Typography>
+
+          {!comment.pending && (
+            <Stack
+              direction="row"
+              justifyContent="space-between"
+              alignItems="center"
+            >
+              <Stack direction="row" spacing={1}>
+                <Button
+                  startIcon={<Reply />}
+                  size="small"
+                  onClick={() => handleReplyClick(comment.id)}
+                  sx={{
+                    color: '#3498db',
+                    textTransform: 'none'
+                  }}
+                >
+                  Trả lời
+                </Button>
+                {isManager && (
+                  <Tooltip title="Ẩn bình luận vi phạm">
+                    <IconButton size="small" onClick={() => handleHide(comment.id)} sx={{ color: '#e67e22' }}>
+                      <VisibilityOff fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {!isOwner && (
+                  <Tooltip title="Báo cáo bình luận">
+                    <IconButton size="small" onClick={() => handleReportClick(comment)} sx={{ color: '#7f8c8d' }}>
+                      <OutlinedFlag fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {isOwner && (
+                  <Tooltip title="Xóa bình luận">
+                    <IconButton size="small" onClick={() => handleDelete(comment.id)} sx={{ color: '#e74c3c' }}>
+                      <DeleteOutline fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Stack>
+
+              <Stack direction="row" spacing={1}>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <ReactionButton
+                    size="small"
+                    isActive={comment.myReaction === 'LIKE'}
+                    onClick={() => handleReaction(comment, 'LIKE')}
+                  >
+                    <ThumbUp fontSize="small" />
+                  </ReactionButton>
+                  <Typography variant="caption" sx={{ ml: 0.5 }}>
+                    {comment.likes}
+                  </Typography>
+                </Box>
+
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <ReactionButton
+                    size="small"
+                    isActive={comment.myReaction === 'DISLIKE'}
+                    onClick={() => handleReaction(comment, 'DISLIKE')}
+                  >
+                    <ThumbDown fontSize="small" />
+                  </ReactionButton>
+                  <Typography variant="caption" sx={{ ml: 0.5 }}>
+                    {comment.dislikes}
+                  </Typography>
+                </Box>
+              </Stack>
+            </Stack>
+          )}
+
+          {replyingTo === comment.id && renderReplyForm(comment)}
+
+          {/* Render replies if any */}
+          {comment.replies && comment.replies.map(reply => renderComment(reply, depth + 1))}
+        </Box>
+      </CommentBox>
+    );
+  };
 
   return (
     <Box sx={{ mb: 5 }}>
-      <Typography 
-        variant="h5" 
-        component="h3" 
-        gutterBottom 
-        sx={{ 
+      <Typography
+        variant="h5"
+        component="h3"
+        gutterBottom
+        sx={{
           color: '#2c3e50',
-          borderTop: '1px solid #e0e0e0', 
+          borderTop: '1px solid #e0e0e0',
           pt: 3,
           pb: 1
         }}
       >
-        Bình luận ({comments.length})
+        Bình luận ({totalComments})
       </Typography>
-      
-      <Paper 
+
+      <Paper
         elevation={0}
         component="form"
         onSubmit={handleCommentSubmit}
@@ -192,28 +491,30 @@ const CommentSection = ({ comments }) => {
           borderRadius: 2
         }}
       >
-        <Typography 
-          variant="h6" 
+        <Typography
+          variant="h6"
           gutterBottom
           sx={{ color: '#2c3e50', fontSize: '1.2rem' }}
         >
           Để lại bình luận của bạn
         </Typography>
-        
+
         <StyledTextField
           multiline
           fullWidth
           rows={4}
           value={commentText}
           onChange={(e) => setCommentText(e.target.value)}
-          placeholder="Viết bình luận của bạn..."
+          placeholder={loggedIn ? 'Viết bình luận của bạn...' : 'Vui lòng đăng nhập để bình luận'}
+          disabled={!loggedIn}
           sx={{ mb: 2 }}
         />
-        
+
         <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
-          <Button 
-            type="submit" 
+          <Button
+            type="submit"
             variant="contained"
+            disabled={loggedIn && !commentText.trim()}
             sx={{
               bgcolor: '#3498db',
               '&:hover': {
@@ -221,31 +522,41 @@ const CommentSection = ({ comments }) => {
               }
             }}
           >
-            Gửi bình luận
+            {loggedIn ? 'Gửi bình luận' : 'Đăng nhập để bình luận'}
           </Button>
         </Box>
       </Paper>
-      
-      <Box>
-        {displayComments.map(comment => renderComment(comment))}
-      </Box>
-      
-      {comments.length > commentsPerPage && (
-        <Box sx={{ 
-          display: 'flex', 
-          justifyContent: 'center', 
+
+      {loading && comments.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+          <CircularProgress size={30} />
+        </Box>
+      ) : comments.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: 'center', my: 4 }}>
+          Chưa có bình luận nào. Hãy là người đầu tiên chia sẻ suy nghĩ của bạn!
+        </Typography>
+      ) : (
+        <Box>
+          {comments.map(comment => renderComment(comment))}
+        </Box>
+      )}
+
+      {totalPages > 1 && (
+        <Box sx={{
+          display: 'flex',
+          justifyContent: 'center',
           alignItems: 'center',
-          width: '100%', 
+          width: '100%',
           mt: 3,
           px: { xs: 2, sm: 0 }
         }}>
-          <Pagination 
-            count={Math.ceil(comments.length / commentsPerPage)} 
+          <Pagination
+            count={totalPages}
             page={page}
             onChange={handlePageChange}
             color="primary"
-            sx={{ 
-              '& .MuiPagination-ul': { 
+            sx={{
+              '& .MuiPagination-ul': {
                 justifyContent: 'center',
                 width: '100%'
               }
@@ -253,8 +564,39 @@ const CommentSection = ({ comments }) => {
           />
         </Box>
       )}
+
+      <Dialog open={!!reportingComment} onClose={() => setReportingComment(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Báo cáo bình luận</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Bình luận của {reportingComment?.authorName} sẽ được gửi tới quản lý để xem xét.
+          </Typography>
+          <TextField
+            multiline
+            fullWidth
+            rows={3}
+            value={reportReason}
+            onChange={(e) => setReportReason(e.target.value)}
+            placeholder="Lý do báo cáo (không bắt buộc)"
+            inputProps={{ maxLength: 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReportingComment(null)} disabled={submittingReport}>
+            Hủy
+          </Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={handleReportSubmit}
+            disabled={submittingReport}
+          >
+            {submittingReport ? 'Đang gửi...' : 'Gửi báo cáo'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
 
-export default CommentSection; 
\ No newline at end of file
+export default CommentSection;
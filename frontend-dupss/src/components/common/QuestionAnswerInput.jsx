@@ -0,0 +1,137 @@
+import {
+  Box,
+  Typography,
+  RadioGroup,
+  FormControlLabel,
+  Radio,
+  FormGroup,
+  Checkbox,
+  Slider,
+  TextField
+} from '@mui/material';
+import { QUESTION_TYPES, findNumericBand } from '../../services/questionTypes';
+
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Ô trả lời cho một câu hỏi theo loại (chọn một, chọn nhiều, thang Likert, nhập số, tự luận).
+ * Dùng chung cho khảo sát và bài kiểm tra khóa học.
+ *
+ * options: [{ id, label, minValue, maxValue }]
+ * value: id đáp án (chọn một/Likert), mảng id (chọn nhiều), chuỗi (nhập số/tự luận)
+ */
+const QuestionAnswerInput = ({ type, options, value, onChange }) => {
+  switch (type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE: {
+      const selectedIds = Array.isArray(value) ? value : [];
+      const toggle = (optionId) => {
+        onChange(selectedIds.includes(optionId)
+          ? selectedIds.filter(id => id !== optionId)
+          : [...selectedIds, optionId]);
+      };
+      return (
+        <FormGroup>
+          <Typography variant="caption" color="text.secondary" sx={{ mb: 1 }}>
+            Có thể chọn nhiều đáp án
+          </Typography>
+          {options.map((option) => (
+            <FormControlLabel
+              key={option.id}
+              control={
+                <Checkbox
+                  checked={selectedIds.includes(option.id)}
+                  onChange={() => toggle(option.id)}
+                />
+              }
+              label={option.label}
+            />
+          ))}
+        </FormGroup>
+      );
+    }
+
+    case QUESTION_TYPES.LIKERT: {
+      const selectedIndex = options.findIndex(opt => opt.id === value);
+      const answered = selectedIndex !== -1;
+      const handleSelect = (_, index) => onChange(options[index].id);
+      return (
+        <Box sx={{ px: 2, pt: 1 }}>
+          <Slider
+            // Chưa trả lời thì đặt con trỏ ở giữa thang và làm mờ
+            value={answered ? selectedIndex : Math.floor((options.length - 1) / 2)}
+            min={0}
+            max={Math.max(options.length - 1, 0)}
+            step={1}
+            marks={options.map((option, index) => ({ value: index, label: option.label }))}
+            track={false}
+            onChange={handleSelect}
+            onChangeCommitted={handleSelect}
+            sx={{
+              opacity: answered ? 1 : 0.5,
+              '& .MuiSlider-markLabel': { whiteSpace: 'normal', maxWidth: 100, textAlign: 'center', fontSize: '0.75rem' }
+            }}
+          />
+          <Typography variant="body2" color={answered ? 'primary' : 'text.secondary'} align="center" sx={{ mt: 4 }}>
+            {answered ? `Bạn chọn: ${options[selectedIndex].label}` : 'Kéo hoặc nhấn vào thang để chọn mức độ'}
+          </Typography>
+        </Box>
+      );
+    }
+
+    case QUESTION_TYPES.NUMERIC: {
+      const bounded = options.filter(opt => opt.minValue != null && opt.maxValue != null);
+      const min = bounded.length > 0 ? Math.min(...bounded.map(opt => opt.minValue)) : undefined;
+      const max = bounded.length > 0 ? Math.max(...bounded.map(opt => opt.maxValue)) : undefined;
+      const hasValue = value !== undefined && value !== '';
+      const outOfRange = hasValue && !findNumericBand(options, value);
+      return (
+        <TextField
+          type="number"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          error={outOfRange}
+          helperText={
+            outOfRange
+              ? 'Giá trị nằm ngoài khoảng cho phép'
+              : min !== undefined ? `Nhập số từ ${min} đến ${max}` : ''
+          }
+          inputProps={{ min, max }}
+          sx={{ maxWidth: 240 }}
+        />
+      );
+    }
+
+    case QUESTION_TYPES.FREE_TEXT:
+      return (
+        <TextField
+          multiline
+          minRows={3}
+          fullWidth
+          placeholder="Nhập câu trả lời của bạn"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          inputProps={{ maxLength: MAX_TEXT_LENGTH }}
+          helperText={`${(value ?? '').length}/${MAX_TEXT_LENGTH}`}
+        />
+      );
+
+    default:
+      return (
+        <RadioGroup
+          value={value?.toString() || ''}
+          onChange={(e) => onChange(parseInt(e.target.value))}
+        >
+          {options.map((option) => (
+            <FormControlLabel
+              key={option.id}
+              value={option.id.toString()}
+              control={<Radio />}
+              label={option.label}
+            />
+          ))}
+        </RadioGroup>
+      );
+  }
+};
+
+export default QuestionAnswerInput;
@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Snackbar, Alert, AlertTitle, Button } from '@mui/material';
+import { isAuthenticated } from '../../services/authService';
+import {
+  getNotifications,
+  markNotificationRead,
+  toAppPath,
+  NOTIFICATIONS_UPDATED_EVENT
+} from '../../services/notificationService';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hiển thị nhắc lịch hẹn (thông báo APPOINTMENT_REMINDER chưa đọc) cho thành viên đang đăng nhập.
+ * Đóng hoặc bấm "Tham gia" sẽ đánh dấu thông báo đã đọc.
+ */
+const ReminderToast = () => {
+  const navigate = useNavigate();
+  const [reminder, setReminder] = useState(null);
+  const shownIds = useRef(new Set());
+
+  useEffect(() => {
+    const checkReminders = async () => {
+      if (!isAuthenticated()) return;
+      try {
+        const notifications = await getNotifications(true);
+        const next = notifications.find(n => n.type === 'APPOINTMENT_REMINDER' && !shownIds.current.has(n.id));
+        if (next) {
+          shownIds.current.add(next.id);
+          setReminder(next);
+        }
+      } catch (err) {
+        console.error('Error fetching reminders:', err);
+      }
+    };
+
+    checkReminders();
+    const timer = setInterval(checkReminders, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const handleClose = async () => {
+    const current = reminder;
+    setReminder(null);
+    try {
+      await markNotificationRead(current.id);
+      document.dispatchEvent(new CustomEvent(NOTIFICATIONS_UPDATED_EVENT));
+    } catch (err) {
+      console.error('Error marking reminder as read:', err);
+    }
+  };
+
+  const handleOpen = () => {
+    const path = toAppPath(reminder.link);
+    handleClose();
+    navigate(path);
+  };
+
+  return (
+    <Snackbar open={!!reminder} anchorOrigin={{ vertical: 'top', horizontal: 'right' }}>
+      <Alert
+        severity="info"
+        onClose={handleClose}
+        sx={{ width: '100%', alignItems: 'center' }}
+        action={reminder?.link && (
+          <Button color="inherit" size="small" onClick={handleOpen} sx={{ fontWeight: 600 }}>
+            {reminder.link.includes('/meeting/') ? 'Tham gia' : 'Xem'}
+          </Button>
+        )}
+      >
+        <AlertTitle>{reminder?.title}</AlertTitle>
+        {reminder?.message}
+      </Alert>
+    </Snackbar>
+  );
+};
+
+export default ReminderToast;
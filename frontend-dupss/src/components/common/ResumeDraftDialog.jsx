@@ -0,0 +1,48 @@
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  LinearProgress,
+  Box
+} from '@mui/material';
+
+/**
+ * Hỏi người dùng có muốn làm tiếp bài khảo sát/bài kiểm tra đang làm dở hay bắt đầu lại.
+ * draft: { answeredCount, totalQuestions, updatedAt }
+ */
+const ResumeDraftDialog = ({ draft, onResume, onRestart }) => {
+  const total = draft?.totalQuestions || 0;
+  const answered = Math.min(draft?.answeredCount || 0, total);
+  const savedAt = draft?.updatedAt ? new Date(draft.updatedAt) : null;
+
+  return (
+    <Dialog open={!!draft} maxWidth="xs" fullWidth>
+      <DialogTitle>Tiếp tục bài đang làm?</DialogTitle>
+      <DialogContent>
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          Bạn đã trả lời {answered}/{total} câu hỏi
+          {savedAt && !isNaN(savedAt) ? ` (lưu lúc ${savedAt.toLocaleString('vi-VN')})` : ''}.
+          Bạn muốn tiếp tục từ chỗ đã dừng hay làm lại từ đầu?
+        </Typography>
+        <Box>
+          <LinearProgress
+            variant="determinate"
+            value={total > 0 ? (answered / total) * 100 : 0}
+            sx={{ height: 8, borderRadius: 4 }}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onRestart}>Làm lại từ đầu</Button>
+        <Button variant="contained" onClick={onResume}>
+          Tiếp tục
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ResumeDraftDialog;
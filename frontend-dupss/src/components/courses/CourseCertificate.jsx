@@ -4,9 +4,9 @@ import { Box, Typography, Button, Alert, Container, Paper, CircularProgress } fr
 import DownloadIcon from '@mui/icons-material/Download';
 import ShareIcon from '@mui/icons-material/Share';
 import html2canvas from 'html2canvas';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { showErrorAlert } from '../common/AlertNotification';
-import { API_URL } from '../../services/config';
+import { apiPublicGet } from '../../services/apiService';
 
 const CourseCertificate = () => {
   const { courseId, userId } = useParams();
@@ -17,14 +17,15 @@ const CourseCertificate = () => {
   const certificateRef = useRef(null);
 
   useEffect(() => {
+    const controller = new AbortController();
     const fetchCertificateData = async () => {
       try {
         setLoading(true);
-        const response = await axios.get(`${API_URL}/public/course/${courseId}/cert/${userId}`);
-        setCertificate(response.data);
+        setCertificate(await apiPublicGet(`/course/${courseId}/cert/${userId}`, {}, false, { signal: controller.signal }));
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error("Error fetching certificate data:", error);
-        if (error.response && error.response.status === 400) {
+        if (error.status === 400) {
           showErrorAlert("Chứng chỉ không tồn tại!");
           // Chuyển hướng về trang khóa học sau 3 giây
           setTimeout(() => {
@@ -34,11 +35,14 @@ const CourseCertificate = () => {
           showErrorAlert("Đã xảy ra lỗi khi tải chứng chỉ. Vui lòng thử lại sau!");
         }
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
       }
     };
     
     fetchCertificateData();
+    return () => controller.abort();
   }, [courseId, userId, navigate]);
 
   // Xử lý tải xuống chứng chỉ
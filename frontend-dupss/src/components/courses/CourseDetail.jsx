@@ -9,8 +9,8 @@ import PeopleIcon from '@mui/icons-material/People';
 import PersonIcon from '@mui/icons-material/Person';
 import EmojiEventsIcon from '@mui/icons-material/EmojiEvents';
 import TimelineIcon from '@mui/icons-material/Timeline';
+import { isCancelledError } from '@dupss/api-client';
 import api, { isAuthenticated, getUserData } from '../../services/authService';
-import axios from 'axios';
 
 // Styled components to match the original HTML/CSS
 const CourseDetailWrapper = styled(Box)(({ theme }) => ({
@@ -120,40 +120,48 @@ function CourseDetail() {
   }, [location.state]);
 
   useEffect(() => {
+    const controller = new AbortController();
     const fetchCourse = async () => {
       try {
         setLoading(true);
         // Use api instance instead of axios directly
         // No need to add Authorization header as api instance does it automatically
-        const response = await api.get(`/public/course/${id}`);
+        const response = await api.get(`/public/course/${id}`, { signal: controller.signal });
         setCourse(response.data);
         
         // Nếu đã đăng nhập và trạng thái khóa học là IN_PROGRESS hoặc COMPLETED, lấy thông tin chi tiết
         if (isAuthenticated() && (response.data.status === 'IN_PROGRESS' || response.data.status === 'COMPLETED')) {
-          fetchCourseDetail();
+          fetchCourseDetail(controller.signal);
         }
       } catch (err) {
+        if (isCancelledError(err)) return;
         console.error('Error fetching course:', err);
         setError('Không thể tải thông tin khóa học. Vui lòng thử lại sau.');
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
       }
     };
     
     fetchCourse();
+    return () => controller.abort();
   }, [id]);
 
   // Hàm lấy thông tin chi tiết khóa học bao gồm tiến độ
-  const fetchCourseDetail = async () => {
+  const fetchCourseDetail = async (signal) => {
     try {
       setLoadingDetail(true);
-      const response = await api.get(`/courses/detail/${id}`);
+      const response = await api.get(`/courses/detail/${id}`, { signal });
       setCourseDetail(response.data);
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching course detail:', err);
       // Không hiển thị lỗi đến người dùng vì đây là tính năng bổ sung
     } finally {
-      setLoadingDetail(false);
+      if (!signal?.aborted) {
+        setLoadingDetail(false);
+      }
     }
   };
 
@@ -1,8 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
 import { Box, Typography, Paper, List, ListItem, ListItemText, 
-         ListItemButton, ListItemIcon, Collapse, Checkbox,
-         IconButton, styled, Breadcrumbs, Link, Button, Alert } from '@mui/material';
+         ListItemButton, ListItemIcon, Collapse, Tooltip,
+         IconButton, styled, Breadcrumbs, Link, Button, Alert, Tabs, Tab } from '@mui/material';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import ExpandLess from '@mui/icons-material/ExpandLess';
 import ExpandMore from '@mui/icons-material/ExpandMore';
@@ -14,6 +14,17 @@ import AssignmentIcon from '@mui/icons-material/Assignment';
 import EmojiEventsIcon from '@mui/icons-material/EmojiEvents';
 import api from '../../services/authService';
 import { getUserData } from '../../services/authService';
+import {
+  createProgressTracker,
+  syncVideoProgress,
+  SAMPLE_INTERVAL_MS,
+  SYNC_INTERVAL_MS
+} from '../../services/videoProgressService';
+import { createLessonPlayer, getLessonMediaType, PLAYER_STATES, MEDIA_TYPES } from './lessonPlayers';
+import LessonNotesPanel from './LessonNotesPanel';
+
+// Vị trí đã lưu cách cuối video ít hơn khoảng này (giây) thì phát lại từ đầu
+const RESTART_NEAR_END_SECONDS = 5;
 
 // Main container layout
 const PageContainer = styled(Box)(({ theme }) => ({
@@ -140,32 +151,10 @@ const ProgressInfoContainer = styled(Box)(({ theme }) => ({
   }
 }));
 
-// Helper function to extract YouTube video ID
-const getYoutubeId = (url) => {
-  const regExp = /^.*((youtu.be\/)|(v\/)|(\/u\/\w\/)|(embed\/)|(watch\?))\??v?=?([^#&?]*).*/;
-  const match = url.match(regExp);
-  return (match && match[7].length === 11) ? match[7] : null;
-};
-
-// Add YouTube IFrame API script loading function
-function loadYouTubeAPI() {
-  if (window.YT) return Promise.resolve();
-
-  return new Promise((resolve) => {
-    const tag = document.createElement('script');
-    tag.src = 'https://www.youtube.com/iframe_api';
-    const firstScriptTag = document.getElementsByTagName('script')[0];
-    firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
-    
-    window.onYouTubeIframeAPIReady = () => {
-      resolve();
-    };
-  });
-}
-
 function CourseLearning() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const [course, setCourse] = useState(null);
   const [currentVideo, setCurrentVideo] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -174,8 +163,18 @@ function CourseLearning() {
   const [videoStats, setVideoStats] = useState({ total: 0, completed: 0 });
   const videoRef = useRef(null);
   const playerRef = useRef(null);
-  const progressTrackingRef = useRef(false);
   const videoPlayerContainerRef = useRef(null);
+  const trackerRef = useRef(createProgressTracker());
+  const playerVideoIdRef = useRef(null);
+  const sampleTimerRef = useRef(null);
+  const syncTimerRef = useRef(null);
+  const autoplayNextRef = useRef(false);
+  const [sidebarTab, setSidebarTab] = useState('content');
+  // Thời điểm cần tua tới khi bài học được mở từ một ghi chú
+  const pendingSeekRef = useRef(null);
+  // Bài học cần mở: ghi chú được chọn ở trang hồ sơ { videoId, timestampSeconds }
+  // hoặc bài học liên quan từ phần xem lại bài kiểm tra { videoId }
+  const noteTargetRef = useRef(location.state?.note || location.state?.lesson || null);
 
   useEffect(() => {
     // Get course data
@@ -210,7 +209,10 @@ function CourseLearning() {
             videoTitle: video.title,
             url: video.videoUrl,
             completed: video.watched,
-            duration: 0 // API doesn't provide duration, set to 0
+            watchedPercent: video.watchedPercent || 0,
+            lastPosition: video.lastPosition,
+            duration: video.durationSeconds || 0,
+            mediaType: video.mediaType
           })),
           isExpanded: false // Default all sections are closed
         }));
@@ -226,6 +228,18 @@ function CourseLearning() {
         });
         setVideoStats({ total: totalCount, completed: completedCount });
 
+        // Mở đúng bài học (và thời điểm của ghi chú nếu có)
+        const noteTarget = noteTargetRef.current;
+        noteTargetRef.current = null;
+        const noteModule = noteTarget
+          && mappedModules.find(module => module.videoUrl.some(video => video.id === noteTarget.videoId));
+        if (noteModule) {
+          setModules(mappedModules.map(module => ({ ...module, isExpanded: module.id === noteModule.id })));
+          pendingSeekRef.current = noteTarget.timestampSeconds ?? null;
+          setCurrentVideo(noteModule.videoUrl.find(video => video.id === noteTarget.videoId));
+          return;
+        }
+
         // Find first section with unwatched videos
         let sectionWithUnwatchedVideo = null;
         let firstUnwatchedVideo = null;
@@ -293,379 +307,85 @@ function CourseLearning() {
     );
   };
 
-  // Modified callback for video playback state changes, with more detailed comments
-  const onPlayerStateChange = (event) => {
-    // When video is playing (YT.PlayerState.PLAYING = 1)
-    if (event.data === 1 && !progressTrackingRef.current) {
-      progressTrackingRef.current = true;
-      
-      // Check progress every second
-      const progressInterval = setInterval(() => {
-        if (!playerRef.current) {
-          clearInterval(progressInterval);
-          return;
-        }
-        
-        try {
-          // Kiểm tra lại xem video hiện tại có tồn tại và đã được hoàn thành chưa
-          if (!currentVideo) {
-            clearInterval(progressInterval);
-            progressTrackingRef.current = false;
-            return;
-          }
-          
-          // Tìm video hiện tại trong modules để kiểm tra trạng thái mới nhất
-          let isCurrentlyCompleted = false;
-          for (const module of modules) {
-            for (const video of module.videoUrl) {
-              if (video.id === currentVideo.id && video.completed) {
-                isCurrentlyCompleted = true;
-                break;
-              }
-            }
-            if (isCurrentlyCompleted) break;
-          }
-          
-          // Nếu video đã được đánh dấu hoàn thành từ trước, dừng theo dõi
-          if (isCurrentlyCompleted) {
-            clearInterval(progressInterval);
-            progressTrackingRef.current = false;
-            return;
-          }
-          
-          const currentTime = playerRef.current.getCurrentTime();
-          const duration = playerRef.current.getDuration();
-          const progress = (currentTime / duration) * 100;
-          
-          // If progress is over 80% and video is not marked as completed, auto-mark it
-          if (progress >= 80 && currentVideo && !currentVideo.completed) {
-            clearInterval(progressInterval);
-            progressTrackingRef.current = false;
-            
-            // Use silent update method to avoid reloading the video
-            silentMarkVideoComplete(currentVideo.id);
-          }
-        } catch (error) {
-          console.error('Error tracking video progress:', error);
-          clearInterval(progressInterval);
-          progressTrackingRef.current = false;
-        }
-      }, 1000);
-    } else if (event.data === 0 || event.data === 2) {
-      // Video ended (0) or paused (2), stop progress tracking
-      progressTrackingRef.current = false;
-    }
+  // Cập nhật trạng thái xem của một video theo kết quả server trả về sau khi đồng bộ tiến độ
+  const applyVideoProgress = useCallback((result) => {
+    const applyTo = (video) => ({
+      ...video,
+      completed: result.watched,
+      watchedPercent: result.watchedPercent,
+      lastPosition: result.lastPosition,
+      duration: result.durationSeconds || video.duration
+    });
+
+    setModules(prevModules => prevModules.map(module => ({
+      ...module,
+      videoUrl: module.videoUrl.map(video => (video.id === result.videoId ? applyTo(video) : video))
+    })));
+    setCurrentVideo(prev => (prev && prev.id === result.videoId ? applyTo(prev) : prev));
+    setCourseProgress(Math.min(100, result.courseProgress || 0));
+  }, []);
+
+  const stopSampling = () => {
+    clearInterval(sampleTimerRef.current);
+    clearInterval(syncTimerRef.current);
+    sampleTimerRef.current = null;
+    syncTimerRef.current = null;
   };
 
-  // Optimize silent update function to ensure player is not recreated
-  const silentMarkVideoComplete = async (videoId) => {
-    try {
-      // Kiểm tra xem video đã được đánh dấu là hoàn thành chưa
-      let videoAlreadyCompleted = false;
-      const currentModules = [...modules];
-      
-      for (const module of currentModules) {
-        for (const video of module.videoUrl) {
-          if (video.id === videoId && video.completed) {
-            videoAlreadyCompleted = true;
-            break;
-          }
-        }
-        if (videoAlreadyCompleted) break;
-      }
-      
-      // Nếu video đã hoàn thành, không cập nhật gì thêm
-      if (videoAlreadyCompleted) {
-        console.log('Video already marked as completed');
-        return;
-      }
+  // Gửi các đoạn đã phát của video đang mở trong trình phát; server tự quyết định video đã xem đủ hay chưa
+  const flushProgress = useCallback(async () => {
+    const player = playerRef.current;
+    const videoId = playerVideoIdRef.current;
+    if (!player || !videoId || typeof player.getCurrentTime !== 'function') return;
 
-      // Cập nhật UI trước khi gọi API
-      setModules(prevModules => {
-        let updatedModules = prevModules.map(module => {
-          const updatedVideos = module.videoUrl.map(video => {
-            if (video.id === videoId) {
-              return { ...video, completed: true };
-            }
-            return video;
-          });
-          
-          return { ...module, videoUrl: updatedVideos };
-        });
-        return updatedModules;
-      });
-      
-      // Đếm số lượng video hoàn thành hiện tại
-      let totalVideos = 0;
-      let completedVideos = 0;
-      
-      currentModules.forEach(module => {
-        module.videoUrl.forEach(video => {
-          totalVideos++;
-          if (video.completed || video.id === videoId) completedVideos++;
-        });
-      });
-      
-      // Đảm bảo không vượt quá tổng số video
-      completedVideos = Math.min(completedVideos, totalVideos);
-      
-      // Cập nhật tiến độ một cách chính xác
-      const newProgress = Math.min(100, totalVideos > 0 ? (completedVideos / totalVideos) * 100 : 0);
-      
-      // Cập nhật state
-      setVideoStats({ 
-        total: totalVideos, 
-        completed: completedVideos 
-      });
-      setCourseProgress(newProgress);
-      
-      // Cập nhật currentVideo nếu cần
-      if (currentVideo && currentVideo.id === videoId) {
-        setCurrentVideo(prev => {
-          if (prev.completed) return prev;
-          return { ...prev, completed: true };
-        });
-      }
-      
-      // Gọi API (không chờ đợi kết quả)
-      api.post(`/courses/videos/watched/${videoId}?watched=true`)
-        .catch(error => {
-          console.error('Error silently updating video watch status:', error);
-          // Hoàn tác UI nếu API lỗi
-          setModules(prevModules => {
-            let updatedModules = prevModules.map(module => {
-              const updatedVideos = module.videoUrl.map(video => {
-                if (video.id === videoId) {
-                  return { ...video, completed: false };
-                }
-                return video;
-              });
-              return { ...module, videoUrl: updatedVideos };
-            });
-            return updatedModules;
-          });
-          
-          if (currentVideo && currentVideo.id === videoId) {
-            setCurrentVideo(prev => ({ ...prev, completed: false }));
-          }
-          
-          // Tính lại số video đã hoàn thành
-          let newTotalVideos = 0;
-          let newCompletedVideos = 0;
-          
-          prevModules.forEach(module => {
-            module.videoUrl.forEach(video => {
-              newTotalVideos++;
-              if (video.completed && video.id !== videoId) newCompletedVideos++;
-            });
-          });
-          
-          const correctedProgress = Math.min(100, newTotalVideos > 0 ? 
-            (newCompletedVideos / newTotalVideos) * 100 : 0);
-            
-          setVideoStats({
-            total: newTotalVideos,
-            completed: newCompletedVideos
-          });
-          setCourseProgress(correctedProgress);
-        });
-    } catch (error) {
-      console.error('Error updating video state:', error);
+    let position;
+    let duration;
+    try {
+      position = player.getCurrentTime();
+      duration = player.getDuration();
+    } catch {
+      return;
     }
-  };
 
-  // Optimize manual mark/unmark function to avoid video reload
-  const handleVideoCompletion = async (videoId, isCompleted) => {
     try {
-      // Cập nhật UI ngay lập tức
-      setModules(prevModules => {
-        let updatedModules = prevModules.map(module => {
-          const updatedVideos = module.videoUrl.map(video => {
-            if (video.id === videoId) {
-              return { ...video, completed: !isCompleted };
-            }
-            return video;
-          });
-          
-          return { ...module, videoUrl: updatedVideos };
-        });
-        
-        return updatedModules;
-      });
-      
-      // Tính toán lại tiến độ từ dữ liệu hiện tại
-      let totalVideos = 0;
-      let completedVideos = 0;
-      
-      // Sử dụng một bản sao của modules hiện tại và cập nhật trạng thái của video đang xử lý
-      const currentModules = [...modules];
-      for (const module of currentModules) {
-        for (const video of module.videoUrl) {
-          totalVideos++;
-          
-          if ((video.id === videoId && !isCompleted) || (video.id !== videoId && video.completed)) {
-            completedVideos++;
-          }
-        }
-      }
-      
-      // Đảm bảo không vượt quá tổng số video
-      completedVideos = Math.min(completedVideos, totalVideos);
-      
-      // Cập nhật tiến độ một cách chính xác
-      const newProgress = Math.min(100, totalVideos > 0 ? (completedVideos / totalVideos) * 100 : 0);
-      
-      // Cập nhật state
-      setVideoStats({ 
-        total: totalVideos, 
-        completed: completedVideos 
+      const result = await syncVideoProgress(videoId, {
+        segments: trackerRef.current.takeSegments(),
+        position,
+        duration
       });
-      setCourseProgress(newProgress);
-      
-      if (currentVideo && currentVideo.id === videoId) {
-        setCurrentVideo(prev => {
-          return { ...prev, completed: !isCompleted };
-        });
-      }
-      
-      // Gọi API (không chờ đợi kết quả)
-      api.post(`/courses/videos/watched/${videoId}?watched=${!isCompleted}`)
-        .catch(error => {
-          console.error('Error updating video watch status:', error);
-          // Hoàn tác UI nếu API lỗi
-          setModules(prevModules => {
-            let updatedModules = prevModules.map(module => {
-              const updatedVideos = module.videoUrl.map(video => {
-                if (video.id === videoId) {
-                  return { ...video, completed: isCompleted };
-                }
-                return video;
-              });
-              return { ...module, videoUrl: updatedVideos };
-            });
-            return updatedModules;
-          });
-          
-          if (currentVideo && currentVideo.id === videoId) {
-            setCurrentVideo(prev => ({ ...prev, completed: isCompleted }));
-          }
-          
-          // Tính lại tiến độ chính xác
-          let newTotalVideos = 0;
-          let newCompletedVideos = 0;
-          
-          prevModules.forEach(module => {
-            module.videoUrl.forEach(video => {
-              newTotalVideos++;
-              if (video.completed) newCompletedVideos++;
-            });
-          });
-          
-          const correctedProgress = Math.min(100, newTotalVideos > 0 ? 
-            (newCompletedVideos / newTotalVideos) * 100 : 0);
-            
-          setVideoStats({
-            total: newTotalVideos,
-            completed: newCompletedVideos
-          });
-          setCourseProgress(correctedProgress);
-        });
+      applyVideoProgress(result);
     } catch (error) {
-      console.error('Error handling video completion:', error);
+      console.error('Error syncing video progress:', error);
     }
-  };
-
-  // Thay thế hàm cập nhật tiến độ bằng hàm mới tính toán tiến độ từ state
-  // Giữ lại hàm này để tương thích với các phần còn lại của code
-  const updateProgressAfterVideoChange = (currentModules) => {
-    let totalVideos = 0;
-    let completedVideos = 0;
-    
-    currentModules.forEach(module => {
-      module.videoUrl.forEach(video => {
-        totalVideos++;
-        if (video.completed) completedVideos++;
-      });
-    });
-    
-    setVideoStats({ total: totalVideos, completed: completedVideos });
-    const newProgress = Math.min(100, totalVideos > 0 ? (completedVideos / totalVideos) * 100 : 0);
-    setCourseProgress(newProgress);
-  };
-
-  // Optimize createPlayer function to ensure player correctly fills container
-  const createPlayer = useCallback(async () => {
-    if (!currentVideo) return;
-    
-    try {
-      await loadYouTubeAPI();
-      
-      // Save current player state (if exists)
-      let currentTime = 0;
-      let wasPlaying = false;
-      
-      // Check if we really need to recreate the player
-      const videoId = getYoutubeId(currentVideo.url);
-      const currentPlayerVideoId = playerRef.current && playerRef.current.getVideoData ? 
-        playerRef.current.getVideoData().video_id : null;
-      
-      // If the current player is already playing this video, no need to recreate
-      if (playerRef.current && currentPlayerVideoId === videoId) {
-        console.log('Same video is already playing, not recreating player');
-        return;
-      }
-      
-      if (playerRef.current) {
-        try {
-          currentTime = playerRef.current.getCurrentTime();
-          wasPlaying = playerRef.current.getPlayerState() === 1; // 1 = playing
-          playerRef.current.destroy();
-        } catch (e) {
-          console.error('Error saving player state', e);
-        }
-      }
-      
-      if (!videoId || !videoPlayerContainerRef.current) return;
-      
-      // Create container element
-      const playerContainer = document.createElement('div');
-      playerContainer.id = 'youtube-player-' + Date.now();
-      playerContainer.style.width = '100%';
-      playerContainer.style.height = '100%';
-      
-      // Clear existing content
-      while (videoPlayerContainerRef.current.firstChild) {
-        videoPlayerContainerRef.current.removeChild(videoPlayerContainerRef.current.firstChild);
+  }, [applyVideoProgress]);
+
+  // Lấy mẫu vị trí phát mỗi giây khi bài học đang phát, đồng bộ định kỳ và khi tạm dừng/kết thúc
+  const onPlayerStateChange = (state) => {
+    const player = playerRef.current;
+    if (!player) return;
+
+    if (state === PLAYER_STATES.PLAYING) {
+      trackerRef.current.sample(player.getCurrentTime());
+      if (!sampleTimerRef.current) {
+        sampleTimerRef.current = setInterval(() => {
+          try {
+            if (playerRef.current) trackerRef.current.sample(playerRef.current.getCurrentTime());
+          } catch (error) {
+            console.error('Error tracking video progress:', error);
+          }
+        }, SAMPLE_INTERVAL_MS);
+        syncTimerRef.current = setInterval(flushProgress, SYNC_INTERVAL_MS);
+        // Báo bắt đầu phát để server tính thời gian thực tế cho lần đồng bộ tiếp theo
+        flushProgress();
       }
-      
-      // Add new container
-      videoPlayerContainerRef.current.appendChild(playerContainer);
-      
-      // Create YouTube player and set it to fill the entire container
-      playerRef.current = new window.YT.Player(playerContainer.id, {
-        videoId: videoId,
-        playerVars: {
-          autoplay: wasPlaying ? 1 : 0,
-          start: Math.floor(currentTime),
-          modestbranding: 1,
-          rel: 0
-        },
-        events: {
-          onStateChange: onPlayerStateChange,
-          onReady: onPlayerReady
-        },
-        height: '100%',
-        width: '100%'
-      });
-    } catch (error) {
-      console.error('Error creating YouTube player:', error);
+    } else if (state === PLAYER_STATES.PAUSED || state === PLAYER_STATES.ENDED) {
+      trackerRef.current.sample(player.getCurrentTime());
+      trackerRef.current.stop();
+      stopSampling();
+      flushProgress();
+    } else if (state === PLAYER_STATES.OPENED) {
+      flushProgress();
     }
-  }, [currentVideo?.url]); // Only depend on URL, not the entire currentVideo object
-
-  // Callback when player is ready
-  const onPlayerReady = (event) => {
-    // Player is ready
-    console.log('Player ready');
   };
 
   // Optimize video selection function to avoid reloading when selecting the same video
@@ -677,30 +397,92 @@ function CourseLearning() {
     }
     
     setCurrentVideo(video);
-    progressTrackingRef.current = false;
   };
 
-  // Create new player when currentVideo changes, add conditions to avoid unnecessary re-rendering
-  useEffect(() => {
-    // Only recreate the player when video URL changes
-    if (currentVideo && (!playerRef.current || 
-        (playerRef.current.getVideoData && playerRef.current.getVideoData().video_id !== getYoutubeId(currentVideo.url)))
-    ) {
-      createPlayer();
+  // Bấm vào ghi chú: tua trong bài đang mở, hoặc chuyển sang bài của ghi chú rồi phát từ thời điểm đó
+  const handleSeekToNote = (note) => {
+    if (currentVideo && currentVideo.id === note.videoId) {
+      playerRef.current?.seekTo(note.timestampSeconds);
+      return;
     }
+    const video = modules.flatMap(module => module.videoUrl).find(v => v.id === note.videoId);
+    if (!video) return;
+    pendingSeekRef.current = note.timestampSeconds;
+    autoplayNextRef.current = true;
+    setCurrentVideo(video);
+  };
+
+  // Tạo trình phát phù hợp với loại bài học (YouTube, video tải lên, tài liệu) mỗi khi chuyển bài
+  useEffect(() => {
+    const container = videoPlayerContainerRef.current;
+    if (!currentVideo || !container) return undefined;
+
+    let disposed = false;
+
+    // Mở từ ghi chú thì tua tới thời điểm của ghi chú, nếu không thì tiếp tục từ vị trí xem gần nhất
+    // lưu trên server; đã xem gần hết thì phát lại từ đầu
+    const { lastPosition, duration } = currentVideo;
+    const startAt = pendingSeekRef.current !== null
+      ? Math.floor(pendingSeekRef.current)
+      : lastPosition && (!duration || lastPosition < duration - RESTART_NEAR_END_SECONDS)
+        ? Math.floor(lastPosition)
+        : 0;
+    pendingSeekRef.current = null;
+
+    container.replaceChildren();
+    trackerRef.current = createProgressTracker();
+    playerVideoIdRef.current = currentVideo.id;
+
+    createLessonPlayer(container, currentVideo, {
+      startAt,
+      autoplay: autoplayNextRef.current,
+      onStateChange: onPlayerStateChange
+    })
+      .then(player => {
+        if (disposed) {
+          player.destroy();
+          return;
+        }
+        playerRef.current = player;
+      })
+      .catch(error => console.error('Error creating lesson player:', error));
     
     return () => {
-      if (playerRef.current) {
-        progressTrackingRef.current = false;
+      disposed = true;
+      const player = playerRef.current;
+      if (player) {
+        // Gửi nốt tiến độ của bài đang xem trước khi chuyển bài hoặc rời trang
+        try {
+          autoplayNextRef.current = player.isPlaying();
+          trackerRef.current.sample(player.getCurrentTime());
+        } catch (e) {
+          console.error('Error reading player state', e);
+        }
+        trackerRef.current.stop();
+        stopSampling();
+        flushProgress();
+
         // Clean up the player
         try {
-          playerRef.current.destroy();
+          player.destroy();
         } catch (e) {
           console.error('Error destroying player', e);
         }
+        playerRef.current = null;
       }
     };
-  }, [currentVideo?.url, createPlayer]); // Only depend on URL changes, not the entire currentVideo object
+  }, [currentVideo?.id, flushProgress]); // Only depend on the lesson id, not the entire currentVideo object
+
+  // Gửi tiến độ khi người học chuyển tab hoặc đóng trang
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        flushProgress();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [flushProgress]);
 
   const calculateProgress = () => {
     let totalVideos = 0;
@@ -805,7 +587,7 @@ function CourseLearning() {
           <Typography variant="body2" sx={{ color: '#505050' }}>
             {isCompleted ? 
               "Chúc mừng bạn đã hoàn thành khóa học! Bạn có thể xem lại video tại đây để củng cố thêm kiến thức cho mình nhé!" :
-              "Sau khi xem hết video với tiến độ là 100%, bạn sẽ được tham gia làm kiểm tra để có thể hoàn thành khóa học"
+              `Mỗi video được tính là đã xem khi bạn xem ít nhất ${course?.videoCompletionThreshold || 80}% thời lượng (tua qua không được tính). Sau khi xem hết video với tiến độ là 100%, bạn sẽ được tham gia làm kiểm tra để có thể hoàn thành khóa học`
             }
           </Typography>
         </Box>
@@ -874,70 +656,83 @@ function CourseLearning() {
         {/* Course Curriculum Sidebar - Right side */}
         <SidebarPanel>
           <SidebarWrapper>
-            <ContentHeader>
-              <Typography variant="h6" sx={{ fontWeight: 700 }}>Course content</Typography>
+            <ContentHeader sx={{ py: 0 }}>
+              <Tabs value={sidebarTab} onChange={(e, value) => setSidebarTab(value)} variant="fullWidth">
+                <Tab value="content" label="Nội dung khóa học" sx={{ fontWeight: 700 }} />
+                <Tab value="notes" label="Ghi chú" sx={{ fontWeight: 700 }} />
+              </Tabs>
             </ContentHeader>
-            
-            <ContentList>
-              {modules.map((module, index) => (
-                <Box key={module.id}>
-                  <SectionHeader onClick={() => handleToggleModule(module.id)}>
-                    <Box sx={{ width: '100%' }}>
-                      <SectionTitle>
-                        Section {index + 1}: {module.title}
-                      </SectionTitle>
-                      <SectionInfo>
-                        {getModuleCompletionCount(module)} | {module.videos ? `${module.videos.length} videos` : '0 videos'}
-                      </SectionInfo>
-                    </Box>
-                    <IconButton edge="end" sx={{ ml: 1 }}>
-                      {module.isExpanded ? <ExpandLess /> : <ExpandMore />}
-                    </IconButton>
-                  </SectionHeader>
-                  
-                  <Collapse in={module.isExpanded} timeout="auto">
-                    <List component="div" disablePadding sx={{ bgcolor: 'rgba(0,0,0,0.01)' }}>
-                      {module.videoUrl.map((video) => (
-                        <ListItemButton 
-                          key={video.id}
-                          selected={currentVideo && currentVideo.id === video.id}
-                          onClick={() => handleSelectVideo(video)}
-                          sx={{ 
-                            pl: 4, 
-                            py: 1.5,
-                            borderLeft: currentVideo && currentVideo.id === video.id ? 
-                              '4px solid #3f51b5' : '4px solid transparent'
-                          }}
-                        >
-                          <ListItemIcon sx={{ minWidth: 36 }}>
-                            <Checkbox
-                              icon={<CheckBoxOutlineBlankIcon fontSize="small" />}
-                              checkedIcon={<CheckBoxIcon fontSize="small" />}
-                              checked={video.completed}
-                              onChange={(e) => {
-                                e.stopPropagation();
-                                handleVideoCompletion(video.id, video.completed);
+
+            {sidebarTab === 'notes' ? (
+              <Box sx={{ flexGrow: 1, minHeight: 0 }}>
+                <LessonNotesPanel
+                  courseId={id}
+                  currentVideo={currentVideo}
+                  lessonOrder={modules.flatMap(module => module.videoUrl.map(video => video.id))}
+                  getCurrentTime={() => playerRef.current?.getCurrentTime() || 0}
+                  onSeek={handleSeekToNote}
+                />
+              </Box>
+            ) : (
+              <ContentList>
+                {modules.map((module, index) => (
+                  <Box key={module.id}>
+                    <SectionHeader onClick={() => handleToggleModule(module.id)}>
+                      <Box sx={{ width: '100%' }}>
+                        <SectionTitle>
+                          Section {index + 1}: {module.title}
+                        </SectionTitle>
+                        <SectionInfo>
+                          {getModuleCompletionCount(module)} | {module.videos ? `${module.videos.length} videos` : '0 videos'}
+                        </SectionInfo>
+                      </Box>
+                      <IconButton edge="end" sx={{ ml: 1 }}>
+                        {module.isExpanded ? <ExpandLess /> : <ExpandMore />}
+                      </IconButton>
+                    </SectionHeader>
+                    
+                    <Collapse in={module.isExpanded} timeout="auto">
+                      <List component="div" disablePadding sx={{ bgcolor: 'rgba(0,0,0,0.01)' }}>
+                        {module.videoUrl.map((video) => (
+                          <ListItemButton 
+                            key={video.id}
+                            selected={currentVideo && currentVideo.id === video.id}
+                            onClick={() => handleSelectVideo(video)}
+                            sx={{ 
+                              pl: 4, 
+                              py: 1.5,
+                              borderLeft: currentVideo && currentVideo.id === video.id ? 
+                                '4px solid #3f51b5' : '4px solid transparent'
+                            }}
+                          >
+                            <ListItemIcon sx={{ minWidth: 36 }}>
+                              {/* Trạng thái do server tính từ thời lượng đã thực sự xem, người học không tự đánh dấu */}
+                              <Tooltip title={video.completed ? 'Đã xem' : `Đã xem ${Math.round(video.watchedPercent || 0)}%`}>
+                                {video.completed
+                                  ? <CheckBoxIcon fontSize="small" sx={{ color: '#0056b3' }} />
+                                  : <CheckBoxOutlineBlankIcon fontSize="small" sx={{ color: '#0056b3' }} />}
+                              </Tooltip>
+                            </ListItemIcon>
+                            <ListItemText 
+                              primary={video.videoTitle.includes(":") ? video.videoTitle.split(":")[1] : video.videoTitle} 
+                              secondary={getLessonMediaType(video) === MEDIA_TYPES.DOCUMENT
+                                ? 'Tài liệu'
+                                : video.duration > 0
+                                  ? `${formatDuration(video.duration)}${!video.completed && video.watchedPercent > 0 ? ` · Đã xem ${Math.round(video.watchedPercent)}%` : ''}`
+                                  : null}
+                              primaryTypographyProps={{
+                                fontSize: '0.9rem',
+                                fontWeight: currentVideo && currentVideo.id === video.id ? 600 : 400
                               }}
-                              onClick={(e) => e.stopPropagation()}
-                              sx={{color: "#0056b3"}}
-                              size="small"
                             />
-                          </ListItemIcon>
-                          <ListItemText 
-                            primary={video.videoTitle.includes(":") ? video.videoTitle.split(":")[1] : video.videoTitle} 
-                            secondary={video.duration > 0 ? formatDuration(video.duration) : null}
-                            primaryTypographyProps={{
-                              fontSize: '0.9rem',
-                              fontWeight: currentVideo && currentVideo.id === video.id ? 600 : 400
-                            }}
-                          />
-                        </ListItemButton>
-                      ))}
-                    </List>
-                  </Collapse>
-                </Box>
-              ))}
-            </ContentList>
+                          </ListItemButton>
+                        ))}
+                      </List>
+                    </Collapse>
+                  </Box>
+                ))}
+              </ContentList>
+            )}
           </SidebarWrapper>
         </SidebarPanel>
       </PageContainer>
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { 
   Container, 
@@ -11,13 +11,49 @@ import {
   StepLabel, 
   Divider, 
   CircularProgress,
-  Alert
+  Alert,
+  Chip
 } from '@mui/material';
+import TimerIcon from '@mui/icons-material/Timer';
 import api from '../../services/authService';
 import { isAuthenticated, getUserData } from '../../services/authService';
 import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
 import CourseQuizQuestion from './CourseQuizQuestion';
 import CourseQuizResult from './CourseQuizResult';
+import ResumeDraftDialog from '../common/ResumeDraftDialog';
+import { validateAnswer, getSelectedOptions, toAnswerPayload } from '../../services/questionTypes';
+import {
+  loadDraft,
+  saveDraft,
+  deleteDraft,
+  getSurveyFingerprint,
+  AUTOSAVE_DELAY
+} from '../../services/surveyDraftService';
+
+// Số câu đã trả lời hợp lệ trên tổng số câu của bài kiểm tra (câu trả lời theo tên section)
+const getQuizProgress = (sections, answers) => {
+  const questions = sections.flatMap(section =>
+    section.questions.map((question, qIndex) => ({ question, value: answers[section.sectionName]?.[qIndex] }))
+  );
+  return {
+    answeredCount: questions.filter(({ question, value }) => validateAnswer(question, value) === null).length,
+    totalQuestions: questions.length
+  };
+};
+
+// mm:ss cho đồng hồ đếm ngược
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('vi-VN', {
+  hour: '2-digit',
+  minute: '2-digit',
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+});
 
 const CourseQuiz = () => {
   const { id } = useParams();
@@ -29,6 +65,28 @@ const CourseQuiz = () => {
   const [showResult, setShowResult] = useState(false);
   const [result, setResult] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  // Bài làm dở đang chờ người dùng chọn tiếp tục/làm lại; chỉ tự động lưu sau khi đã chọn
+  const [pendingDraft, setPendingDraft] = useState(null);
+  const [draftReady, setDraftReady] = useState(false);
+  // Lượt làm bài: các câu hỏi được rút cho lượt này, hạn nộp bài; attemptStatus là số lượt đã dùng, thời gian chờ
+  const [attemptStatus, setAttemptStatus] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [startingAttempt, setStartingAttempt] = useState(false);
+  const [remainingSeconds, setRemainingSeconds] = useState(null);
+  const autoSubmittedRef = useRef(false);
+  const submitRef = useRef(null);
+
+  const sections = attempt?.sections || [];
+
+  const fetchAttemptStatus = useCallback(async () => {
+    try {
+      const response = await api.get(`/courses/${id}/quiz/attempts/status`);
+      setAttemptStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching quiz attempt status:', error);
+      setAttemptStatus(null);
+    }
+  }, [id]);
 
   useEffect(() => {
     // Get course quiz data based on id
@@ -51,6 +109,10 @@ const CourseQuiz = () => {
         console.log('Course data response:', response.data);
         console.log('Quiz structure:', response.data.quiz);
         setCourseData(response.data);
+
+        if (response.data.quiz?.id) {
+          await fetchAttemptStatus();
+        }
       } catch (error) {
         console.error('Error fetching course quiz data:', error);
         navigate(`/courses/${id}`, { 
@@ -66,34 +128,110 @@ const CourseQuiz = () => {
     };
 
     fetchCourseData();
-  }, [id, navigate]);
+  }, [id, navigate, fetchAttemptStatus]);
 
-  const handleAnswerChange = (questionIndex, optionId) => {
-    const sectionName = courseData.quiz.sections[activeSection].sectionName;
+  // Bắt đầu lượt mới hoặc tiếp tục lượt đang làm dở, bài làm dở chỉ khôi phục khi cùng bộ câu hỏi đã rút
+  const handleStartAttempt = async () => {
+    setStartingAttempt(true);
+    try {
+      const response = await api.post(`/courses/${id}/quiz/attempts`);
+      const quizId = courseData.quiz.id;
+      const draft = await loadDraft(quizId);
+      if (draft && draft.state?.fingerprint === getSurveyFingerprint(response.data.sections)) {
+        setPendingDraft(draft);
+      } else {
+        if (draft) deleteDraft(quizId);
+        setDraftReady(true);
+      }
+      autoSubmittedRef.current = false;
+      setRemainingSeconds(response.data.remainingSeconds ?? null);
+      setAttempt(response.data);
+    } catch (error) {
+      console.error('Error starting quiz attempt:', error);
+      showErrorAlert(error.response?.data?.message || 'Không thể bắt đầu bài kiểm tra. Vui lòng thử lại sau!');
+      fetchAttemptStatus();
+    } finally {
+      setStartingAttempt(false);
+    }
+  };
+
+  // Đếm ngược theo thời gian còn lại máy chủ trả về, hết giờ thì tự nộp bài
+  useEffect(() => {
+    if (!attempt || attempt.remainingSeconds == null || result) return undefined;
+
+    const endsAt = Date.now() + attempt.remainingSeconds * 1000;
+    const tick = () => {
+      const seconds = Math.max(0, Math.round((endsAt - Date.now()) / 1000));
+      setRemainingSeconds(seconds);
+      if (seconds === 0 && !autoSubmittedRef.current) {
+        autoSubmittedRef.current = true;
+        showErrorAlert('Đã hết thời gian làm bài, bài làm của bạn được nộp tự động.');
+        submitRef.current();
+      }
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [attempt, result]);
+
+  // Tự động lưu bài làm dở sau mỗi lần trả lời hoặc chuyển phần
+  useEffect(() => {
+    const quiz = courseData?.quiz;
+    if (!quiz?.id || !attempt || !draftReady || result || Object.keys(answers).length === 0) return undefined;
+
+    const timer = setTimeout(() => {
+      saveDraft(quiz.id, {
+        state: { fingerprint: getSurveyFingerprint(attempt.sections), answers, activeSection },
+        ...getQuizProgress(attempt.sections, answers)
+      }).catch(error => console.error('Error saving quiz draft:', error));
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [courseData, attempt, draftReady, result, answers, activeSection]);
+
+  const handleResumeDraft = () => {
+    const { answers: savedAnswers, activeSection: savedSection } = pendingDraft.state;
+    setAnswers(savedAnswers || {});
+    if (Number.isInteger(savedSection) && savedSection < sections.length) {
+      setActiveSection(savedSection);
+    }
+    setPendingDraft(null);
+    setDraftReady(true);
+  };
+
+  const handleRestartDraft = () => {
+    deleteDraft(courseData.quiz.id);
+    setPendingDraft(null);
+    setDraftReady(true);
+  };
+
+  const handleAnswerChange = (questionIndex, value) => {
+    const sectionName = sections[activeSection].sectionName;
     setAnswers({
       ...answers,
       [sectionName]: {
         ...answers[sectionName],
-        [questionIndex]: parseInt(optionId)
+        [questionIndex]: value
       }
     });
   };
 
   const handleNext = () => {
-    const currentSection = courseData.quiz.sections[activeSection];
+    const currentSection = sections[activeSection];
     
     // Check if user has answered all questions in the current section
-    const answeredAll = currentSection.questions.every((_, index) => {
-      const sectionName = currentSection.sectionName;
-      return answers[sectionName] && answers[sectionName][index] !== undefined;
-    });
+    const sectionAnswers = answers[currentSection.sectionName] || {};
+    const invalidIndex = currentSection.questions.findIndex((question, index) =>
+      validateAnswer(question, sectionAnswers[index]) !== null
+    );
     
-    if (!answeredAll) {
-      showErrorAlert('Vui lòng trả lời tất cả các câu hỏi');
+    if (invalidIndex !== -1) {
+      const question = currentSection.questions[invalidIndex];
+      showErrorAlert(`Câu ${invalidIndex + 1}: ${validateAnswer(question, sectionAnswers[invalidIndex])}`);
       return;
     }
     
-    if (activeSection < courseData.quiz.sections.length - 1) {
+    if (activeSection < sections.length - 1) {
       setActiveSection(activeSection + 1);
       // Scroll to top after changing section
       window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -119,27 +257,19 @@ const CourseQuiz = () => {
     console.log('All answers:', answers);
     
     Object.entries(answers).forEach(([sectionName, sectionAnswers]) => {
-      const sectionIndex = courseData.quiz.sections.findIndex(s => s.sectionName === sectionName);
+      const sectionIndex = sections.findIndex(s => s.sectionName === sectionName);
       
       if (sectionIndex !== -1) {
-        const section = courseData.quiz.sections[sectionIndex];
+        const section = sections[sectionIndex];
         
-        Object.entries(sectionAnswers).forEach(([questionIndex, selectedOptionId]) => {
-          const qIndex = parseInt(questionIndex);
+        Object.entries(sectionAnswers).forEach(([questionIndex, value]) => {
+          const question = section.questions[parseInt(questionIndex)];
           
           // Kiểm tra xem có câu hỏi tương ứng không
-          if (section.questions[qIndex]) {
-            // Tìm option tương ứng với ID được chọn
-            const question = section.questions[qIndex];
-            const selectedOption = question.options.find(opt => opt.id === parseInt(selectedOptionId));
-            
-            if (selectedOption) {
-              console.log(`Found option: ${selectedOption.id} for question ${qIndex}`);
-              selectedOptionIds.push(selectedOption.id);
-            } else {
-              console.log(`Option with ID ${selectedOptionId} not found, using as is`);
-              selectedOptionIds.push(parseInt(selectedOptionId));
-            }
+          if (question) {
+            getSelectedOptions(question, value).forEach(option => {
+              selectedOptionIds.push(option.id);
+            });
           }
         });
       }
@@ -149,6 +279,17 @@ const CourseQuiz = () => {
     return selectedOptionIds;
   };
 
+  // Câu trả lời nhập số/tự luận
+  const extractInputAnswers = () =>
+    sections.flatMap(section =>
+      section.questions
+        .map((question, qIndex) => {
+          const value = answers[section.sectionName]?.[qIndex];
+          return value === undefined ? null : toAnswerPayload(question, value);
+        })
+        .filter(Boolean)
+    );
+
   const handleSubmit = async () => {
     setSubmitting(true);
     
@@ -203,7 +344,9 @@ const CourseQuiz = () => {
       
       // Tạo payload theo đúng định dạng API yêu cầu - chính xác theo yêu cầu ban đầu
       const payload = {
-        selectedOptionIds: selectedOptionIds
+        attemptId: attempt.attemptId,
+        selectedOptionIds: selectedOptionIds,
+        answers: extractInputAnswers()
       };
       
       // Thêm surveyId nếu có
@@ -225,6 +368,8 @@ const CourseQuiz = () => {
       
       // Set result from response
       setResult(response.data);
+      // Backend đã xóa bản nháp khi nhận bài; xóa thêm bản lưu trên trình duyệt nếu có
+      deleteDraft(surveyId);
       
       // Show result after submission
       setShowResult(true);
@@ -250,16 +395,33 @@ const CourseQuiz = () => {
         console.error('Error details:', error.response?.data || error.message);
         
         // Show general error notification
-        showErrorAlert('Nộp bài thất bại, xin thử lại sau!');
+        showErrorAlert(error.response?.data?.message || 'Nộp bài thất bại, xin thử lại sau!');
+
+        // Lượt làm bài đã hết giờ hoặc đã nộp thì quay lại màn hình bắt đầu
+        if (error.response?.status === 400 && autoSubmittedRef.current) {
+          setAttempt(null);
+          fetchAttemptStatus();
+        }
       }
     } finally {
       setSubmitting(false);
     }
   };
 
+  submitRef.current = handleSubmit;
+
+  // Làm lại: quay về màn hình bắt đầu để xem số lượt còn lại và thời gian chờ
   const handleRetake = () => {
-    navigate(`/courses/${id}/quiz`);
-    window.location.reload();
+    setResult(null);
+    setShowResult(false);
+    setAnswers({});
+    setActiveSection(0);
+    setAttempt(null);
+    setRemainingSeconds(null);
+    setPendingDraft(null);
+    setDraftReady(false);
+    fetchAttemptStatus();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   const handleGetCertificate = () => {
@@ -315,6 +477,11 @@ const CourseQuiz = () => {
 
   return (
     <Container maxWidth="md" sx={{ py: 4 }}>
+      <ResumeDraftDialog
+        draft={pendingDraft}
+        onResume={handleResumeDraft}
+        onRestart={handleRestartDraft}
+      />
       <Paper elevation={3} sx={{ p: 3 }}>
         <Typography variant="h4" component="h1" gutterBottom align="center" sx={{fontWeight: 'bold', color: '#0056b3'}}>
           {courseData.quiz.title || `Bài kiểm tra khóa học: ${courseData.title}`}
@@ -328,10 +495,80 @@ const CourseQuiz = () => {
           </Alert>
         )}
 
-        {!showResult && !result ? (
+        {!showResult && !result && !attempt ? (
+          <Box sx={{ my: 3 }}>
+            {attemptStatus ? (
+              <>
+                <Box component="ul" sx={{ pl: 3, mb: 3, '& li': { mb: 1 } }}>
+                  <li>
+                    <Typography variant="body1">Số câu hỏi: {attemptStatus.questionCount}</Typography>
+                  </li>
+                  <li>
+                    <Typography variant="body1">
+                      Thời gian làm bài: {attemptStatus.timeLimitMinutes ? `${attemptStatus.timeLimitMinutes} phút, hết giờ bài làm được nộp tự động` : 'không giới hạn'}
+                    </Typography>
+                  </li>
+                  <li>
+                    <Typography variant="body1">
+                      Số lượt đã làm: {attemptStatus.attemptsUsed}
+                      {attemptStatus.maxAttempts ? `/${attemptStatus.maxAttempts}` : ' (không giới hạn số lượt)'}
+                    </Typography>
+                  </li>
+                  {attemptStatus.attemptCooldownMinutes > 0 && (
+                    <li>
+                      <Typography variant="body1">
+                        Thời gian chờ giữa hai lượt làm bài: {attemptStatus.attemptCooldownMinutes} phút
+                      </Typography>
+                    </li>
+                  )}
+                </Box>
+
+                {attemptStatus.message && (
+                  <Alert severity="warning" sx={{ mb: 3 }}>
+                    {attemptStatus.nextAttemptAt
+                      ? `Bạn có thể làm lại bài kiểm tra sau ${formatDateTime(attemptStatus.nextAttemptAt)}.`
+                      : attemptStatus.message}
+                  </Alert>
+                )}
+
+                <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2 }}>
+                  <Button variant="outlined" onClick={() => navigate(`/courses/${id}/learn`)} sx={{ fontWeight: 600 }}>
+                    Quay lại khóa học
+                  </Button>
+                  <Button
+                    variant="contained"
+                    onClick={handleStartAttempt}
+                    disabled={!attemptStatus.canStart || startingAttempt}
+                    sx={{ fontWeight: 600 }}
+                  >
+                    {startingAttempt ? <CircularProgress size={24} color="inherit" />
+                      : attemptStatus.inProgress ? 'Tiếp tục làm bài' : 'Bắt đầu làm bài'}
+                  </Button>
+                </Box>
+              </>
+            ) : (
+              <Alert severity="error">Không thể tải thông tin lượt làm bài. Vui lòng thử lại sau!</Alert>
+            )}
+          </Box>
+        ) : !showResult && !result ? (
           <>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+              <Typography variant="body2" color="text.secondary">
+                Lượt làm bài {attempt.attemptNumber}{attempt.maxAttempts ? `/${attempt.maxAttempts}` : ''}
+              </Typography>
+              {remainingSeconds !== null && (
+                <Chip
+                  icon={<TimerIcon />}
+                  label={formatCountdown(remainingSeconds)}
+                  color={remainingSeconds <= 60 ? 'error' : 'primary'}
+                  variant={remainingSeconds <= 60 ? 'filled' : 'outlined'}
+                  sx={{ fontWeight: 600, fontVariantNumeric: 'tabular-nums' }}
+                />
+              )}
+            </Box>
+
             <Stepper activeStep={activeSection} sx={{ my: 4 }}>
-              {courseData.quiz.sections.map((section, index) => (
+              {sections.map((section, index) => (
                 <Step key={index}>
                   <StepLabel>{section.sectionName}</StepLabel>
                 </Step>
@@ -340,18 +577,18 @@ const CourseQuiz = () => {
 
             <Box sx={{ my: 3 }}>
               <Typography variant="h5" gutterBottom>
-                {courseData.quiz.sections[activeSection].sectionName}
+                {sections[activeSection].sectionName}
               </Typography>
               <Divider sx={{ mb: 3 }} />
 
-              {courseData.quiz.sections[activeSection].questions.map((question, qIndex) => (
+              {sections[activeSection].questions.map((question, qIndex) => (
                 <CourseQuizQuestion 
                   key={qIndex}
                   question={question}
                   questionIndex={qIndex}
                   value={
-                    answers[courseData.quiz.sections[activeSection].sectionName] &&
-                    answers[courseData.quiz.sections[activeSection].sectionName][qIndex]
+                    answers[sections[activeSection].sectionName] &&
+                    answers[sections[activeSection].sectionName][qIndex]
                   }
                   onChange={handleAnswerChange}
                 />
@@ -377,9 +614,10 @@ const CourseQuiz = () => {
               <Button
                 variant="contained"
                 onClick={handleNext}
+                disabled={submitting}
                 sx={{fontWeight: 600, flex: 1}}
               >
-                {activeSection < courseData.quiz.sections.length - 1 ? 'TIẾP THEO' : 'XEM KẾT QUẢ'}
+                {activeSection < sections.length - 1 ? 'TIẾP THEO' : 'XEM KẾT QUẢ'}
               </Button>
             </Box>
           </>
@@ -391,8 +629,6 @@ const CourseQuiz = () => {
             onGetCertificate={handleGetCertificate}
             submitting={submitting}
             courseId={id}
-            quiz={courseData.quiz}
-            answers={answers}
           />
         )}
       </Paper>
@@ -1,5 +1,7 @@
 import React from 'react';
-import { Box, Typography, FormControl, FormLabel, RadioGroup, FormControlLabel, Radio } from '@mui/material';
+import { Box, Typography, FormControl, FormLabel } from '@mui/material';
+import QuestionAnswerInput from '../common/QuestionAnswerInput';
+import { getQuestionType } from '../../services/questionTypes';
 
 const CourseQuizQuestion = ({ question, questionIndex, value, onChange }) => {
   return (
@@ -10,22 +12,15 @@ const CourseQuizQuestion = ({ question, questionIndex, value, onChange }) => {
             {questionIndex + 1}. {question.questionText}
           </Typography>
         </FormLabel>
-        <RadioGroup
-          value={value?.toString() || ''}
-          onChange={(e) => onChange(questionIndex, e.target.value)}
-        >
-          {question.options.map((option) => (
-            <FormControlLabel
-              key={option.id}
-              value={option.id.toString()}
-              control={<Radio />}
-              label={option.optionText}
-            />
-          ))}
-        </RadioGroup>
+        <QuestionAnswerInput
+          type={getQuestionType(question)}
+          options={question.options.map(option => ({ ...option, label: option.optionText }))}
+          value={value}
+          onChange={(newValue) => onChange(questionIndex, newValue)}
+        />
       </FormControl>
     </Box>
   );
 };
 
-export default CourseQuizQuestion; 
\ No newline at end of file
+export default CourseQuizQuestion;
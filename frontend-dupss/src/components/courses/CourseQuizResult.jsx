@@ -1,4 +1,5 @@
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { 
   Box, 
   Typography, 
@@ -8,10 +9,15 @@ import {
   List,
   ListItem,
   ListItemText,
-  IconButton
+  IconButton,
+  Chip,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import OndemandVideoIcon from '@mui/icons-material/OndemandVideo';
+import { QUESTION_TYPES, getQuestionType } from '../../services/questionTypes';
 
 const CourseQuizResult = ({ 
   result, 
@@ -19,11 +25,11 @@ const CourseQuizResult = ({
   onRetake, 
   onGetCertificate, 
   submitting = false, 
-  courseId,
-  quiz,
-  answers
+  courseId
 }) => {
+  const navigate = useNavigate();
   const [expanded, setExpanded] = useState(false);
+  const [onlyWrong, setOnlyWrong] = useState(false);
   
   // Determine if the quiz was passed based on the message
   const isPassed = result.message && result.message.includes('Chúc mừng! Bạn đã vượt qua bài kiểm tra.');
@@ -48,17 +54,45 @@ const CourseQuizResult = ({
     setExpanded(!expanded);
   };
 
-  // Check if an option is correct (score = 1)
-  const isCorrectOption = (option) => {
-    return option.score === 1;
-  };
+  // Phần xem lại do máy chủ trả về sau khi nộp bài, nhóm theo section và đánh số liên tục
+  const review = useMemo(() => result.review || [], [result.review]);
+  const gradedCount = review.filter(question => question.correct !== null).length;
+  const wrongCount = review.filter(question => question.correct === false).length;
+
+  const reviewSections = useMemo(() => {
+    const sections = [];
+    review.forEach((question, index) => {
+      if (onlyWrong && question.correct !== false) return;
+      let section = sections.find(s => s.sectionName === question.sectionName);
+      if (!section) {
+        section = { sectionName: question.sectionName, questions: [] };
+        sections.push(section);
+      }
+      section.questions.push({ question, number: index + 1 });
+    });
+    return sections;
+  }, [review, onlyWrong]);
 
-  // Check if an option was selected by the user
-  const isSelectedOption = (sectionName, questionIndex, optionId) => {
-    return answers[sectionName] && 
-           answers[sectionName][questionIndex] === optionId;
+  // Giá trị người dùng đã nhập cho câu hỏi nhập số/tự luận
+  const getInputAnswer = (question) => {
+    const type = getQuestionType(question);
+    if (type === QUESTION_TYPES.NUMERIC) return question.numericValue ?? null;
+    if (type === QUESTION_TYPES.FREE_TEXT) return question.textValue || null;
+    return null;
   };
 
+  // Mở lại bài học liên quan trong trang học của khóa học
+  const renderLessonLink = (lesson) => lesson && (
+    <Button
+      size="small"
+      startIcon={<OndemandVideoIcon />}
+      onClick={() => navigate(`/courses/${courseId}/learn`, { state: { lesson: { videoId: lesson.videoId } } })}
+      sx={{ mt: 0.5, textTransform: 'none' }}
+    >
+      Xem lại: {lesson.title}
+    </Button>
+  );
+
   return (
     <Box sx={{ mt: 4 }}>
       {!result.totalScore && !result.score ? (
@@ -173,9 +207,16 @@ const CourseQuizResult = ({
               }}
               onClick={handleToggleAnswers}
             >
-              <Typography variant="h6" sx={{ fontWeight: 600 }}>
-                Đáp án bài làm
-              </Typography>
+              <Box>
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                  Xem lại bài làm
+                </Typography>
+                {gradedCount > 0 && (
+                  <Typography variant="body2" color="text.secondary">
+                    Bạn trả lời đúng {gradedCount - wrongCount}/{gradedCount} câu
+                  </Typography>
+                )}
+              </Box>
               <IconButton>
                 {expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
               </IconButton>
@@ -183,15 +224,22 @@ const CourseQuizResult = ({
             
             <Collapse in={expanded}>
               <Box sx={{ p: 2 }}>
-                {quiz.sections.map((section, sectionIndex) => (
-                  <Box key={sectionIndex} sx={{ mb: 4 }}>
+                {wrongCount > 0 && (
+                  <FormControlLabel
+                    control={<Switch checked={onlyWrong} onChange={(e) => setOnlyWrong(e.target.checked)} />}
+                    label="Chỉ xem câu trả lời sai"
+                    sx={{ mb: 1 }}
+                  />
+                )}
+                {reviewSections.map(({ sectionName, questions }) => (
+                  <Box key={sectionName} sx={{ mb: 4 }}>
                     <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
-                      {section.sectionName}
+                      {sectionName}
                     </Typography>
                     <List>
-                      {section.questions.map((question, questionIndex) => (
+                      {questions.map(({ question, number }) => (
                         <ListItem 
-                          key={questionIndex} 
+                          key={question.questionId} 
                           sx={{ 
                             flexDirection: 'column', 
                             alignItems: 'flex-start',
@@ -200,14 +248,29 @@ const CourseQuizResult = ({
                             borderBottom: '1px solid #eaeaea'
                           }}
                         >
-                          <ListItemText 
-                            primary={`${questionIndex + 1}. ${question.questionText}`}
-                            primaryTypographyProps={{ fontWeight: 600 }}
-                          />
+                          <Box sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, width: '100%' }}>
+                            <ListItemText 
+                              primary={`${number}. ${question.questionText}`}
+                              primaryTypographyProps={{ fontWeight: 600 }}
+                            />
+                            {question.correct !== null && (
+                              <Chip
+                                size="small"
+                                label={question.correct ? 'Đúng' : 'Sai'}
+                                color={question.correct ? 'success' : 'error'}
+                                sx={{ mt: 0.75 }}
+                              />
+                            )}
+                          </Box>
+                          {getInputAnswer(question) !== null && (
+                            <Typography variant="body2" sx={{ mb: 1, whiteSpace: 'pre-line' }}>
+                              Câu trả lời của bạn: {getInputAnswer(question)}
+                            </Typography>
+                          )}
                           <List sx={{ width: '100%' }}>
                             {question.options.map((option) => {
-                              const isSelected = isSelectedOption(section.sectionName, questionIndex, option.id);
-                              const isCorrect = isCorrectOption(option);
+                              const isSelected = option.selected;
+                              const isCorrect = option.correct;
                               
                               // Determine if this option should be highlighted
                               let showHighlight = false;
@@ -232,7 +295,9 @@ const CourseQuizResult = ({
                                     borderLeft: showHighlight ? `4px solid ${highlightColor}` : 'none',
                                     borderRadius: 1,
                                     position: 'relative',
-                                    pl: isSelected ? 4 : 2 // Thêm padding trái nếu là đáp án đã chọn
+                                    pl: isSelected ? 4 : 2, // Thêm padding trái nếu là đáp án đã chọn
+                                    flexDirection: 'column',
+                                    alignItems: 'flex-start'
                                   }}
                                 >
                                   {isSelected && (
@@ -265,10 +330,25 @@ const CourseQuizResult = ({
                                       </Typography>
                                     }
                                   />
+                                  {/* Giải thích của đáp án đang được tô màu */}
+                                  {showHighlight && option.explanation && (
+                                    <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-line' }}>
+                                      {option.explanation}
+                                    </Typography>
+                                  )}
+                                  {isSelected && !isCorrect && renderLessonLink(option.lesson)}
                                 </ListItem>
                               );
                             })}
                           </List>
+                          {question.explanation && (
+                            <Box sx={{ mt: 1, p: 1.5, width: '100%', bgcolor: '#e8f0fe', borderRadius: 1 }}>
+                              <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+                                <strong>Giải thích:</strong> {question.explanation}
+                              </Typography>
+                            </Box>
+                          )}
+                          {question.correct !== true && renderLessonLink(question.lesson)}
                         </ListItem>
                       ))}
                     </List>
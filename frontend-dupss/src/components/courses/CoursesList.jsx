@@ -10,8 +10,8 @@ import PersonIcon from '@mui/icons-material/Person';
 import SignalCellularAltIcon from '@mui/icons-material/SignalCellularAlt';
 import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
 import { styled } from '@mui/material/styles';
-import axios from 'axios';
-import { API_URL } from '../../services/config';
+import { isCancelledError } from '@dupss/api-client';
+import { apiGet, apiPublicGet } from '../../services/apiService';
 
 const FilterContainer = styled(Box)(({ theme }) => ({
   display: 'flex',
@@ -125,16 +125,18 @@ function CoursesList() {
 
   // Fetch topics from API
   useEffect(() => {
+    const controller = new AbortController();
     const fetchTopics = async () => {
       try {
-        const response = await axios.get(`${API_URL}/topics`);
-        setTopics(response.data);
+        setTopics(await apiGet('/topics', {}, false, { signal: controller.signal }));
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error fetching topics:', error);
       }
     };
 
     fetchTopics();
+    return () => controller.abort();
   }, []);
 
   // Debounce search input
@@ -155,35 +157,40 @@ function CoursesList() {
   useEffect(() => {
     document.title = "Khóa học - DUPSS";
     
+    const controller = new AbortController();
     const fetchCourses = async () => {
       setLoading(true);
       try {
-        let url = `${API_URL}/public/courses?keyword=${searchQuery}&page=${currentPage}&sortBy=createdAt&sortDir=${sortDir}`;
-        
+        const params = { keyword: searchQuery, page: currentPage, sortBy: 'createdAt', sortDir };
         if (topicId) {
-          url += `&topicId=${topicId}`;
+          params.topicId = topicId;
         }
         
-        const response = await axios.get(url);
-        setCourses(response.data.courses);
-        setTotalPages(response.data.totalPages);
-        setCurrentPage(response.data.currentPage);
+        const data = await apiPublicGet('/courses', params, false, { signal: controller.signal });
+        setCourses(data.courses);
+        setTotalPages(data.totalPages);
+        setCurrentPage(data.currentPage);
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error fetching courses:', error);
       } finally {
-        setLoading(false);
-        setInitialLoad(false);
-        
-        // After data loading is complete, scroll to top if not initial loading
-        if (!initialLoad) {
-          setTimeout(() => {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-          }, 100); // Short delay to ensure DOM has been updated
+        // Request cũ bị hủy khi bộ lọc thay đổi, request mới sẽ cập nhật trạng thái
+        if (!controller.signal.aborted) {
+          setLoading(false);
+          setInitialLoad(false);
+          
+          // After data loading is complete, scroll to top if not initial loading
+          if (!initialLoad) {
+            setTimeout(() => {
+              window.scrollTo({ top: 0, behavior: 'smooth' });
+            }, 100); // Short delay to ensure DOM has been updated
+          }
         }
       }
     };
 
     fetchCourses();
+    return () => controller.abort();
   }, [searchQuery, topicId, sortDir, currentPage]);
 
   const handlePageChange = (event, value) => {
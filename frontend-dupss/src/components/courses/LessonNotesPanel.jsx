@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Chip,
+  Tooltip,
+  CircularProgress
+} from '@mui/material';
+import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
+import BookmarkIcon from '@mui/icons-material/Bookmark';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  getCourseNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+  formatTimestamp
+} from '../../services/lessonNoteService';
+
+/**
+ * Ghi chú và dấu trang của người học trong khóa học, mỗi ghi chú gắn với thời điểm trong bài học.
+ * Bấm vào thời điểm của ghi chú để tua tới đó (chuyển bài nếu ghi chú thuộc bài khác).
+ * lessonOrder là danh sách id bài học theo thứ tự trong khóa, dùng để xếp ghi chú mới.
+ */
+const LessonNotesPanel = ({ courseId, currentVideo, lessonOrder, getCurrentTime, onSeek }) => {
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  // Thời điểm của ghi chú đang soạn, lấy lúc bắt đầu gõ để không lệch theo thời gian viết
+  const [draftTime, setDraftTime] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [editing, setEditing] = useState({ id: null, content: '' });
+
+  useEffect(() => {
+    const fetchNotes = async () => {
+      try {
+        setNotes(await getCourseNotes(courseId));
+      } catch (error) {
+        console.error('Error fetching lesson notes:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchNotes();
+  }, [courseId]);
+
+  // Chuyển bài thì ghi chú đang soạn gắn lại với thời điểm của bài mới
+  useEffect(() => {
+    setDraftTime(null);
+  }, [currentVideo?.id]);
+
+  const readCurrentTime = () => {
+    try {
+      return getCurrentTime() || 0;
+    } catch {
+      return 0;
+    }
+  };
+
+  // Ghi chú mới được chèn đúng vị trí: theo thứ tự bài học trong khóa, rồi theo thời điểm
+  const insertNote = (note) => {
+    setNotes(prev => [...prev, note].sort((a, b) => (
+      (lessonOrder.indexOf(a.videoId) - lessonOrder.indexOf(b.videoId)) || (a.timestampSeconds - b.timestampSeconds)
+    )));
+  };
+
+  const handleCreate = async (content) => {
+    if (!currentVideo) return;
+    const timestampSeconds = content && draftTime !== null ? draftTime : readCurrentTime();
+    setSaving(true);
+    try {
+      const created = await createNote(currentVideo.id, { timestampSeconds, content });
+      insertNote(created);
+      if (content) {
+        setDraft('');
+        setDraftTime(null);
+      }
+    } catch (error) {
+      console.error('Error creating lesson note:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveEdit = async (note) => {
+    try {
+      const updated = await updateNote(note.id, {
+        timestampSeconds: note.timestampSeconds,
+        content: editing.content
+      });
+      setNotes(prev => prev.map(n => (n.id === updated.id ? updated : n)));
+      setEditing({ id: null, content: '' });
+    } catch (error) {
+      console.error('Error updating lesson note:', error);
+    }
+  };
+
+  const handleDelete = async (noteId) => {
+    try {
+      await deleteNote(noteId);
+      setNotes(prev => prev.filter(n => n.id !== noteId));
+    } catch (error) {
+      console.error('Error deleting lesson note:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress size={28} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <Box sx={{ p: 2, borderBottom: '1px solid #e0e0e0', backgroundColor: '#fff' }}>
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          maxRows={6}
+          size="small"
+          placeholder={currentVideo ? 'Viết ghi chú cho thời điểm hiện tại...' : 'Chọn một bài học để ghi chú'}
+          disabled={!currentVideo}
+          value={draft}
+          onChange={(e) => {
+            const value = e.target.value;
+            if (!value) {
+              setDraftTime(null);
+            } else if (draftTime === null) {
+              setDraftTime(readCurrentTime());
+            }
+            setDraft(value);
+          }}
+          inputProps={{ maxLength: 5000 }}
+        />
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1 }}>
+          <Typography variant="caption" color="text.secondary">
+            {draftTime !== null ? `Tại ${formatTimestamp(draftTime)}` : ''}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Tooltip title="Đánh dấu thời điểm hiện tại">
+              <span>
+                <IconButton
+                  size="small"
+                  disabled={!currentVideo || saving}
+                  onClick={() => handleCreate(null)}
+                  sx={{ color: '#0056b3' }}
+                >
+                  <BookmarkAddIcon fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Button
+              size="small"
+              variant="contained"
+              disabled={!currentVideo || saving || !draft.trim()}
+              onClick={() => handleCreate(draft.trim())}
+            >
+              Lưu ghi chú
+            </Button>
+          </Box>
+        </Box>
+      </Box>
+
+      <Box sx={{ overflowY: 'auto', flexGrow: 1 }}>
+        {notes.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+            Chưa có ghi chú nào. Ghi chú và dấu trang của bạn có thể tìm kiếm và xuất ra trong trang hồ sơ.
+          </Typography>
+        ) : notes.map((note, index) => (
+          <Box key={note.id}>
+            {/* Tiêu đề bài học cho nhóm ghi chú */}
+            {(index === 0 || notes[index - 1].videoId !== note.videoId) && (
+              <Typography
+                variant="subtitle2"
+                sx={{
+                  px: 2,
+                  pt: 1.5,
+                  pb: 0.5,
+                  color: currentVideo && currentVideo.id === note.videoId ? '#0056b3' : 'text.secondary'
+                }}
+              >
+                {note.videoTitle}
+              </Typography>
+            )}
+            <Box sx={{ px: 2, py: 1, display: 'flex', gap: 1, alignItems: 'flex-start', '&:hover .note-actions': { opacity: 1 } }}>
+              <Chip
+                size="small"
+                clickable
+                icon={note.bookmark ? <BookmarkIcon fontSize="small" /> : undefined}
+                label={formatTimestamp(note.timestampSeconds)}
+                onClick={() => onSeek(note)}
+                sx={{ bgcolor: '#e8f0fe', color: '#0056b3', fontWeight: 600 }}
+              />
+              <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                {editing.id === note.id ? (
+                  <>
+                    <TextField
+                      fullWidth
+                      multiline
+                      size="small"
+                      autoFocus
+                      value={editing.content}
+                      onChange={(e) => setEditing({ id: note.id, content: e.target.value })}
+                      inputProps={{ maxLength: 5000 }}
+                    />
+                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 0.5 }}>
+                      <Button size="small" onClick={() => setEditing({ id: null, content: '' })}>Hủy</Button>
+                      <Button size="small" variant="contained" onClick={() => handleSaveEdit(note)}>Lưu</Button>
+                    </Box>
+                  </>
+                ) : (
+                  <Typography
+                    variant="body2"
+                    sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', color: note.bookmark ? 'text.secondary' : 'inherit' }}
+                  >
+                    {note.bookmark ? 'Dấu trang' : note.content}
+                  </Typography>
+                )}
+              </Box>
+              {editing.id !== note.id && (
+                <Box className="note-actions" sx={{ display: 'flex', opacity: 0.4 }}>
+                  <IconButton size="small" onClick={() => setEditing({ id: note.id, content: note.content || '' })}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" onClick={() => handleDelete(note.id)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+              )}
+            </Box>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default LessonNotesPanel;
@@ -0,0 +1,196 @@
+/**
+ * Trình phát bài học dùng chung cho mọi loại nội dung của khóa học: video YouTube, video tải lên
+ * (Cloudinary hoặc đường dẫn trực tiếp tới tệp video) và tài liệu PDF/slide.
+ *
+ * Mọi trình phát có cùng giao diện { getCurrentTime, getDuration, isPlaying, seekTo, destroy } và báo
+ * onStateChange(state) với state thuộc PLAYER_STATES, để trang học theo dõi tiến độ như nhau.
+ */
+
+export const PLAYER_STATES = {
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+  // Tài liệu không có thời lượng, chỉ báo đã được mở
+  OPENED: 'opened'
+};
+
+export const MEDIA_TYPES = {
+  YOUTUBE: 'YOUTUBE',
+  VIDEO: 'VIDEO',
+  DOCUMENT: 'DOCUMENT'
+};
+
+// Helper function to extract YouTube video ID
+export const getYoutubeId = (url) => {
+  const regExp = /^.*((youtu.be\/)|(v\/)|(\/u\/\w\/)|(embed\/)|(watch\?))\??v?=?([^#&?]*).*/;
+  const match = url.match(regExp);
+  return (match && match[7].length === 11) ? match[7] : null;
+};
+
+// Bài học tạo trước khi có mediaType: đoán theo đường dẫn giống backend
+export const getLessonMediaType = (lesson) => {
+  if (lesson.mediaType) return lesson.mediaType;
+  const url = (lesson.url || '').toLowerCase();
+  if (url.includes('youtube.com/') || url.includes('youtu.be/')) return MEDIA_TYPES.YOUTUBE;
+  if (/\.(pdf|pptx?|ppsx?)(\?.*)?$/.test(url)) return MEDIA_TYPES.DOCUMENT;
+  return MEDIA_TYPES.VIDEO;
+};
+
+let youTubeApiPromise = null;
+
+// Add YouTube IFrame API script loading function
+const loadYouTubeAPI = () => {
+  if (window.YT && window.YT.Player) return Promise.resolve();
+  if (!youTubeApiPromise) {
+    youTubeApiPromise = new Promise((resolve) => {
+      const tag = document.createElement('script');
+      tag.src = 'https://www.youtube.com/iframe_api';
+      const firstScriptTag = document.getElementsByTagName('script')[0];
+      firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
+
+      window.onYouTubeIframeAPIReady = () => {
+        resolve();
+      };
+    });
+  }
+  return youTubeApiPromise;
+};
+
+const fillContainer = (element) => {
+  element.style.width = '100%';
+  element.style.height = '100%';
+  element.style.border = '0';
+};
+
+const createYouTubePlayer = async (container, lesson, { startAt, autoplay, onStateChange }) => {
+  const videoId = getYoutubeId(lesson.url);
+  if (!videoId) {
+    throw new Error(`Invalid YouTube URL: ${lesson.url}`);
+  }
+
+  await loadYouTubeAPI();
+
+  const element = document.createElement('div');
+  fillContainer(element);
+  container.appendChild(element);
+
+  const { PlayerState } = window.YT;
+  const stateMap = {
+    [PlayerState.PLAYING]: PLAYER_STATES.PLAYING,
+    [PlayerState.PAUSED]: PLAYER_STATES.PAUSED,
+    [PlayerState.ENDED]: PLAYER_STATES.ENDED
+  };
+
+  const player = new window.YT.Player(element, {
+    videoId,
+    playerVars: {
+      autoplay: autoplay ? 1 : 0,
+      start: startAt,
+      modestbranding: 1,
+      rel: 0
+    },
+    events: {
+      onStateChange: (event) => {
+        if (stateMap[event.data]) onStateChange(stateMap[event.data]);
+      }
+    },
+    height: '100%',
+    width: '100%'
+  });
+
+  // Các hàm của YT.Player chỉ có sau khi trình phát sẵn sàng
+  const ready = (fn, fallback) => (typeof player[fn] === 'function' ? player[fn]() : fallback);
+
+  return {
+    getCurrentTime: () => ready('getCurrentTime', 0),
+    getDuration: () => ready('getDuration', 0),
+    isPlaying: () => ready('getPlayerState', -1) === PlayerState.PLAYING,
+    seekTo: (seconds) => {
+      if (typeof player.seekTo === 'function') player.seekTo(seconds, true);
+    },
+    destroy: () => player.destroy()
+  };
+};
+
+const createVideoPlayer = (container, lesson, { startAt, autoplay, onStateChange }) => {
+  const video = document.createElement('video');
+  video.src = lesson.url;
+  video.controls = true;
+  video.preload = 'metadata';
+  video.playsInline = true;
+  video.setAttribute('controlsList', 'nodownload');
+  fillContainer(video);
+  video.style.backgroundColor = '#000';
+
+  const listeners = {
+    playing: () => onStateChange(PLAYER_STATES.PLAYING),
+    pause: () => {
+      // Trình duyệt phát pause ngay trước ended, chỉ báo ended trong trường hợp đó
+      if (!video.ended) onStateChange(PLAYER_STATES.PAUSED);
+    },
+    ended: () => onStateChange(PLAYER_STATES.ENDED),
+    loadedmetadata: () => {
+      if (startAt > 0 && startAt < video.duration) video.currentTime = startAt;
+      if (autoplay) video.play().catch(() => {});
+    }
+  };
+  Object.entries(listeners).forEach(([event, listener]) => video.addEventListener(event, listener));
+  container.appendChild(video);
+
+  return {
+    getCurrentTime: () => video.currentTime,
+    getDuration: () => (Number.isFinite(video.duration) ? video.duration : 0),
+    isPlaying: () => !video.paused && !video.ended,
+    seekTo: (seconds) => {
+      video.currentTime = seconds;
+    },
+    destroy: () => {
+      Object.entries(listeners).forEach(([event, listener]) => video.removeEventListener(event, listener));
+      video.pause();
+      // Dừng tải tiếp phần video còn lại
+      video.removeAttribute('src');
+      video.load();
+      video.remove();
+    }
+  };
+};
+
+const createDocumentPlayer = (container, lesson, { onStateChange }) => {
+  const isPdf = /\.pdf(\?.*)?$/i.test(lesson.url);
+  const iframe = document.createElement('iframe');
+  // Slide PowerPoint hiển thị qua trình xem Office Online, PDF hiển thị trực tiếp trên trình duyệt
+  iframe.src = isPdf
+    ? lesson.url
+    : `https://view.officeapps.live.com/op/embed.aspx?src=${encodeURIComponent(lesson.url)}`;
+  iframe.title = lesson.videoTitle || 'Tài liệu bài học';
+  fillContainer(iframe);
+  iframe.addEventListener('load', () => onStateChange(PLAYER_STATES.OPENED), { once: true });
+  container.appendChild(iframe);
+
+  return {
+    getCurrentTime: () => 0,
+    getDuration: () => 0,
+    isPlaying: () => false,
+    seekTo: () => {},
+    destroy: () => iframe.remove()
+  };
+};
+
+/**
+ * Tạo trình phát phù hợp với loại bài học trong container
+ * @param {HTMLElement} container
+ * @param {{url: string, mediaType?: string, videoTitle?: string}} lesson
+ * @param {{startAt?: number, autoplay?: boolean, onStateChange: Function}} options
+ * @returns {Promise<{getCurrentTime: Function, getDuration: Function, isPlaying: Function, seekTo: Function, destroy: Function}>}
+ */
+export const createLessonPlayer = async (container, lesson, { startAt = 0, autoplay = false, onStateChange }) => {
+  const options = { startAt, autoplay, onStateChange };
+  switch (getLessonMediaType(lesson)) {
+    case MEDIA_TYPES.YOUTUBE:
+      return createYouTubePlayer(container, lesson, options);
+    case MEDIA_TYPES.DOCUMENT:
+      return createDocumentPlayer(container, lesson, options);
+    default:
+      return createVideoPlayer(container, lesson, options);
+  }
+};
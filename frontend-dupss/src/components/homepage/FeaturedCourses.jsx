@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { 
   Box, Typography, Card, CardContent, Button, Container, Chip, CardMedia, CardActions
 } from '@mui/material';
@@ -8,7 +8,7 @@ import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import PersonIcon from '@mui/icons-material/Person';
 import { Link } from 'react-router-dom';
 import { styled } from '@mui/material/styles';
-import { API_URL } from '../../services/config';
+import { apiPublicGet } from '../../services/apiService';
 
 const CourseCard = styled(Card)(({ theme }) => ({
   backgroundColor: 'white',
@@ -113,18 +113,20 @@ const FeaturedCourses = () => {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    const controller = new AbortController();
     const fetchCourses = async () => {
       try {
-        const response = await axios.get(`${API_URL}/public/courses/latest`);
-        setCoursesData(response.data);
+        setCoursesData(await apiPublicGet('/courses/latest', {}, false, { signal: controller.signal }));
         setLoading(false);
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error fetching courses:', error);
         setLoading(false);
       }
     };
 
     fetchCourses();
+    return () => controller.abort();
   }, []);
 
   // Format duration from hours to display string
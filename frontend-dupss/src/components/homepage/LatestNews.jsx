@@ -1,10 +1,10 @@
 import { useState, useEffect } from 'react';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { Box, Typography, Card, CardContent, Chip } from '@mui/material';
 import { ArrowForward } from '@mui/icons-material';
 import { Link } from 'react-router-dom';
 import { styled } from '@mui/material/styles';
-import { API_URL } from '../../services/config';
+import { apiPublicGet } from '../../services/apiService';
 
 const ArticleCard = styled(Card)(({ theme }) => ({
   backgroundColor: 'white',
@@ -107,18 +107,20 @@ const LatestNews = () => {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    const controller = new AbortController();
     const fetchNews = async () => {
       try {
-        const response = await axios.get(`${API_URL}/public/blogs/latest`);
-        setNewsData(response.data);
+        setNewsData(await apiPublicGet('/blogs/latest', {}, false, { signal: controller.signal }));
         setLoading(false);
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error fetching news:', error);
         setLoading(false);
       }
     };
 
     fetchNews();
+    return () => controller.abort();
   }, []);
 
   return (
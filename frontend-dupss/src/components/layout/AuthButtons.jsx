@@ -5,8 +5,10 @@ import PersonIcon from '@mui/icons-material/Person';
 import LogoutIcon from '@mui/icons-material/Logout';
 import LockIcon from '@mui/icons-material/Lock';
 import { styled } from '@mui/material/styles';
-import { API_URL } from '../../services/config';
+import { isCancelledError } from '@dupss/api-client';
+import api, { fetchCurrentUser } from '../../services/authService';
 import { showSuccessAlert } from '../common/AlertNotification';
+import NotificationInbox from './NotificationInbox';
 
 // Create custom MenuItem component, override default styles
 const StyledMenuItem = styled(MenuItem)(({ theme }) => ({
@@ -35,7 +37,8 @@ const AuthButtons = () => {
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
 
   useEffect(() => {
-    checkAuthStatus();
+    const controller = new AbortController();
+    checkAuthStatus(controller.signal);
 
     // Listen for user information update events from Profile page
     const handleProfileUpdate = (event) => {
@@ -62,6 +65,7 @@ const AuthButtons = () => {
 
     // Unregister event listeners when component unmounts
     return () => {
+      controller.abort();
       document.removeEventListener('user-profile-updated', handleProfileUpdate);
       document.removeEventListener('session-expired', handleSessionExpired);
     };
@@ -86,7 +90,7 @@ const AuthButtons = () => {
     }
   }, [location]);
 
-  const checkAuthStatus = async () => {
+  const checkAuthStatus = async (signal) => {
     const accessToken = localStorage.getItem('accessToken');
     
     if (!accessToken) {
@@ -96,58 +100,17 @@ const AuthButtons = () => {
     }
 
     try {
-      const response = await fetch(`${API_URL}/auth/me`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ accessToken }),
-      });
-
-      if (response.status === 200) {
-        const userData = await response.json();
-        setUserData(userData);
-        setIsLoggedIn(true);
-      } else if (response.status === 401) {
-        await refreshToken();
-      } else {
-        handleLogout();
-      }
+      // Token hết hạn được api client làm mới; refresh token hết hạn thì phát sự kiện session-expired
+      const userData = await fetchCurrentUser({ signal });
+      setUserData(userData);
+      setIsLoggedIn(true);
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error('Error checking auth status:', error);
-      handleLogout();
-    }
-  };
-
-  const refreshToken = async () => {
-    const refreshToken = localStorage.getItem('refreshToken');
-    
-    if (!refreshToken) {
-      handleLogout();
-      return;
-    }
-
-    try {
-      const response = await fetch(`${API_URL}/auth/refresh-token`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ refreshToken }),
-      });
-
-      if (response.status === 200) {
-        const data = await response.json();
-        localStorage.setItem('accessToken', data.accessToken);
-        
-        // Retry fetching user data with the new token
-        await checkAuthStatus();
-      } else {
+      // Lỗi mạng thì giữ nguyên trạng thái đăng nhập
+      if (!error.isNetworkError) {
         handleLogout();
       }
-    } catch (error) {
-      console.error('Error refreshing token:', error);
-      handleLogout();
     }
   };
 
@@ -156,13 +119,7 @@ const AuthButtons = () => {
     
     // Call logout API
     if (accessToken) {
-      fetch(`${API_URL}/auth/logout`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ accessToken }),
-      }).catch(error => {
+      api.post('/auth/logout', { accessToken }, { skipAuth: true }).catch(error => {
         console.error('Error during logout:', error);
       });
     }
@@ -239,6 +196,7 @@ const AuthButtons = () => {
           minWidth: isMobile ? 'auto' : '220px',
           justifyContent: 'flex-end' 
         }}>
+          <NotificationInbox />
           <Box 
             onClick={handleMenuOpen}
             sx={{ 
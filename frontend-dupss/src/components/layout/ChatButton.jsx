@@ -1,19 +1,63 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import ChatIcon from '@mui/icons-material/Chat';
 import CloseIcon from '@mui/icons-material/Close';
 import SendIcon from '@mui/icons-material/Send';
+import StopIcon from '@mui/icons-material/Stop';
+import HistoryIcon from '@mui/icons-material/History';
+import AddCommentIcon from '@mui/icons-material/AddComment';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import PhoneIcon from '@mui/icons-material/Phone';
+import EventAvailableIcon from '@mui/icons-material/EventAvailable';
 import ReactMarkdown from 'react-markdown';
-import axios from 'axios';
+import { isAuthenticated } from '../../services/authService';
+import {
+  streamChat,
+  fetchConversations,
+  fetchConversationMessages,
+  deleteConversation,
+  buildChatSummary,
+  CRISIS_HOTLINES
+} from '../../services/chatService';
 
-// API base URL lấy từ config nhưng không bao gồm /api vì endpoint chat đã public
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080';
+// Lịch sử trò chuyện của khách chỉ lưu trong phiên trình duyệt hiện tại
+const GUEST_STORAGE_KEY = 'chatConversations';
+const ERROR_MESSAGE = 'Xin lỗi, có lỗi xảy ra. Vui lòng thử lại sau.';
+const MAX_TITLE_LENGTH = 60;
+
+const loadGuestConversations = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(GUEST_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const saveGuestConversations = (conversations) => {
+  sessionStorage.setItem(GUEST_STORAGE_KEY, JSON.stringify(conversations));
+};
+
+const buildTitle = (text) => (
+  text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH)}...` : text
+);
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString('vi-VN') : '');
 
 const ChatButton = () => {
+  const navigate = useNavigate();
   const [isOpen, setIsOpen] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [crisis, setCrisis] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  const loggedIn = isAuthenticated();
 
   const toggleChat = () => {
     setIsOpen(!isOpen);
@@ -29,46 +73,241 @@ const ChatButton = () => {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, crisis]);
+
+  const loadConversations = useCallback(async () => {
+    if (!loggedIn) {
+      setConversations(loadGuestConversations());
+      return;
+    }
+    try {
+      const data = await fetchConversations();
+      setConversations(data || []);
+    } catch (error) {
+      console.error('Error fetching chat conversations:', error);
+    }
+  }, [loggedIn]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadConversations();
+    }
+  }, [isOpen, loadConversations]);
+
+  const handleNewConversation = () => {
+    setActiveConversationId(null);
+    setMessages([]);
+    setCrisis(null);
+    setShowHistory(false);
+  };
+
+  const handleSelectConversation = async (conversation) => {
+    setShowHistory(false);
+    setActiveConversationId(conversation.id);
+    setCrisis(null);
+
+    if (!loggedIn) {
+      setMessages(conversation.messages || []);
+      return;
+    }
+
+    setIsLoadingHistory(true);
+    setMessages([]);
+    try {
+      const data = await fetchConversationMessages(conversation.id);
+      setMessages(data.map(({ role, content, stopped }) => ({ role, content, stopped })));
+    } catch (error) {
+      console.error('Error fetching chat messages:', error);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  const handleDeleteConversation = async (e, conversationId) => {
+    e.stopPropagation();
+    try {
+      if (loggedIn) {
+        await deleteConversation(conversationId);
+      } else {
+        saveGuestConversations(loadGuestConversations().filter(c => c.id !== conversationId));
+      }
+      setConversations(prev => prev.filter(c => c.id !== conversationId));
+      if (conversationId === activeConversationId) {
+        setActiveConversationId(null);
+        setMessages([]);
+      }
+    } catch (error) {
+      console.error('Error deleting chat conversation:', error);
+    }
+  };
+
+  // Lưu cuộc trò chuyện của khách vào sessionStorage sau mỗi lượt hỏi đáp
+  const persistGuestConversation = (conversationId, title, conversationMessages) => {
+    const stored = loadGuestConversations();
+    const existing = stored.find(c => c.id === conversationId);
+    const others = stored.filter(c => c.id !== conversationId);
+    const updated = [
+      {
+        id: conversationId,
+        title: existing?.title || title,
+        updatedAt: new Date().toISOString(),
+        messages: conversationMessages
+      },
+      ...others
+    ];
+    saveGuestConversations(updated);
+    setConversations(updated);
+  };
+
+  const appendToReply = (text) => {
+    setMessages(prev => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      next[next.length - 1] = { ...last, content: last.content + text };
+      return next;
+    });
+  };
+
+  const stopGenerating = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Chuyển sang trang đặt lịch, điền sẵn tóm tắt cuộc trò chuyện cho chuyên viên
+  const handleBookConsultant = () => {
+    navigate('/appointment', { state: { chatSummary: buildChatSummary(messages, crisis) } });
+    setIsOpen(false);
+  };
 
   const sendMessage = async (e) => {
     e.preventDefault();
-    if (!input.trim()) return;
+    const question = input.trim();
+    if (!question || isStreaming) return;
 
-    const userMessage = input;
     setInput('');
-    
-    // Add user message to chat
-    setMessages(prev => [...prev, { text: userMessage, sender: 'user' }]);
-    setIsLoading(true);
+    setShowHistory(false);
+    const previousMessages = messages;
+    const userMessage = { role: 'USER', content: question };
+    const guestConversationId = loggedIn ? null : activeConversationId || `local-${Date.now()}`;
+    if (!loggedIn) {
+      setActiveConversationId(guestConversationId);
+    }
+
+    setMessages([...previousMessages, userMessage, { role: 'ASSISTANT', content: '' }]);
+    setIsStreaming(true);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let reply = '';
+    let failed = false;
 
     try {
-      // Gọi trực tiếp đến endpoint /chat (đã được cấu hình là public trong SecurityConfig)
-      const response = await axios.post(`${API_BASE_URL}/chat`, {
-        message: userMessage
-      });
+      await streamChat(
+        {
+          message: question,
+          conversationId: loggedIn ? activeConversationId : null,
+          // Khách không có lịch sử trên server nên gửi kèm toàn bộ hội thoại làm ngữ cảnh
+          history: loggedIn ? [] : previousMessages.map(({ role, content }) => ({ role, content }))
+        },
+        {
+          onMeta: (meta) => setActiveConversationId(meta.conversationId),
+          onRisk: (risk) => setCrisis(risk),
+          onDelta: (text) => {
+            reply += text;
+            appendToReply(text);
+          },
+          onError: () => {
+            failed = true;
+          }
+        },
+        controller.signal
+      );
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Chat error:', error);
+        failed = true;
+      }
+    } finally {
+      const stopped = controller.signal.aborted;
+      const assistantMessage = {
+        role: 'ASSISTANT',
+        content: reply || (failed ? ERROR_MESSAGE : ''),
+        stopped
+      };
+      const finalMessages = [...previousMessages, userMessage, assistantMessage]
+        .filter(m => m.content);
+
+      setMessages(finalMessages);
+      setIsStreaming(false);
+      abortControllerRef.current = null;
 
-      if (response.status === 200) {
-        setMessages(prev => [...prev, { text: response.data, sender: 'ai' }]);
+      if (loggedIn) {
+        loadConversations();
       } else {
-        throw new Error('Phản hồi không hợp lệ');
+        persistGuestConversation(guestConversationId, buildTitle(question), finalMessages);
       }
-    } catch (error) {
-      console.error('Chat error:', error);
-      setMessages(prev => [...prev, { 
-        text: 'Xin lỗi, có lỗi xảy ra. Vui lòng thử lại sau.', 
-        sender: 'ai' 
-      }]);
-    } finally {
-      setIsLoading(false);
     }
   };
 
+  const renderHistory = () => (
+    <div className="chat-history">
+      {conversations.length === 0 ? (
+        <div className="chat-history-empty">Chưa có cuộc trò chuyện nào</div>
+      ) : (
+        conversations.map(conversation => (
+          <div
+            key={conversation.id}
+            className={`chat-history-item ${conversation.id === activeConversationId ? 'active' : ''}`}
+            onClick={() => handleSelectConversation(conversation)}
+          >
+            <div className="chat-history-info">
+              <div className="chat-history-title">{conversation.title}</div>
+              <div className="chat-history-time">{formatTime(conversation.updatedAt)}</div>
+            </div>
+            <button
+              title="Xóa cuộc trò chuyện"
+              onClick={(e) => handleDeleteConversation(e, conversation.id)}
+            >
+              <DeleteOutlineIcon fontSize="small" />
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+
+  const renderCrisisCard = () => (
+    <div className="chat-crisis-card">
+      <div className="chat-crisis-title">Bạn không đơn độc</div>
+      <p>
+        Chúng tôi nhận thấy bạn có thể đang gặp khó khăn ({crisis.label.toLowerCase()}).
+        Nếu bạn hoặc người thân đang gặp nguy hiểm, hãy gọi ngay:
+      </p>
+      <div className="chat-crisis-hotlines">
+        {CRISIS_HOTLINES.map(hotline => (
+          <a key={hotline.phone} href={`tel:${hotline.phone}`}>
+            <PhoneIcon fontSize="small" />
+            <span>{hotline.name}: <strong>{hotline.phone}</strong></span>
+          </a>
+        ))}
+      </div>
+      <button className="chat-crisis-book" onClick={handleBookConsultant}>
+        <EventAvailableIcon fontSize="small" />
+        Đặt lịch với chuyên viên ngay
+      </button>
+      <button className="chat-crisis-dismiss" onClick={() => setCrisis(null)}>
+        Để sau
+      </button>
+    </div>
+  );
+
+  const lastMessage = messages[messages.length - 1];
+  const isWaitingFirstToken = isStreaming && lastMessage?.role === 'ASSISTANT' && !lastMessage.content;
+
   return (
     <>
       {!isOpen && (
-        <button 
-          id="chat-button" 
+        <button
+          id="chat-button"
           title="Trò chuyện với AI"
           className={isOpen ? 'active' : ''}
           onClick={toggleChat}
@@ -76,55 +315,88 @@ const ChatButton = () => {
           <ChatIcon />
         </button>
       )}
-      
+
       {isOpen && (
         <div className="chat-container">
           <div className="chat-header">
             <h3>Trợ lý AI của DUPSS</h3>
-            <button onClick={toggleChat}><CloseIcon /></button>
-          </div>
-          <div className="chat-messages">
-            <div className="message ai">
-              <div className="message-content">
-                Xin chào! Tôi là trợ lý ảo của DUPSS. Tôi có thể giúp gì cho bạn?
-              </div>
+            <div className="chat-header-actions">
+              <button
+                title="Cuộc trò chuyện trước"
+                onClick={() => setShowHistory(!showHistory)}
+                disabled={isStreaming}
+              >
+                <HistoryIcon />
+              </button>
+              <button
+                title="Cuộc trò chuyện mới"
+                onClick={handleNewConversation}
+                disabled={isStreaming}
+              >
+                <AddCommentIcon />
+              </button>
+              <button title="Đóng" onClick={toggleChat}><CloseIcon /></button>
             </div>
-            
-            {messages.map((message, index) => (
-              <div key={index} className={`message ${message.sender}`}>
+          </div>
+
+          {showHistory ? renderHistory() : (
+            <div className="chat-messages">
+              <div className="message ai">
                 <div className="message-content">
-                  {message.sender === 'ai' ? (
-                    <ReactMarkdown>{message.text}</ReactMarkdown>
-                  ) : (
-                    message.text
-                  )}
+                  Xin chào! Tôi là trợ lý ảo của DUPSS. Tôi có thể giúp gì cho bạn?
                 </div>
               </div>
-            ))}
-            
-            {isLoading && (
-              <div className="message ai">
-                <div className="message-content typing">
-                  <span></span>
-                  <span></span>
-                  <span></span>
+
+              {isLoadingHistory && (
+                <div className="chat-history-empty">Đang tải cuộc trò chuyện...</div>
+              )}
+
+              {messages.filter(message => message.content).map((message, index) => (
+                <div key={index} className={`message ${message.role === 'USER' ? 'user' : 'ai'}`}>
+                  <div className="message-content">
+                    {message.role === 'ASSISTANT' ? (
+                      <ReactMarkdown>{message.content}</ReactMarkdown>
+                    ) : (
+                      message.content
+                    )}
+                    {message.stopped && (
+                      <div className="message-stopped">Đã dừng trả lời</div>
+                    )}
+                  </div>
                 </div>
-              </div>
-            )}
-            <div ref={messagesEndRef} />
-          </div>
-          
+              ))}
+
+              {isWaitingFirstToken && (
+                <div className="message ai">
+                  <div className="message-content typing">
+                    <span></span>
+                    <span></span>
+                    <span></span>
+                  </div>
+                </div>
+              )}
+              {crisis && renderCrisisCard()}
+              <div ref={messagesEndRef} />
+            </div>
+          )}
+
           <form onSubmit={sendMessage} className="chat-input">
             <input
               type="text"
               placeholder="Nhập câu hỏi của bạn..."
               value={input}
               onChange={handleInputChange}
-              disabled={isLoading}
+              disabled={isStreaming}
             />
-            <button type="submit" disabled={isLoading || !input.trim()}>
-              <SendIcon />
-            </button>
+            {isStreaming ? (
+              <button type="button" className="stop" title="Dừng trả lời" onClick={stopGenerating}>
+                <StopIcon />
+              </button>
+            ) : (
+              <button type="submit" disabled={!input.trim()}>
+                <SendIcon />
+              </button>
+            )}
           </form>
         </div>
       )}
@@ -132,4 +404,4 @@ const ChatButton = () => {
   );
 };
 
-export default ChatButton; 
\ No newline at end of file
+export default ChatButton;
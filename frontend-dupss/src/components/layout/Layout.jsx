@@ -3,6 +3,7 @@ import Header from './Header';
 import Navbar from './Navbar';
 import Footer from './Footer';
 import ScrollToTop from './ScrollToTop';
+import ReminderToast from '../common/ReminderToast';
 
 const Layout = ({ children }) => {
   return (
@@ -12,6 +13,7 @@ const Layout = ({ children }) => {
       <main>{children}</main>
       <Footer />
       <ScrollToTop />
+      <ReminderToast />
     </>
   );
 };
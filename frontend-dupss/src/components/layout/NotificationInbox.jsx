@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Badge,
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  Menu,
+  MenuItem,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import NotificationsIcon from '@mui/icons-material/Notifications';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  toAppPath,
+  NOTIFICATIONS_UPDATED_EVENT
+} from '../../services/notificationService';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hộp thư thông báo của thành viên trên thanh điều hướng: xác nhận và thay đổi lịch hẹn,
+ * ghi chú của tư vấn viên, hoàn thành khóa học, nội dung mới trong chủ đề đang theo dõi.
+ */
+const NotificationInbox = () => {
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      setUnreadCount(await getUnreadCount());
+    } catch (err) {
+      console.error('Error fetching unread notification count:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshUnreadCount();
+    const timer = setInterval(refreshUnreadCount, POLL_INTERVAL_MS);
+    document.addEventListener(NOTIFICATIONS_UPDATED_EVENT, refreshUnreadCount);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener(NOTIFICATIONS_UPDATED_EVENT, refreshUnreadCount);
+    };
+  }, [refreshUnreadCount]);
+
+  const handleOpen = async (event) => {
+    setAnchorEl(event.currentTarget);
+    setLoading(true);
+    try {
+      setNotifications(await getNotifications());
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    } finally {
+      setLoading(false);
+    }
+    refreshUnreadCount();
+  };
+
+  const handleClose = () => setAnchorEl(null);
+
+  const handleItemClick = async (notification) => {
+    handleClose();
+    if (!notification.read) {
+      setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, read: true } : n)));
+      setUnreadCount(prev => Math.max(prev - 1, 0));
+      markNotificationRead(notification.id).catch(err => console.error('Error marking notification as read:', err));
+    }
+    if (notification.link) {
+      navigate(toAppPath(notification.link));
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking all notifications as read:', err);
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Thông báo">
+        <IconButton onClick={handleOpen} sx={{ mr: 1, color: '#555' }}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={handleClose}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        PaperProps={{
+          sx: {
+            width: 360,
+            maxHeight: 480,
+            mt: 1.5,
+            boxShadow: '0px 5px 15px rgba(0,0,0,0.15)',
+            borderRadius: '8px'
+          }
+        }}
+      >
+        <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between', borderBottom: '1px solid #eaeaea' }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 600, color: '#0056b3' }}>
+            Thông báo
+          </Typography>
+          <Button size="small" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+            Đánh dấu tất cả đã đọc
+          </Button>
+        </Box>
+        {loading && notifications.length === 0 ? (
+          <Box sx={{ p: 3, textAlign: 'center' }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : notifications.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ p: 3, textAlign: 'center' }}>
+            Bạn chưa có thông báo nào.
+          </Typography>
+        ) : (
+          notifications.map(notification => (
+            <MenuItem
+              key={notification.id}
+              onClick={() => handleItemClick(notification)}
+              sx={{
+                display: 'block',
+                whiteSpace: 'normal',
+                py: 1.5,
+                borderLeft: '3px solid',
+                borderLeftColor: notification.read ? 'transparent' : '#0056b3',
+                backgroundColor: notification.read ? 'transparent' : '#f5f8ff'
+              }}
+            >
+              <Typography variant="body2" sx={{ fontWeight: notification.read ? 400 : 600 }}>
+                {notification.title}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {notification.message}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {notification.createdAt}
+              </Typography>
+            </MenuItem>
+          ))
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationInbox;
@@ -1,8 +1,8 @@
 import React from 'react';
-import { Card, CardContent, CardMedia, CardActions, Button, Box, Typography, Divider } from '@mui/material';
+import { Card, CardContent, CardMedia, CardActions, Button, Box, Typography, Divider, LinearProgress } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
 
-const SurveyCard = ({ survey }) => {
+const SurveyCard = ({ survey, draft }) => {
   const navigate = useNavigate();
 
   const handleStartSurvey = () => {
@@ -64,6 +64,18 @@ const SurveyCard = ({ survey }) => {
               />
             </Box>
           </div>
+          {draft && draft.totalQuestions > 0 && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
+                Đã trả lời {Math.min(draft.answeredCount, draft.totalQuestions)}/{draft.totalQuestions} câu
+              </Typography>
+              <LinearProgress
+                variant="determinate"
+                value={Math.min(100, (draft.answeredCount / draft.totalQuestions) * 100)}
+                sx={{ height: 6, borderRadius: 3 }}
+              />
+            </Box>
+          )}
           <CardActions>
             <Button 
               variant="contained" 
@@ -71,7 +83,7 @@ const SurveyCard = ({ survey }) => {
               onClick={handleStartSurvey}
               sx={{ mt: 2, fontWeight: 'bold' }}
             >
-              Làm bài khảo sát
+              {draft ? 'Tiếp tục làm bài' : 'Làm bài khảo sát'}
             </Button>
           </CardActions>
         </CardContent>
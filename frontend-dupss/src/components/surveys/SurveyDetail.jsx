@@ -14,20 +14,85 @@ import {
 } from '@mui/material';
 import SurveyQuestion from './SurveyQuestion';
 import SurveyResult from './SurveyResult';
-import { fetchSurveyById, submitSurveyResult } from '../../services/surveyService';
+import ResumeDraftDialog from '../common/ResumeDraftDialog';
+import { fetchSurveyById, submitSurveyResult, previewSurveyResult } from '../../services/surveyService';
 import { isAuthenticated } from '../../services/authService';
+import {
+  loadDraft,
+  saveDraft,
+  deleteDraft,
+  getSurveyFingerprint,
+  AUTOSAVE_DELAY
+} from '../../services/surveyDraftService';
 import { showSuccessAlert, showErrorAlert } from '../../components/common/AlertNotification';
+import {
+  validateAnswer,
+  getSelectedOptions,
+  toAnswerPayload
+} from '../../services/questionTypes';
+
+// Tìm section kế tiếp dựa trên luật rẽ nhánh của các đáp án đã chọn trong section hiện tại.
+// Đáp án đầu tiên (theo thứ tự câu hỏi và đáp án) mang luật rẽ nhánh sẽ quyết định; trả về -1 nếu khảo sát kết thúc.
+const getNextSectionIndex = (sections, sectionIndex, sectionAnswers = {}) => {
+  const section = sections[sectionIndex];
+  const branchOption = section.questions
+    .flatMap((question, qIndex) => getSelectedOptions(question, sectionAnswers[qIndex]))
+    .find(option => option.branchAction && option.branchAction !== 'NEXT_SECTION');
+
+  if (branchOption?.branchAction === 'END_SURVEY') {
+    return -1;
+  }
+  if (branchOption) {
+    const targetIndex = sections.findIndex(s => s.id === branchOption.targetSectionId);
+    if (targetIndex > sectionIndex) {
+      return targetIndex;
+    }
+  }
+
+  return sectionIndex + 1 < sections.length ? sectionIndex + 1 : -1;
+};
+
+// Đường đi dự kiến: các section đã qua cộng với các section tiếp theo theo câu trả lời hiện tại
+const getPlannedPath = (sections, sectionHistory, answers) => {
+  const path = [...sectionHistory];
+  const activeSection = sectionHistory[sectionHistory.length - 1];
+  let next = getNextSectionIndex(sections, activeSection, answers[activeSection]);
+  while (next !== -1) {
+    path.push(next);
+    next = getNextSectionIndex(sections, next, answers[next]);
+  }
+  return path;
+};
+
+// Tiến độ trên đường đi dự kiến, dùng cho bài làm dở
+const getProgress = (sections, sectionHistory, answers) => {
+  const questions = getPlannedPath(sections, sectionHistory, answers).flatMap(sectionIndex =>
+    sections[sectionIndex].questions.map((question, qIndex) => ({ question, value: answers[sectionIndex]?.[qIndex] }))
+  );
+  return {
+    answeredCount: questions.filter(({ question, value }) => validateAnswer(question, value) === null).length,
+    totalQuestions: questions.length
+  };
+};
 
 const SurveyDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [survey, setSurvey] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [activeSection, setActiveSection] = useState(0);
+  // Các section đã đi qua, phần tử cuối là section đang hiển thị
+  const [sectionHistory, setSectionHistory] = useState([0]);
+  // answers[sectionIndex][questionIndex] = câu trả lời (id đáp án, mảng id, hoặc giá trị nhập tùy loại câu hỏi)
   const [answers, setAnswers] = useState({});
   const [showResult, setShowResult] = useState(false);
   const [result, setResult] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  const [scoring, setScoring] = useState(false);
+  // Bài làm dở đang chờ người dùng chọn tiếp tục/làm lại; chỉ tự động lưu sau khi đã chọn
+  const [pendingDraft, setPendingDraft] = useState(null);
+  const [draftReady, setDraftReady] = useState(false);
+
+  const activeSection = sectionHistory[sectionHistory.length - 1];
 
   useEffect(() => {
     // Get survey details based on id
@@ -37,6 +102,15 @@ const SurveyDetail = () => {
       try {
         const surveyData = await fetchSurveyById(id);
         setSurvey(surveyData);
+
+        const draft = await loadDraft(id);
+        if (draft && draft.state?.fingerprint === getSurveyFingerprint(surveyData.survey.section)) {
+          setPendingDraft(draft);
+        } else {
+          // Khảo sát đã bị chỉnh sửa từ lúc lưu nháp thì câu trả lời cũ không còn khớp
+          if (draft) deleteDraft(id);
+          setDraftReady(true);
+        }
       } catch (error) {
         console.error('Error fetching survey:', error);
         navigate('/surveys'); // If survey not found, return to listing page
@@ -48,37 +122,67 @@ const SurveyDetail = () => {
     fetchSurveyData();
   }, [id, navigate]);
 
+  // Tự động lưu bài làm dở sau mỗi lần trả lời hoặc chuyển phần
+  useEffect(() => {
+    if (!survey || !draftReady || Object.keys(answers).length === 0) return undefined;
+
+    const timer = setTimeout(() => {
+      const sections = survey.survey.section;
+      saveDraft(id, {
+        state: { fingerprint: getSurveyFingerprint(sections), answers, sectionHistory },
+        ...getProgress(sections, sectionHistory, answers)
+      }).catch(error => console.error('Error saving survey draft:', error));
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [id, survey, draftReady, answers, sectionHistory]);
+
+  const handleResumeDraft = () => {
+    const { answers: savedAnswers, sectionHistory: savedHistory } = pendingDraft.state;
+    setAnswers(savedAnswers || {});
+    if (Array.isArray(savedHistory) && savedHistory.length > 0) {
+      setSectionHistory(savedHistory);
+    }
+    setPendingDraft(null);
+    setDraftReady(true);
+  };
+
+  const handleRestartDraft = () => {
+    deleteDraft(id);
+    setPendingDraft(null);
+    setDraftReady(true);
+  };
+
   const handleAnswerChange = (questionIndex, value) => {
-    const sectionName = survey.survey.section[activeSection].sectionName;
     setAnswers({
       ...answers,
-      [sectionName]: {
-        ...answers[sectionName],
-        [questionIndex]: parseInt(value)
+      [activeSection]: {
+        ...answers[activeSection],
+        [questionIndex]: value
       }
     });
   };
 
-  const handleNext = () => {
+  const handleNext = async () => {
     const currentSection = survey.survey.section[activeSection];
     
     // Check if user has answered all questions in the current section
-    const answeredAll = currentSection.questions.every((_, index) => {
-      const sectionName = currentSection.sectionName;
-      return answers[sectionName] && answers[sectionName][index] !== undefined;
-    });
+    const invalidIndex = currentSection.questions.findIndex((question, index) =>
+      validateAnswer(question, answers[activeSection]?.[index]) !== null
+    );
     
-    if (!answeredAll) {
-      showErrorAlert('Vui lòng trả lời tất cả các câu hỏi');
+    if (invalidIndex !== -1) {
+      const question = currentSection.questions[invalidIndex];
+      showErrorAlert(`Câu ${invalidIndex + 1}: ${validateAnswer(question, answers[activeSection]?.[invalidIndex])}`);
       return;
     }
     
-    if (activeSection < survey.survey.section.length - 1) {
-      setActiveSection(activeSection + 1);
+    const nextSection = getNextSectionIndex(survey.survey.section, activeSection, answers[activeSection]);
+    if (nextSection !== -1) {
+      setSectionHistory([...sectionHistory, nextSection]);
       // Scroll to top after changing section
       window.scrollTo({ top: 0, behavior: 'smooth' });
-    } else {
-      calculateResult();
+    } else if (await calculateResult()) {
       setShowResult(true);
       // Scroll to top after showing results
       window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -86,78 +190,51 @@ const SurveyDetail = () => {
   };
 
   const handlePrevious = () => {
-    if (activeSection > 0) {
-      setActiveSection(activeSection - 1);
+    if (sectionHistory.length > 1) {
+      setSectionHistory(sectionHistory.slice(0, -1));
       // Scroll to top after going back to previous section
       window.scrollTo({ top: 0, behavior: 'smooth' });
     }
   };
 
-  const calculateResult = () => {
-    // Calculate total score from all answers
-    let totalScore = 0;
-    let maxPossibleScore = 0;
-
-    // Calculate total score and maximum possible score
-    survey.survey.section.forEach(section => {
-      section.questions.forEach(question => {
-        // Find the highest score value from the options
-        const maxOptionScore = Math.max(...question.options.map(opt => opt.value));
-        maxPossibleScore += maxOptionScore;
+  // Đáp án đã chọn trên đường đi thực tế, bỏ qua các section bị rẽ nhánh bỏ qua
+  const getVisitedSelections = () => {
+    const selections = [];
+    sectionHistory.forEach(sectionIndex => {
+      const section = survey.survey.section[sectionIndex];
+      section.questions.forEach((question, qIndex) => {
+        getSelectedOptions(question, answers[sectionIndex]?.[qIndex]).forEach(option => {
+          selections.push({ question, option });
+        });
       });
     });
+    return selections;
+  };
 
-    // Calculate total score achieved by the user
-    Object.values(answers).forEach(sectionAnswers => {
-      Object.values(sectionAnswers).forEach(value => {
-        totalScore += value;
+  // Điểm, điểm từng phần và mức nguy cơ được chấm ở backend để thống nhất với kết quả được lưu
+  const calculateResult = async () => {
+    setScoring(true);
+    try {
+      const scored = await previewSurveyResult(
+        id,
+        getVisitedSelections().map(({ option }) => option.id),
+        extractInputAnswers()
+      );
+      setResult({
+        score: scored.score,
+        maxScore: scored.totalScore,
+        message: scored.advice,
+        riskLevel: scored.riskLevel,
+        sectionScores: scored.sectionScores || [],
+        title: survey.title
       });
-    });
-
-    console.log('Total Score:', totalScore);
-    console.log('Conditions:', JSON.stringify(survey.conditions, null, 2));
-
-    // Find result message based on score - đánh giá theo thứ tự ưu tiên
-    let resultMessage = null;
-    
-    // Điều kiện đã được sắp xếp theo thứ tự ưu tiên từ API service
-    // Chỉ cần lặp qua và tìm điều kiện đầu tiên phù hợp
-    for (const condition of survey.conditions) {
-      let isMatch = false;
-      
-      switch (condition.operator) {
-        case '=':
-          isMatch = totalScore === condition.value;
-          break;
-        case '>=':
-          isMatch = totalScore >= condition.value;
-          break;
-        case '>':
-          isMatch = totalScore > condition.value;
-          break;
-        case '<=':
-          isMatch = totalScore <= condition.value;
-          break;
-        case '<':
-          isMatch = totalScore < condition.value;
-          break;
-        }
-      
-      if (isMatch) {
-        console.log(`Matched condition: ${condition.operator} ${condition.value} => ${condition.message}`);
-        resultMessage = condition;
-        break;
-      }
+      return true;
+    } catch (error) {
+      showErrorAlert(error.message);
+      return false;
+    } finally {
+      setScoring(false);
     }
-
-    console.log('Final Result Message:', resultMessage);
-
-    setResult({
-      score: totalScore,
-      maxScore: maxPossibleScore,
-      message: resultMessage ? resultMessage.message : 'Không thể xác định kết quả',
-      title: survey.title
-    });
   };
 
   const handleSubmit = async () => {
@@ -171,7 +248,8 @@ const SurveyDetail = () => {
           surveyId: id,
           answers: answers,
           result: result,
-          selectedOptionIds: extractSelectedOptionIds()
+          selectedOptionIds: extractSelectedOptionIds(),
+          inputAnswers: extractInputAnswers()
         };
         localStorage.setItem('pendingSurveySubmission', JSON.stringify(surveyData));
         
@@ -187,7 +265,8 @@ const SurveyDetail = () => {
       const selectedOptionIds = extractSelectedOptionIds();
       
       // Submit the survey result
-      await submitSurveyResult(id, selectedOptionIds);
+      await submitSurveyResult(id, selectedOptionIds, extractInputAnswers());
+      await deleteDraft(id);
       
       // Show success notification
       showSuccessAlert('Lưu khảo sát thành công');
@@ -204,7 +283,8 @@ const SurveyDetail = () => {
           surveyId: id,
           answers: answers,
           result: result,
-          selectedOptionIds: extractSelectedOptionIds()
+          selectedOptionIds: extractSelectedOptionIds(),
+          inputAnswers: extractInputAnswers()
         };
         localStorage.setItem('pendingSurveySubmission', JSON.stringify(surveyData));
       
@@ -226,65 +306,25 @@ const SurveyDetail = () => {
 
   // Hàm trích xuất các ID lựa chọn đã chọn
   const extractSelectedOptionIds = () => {
-    const selectedOptionIds = [];
-      let foundOptionIds = false;
-      
-      // Process answers to find selected options
-      Object.entries(answers).forEach(([sectionName, sectionAnswers]) => {
-        const sectionIndex = survey.survey.section.findIndex(s => s.sectionName === sectionName);
-        
-        if (sectionIndex !== -1) {
-          Object.entries(sectionAnswers).forEach(([questionIndex, selectedValue]) => {
-            const qIndex = parseInt(questionIndex);
-            const question = survey.survey.section[sectionIndex].questions[qIndex];
-            
-            if (question) {
-              // Find the option with matching value
-              const option = question.options.find(opt => opt.value === parseInt(selectedValue));
-              
-              if (option) {
-                if (option.id) {
-                  // If option has ID, use it
-                  console.log(`Found option with ID: ${option.id}`);
-                  selectedOptionIds.push(option.id);
-                  foundOptionIds = true;
-                } else {
-                  // If option doesn't have ID, we need to generate a fallback ID
-                  // This might be needed if the API response structure is different
-                  console.log('Option does not have ID, using index-based approach');
-                  
-                  // Find the option index
-                  const optionIndex = question.options.findIndex(o => o.value === parseInt(selectedValue));
-                  
-                  if (optionIndex !== -1) {
-                    // Create a map of all answers with their indices for API
-                    console.log(`Using option index: ${optionIndex} for section ${sectionIndex}, question ${qIndex}`);
-                    
-                    // Store option information for fallback approach
-                    selectedOptionIds.push({
-                      sectionIndex: sectionIndex,
-                      questionIndex: qIndex,
-                      optionIndex: optionIndex
-                    });
-                  }
-                }
-              } else {
-                console.log(`No option found with value ${selectedValue} in question:`, question);
-              }
-            }
-          });
-        }
-      });
-      
-      // If no option IDs were found, throw error
-      if (selectedOptionIds.length === 0) {
-        console.error('Failed to extract option IDs from the survey responses.');
-        throw new Error('Lưu thất bại, không thể xác định các lựa chọn.');
-      }
-      
+    const selectedOptionIds = getVisitedSelections().map(({ option }) => option.id);
+
+    // If no option IDs were found, throw error
+    if (selectedOptionIds.length === 0 && extractInputAnswers().length === 0) {
+      console.error('Failed to extract option IDs from the survey responses.');
+      throw new Error('Lưu thất bại, không thể xác định các lựa chọn.');
+    }
+
     return selectedOptionIds;
   };
 
+  // Câu trả lời nhập số/tự luận trên đường đi thực tế
+  const extractInputAnswers = () =>
+    sectionHistory.flatMap(sectionIndex =>
+      survey.survey.section[sectionIndex].questions
+        .map((question, qIndex) => toAnswerPayload(question, answers[sectionIndex]?.[qIndex]))
+        .filter(Boolean)
+    );
+
   const handleBackToSurvey = () => {
     setShowResult(false);
     // Scroll to top after going back to survey
@@ -310,8 +350,15 @@ const SurveyDetail = () => {
     );
   }
 
+  const plannedPath = getPlannedPath(survey.survey.section, sectionHistory, answers);
+
   return (
     <Container maxWidth="md" sx={{ py: 4 }}>
+      <ResumeDraftDialog
+        draft={pendingDraft}
+        onResume={handleResumeDraft}
+        onRestart={handleRestartDraft}
+      />
       <Paper elevation={3} sx={{ p: 3 }}>
         <Typography variant="h4" component="h1" gutterBottom align="center" sx={{fontWeight: 'bold', color: '#0056b3'}}>
           {survey.title}
@@ -319,10 +366,10 @@ const SurveyDetail = () => {
 
         {!showResult ? (
           <>
-            <Stepper activeStep={activeSection} sx={{ my: 4 }}>
-              {survey.survey.section.map((section, index) => (
-                <Step key={index}>
-                  <StepLabel>{section.sectionName}</StepLabel>
+            <Stepper activeStep={sectionHistory.length - 1} sx={{ my: 4 }}>
+              {plannedPath.map((sectionIndex) => (
+                <Step key={sectionIndex}>
+                  <StepLabel>{survey.survey.section[sectionIndex].sectionName}</StepLabel>
                 </Step>
               ))}
             </Stepper>
@@ -338,10 +385,7 @@ const SurveyDetail = () => {
                   key={qIndex}
                   question={question}
                   questionIndex={qIndex}
-                  value={
-                    answers[survey.survey.section[activeSection].sectionName] &&
-                    answers[survey.survey.section[activeSection].sectionName][qIndex]
-                  }
+                  value={answers[activeSection] && answers[activeSection][qIndex]}
                   onChange={handleAnswerChange}
                 />
               ))}
@@ -358,7 +402,7 @@ const SurveyDetail = () => {
               <Button
                 variant="outlined"
                 onClick={handlePrevious}
-                disabled={activeSection === 0}
+                disabled={sectionHistory.length === 1}
                 sx={{fontWeight: 600, flex: 1}}
               >
                 QUAY LẠI
@@ -366,9 +410,11 @@ const SurveyDetail = () => {
               <Button
                 variant="contained"
                 onClick={handleNext}
+                disabled={scoring}
+                startIcon={scoring ? <CircularProgress size={20} /> : null}
                 sx={{fontWeight: 600, flex: 1}}
               >
-                {activeSection < survey.survey.section.length - 1 ? 'TIẾP THEO' : 'XEM KẾT QUẢ'}
+                {plannedPath.length > sectionHistory.length ? 'TIẾP THEO' : 'XEM KẾT QUẢ'}
               </Button>
             </Box>
           </>
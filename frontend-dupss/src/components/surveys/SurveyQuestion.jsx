@@ -1,5 +1,7 @@
 import React from 'react';
-import { Box, Typography, FormControl, FormLabel, RadioGroup, FormControlLabel, Radio } from '@mui/material';
+import { Box, Typography, FormControl, FormLabel } from '@mui/material';
+import QuestionAnswerInput from '../common/QuestionAnswerInput';
+import { getQuestionType } from '../../services/questionTypes';
 
 const SurveyQuestion = ({ question, questionIndex, value, onChange }) => {
   return (
@@ -10,22 +12,15 @@ const SurveyQuestion = ({ question, questionIndex, value, onChange }) => {
             {questionIndex + 1}. {question.question}
           </Typography>
         </FormLabel>
-        <RadioGroup
-          value={value?.toString() || ''}
-          onChange={(e) => onChange(questionIndex, e.target.value)}
-        >
-          {question.options.map((option, optionIndex) => (
-            <FormControlLabel
-              key={optionIndex}
-              value={option.value.toString()}
-              control={<Radio />}
-              label={option.option}
-            />
-          ))}
-        </RadioGroup>
+        <QuestionAnswerInput
+          type={getQuestionType(question)}
+          options={question.options.map(option => ({ ...option, label: option.option }))}
+          value={value}
+          onChange={(newValue) => onChange(questionIndex, newValue)}
+        />
       </FormControl>
     </Box>
   );
 };
 
-export default SurveyQuestion; 
\ No newline at end of file
+export default SurveyQuestion;
@@ -1,12 +1,21 @@
 import React from 'react';
-import { Box, Typography, Button, Alert, AlertTitle, CircularProgress } from '@mui/material';
+import { Box, Typography, Button, Alert, AlertTitle, CircularProgress, LinearProgress } from '@mui/material';
+
+// Màu và nhãn theo mức nguy cơ của khoảng điểm
+const RISK_STYLES = {
+  LOW: { bgcolor: 'rgba(200, 230, 201, 0.8)', border: '#4caf50', color: '#2e7d32', label: 'Nguy cơ thấp:' },
+  MODERATE: { bgcolor: 'rgba(255, 236, 179, 0.8)', border: '#ff9800', color: '#e65100', label: 'Nguy cơ trung bình:' },
+  HIGH: { bgcolor: 'rgba(255, 205, 210, 0.8)', border: '#f44336', color: '#c62828', label: 'Nguy cơ cao:' }
+};
 
 const SurveyResult = ({ result, onSubmit, onBack, submitting = false }) => {
-  // Determine result color
-  const getResultSeverity = () => {
-    if (result.score <= 0) return "success"; // Low risk, green
-    return "warning"; // Medium or high risk, yellow
+  // Điều kiện cũ chưa gán mức nguy cơ: giữ cách hiển thị theo điểm như trước
+  const getRiskStyle = () => {
+    if (result.riskLevel && RISK_STYLES[result.riskLevel]) return RISK_STYLES[result.riskLevel];
+    if (result.score <= 0) return { ...RISK_STYLES.LOW, label: 'Không có nguy cơ:' };
+    return { ...RISK_STYLES.MODERATE, label: 'Có nguy cơ:' };
   };
+  const riskStyle = getRiskStyle();
 
   return (
     <Box sx={{ mt: 4 }}>
@@ -50,6 +59,29 @@ const SurveyResult = ({ result, onSubmit, onBack, submitting = false }) => {
         </Box>
       </Box>
       
+      {result.sectionScores?.length > 1 && (
+        <Box sx={{ mb: 5 }}>
+          <Typography variant="h5" gutterBottom sx={{ fontWeight: 'bold', mb: 2 }}>
+            Điểm theo từng phần:
+          </Typography>
+          {result.sectionScores.map((section, index) => (
+            <Box key={index} sx={{ mb: 2 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                <Typography variant="body1">{section.sectionName || `Phần ${index + 1}`}</Typography>
+                <Typography variant="body1" sx={{ fontWeight: 600 }}>
+                  {section.score}/{section.maxScore}
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={section.maxScore > 0 ? Math.min(100, Math.max(0, (section.score / section.maxScore) * 100)) : 0}
+                sx={{ height: 8, borderRadius: 4 }}
+              />
+            </Box>
+          ))}
+        </Box>
+      )}
+
       <Typography variant="h5" gutterBottom sx={{ fontWeight: 'bold', mb: 2 }}>
         Đánh giá kết quả:
       </Typography>
@@ -58,8 +90,8 @@ const SurveyResult = ({ result, onSubmit, onBack, submitting = false }) => {
         sx={{ 
           p: 3, 
           borderRadius: 2, 
-          bgcolor: getResultSeverity() === 'success' ? 'rgba(200, 230, 201, 0.8)' : 'rgba(255, 236, 179, 0.8)', 
-          borderLeft: `8px solid ${getResultSeverity() === 'success' ? '#4caf50' : '#ff9800'}`,
+          bgcolor: riskStyle.bgcolor, 
+          borderLeft: `8px solid ${riskStyle.border}`,
           mb: 4
         }}
       >
@@ -67,11 +99,11 @@ const SurveyResult = ({ result, onSubmit, onBack, submitting = false }) => {
           variant="h6" 
           sx={{ 
             fontWeight: 'bold', 
-            color: getResultSeverity() === 'success' ? '#2e7d32' : '#e65100',
+            color: riskStyle.color,
             mb: 1
           }}
         >
-          {getResultSeverity() === 'success' ? 'Không có nguy cơ:' : 'Có nguy cơ:'}
+          {riskStyle.label}
         </Typography>
         <Typography variant="body1">
           {result.message}
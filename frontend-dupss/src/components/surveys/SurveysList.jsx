@@ -2,12 +2,14 @@ import { useState, useEffect } from 'react';
 import { Container, Typography, Grid, CircularProgress, Box } from '@mui/material';
 import SurveyCard from './SurveyCard';
 import { fetchSurveys } from '../../services/surveyService';
+import { loadDraftProgress } from '../../services/surveyDraftService';
 import { showSuccessAlert, showErrorAlert } from '../common/AlertNotification';
 
 const SurveysList = () => {
   const [surveys, setSurveys] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [draftProgress, setDraftProgress] = useState({});
 
   useEffect(() => {
     // Get survey list from service
@@ -27,6 +29,7 @@ const SurveysList = () => {
     };
 
     getSurveys();
+    loadDraftProgress().then(setDraftProgress);
   }, []);
 
   // Kiểm tra và hiển thị thông báo từ localStorage
@@ -86,7 +89,7 @@ const SurveysList = () => {
         <Grid container spacing={4}>
           {surveys.map((survey) => (
             <Grid item xs={12} key={survey.id}>
-              <SurveyCard survey={survey} />
+              <SurveyCard survey={survey} draft={draftProgress[survey.surveyId]} />
             </Grid>
           ))}
         </Grid>
@@ -1,3 +1,4 @@
+import { isCancelledError } from '@dupss/api-client';
 import api from './authService';
 import { showErrorAlert } from '../components/common/AlertNotification';
 import { API_URL } from './config';
@@ -18,43 +19,34 @@ const storeRedirectAfterLogin = () => {
   }
 };
 
-// Xử lý lỗi chung
-const handleApiError = (error, defaultMessage = 'Đã xảy ra lỗi, vui lòng thử lại sau.') => {
+// Xử lý lỗi chung, lỗi đã được chuẩn hóa thành ApiError bởi api client
+const handleApiError = (error) => {
+  // Request bị hủy (thường do component đã unmount) thì không báo lỗi
+  if (isCancelledError(error)) return;
+
   console.error('API Error:', error);
-  
-  if (error.response) {
-    // Lỗi server trả về
-    console.error('Error response:', error.response);
-    
-    // Xử lý lỗi 401 Unauthorized
-    if (error.response.status === 401) {
-      storeRedirectAfterLogin();
-      showErrorAlert('Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.');
-      window.location.href = '/login';
-      return;
-    }
-    
-    // Xử lý các lỗi khác từ server
-    const errorMessage = error.response.data?.message || defaultMessage;
-    showErrorAlert(errorMessage);
-  } else if (error.request) {
-    // Không nhận được response
-    console.error('Error request:', error.request);
-    showErrorAlert('Không thể kết nối đến server. Vui lòng kiểm tra kết nối mạng.');
-  } else {
-    // Lỗi khác
-    showErrorAlert(defaultMessage);
+
+  // Xử lý lỗi 401 Unauthorized
+  if (error.status === 401) {
+    storeRedirectAfterLogin();
+    showErrorAlert('Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.');
+    window.location.href = '/login';
+    return;
   }
+
+  // Thông báo từ server, lỗi mạng hoặc thông báo mặc định
+  showErrorAlert(error.message);
 };
 
 /**
  * Các hàm gọi API
+ * config (tùy chọn) được truyền thẳng cho axios, ví dụ { signal } để hủy request khi component unmount
  */
 
 // GET request
-export const apiGet = async (endpoint, params = {}, showError = true) => {
+export const apiGet = async (endpoint, params = {}, showError = true, config = {}) => {
   try {
-    const response = await api.get(endpoint, { params });
+    const response = await api.get(endpoint, { ...config, params });
     return response.data;
   } catch (error) {
     if (showError) {
@@ -65,9 +57,9 @@ export const apiGet = async (endpoint, params = {}, showError = true) => {
 };
 
 // POST request
-export const apiPost = async (endpoint, data = {}, showError = true) => {
+export const apiPost = async (endpoint, data = {}, showError = true, config = {}) => {
   try {
-    const response = await api.post(endpoint, data);
+    const response = await api.post(endpoint, data, config);
     return response.data;
   } catch (error) {
     if (showError) {
@@ -78,9 +70,9 @@ export const apiPost = async (endpoint, data = {}, showError = true) => {
 };
 
 // PUT request
-export const apiPut = async (endpoint, data = {}, showError = true) => {
+export const apiPut = async (endpoint, data = {}, showError = true, config = {}) => {
   try {
-    const response = await api.put(endpoint, data);
+    const response = await api.put(endpoint, data, config);
     return response.data;
   } catch (error) {
     if (showError) {
@@ -91,9 +83,9 @@ export const apiPut = async (endpoint, data = {}, showError = true) => {
 };
 
 // DELETE request
-export const apiDelete = async (endpoint, showError = true) => {
+export const apiDelete = async (endpoint, showError = true, config = {}) => {
   try {
-    const response = await api.delete(endpoint);
+    const response = await api.delete(endpoint, config);
     return response.data;
   } catch (error) {
     if (showError) {
@@ -104,9 +96,9 @@ export const apiDelete = async (endpoint, showError = true) => {
 };
 
 // PATCH request
-export const apiPatch = async (endpoint, data = {}, showError = true) => {
+export const apiPatch = async (endpoint, data = {}, showError = true, config = {}) => {
   try {
-    const response = await api.patch(endpoint, data);
+    const response = await api.patch(endpoint, data, config);
     return response.data;
   } catch (error) {
     if (showError) {
@@ -117,13 +109,9 @@ export const apiPatch = async (endpoint, data = {}, showError = true) => {
 };
 
 // Upload file
-export const apiUpload = async (endpoint, formData, showError = true) => {
+export const apiUpload = async (endpoint, formData, showError = true, config = {}) => {
   try {
-    const response = await api.post(endpoint, formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-    });
+    const response = await api.post(endpoint, formData, config);
     return response.data;
   } catch (error) {
     if (showError) {
@@ -134,9 +122,9 @@ export const apiUpload = async (endpoint, formData, showError = true) => {
 };
 
 // Public API (không cần token)
-export const apiPublicGet = async (endpoint, params = {}, showError = true) => {
+export const apiPublicGet = async (endpoint, params = {}, showError = true, config = {}) => {
   try {
-    const response = await api.get(`/public${endpoint}`, { params });
+    const response = await api.get(`/public${endpoint}`, { ...config, params });
     return response.data;
   } catch (error) {
     if (showError) {
@@ -1,28 +1,43 @@
 import axios from 'axios';
+import { createApiClient, isCancelledError, localStorageTokenStore } from '@dupss/api-client';
 import { API_URL } from './config';
 
-// Tạo một axios instance với config chung
-const api = axios.create({
-  baseURL: API_URL,
-});
-
-// Biến để theo dõi trạng thái đang làm mới token
-let isRefreshing = false;
-// Mảng chứa các request đang chờ token mới
-let refreshSubscribers = [];
-// Biến để lưu thời gian hết hạn của token
-let tokenExpiryTime = null;
+// Lưu đường dẫn hiện tại để quay lại sau khi đăng nhập lại, rồi chuyển tới trang đăng nhập
+const handleSessionExpired = () => {
+  console.log('Token refresh failed, redirecting to login');
 
-// Hàm để subscribe các request đang chờ
-const subscribeTokenRefresh = (cb) => refreshSubscribers.push(cb);
+  const currentPath = window.location.pathname;
+  if (currentPath !== '/login') {
+    sessionStorage.setItem('redirectAfterLogin', currentPath);
+  }
 
-// Hàm để thông báo cho các subscriber khi token mới có sẵn
-const onRefreshed = (accessToken) => {
-  refreshSubscribers.map(cb => cb(accessToken));
-  refreshSubscribers = [];
+  // Phát sự kiện session-expired để các component có thể phản ứng
+  const sessionExpiredEvent = new CustomEvent('session-expired', {
+    detail: { message: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.' }
+  });
+  document.dispatchEvent(sessionExpiredEvent);
+
+  // Chuyển đến trang đăng nhập với thông tin phiên hết hạn
+  if (window.location.pathname !== '/login') {
+    // Sử dụng history.replaceState để không thêm vào history stack
+    window.history.replaceState(
+      { sessionExpired: true },
+      '',
+      '/login'
+    );
+    window.location.href = '/login';
+  }
 };
 
-// Hàm để phân tích token JWT và lấy thời gian hết hạn
+// Axios instance dùng chung: tự gắn token, làm mới token một lần cho mọi request đang chờ,
+// thử lại request GET khi lỗi mạng và chuẩn hóa lỗi (xem shared/api-client)
+const api = createApiClient({
+  axios,
+  baseURL: API_URL,
+  onSessionExpired: handleSessionExpired
+});
+
+// Hàm để phân tích token JWT
 const parseJwt = (token) => {
   try {
     const base64Url = token.split('.')[1];
@@ -40,175 +55,19 @@ const parseJwt = (token) => {
   }
 };
 
-// Hàm kiểm tra token có gần hết hạn chưa (dưới 30 giây)
-const isTokenNearingExpiry = () => {
-  if (!tokenExpiryTime) {
-    const token = localStorage.getItem('accessToken');
-    if (!token) return true;
-    
-    const decodedToken = parseJwt(token);
-    if (!decodedToken || !decodedToken.exp) return true;
-    
-    tokenExpiryTime = decodedToken.exp * 1000; // Convert to milliseconds
-  }
-  
-  // Kiểm tra nếu token sắp hết hạn (còn dưới 30 giây)
-  return Date.now() > tokenExpiryTime - 30000;
-};
-
-// Làm mới token từ refreshToken
-const refreshToken = async () => {
-  try {
-    const refreshToken = localStorage.getItem('refreshToken');
-    if (!refreshToken) {
-      throw new Error('No refresh token available');
-    }
-
-    console.log('Attempting to refresh token...');
-    const response = await axios.post(`${API_URL}/auth/refresh-token`, { refreshToken });
-    
-    const { accessToken: newAccessToken, refreshToken: newRefreshToken } = response.data;
-    
-    // Lưu token mới vào localStorage
-    localStorage.setItem('accessToken', newAccessToken);
-    localStorage.setItem('refreshToken', newRefreshToken);
-    
-    // Cập nhật thời gian hết hạn
-    const decodedToken = parseJwt(newAccessToken);
-    if (decodedToken && decodedToken.exp) {
-      tokenExpiryTime = decodedToken.exp * 1000;
-    }
-    
-    console.log('Token refreshed successfully');
-    return newAccessToken;
-  } catch (error) {
-    console.error('Failed to refresh token:', error);
-    // Xóa token khi refresh thất bại
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    tokenExpiryTime = null;
-    throw error;
-  }
-};
-
-// Thêm interceptor response để xử lý lỗi 401 và tự động làm mới token
-api.interceptors.response.use(
-  response => response,
-  async error => {
-    const originalRequest = error.config;
-    
-    // Nếu lỗi là 401 và chưa thử làm mới token trước đó
-    if (error.response && error.response.status === 401 && !originalRequest._retry) {
-      if (isRefreshing) {
-        // Nếu đang làm mới token, thêm request hiện tại vào hàng đợi
-        return new Promise(resolve => {
-          subscribeTokenRefresh(token => {
-            originalRequest.headers['Authorization'] = `Bearer ${token}`;
-            resolve(api(originalRequest));
-          });
-        });
-      }
-
-      // Đánh dấu là đang làm mới token và đã thử làm mới cho request hiện tại
-      originalRequest._retry = true;
-      isRefreshing = true;
-
-      try {
-        // Làm mới token
-        const newToken = await refreshToken();
-        
-        // Cập nhật header cho request ban đầu
-        originalRequest.headers['Authorization'] = `Bearer ${newToken}`;
-        api.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
-        
-        // Thông báo cho các request đang chờ
-        onRefreshed(newToken);
-        
-        // Thử lại request ban đầu với token mới
-        return api(originalRequest);
-      } catch (refreshError) {
-        // Nếu làm mới token thất bại, chuyển hướng người dùng đến trang đăng nhập
-        console.log('Token refresh failed, redirecting to login');
-        
-        // Lưu vị trí hiện tại để redirect sau khi đăng nhập lại
-        const currentPath = window.location.pathname;
-        if (currentPath !== '/login') {
-          sessionStorage.setItem('redirectAfterLogin', currentPath);
-        }
-        
-        // Xóa token và thông báo đăng xuất
-        localStorage.removeItem('accessToken');
-        localStorage.removeItem('refreshToken');
-        tokenExpiryTime = null;
-        
-        // Phát sự kiện session-expired để các component có thể phản ứng
-        const sessionExpiredEvent = new CustomEvent('session-expired', {
-          detail: { message: 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.' }
-        });
-        document.dispatchEvent(sessionExpiredEvent);
-        
-        // Chuyển đến trang đăng nhập với thông tin phiên hết hạn
-        if (window.location.pathname !== '/login') {
-          // Sử dụng history.replaceState để không thêm vào history stack
-          window.history.replaceState(
-            { sessionExpired: true }, 
-            '', 
-            '/login'
-          );
-        window.location.href = '/login';
-        }
-        return Promise.reject(refreshError);
-      } finally {
-        isRefreshing = false;
-      }
-    }
-
-    return Promise.reject(error);
-  }
-);
-
-// Thêm interceptor request để tự động thêm token vào header
-api.interceptors.request.use(
-  async config => {
-    // Lấy token từ localStorage
-    const token = localStorage.getItem('accessToken');
-    
-    // Nếu có token và token sắp hết hạn, thử làm mới token trước khi gửi request
-    if (token && isTokenNearingExpiry() && !isRefreshing) {
-      try {
-        isRefreshing = true;
-        const newToken = await refreshToken();
-        config.headers['Authorization'] = `Bearer ${newToken}`;
-        isRefreshing = false;
-      } catch (error) {
-        console.error('Failed to refresh token on request:', error);
-        isRefreshing = false;
-      }
-    } else if (token) {
-      config.headers['Authorization'] = `Bearer ${token}`;
-    }
-    
-    return config;
-  },
-  error => Promise.reject(error)
-);
-
 export default api;
 
 // Các hàm helpers cho authentication
 export const login = async (credentials) => {
-  const response = await axios.post(`${API_URL}/auth/login`, credentials);
-  const { accessToken, refreshToken } = response.data;
-  
-  localStorage.setItem('accessToken', accessToken);
-  localStorage.setItem('refreshToken', refreshToken);
-  
-  // Lưu thời gian hết hạn của token mới
-  const decodedToken = parseJwt(accessToken);
-  if (decodedToken && decodedToken.exp) {
-    tokenExpiryTime = decodedToken.exp * 1000;
-  }
-  
+  const response = await api.post('/auth/login', credentials, { skipAuth: true });
+  localStorageTokenStore.setTokens(response.data);
+  return response.data;
+};
+
+// Đăng nhập/đăng ký bằng tài khoản Google, credential là ID token Google Identity Services trả về
+export const loginWithGoogle = async (credential) => {
+  const response = await api.post('/auth/google-login', { credential }, { skipAuth: true });
+  localStorageTokenStore.setTokens(response.data);
   return response.data;
 };
 
@@ -225,9 +84,27 @@ export const logout = () => {
   }
   
   // Remove tokens from localStorage
-  localStorage.removeItem('accessToken');
-  localStorage.removeItem('refreshToken');
-  tokenExpiryTime = null;
+  localStorageTokenStore.clear();
+};
+
+// Lấy access token còn hạn cho các request không đi qua axios (fetch streaming)
+export const getValidAccessToken = () => api.getValidAccessToken();
+
+/**
+ * Thông tin người dùng đang đăng nhập. Backend đọc token trong body nên body phải khớp token mới nhất:
+ * nếu token được làm mới trong lúc gửi (request bị 401 rồi gửi lại), gọi lại một lần với token mới.
+ * @param {Object} [config] - Config axios, ví dụ { signal }
+ */
+export const fetchCurrentUser = async (config = {}) => {
+  const postMe = async (accessToken) => (await api.post('/auth/me', { accessToken }, config)).data;
+  const accessToken = await api.getValidAccessToken();
+  try {
+    return await postMe(accessToken);
+  } catch (error) {
+    const currentToken = localStorage.getItem('accessToken');
+    if (isCancelledError(error) || !currentToken || currentToken === accessToken) throw error;
+    return postMe(currentToken);
+  }
 };
 
 export const isAuthenticated = () => {
@@ -0,0 +1,40 @@
+import api from './authService';
+import { apiDelete, apiGet, apiPost } from './apiService';
+
+/**
+ * Tải file .ics của một cuộc hẹn ("Thêm vào lịch").
+ * Thành viên dùng phiên đăng nhập hiện tại; khách đặt lịch ẩn danh truyền mã truy cập,
+ * khách vãng lai đặt lịch bằng email truyền email đã đăng ký.
+ * @param {number} appointmentId
+ * @param {{ accessCode?: string, email?: string }} [credentials]
+ */
+export const downloadAppointmentCalendar = async (appointmentId, { accessCode, email } = {}) => {
+  const params = {};
+  if (accessCode) params.code = accessCode;
+  else if (email) params.email = email;
+  const response = await api.get(`/calendar/appointments/${appointmentId}.ics`, {
+    params,
+    responseType: 'blob'
+  });
+
+  const url = URL.createObjectURL(new Blob([response.data], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `lich-hen-${appointmentId}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Trạng thái feed lịch cá nhân: { active, expiresAt }.
+ * Hệ thống chỉ lưu mã băm của token nên URL (feedUrl) chỉ có trong kết quả tạo URL mới.
+ */
+export const getCalendarFeedStatus = () => apiGet('/calendar/feed', {}, false);
+
+// Thu hồi URL cũ và tạo URL feed mới: { feedUrl, active, expiresAt }
+export const regenerateCalendarFeedUrl = () => apiPost('/calendar/feed/regenerate');
+
+// Thu hồi URL feed hiện tại
+export const revokeCalendarFeed = () => apiDelete('/calendar/feed');
@@ -0,0 +1,117 @@
+import api from './apiService';
+import { API_URL } from './config';
+import { getValidAccessToken } from './authService';
+
+// API lấy danh sách cuộc trò chuyện của người dùng đã đăng nhập
+export const fetchConversations = async () => {
+  return await api.get('/chat/conversations', {}, false);
+};
+
+// API lấy toàn bộ tin nhắn của một cuộc trò chuyện
+export const fetchConversationMessages = async (conversationId) => {
+  return await api.get(`/chat/conversations/${conversationId}`);
+};
+
+// API xóa một cuộc trò chuyện
+export const deleteConversation = async (conversationId) => {
+  return await api.delete(`/chat/conversations/${conversationId}`);
+};
+
+// Đường dây nóng hiển thị khi phát hiện dấu hiệu khủng hoảng
+export const CRISIS_HOTLINES = [
+  { name: 'Cấp cứu y tế', phone: '115' },
+  { name: 'Đường dây nóng DUPSS', phone: '0123456789' },
+  { name: 'Tổng đài quốc gia bảo vệ trẻ em', phone: '111' }
+];
+
+const MAX_SUMMARY_MESSAGES = 5;
+const MAX_SUMMARY_MESSAGE_LENGTH = 200;
+
+// Tóm tắt cuộc trò chuyện để điền sẵn vào ghi chú khi đặt lịch với chuyên viên
+export const buildChatSummary = (messages, crisis) => {
+  const userMessages = messages
+    .filter(message => message.role === 'USER' && message.content)
+    .slice(-MAX_SUMMARY_MESSAGES)
+    .map(message => {
+      const content = message.content.replace(/\s+/g, ' ').trim();
+      return content.length > MAX_SUMMARY_MESSAGE_LENGTH
+        ? `- ${content.slice(0, MAX_SUMMARY_MESSAGE_LENGTH)}...`
+        : `- ${content}`;
+    });
+
+  return [
+    `Tóm tắt từ cuộc trò chuyện với trợ lý AI (${new Date().toLocaleString('vi-VN')})`,
+    crisis ? `Dấu hiệu cần hỗ trợ: ${crisis.label}` : null,
+    'Nội dung người dùng đã chia sẻ:',
+    ...userMessages
+  ].filter(Boolean).join('\n');
+};
+
+// Tách một khối Server-Sent Event thành { event, data }
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch {
+    return { event, data: dataLines.join('\n') };
+  }
+};
+
+/**
+ * Gửi câu hỏi và nhận câu trả lời theo từng token.
+ * @param {Object} payload - { message, conversationId, history }
+ * @param {Object} handlers - onMeta({ conversationId, title }), onRisk({ category, label }), onDelta(text), onDone(), onError(message)
+ * @param {AbortSignal} signal - dùng để dừng sinh câu trả lời
+ */
+export const streamChat = async (payload, { onMeta, onRisk, onDelta, onDone, onError }, signal) => {
+  const token = await getValidAccessToken();
+  const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${API_URL}/chat/stream`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    const errorData = await response.json().catch(() => null);
+    throw new Error(errorData?.message || 'Phản hồi không hợp lệ');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, separatorIndex));
+      buffer = buffer.slice(separatorIndex + 2);
+      if (!parsed) continue;
+
+      if (parsed.event === 'meta') onMeta?.(parsed.data);
+      else if (parsed.event === 'risk') onRisk?.(parsed.data);
+      else if (parsed.event === 'delta') onDelta?.(parsed.data.content || '');
+      else if (parsed.event === 'error') onError?.(parsed.data.message);
+      else if (parsed.event === 'done') onDone?.();
+    }
+  }
+};
@@ -0,0 +1,107 @@
+import api from './authService';
+import { apiGet, apiPost, apiPut, apiDelete } from './apiService';
+
+// Ghi chú/dấu trang của người học trong một khóa học, sắp theo bài học và thời điểm
+export const getCourseNotes = (courseId) =>
+  apiGet(`/notes/courses/${courseId}`, {}, false);
+
+// Bỏ trống content để tạo dấu trang
+export const createNote = (videoId, { timestampSeconds, content }) =>
+  apiPost(`/notes/videos/${videoId}`, { timestampSeconds, content });
+
+export const updateNote = (noteId, { timestampSeconds, content }) =>
+  apiPut(`/notes/${noteId}`, { timestampSeconds, content });
+
+export const deleteNote = (noteId) =>
+  apiDelete(`/notes/${noteId}`);
+
+// Tìm ghi chú trên mọi khóa học theo nội dung, tên bài học hoặc tên khóa học
+export const searchNotes = (keyword) =>
+  apiGet('/notes', keyword ? { keyword } : {}, false);
+
+// Định dạng số giây thành m:ss hoặc h:mm:ss, giống file Markdown xuất từ server
+export const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Tải file Markdown chứa các ghi chú (lọc theo keyword nếu có)
+ * @param {string} [keyword]
+ */
+export const downloadNotesMarkdown = async (keyword) => {
+  const response = await api.get('/notes/export.md', {
+    params: keyword ? { keyword } : {},
+    responseType: 'blob'
+  });
+
+  const url = URL.createObjectURL(new Blob([response.data], { type: 'text/markdown;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'ghi-chu-bai-hoc.md';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Xuất PDF bằng hộp thoại in của trình duyệt ("Lưu dưới dạng PDF"), giữ đúng font tiếng Việt
+ * mà không cần thư viện tạo PDF. Ghi chú được nhóm theo khóa học rồi theo bài học.
+ * @param {Array} notes danh sách ghi chú đã sắp xếp như API trả về
+ * @returns {boolean} false nếu trình duyệt chặn cửa sổ in
+ */
+export const printNotesAsPdf = (notes) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  let body = '';
+  let courseId = null;
+  let videoId = null;
+  notes.forEach(note => {
+    if (note.courseId !== courseId) {
+      courseId = note.courseId;
+      videoId = null;
+      body += `<h2>${escapeHtml(note.courseTitle)}</h2>`;
+    }
+    if (note.videoId !== videoId) {
+      videoId = note.videoId;
+      body += `<h3>${escapeHtml(note.videoTitle)}</h3>`;
+    }
+    body += `<p><strong>[${formatTimestamp(note.timestampSeconds)}]</strong> ${
+      note.bookmark ? '<em>Dấu trang</em>' : escapeHtml(note.content).replace(/\n/g, '<br>')
+    }</p>`;
+  });
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<title>Ghi chú bài học</title>
+<style>
+  body { font-family: Roboto, Arial, sans-serif; color: #222; margin: 32px; }
+  h1 { color: #0056b3; }
+  h2 { color: #0056b3; border-bottom: 1px solid #e0e0e0; padding-bottom: 4px; margin-top: 28px; }
+  h3 { margin-bottom: 8px; }
+  p { margin: 6px 0; line-height: 1.5; }
+</style>
+</head>
+<body>
+<h1>Ghi chú bài học</h1>
+${body || '<p>Chưa có ghi chú nào.</p>'}
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
@@ -0,0 +1,35 @@
+import { apiGet, apiPut } from './apiService';
+
+// Thông báo trong ứng dụng của người dùng đang đăng nhập (mới nhất trước)
+export const getNotifications = (unreadOnly = false) =>
+  apiGet('/notifications', { unreadOnly }, false);
+
+export const getUnreadCount = async () => {
+  const data = await apiGet('/notifications/unread-count', {}, false);
+  return data.count;
+};
+
+export const markNotificationRead = (id) =>
+  apiPut(`/notifications/${id}/read`, {}, false);
+
+export const markAllNotificationsRead = () =>
+  apiPut('/notifications/read-all', {}, false);
+
+// Tùy chọn nhận thông báo: { disabledTypes, followedTopicIds }
+export const getNotificationPreferences = () =>
+  apiGet('/notifications/preferences', {}, false);
+
+export const updateNotificationPreferences = (preferences) =>
+  apiPut('/notifications/preferences', preferences);
+
+/**
+ * Đổi link của thông báo thành đường dẫn trong ứng dụng.
+ * Link có thể là đường dẫn tương đối hoặc URL đầy đủ của trang (phòng họp), chỉ giữ lại path và query.
+ */
+export const toAppPath = (link) => {
+  const url = new URL(link, window.location.origin);
+  return url.pathname + url.search;
+};
+
+// Báo cho chuông thông báo tải lại số chưa đọc sau khi một thông báo được đánh dấu đã đọc ở nơi khác
+export const NOTIFICATIONS_UPDATED_EVENT = 'notifications-updated';
@@ -0,0 +1,74 @@
+// Các loại câu hỏi của khảo sát và bài kiểm tra khóa học (khớp với QuestionType ở backend)
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'SINGLE_CHOICE',
+  MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',
+  LIKERT: 'LIKERT',
+  NUMERIC: 'NUMERIC',
+  FREE_TEXT: 'FREE_TEXT'
+};
+
+export const getQuestionType = (question) => question.questionType || QUESTION_TYPES.SINGLE_CHOICE;
+
+// Khoảng điểm chứa giá trị đã nhập của câu hỏi NUMERIC
+export const findNumericBand = (options, value) => {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || Number.isNaN(number)) {
+    return undefined;
+  }
+  return options.find(opt =>
+    opt.minValue !== null && opt.minValue !== undefined &&
+    opt.maxValue !== null && opt.maxValue !== undefined &&
+    number >= opt.minValue && number <= opt.maxValue
+  );
+};
+
+/**
+ * Kiểm tra câu trả lời đã hợp lệ để chuyển tiếp hay chưa
+ * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+ */
+export const validateAnswer = (question, value) => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return Array.isArray(value) && value.length > 0 ? null : 'Vui lòng chọn ít nhất một đáp án';
+    case QUESTION_TYPES.NUMERIC:
+      if (value === undefined || value === '' || Number.isNaN(Number(value))) {
+        return 'Vui lòng nhập một số';
+      }
+      return findNumericBand(question.options, value) ? null : 'Giá trị nằm ngoài khoảng cho phép';
+    case QUESTION_TYPES.FREE_TEXT:
+      return typeof value === 'string' && value.trim() ? null : 'Vui lòng nhập câu trả lời';
+    default:
+      return value !== undefined && value !== null ? null : 'Vui lòng chọn một đáp án';
+  }
+};
+
+// Các đáp án được tính điểm ứng với câu trả lời, theo thứ tự đáp án của câu hỏi
+export const getSelectedOptions = (question, value) => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return Array.isArray(value) ? question.options.filter(opt => value.includes(opt.id)) : [];
+    case QUESTION_TYPES.NUMERIC: {
+      const band = findNumericBand(question.options, value);
+      return band ? [band] : [];
+    }
+    case QUESTION_TYPES.FREE_TEXT:
+      return [];
+    default:
+      return question.options.filter(opt => opt.id === value);
+  }
+};
+
+/**
+ * Phần trả lời dạng nhập gửi lên API (NUMERIC, FREE_TEXT); các loại chọn đáp án trả về null
+ * @returns {{questionId: number, numericValue?: number, textValue?: string}|null}
+ */
+export const toAnswerPayload = (question, value) => {
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.NUMERIC:
+      return { questionId: question.id, numericValue: Number(value) };
+    case QUESTION_TYPES.FREE_TEXT:
+      return { questionId: question.id, textValue: value.trim() };
+    default:
+      return null;
+  }
+};
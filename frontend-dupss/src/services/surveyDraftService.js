@@ -0,0 +1,113 @@
+import api from './apiService';
+import { isAuthenticated } from './authService';
+
+// Bài làm dở của khách chưa đăng nhập: { [surveyId]: { state, answeredCount, totalQuestions, updatedAt } }
+const GUEST_DRAFTS_KEY = 'surveyDrafts';
+
+// Thời gian chờ sau lần trả lời cuối trước khi tự động lưu
+export const AUTOSAVE_DELAY = 1000;
+
+const readGuestDrafts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(GUEST_DRAFTS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeGuestDrafts = (drafts) => {
+  localStorage.setItem(GUEST_DRAFTS_KEY, JSON.stringify(drafts));
+};
+
+const parseDraft = (draft) => {
+  if (!draft || !draft.state) return null;
+  try {
+    return {
+      ...draft,
+      state: typeof draft.state === 'string' ? JSON.parse(draft.state) : draft.state
+    };
+  } catch (error) {
+    console.error('Bản nháp không hợp lệ:', error);
+    return null;
+  }
+};
+
+/**
+ * Dấu nhận dạng cấu trúc câu hỏi; bản nháp chỉ được khôi phục khi khảo sát chưa bị chỉnh sửa
+ * @param {Array<{questions: Array<{id: number}>}>} sections
+ */
+export const getSurveyFingerprint = (sections) =>
+  sections.map(section => section.questions.map(question => question.id).join(',')).join('|');
+
+/**
+ * Lấy bài làm dở: ưu tiên bản trên server khi đã đăng nhập, nếu không có thì dùng bản lưu trên trình duyệt
+ * @returns {Promise<{state: Object, answeredCount: number, totalQuestions: number, updatedAt: string}|null>}
+ */
+export const loadDraft = async (surveyId) => {
+  if (isAuthenticated()) {
+    try {
+      const draft = parseDraft(await api.get(`/survey/${surveyId}/draft`, {}, false));
+      if (draft) return draft;
+    } catch (error) {
+      console.error('Lỗi khi tải bài làm dở:', error);
+    }
+  }
+  return parseDraft(readGuestDrafts()[surveyId]);
+};
+
+// Lưu bài làm dở lên server (đã đăng nhập) hoặc localStorage (khách)
+export const saveDraft = async (surveyId, { state, answeredCount, totalQuestions }) => {
+  if (isAuthenticated()) {
+    await api.put(`/survey/${surveyId}/draft`, {
+      state: JSON.stringify(state),
+      answeredCount,
+      totalQuestions
+    }, false);
+    return;
+  }
+
+  writeGuestDrafts({
+    ...readGuestDrafts(),
+    [surveyId]: { state, answeredCount, totalQuestions, updatedAt: new Date().toISOString() }
+  });
+};
+
+// Xóa bài làm dở ở cả trình duyệt và server (khi làm lại từ đầu hoặc đã nộp bài)
+export const deleteDraft = async (surveyId) => {
+  const guestDrafts = readGuestDrafts();
+  if (guestDrafts[surveyId]) {
+    delete guestDrafts[surveyId];
+    writeGuestDrafts(guestDrafts);
+  }
+
+  if (isAuthenticated()) {
+    try {
+      await api.delete(`/survey/${surveyId}/draft`, false);
+    } catch (error) {
+      console.error('Lỗi khi xóa bài làm dở:', error);
+    }
+  }
+};
+
+/**
+ * Tiến độ của mọi bài làm dở để hiển thị trên danh sách khảo sát
+ * @returns {Promise<Object<string, {answeredCount: number, totalQuestions: number}>>} theo surveyId
+ */
+export const loadDraftProgress = async () => {
+  const progress = {};
+  Object.entries(readGuestDrafts()).forEach(([surveyId, draft]) => {
+    progress[surveyId] = { answeredCount: draft.answeredCount, totalQuestions: draft.totalQuestions };
+  });
+
+  if (isAuthenticated()) {
+    try {
+      const drafts = await api.get('/survey/drafts', {}, false);
+      drafts.forEach(draft => {
+        progress[draft.surveyId] = { answeredCount: draft.answeredCount, totalQuestions: draft.totalQuestions };
+      });
+    } catch (error) {
+      console.error('Lỗi khi tải tiến độ khảo sát:', error);
+    }
+  }
+  return progress;
+};
@@ -19,56 +19,32 @@ export const fetchSurveyById = async (id) => {
     // Log API response để debug
     console.log('API response for survey:', JSON.stringify(data, null, 2));
     
-    // Sắp xếp các điều kiện để đảm bảo đánh giá chính xác
-    let sortedConditions = [];
-    
-    if (data.conditions && Array.isArray(data.conditions)) {
-      // Sắp xếp theo thứ tự ưu tiên: = trước, sau đó là >=, >, <=, <
-      // Trong mỗi nhóm toán tử, sắp xếp >=, > theo thứ tự giảm dần của giá trị
-      // và sắp xếp <=, < theo thứ tự tăng dần của giá trị
-      
-      // Nhóm điều kiện theo toán tử
-      const equalConditions = data.conditions.filter(c => c.operator === '=');
-      const gteConditions = data.conditions.filter(c => c.operator === '>=')
-        .sort((a, b) => b.value - a.value); // Sắp xếp giảm dần
-      const gtConditions = data.conditions.filter(c => c.operator === '>')
-        .sort((a, b) => b.value - a.value); // Sắp xếp giảm dần
-      const lteConditions = data.conditions.filter(c => c.operator === '<=')
-        .sort((a, b) => a.value - b.value); // Sắp xếp tăng dần
-      const ltConditions = data.conditions.filter(c => c.operator === '<')
-        .sort((a, b) => a.value - b.value); // Sắp xếp tăng dần
-      
-      // Kết hợp các nhóm điều kiện theo thứ tự ưu tiên
-      sortedConditions = [
-        ...equalConditions,
-        ...gteConditions,
-        ...gtConditions,
-        ...lteConditions,
-        ...ltConditions
-      ];
-      
-      console.log('Sorted conditions:', JSON.stringify(sortedConditions, null, 2));
-    } else {
-      sortedConditions = data.conditions || [];
-    }
-    
     // Chuyển đổi dữ liệu từ API để phù hợp với cấu trúc hiện tại
     const transformedData = {
       title: data.title,
       survey: {
         section: data.sections.map(section => ({
+          id: section.id,
           sectionName: section.sectionName,
           questions: section.questions.map(q => ({
+            id: q.id,
             question: q.questionText,
+            questionType: q.questionType,
             options: q.options.map(opt => ({
               option: opt.optionText,
               value: opt.score,
-              id: opt.id // Đảm bảo rằng chúng ta đang giữ lại ID của option
+              minValue: opt.minValue,
+              maxValue: opt.maxValue,
+              id: opt.id, // Đảm bảo rằng chúng ta đang giữ lại ID của option
+              // Luật rẽ nhánh: NEXT_SECTION | GO_TO_SECTION | END_SURVEY
+              branchAction: opt.branchAction || 'NEXT_SECTION',
+              targetSectionId: opt.targetSectionId
             }))
           }))
         }))
       },
-      conditions: sortedConditions
+      // Mức nguy cơ được xác định ở backend (SurveyScoring), giữ lại điều kiện chỉ để tham khảo
+      conditions: data.conditions || []
     };
     
     console.log('Transformed survey data:', JSON.stringify(transformedData, null, 2));
@@ -80,14 +56,31 @@ export const fetchSurveyById = async (id) => {
   }
 };
 
+// API chấm điểm khảo sát (điểm từng phần, mức nguy cơ, lời khuyên) mà không lưu kết quả
+export const previewSurveyResult = async (surveyId, selectedOptionIds, answers = []) => {
+  try {
+    const numericSurveyId = parseInt(surveyId);
+    return await api.post('/public/survey/score', {
+      surveyId: isNaN(numericSurveyId) ? surveyId : numericSurveyId,
+      selectedOptionIds: selectedOptionIds,
+      answers: answers
+    }, false);
+  } catch (error) {
+    console.error('Lỗi khi chấm điểm khảo sát:', error);
+    throw new Error(error.response?.data?.message || 'Không thể tính kết quả khảo sát, xin thử lại sau!');
+  }
+};
+
 // API để gửi kết quả khảo sát
-export const submitSurveyResult = async (surveyId, selectedOptionIds) => {
+export const submitSurveyResult = async (surveyId, selectedOptionIds, answers = []) => {
   try {
     // Đảm bảo surveyId là số nguyên
     const numericSurveyId = parseInt(surveyId);
     const payload = {
       surveyId: isNaN(numericSurveyId) ? surveyId : numericSurveyId,
-      selectedOptionIds: selectedOptionIds
+      selectedOptionIds: selectedOptionIds,
+      // Câu trả lời dạng nhập số/tự luận
+      answers: answers
     };
 
     // Log request payload
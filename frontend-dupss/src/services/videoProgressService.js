@@ -0,0 +1,65 @@
+import api from './authService';
+
+// Chu kỳ lấy mẫu vị trí phát và chu kỳ gửi tiến độ lên server
+export const SAMPLE_INTERVAL_MS = 1000;
+export const SYNC_INTERVAL_MS = 15 * 1000;
+
+// Hai mẫu liên tiếp cách nhau quá khoảng này (giây) được coi là tua, không tính phần bị bỏ qua
+const MAX_SAMPLE_STEP = 3;
+
+/**
+ * Ghi lại các đoạn video thực sự được phát từ các mẫu vị trí phát lấy mỗi giây.
+ * Tua tới/lui sẽ kết thúc đoạn hiện tại và mở đoạn mới tại vị trí sau khi tua.
+ */
+export const createProgressTracker = () => {
+  let segments = [];
+  let current = null;
+
+  const closeCurrent = () => {
+    if (current && current.end > current.start) {
+      segments.push(current);
+    }
+    current = null;
+  };
+
+  return {
+    sample(time) {
+      if (!Number.isFinite(time)) return;
+      if (current && time >= current.end && time - current.end <= MAX_SAMPLE_STEP) {
+        current.end = time;
+        return;
+      }
+      closeCurrent();
+      current = { start: time, end: time };
+    },
+
+    // Dừng phát: đoạn đang mở được chốt lại, lần phát sau bắt đầu đoạn mới
+    stop() {
+      closeCurrent();
+    },
+
+    // Lấy các đoạn chưa gửi; đoạn đang mở được gửi phần đã phát và tiếp tục từ vị trí cuối
+    takeSegments() {
+      const pending = [...segments];
+      segments = [];
+      if (current && current.end > current.start) {
+        pending.push({ ...current });
+        current = { start: current.end, end: current.end };
+      }
+      return pending;
+    }
+  };
+};
+
+/**
+ * Gửi các đoạn đã phát và vị trí xem hiện tại
+ * @param {number} videoId
+ * @param {{segments: Array<{start: number, end: number}>, position: number, duration: number}} progress
+ *   duration chỉ được dùng khi bài học chưa có thời lượng đã lưu
+ * @returns {Promise<{videoId: number, watched: boolean, watchedPercent: number, lastPosition: number,
+ *   durationSeconds: number, completionThreshold: number, courseProgress: number}>}
+ */
+export const syncVideoProgress = async (videoId, progress) => {
+  const response = await api.post(`/courses/videos/${videoId}/progress`, progress);
+  return response.data;
+};
@@ -1,4 +1,4 @@
-import { API_URL } from './config';
+import api from './authService';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
 // In a production app, you would load this from environment variable
@@ -82,21 +82,7 @@ export const validateMeeting = async ({ roomId, token }) => {
  */
 export const saveMeetingInfo = async (meetingData) => {
   try {
-    const response = await fetch(`${API_URL}/appointments/video-meeting`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${localStorage.getItem('accessToken')}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(meetingData)
-    });
-    
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(data.message || 'Could not save meeting info');
-    }
-    
+    await api.post('/appointments/video-meeting', meetingData);
     return { success: true, error: null };
   } catch (error) {
     console.error('Error saving meeting info:', error);
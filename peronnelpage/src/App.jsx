@@ -7,6 +7,7 @@ import EmployeeManagement from './pages/manager/EmployeeManagement';
 import ContentReview from './pages/manager/ContentReview';
 import Topic from './pages/manager/Topic';
 import HistoryManager from './pages/manager/HistoryManager';
+import SurveyAnalytics from './pages/manager/SurveyAnalytics';
 import Login from './pages/Login';
 import AdminPage from './pages/admin/AdminPage';
 import ActionLogs from './pages/admin/ActionLogs';
@@ -14,6 +15,7 @@ import HeaderConsultant from './layout/HeaderConsultant';
 import ConsultantDashboard from './pages/consultant/Dashboard';
 import Schedule from './pages/consultant/Schedule';
 import SlotRegistration from './pages/consultant/SlotRegistration';
+import NotificationPopup from './layout/NotificationPopup';
 import History from './pages/consultant/History';
 import HeaderStaff from './layout/HeaderStaff';
 import StaffDashboard from './pages/staff/Dashboard';
@@ -189,6 +191,7 @@ function App() {
               <ProtectedRoute requiredRole="ROLE_MANAGER">
                 <>
                   <HeaderManager userName={userInfo?.fullName || 'Quản lý'} />
+                  <NotificationPopup />
                   <main className="content">
                     <Routes>
                       <Route path="dashboard" element={
@@ -221,6 +224,12 @@ function App() {
                           <Topic />
                         </>
                       } />
+                      <Route path="survey-analytics" element={
+                        <>
+                          <PageTitle title="Thống kê khảo sát" />
+                          <SurveyAnalytics />
+                        </>
+                      } />
                       <Route path="profile" element={
                         <>
                           <PageTitle title="Hồ sơ cá nhân" />
@@ -248,6 +257,7 @@ function App() {
               <ProtectedRoute requiredRole="ROLE_CONSULTANT">
                 <>
                   <HeaderConsultant userName={userInfo?.fullName || 'Consultant'} />
+                  <NotificationPopup />
                   <main className="content">
                     <Routes>
                       <Route path="dashboard" element={
@@ -301,6 +311,7 @@ function App() {
               <ProtectedRoute requiredRole="ROLE_STAFF">
                 <>
                   <HeaderStaff userName={userInfo?.fullName || 'Staff'} />
+                  <NotificationPopup />
                   <main className="content">
                     <Routes>
                       <Route path="dashboard" element={
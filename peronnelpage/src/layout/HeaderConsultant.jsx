@@ -24,6 +24,7 @@ import {
   EventAvailable as EventAvailableIcon,
 } from '@mui/icons-material';
 import { logout, getUserInfo } from '../utils/auth';
+import NotificationBell from './NotificationBell';
 
 // Map học hàm/học vị sang định dạng hiển thị đầy đủ theo enum AcademicTitle
 const academicTitleMap = {
@@ -145,6 +146,7 @@ const HeaderConsultant = ({ userName }) => {
         </Box>
 
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <NotificationBell />
           <Typography variant="body1" sx={{ mr: 1 }}>
             {getFormattedName()}
           </Typography>
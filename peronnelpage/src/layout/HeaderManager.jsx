@@ -22,8 +22,10 @@ import {
   Settings,
   Topic as TopicIcon,
   History as HistoryIcon,
+  Assessment as AssessmentIcon,
 } from '@mui/icons-material';
 import { logout, getUserInfo } from '../utils/auth';
+import NotificationBell from './NotificationBell';
 
 const HeaderManager = ({ userName }) => {
   const navigate = useNavigate();
@@ -85,6 +87,7 @@ const HeaderManager = ({ userName }) => {
     { text: 'Duyệt nội dung', icon: <RateReviewIcon />, path: '/manager/content-review' },
     { text: 'Lịch sử', icon: <HistoryIcon />, path: '/manager/history' },
     { text: 'Chủ đề', icon: <TopicIcon />, path: '/manager/topics' },
+    { text: 'Thống kê', icon: <AssessmentIcon />, path: '/manager/survey-analytics' },
   ];
 
   // Lấy chữ cái đầu tiên của tên người dùng để hiển thị trong Avatar nếu không có avatar
@@ -121,6 +124,7 @@ const HeaderManager = ({ userName }) => {
         </Box>
 
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <NotificationBell />
           <Typography variant="body1" sx={{ mr: 1 }}>
             {userName || 'Quản lý'}
           </Typography>
@@ -24,6 +24,7 @@ import {
   History as HistoryIcon,
 } from '@mui/icons-material';
 import { logout, getUserInfo } from '../utils/auth';
+import NotificationBell from './NotificationBell';
 
 const HeaderStaff = ({ userName }) => {
   const navigate = useNavigate();
@@ -121,6 +122,7 @@ const HeaderStaff = ({ userName }) => {
         </Box>
 
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <NotificationBell />
           <Typography variant="body1" sx={{ mr: 1 }}>
             {userName || 'Staff'}
           </Typography>
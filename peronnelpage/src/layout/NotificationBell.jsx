@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Badge,
+  Box,
+  Button,
+  CircularProgress,
+  Divider,
+  IconButton,
+  Menu,
+  MenuItem,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Notifications as NotificationsIcon } from '@mui/icons-material';
+import NotificationService from '../services/NotificationService';
+
+// Chuông thông báo trên header, số chưa đọc cập nhật theo thời gian thực
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const open = Boolean(anchorEl);
+
+  useEffect(() => {
+    const unsub = NotificationService.onChange((change) => {
+      if (change.unreadCount !== undefined) {
+        setUnreadCount(change.unreadCount);
+      }
+      if (change.notification) {
+        setNotifications(prev => [change.notification, ...prev.filter(n => n.id !== change.notification.id)]);
+      }
+    });
+    const disconnect = NotificationService.connect();
+    return () => {
+      unsub();
+      disconnect();
+    };
+  }, []);
+
+  const handleOpen = async (event) => {
+    setAnchorEl(event.currentTarget);
+    setLoading(true);
+    try {
+      setNotifications(await NotificationService.getNotifications());
+    } catch (err) {
+      console.error('Lỗi khi tải thông báo:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => setAnchorEl(null);
+
+  const handleItemClick = async (notification) => {
+    handleClose();
+    if (!notification.read) {
+      setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, read: true } : n)));
+      NotificationService.markAsRead(notification.id).catch(err => console.error('Lỗi khi đánh dấu đã đọc:', err));
+    }
+    if (!notification.link) return;
+    if (/^https?:\/\//.test(notification.link)) {
+      window.open(notification.link, '_blank', 'noopener,noreferrer');
+    } else {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await NotificationService.markAllAsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+    } catch (err) {
+      console.error('Lỗi khi đánh dấu tất cả đã đọc:', err);
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Thông báo">
+        <IconButton color="inherit" onClick={handleOpen}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={open}
+        onClose={handleClose}
+        transformOrigin={{ horizontal: 'right', vertical: 'top' }}
+        anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
+        PaperProps={{ sx: { width: 380, maxHeight: 480 } }}
+      >
+        <Box sx={{ px: 2, py: 1, display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Thông báo</Typography>
+          <Button size="small" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+            Đánh dấu tất cả đã đọc
+          </Button>
+        </Box>
+        <Divider />
+        {loading && notifications.length === 0 ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : notifications.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ px: 2, py: 3, textAlign: 'center' }}>
+            Chưa có thông báo nào
+          </Typography>
+        ) : (
+          notifications.map(notification => (
+            <MenuItem
+              key={notification.id}
+              onClick={() => handleItemClick(notification)}
+              sx={{
+                display: 'block',
+                whiteSpace: 'normal',
+                py: 1.5,
+                borderLeft: '3px solid',
+                borderLeftColor: notification.read ? 'transparent' : 'primary.main',
+                backgroundColor: notification.read ? 'inherit' : 'rgba(25, 118, 210, 0.06)',
+              }}
+            >
+              <Typography variant="body2" sx={{ fontWeight: notification.read ? 400 : 600 }}>
+                {notification.title}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {notification.message}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {notification.createdAt}
+              </Typography>
+            </MenuItem>
+          ))
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationBell;
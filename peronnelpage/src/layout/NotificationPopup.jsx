@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Snackbar, Alert, Button } from '@mui/material';
+import NotificationService from '../services/NotificationService';
+
+// Popup tạm thời cho thông báo mới nhận qua luồng thời gian thực
+export default function NotificationPopup() {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notif, setNotif] = useState({ type: 'info', message: '', description: '' });
+
+  useEffect(() => {
+    const unsub = NotificationService.subscribe((n) => {
+      setNotif(n);
+      setOpen(true);
+    });
+    return unsub;
+  }, []);
+
+  const handleClose = (event, reason) => {
+    if (reason === 'clickaway') return;
+    setOpen(false);
+  };
+
+  // Link tuyệt đối (phòng họp) mở tab mới, link nội bộ điều hướng trong portal
+  const handleOpenLink = () => {
+    setOpen(false);
+    if (/^https?:\/\//.test(notif.link)) {
+      window.open(notif.link, '_blank', 'noopener,noreferrer');
+    } else {
+      navigate(notif.link);
+    }
+  };
+
+  return (
+    <Snackbar
+      open={open}
+      autoHideDuration={6000}
+      onClose={handleClose}
+      anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+    >
+      <Alert
+        severity={notif.type}
+        onClose={handleClose}
+        sx={{ width: '100%' }}
+        action={notif.link && (
+          <Button color="inherit" size="small" onClick={handleOpenLink}>
+            Mở
+          </Button>
+        )}
+      >
+        <strong>{notif.message}</strong>
+        {notif.description && <div>{notif.description}</div>}
+      </Alert>
+    </Snackbar>
+  );
+}
@@ -70,10 +70,6 @@ const ChangePassword = () => {
         oldPassword,
         newPassword,
         confirmPassword
-      }, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
       });
 
       setSuccess(response.data.message || 'Đổi mật khẩu thành công!');
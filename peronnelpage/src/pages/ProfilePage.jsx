@@ -18,7 +18,8 @@ import {
   MenuItem,
   Snackbar,
   Alert,
-  Divider
+  Divider,
+  Chip
 } from '@mui/material';
 import {
   Person as PersonIcon,
@@ -32,8 +33,8 @@ import {
 } from '@mui/icons-material';
 import PhotoCamera from '@mui/icons-material/PhotoCamera';
 import { format, parseISO } from 'date-fns';
-import axios from 'axios';
-import { getAccessToken, getUserInfo } from '../utils/auth';
+import { isCancelledError } from '@dupss/api-client';
+import { fetchCurrentUser, getAccessToken, getUserInfo } from '../utils/auth';
 import apiClient from '../services/apiService';
 
 export default function ProfilePage() {
@@ -78,21 +79,37 @@ export default function ProfilePage() {
   const [avatarFile, setAvatarFile] = useState(null);
   const [birthDate, setBirthDate] = useState('');
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  // Danh sách chủ đề để tư vấn viên chọn chuyên môn
+  const [topics, setTopics] = useState([]);
   
   useEffect(() => {
-    fetchUserProfile();
+    const controller = new AbortController();
+    fetchUserProfile(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  const fetchUserProfile = async () => {
+  const isConsultantProfile = profile?.role && (profile.role.includes('ROLE_CONSULTANT') || profile.role === 'consultant');
+
+  useEffect(() => {
+    if (!isConsultantProfile || topics.length > 0) return;
+
+    const controller = new AbortController();
+    apiClient.get('/topics', { signal: controller.signal })
+      .then(response => setTopics(response.data || []))
+      .catch(error => {
+        if (!isCancelledError(error)) console.error('Error fetching topics:', error);
+      });
+    return () => controller.abort();
+  }, [isConsultantProfile]);
+
+  const fetchUserProfile = async (signal) => {
     try {
       setLoading(true);
-      const accessToken = getAccessToken();
-      if (!accessToken) {
+      if (!getAccessToken()) {
         throw new Error('Không tìm thấy access token');
       }
       
-      const response = await apiClient.post('/auth/me', { accessToken });
-      const userData = response.data;
+      const userData = await fetchCurrentUser({ signal });
       setProfile(userData);
       
       // Handle birth date if available
@@ -110,6 +127,7 @@ export default function ProfilePage() {
         }
       }
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error('Error fetching user profile:', error);
       setSnackbar({
         open: true,
@@ -117,7 +135,9 @@ export default function ProfilePage() {
         severity: 'error'
       });
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -191,6 +211,8 @@ export default function ProfilePage() {
       if (isConsultant) {
         if (profile.bio) formData.append('bio', profile.bio);
         if (profile.certificates) formData.append('certificates', profile.certificates);
+        // Gửi chuỗi rỗng khi bỏ chọn hết để backend xóa danh sách chủ đề
+        formData.append('topicIds', (profile.topicIds || []).join(','));
       }
       
       // Format and add birth date if available
@@ -495,6 +517,37 @@ export default function ProfilePage() {
                         ),
                       }}
                     />
+
+                    {/* Topic expertise - full width */}
+                    <FormControl fullWidth>
+                      <InputLabel id="topic-ids-label">Chủ đề chuyên môn</InputLabel>
+                      <Select
+                        labelId="topic-ids-label"
+                        id="topicIds"
+                        name="topicIds"
+                        multiple
+                        value={profile.topicIds || []}
+                        onChange={handleChange}
+                        label="Chủ đề chuyên môn"
+                        renderValue={(selected) => (
+                          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                            {selected.map(topicId => (
+                              <Chip
+                                key={topicId}
+                                size="small"
+                                label={topics.find(topic => topic.id === topicId)?.topicName || topicId}
+                              />
+                            ))}
+                          </Box>
+                        )}
+                      >
+                        {topics.map(topic => (
+                          <MenuItem key={topic.id} value={topic.id}>
+                            {topic.topicName}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
                   </>
                 )}
               </Box>
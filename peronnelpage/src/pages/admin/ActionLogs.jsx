@@ -32,6 +32,8 @@ const actionTypeColors = {
   CREATE: '#4caf50', // Xanh lá
   UPDATE: '#2196f3', // Xanh dương
   DELETE: '#f44336', // Đỏ
+  APPROVE: '#009688', // Xanh ngọc
+  REJECT: '#ff5722', // Cam đậm
 };
 
 // Định nghĩa màu sắc cho các loại đối tượng
@@ -43,6 +45,7 @@ const targetTypeColors = {
   APPOINTMENT: '#4caf50', // Xanh lá
   SLOT: '#607d8b',      // Xám xanh
   TOPIC: '#795548',     // Nâu
+  COMMENT: '#00bcd4',   // Xanh lơ
 };
 
 // Các trường có thể sắp xếp
@@ -60,6 +63,8 @@ const actionTypes = [
   { value: 'CREATE', label: 'Tạo mới' },
   { value: 'UPDATE', label: 'Cập nhật' },
   { value: 'DELETE', label: 'Xóa' },
+  { value: 'APPROVE', label: 'Duyệt' },
+  { value: 'REJECT', label: 'Ẩn/Từ chối' },
 ];
 
 
@@ -134,7 +139,9 @@ export default function ActionLogs() {
     const actionMap = {
       CREATE: 'Tạo mới',
       UPDATE: 'Cập nhật',
-      DELETE: 'Xóa'
+      DELETE: 'Xóa',
+      APPROVE: 'Duyệt',
+      REJECT: 'Ẩn/Từ chối'
     };
     return actionMap[type] || type;
   };
@@ -148,7 +155,8 @@ export default function ActionLogs() {
       SURVEY: 'Khảo sát',
       APPOINTMENT: 'Cuộc hẹn',
       SLOT: 'Slot',
-      TOPIC: 'Chủ đề'
+      TOPIC: 'Chủ đề',
+      COMMENT: 'Bình luận'
     };
     return targetMap[type] || type;
   };
@@ -37,11 +37,10 @@ import LogoutIcon from '@mui/icons-material/Logout';
 import Alert from '@mui/material/Alert';
 import Snackbar from '@mui/material/Snackbar';
 import CircularProgress from '@mui/material/CircularProgress';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { useNavigate } from 'react-router-dom';
-import { getAccessToken, isAuthenticated, logout } from '../../utils/auth';
+import { isAuthenticated, logout } from '../../utils/auth';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
 
 const roleColors = {
   'ROLE_MEMBER': '#1976d2',
@@ -122,15 +121,18 @@ export default function AdminPage() {
 
   // Fetch users data on component mount
   useEffect(() => {
-    fetchUsers();
+    const controller = new AbortController();
+    fetchUsers(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  const fetchUsers = async () => {
+  const fetchUsers = async (signal) => {
     setLoading(true);
     try {
-      const apiResponse = await apiClient.get('/admin/users');
+      const apiResponse = await apiClient.get('/admin/users', { signal });
       setUsers(apiResponse.data);
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error('Error fetching users:', error);
       
       if (error.response && error.response.status === 401) {
@@ -161,7 +163,9 @@ export default function AdminPage() {
         });
       }
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
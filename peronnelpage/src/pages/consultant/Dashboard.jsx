@@ -3,7 +3,7 @@ import { Box, Typography, Card, CardContent, Grid, List, ListItem, ListItemText,
 
 
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { getUserInfo } from '../../utils/auth';
 import apiClient from '../../services/apiService';
 
@@ -34,29 +34,35 @@ export default function ConsultantDashboard() {
   ]);
 
   useEffect(() => {
-    fetchAllData();
+    const controller = new AbortController();
+    fetchAllData(controller.signal);
     
     // Auto-refresh every 5 minutes
     const intervalId = setInterval(() => {
-      fetchAllData();
+      fetchAllData(controller.signal);
     }, 300000);
     
-    return () => clearInterval(intervalId);
+    return () => {
+      clearInterval(intervalId);
+      controller.abort();
+    };
   }, []);
 
-  const fetchAllData = async () => {
+  const fetchAllData = async (signal) => {
     try {
       setLoading(true);
       await Promise.all([
-        fetchUpcomingAppointments(),
-        fetchStatistics()
+        fetchUpcomingAppointments(signal),
+        fetchStatistics(signal)
       ]);
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
-  const fetchStatistics = async () => {
+  const fetchStatistics = async (signal) => {
     try {
       const userInfo = getUserInfo();
       if (!userInfo || !userInfo.id) {
@@ -65,23 +71,11 @@ export default function ConsultantDashboard() {
 
       // Use Promise.all with apiClient
       const [appointmentsResponse, historyResponse, pendingResponse] = await Promise.all([
-        apiClient.get(`/consultant/${userInfo.id}/appointments`, {
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-          }
-        }),
+        apiClient.get(`/consultant/${userInfo.id}/appointments`, { signal }),
         
-        apiClient.get(`/appointments/consultant/${userInfo.id}/history`, {
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-          }
-        }),
+        apiClient.get(`/appointments/consultant/${userInfo.id}/history`, { signal }),
         
-        apiClient.get(`/consultant/appointments/unassigned`, {
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-          }
-        })
+        apiClient.get(`/consultant/appointments/unassigned`, { signal })
       ]);
 
       // Combine data
@@ -98,6 +92,7 @@ export default function ConsultantDashboard() {
         });
       }
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching statistics:', err);
       setError(err.message || 'Đã xảy ra lỗi khi tải dữ liệu thống kê');
     }
@@ -178,18 +173,14 @@ export default function ConsultantDashboard() {
     ]);
   };
 
-  const fetchUpcomingAppointments = async () => {
+  const fetchUpcomingAppointments = async (signal) => {
     try {
       const userInfo = getUserInfo();
       if (!userInfo || !userInfo.id) {
         throw new Error('Không tìm thấy thông tin người dùng');
       }
 
-      const response = await apiClient.get(`/consultant/${userInfo.id}/appointments`, {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      const response = await apiClient.get(`/consultant/${userInfo.id}/appointments`, { signal });
 
       // Filter confirmed appointments and sort by date
       const confirmedAppointments = response.data
@@ -203,6 +194,7 @@ export default function ConsultantDashboard() {
       setUpcomingAppointments(confirmedAppointments);
       setError(null);
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching upcoming appointments:', err);
       setError(err.message || 'Đã xảy ra lỗi khi tải danh sách cuộc hẹn');
     }
@@ -279,11 +271,7 @@ export default function ConsultantDashboard() {
       }
       
       // Gọi API để lấy thông tin cuộc hẹn
-      const response = await apiClient.get(`/appointments/${appointment.id}`, {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      const response = await apiClient.get(`/appointments/${appointment.id}`);
 
       // Kiểm tra linkGoogleMeet từ response
       if (response.data && response.data.linkGoogleMeet) {
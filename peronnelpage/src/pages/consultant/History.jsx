@@ -32,7 +32,7 @@ import {
 import InfoIcon from '@mui/icons-material/Info';
 import LinkIcon from '@mui/icons-material/Link';
 import VideocamIcon from '@mui/icons-material/Videocam';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { getUserInfo } from '../../utils/auth';
 import apiClient from '../../services/apiService';
 
@@ -119,6 +119,7 @@ export default function History() {
   });
 
   useEffect(() => {
+    const controller = new AbortController();
     const fetchHistory = async () => {
       try {
         setLoading(true);
@@ -129,22 +130,24 @@ export default function History() {
         }
         
         const response = await apiClient.get(`/appointments/consultant/${userInfo.id}/history`, {
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-          }
+          signal: controller.signal
         });
         
         // The response data is already in the correct format, so we can use it directly
         setAppointments(response.data || []);
       } catch (error) {
+        if (isCancelledError(error)) return;
         console.error('Error fetching history:', error);
         setError(error.message || 'Đã xảy ra lỗi khi tải lịch sử');
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
       }
     };
 
     fetchHistory();
+    return () => controller.abort();
   }, []);
 
   const handleSort = (col) => {
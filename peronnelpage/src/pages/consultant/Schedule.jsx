@@ -28,7 +28,7 @@ import {
 } from '@mui/material';
 import dayjs from 'dayjs';
 import weekOfYear from 'dayjs/plugin/weekOfYear';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { getUserInfo } from '../../utils/auth';
 import apiClient from '../../services/apiService';
 
@@ -121,13 +121,27 @@ export default function Schedule() {
 
   // Thêm state cho consultant note và cancel reason
   const [consultantNote, setConsultantNote] = useState('');
+  // Đổi lịch: chọn một slot trống khác của chính tư vấn viên trong 14 ngày tới
+  const [rescheduleDialog, setRescheduleDialog] = useState({
+    open: false,
+    appt: null,
+    slots: [],
+    selectedSlotId: '',
+    loading: false,
+    submitting: false
+  });
   const [cancelReason, setCancelReason] = useState('');
+  // URL feed iCal cá nhân để đồng bộ lịch tư vấn sang Google Calendar/Outlook
+  // url chỉ có ngay sau khi tạo URL mới, vì hệ thống chỉ lưu mã băm của token
+  const [calendarFeed, setCalendarFeed] = useState({ open: false, url: '', active: false, expiresAt: null, loading: false });
   
   const weekDays = Array.from({ length: 5 }, (_, i) => weekStart.clone().add(i, 'day'));
 
-  // Lấy dữ liệu từ API
+  // Lấy dữ liệu từ API, hủy request của tuần cũ khi chuyển tuần
   useEffect(() => {
-    fetchAppointments();
+    const controller = new AbortController();
+    fetchAppointments(controller.signal);
+    return () => controller.abort();
   }, [weekStart]);
   
   // Cập nhật giá trị tuần được chọn khi thay đổi tuần bắt đầu
@@ -139,14 +153,7 @@ export default function Schedule() {
     }
   }, [weekStart, selectedYear]);
   
-  // Remove the useEffect for auto-cancellation after 24 hours
-  useEffect(() => {
-    fetchAppointments();
-  }, [weekStart]);
-  
-
-
-  const fetchAppointments = async () => {
+  const fetchAppointments = async (signal) => {
     setLoading(true);
     try {
       const userInfo = getUserInfo();
@@ -164,9 +171,7 @@ export default function Schedule() {
           startDate,
           endDate
         },
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
+        signal
       });
       
       // Fetch registered slots for each day in the week
@@ -174,10 +179,12 @@ export default function Schedule() {
         try {
           const date = day.format('DD/MM/YYYY');
           const response = await apiClient.get(`/public/slots/consultant/${userInfo.id}`, {
-            params: { date }
+            params: { date },
+            signal
           });
           return response.data || [];
         } catch (error) {
+          if (isCancelledError(error)) throw error;
           console.error(`Error fetching slots for ${day.format('DD/MM/YYYY')}:`, error);
           return [];
         }
@@ -222,6 +229,7 @@ export default function Schedule() {
       setAppointments(mergedData);
       setError(null);
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching appointments:', err);
       setError(
         err.response?.data?.message ||
@@ -229,7 +237,9 @@ export default function Schedule() {
         'Đã xảy ra lỗi khi tải lịch làm việc'
       );
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -266,11 +276,7 @@ export default function Schedule() {
       console.log('Thông tin người dùng:', userInfo);
       console.log('Gửi request đến:', `/appointments/${id}/status?status=${status}&consultantId=${userInfo.id}`);
       
-      await apiClient.patch(`/appointments/${id}/status?status=${status}&consultantId=${userInfo.id}`, {}, {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      await apiClient.patch(`/appointments/${id}/status?status=${status}&consultantId=${userInfo.id}`, {});
 
       // Cập nhật danh sách lịch hẹn
       setAppointments(prev => 
@@ -539,11 +545,7 @@ export default function Schedule() {
       });
 
       // Gọi API để lấy thông tin cuộc hẹn
-      const response = await apiClient.get(`/appointments/${appointmentId}`, {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      const response = await apiClient.get(`/appointments/${appointmentId}`);
 
       // Kiểm tra linkGoogleMeet từ response
       if (response.data && response.data.linkGoogleMeet) {
@@ -587,11 +589,7 @@ export default function Schedule() {
       }
 
       // Gọi API kết thúc buổi tư vấn
-      await apiClient.put(`/appointments/${appointment.id}/end?consultantId=${userInfo.id}`, {}, {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      await apiClient.put(`/appointments/${appointment.id}/end?consultantId=${userInfo.id}`, {});
 
       // Cập nhật trạng thái trong danh sách
       setAppointments(prev => 
@@ -642,10 +640,6 @@ export default function Schedule() {
         try {
           await apiClient.put(`/appointments/${appointmentId}/end?consultantId=${userInfo.id}`, {
             consultantNote: consultantNote
-          }, {
-            headers: {
-              Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-            }
           });
         } catch (patchError) {
           console.error('Lỗi khi gọi API hoàn thành:', patchError);
@@ -663,10 +657,6 @@ export default function Schedule() {
         try {
           await apiClient.put(`/appointments/${appointmentId}/cancel/consultant?consultantId=${userInfo.id}`, {
             reason: cancelReason
-          }, {
-            headers: {
-              Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-            }
           });
           console.log('Hủy cuộc hẹn thành công');
         } catch (cancelError) {
@@ -707,14 +697,124 @@ export default function Schedule() {
     }
   };
 
+  const openRescheduleDialog = async (appt) => {
+    setRescheduleDialog({ open: true, appt, slots: [], selectedSlotId: '', loading: true, submitting: false });
+    try {
+      const userInfo = getUserInfo();
+      const response = await apiClient.get('/public/slots/availability', {
+        params: { consultantIds: userInfo.id, days: 14 }
+      });
+      setRescheduleDialog(prev => ({ ...prev, slots: response.data || [], loading: false }));
+    } catch (err) {
+      console.error('Error fetching available slots:', err);
+      setRescheduleDialog(prev => ({ ...prev, loading: false }));
+      setSnackbar({
+        open: true,
+        message: 'Không thể tải danh sách slot trống: ' + (err.response?.data?.message || err.message),
+        severity: 'error'
+      });
+    }
+  };
+
+  const closeRescheduleDialog = () => {
+    setRescheduleDialog({ open: false, appt: null, slots: [], selectedSlotId: '', loading: false, submitting: false });
+  };
+
+  const handleConfirmReschedule = async () => {
+    const { appt, selectedSlotId } = rescheduleDialog;
+    setRescheduleDialog(prev => ({ ...prev, submitting: true }));
+    try {
+      await apiClient.put(`/appointments/${appt.id}/reschedule/consultant`, {
+        slotId: selectedSlotId
+      });
+      setSnackbar({ open: true, message: 'Đổi lịch hẹn thành công, khách hàng đã được thông báo', severity: 'success' });
+      closeRescheduleDialog();
+      setDialog({ open: false, appt: null });
+      fetchAppointments();
+    } catch (err) {
+      console.error('Error rescheduling appointment:', err);
+      setSnackbar({
+        open: true,
+        message: 'Không thể đổi lịch hẹn: ' + (err.response?.data?.message || err.message),
+        severity: 'error'
+      });
+      setRescheduleDialog(prev => ({ ...prev, submitting: false }));
+    }
+  };
+
+  const openCalendarFeedDialog = async (regenerate = false) => {
+    setCalendarFeed(prev => ({ ...prev, open: true, loading: true }));
+    try {
+      // Đã có feed còn hạn thì chỉ hiển thị trạng thái, chưa có thì tạo luôn
+      let response = regenerate ? null : await apiClient.get('/calendar/feed');
+      if (!response?.data.active) {
+        response = await apiClient.post('/calendar/feed/regenerate');
+      }
+      const { feedUrl, active, expiresAt } = response.data;
+      setCalendarFeed({ open: true, url: feedUrl || '', active, expiresAt, loading: false });
+      if (regenerate) {
+        setSnackbar({ open: true, message: 'Đã tạo URL mới, URL cũ không còn hoạt động', severity: 'success' });
+      }
+    } catch (err) {
+      console.error('Error loading calendar feed:', err);
+      setCalendarFeed(prev => ({ ...prev, loading: false }));
+      setSnackbar({
+        open: true,
+        message: 'Không thể lấy URL lịch: ' + (err.response?.data?.message || err.message),
+        severity: 'error'
+      });
+    }
+  };
+
+  const revokeCalendarFeed = async () => {
+    setCalendarFeed(prev => ({ ...prev, loading: true }));
+    try {
+      await apiClient.delete('/calendar/feed');
+      setCalendarFeed(prev => ({ ...prev, url: '', active: false, expiresAt: null, loading: false }));
+      setSnackbar({ open: true, message: 'Đã thu hồi URL lịch', severity: 'success' });
+    } catch (err) {
+      console.error('Error revoking calendar feed:', err);
+      setCalendarFeed(prev => ({ ...prev, loading: false }));
+      setSnackbar({
+        open: true,
+        message: 'Không thể thu hồi URL lịch: ' + (err.response?.data?.message || err.message),
+        severity: 'error'
+      });
+    }
+  };
+
+  const handleCopyCalendarFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeed.url);
+      setSnackbar({ open: true, message: 'Đã sao chép URL lịch', severity: 'success' });
+    } catch {
+      setSnackbar({ open: true, message: 'Không thể sao chép, vui lòng sao chép thủ công', severity: 'error' });
+    }
+  };
+
+  const handleDownloadCalendar = async (appt) => {
+    try {
+      const response = await apiClient.get(`/calendar/appointments/${appt.id}.ics`, {
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'text/calendar;charset=utf-8' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `lich-hen-${appt.id}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading calendar file:', err);
+      setSnackbar({ open: true, message: 'Không thể tải file lịch hẹn', severity: 'error' });
+    }
+  };
+
   // For cancelAppointment function
   const cancelGuestAppointment = async (appt) => {
     try {
-      await apiClient.post(`/appointments/${appt.id}/cancel/guest?email=${encodeURIComponent(appt.email)}`, {}, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      await apiClient.post(`/appointments/${appt.id}/cancel/guest?email=${encodeURIComponent(appt.email)}`, {});
       // ... rest of the function ...
     } catch (error) {
       // Error handling
@@ -723,11 +823,7 @@ export default function Schedule() {
 
   const cancelUserAppointment = async (appt) => {
     try {
-      await apiClient.post(`/appointments/${appt.id}/cancel/user/${userInfo.id}`, {}, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      await apiClient.post(`/appointments/${appt.id}/cancel/user/${userInfo.id}`, {});
       // ... rest of the function ...
     } catch (error) {
       // Error handling
@@ -738,11 +834,7 @@ export default function Schedule() {
   const loadAppointments = async () => {
     try {
       setLoading(true);
-      const response = await apiClient.get(`/appointments/consultant/${userInfo.id}`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      const response = await apiClient.get(`/appointments/consultant/${userInfo.id}`);
       // ... rest of the function ...
     } catch (error) {
       // Error handling
@@ -753,11 +845,7 @@ export default function Schedule() {
   const updateStatus = async (id, status) => {
     try {
       console.log('Gửi request đến:', `/appointments/${id}/status?status=${status}&consultantId=${userInfo.id}`);
-      await apiClient.patch(`/appointments/${id}/status?status=${status}&consultantId=${userInfo.id}`, {}, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      await apiClient.patch(`/appointments/${id}/status?status=${status}&consultantId=${userInfo.id}`, {});
       // ... rest of the function ...
     } catch (error) {
       // Error handling
@@ -767,11 +855,7 @@ export default function Schedule() {
   // For startMeeting function
   const startMeeting = async (appointmentId) => {
     try {
-      const response = await apiClient.put(`/appointments/${appointmentId}/start?consultantId=${userInfo.id}`, {}, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      const response = await apiClient.put(`/appointments/${appointmentId}/start?consultantId=${userInfo.id}`, {});
       // ... rest of the function ...
     } catch (error) {
       // Error handling
@@ -781,11 +865,7 @@ export default function Schedule() {
   // For endMeeting function
   const endMeeting = async (appointment) => {
     try {
-      await apiClient.put(`/appointments/${appointment.id}/end?consultantId=${userInfo.id}`, {}, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      await apiClient.put(`/appointments/${appointment.id}/end?consultantId=${userInfo.id}`, {});
       // ... rest of the function ...
     } catch (error) {
       // Error handling
@@ -797,10 +877,6 @@ export default function Schedule() {
     try {
       await apiClient.put(`/appointments/${appointmentId}/end?consultantId=${userInfo.id}`, {
         consultantNotes: consultantNotes
-      }, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
       });
       // ... rest of the function ...
     } catch (error) {
@@ -813,10 +889,6 @@ export default function Schedule() {
     try {
       await apiClient.put(`/appointments/${appointmentId}/cancel/consultant?consultantId=${userInfo.id}`, {
         cancelReason
-      }, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
       });
       // ... rest of the function ...
     } catch (error) {
@@ -839,9 +911,14 @@ export default function Schedule() {
 
   return (
     <Box sx={{ p: 3 }}>
-      <Typography variant="h4" gutterBottom>
-        Lịch tư vấn (Thứ 2 - Thứ 6)
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="h4" gutterBottom>
+          Lịch tư vấn (Thứ 2 - Thứ 6)
+        </Typography>
+        <Button variant="outlined" onClick={() => openCalendarFeedDialog()}>
+          Đồng bộ lịch
+        </Button>
+      </Box>
       
       <Grid container spacing={2} sx={{ mb: 2, alignItems: 'center' }}>
         <Grid item xs={12} md={5}>
@@ -1038,10 +1115,19 @@ export default function Schedule() {
               ) : (
                 // Display for booked appointments
                 <>
-                  <Typography sx={{ mb: 1 }}><b>Khách hàng:</b> {dialog.appt.customerName}</Typography>
-                  <Typography sx={{ mb: 1 }}><b>Email:</b> {dialog.appt.email || 'Không có'}</Typography>
-                  <Typography sx={{ mb: 1 }}><b>Số điện thoại:</b> {dialog.appt.phoneNumber || 'Không có'}</Typography>
+                  <Typography sx={{ mb: 1 }}>
+                    <b>Khách hàng:</b> {dialog.appt.customerName}{dialog.appt.anonymous && ' (đặt lịch ẩn danh)'}
+                  </Typography>
+                  {!dialog.appt.anonymous && (
+                    <>
+                      <Typography sx={{ mb: 1 }}><b>Email:</b> {dialog.appt.email || 'Không có'}</Typography>
+                      <Typography sx={{ mb: 1 }}><b>Số điện thoại:</b> {dialog.appt.phoneNumber || 'Không có'}</Typography>
+                    </>
+                  )}
                   <Typography sx={{ mb: 1 }}><b>Chủ đề tư vấn:</b> {dialog.appt.topicName}</Typography>
+                  {dialog.appt.customerNote && (
+                    <Typography sx={{ mb: 1, whiteSpace: 'pre-line' }}><b>Ghi chú của khách hàng:</b> {dialog.appt.customerNote}</Typography>
+                  )}
                   <Typography sx={{ mb: 1 }}>
                     <b>Thời gian:</b> {formatTime(dialog.appt.appointmentTime)} - {
                       typeof dialog.appt.appointmentTime === 'string' 
@@ -1078,6 +1164,15 @@ export default function Schedule() {
                     >
                       {canStartAppointment(dialog.appt) ? 'Vào cuộc hẹn' : 'Chưa đến giờ tham gia'}
                     </Button>
+                    {(dialog.appt.status === 'CONFIRMED' || dialog.appt.status === 'PENDING') && (
+                      <Button
+                        variant="outlined"
+                        onClick={() => openRescheduleDialog(dialog.appt)}
+                        sx={{ px: 2, borderRadius: '20px' }}
+                      >
+                        Đổi lịch
+                      </Button>
+                    )}
                   </Box>
                 </>
               )}
@@ -1085,10 +1180,107 @@ export default function Schedule() {
           )}
         </DialogContent>
         <DialogActions>
+          {dialog.appt && dialog.appt.status !== 'CANCELLED' && (
+            <Button onClick={() => handleDownloadCalendar(dialog.appt)}>Thêm vào lịch</Button>
+          )}
           <Button onClick={() => setDialog({ open: false, appt: null })}>Đóng</Button>
         </DialogActions>
       </Dialog>
+
+      {/* Calendar Feed Dialog */}
+      <Dialog open={calendarFeed.open} onClose={() => setCalendarFeed(prev => ({ ...prev, open: false }))} maxWidth="sm" fullWidth>
+        <DialogTitle>Đồng bộ lịch tư vấn</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Thêm URL dưới đây vào Google Calendar, Outlook hoặc Apple Calendar (mục "Thêm lịch từ URL").
+            Lịch tự cập nhật khi cuộc hẹn được xác nhận, đổi lịch hoặc hủy. Không chia sẻ URL này cho người khác.
+          </Typography>
+          {calendarFeed.loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+              <CircularProgress size={24} />
+            </Box>
+          ) : calendarFeed.url ? (
+            <>
+              <TextField
+                fullWidth
+                size="small"
+                value={calendarFeed.url}
+                InputProps={{ readOnly: true }}
+                onFocus={(e) => e.target.select()}
+              />
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                URL chỉ hiển thị một lần, hãy sao chép ngay. Hết hạn ngày {new Date(calendarFeed.expiresAt).toLocaleDateString('vi-VN')}.
+              </Typography>
+            </>
+          ) : (
+            <Typography variant="body2">
+              {calendarFeed.active
+                ? `Bạn đã tạo URL lịch trước đó (hết hạn ngày ${new Date(calendarFeed.expiresAt).toLocaleDateString('vi-VN')}). Nếu làm mất URL, hãy tạo URL mới.`
+                : 'URL lịch đã bị thu hồi. Tạo URL mới để tiếp tục đồng bộ.'}
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button color="warning" onClick={() => openCalendarFeedDialog(true)} disabled={calendarFeed.loading}>
+            Tạo URL mới
+          </Button>
+          <Button color="error" onClick={revokeCalendarFeed} disabled={calendarFeed.loading || !calendarFeed.active}>
+            Thu hồi
+          </Button>
+          <Button onClick={handleCopyCalendarFeed} disabled={calendarFeed.loading || !calendarFeed.url}>
+            Sao chép
+          </Button>
+          <Button onClick={() => setCalendarFeed(prev => ({ ...prev, open: false }))}>Đóng</Button>
+        </DialogActions>
+      </Dialog>
       
+      {/* Dialog đổi lịch hẹn */}
+      <Dialog open={rescheduleDialog.open} onClose={() => !rescheduleDialog.submitting && closeRescheduleDialog()} maxWidth="xs" fullWidth>
+        <DialogTitle>Đổi lịch hẹn</DialogTitle>
+        <DialogContent>
+          {rescheduleDialog.loading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+              <CircularProgress size={28} />
+            </Box>
+          ) : rescheduleDialog.slots.length === 0 ? (
+            <Alert severity="info" sx={{ mt: 1 }}>
+              Bạn không có slot trống nào trong 14 ngày tới. Hãy đăng ký thêm slot trước khi đổi lịch.
+            </Alert>
+          ) : (
+            <>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Cuộc hẹn giữ nguyên mã và phòng họp, slot cũ sẽ được mở lại cho khách khác đặt.
+              </Typography>
+              <FormControl fullWidth>
+                <InputLabel id="reschedule-slot-label">Slot mới</InputLabel>
+                <Select
+                  labelId="reschedule-slot-label"
+                  label="Slot mới"
+                  value={rescheduleDialog.selectedSlotId}
+                  onChange={(e) => setRescheduleDialog(prev => ({ ...prev, selectedSlotId: e.target.value }))}
+                >
+                  {rescheduleDialog.slots.map(slot => (
+                    <MenuItem key={slot.id} value={slot.id}>
+                      {slot.date} ({slot.startTime} - {slot.endTime})
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeRescheduleDialog} disabled={rescheduleDialog.submitting}>Hủy</Button>
+          <Button
+            variant="contained"
+            onClick={handleConfirmReschedule}
+            disabled={!rescheduleDialog.selectedSlotId || rescheduleDialog.submitting}
+          >
+            {rescheduleDialog.submitting ? <CircularProgress size={20} color="inherit" /> : 'Xác nhận'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Dialog xác nhận hành động */}
       <Dialog
         open={confirmDialog.open}
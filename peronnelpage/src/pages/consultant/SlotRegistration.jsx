@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   Typography,
@@ -18,12 +18,18 @@ import {
   Snackbar,
   Alert,
   CircularProgress,
-  Chip
+  Chip,
+  TextField,
+  IconButton,
+  Divider
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
 import dayjs from 'dayjs';
 import weekOfYear from 'dayjs/plugin/weekOfYear';
 import { getUserInfo } from '../../utils/auth';
+import { isCancelledError } from '@dupss/api-client';
 import apiClient from '../../services/apiService';
 
 // Register week of year plugin
@@ -63,21 +69,55 @@ function getWeeksInYear(year) {
   return weeks;
 }
 
-// Available time slots from 8:00 to 17:00
-const TIME_SLOTS = [
-  { start: { hour: 8, minute: 0 }, end: { hour: 9, minute: 0 }, label: '8:00 - 9:00' },
-  { start: { hour: 9, minute: 0 }, end: { hour: 10, minute: 0 }, label: '9:00 - 10:00' },
-  { start: { hour: 10, minute: 0 }, end: { hour: 11, minute: 0 }, label: '10:00 - 11:00' },
-  { start: { hour: 11, minute: 0 }, end: { hour: 12, minute: 0 }, label: '11:00 - 12:00' },
-  { start: { hour: 13, minute: 0 }, end: { hour: 14, minute: 0 }, label: '13:00 - 14:00' },
-  { start: { hour: 14, minute: 0 }, end: { hour: 15, minute: 0 }, label: '14:00 - 15:00' },
-  { start: { hour: 15, minute: 0 }, end: { hour: 16, minute: 0 }, label: '15:00 - 16:00' },
-  { start: { hour: 16, minute: 0 }, end: { hour: 17, minute: 0 }, label: '16:00 - 17:00' },
-];
+// Working window shown in the weekly grid, slots are generated from the selected slot length
+const DAY_START_MINUTE = 7 * 60;
+const DAY_END_MINUTE = 21 * 60;
+
+// Slot lengths accepted by the server (30 - 120 minutes)
+const SLOT_LENGTHS = [30, 45, 60, 90, 120];
 
 // Day names in Vietnamese
 const DAY_NAMES = ['Thứ 2', 'Thứ 3', 'Thứ 4', 'Thứ 5', 'Thứ 6'];
 
+// Day-of-week values used by the API (java.time.DayOfWeek)
+const WEEKDAYS = [
+  { value: 'MONDAY', label: 'Thứ 2' },
+  { value: 'TUESDAY', label: 'Thứ 3' },
+  { value: 'WEDNESDAY', label: 'Thứ 4' },
+  { value: 'THURSDAY', label: 'Thứ 5' },
+  { value: 'FRIDAY', label: 'Thứ 6' },
+  { value: 'SATURDAY', label: 'Thứ 7' },
+  { value: 'SUNDAY', label: 'Chủ nhật' }
+];
+
+const EMPTY_RULE = { daysOfWeek: [], startTime: '08:00', endTime: '17:00' };
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// "HH:mm" <-> minutes of day
+const toMinutes = (time) => {
+  if (typeof time === 'string') {
+    const [hour, minute] = time.split(':');
+    return parseInt(hour) * 60 + parseInt(minute);
+  }
+  return time.hour * 60 + (time.minute || 0);
+};
+const formatMinutes = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// Generate the time slots of a day for the given slot length
+function buildTimeSlots(slotMinutes) {
+  const slots = [];
+  for (let start = DAY_START_MINUTE; start + slotMinutes <= DAY_END_MINUTE; start += slotMinutes) {
+    const end = start + slotMinutes;
+    slots.push({
+      start: { hour: Math.floor(start / 60), minute: start % 60 },
+      end: { hour: Math.floor(end / 60), minute: end % 60 },
+      label: `${formatMinutes(start)} - ${formatMinutes(end)}`
+    });
+  }
+  return slots;
+}
+
 export default function SlotRegistration() {
   const currentDate = dayjs();
   const [weekStart, setWeekStart] = useState(getStartOfWeek(currentDate));
@@ -88,6 +128,31 @@ export default function SlotRegistration() {
   const [selectedTimeSlot, setSelectedTimeSlot] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [registering, setRegistering] = useState(false);
+  const [slotMinutes, setSlotMinutes] = useState(60);
+  const timeSlots = useMemo(() => buildTimeSlots(slotMinutes), [slotMinutes]);
+
+  // Weekly availability template
+  const [template, setTemplate] = useState({
+    slotMinutes: 60,
+    weeks: 4,
+    rules: [{ ...EMPTY_RULE, daysOfWeek: ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY'] }],
+    exceptionDates: []
+  });
+  const [templateUpdatedAt, setTemplateUpdatedAt] = useState(null);
+  const [templateStartDate, setTemplateStartDate] = useState(currentDate.format('YYYY-MM-DD'));
+  const [newExceptionDate, setNewExceptionDate] = useState('');
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [applyingTemplate, setApplyingTemplate] = useState(false);
+  const [bulkResult, setBulkResult] = useState(null);
+
+  // Bulk removal dialog
+  const [bulkDeleteDialog, setBulkDeleteDialog] = useState({
+    open: false,
+    from: '',
+    to: '',
+    daysOfWeek: []
+  });
+  const [deleting, setDeleting] = useState(false);
   
   // Add state for confirmation dialog
   const [confirmDialog, setConfirmDialog] = useState({ 
@@ -106,13 +171,42 @@ export default function SlotRegistration() {
   
   // Fetch registered slots when week changes
   useEffect(() => {
+    const controller = new AbortController();
     if (weekDays && weekDays.length > 0) {
-      fetchRegisteredSlots();
+      fetchRegisteredSlots(controller.signal);
     }
+    return () => controller.abort();
   }, [weekStart]);
+
+  // Load the saved weekly template once
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchTemplate(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  const fetchTemplate = async (signal) => {
+    try {
+      const response = await apiClient.get('/consultant/availability-template', { signal });
+      // 204 khi tư vấn viên chưa lưu mẫu
+      if (response.status === 200 && response.data) {
+        setTemplate({
+          slotMinutes: response.data.slotMinutes,
+          weeks: response.data.weeks,
+          rules: response.data.rules,
+          exceptionDates: response.data.exceptionDates || []
+        });
+        setTemplateUpdatedAt(response.data.updatedAt);
+        setSlotMinutes(response.data.slotMinutes);
+      }
+    } catch (err) {
+      if (isCancelledError(err)) return;
+      console.error('Lỗi khi tải mẫu lịch:', err);
+    }
+  };
   
     // Fetch registered slots from API
-  const fetchRegisteredSlots = async () => {
+  const fetchRegisteredSlots = async (signal) => {
     setLoading(true);
     try {
       const userInfo = getUserInfo();
@@ -132,7 +226,8 @@ export default function SlotRegistration() {
           const response = await apiClient.get(`/public/slots/consultant/${userInfo.id}`, {
             params: {
               date
-            }
+            },
+            signal
           });
           
           // Thêm vào mảng tất cả slots
@@ -140,6 +235,7 @@ export default function SlotRegistration() {
             allSlots.push(...response.data);
           }
         } catch (dayError) {
+          if (isCancelledError(dayError)) throw dayError;
           console.error(`Lỗi khi tải slots cho ngày ${date}:`, dayError);
         }
       });
@@ -151,6 +247,7 @@ export default function SlotRegistration() {
       setRegisteredSlots(allSlots);
       
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Lỗi khi tải slots đã đăng ký:', err);
       setSnackbar({
         open: true,
@@ -158,7 +255,9 @@ export default function SlotRegistration() {
         severity: 'error'
       });
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -181,9 +280,11 @@ export default function SlotRegistration() {
     setSelectedYear(currentWeekStart.year());
   };
 
-  // Check if a slot is already registered for a specific day
-  const isSlotRegistered = (date, startHour) => {
+  // Check if a time slot overlaps a slot already registered for a specific day
+  const isSlotRegistered = (date, timeSlot) => {
     const dateStr = date.format('DD/MM/YYYY');
+    const start = toMinutes(timeSlot.start);
+    const end = toMinutes(timeSlot.end);
     
     const result = registeredSlots.some(slot => {
       // Parse the date from the slot - handle different formats
@@ -198,19 +299,10 @@ export default function SlotRegistration() {
         slotDate = dayjs(slot.date).format('DD/MM/YYYY');
       }
       
-      // Parse the start time based on its type
-      let slotStartHour;
-      if (typeof slot.startTime === 'string') {
-        // If startTime is a string like "08:00"
-        slotStartHour = parseInt(slot.startTime.split(':')[0]);
-      } else if (slot.startTime && typeof slot.startTime.hour === 'number') {
-        // If startTime is an object with hour property
-        slotStartHour = slot.startTime.hour;
-      }
-      
-      const match = slotDate === dateStr && slotStartHour === startHour;
-      
-      return match;
+      if (slotDate !== dateStr || !slot.startTime || !slot.endTime) return false;
+
+      // startTime/endTime can be "08:00" strings or { hour, minute } objects
+      return toMinutes(slot.startTime) < end && toMinutes(slot.endTime) > start;
     });
     
     return result;
@@ -237,8 +329,7 @@ export default function SlotRegistration() {
     if (isDayInPast(day)) return true;
     
     if (day.isSame(currentDate, 'day')) {
-      const currentHour = currentDate.hour();
-      return slot.start.hour <= currentHour;
+      return toMinutes(slot.start) <= currentDate.hour() * 60 + currentDate.minute();
     }
     
     return false;
@@ -265,7 +356,7 @@ export default function SlotRegistration() {
 
   // Handle direct slot selection
   const handleSlotSelect = (slot, day) => {
-    if (!isSlotRegistered(day, slot.start.hour) && !isTimeSlotInPast(day, slot)) {
+    if (!isSlotRegistered(day, slot) && !isTimeSlotInPast(day, slot)) {
       setSelectedTimeSlot(slot);
       // Open confirmation directly
       handleRegisterConfirmation(day, slot);
@@ -290,26 +381,15 @@ export default function SlotRegistration() {
       // Format date as required by API
       const formattedDate = selectedDate.format('DD/MM/YYYY');
       
-      // Format thời gian theo định dạng HH:mm
-      const formatTimeHHmm = (time) => {
-        const hours = time.hour.toString().padStart(2, '0');
-        const minutes = time.minute.toString().padStart(2, '0');
-        return `${hours}:${minutes}`;
-      };
-      
       // Create request body
       const requestBody = {
         date: formattedDate,
-        startTime: formatTimeHHmm(selectedSlotTime.start),
-        endTime: formatTimeHHmm(selectedSlotTime.end)
+        startTime: formatMinutes(toMinutes(selectedSlotTime.start)),
+        endTime: formatMinutes(toMinutes(selectedSlotTime.end))
       };
 
       // Call API to register slot
-      const response = await apiClient.post('/consultant/slot', requestBody, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      await apiClient.post('/consultant/slot', requestBody);
       
       // Show success message
       setSnackbar({
@@ -335,6 +415,173 @@ export default function SlotRegistration() {
     }
   };
 
+  const updateRule = (index, field, value) => {
+    setTemplate(prev => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule))
+    }));
+  };
+
+  const toggleRuleDay = (index, day) => {
+    const rule = template.rules[index];
+    updateRule(index, 'daysOfWeek', rule.daysOfWeek.includes(day)
+      ? rule.daysOfWeek.filter(d => d !== day)
+      : [...rule.daysOfWeek, day]);
+  };
+
+  const addRule = () => {
+    setTemplate(prev => ({ ...prev, rules: [...prev.rules, { ...EMPTY_RULE }] }));
+  };
+
+  const removeRule = (index) => {
+    setTemplate(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }));
+  };
+
+  const addExceptionDate = () => {
+    if (!newExceptionDate) return;
+    const date = dayjs(newExceptionDate).format('DD/MM/YYYY');
+    setTemplate(prev => ({
+      ...prev,
+      exceptionDates: prev.exceptionDates.includes(date) ? prev.exceptionDates : [...prev.exceptionDates, date]
+    }));
+    setNewExceptionDate('');
+  };
+
+  const removeExceptionDate = (date) => {
+    setTemplate(prev => ({ ...prev, exceptionDates: prev.exceptionDates.filter(d => d !== date) }));
+  };
+
+  const validateTemplate = () => {
+    if (template.rules.length === 0) return 'Mẫu lịch phải có ít nhất một khung giờ';
+    for (const rule of template.rules) {
+      if (rule.daysOfWeek.length === 0) return 'Vui lòng chọn ít nhất một ngày cho mỗi khung giờ';
+      if (!rule.startTime || !rule.endTime || toMinutes(rule.endTime) - toMinutes(rule.startTime) < template.slotMinutes) {
+        return `Khung giờ ${rule.startTime} - ${rule.endTime} phải dài ít nhất ${template.slotMinutes} phút`;
+      }
+    }
+    return null;
+  };
+
+  // Save the weekly template
+  const saveTemplate = async () => {
+    const error = validateTemplate();
+    if (error) {
+      setSnackbar({ open: true, message: error, severity: 'error' });
+      return false;
+    }
+
+    setSavingTemplate(true);
+    try {
+      const response = await apiClient.put('/consultant/availability-template', template);
+      setTemplate({
+        slotMinutes: response.data.slotMinutes,
+        weeks: response.data.weeks,
+        rules: response.data.rules,
+        exceptionDates: response.data.exceptionDates || []
+      });
+      setTemplateUpdatedAt(response.data.updatedAt);
+      setSlotMinutes(response.data.slotMinutes);
+      setSnackbar({ open: true, message: 'Đã lưu mẫu lịch!', severity: 'success' });
+      return true;
+    } catch (err) {
+      console.error('Lỗi khi lưu mẫu lịch:', err);
+      setSnackbar({
+        open: true,
+        message: 'Không thể lưu mẫu lịch: ' + (err.response?.data?.message || err.message),
+        severity: 'error'
+      });
+      return false;
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  // Save then register every slot of the template for the configured number of weeks
+  const applyTemplate = async () => {
+    if (!(await saveTemplate())) return;
+
+    setApplyingTemplate(true);
+    setBulkResult(null);
+    try {
+      const response = await apiClient.post('/consultant/availability-template/apply', null, {
+        params: { startDate: dayjs(templateStartDate).format('DD/MM/YYYY') }
+      });
+      setBulkResult(response.data);
+      setSnackbar({
+        open: true,
+        message: `Đã đăng ký ${response.data.created} slot theo mẫu.`,
+        severity: 'success'
+      });
+      await fetchRegisteredSlots();
+    } catch (err) {
+      console.error('Lỗi khi áp dụng mẫu lịch:', err);
+      setSnackbar({
+        open: true,
+        message: 'Không thể áp dụng mẫu lịch: ' + (err.response?.data?.message || err.message),
+        severity: 'error'
+      });
+    } finally {
+      setApplyingTemplate(false);
+    }
+  };
+
+  const openBulkDeleteDialog = () => {
+    setBulkDeleteDialog({
+      open: true,
+      from: weekStart.format('YYYY-MM-DD'),
+      to: weekStart.add(6, 'day').format('YYYY-MM-DD'),
+      daysOfWeek: []
+    });
+  };
+
+  const closeBulkDeleteDialog = () => {
+    setBulkDeleteDialog(prev => ({ ...prev, open: false }));
+  };
+
+  const toggleBulkDeleteDay = (day) => {
+    setBulkDeleteDialog(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(d => d !== day)
+        : [...prev.daysOfWeek, day]
+    }));
+  };
+
+  // Remove every free slot in the date range (booked slots are kept)
+  const deleteSlotsInBulk = async () => {
+    if (!bulkDeleteDialog.from || !bulkDeleteDialog.to || bulkDeleteDialog.to < bulkDeleteDialog.from) {
+      setSnackbar({ open: true, message: 'Khoảng ngày không hợp lệ', severity: 'error' });
+      return;
+    }
+
+    setDeleting(true);
+    try {
+      const params = new URLSearchParams({
+        from: dayjs(bulkDeleteDialog.from).format('DD/MM/YYYY'),
+        to: dayjs(bulkDeleteDialog.to).format('DD/MM/YYYY')
+      });
+      bulkDeleteDialog.daysOfWeek.forEach(day => params.append('daysOfWeek', day));
+
+      const response = await apiClient.delete(`/consultant/slots?${params.toString()}`);
+      setSnackbar({
+        open: true,
+        message: `Đã xóa ${response.data.removed} slot còn trống.`,
+        severity: 'success'
+      });
+      closeBulkDeleteDialog();
+      await fetchRegisteredSlots();
+    } catch (err) {
+      console.error('Lỗi khi xóa slot hàng loạt:', err);
+      setSnackbar({
+        open: true,
+        message: 'Không thể xóa slot: ' + (err.response?.data?.message || err.message),
+        severity: 'error'
+      });
+    } finally {
+      setDeleting(false);
+    }
+  };
+
   // Filter out past days from the week
   const futureDays = weekDays.filter(day => !isDayInPast(day));
 
@@ -385,12 +632,172 @@ export default function SlotRegistration() {
             </Button>
           </Box>
         </Grid>
-        <Grid item xs={12} md={7} sx={{ display: 'flex', justifyContent: { xs: 'flex-start', md: 'flex-end' } }}>
+        <Grid item xs={12} md={7} sx={{ display: 'flex', gap: 2, alignItems: 'center', justifyContent: { xs: 'flex-start', md: 'flex-end' } }}>
+          <FormControl sx={{ minWidth: 140 }}>
+            <InputLabel>Độ dài slot</InputLabel>
+            <Select
+              value={slotMinutes}
+              onChange={(e) => setSlotMinutes(e.target.value)}
+              label="Độ dài slot"
+              size="small"
+            >
+              {SLOT_LENGTHS.map(length => (
+                <MenuItem key={length} value={length}>
+                  {length} phút
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button variant="outlined" color="error" onClick={openBulkDeleteDialog}>
+            Xóa hàng loạt
+          </Button>
           <Typography variant="h6">
             {weekStart.format('DD/MM/YYYY')} - {weekStart.clone().add(6, 'day').format('DD/MM/YYYY')}
           </Typography>
         </Grid>
       </Grid>
+
+      {/* Weekly availability template */}
+      <Accordion sx={{ mb: 2, borderRadius: '8px', overflow: 'hidden' }}>
+        <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+          <Box>
+            <Typography sx={{ fontWeight: 'bold' }}>Mẫu lịch hàng tuần</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {templateUpdatedAt
+                ? `Cập nhật lần cuối: ${templateUpdatedAt}`
+                : 'Lưu khung giờ làm việc lặp lại và đăng ký slot cho nhiều tuần cùng lúc'}
+            </Typography>
+          </Box>
+        </AccordionSummary>
+        <AccordionDetails>
+          {template.rules.map((rule, index) => (
+            <Box key={index} sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 2 }}>
+              {WEEKDAYS.map(day => (
+                <Chip
+                  key={day.value}
+                  label={day.label}
+                  color={rule.daysOfWeek.includes(day.value) ? 'primary' : 'default'}
+                  variant={rule.daysOfWeek.includes(day.value) ? 'filled' : 'outlined'}
+                  onClick={() => toggleRuleDay(index, day.value)}
+                />
+              ))}
+              <TextField
+                type="time"
+                label="Từ"
+                size="small"
+                value={rule.startTime}
+                onChange={(e) => updateRule(index, 'startTime', e.target.value)}
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ step: 900 }}
+              />
+              <TextField
+                type="time"
+                label="Đến"
+                size="small"
+                value={rule.endTime}
+                onChange={(e) => updateRule(index, 'endTime', e.target.value)}
+                InputLabelProps={{ shrink: true }}
+                inputProps={{ step: 900 }}
+              />
+              <IconButton onClick={() => removeRule(index)} disabled={template.rules.length === 1}>
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+          <Button startIcon={<AddIcon />} onClick={addRule} sx={{ mb: 2 }}>
+            Thêm khung giờ
+          </Button>
+
+          <Divider sx={{ mb: 2 }} />
+
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+            <FormControl sx={{ minWidth: 140 }}>
+              <InputLabel>Độ dài slot</InputLabel>
+              <Select
+                value={template.slotMinutes}
+                onChange={(e) => setTemplate(prev => ({ ...prev, slotMinutes: e.target.value }))}
+                label="Độ dài slot"
+                size="small"
+              >
+                {SLOT_LENGTHS.map(length => (
+                  <MenuItem key={length} value={length}>
+                    {length} phút
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              type="number"
+              label="Số tuần"
+              size="small"
+              value={template.weeks}
+              onChange={(e) => setTemplate(prev => ({ ...prev, weeks: Math.min(12, Math.max(1, parseInt(e.target.value) || 1)) }))}
+              inputProps={{ min: 1, max: 12 }}
+              sx={{ width: 110 }}
+            />
+            <TextField
+              type="date"
+              label="Áp dụng từ ngày"
+              size="small"
+              value={templateStartDate}
+              onChange={(e) => setTemplateStartDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: currentDate.format('YYYY-MM-DD') }}
+            />
+          </Box>
+
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>
+            Ngày ngoại lệ (nghỉ lễ, nghỉ phép)
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mb: 2 }}>
+            {template.exceptionDates.map(date => (
+              <Chip key={date} label={date} onDelete={() => removeExceptionDate(date)} />
+            ))}
+            <TextField
+              type="date"
+              size="small"
+              value={newExceptionDate}
+              onChange={(e) => setNewExceptionDate(e.target.value)}
+              inputProps={{ min: currentDate.format('YYYY-MM-DD') }}
+            />
+            <Button onClick={addExceptionDate} disabled={!newExceptionDate}>
+              Thêm ngày
+            </Button>
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Button
+              variant="outlined"
+              onClick={saveTemplate}
+              disabled={savingTemplate || applyingTemplate}
+            >
+              Lưu mẫu
+            </Button>
+            <Button
+              variant="contained"
+              onClick={applyTemplate}
+              disabled={savingTemplate || applyingTemplate}
+              startIcon={applyingTemplate && <CircularProgress size={20} color="inherit" />}
+            >
+              {applyingTemplate ? 'Đang đăng ký...' : `Áp dụng mẫu cho ${template.weeks} tuần`}
+            </Button>
+          </Box>
+
+          {bulkResult && (
+            <Alert severity={bulkResult.skipped.length > 0 ? 'warning' : 'success'} sx={{ mt: 2 }}>
+              Đã đăng ký {bulkResult.created} slot.
+              {bulkResult.skipped.length > 0 && ` Bỏ qua ${bulkResult.skipped.length} slot:`}
+              {bulkResult.skipped.length > 0 && (
+                <Box component="ul" sx={{ m: 0, pl: 2, maxHeight: 160, overflowY: 'auto' }}>
+                  {bulkResult.skipped.map((reason, index) => (
+                    <li key={index}>{reason}</li>
+                  ))}
+                </Box>
+              )}
+            </Alert>
+          )}
+        </AccordionDetails>
+      </Accordion>
       
       {/* Loading indicator */}
       {loading && (
@@ -429,8 +836,8 @@ export default function SlotRegistration() {
               </AccordionSummary>
               <AccordionDetails sx={{ p: 3, pb: 3, bgcolor: '#f5f5f5' }}>
                 <Box sx={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', width: '100%' }}>
-                  {TIME_SLOTS.map((slot, slotIndex) => {
-                    const isRegistered = isSlotRegistered(day, slot.start.hour);
+                  {timeSlots.map((slot, slotIndex) => {
+                    const isRegistered = isSlotRegistered(day, slot);
                     const isPast = isTimeSlotInPast(day, slot);
                     
                     // Skip past time slots
@@ -532,6 +939,64 @@ export default function SlotRegistration() {
         </DialogActions>
       </Dialog>
       
+      {/* Bulk removal dialog */}
+      <Dialog open={bulkDeleteDialog.open} onClose={closeBulkDeleteDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Xóa slot hàng loạt
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Chỉ xóa các slot còn trống, slot đã có lịch hẹn được giữ nguyên.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              type="date"
+              label="Từ ngày"
+              size="small"
+              fullWidth
+              value={bulkDeleteDialog.from}
+              onChange={(e) => setBulkDeleteDialog(prev => ({ ...prev, from: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              type="date"
+              label="Đến ngày"
+              size="small"
+              fullWidth
+              value={bulkDeleteDialog.to}
+              onChange={(e) => setBulkDeleteDialog(prev => ({ ...prev, to: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Box>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>
+            Ngày trong tuần (bỏ trống để xóa tất cả)
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {WEEKDAYS.map(day => (
+              <Chip
+                key={day.value}
+                label={day.label}
+                color={bulkDeleteDialog.daysOfWeek.includes(day.value) ? 'error' : 'default'}
+                variant={bulkDeleteDialog.daysOfWeek.includes(day.value) ? 'filled' : 'outlined'}
+                onClick={() => toggleBulkDeleteDay(day.value)}
+              />
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 3 }}>
+          <Button onClick={closeBulkDeleteDialog}>Hủy</Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={deleteSlotsInBulk}
+            disabled={deleting}
+            startIcon={deleting && <CircularProgress size={20} color="inherit" />}
+          >
+            {deleting ? 'Đang xóa...' : 'Xóa slot'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Snackbar for notifications */}
       <Snackbar
         open={snackbar.open}
@@ -0,0 +1,366 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Stack,
+} from '@mui/material';
+import {
+  Check as CheckIcon,
+  VisibilityOff as VisibilityOffIcon,
+  Delete as DeleteIcon,
+  Visibility as VisibilityIcon,
+  Flag as FlagIcon,
+} from '@mui/icons-material';
+import { isCancelledError } from '@dupss/api-client';
+import apiClient from '../../services/apiService';
+
+// Nhãn thông báo sau khi thực hiện từng hành động kiểm duyệt
+const actionDoneLabels = {
+  APPROVE: 'Đã duyệt',
+  HIDE: 'Đã ẩn',
+  DELETE: 'Đã xóa',
+};
+
+const CommentModerationQueue = ({ onNotify }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [contextComment, setContextComment] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchComments(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  const fetchComments = async (signal) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await apiClient.get('/manager/comments/pending', { signal });
+      setComments(response.data);
+      setSelectedIds([]);
+    } catch (err) {
+      if (isCancelledError(err)) return;
+      console.error('Error fetching pending comments:', err);
+      setError(err.response?.data?.message || err.message || 'Lỗi khi tải bình luận');
+    } finally {
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handleToggle = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const handleToggleAll = () => {
+    setSelectedIds(selectedIds.length === comments.length ? [] : comments.map(c => c.id));
+  };
+
+  const moderate = async (ids, action) => {
+    setProcessing(true);
+    try {
+      await apiClient.patch('/manager/comments/moderation', { commentIds: ids, action });
+      setComments(comments.filter(c => !ids.includes(c.id)));
+      setSelectedIds(selectedIds.filter(id => !ids.includes(id)));
+      onNotify(`${actionDoneLabels[action]} ${ids.length} bình luận`, 'success');
+    } catch (err) {
+      console.error('Error moderating comments:', err);
+      onNotify(err.response?.data?.message || err.message || 'Lỗi khi kiểm duyệt bình luận', 'error');
+    } finally {
+      setProcessing(false);
+      setContextComment(null);
+      setConfirmDelete(null);
+    }
+  };
+
+  // Xóa là thao tác không thể hoàn tác nên cần xác nhận trước
+  const requestAction = (ids, action) => {
+    if (action === 'DELETE') {
+      setConfirmDelete(ids);
+    } else {
+      moderate(ids, action);
+    }
+  };
+
+  const renderStatusChips = (comment) => (
+    <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+      {comment.flagCount > 0 ? (
+        <Chip
+          icon={<FlagIcon />}
+          label={`Bị báo cáo (${comment.flagCount})`}
+          color="error"
+          size="small"
+        />
+      ) : (
+        <Chip label="Mới" color="info" size="small" />
+      )}
+      {comment.status === 'HIDDEN' && (
+        <Chip label="Đang ẩn" size="small" />
+      )}
+    </Stack>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mb: 3 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  if (comments.length === 0) {
+    return (
+      <Paper sx={{ p: 3, textAlign: 'center' }}>
+        <Typography variant="h6">Không có bình luận nào cần duyệt</Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <Box sx={{ width: '100%' }}>
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Typography sx={{ flexGrow: 1 }}>
+          Đã chọn {selectedIds.length}/{comments.length} bình luận
+        </Typography>
+        <Button
+          variant="contained"
+          color="success"
+          startIcon={<CheckIcon />}
+          disabled={selectedIds.length === 0 || processing}
+          onClick={() => requestAction(selectedIds, 'APPROVE')}
+        >
+          Duyệt
+        </Button>
+        <Button
+          variant="contained"
+          color="warning"
+          startIcon={<VisibilityOffIcon />}
+          disabled={selectedIds.length === 0 || processing}
+          onClick={() => requestAction(selectedIds, 'HIDE')}
+        >
+          Ẩn
+        </Button>
+        <Button
+          variant="contained"
+          color="error"
+          startIcon={<DeleteIcon />}
+          disabled={selectedIds.length === 0 || processing}
+          onClick={() => requestAction(selectedIds, 'DELETE')}
+        >
+          Xóa
+        </Button>
+      </Paper>
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox">
+                <Checkbox
+                  checked={selectedIds.length === comments.length}
+                  indeterminate={selectedIds.length > 0 && selectedIds.length < comments.length}
+                  onChange={handleToggleAll}
+                />
+              </TableCell>
+              <TableCell>Nội dung</TableCell>
+              <TableCell>Người viết</TableCell>
+              <TableCell>Bài viết</TableCell>
+              <TableCell>Trạng thái</TableCell>
+              <TableCell>Thời gian</TableCell>
+              <TableCell align="right">Thao tác</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {comments.map((comment) => (
+              <TableRow key={comment.id} hover selected={selectedIds.includes(comment.id)}>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={selectedIds.includes(comment.id)}
+                    onChange={() => handleToggle(comment.id)}
+                  />
+                </TableCell>
+                <TableCell sx={{ maxWidth: 320 }}>
+                  <Typography
+                    variant="body2"
+                    sx={{
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      display: '-webkit-box',
+                      WebkitLineClamp: 2,
+                      WebkitBoxOrient: 'vertical',
+                    }}
+                  >
+                    {comment.content}
+                  </Typography>
+                </TableCell>
+                <TableCell>{comment.authorName}</TableCell>
+                <TableCell sx={{ maxWidth: 200 }}>
+                  <Typography variant="body2" noWrap>{comment.blogTitle}</Typography>
+                </TableCell>
+                <TableCell>{renderStatusChips(comment)}</TableCell>
+                <TableCell>{comment.createdAt}</TableCell>
+                <TableCell align="right">
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    startIcon={<VisibilityIcon />}
+                    onClick={() => setContextComment(comment)}
+                  >
+                    Xem ngữ cảnh
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Dialog xem bình luận trong ngữ cảnh bài viết */}
+      <Dialog open={!!contextComment} onClose={() => setContextComment(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Kiểm duyệt bình luận</DialogTitle>
+        <DialogContent>
+          {contextComment && (
+            <Box>
+              <Typography variant="subtitle1" gutterBottom>
+                <strong>Bài viết:</strong> {contextComment.blogTitle}
+              </Typography>
+              {contextComment.blogDescription && (
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  {contextComment.blogDescription}
+                </Typography>
+              )}
+
+              {contextComment.parentContent && (
+                <Paper variant="outlined" sx={{ p: 2, mb: 1, bgcolor: 'grey.50' }}>
+                  <Typography variant="caption" color="textSecondary">
+                    Trả lời bình luận của {contextComment.parentAuthorName}:
+                  </Typography>
+                  <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+                    {contextComment.parentContent}
+                  </Typography>
+                </Paper>
+              )}
+
+              <Paper
+                variant="outlined"
+                sx={{
+                  p: 2,
+                  ml: contextComment.parentContent ? 4 : 0,
+                  borderColor: contextComment.flagCount > 0 ? 'error.main' : 'primary.main',
+                  borderWidth: 2,
+                }}
+              >
+                <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+                  <Typography variant="subtitle2">
+                    {contextComment.authorName} ({contextComment.authorUsername})
+                  </Typography>
+                  <Typography variant="caption" color="textSecondary">
+                    {contextComment.createdAt}
+                  </Typography>
+                </Stack>
+                <Typography variant="body1" sx={{ whiteSpace: 'pre-line' }}>
+                  {contextComment.content}
+                </Typography>
+              </Paper>
+
+              {contextComment.reportReasons?.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2" gutterBottom>
+                    Lý do bị báo cáo:
+                  </Typography>
+                  {contextComment.reportReasons.map((reason, index) => (
+                    <Typography key={index} variant="body2" sx={{ ml: 2 }}>
+                      • {reason}
+                    </Typography>
+                  ))}
+                </Box>
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setContextComment(null)} color="inherit" disabled={processing}>
+            Đóng
+          </Button>
+          <Button
+            color="error"
+            disabled={processing}
+            onClick={() => requestAction([contextComment.id], 'DELETE')}
+          >
+            Xóa
+          </Button>
+          <Button
+            color="warning"
+            disabled={processing}
+            onClick={() => requestAction([contextComment.id], 'HIDE')}
+          >
+            Ẩn
+          </Button>
+          <Button
+            variant="contained"
+            color="success"
+            disabled={processing}
+            onClick={() => requestAction([contextComment.id], 'APPROVE')}
+          >
+            {processing ? 'Đang xử lý...' : 'Duyệt'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Xác nhận xóa */}
+      <Dialog open={!!confirmDelete} onClose={() => setConfirmDelete(null)}>
+        <DialogTitle>Xác nhận xóa</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Bạn có chắc chắn muốn xóa {confirmDelete?.length} bình luận? Thao tác này không thể hoàn tác.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmDelete(null)} color="inherit" disabled={processing}>
+            Hủy
+          </Button>
+          <Button
+            variant="contained"
+            color="error"
+            disabled={processing}
+            onClick={() => moderate(confirmDelete, 'DELETE')}
+          >
+            {processing ? 'Đang xử lý...' : 'Xóa'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CommentModerationQueue;
@@ -21,8 +21,9 @@ import {
   Container,
 } from '@mui/material';
 import { Check as CheckIcon, Close as CloseIcon, Visibility as VisibilityIcon } from '@mui/icons-material';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import apiClient from '../../services/apiService';
+import CommentModerationQueue from './CommentModerationQueue';
 
 const ContentReview = () => {
   const [selectedTab, setSelectedTab] = useState(0);
@@ -37,29 +38,36 @@ const ContentReview = () => {
   const [previewDialog, setPreviewDialog] = useState({ open: false, content: '' });
   const [processingAction, setProcessingAction] = useState(false);
 
+  // Hủy request của tab cũ khi chuyển tab
   useEffect(() => {
-    fetchData();
+    const controller = new AbortController();
+    fetchData(controller.signal);
+    return () => controller.abort();
   }, [selectedTab]);
 
-  const fetchData = async () => {
+  const fetchData = async (signal) => {
     setLoading(true);
     setError(null);
     try {
       if (selectedTab === 0) {
-        const response = await apiClient.get('/manager/courses/pending');
+        const response = await apiClient.get('/manager/courses/pending', { signal });
         setCourses(response.data);
       } else if (selectedTab === 1) {
-        const response = await apiClient.get('/manager/blogs/pending');
+        const response = await apiClient.get('/manager/blogs/pending', { signal });
         setBlogs(response.data);
       } else if (selectedTab === 2) {
-        const response = await apiClient.get('/manager/surveys/pending');
+        const response = await apiClient.get('/manager/surveys/pending', { signal });
         setSurveys(response.data);
       }
+      // Tab bình luận tự tải dữ liệu trong CommentModerationQueue
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching data:', err);
       setError(err.response?.data?.message || err.message || 'Lỗi khi tải dữ liệu');
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -552,10 +560,15 @@ const ContentReview = () => {
           <Tab label="Khóa Học" />
           <Tab label="Bài Viết" />
           <Tab label="Khảo Sát" />
+          <Tab label="Bình Luận" />
         </Tabs>
       </Paper>
 
-      {loading ? (
+      {selectedTab === 3 ? (
+        <CommentModerationQueue
+          onNotify={(message, severity) => setSnackbar({ open: true, message, severity })}
+        />
+      ) : loading ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
           <CircularProgress />
         </Box>
@@ -22,13 +22,12 @@ import DownloadIcon from '@mui/icons-material/Download';
 import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
 import GridOnIcon from '@mui/icons-material/GridOn';
 import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import { format, parseISO, subDays } from 'date-fns';
 import { jsPDF } from 'jspdf';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
-import { getAccessToken, isAuthenticated } from '../../utils/auth';
+import { isAuthenticated } from '../../utils/auth';
 import * as XLSX from 'xlsx';
 import html2pdf from 'html2pdf.js';
 import '@fontsource/roboto';
@@ -57,7 +56,9 @@ export default function Dashboard() {
       navigate('/login');
       return;
     }
-    fetchDashboardData();
+    const controller = new AbortController();
+    fetchDashboardData(controller.signal);
+    return () => controller.abort();
   }, []);
   
   // Function to check if user is authenticated - not needed as we now use isAuthenticated from auth.js
@@ -113,7 +114,7 @@ export default function Dashboard() {
   //   return token;
   // };
 
-  const fetchDashboardData = async () => {
+  const fetchDashboardData = async (signal) => {
     setLoading(true);
     setError(null);
     
@@ -131,11 +132,11 @@ export default function Dashboard() {
         coursesAllResponse,
         blogsAllResponse,
       ] = await Promise.all([
-        apiClient.get('/manager/staff'),
-        apiClient.get('/manager/consultants'),
-        apiClient.get('/manager/surveys/all'),
-        apiClient.get('/manager/courses/all'),
-        apiClient.get('/manager/blogs/all'),
+        apiClient.get('/manager/staff', { signal }),
+        apiClient.get('/manager/consultants', { signal }),
+        apiClient.get('/manager/surveys/all', { signal }),
+        apiClient.get('/manager/courses/all', { signal }),
+        apiClient.get('/manager/blogs/all', { signal }),
       ]);
 
       // Process staff & consultants count
@@ -206,6 +207,7 @@ export default function Dashboard() {
       setRecentCourses(sortedCourses);
       
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error('Error fetching dashboard data:', error);
       if (error.response) {
         if (error.response.status === 401 || error.response.status === 403) {
@@ -220,7 +222,9 @@ export default function Dashboard() {
         setError('Network error. Please check your connection and try again.');
       }
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
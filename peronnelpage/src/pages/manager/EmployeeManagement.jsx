@@ -37,7 +37,7 @@ import {
   Visibility as VisibilityIcon,
 } from '@mui/icons-material';
 
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import apiClient from '../../services/apiService';
 
 export default function EmployeeManagement() {
@@ -65,7 +65,9 @@ export default function EmployeeManagement() {
 
   // Fetch employees on component mount
   useEffect(() => {
-    fetchEmployees();
+    const controller = new AbortController();
+    fetchEmployees(controller.signal);
+    return () => controller.abort();
   }, []);
 
   // Apply filters whenever data or filter options change
@@ -74,22 +76,14 @@ export default function EmployeeManagement() {
   }, [employees, filterOption, searchTerm]);
 
   // Fetch both consultants and staff
-  const fetchEmployees = async () => {
+  const fetchEmployees = async (signal) => {
     setLoading(true);
     try {
       // Fetch consultants
-      const consultantsResponse = await apiClient.get('/manager/consultants', {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      const consultantsResponse = await apiClient.get('/manager/consultants', { signal });
 
       // Fetch staff
-      const staffResponse = await apiClient.get('/manager/staff', {
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-        }
-      });
+      const staffResponse = await apiClient.get('/manager/staff', { signal });
 
       // Combine and set data
       const allEmployees = [
@@ -100,6 +94,7 @@ export default function EmployeeManagement() {
       setEmployees(allEmployees);
       setError(null);
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching employees:', err);
       setError(
         err.response?.data?.message ||
@@ -107,7 +102,9 @@ export default function EmployeeManagement() {
         'Đã xảy ra lỗi khi tải danh sách nhân viên'
       );
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -146,11 +143,7 @@ export default function EmployeeManagement() {
     // If employee is consultant, fetch their appointment history
     if (employee.type === 'consultant' || employee.role === 'CONSULTANT') {
       try {
-        const response = await apiClient.get(`/appointments/consultant/${employee.id}/history`, {
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem('accessToken')}`
-          }
-        });
+        const response = await apiClient.get(`/appointments/consultant/${employee.id}/history`);
 
         // Calculate statistics
         const stats = {
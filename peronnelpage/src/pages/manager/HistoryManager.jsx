@@ -27,7 +27,7 @@ import {
   Tooltip
 } from '@mui/material';
 import { Search as SearchIcon, Videocam as VideocamIcon } from '@mui/icons-material';
-import axios from 'axios';
+import { isCancelledError } from '@dupss/api-client';
 import apiClient from '../../services/apiService';
 
 const History = () => {
@@ -49,42 +49,38 @@ const History = () => {
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
 
+  // Hủy request của tab cũ khi chuyển tab
   useEffect(() => {
-    fetchData();
+    const controller = new AbortController();
+    fetchData(controller.signal);
+    return () => controller.abort();
   }, [selectedTab]);
 
-  const fetchData = async () => {
+  const fetchData = async (signal) => {
     setLoading(true);
     setError(null);
     try {
-      const token = localStorage.getItem('accessToken');
-      
       if (selectedTab === 0) {
-        const response = await apiClient.get('/manager/courses/all', {
-          headers: { Authorization: `Bearer ${token}` }
-        });
+        const response = await apiClient.get('/manager/courses/all', { signal });
         setCourses(response.data);
       } else if (selectedTab === 1) {
-        const response = await apiClient.get('/manager/blogs/all', {
-          headers: { Authorization: `Bearer ${token}` }
-        });
+        const response = await apiClient.get('/manager/blogs/all', { signal });
         setBlogs(response.data);
       } else if (selectedTab === 2) {
-        const response = await apiClient.get('/manager/surveys/all', {
-          headers: { Authorization: `Bearer ${token}` }
-        });
+        const response = await apiClient.get('/manager/surveys/all', { signal });
         setSurveys(response.data);
       } else if (selectedTab === 3) {
-        const response = await apiClient.get('/manager/appointments/history', {
-          headers: { Authorization: `Bearer ${token}` }
-        });
+        const response = await apiClient.get('/manager/appointments/history', { signal });
         setAppointments(response.data);
       }
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching data:', err);
       setError(err.response?.data?.message || err.message || 'Error fetching data');
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -0,0 +1,546 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Typography,
+  Button,
+  CircularProgress,
+  Paper,
+  Box,
+  Card,
+  CardContent,
+  Alert,
+  Menu,
+  MenuItem,
+  TextField,
+  FormControl,
+  FormHelperText,
+  InputLabel,
+  Select,
+  Table,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableCell,
+  TableBody
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
+import GridOnIcon from '@mui/icons-material/GridOn';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  PieChart,
+  Pie,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
+import { format, parseISO } from 'date-fns';
+import * as XLSX from 'xlsx';
+import html2pdf from 'html2pdf.js';
+import apiClient from '../../services/apiService';
+
+const RISK_LEVEL_LABELS = {
+  LOW: 'Nguy cơ thấp',
+  MODERATE: 'Nguy cơ trung bình',
+  HIGH: 'Nguy cơ cao'
+};
+
+const RISK_LEVEL_COLORS = {
+  LOW: '#4caf50',
+  MODERATE: '#ff9800',
+  HIGH: '#f44336'
+};
+const OTHER_BAND_COLORS = ['#1976d2', '#9c27b0', '#00897b', '#9e9e9e'];
+
+const GENDER_CHOICES = [
+  { value: '', label: 'Tất cả' },
+  { value: 'male', label: 'Nam' },
+  { value: 'female', label: 'Nữ' },
+  { value: 'other', label: 'Khác' }
+];
+
+// Giá trị lọc chủ đề cho khảo sát đánh giá nguy cơ (không thuộc khóa học nào)
+const NO_TOPIC = 'none';
+
+const EMPTY_FILTERS = { from: '', to: '', gender: '', yobFrom: '', yobTo: '' };
+
+// Chờ người dùng gõ xong năm sinh rồi mới tải lại thống kê
+const FILTER_DELAY = 400;
+
+// yyyy-MM-dd (ô nhập ngày) sang dd/MM/yyyy (định dạng API)
+const toApiDate = (value) => (value ? format(parseISO(value), 'dd/MM/yyyy') : undefined);
+
+const getBandLabel = (band) =>
+  band.condition ? `${RISK_LEVEL_LABELS[band.riskLevel] || band.message} (${band.condition})` : band.message;
+
+const getBandColor = (band, index) =>
+  RISK_LEVEL_COLORS[band.riskLevel] || OTHER_BAND_COLORS[index % OTHER_BAND_COLORS.length];
+
+const getBucketLabel = (bucket) => (bucket.from === bucket.to ? `${bucket.from}` : `${bucket.from}-${bucket.to}`);
+
+const formatPercent = (count, total) => (total > 0 ? `${Math.round((count / total) * 1000) / 10}%` : '0%');
+
+export default function SurveyAnalytics() {
+  const [surveys, setSurveys] = useState([]);
+  const [topicFilter, setTopicFilter] = useState('');
+  const [surveyId, setSurveyId] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [analytics, setAnalytics] = useState(null);
+  const [loadingSurveys, setLoadingSurveys] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [anchorEl, setAnchorEl] = useState(null);
+  const reportRef = useRef(null);
+
+  useEffect(() => {
+    const fetchSurveys = async () => {
+      try {
+        const response = await apiClient.get('/manager/surveys/all');
+        setSurveys(response.data || []);
+      } catch (err) {
+        console.error('Error fetching surveys:', err);
+        setError('Không thể tải danh sách khảo sát. Vui lòng thử lại sau.');
+      } finally {
+        setLoadingSurveys(false);
+      }
+    };
+
+    fetchSurveys();
+  }, []);
+
+  useEffect(() => {
+    if (!surveyId) {
+      setAnalytics(null);
+      return;
+    }
+
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await apiClient.get(`/manager/surveys/${surveyId}/analytics`, {
+          params: {
+            from: toApiDate(filters.from),
+            to: toApiDate(filters.to),
+            gender: filters.gender || undefined,
+            yobFrom: filters.yobFrom || undefined,
+            yobTo: filters.yobTo || undefined
+          }
+        });
+        setAnalytics(response.data);
+      } catch (err) {
+        console.error('Error fetching survey analytics:', err);
+        setError(err.response?.data?.message || 'Không thể tải thống kê khảo sát. Vui lòng thử lại sau.');
+        setAnalytics(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    const timer = setTimeout(fetchAnalytics, FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [surveyId, filters]);
+
+  const topics = [...new Map(
+    surveys.filter(survey => survey.topicId).map(survey => [survey.topicId, survey.topicName])
+  ).entries()];
+
+  const visibleSurveys = surveys.filter(survey => {
+    if (!topicFilter) return true;
+    if (topicFilter === NO_TOPIC) return !survey.topicId;
+    return String(survey.topicId) === String(topicFilter);
+  });
+
+  const handleTopicChange = (e) => {
+    setTopicFilter(e.target.value);
+    setSurveyId('');
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleExportPDF = () => {
+    setAnchorEl(null);
+    if (!reportRef.current) return;
+
+    const opt = {
+      margin: [10, 10, 10, 10],
+      filename: `survey-analytics-${surveyId}.pdf`,
+      image: { type: 'jpeg', quality: 1 },
+      html2canvas: { scale: 2, useCORS: true },
+      jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait', compress: true },
+      pagebreak: { mode: ['css', 'legacy'] }
+    };
+
+    html2pdf().set(opt).from(reportRef.current).save().catch(err => {
+      console.error('Lỗi khi xuất PDF:', err);
+      alert('Có lỗi xảy ra khi xuất file PDF. Vui lòng thử lại sau.');
+    });
+  };
+
+  const handleExportExcel = () => {
+    setAnchorEl(null);
+    if (!analytics) return;
+
+    const wb = XLSX.utils.book_new();
+    const total = analytics.totalResponses;
+
+    const summaryWs = XLSX.utils.aoa_to_sheet([
+      ['THỐNG KÊ KHẢO SÁT', analytics.surveyTitle],
+      ['Thời gian xuất', format(new Date(), 'dd/MM/yyyy HH:mm')],
+      ['Từ ngày', toApiDate(filters.from) || ''],
+      ['Đến ngày', toApiDate(filters.to) || ''],
+      ['Giới tính', GENDER_CHOICES.find(choice => choice.value === filters.gender)?.label || ''],
+      ['Năm sinh', `${filters.yobFrom || ''} - ${filters.yobTo || ''}`],
+      [],
+      ['Số lượt làm', total],
+      ['Điểm trung bình', analytics.averageScore ?? ''],
+      ['Điểm tối đa', analytics.maxScore ?? '']
+    ]);
+    summaryWs['!cols'] = [{ wch: 20 }, { wch: 40 }];
+    XLSX.utils.book_append_sheet(wb, summaryWs, 'Tong quan');
+
+    const histogramWs = XLSX.utils.aoa_to_sheet([
+      ['Khoảng điểm', 'Số lượt', 'Tỉ lệ'],
+      ...analytics.scoreHistogram.map(bucket => [getBucketLabel(bucket), bucket.count, formatPercent(bucket.count, total)])
+    ]);
+    histogramWs['!cols'] = [{ wch: 15 }, { wch: 10 }, { wch: 10 }];
+    XLSX.utils.book_append_sheet(wb, histogramWs, 'Phan bo diem');
+
+    const bandsWs = XLSX.utils.aoa_to_sheet([
+      ['Mức nguy cơ', 'Điều kiện', 'Lời khuyên', 'Số lượt', 'Tỉ lệ'],
+      ...analytics.riskBands.map(band => [
+        RISK_LEVEL_LABELS[band.riskLevel] || '',
+        band.condition || '',
+        band.message || '',
+        band.count,
+        formatPercent(band.count, total)
+      ])
+    ]);
+    bandsWs['!cols'] = [{ wch: 20 }, { wch: 20 }, { wch: 50 }, { wch: 10 }, { wch: 10 }];
+    XLSX.utils.book_append_sheet(wb, bandsWs, 'Muc nguy co');
+
+    const questionRows = [['Phần', 'Câu hỏi', 'Đáp án', 'Số lượt chọn', 'Tỉ lệ trên số người trả lời']];
+    analytics.questions.forEach(question => {
+      if (question.options.length === 0) {
+        questionRows.push([question.sectionName, question.questionText, '(Trả lời tự do)', question.answeredCount, '']);
+      }
+      question.options.forEach(option => {
+        questionRows.push([
+          question.sectionName,
+          question.questionText,
+          option.optionText,
+          option.count,
+          formatPercent(option.count, question.answeredCount)
+        ]);
+      });
+    });
+    const questionsWs = XLSX.utils.aoa_to_sheet(questionRows);
+    questionsWs['!cols'] = [{ wch: 20 }, { wch: 50 }, { wch: 30 }, { wch: 12 }, { wch: 12 }];
+    XLSX.utils.book_append_sheet(wb, questionsWs, 'Cau hoi');
+
+    const trendWs = XLSX.utils.aoa_to_sheet([
+      ['Tuần bắt đầu', 'Số lượt', 'Điểm trung bình'],
+      ...analytics.weeklyTrend.map(week => [week.weekStart, week.responses, week.averageScore ?? ''])
+    ]);
+    trendWs['!cols'] = [{ wch: 15 }, { wch: 10 }, { wch: 15 }];
+    XLSX.utils.book_append_sheet(wb, trendWs, 'Theo tuan');
+
+    XLSX.writeFile(wb, `survey-analytics-${surveyId}.xlsx`);
+  };
+
+  if (loadingSurveys) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh', flexDirection: 'column' }}>
+        <CircularProgress size={60} />
+        <Typography variant="h6" sx={{ mt: 2 }}>Đang tải dữ liệu...</Typography>
+      </Box>
+    );
+  }
+
+  const total = analytics?.totalResponses || 0;
+  const bandData = analytics?.riskBands.filter(band => band.count > 0) || [];
+
+  return (
+    <Box sx={{ p: 2, maxWidth: '100%', overflow: 'hidden' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 3, alignItems: 'center' }}>
+        <Typography variant="h4" gutterBottom sx={{ mb: 0, fontWeight: 'bold' }}>
+          Thống kê khảo sát
+        </Typography>
+        <div>
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<DownloadIcon />}
+            endIcon={<KeyboardArrowDownIcon />}
+            onClick={(e) => setAnchorEl(e.currentTarget)}
+            disabled={!analytics}
+          >
+            Xuất báo cáo
+          </Button>
+          <Menu
+            anchorEl={anchorEl}
+            open={Boolean(anchorEl)}
+            onClose={() => setAnchorEl(null)}
+            anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+            transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+          >
+            <MenuItem onClick={handleExportPDF}>
+              <PictureAsPdfIcon sx={{ mr: 1, color: '#f44336' }} />
+              Xuất PDF
+            </MenuItem>
+            <MenuItem onClick={handleExportExcel}>
+              <GridOnIcon sx={{ mr: 1, color: '#4caf50' }} />
+              Xuất Excel
+            </MenuItem>
+          </Menu>
+        </div>
+      </Box>
+
+      <Paper sx={{ p: 2, mb: 3, boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel id="analytics-topic-label">Chủ đề</InputLabel>
+            <Select labelId="analytics-topic-label" label="Chủ đề" value={topicFilter} onChange={handleTopicChange}>
+              <MenuItem value="">Tất cả</MenuItem>
+              <MenuItem value={NO_TOPIC}>Khảo sát đánh giá nguy cơ</MenuItem>
+              {topics.map(([topicId, topicName]) => (
+                <MenuItem key={topicId} value={topicId}>{topicName}</MenuItem>
+              ))}
+            </Select>
+            {/* Chủ đề là của khóa học chứa bài kiểm tra, mỗi khảo sát thuộc một chủ đề nên chỉ dùng để thu hẹp danh sách khảo sát */}
+            <FormHelperText>Lọc danh sách khảo sát theo chủ đề khóa học</FormHelperText>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 300 }}>
+            <InputLabel id="analytics-survey-label">Khảo sát</InputLabel>
+            <Select
+              labelId="analytics-survey-label"
+              label="Khảo sát"
+              value={surveyId}
+              onChange={(e) => setSurveyId(e.target.value)}
+            >
+              {visibleSurveys.map(survey => (
+                <MenuItem key={survey.surveyId} value={survey.surveyId}>
+                  {survey.surveyTitle}{survey.forCourse ? ' (bài kiểm tra khóa học)' : ''}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            type="date"
+            name="from"
+            label="Từ ngày"
+            value={filters.from}
+            onChange={handleFilterChange}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            type="date"
+            name="to"
+            label="Đến ngày"
+            value={filters.to}
+            onChange={handleFilterChange}
+            InputLabelProps={{ shrink: true }}
+          />
+          <FormControl size="small" sx={{ minWidth: 120 }}>
+            <InputLabel id="analytics-gender-label">Giới tính</InputLabel>
+            <Select
+              labelId="analytics-gender-label"
+              label="Giới tính"
+              name="gender"
+              value={filters.gender}
+              onChange={handleFilterChange}
+            >
+              {GENDER_CHOICES.map(choice => (
+                <MenuItem key={choice.value} value={choice.value}>{choice.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small"
+            type="number"
+            name="yobFrom"
+            label="Năm sinh từ"
+            value={filters.yobFrom}
+            onChange={handleFilterChange}
+            sx={{ width: 130 }}
+          />
+          <TextField
+            size="small"
+            type="number"
+            name="yobTo"
+            label="Năm sinh đến"
+            value={filters.yobTo}
+            onChange={handleFilterChange}
+            sx={{ width: 130 }}
+          />
+          <Button variant="text" onClick={() => setFilters(EMPTY_FILTERS)}>
+            Xóa bộ lọc
+          </Button>
+        </Box>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {!surveyId && (
+        <Alert severity="info">Chọn một khảo sát để xem thống kê.</Alert>
+      )}
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {analytics && !loading && (
+        <Box ref={reportRef}>
+          <Typography variant="h5" sx={{ fontWeight: 'bold', mb: 2 }}>
+            {analytics.surveyTitle}
+          </Typography>
+
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: '2%', mb: 3 }}>
+            {[
+              { label: 'Số lượt làm', value: total },
+              { label: 'Điểm trung bình', value: analytics.averageScore ?? '-' },
+              { label: 'Điểm tối đa', value: analytics.maxScore ?? '-' }
+            ].map(item => (
+              <Box key={item.label} sx={{ width: '32%' }}>
+                <Card sx={{ boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                  <CardContent sx={{ textAlign: 'center' }}>
+                    <Typography color="textSecondary" gutterBottom>{item.label}</Typography>
+                    <Typography variant="h4" sx={{ fontWeight: 'bold', color: '#1976d2' }}>{item.value}</Typography>
+                  </CardContent>
+                </Card>
+              </Box>
+            ))}
+          </Box>
+
+          {total === 0 ? (
+            <Alert severity="info">Không có lượt làm nào phù hợp với bộ lọc.</Alert>
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: '2%', mb: 3 }}>
+                <Box sx={{ width: '49%' }}>
+                  <Paper sx={{ p: 3, height: '400px', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                    <Typography variant="h6" gutterBottom sx={{ textAlign: 'center', mb: 2 }}>
+                      Phân bố điểm
+                    </Typography>
+                    <ResponsiveContainer width="100%" height="85%">
+                      <BarChart data={analytics.scoreHistogram.map(bucket => ({ ...bucket, name: getBucketLabel(bucket) }))}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#eee" />
+                        <XAxis dataKey="name" />
+                        <YAxis allowDecimals={false} />
+                        <Tooltip />
+                        <Bar dataKey="count" fill="#1976d2" name="Số lượt" radius={[4, 4, 0, 0]} />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </Paper>
+                </Box>
+                <Box sx={{ width: '49%' }}>
+                  <Paper sx={{ p: 3, height: '400px', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                    <Typography variant="h6" gutterBottom sx={{ textAlign: 'center', mb: 2 }}>
+                      Tỉ lệ theo mức nguy cơ
+                    </Typography>
+                    <ResponsiveContainer width="100%" height="85%">
+                      <PieChart>
+                        <Pie
+                          data={bandData.map(band => ({ name: getBandLabel(band), value: band.count }))}
+                          dataKey="value"
+                          nameKey="name"
+                          outerRadius="70%"
+                          label={({ value }) => formatPercent(value, total)}
+                        >
+                          {bandData.map((band, index) => (
+                            <Cell key={index} fill={getBandColor(band, index)} />
+                          ))}
+                        </Pie>
+                        <Tooltip />
+                        <Legend />
+                      </PieChart>
+                    </ResponsiveContainer>
+                  </Paper>
+                </Box>
+              </Box>
+
+              <Paper sx={{ p: 3, height: '360px', mb: 3, boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                <Typography variant="h6" gutterBottom sx={{ textAlign: 'center', mb: 2 }}>
+                  Xu hướng theo tuần
+                </Typography>
+                <ResponsiveContainer width="100%" height="85%">
+                  <LineChart data={analytics.weeklyTrend}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#eee" />
+                    <XAxis dataKey="weekStart" />
+                    <YAxis yAxisId="responses" allowDecimals={false} />
+                    <YAxis yAxisId="score" orientation="right" />
+                    <Tooltip />
+                    <Legend />
+                    <Line yAxisId="responses" type="monotone" dataKey="responses" stroke="#1976d2" name="Số lượt" />
+                    <Line yAxisId="score" type="monotone" dataKey="averageScore" stroke="#f44336" name="Điểm trung bình" connectNulls />
+                  </LineChart>
+                </ResponsiveContainer>
+              </Paper>
+
+              <Typography variant="h6" sx={{ fontWeight: 'bold', mb: 2 }}>
+                Phân bố đáp án theo câu hỏi
+              </Typography>
+              {analytics.questions.map((question, index) => (
+                <Paper
+                  key={question.questionId}
+                  sx={{ p: 2, mb: 2, boxShadow: '0 4px 6px rgba(0,0,0,0.1)', breakInside: 'avoid' }}
+                >
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                    Câu {index + 1}: {question.questionText}
+                  </Typography>
+                  <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+                    {question.sectionName} · {question.answeredCount} người trả lời
+                  </Typography>
+                  {question.options.length > 0 ? (
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell width="60%" sx={{ fontWeight: 'bold' }}>Đáp án</TableCell>
+                            <TableCell width="20%" sx={{ fontWeight: 'bold' }}>Số lượt chọn</TableCell>
+                            <TableCell width="20%" sx={{ fontWeight: 'bold' }}>Tỉ lệ</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {question.options.map(option => (
+                            <TableRow key={option.optionId}>
+                              <TableCell>{option.optionText}</TableCell>
+                              <TableCell>{option.count}</TableCell>
+                              <TableCell>{formatPercent(option.count, question.answeredCount)}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  ) : (
+                    <Typography variant="body2" color="textSecondary">
+                      Câu hỏi trả lời tự do, không có thống kê đáp án.
+                    </Typography>
+                  )}
+                </Paper>
+              ))}
+            </>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -33,7 +33,7 @@ import {
   Search as SearchIcon,
   Topic as TopicIcon
 } from '@mui/icons-material';
-import { getAccessToken } from '../../utils/auth';
+import { isCancelledError } from '@dupss/api-client';
 import apiClient from '../../services/apiService';
 
 export default function Topic() {
@@ -70,7 +70,9 @@ export default function Topic() {
 
   // Fetch all topics on component mount
   useEffect(() => {
-    fetchTopics();
+    const controller = new AbortController();
+    fetchTopics(controller.signal);
+    return () => controller.abort();
   }, []);
 
   // Function to parse different date formats
@@ -99,24 +101,21 @@ export default function Topic() {
   }, [topics, sortOption, searchTerm]);
 
   // Fetch topics from API - chỉ dùng khi component mount
-  const fetchTopics = async () => {
+  const fetchTopics = async (signal) => {
     setLoading(true);
     try {
       // Mặc định ban đầu hiển thị tất cả chủ đề
       let response;
       if (filterOption === 'my-topics') {
-        response = await apiClient.get('/topics/me', {
-          headers: { Authorization: `Bearer ${getAccessToken()}` }
-        });
+        response = await apiClient.get('/topics/me', { signal });
       } else {
-        response = await apiClient.get('/topics', {
-          headers: { Authorization: `Bearer ${getAccessToken()}` }
-        });
+        response = await apiClient.get('/topics', { signal });
       }
       
       setTopics(response.data);
       setError(null);
     } catch (err) {
+      if (isCancelledError(err)) return;
       console.error('Error fetching topics:', err);
       setError(
         err.response?.data?.message ||
@@ -124,7 +123,9 @@ export default function Topic() {
         'Đã xảy ra lỗi khi tải danh sách chủ đề'
       );
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -279,11 +280,6 @@ export default function Topic() {
           {
             name: editDialog.name,
             description: editDialog.description
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${getAccessToken()}`
-            }
           }
         );
 
@@ -309,11 +305,6 @@ export default function Topic() {
           {
             name: editDialog.name,
             description: editDialog.description
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${getAccessToken()}`
-            }
           }
         );
 
@@ -343,11 +334,7 @@ export default function Topic() {
         });
       } else if (confirmDialog.type === 'delete') {
         // Delete topic using PATCH to update status
-        await apiClient.patch(`/manager/topic/delete/${confirmDialog.topicId}`, {}, {
-          headers: {
-            Authorization: `Bearer ${getAccessToken()}`
-          }
-        });
+        await apiClient.patch(`/manager/topic/delete/${confirmDialog.topicId}`, {});
 
         // Update local state
         setTopics(topics.filter(topic => topic.id !== confirmDialog.topicId));
@@ -395,14 +382,10 @@ export default function Topic() {
       
       if (value === 'my-topics') {
         // Lấy chỉ chủ đề của tôi
-        response = await apiClient.get('/topics/me', {
-          headers: { Authorization: `Bearer ${getAccessToken()}` }
-        });
+        response = await apiClient.get('/topics/me');
       } else {
         // Lấy tất cả chủ đề
-        response = await apiClient.get('/topics', {
-          headers: { Authorization: `Bearer ${getAccessToken()}` }
-        });
+        response = await apiClient.get('/topics');
       }
       
       setTopics(response.data);
@@ -22,11 +22,8 @@ import {
   Visibility as VisibilityIcon,
   Description as DescriptionIcon
 } from '@mui/icons-material';
-import axios from 'axios';
 import { Editor } from '@tinymce/tinymce-react';
-import { getAccessToken } from '../../utils/auth';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
 
 const CreateBlog = () => {
   const editorRef = useRef(null);
@@ -151,8 +148,6 @@ const CreateBlog = () => {
     }
     
     try {
-      const token = getAccessToken();
-      
       // Log what's being sent for debugging
       console.log('Sending blog with data:', {
         title: blog.title,
@@ -162,13 +157,7 @@ const CreateBlog = () => {
         hasImage: !!blog.image
       });
       
-      // Use apiClient with proper URL
-      const response = await axios.post(`${API_URL}/staff/blog`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await apiClient.post('/staff/blog', formData);
       
       console.log('Blog creation successful:', response.data);
       
@@ -13,7 +13,9 @@ import {
   Paper,
   ToggleButtonGroup,
   ToggleButton,
-  CircularProgress
+  CircularProgress,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -21,14 +23,41 @@ import {
   Save as SaveIcon,
   Close as CloseIcon,
   Edit as EditIcon,
-  Code as CodeIcon
+  Code as CodeIcon,
+  UploadFile as UploadFileIcon
 } from '@mui/icons-material';
-import axios from 'axios';
 // Import TinyMCE Editor - need to install: npm install @tinymce/tinymce-react
 import { Editor } from '@tinymce/tinymce-react';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
-import { getAccessToken } from '../../utils/auth';
+import {
+  LESSON_MEDIA_ACCEPT,
+  LESSON_MEDIA_LABELS,
+  uploadLessonMedia,
+  isVideoLesson,
+  validateLessonDurations,
+  formatLessonDuration
+} from '../../services/courseMediaService';
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_CHOICES,
+  getQuestionType,
+  createOption,
+  changeQuestionType,
+  toNumericBandRequest,
+  validateQuestionTypes
+} from '../../utils/questionTypes';
+import {
+  EMPTY_QUIZ_SETTINGS,
+  toQuizSettingsRequest,
+  toDrawCountRequest,
+  validateQuizSettings
+} from '../../utils/quizSettings';
+import {
+  getLessonReferenceChoices,
+  referenceKeyOf,
+  fromReferenceKey,
+  toLessonReferenceRequest
+} from '../../utils/quizReview';
 
 // API Base URL - adjust this based on your backend configuration
 // const API_BASE_URL = 'http://localhost:8080'; // Update this to match your backend URL
@@ -70,11 +99,13 @@ const CreateCourse = () => {
     description: '',
     content: '',
     duration: 0,
+    videoCompletionThreshold: 80,
     coverImage: null,
     modules: [],
     quiz: {
       sections: [],
-      conditions: []
+      conditions: [],
+      ...EMPTY_QUIZ_SETTINGS
     }
   });
 
@@ -85,6 +116,8 @@ const CreateCourse = () => {
   const [lastSaved, setLastSaved] = useState(null);
   const [apiError, setApiError] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Bài học đang tải tệp lên, dạng `${moduleIndex}-${videoIndex}`
+  const [uploadingLesson, setUploadingLesson] = useState(null);
 
   // UI visibility states
   const [showQuizSection, setShowQuizSection] = useState(false);
@@ -191,7 +224,8 @@ const CreateCourse = () => {
     if (savedDraft) {
       try {
         const parsedDraft = JSON.parse(savedDraft);
-        setCourse(parsedDraft);
+        // Bản nháp cũ có thể thiếu các trường mới, giữ giá trị mặc định cho các trường đó
+        setCourse(prev => ({ ...prev, ...parsedDraft, quiz: { ...prev.quiz, ...parsedDraft.quiz } }));
         if (parsedDraft.coverImage && parsedDraft.imagePreview) {
           setImagePreview(parsedDraft.imagePreview);
         }
@@ -305,13 +339,13 @@ const CreateCourse = () => {
     });
   };
 
-  const updateVideo = (moduleIndex, videoIndex, field, value) => {
+  const updateVideoFields = (moduleIndex, videoIndex, fields) => {
     setCourse(prev => {
       const updatedModules = [...prev.modules];
       const updatedVideos = [...updatedModules[moduleIndex].videos];
       updatedVideos[videoIndex] = {
         ...updatedVideos[videoIndex],
-        [field]: value
+        ...fields
       };
       updatedModules[moduleIndex] = {
         ...updatedModules[moduleIndex],
@@ -321,6 +355,33 @@ const CreateCourse = () => {
     });
   };
 
+  const updateVideo = (moduleIndex, videoIndex, field, value) => {
+    // Nhập link mới thì bỏ loại nội dung và thời lượng của tệp đã tải lên trước đó, backend tự nhận diện lại
+    updateVideoFields(moduleIndex, videoIndex, field === 'videoUrl'
+      ? { videoUrl: value, mediaType: null, durationSeconds: null }
+      : { [field]: value });
+  };
+
+  // Tải video/tài liệu bài học lên rồi điền đường dẫn nhận được vào bài học
+  const handleLessonMediaUpload = async (moduleIndex, videoIndex, file) => {
+    if (!file) return;
+    setUploadingLesson(`${moduleIndex}-${videoIndex}`);
+    try {
+      const media = await uploadLessonMedia(file);
+      updateVideoFields(moduleIndex, videoIndex, {
+        videoUrl: media.url,
+        mediaType: media.mediaType,
+        durationSeconds: media.durationSeconds
+      });
+      showSnackbar(`Đã tải lên ${media.fileName}`, 'success');
+    } catch (error) {
+      console.error('Error uploading lesson media:', error);
+      showSnackbar(error.message || 'Tải tệp lên thất bại', 'error');
+    } finally {
+      setUploadingLesson(null);
+    }
+  };
+
   const deleteVideo = (moduleIndex, videoIndex) => {
     setCourse(prev => {
       const updatedModules = [...prev.modules];
@@ -334,6 +395,48 @@ const CreateCourse = () => {
     });
   };
 
+  // Cập nhật cấu hình lượt làm bài của quiz
+  const updateQuizSettings = (field, value) => {
+    setCourse(prev => ({
+      ...prev,
+      quiz: {
+        ...prev.quiz,
+        [field]: value
+      }
+    }));
+  };
+
+  // Cập nhật một câu hỏi của quiz (đổi loại câu hỏi, khoảng điểm của đáp án)
+  const updateQuizQuestion = (sectionIndex, questionIndex, updater) => {
+    const updatedSections = [...(course.quiz?.sections || [])];
+    updatedSections[sectionIndex].questions[questionIndex] =
+      updater(updatedSections[sectionIndex].questions[questionIndex]);
+    setCourse(prev => ({
+      ...prev,
+      quiz: {
+        ...prev.quiz,
+        sections: updatedSections
+      }
+    }));
+  };
+
+  // Cập nhật giải thích/bài học liên quan của một đáp án
+  const updateQuizOption = (sectionIndex, questionIndex, optionIndex, fields) => {
+    updateQuizQuestion(sectionIndex, questionIndex, question => ({
+      ...question,
+      options: question.options.map((option, index) => (index === optionIndex ? { ...option, ...fields } : option))
+    }));
+  };
+
+  const updateQuizOptionBand = (sectionIndex, questionIndex, optionIndex, field, value) => {
+    updateQuizQuestion(sectionIndex, questionIndex, question => ({
+      ...question,
+      options: question.options.map((option, index) =>
+        index === optionIndex ? { ...option, [field]: value === '' ? '' : parseFloat(value) } : option
+      )
+    }));
+  };
+
   // Snackbar management
   const showSnackbar = (message, severity = 'success') => {
     setSnackbar({ open: true, message, severity });
@@ -355,6 +458,24 @@ const CreateCourse = () => {
       return;
     }
 
+    const questionTypeError = validateQuestionTypes(course.quiz?.sections || []);
+    if (questionTypeError) {
+      showSnackbar(questionTypeError, 'error');
+      return;
+    }
+
+    const quizSettingsError = validateQuizSettings(course.quiz || {});
+    if (quizSettingsError) {
+      showSnackbar(quizSettingsError, 'error');
+      return;
+    }
+
+    const lessonDurationError = validateLessonDurations(course.modules);
+    if (lessonDurationError) {
+      showSnackbar(lessonDurationError, 'error');
+      return;
+    }
+
     // Set submitting state
     setIsSubmitting(true);
     // Show processing notification
@@ -362,7 +483,6 @@ const CreateCourse = () => {
 
     try {
       setIsSubmitting(true);
-      const token = getAccessToken();
       
       // Build the final data structure based on all collected course information
       const courseData = {
@@ -371,6 +491,7 @@ const CreateCourse = () => {
         description: course.description,
         content: currentContent,
         duration: course.duration,
+        videoCompletionThreshold: course.videoCompletionThreshold,
         coverImage: course.coverImage,
         modules: course.modules,
         quiz: course.quiz
@@ -383,6 +504,7 @@ const CreateCourse = () => {
       formData.append('description', courseData.description);
       formData.append('content', courseData.content);
       formData.append('duration', courseData.duration);
+      formData.append('videoCompletionThreshold', courseData.videoCompletionThreshold);
       
       if (courseData.coverImage) {
         formData.append('coverImage', courseData.coverImage);
@@ -397,16 +519,24 @@ const CreateCourse = () => {
           title: courseData.title,
           description: courseData.description,
           imageCover: courseData.coverImage ? courseData.coverImage.name : "",
+          ...toQuizSettingsRequest(courseData.quiz),
           sections: courseData.quiz.sections.map(section => ({
             sectionId: section.sectionId || null,
             sectionName: section.sectionName,
+            drawCount: toDrawCountRequest(section),
             questions: section.questions.map(question => ({
               questionId: question.questionId || null,
               questionText: question.questionText,
+              questionType: getQuestionType(question),
+              explanation: question.explanation || null,
+              reference: toLessonReferenceRequest(question.reference, courseData.modules),
               options: question.options.map(option => ({
                 optionId: option.optionId || null,
                 optionText: option.optionText,
-                score: option.score
+                score: option.score,
+                ...toNumericBandRequest(question, option),
+                explanation: option.explanation || null,
+                reference: toLessonReferenceRequest(option.reference, courseData.modules)
               }))
             }))
           })),
@@ -423,20 +553,7 @@ const CreateCourse = () => {
       // Log for debugging
       console.log('Submitting course form data with modules:', courseData.modules.length);
 
-      // Set header for multipart form data
-      const config = {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-      
-      // Use the API_URL with axios (since apiClient doesn't handle FormData well)
-      const submitUrl = `${API_URL}/staff/course`;
-      console.log('Submitting to URL:', submitUrl);
-      
-      // Using axios directly here because we need to handle FormData with specific config
-      const response = await axios.post(submitUrl, formData, config);
+      const response = await apiClient.post('/staff/course', formData);
       
       console.log('Course creation response:', response);
       showSnackbar('Khóa học đã được tạo thành công!', 'success');
@@ -449,11 +566,13 @@ const CreateCourse = () => {
         description: '',
         content: '',
         duration: 0,
+        videoCompletionThreshold: 80,
         coverImage: null,
         modules: [],
         quiz: {
           sections: [],
-          conditions: []
+          conditions: [],
+          ...EMPTY_QUIZ_SETTINGS
         }
       });
       setImagePreview(null);
@@ -710,6 +829,28 @@ const CreateCourse = () => {
           }}
         />
         
+        {/* Ngưỡng hoàn thành video */}
+        <TextField
+          fullWidth
+          label="Ngưỡng hoàn thành video (%)"
+          name="videoCompletionThreshold"
+          type="number"
+          value={course.videoCompletionThreshold}
+          onChange={handleChange}
+          variant="outlined"
+          helperText="Học viên phải thực sự xem ít nhất bấy nhiêu phần trăm thời lượng (không tính phần tua qua) thì video mới được tính là đã xem"
+          InputProps={{
+            inputProps: { min: 1, max: 100 }
+          }}
+          sx={{ 
+            mb: 4,
+            '& .MuiOutlinedInput-root': {
+              backgroundColor: 'white',
+              borderRadius: 1
+            }
+          }}
+        />
+        
         <Divider sx={{ my: 3 }} />
         
         {/* Modules section */}
@@ -836,6 +977,7 @@ const CreateCourse = () => {
                     value={video.videoUrl}
                     onChange={(e) => updateVideo(moduleIndex, videoIndex, 'videoUrl', e.target.value)}
                     variant="outlined"
+                    helperText="Dán link YouTube hoặc tải lên video MP4/WebM/MOV (tối đa 200MB), tài liệu PDF/PPT/PPTX (tối đa 20MB)"
                     sx={{ 
                       '& .MuiOutlinedInput-root': {
                         backgroundColor: 'white',
@@ -843,6 +985,53 @@ const CreateCourse = () => {
                       }
                     }}
                   />
+
+                  {isVideoLesson(video) && (
+                    <TextField
+                      type="number"
+                      label="Thời lượng video (giây)"
+                      value={video.durationSeconds ?? ''}
+                      onChange={(e) => updateVideoFields(moduleIndex, videoIndex, {
+                        durationSeconds: e.target.value === '' ? null : Number(e.target.value)
+                      })}
+                      required
+                      size="small"
+                      inputProps={{ min: 1 }}
+                      helperText={Number(video.durationSeconds) > 0
+                        ? `${formatLessonDuration(video.durationSeconds)} - dùng để tính tiến độ xem của học viên`
+                        : 'Bắt buộc với video để tính tiến độ xem của học viên'}
+                      sx={{ mt: 1, width: 320, '& .MuiOutlinedInput-root': { backgroundColor: 'white' } }}
+                    />
+                  )}
+
+                  {/* Upload lesson video/document */}
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 1 }}>
+                    <Button
+                      component="label"
+                      variant="outlined"
+                      size="small"
+                      disabled={uploadingLesson !== null}
+                      startIcon={uploadingLesson === `${moduleIndex}-${videoIndex}`
+                        ? <CircularProgress size={16} />
+                        : <UploadFileIcon />}
+                    >
+                      {uploadingLesson === `${moduleIndex}-${videoIndex}` ? 'Đang tải lên...' : 'Tải video/tài liệu lên'}
+                      <input
+                        hidden
+                        type="file"
+                        accept={LESSON_MEDIA_ACCEPT}
+                        onChange={(e) => {
+                          handleLessonMediaUpload(moduleIndex, videoIndex, e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </Button>
+                    {video.mediaType && (
+                      <Typography variant="caption" color="text.secondary">
+                        {LESSON_MEDIA_LABELS[video.mediaType]}
+                      </Typography>
+                    )}
+                  </Box>
                 </Box>
               ))}
             </Box>
@@ -896,6 +1085,53 @@ const CreateCourse = () => {
           
           {showQuizSection && course.quiz && (
             <Box>
+              {/* Cấu hình lượt làm bài, để trống là không giới hạn */}
+              <Grid container spacing={2} sx={{ mb: 3 }}>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Thời gian làm bài (phút)"
+                    value={course.quiz.timeLimitMinutes ?? ''}
+                    onChange={(e) => updateQuizSettings('timeLimitMinutes', e.target.value)}
+                    inputProps={{ min: 1 }}
+                    helperText="Hết giờ bài làm được nộp tự động"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Số lượt làm tối đa"
+                    value={course.quiz.maxAttempts ?? ''}
+                    onChange={(e) => updateQuizSettings('maxAttempts', e.target.value)}
+                    inputProps={{ min: 1 }}
+                    helperText="Để trống nếu không giới hạn"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Thời gian chờ giữa hai lượt (phút)"
+                    value={course.quiz.attemptCooldownMinutes ?? ''}
+                    onChange={(e) => updateQuizSettings('attemptCooldownMinutes', e.target.value)}
+                    inputProps={{ min: 0 }}
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={Boolean(course.quiz.shuffleOptions)}
+                        onChange={(e) => updateQuizSettings('shuffleOptions', e.target.checked)}
+                      />
+                    }
+                    label="Xáo trộn thứ tự đáp án của câu hỏi trắc nghiệm"
+                  />
+                </Grid>
+              </Grid>
+
               {/* Quiz Sections */}
               {course.quiz.sections.map((section, sectionIndex) => (
                 <Box 
@@ -951,6 +1187,28 @@ const CreateCourse = () => {
                     variant="outlined"
                     sx={{ mb: 2 }}
                   />
+
+                  {/* Số câu rút ngẫu nhiên từ các câu hỏi của section cho mỗi lượt làm bài */}
+                  <TextField
+                    type="number"
+                    label="Số câu rút ngẫu nhiên"
+                    value={section.drawCount ?? ''}
+                    onChange={(e) => {
+                      const updatedSections = [...(course.quiz?.sections || [])];
+                      updatedSections[sectionIndex] = { ...updatedSections[sectionIndex], drawCount: e.target.value };
+                      setCourse(prev => ({
+                        ...prev,
+                        quiz: {
+                          ...prev.quiz,
+                          sections: updatedSections
+                        }
+                      }));
+                    }}
+                    inputProps={{ min: 1, max: section.questions?.length || undefined }}
+                    helperText={`Để trống để dùng cả ${section.questions?.length || 0} câu hỏi`}
+                    size="small"
+                    sx={{ mb: 2, width: 280 }}
+                  />
                   
                   {/* Add Question Button */}
                   <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
@@ -967,6 +1225,7 @@ const CreateCourse = () => {
                         updatedSections[sectionIndex].questions.push({
                           questionId: null,
                           questionText: '',
+                          questionType: QUESTION_TYPES.SINGLE_CHOICE,
                           options: []
                         });
                         setCourse(prev => ({
@@ -1039,117 +1298,222 @@ const CreateCourse = () => {
                         sx={{ mb: 2 }}
                       />
                       
-                      {/* Add Option Button */}
-                      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
-                        <Button 
+                      {/* Question Type */}
+                      <TextField
+                        select
+                        label="Loại câu hỏi"
+                        value={getQuestionType(question)}
+                        onChange={(e) => updateQuizQuestion(sectionIndex, questionIndex,
+                          current => changeQuestionType(current, e.target.value))}
+                        variant="outlined"
+                        sx={{ mb: 2, minWidth: '280px' }}
+                      >
+                        {QUESTION_TYPE_CHOICES.map(choice => (
+                          <MenuItem key={choice.value} value={choice.value}>
+                            {choice.label}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+
+                      {/* Giải thích và bài học liên quan, hiển thị khi người học xem lại bài làm */}
+                      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+                        <TextField
+                          label="Giải thích đáp án"
+                          value={question.explanation || ''}
+                          onChange={(e) => updateQuizQuestion(sectionIndex, questionIndex,
+                            current => ({ ...current, explanation: e.target.value }))}
                           variant="outlined"
-                          size="small"
-                          onClick={() => {
-                            const updatedSections = [...(course.quiz?.sections || [])];
-                            if (!updatedSections[sectionIndex].questions[questionIndex].options) {
-                              updatedSections[sectionIndex].questions[questionIndex].options = [];
-                            }
-                            updatedSections[sectionIndex].questions[questionIndex].options.push({
-                              optionId: null,
-                              optionText: '',
-                              score: 0
-                            });
-                            setCourse(prev => ({
-                              ...prev,
-                              quiz: {
-                                ...prev.quiz,
-                                sections: updatedSections
-                              }
-                            }));
-                          }}
+                          multiline
+                          minRows={2}
+                          inputProps={{ maxLength: 2000 }}
+                          sx={{ flex: '1 1 320px' }}
+                        />
+                        <TextField
+                          select
+                          label="Bài học liên quan"
+                          value={referenceKeyOf(question.reference, course.modules)}
+                          onChange={(e) => updateQuizQuestion(sectionIndex, questionIndex,
+                            current => ({ ...current, reference: fromReferenceKey(e.target.value) }))}
+                          variant="outlined"
+                          sx={{ flex: '0 1 280px' }}
                         >
-                          Add option
-                        </Button>
+                          <MenuItem value="">Không</MenuItem>
+                          {getLessonReferenceChoices(course.modules).map(choice => (
+                            <MenuItem key={choice.value} value={choice.value} sx={{ pl: choice.isModule ? 2 : 4 }}>
+                              {choice.label}
+                            </MenuItem>
+                          ))}
+                        </TextField>
                       </Box>
                       
-                      {/* Options */}
-                      {question.options && question.options.map((option, optionIndex) => (
-                        <Box 
-                          key={optionIndex}
-                          sx={{ 
-                            mb: 2, 
-                            display: 'flex',
-                            alignItems: 'center',
-                            gap: 2
-                          }}
-                        >
-                          {/* Option Text */}
-                          <TextField
-                            fullWidth
-                            label="Textfield của option_text"
-                            value={option.optionText}
-                            onChange={(e) => {
-                              const updatedSections = [...(course.quiz?.sections || [])];
-                              if (updatedSections[sectionIndex] && 
-                                  updatedSections[sectionIndex].questions && 
-                                  updatedSections[sectionIndex].questions[questionIndex] &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options[optionIndex]) {
-                                updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].optionText = e.target.value;
-                                setCourse(prev => ({
-                                  ...prev,
-                                  quiz: {
-                                    ...prev.quiz,
-                                    sections: updatedSections
-                                  }
-                                }));
-                              }
-                            }}
-                            variant="outlined"
-                          />
-                          
-                          {/* Option Score */}
-                          <TextField
-                            label="Textfield int score"
-                            type="number"
-                            value={option.score}
-                            onChange={(e) => {
-                              const updatedSections = [...(course.quiz?.sections || [])];
-                              if (updatedSections[sectionIndex] && 
-                                  updatedSections[sectionIndex].questions && 
-                                  updatedSections[sectionIndex].questions[questionIndex] &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options) {
-                                updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].score = parseInt(e.target.value, 10) || 0;
-                                setCourse(prev => ({
-                                  ...prev,
-                                  quiz: {
-                                    ...prev.quiz,
-                                    sections: updatedSections
-                                  }
-                                }));
-                              }
-                            }}
+                      {/* Add Option Button */}
+                      {getQuestionType(question) === QUESTION_TYPES.FREE_TEXT ? (
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                          Câu hỏi tự luận không có đáp án và không tính điểm.
+                        </Typography>
+                      ) : (
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                          <Button 
                             variant="outlined"
-                            sx={{ width: '150px' }}
-                          />
-                          
-                          {/* Delete Option Button */}
-                          <IconButton
                             size="small"
                             onClick={() => {
                               const updatedSections = [...(course.quiz?.sections || [])];
-                              if (updatedSections[sectionIndex] && 
-                                  updatedSections[sectionIndex].questions && 
-                                  updatedSections[sectionIndex].questions[questionIndex] &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options) {
-                                updatedSections[sectionIndex].questions[questionIndex].options.splice(optionIndex, 1);
-                                setCourse(prev => ({
-                                  ...prev,
-                                  quiz: {
-                                    ...prev.quiz,
-                                    sections: updatedSections
-                                  }
-                                }));
+                              if (!updatedSections[sectionIndex].questions[questionIndex].options) {
+                                updatedSections[sectionIndex].questions[questionIndex].options = [];
                               }
+                              updatedSections[sectionIndex].questions[questionIndex].options.push(
+                                createOption(getQuestionType(updatedSections[sectionIndex].questions[questionIndex]))
+                              );
+                              setCourse(prev => ({
+                                ...prev,
+                                quiz: {
+                                  ...prev.quiz,
+                                  sections: updatedSections
+                                }
+                              }));
                             }}
                           >
-                            <DeleteIcon fontSize="small" />
-                          </IconButton>
+                            {getQuestionType(question) === QUESTION_TYPES.NUMERIC ? 'Add score band' : 'Add option'}
+                          </Button>
+                        </Box>
+                      )}
+                      
+                      {/* Options */}
+                      {question.options && question.options.map((option, optionIndex) => (
+                        <Box key={optionIndex} sx={{ mb: 2 }}>
+                          <Box 
+                            sx={{ 
+                              display: 'flex',
+                              alignItems: 'center',
+                              gap: 2
+                            }}
+                          >
+                            {/* Option Text */}
+                            <TextField
+                              fullWidth
+                              label="Textfield của option_text"
+                              value={option.optionText}
+                              onChange={(e) => {
+                                const updatedSections = [...(course.quiz?.sections || [])];
+                                if (updatedSections[sectionIndex] && 
+                                    updatedSections[sectionIndex].questions && 
+                                    updatedSections[sectionIndex].questions[questionIndex] &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options[optionIndex]) {
+                                  updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].optionText = e.target.value;
+                                  setCourse(prev => ({
+                                    ...prev,
+                                    quiz: {
+                                      ...prev.quiz,
+                                      sections: updatedSections
+                                    }
+                                  }));
+                                }
+                              }}
+                              variant="outlined"
+                            />
+                          
+                            {/* Numeric Band */}
+                            {getQuestionType(question) === QUESTION_TYPES.NUMERIC && (
+                              <>
+                                <TextField
+                                  label="Từ"
+                                  type="number"
+                                  value={option.minValue ?? ''}
+                                  onChange={(e) => updateQuizOptionBand(sectionIndex, questionIndex, optionIndex, 'minValue', e.target.value)}
+                                  variant="outlined"
+                                  sx={{ width: '120px' }}
+                                />
+                                <TextField
+                                  label="Đến"
+                                  type="number"
+                                  value={option.maxValue ?? ''}
+                                  onChange={(e) => updateQuizOptionBand(sectionIndex, questionIndex, optionIndex, 'maxValue', e.target.value)}
+                                  variant="outlined"
+                                  sx={{ width: '120px' }}
+                                />
+                              </>
+                            )}
+                          
+                            {/* Option Score */}
+                            <TextField
+                              label="Textfield int score"
+                              type="number"
+                              value={option.score}
+                              onChange={(e) => {
+                                const updatedSections = [...(course.quiz?.sections || [])];
+                                if (updatedSections[sectionIndex] && 
+                                    updatedSections[sectionIndex].questions && 
+                                    updatedSections[sectionIndex].questions[questionIndex] &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options) {
+                                  updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].score = parseInt(e.target.value, 10) || 0;
+                                  setCourse(prev => ({
+                                    ...prev,
+                                    quiz: {
+                                      ...prev.quiz,
+                                      sections: updatedSections
+                                    }
+                                  }));
+                                }
+                              }}
+                              variant="outlined"
+                              sx={{ width: '150px' }}
+                            />
+                          
+                            {/* Delete Option Button */}
+                            <IconButton
+                              size="small"
+                              onClick={() => {
+                                const updatedSections = [...(course.quiz?.sections || [])];
+                                if (updatedSections[sectionIndex] && 
+                                    updatedSections[sectionIndex].questions && 
+                                    updatedSections[sectionIndex].questions[questionIndex] &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options) {
+                                  updatedSections[sectionIndex].questions[questionIndex].options.splice(optionIndex, 1);
+                                  setCourse(prev => ({
+                                    ...prev,
+                                    quiz: {
+                                      ...prev.quiz,
+                                      sections: updatedSections
+                                    }
+                                  }));
+                                }
+                              }}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Box>
+
+                          {/* Giải thích riêng của đáp án */}
+                          <Box sx={{ display: 'flex', gap: 2, mt: 1, pl: 2 }}>
+                            <TextField
+                              size="small"
+                              label="Giải thích đáp án này"
+                              value={option.explanation || ''}
+                              onChange={(e) => updateQuizOption(sectionIndex, questionIndex, optionIndex,
+                                { explanation: e.target.value })}
+                              variant="outlined"
+                              inputProps={{ maxLength: 2000 }}
+                              sx={{ flex: 1 }}
+                            />
+                            <TextField
+                              select
+                              size="small"
+                              label="Bài học liên quan"
+                              value={referenceKeyOf(option.reference, course.modules)}
+                              onChange={(e) => updateQuizOption(sectionIndex, questionIndex, optionIndex,
+                                { reference: fromReferenceKey(e.target.value) })}
+                              variant="outlined"
+                              sx={{ width: '240px' }}
+                            >
+                              <MenuItem value="">Không</MenuItem>
+                              {getLessonReferenceChoices(course.modules).map(choice => (
+                                <MenuItem key={choice.value} value={choice.value} sx={{ pl: choice.isModule ? 2 : 4 }}>
+                                  {choice.label}
+                                </MenuItem>
+                              ))}
+                            </TextField>
+                          </Box>
                         </Box>
                       ))}
                     </Box>
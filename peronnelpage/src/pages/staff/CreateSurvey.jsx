@@ -18,11 +18,37 @@ import {
   Save as SaveIcon,
   Close as CloseIcon
 } from '@mui/icons-material';
-import axios from 'axios';
 import { Editor } from '@tinymce/tinymce-react';
-import { getAccessToken, checkAndRefreshToken } from '../../utils/auth';
+import { checkAndRefreshToken } from '../../utils/auth';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
+import {
+  getBranchChoices,
+  getBranchSelectValue,
+  parseBranchSelectValue,
+  remapBranchTargetsAfterDelete,
+  toBranchRequest,
+  BRANCH_NEXT_SECTION
+} from '../../utils/surveyBranching';
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_CHOICES,
+  getQuestionType,
+  createOption,
+  changeQuestionType,
+  toNumericBandRequest,
+  validateQuestionTypes
+} from '../../utils/questionTypes';
+import {
+  CONDITION_OPERATOR_CHOICES,
+  RISK_LEVEL_CHOICES,
+  OPERATOR_RANGE,
+  SCORING_CHECK_DELAY,
+  createCondition,
+  changeConditionOperator,
+  toConditionRequest,
+  getQuestionWeight,
+  parseQuestionWeight
+} from '../../utils/surveyScoring';
 
 const CreateSurvey = () => {
   const editorRef = useRef(null);
@@ -43,6 +69,8 @@ const CreateSurvey = () => {
   const [imagePreview, setImagePreview] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [loading, setLoading] = useState(false);
+  // Cảnh báo khoảng điểm chồng lấn/bỏ sót từ API kiểm tra điều kiện
+  const [scoringWarnings, setScoringWarnings] = useState([]);
 
   // Handle basic field changes
   const handleChange = (e) => {
@@ -97,6 +125,57 @@ const CreateSurvey = () => {
     }
   }, []);
 
+  // Create survey request object according to required format
+  const buildSurveyRequest = (description) => ({
+    title: survey.title,
+    description: description,
+    active: survey.active,
+    forCourse: survey.forCourse,
+    sections: survey.sections.map(section => ({
+      sectionId: section.sectionId || null,
+      sectionName: section.sectionName,
+      questions: section.questions.map(question => ({
+        questionId: question.questionId || null,
+        questionText: question.questionText,
+        questionType: getQuestionType(question),
+        weight: getQuestionWeight(question),
+        options: question.options.map(option => ({
+          optionId: option.optionId || null,
+          optionText: option.optionText,
+          score: option.score,
+          ...toNumericBandRequest(question, option),
+          ...toBranchRequest(option)
+        }))
+      }))
+    })),
+    conditions: survey.conditions.map(toConditionRequest)
+  });
+
+  // Kiểm tra khoảng điểm của các điều kiện mỗi khi câu hỏi/điều kiện thay đổi
+  useEffect(() => {
+    if (survey.conditions.length === 0) {
+      setScoringWarnings([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiClient.post('/staff/surveys/scoring-check', buildSurveyRequest(''));
+        if (!cancelled) {
+          setScoringWarnings(response.data || []);
+        }
+      } catch (error) {
+        console.error('Error checking scoring rules:', error);
+      }
+    }, SCORING_CHECK_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [survey.sections, survey.conditions]);
+
   // Submit form
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -113,6 +192,16 @@ const CreateSurvey = () => {
       return;
     }
 
+    const questionTypeError = validateQuestionTypes(survey.sections);
+    if (questionTypeError) {
+      setSnackbar({
+        open: true,
+        message: questionTypeError,
+        severity: 'error'
+      });
+      return;
+    }
+
     try {
       setLoading(true);
       
@@ -129,45 +218,7 @@ const CreateSurvey = () => {
         return;
       }
       
-      // Get fresh token after potential refresh
-      const accessToken = getAccessToken();
-      
-      if (!accessToken) {
-        setSnackbar({
-          open: true,
-          message: 'Không tìm thấy token xác thực. Vui lòng đăng nhập lại.',
-          severity: 'error'
-        });
-        setLoading(false);
-        return;
-      }
-      
-      // Create survey request object according to required format
-      const surveyRequest = {
-        title: survey.title,
-        description: currentContent,
-        active: survey.active,
-        forCourse: survey.forCourse,
-        sections: survey.sections.map(section => ({
-          sectionId: section.sectionId || null,
-          sectionName: section.sectionName,
-          questions: section.questions.map(question => ({
-            questionId: question.questionId || null,
-            questionText: question.questionText,
-            options: question.options.map(option => ({
-              optionId: option.optionId || null,
-              optionText: option.optionText,
-              score: option.score
-            }))
-          }))
-        })),
-        conditions: survey.conditions.map(condition => ({
-          conditionId: condition.conditionId || null,
-          operator: condition.operator,
-          value: condition.value,
-          message: condition.message
-        }))
-      };
+      const surveyRequest = buildSurveyRequest(currentContent);
       
       console.log('Sending survey data:', surveyRequest);
       
@@ -187,16 +238,7 @@ const CreateSurvey = () => {
         formData.append('coverImage', survey.imageCover);
       }
       
-      // Submit the survey using the project's authentication pattern
-      const response = await axios({
-        method: 'post',
-        url: `${API_URL}/staff/survey`,
-        data: formData,
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          'Authorization': `Bearer ${accessToken}`
-        }
-      });
+      const response = await apiClient.post('/staff/survey', formData);
       
       console.log('Response:', response.data);
       
@@ -279,6 +321,7 @@ const CreateSurvey = () => {
     updatedSections[sectionIndex].questions.push({
       questionId: null,
       questionText: '',
+      questionType: QUESTION_TYPES.SINGLE_CHOICE,
       options: []
     });
     
@@ -296,9 +339,9 @@ const CreateSurvey = () => {
     }
     
     updatedSections[sectionIndex].questions[questionIndex].options.push({
-      optionId: null,
-      optionText: '',
-      score: 0
+      ...createOption(getQuestionType(updatedSections[sectionIndex].questions[questionIndex])),
+      branchAction: BRANCH_NEXT_SECTION,
+      targetSectionIndex: null
     });
     
     setSurvey(prev => ({
@@ -315,12 +358,7 @@ const CreateSurvey = () => {
     
     setSurvey(prev => ({
       ...prev,
-      conditions: [...prev.conditions, {
-        conditionId: null,
-        message: '',
-        value: 0,
-        operator: '='
-      }]
+      conditions: [...prev.conditions, createCondition()]
     }));
   };
 
@@ -346,11 +384,40 @@ const CreateSurvey = () => {
     }));
   };
 
+  // Handle question type change
+  const updateQuestionType = (sectionIndex, questionIndex, questionType) => {
+    const updatedSections = [...survey.sections];
+    updatedSections[sectionIndex].questions[questionIndex] =
+      changeQuestionType(updatedSections[sectionIndex].questions[questionIndex], questionType);
+    
+    setSurvey(prev => ({
+      ...prev,
+      sections: updatedSections
+    }));
+  };
+
+  // Handle question weight change
+  const updateQuestionWeight = (sectionIndex, questionIndex, value) => {
+    const updatedSections = [...survey.sections];
+    updatedSections[sectionIndex].questions[questionIndex].weight = parseQuestionWeight(value);
+    
+    setSurvey(prev => ({
+      ...prev,
+      sections: updatedSections
+    }));
+  };
+
   // Handle option update
   const updateOption = (sectionIndex, questionIndex, optionIndex, field, value) => {
     const updatedSections = [...survey.sections];
-    updatedSections[sectionIndex].questions[questionIndex].options[optionIndex][field] = 
-      field === 'score' ? parseInt(value, 10) || 0 : value;
+    let parsedValue = value;
+    if (field === 'score') {
+      parsedValue = parseInt(value, 10) || 0;
+    } else if (field === 'minValue' || field === 'maxValue') {
+      // Giữ chuỗi rỗng để người dùng có thể xóa rồi nhập lại
+      parsedValue = value === '' ? '' : parseFloat(value);
+    }
+    updatedSections[sectionIndex].questions[questionIndex].options[optionIndex][field] = parsedValue;
     
     setSurvey(prev => ({
       ...prev,
@@ -358,10 +425,28 @@ const CreateSurvey = () => {
     }));
   };
 
+  // Handle option branching rule change
+  const updateOptionBranch = (sectionIndex, questionIndex, optionIndex, value) => {
+    const updatedSections = [...survey.sections];
+    Object.assign(
+      updatedSections[sectionIndex].questions[questionIndex].options[optionIndex],
+      parseBranchSelectValue(value)
+    );
+
+    setSurvey(prev => ({
+      ...prev,
+      sections: updatedSections
+    }));
+  };
+
   // Handle condition update
   const updateCondition = (index, field, value) => {
     const updatedConditions = [...survey.conditions];
-    updatedConditions[index][field] = field === 'value' ? parseInt(value, 10) || 0 : value;
+    if (field === 'operator') {
+      updatedConditions[index] = changeConditionOperator(updatedConditions[index], value);
+    } else {
+      updatedConditions[index][field] = field === 'value' || field === 'maxValue' ? parseInt(value, 10) || 0 : value;
+    }
     
     setSurvey(prev => ({
       ...prev,
@@ -371,8 +456,10 @@ const CreateSurvey = () => {
 
   // Handle delete section
   const deleteSection = (index) => {
-    const updatedSections = [...survey.sections];
-    updatedSections.splice(index, 1);
+    const remainingSections = [...survey.sections];
+    remainingSections.splice(index, 1);
+    // Giữ luật rẽ nhánh trỏ đúng section sau khi các vị trí bị dịch chuyển
+    const updatedSections = remapBranchTargetsAfterDelete(remainingSections, index);
     
     setSurvey(prev => ({
       ...prev,
@@ -661,16 +748,51 @@ const CreateSurvey = () => {
                         sx={{ mb: 2 }}
                       />
                       
-                      {/* Add Option Button */}
-                      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
-                        <Button 
+                      {/* Question Type */}
+                      <TextField
+                        select
+                        label="Loại câu hỏi"
+                        value={getQuestionType(question)}
+                        onChange={(e) => updateQuestionType(sectionIndex, questionIndex, e.target.value)}
+                        variant="outlined"
+                        sx={{ mb: 2, minWidth: '280px' }}
+                      >
+                        {QUESTION_TYPE_CHOICES.map(choice => (
+                          <MenuItem key={choice.value} value={choice.value}>
+                            {choice.label}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                      
+                      {/* Question Weight */}
+                      {getQuestionType(question) !== QUESTION_TYPES.FREE_TEXT && (
+                        <TextField
+                          label="Hệ số điểm"
+                          type="number"
+                          value={getQuestionWeight(question)}
+                          onChange={(e) => updateQuestionWeight(sectionIndex, questionIndex, e.target.value)}
                           variant="outlined"
-                          size="small"
-                          onClick={() => addOption(sectionIndex, questionIndex)}
-                        >
-                          Add option
-                        </Button>
-                      </Box>
+                          inputProps={{ min: 1 }}
+                          sx={{ mb: 2, ml: 2, width: '140px' }}
+                        />
+                      )}
+                      
+                      {/* Add Option Button */}
+                      {getQuestionType(question) === QUESTION_TYPES.FREE_TEXT ? (
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                          Câu hỏi tự luận không có đáp án và không tính điểm.
+                        </Typography>
+                      ) : (
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                          <Button 
+                            variant="outlined"
+                            size="small"
+                            onClick={() => addOption(sectionIndex, questionIndex)}
+                          >
+                            {getQuestionType(question) === QUESTION_TYPES.NUMERIC ? 'Add score band' : 'Add option'}
+                          </Button>
+                        </Box>
+                      )}
                       
                       {/* Options */}
                       {question.options && question.options.map((option, optionIndex) => (
@@ -692,6 +814,28 @@ const CreateSurvey = () => {
                             variant="outlined"
                           />
                           
+                          {/* Numeric Band */}
+                          {getQuestionType(question) === QUESTION_TYPES.NUMERIC && (
+                            <>
+                              <TextField
+                                label="Từ"
+                                type="number"
+                                value={option.minValue ?? ''}
+                                onChange={(e) => updateOption(sectionIndex, questionIndex, optionIndex, 'minValue', e.target.value)}
+                                variant="outlined"
+                                sx={{ width: '120px' }}
+                              />
+                              <TextField
+                                label="Đến"
+                                type="number"
+                                value={option.maxValue ?? ''}
+                                onChange={(e) => updateOption(sectionIndex, questionIndex, optionIndex, 'maxValue', e.target.value)}
+                                variant="outlined"
+                                sx={{ width: '120px' }}
+                              />
+                            </>
+                          )}
+                          
                           {/* Option Score */}
                           <TextField
                             label="Textfield int score"
@@ -702,6 +846,22 @@ const CreateSurvey = () => {
                             sx={{ width: '150px' }}
                           />
                           
+                          {/* Option Branching */}
+                          <TextField
+                            select
+                            label="Sau khi chọn"
+                            value={getBranchSelectValue(option)}
+                            onChange={(e) => updateOptionBranch(sectionIndex, questionIndex, optionIndex, e.target.value)}
+                            variant="outlined"
+                            sx={{ minWidth: '240px' }}
+                          >
+                            {getBranchChoices(survey.sections, sectionIndex).map(choice => (
+                              <MenuItem key={choice.value} value={choice.value}>
+                                {choice.label}
+                              </MenuItem>
+                            ))}
+                          </TextField>
+                          
                           {/* Delete Option Button */}
                           <IconButton
                             size="small"
@@ -762,7 +922,7 @@ const CreateSurvey = () => {
                   
                   {/* Condition Value */}
                   <TextField
-                    label="Textfield kiểu int của value"
+                    label={condition.operator === OPERATOR_RANGE ? 'Từ điểm' : 'Textfield kiểu int của value'}
                     type="number"
                     value={condition.value}
                     onChange={(e) => updateCondition(index, 'value', e.target.value)}
@@ -770,6 +930,18 @@ const CreateSurvey = () => {
                     sx={{ width: '150px' }}
                   />
                   
+                  {/* Range Upper Bound */}
+                  {condition.operator === OPERATOR_RANGE && (
+                    <TextField
+                      label="Đến điểm"
+                      type="number"
+                      value={condition.maxValue ?? ''}
+                      onChange={(e) => updateCondition(index, 'maxValue', e.target.value)}
+                      variant="outlined"
+                      sx={{ width: '150px' }}
+                    />
+                  )}
+                  
                   {/* Operator */}
                   <TextField
                     select
@@ -777,13 +949,29 @@ const CreateSurvey = () => {
                     value={condition.operator}
                     onChange={(e) => updateCondition(index, 'operator', e.target.value)}
                     variant="outlined"
-                    sx={{ width: '120px' }}
+                    sx={{ width: '150px' }}
                   >
-                    <MenuItem value="<">{"<"}</MenuItem>
-                    <MenuItem value=">">{">"}</MenuItem>
-                    <MenuItem value="=">{"="}</MenuItem>
-                    <MenuItem value="<=">{"<="}</MenuItem>
-                    <MenuItem value=">=">{">="}</MenuItem>
+                    {CONDITION_OPERATOR_CHOICES.map(choice => (
+                      <MenuItem key={choice.value} value={choice.value}>
+                        {choice.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  
+                  {/* Risk Level */}
+                  <TextField
+                    select
+                    label="Mức nguy cơ"
+                    value={condition.riskLevel || ''}
+                    onChange={(e) => updateCondition(index, 'riskLevel', e.target.value)}
+                    variant="outlined"
+                    sx={{ width: '200px' }}
+                  >
+                    {RISK_LEVEL_CHOICES.map(choice => (
+                      <MenuItem key={choice.value} value={choice.value}>
+                        {choice.label}
+                      </MenuItem>
+                    ))}
                   </TextField>
                   
                   {/* Delete Condition */}
@@ -795,6 +983,15 @@ const CreateSurvey = () => {
                   </IconButton>
                 </Box>
               ))}
+              
+              {/* Scoring Warnings */}
+              {scoringWarnings.length > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  {scoringWarnings.map((warning, index) => (
+                    <Typography key={index} variant="body2">{warning}</Typography>
+                  ))}
+                </Alert>
+              )}
             </Box>
           )}
         </Box>
@@ -21,12 +21,9 @@ import {
   Save as SaveIcon,
   ArrowBack as ArrowBackIcon
 } from '@mui/icons-material';
-import axios from 'axios';
 import { Editor } from '@tinymce/tinymce-react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getAccessToken } from '../../utils/auth';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
 
 const EditBlog = () => {
   const { id } = useParams();
@@ -83,13 +80,7 @@ const EditBlog = () => {
         
         // Then fetch blog data
         try {
-          const token = getAccessToken();
-          
-          const response = await axios.get(`${API_URL}/staff/blog/${id}`, {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          });
+          const response = await apiClient.get(`/staff/blog/${id}`);
           
           // Check if we have valid data
           if (!response.data) {
@@ -279,15 +270,7 @@ const EditBlog = () => {
     }
     
     try {
-      const token = getAccessToken();
-      
-      // Use axios directly for multipart/form-data
-      const response = await axios.patch(`${API_URL}/staff/blog/${id}`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await apiClient.patch(`/staff/blog/${id}`, formData);
       
       setSnackbar({
         open: true,
@@ -17,7 +17,9 @@ import {
   FormControl,
   InputLabel,
   Select,
-  FormHelperText
+  FormHelperText,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -26,14 +28,44 @@ import {
   Close as CloseIcon,
   Edit as EditIcon,
   Code as CodeIcon,
-  ArrowBack as ArrowBackIcon
+  ArrowBack as ArrowBackIcon,
+  UploadFile as UploadFileIcon
 } from '@mui/icons-material';
-import axios from 'axios';
 // Import TinyMCE Editor
 import { Editor } from '@tinymce/tinymce-react';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
-import { getAccessToken } from '../../utils/auth';
+import {
+  LESSON_MEDIA_ACCEPT,
+  LESSON_MEDIA_LABELS,
+  uploadLessonMedia,
+  isVideoLesson,
+  validateLessonDurations,
+  formatLessonDuration
+} from '../../services/courseMediaService';
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_CHOICES,
+  getQuestionType,
+  createOption,
+  changeQuestionType,
+  toNumericBandRequest,
+  validateQuestionTypes
+} from '../../utils/questionTypes';
+import {
+  EMPTY_QUIZ_SETTINGS,
+  fromQuizResponse,
+  toQuizSettingsRequest,
+  toDrawCountRequest,
+  validateQuizSettings
+} from '../../utils/quizSettings';
+import {
+  getLessonReferenceChoices,
+  referenceKeyOf,
+  fromReferenceKey,
+  toLessonReferenceRequest,
+  fromReferenceIds,
+  findQuizExplanation
+} from '../../utils/quizReview';
 import { useParams, useNavigate } from 'react-router-dom';
 
 const EditCourse = () => {
@@ -51,11 +83,13 @@ const EditCourse = () => {
     description: '',
     content: '',
     duration: 0,
+    videoCompletionThreshold: 80,
     coverImage: null,
     modules: [],
     quiz: {
       sections: [],
-      conditions: []
+      conditions: [],
+      ...EMPTY_QUIZ_SETTINGS
     }
   });
 
@@ -66,6 +100,8 @@ const EditCourse = () => {
   const [lastSaved, setLastSaved] = useState(null);
   const [apiError, setApiError] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Bài học đang tải tệp lên, dạng `${moduleIndex}-${videoIndex}`
+  const [uploadingLesson, setUploadingLesson] = useState(null);
   const [loading, setLoading] = useState(true);
   const [hasChanges, setHasChanges] = useState(false);
   const [originalCourse, setOriginalCourse] = useState(null);
@@ -126,6 +162,7 @@ const EditCourse = () => {
             description: courseData.description || '',
             content: courseData.content || '',
             duration: courseData.duration || 0,
+            videoCompletionThreshold: courseData.videoCompletionThreshold || 80,
             coverImage: null,
             // Map modules correctly with consistent ID field names
             modules: Array.isArray(courseData.modules) ? courseData.modules.map(module => ({
@@ -135,15 +172,42 @@ const EditCourse = () => {
               videos: Array.isArray(module.videos) ? module.videos.map(video => ({
                 videoModuleId: video.id, // Use videoModuleId as the key identifier
                 title: video.title || '',
-                videoUrl: video.videoUrl || ''
+                videoUrl: video.videoUrl || '',
+                mediaType: video.mediaType || null,
+                durationSeconds: video.durationSeconds || null
               })) : []
             })) : [],
-            quiz: courseData.quiz || {
+            quiz: courseData.quiz ? { ...courseData.quiz, ...fromQuizResponse(courseData.quiz) } : {
               sections: [],
-              conditions: []
+              conditions: [],
+              ...EMPTY_QUIZ_SETTINGS
             }
           };
           
+          // Giải thích của quiz được trả về riêng; tham chiếu bài học được lưu theo id, form dùng vị trí trong danh sách chương
+          const explanationOf = findQuizExplanation(courseData.quizExplanations);
+          courseDataObj.quiz.sections = (courseDataObj.quiz.sections || []).map(section => ({
+            ...section,
+            questions: (section.questions || []).map(question => {
+              const questionExplanation = explanationOf(question.id);
+              return {
+                ...question,
+                explanation: questionExplanation.explanation || '',
+                reference: fromReferenceIds(courseDataObj.modules,
+                  questionExplanation.referenceModuleId, questionExplanation.referenceVideoId),
+                options: (question.options || []).map(option => {
+                  const optionExplanation = explanationOf(question.id, option.id);
+                  return {
+                    ...option,
+                    explanation: optionExplanation.explanation || '',
+                    reference: fromReferenceIds(courseDataObj.modules,
+                      optionExplanation.referenceModuleId, optionExplanation.referenceVideoId)
+                  };
+                })
+              };
+            })
+          }));
+
           // Store the course data with the found topicId
           setCourse(courseDataObj);
           
@@ -201,6 +265,7 @@ const EditCourse = () => {
     const hasDescriptionChanged = course.description !== originalCourse.description;
     const hasTopicChanged = course.topicId !== originalCourse.topicId;
     const hasDurationChanged = course.duration !== originalCourse.duration;
+    const hasThresholdChanged = course.videoCompletionThreshold !== originalCourse.videoCompletionThreshold;
     const hasModulesChanged = !isEqual(course.modules, originalCourse.modules);
     const hasQuizChanged = !isEqual(course.quiz, originalCourse.quiz);
     const hasImageChanged = course.coverImage !== null;
@@ -210,6 +275,7 @@ const EditCourse = () => {
                    hasDescriptionChanged || 
                    hasTopicChanged || 
                    hasDurationChanged || 
+                   hasThresholdChanged || 
                    hasModulesChanged || 
                    hasQuizChanged ||
                    hasImageChanged;
@@ -323,13 +389,13 @@ const EditCourse = () => {
     });
   };
 
-  const updateVideo = (moduleIndex, videoIndex, field, value) => {
+  const updateVideoFields = (moduleIndex, videoIndex, fields) => {
     setCourse(prev => {
       const updatedModules = [...prev.modules];
       const updatedVideos = [...updatedModules[moduleIndex].videos];
       updatedVideos[videoIndex] = {
         ...updatedVideos[videoIndex],
-        [field]: value
+        ...fields
       };
       updatedModules[moduleIndex] = {
         ...updatedModules[moduleIndex],
@@ -339,6 +405,33 @@ const EditCourse = () => {
     });
   };
 
+  const updateVideo = (moduleIndex, videoIndex, field, value) => {
+    // Nhập link mới thì bỏ loại nội dung và thời lượng của tệp đã tải lên trước đó, backend tự nhận diện lại
+    updateVideoFields(moduleIndex, videoIndex, field === 'videoUrl'
+      ? { videoUrl: value, mediaType: null, durationSeconds: null }
+      : { [field]: value });
+  };
+
+  // Tải video/tài liệu bài học lên rồi điền đường dẫn nhận được vào bài học
+  const handleLessonMediaUpload = async (moduleIndex, videoIndex, file) => {
+    if (!file) return;
+    setUploadingLesson(`${moduleIndex}-${videoIndex}`);
+    try {
+      const media = await uploadLessonMedia(file);
+      updateVideoFields(moduleIndex, videoIndex, {
+        videoUrl: media.url,
+        mediaType: media.mediaType,
+        durationSeconds: media.durationSeconds
+      });
+      showSnackbar(`Đã tải lên ${media.fileName}`, 'success');
+    } catch (error) {
+      console.error('Error uploading lesson media:', error);
+      showSnackbar(error.message || 'Tải tệp lên thất bại', 'error');
+    } finally {
+      setUploadingLesson(null);
+    }
+  };
+
   const deleteVideo = (moduleIndex, videoIndex) => {
     setCourse(prev => {
       const updatedModules = [...prev.modules];
@@ -352,6 +445,48 @@ const EditCourse = () => {
     });
   };
 
+  // Cập nhật cấu hình lượt làm bài của quiz
+  const updateQuizSettings = (field, value) => {
+    setCourse(prev => ({
+      ...prev,
+      quiz: {
+        ...prev.quiz,
+        [field]: value
+      }
+    }));
+  };
+
+  // Cập nhật một câu hỏi của quiz (đổi loại câu hỏi, khoảng điểm của đáp án)
+  const updateQuizQuestion = (sectionIndex, questionIndex, updater) => {
+    const updatedSections = [...(course.quiz?.sections || [])];
+    updatedSections[sectionIndex].questions[questionIndex] =
+      updater(updatedSections[sectionIndex].questions[questionIndex]);
+    setCourse(prev => ({
+      ...prev,
+      quiz: {
+        ...prev.quiz,
+        sections: updatedSections
+      }
+    }));
+  };
+
+  // Cập nhật giải thích/bài học liên quan của một đáp án
+  const updateQuizOption = (sectionIndex, questionIndex, optionIndex, fields) => {
+    updateQuizQuestion(sectionIndex, questionIndex, question => ({
+      ...question,
+      options: question.options.map((option, index) => (index === optionIndex ? { ...option, ...fields } : option))
+    }));
+  };
+
+  const updateQuizOptionBand = (sectionIndex, questionIndex, optionIndex, field, value) => {
+    updateQuizQuestion(sectionIndex, questionIndex, question => ({
+      ...question,
+      options: question.options.map((option, index) =>
+        index === optionIndex ? { ...option, [field]: value === '' ? '' : parseFloat(value) } : option
+      )
+    }));
+  };
+
   // Snackbar management
   const showSnackbar = (message, severity = 'success') => {
     setSnackbar({ open: true, message, severity });
@@ -373,6 +508,24 @@ const EditCourse = () => {
       return;
     }
 
+    const questionTypeError = validateQuestionTypes(course.quiz?.sections || []);
+    if (questionTypeError) {
+      showSnackbar(questionTypeError, 'error');
+      return;
+    }
+
+    const quizSettingsError = validateQuizSettings(course.quiz || {});
+    if (quizSettingsError) {
+      showSnackbar(quizSettingsError, 'error');
+      return;
+    }
+
+    const lessonDurationError = validateLessonDurations(course.modules);
+    if (lessonDurationError) {
+      showSnackbar(lessonDurationError, 'error');
+      return;
+    }
+
     // Set submitting state
     setIsSubmitting(true);
     // Show processing notification
@@ -380,7 +533,6 @@ const EditCourse = () => {
 
     try {
       setIsSubmitting(true);
-      const token = getAccessToken();
       
       // Format the modules data for backend
       const modulesData = course.modules.map(module => ({
@@ -392,7 +544,9 @@ const EditCourse = () => {
           // Use videoModuleId if available, otherwise null for new videos
           videoModuleId: video.videoModuleId,
           title: video.title,
-          videoUrl: video.videoUrl
+          videoUrl: video.videoUrl,
+          mediaType: video.mediaType,
+          durationSeconds: video.durationSeconds
         }))
       }));
       
@@ -405,6 +559,7 @@ const EditCourse = () => {
       formData.append('description', course.description);
       formData.append('content', currentContent);
       formData.append('duration', course.duration);
+      formData.append('videoCompletionThreshold', course.videoCompletionThreshold);
       
       if (course.coverImage && typeof course.coverImage !== 'string') {
         formData.append('coverImage', course.coverImage);
@@ -420,16 +575,24 @@ const EditCourse = () => {
           description: course.description,
           imageCover: course.coverImage ? 
             (typeof course.coverImage === 'string' ? course.coverImage : course.coverImage.name) : "",
+          ...toQuizSettingsRequest(course.quiz),
           sections: course.quiz.sections.map(section => ({
             sectionId: section.id || section.sectionId || null,
             sectionName: section.sectionName,
+            drawCount: toDrawCountRequest(section),
             questions: section.questions.map(question => ({
               questionId: question.id || question.questionId || null,
               questionText: question.questionText,
+              questionType: getQuestionType(question),
+              explanation: question.explanation || null,
+              reference: toLessonReferenceRequest(question.reference, course.modules),
               options: question.options.map(option => ({
                 optionId: option.id || option.optionId || null,
                 optionText: option.optionText,
-                score: option.score
+                score: option.score,
+                ...toNumericBandRequest(question, option),
+                explanation: option.explanation || null,
+                reference: toLessonReferenceRequest(option.reference, course.modules)
               }))
             }))
           })),
@@ -443,19 +606,7 @@ const EditCourse = () => {
         formData.append('quiz', JSON.stringify(quizData));
       }
       
-      // Set header for multipart form data
-      const config = {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-      
-      // Use the API_URL with axios (since apiClient doesn't handle FormData well)
-      const submitUrl = `${API_URL}/courses/${id}`;
-      
-      // Using axios directly here because we need to handle FormData with specific config
-      const response = await axios.patch(submitUrl, formData, config);
+      const response = await apiClient.patch(`/courses/${id}`, formData);
       
       showSnackbar('Khóa học đã được cập nhật thành công!', 'success');
       
@@ -731,6 +882,28 @@ const EditCourse = () => {
           }}
         />
         
+        {/* Ngưỡng hoàn thành video */}
+        <TextField
+          fullWidth
+          label="Ngưỡng hoàn thành video (%)"
+          name="videoCompletionThreshold"
+          type="number"
+          value={course.videoCompletionThreshold}
+          onChange={handleChange}
+          variant="outlined"
+          helperText="Học viên phải thực sự xem ít nhất bấy nhiêu phần trăm thời lượng (không tính phần tua qua) thì video mới được tính là đã xem"
+          InputProps={{
+            inputProps: { min: 1, max: 100 }
+          }}
+          sx={{ 
+            mb: 4,
+            '& .MuiOutlinedInput-root': {
+              backgroundColor: 'white',
+              borderRadius: 1
+            }
+          }}
+        />
+        
         <Divider sx={{ my: 3 }} />
         
         {/* Modules section */}
@@ -857,6 +1030,7 @@ const EditCourse = () => {
                     value={video.videoUrl}
                     onChange={(e) => updateVideo(moduleIndex, videoIndex, 'videoUrl', e.target.value)}
                     variant="outlined"
+                    helperText="Dán link YouTube hoặc tải lên video MP4/WebM/MOV (tối đa 200MB), tài liệu PDF/PPT/PPTX (tối đa 20MB)"
                     sx={{ 
                       '& .MuiOutlinedInput-root': {
                         backgroundColor: 'white',
@@ -864,6 +1038,53 @@ const EditCourse = () => {
                       }
                     }}
                   />
+
+                  {isVideoLesson(video) && (
+                    <TextField
+                      type="number"
+                      label="Thời lượng video (giây)"
+                      value={video.durationSeconds ?? ''}
+                      onChange={(e) => updateVideoFields(moduleIndex, videoIndex, {
+                        durationSeconds: e.target.value === '' ? null : Number(e.target.value)
+                      })}
+                      required
+                      size="small"
+                      inputProps={{ min: 1 }}
+                      helperText={Number(video.durationSeconds) > 0
+                        ? `${formatLessonDuration(video.durationSeconds)} - dùng để tính tiến độ xem của học viên`
+                        : 'Bắt buộc với video để tính tiến độ xem của học viên'}
+                      sx={{ mt: 1, width: 320, '& .MuiOutlinedInput-root': { backgroundColor: 'white' } }}
+                    />
+                  )}
+
+                  {/* Upload lesson video/document */}
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 1 }}>
+                    <Button
+                      component="label"
+                      variant="outlined"
+                      size="small"
+                      disabled={uploadingLesson !== null}
+                      startIcon={uploadingLesson === `${moduleIndex}-${videoIndex}`
+                        ? <CircularProgress size={16} />
+                        : <UploadFileIcon />}
+                    >
+                      {uploadingLesson === `${moduleIndex}-${videoIndex}` ? 'Đang tải lên...' : 'Tải video/tài liệu lên'}
+                      <input
+                        hidden
+                        type="file"
+                        accept={LESSON_MEDIA_ACCEPT}
+                        onChange={(e) => {
+                          handleLessonMediaUpload(moduleIndex, videoIndex, e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </Button>
+                    {video.mediaType && (
+                      <Typography variant="caption" color="text.secondary">
+                        {LESSON_MEDIA_LABELS[video.mediaType]}
+                      </Typography>
+                    )}
+                  </Box>
                 </Box>
               ))}
             </Box>
@@ -917,6 +1138,53 @@ const EditCourse = () => {
           
           {showQuizSection && course.quiz && (
             <Box>
+              {/* Cấu hình lượt làm bài, để trống là không giới hạn */}
+              <Grid container spacing={2} sx={{ mb: 3 }}>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Thời gian làm bài (phút)"
+                    value={course.quiz.timeLimitMinutes ?? ''}
+                    onChange={(e) => updateQuizSettings('timeLimitMinutes', e.target.value)}
+                    inputProps={{ min: 1 }}
+                    helperText="Hết giờ bài làm được nộp tự động"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Số lượt làm tối đa"
+                    value={course.quiz.maxAttempts ?? ''}
+                    onChange={(e) => updateQuizSettings('maxAttempts', e.target.value)}
+                    inputProps={{ min: 1 }}
+                    helperText="Để trống nếu không giới hạn"
+                  />
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Thời gian chờ giữa hai lượt (phút)"
+                    value={course.quiz.attemptCooldownMinutes ?? ''}
+                    onChange={(e) => updateQuizSettings('attemptCooldownMinutes', e.target.value)}
+                    inputProps={{ min: 0 }}
+                  />
+                </Grid>
+                <Grid item xs={12}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={Boolean(course.quiz.shuffleOptions)}
+                        onChange={(e) => updateQuizSettings('shuffleOptions', e.target.checked)}
+                      />
+                    }
+                    label="Xáo trộn thứ tự đáp án của câu hỏi trắc nghiệm"
+                  />
+                </Grid>
+              </Grid>
+
               {/* Quiz Sections */}
               {course.quiz.sections.map((section, sectionIndex) => (
                 <Box 
@@ -972,6 +1240,28 @@ const EditCourse = () => {
                     variant="outlined"
                     sx={{ mb: 2 }}
                   />
+
+                  {/* Số câu rút ngẫu nhiên từ các câu hỏi của section cho mỗi lượt làm bài */}
+                  <TextField
+                    type="number"
+                    label="Số câu rút ngẫu nhiên"
+                    value={section.drawCount ?? ''}
+                    onChange={(e) => {
+                      const updatedSections = [...(course.quiz?.sections || [])];
+                      updatedSections[sectionIndex] = { ...updatedSections[sectionIndex], drawCount: e.target.value };
+                      setCourse(prev => ({
+                        ...prev,
+                        quiz: {
+                          ...prev.quiz,
+                          sections: updatedSections
+                        }
+                      }));
+                    }}
+                    inputProps={{ min: 1, max: section.questions?.length || undefined }}
+                    helperText={`Để trống để dùng cả ${section.questions?.length || 0} câu hỏi`}
+                    size="small"
+                    sx={{ mb: 2, width: 280 }}
+                  />
                   
                   {/* Add Question Button */}
                   <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
@@ -988,6 +1278,7 @@ const EditCourse = () => {
                         updatedSections[sectionIndex].questions.push({
                           questionId: null,
                           questionText: '',
+                          questionType: QUESTION_TYPES.SINGLE_CHOICE,
                           options: []
                         });
                         setCourse(prev => ({
@@ -1060,117 +1351,222 @@ const EditCourse = () => {
                         sx={{ mb: 2 }}
                       />
                       
-                      {/* Add Option Button */}
-                      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
-                        <Button 
+                      {/* Question Type */}
+                      <TextField
+                        select
+                        label="Loại câu hỏi"
+                        value={getQuestionType(question)}
+                        onChange={(e) => updateQuizQuestion(sectionIndex, questionIndex,
+                          current => changeQuestionType(current, e.target.value))}
+                        variant="outlined"
+                        sx={{ mb: 2, minWidth: '280px' }}
+                      >
+                        {QUESTION_TYPE_CHOICES.map(choice => (
+                          <MenuItem key={choice.value} value={choice.value}>
+                            {choice.label}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+
+                      {/* Giải thích và bài học liên quan, hiển thị khi người học xem lại bài làm */}
+                      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+                        <TextField
+                          label="Giải thích đáp án"
+                          value={question.explanation || ''}
+                          onChange={(e) => updateQuizQuestion(sectionIndex, questionIndex,
+                            current => ({ ...current, explanation: e.target.value }))}
                           variant="outlined"
-                          size="small"
-                          onClick={() => {
-                            const updatedSections = [...(course.quiz?.sections || [])];
-                            if (!updatedSections[sectionIndex].questions[questionIndex].options) {
-                              updatedSections[sectionIndex].questions[questionIndex].options = [];
-                            }
-                            updatedSections[sectionIndex].questions[questionIndex].options.push({
-                              optionId: null,
-                              optionText: '',
-                              score: 0
-                            });
-                            setCourse(prev => ({
-                              ...prev,
-                              quiz: {
-                                ...prev.quiz,
-                                sections: updatedSections
-                              }
-                            }));
-                          }}
+                          multiline
+                          minRows={2}
+                          inputProps={{ maxLength: 2000 }}
+                          sx={{ flex: '1 1 320px' }}
+                        />
+                        <TextField
+                          select
+                          label="Bài học liên quan"
+                          value={referenceKeyOf(question.reference, course.modules)}
+                          onChange={(e) => updateQuizQuestion(sectionIndex, questionIndex,
+                            current => ({ ...current, reference: fromReferenceKey(e.target.value) }))}
+                          variant="outlined"
+                          sx={{ flex: '0 1 280px' }}
                         >
-                          Add option
-                        </Button>
+                          <MenuItem value="">Không</MenuItem>
+                          {getLessonReferenceChoices(course.modules).map(choice => (
+                            <MenuItem key={choice.value} value={choice.value} sx={{ pl: choice.isModule ? 2 : 4 }}>
+                              {choice.label}
+                            </MenuItem>
+                          ))}
+                        </TextField>
                       </Box>
                       
-                      {/* Options */}
-                      {question.options && question.options.map((option, optionIndex) => (
-                        <Box 
-                          key={optionIndex}
-                          sx={{ 
-                            mb: 2, 
-                            display: 'flex',
-                            alignItems: 'center',
-                            gap: 2
-                          }}
-                        >
-                          {/* Option Text */}
-                          <TextField
-                            fullWidth
-                            label="Textfield của option_text"
-                            value={option.optionText}
-                            onChange={(e) => {
-                              const updatedSections = [...(course.quiz?.sections || [])];
-                              if (updatedSections[sectionIndex] && 
-                                  updatedSections[sectionIndex].questions && 
-                                  updatedSections[sectionIndex].questions[questionIndex] &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options[optionIndex]) {
-                                updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].optionText = e.target.value;
-                                setCourse(prev => ({
-                                  ...prev,
-                                  quiz: {
-                                    ...prev.quiz,
-                                    sections: updatedSections
-                                  }
-                                }));
-                              }
-                            }}
-                            variant="outlined"
-                          />
-                          
-                          {/* Option Score */}
-                          <TextField
-                            label="Textfield int score"
-                            type="number"
-                            value={option.score}
-                            onChange={(e) => {
-                              const updatedSections = [...(course.quiz?.sections || [])];
-                              if (updatedSections[sectionIndex] && 
-                                  updatedSections[sectionIndex].questions && 
-                                  updatedSections[sectionIndex].questions[questionIndex] &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options) {
-                                updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].score = parseInt(e.target.value, 10) || 0;
-                                setCourse(prev => ({
-                                  ...prev,
-                                  quiz: {
-                                    ...prev.quiz,
-                                    sections: updatedSections
-                                  }
-                                }));
-                              }
-                            }}
+                      {/* Add Option Button */}
+                      {getQuestionType(question) === QUESTION_TYPES.FREE_TEXT ? (
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                          Câu hỏi tự luận không có đáp án và không tính điểm.
+                        </Typography>
+                      ) : (
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                          <Button 
                             variant="outlined"
-                            sx={{ width: '150px' }}
-                          />
-                          
-                          {/* Delete Option Button */}
-                          <IconButton
                             size="small"
                             onClick={() => {
                               const updatedSections = [...(course.quiz?.sections || [])];
-                              if (updatedSections[sectionIndex] && 
-                                  updatedSections[sectionIndex].questions && 
-                                  updatedSections[sectionIndex].questions[questionIndex] &&
-                                  updatedSections[sectionIndex].questions[questionIndex].options) {
-                                updatedSections[sectionIndex].questions[questionIndex].options.splice(optionIndex, 1);
-                                setCourse(prev => ({
-                                  ...prev,
-                                  quiz: {
-                                    ...prev.quiz,
-                                    sections: updatedSections
-                                  }
-                                }));
+                              if (!updatedSections[sectionIndex].questions[questionIndex].options) {
+                                updatedSections[sectionIndex].questions[questionIndex].options = [];
                               }
+                              updatedSections[sectionIndex].questions[questionIndex].options.push(
+                                createOption(getQuestionType(updatedSections[sectionIndex].questions[questionIndex]))
+                              );
+                              setCourse(prev => ({
+                                ...prev,
+                                quiz: {
+                                  ...prev.quiz,
+                                  sections: updatedSections
+                                }
+                              }));
                             }}
                           >
-                            <DeleteIcon fontSize="small" />
-                          </IconButton>
+                            {getQuestionType(question) === QUESTION_TYPES.NUMERIC ? 'Add score band' : 'Add option'}
+                          </Button>
+                        </Box>
+                      )}
+                      
+                      {/* Options */}
+                      {question.options && question.options.map((option, optionIndex) => (
+                        <Box key={optionIndex} sx={{ mb: 2 }}>
+                          <Box 
+                            sx={{ 
+                              display: 'flex',
+                              alignItems: 'center',
+                              gap: 2
+                            }}
+                          >
+                            {/* Option Text */}
+                            <TextField
+                              fullWidth
+                              label="Textfield của option_text"
+                              value={option.optionText}
+                              onChange={(e) => {
+                                const updatedSections = [...(course.quiz?.sections || [])];
+                                if (updatedSections[sectionIndex] && 
+                                    updatedSections[sectionIndex].questions && 
+                                    updatedSections[sectionIndex].questions[questionIndex] &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options[optionIndex]) {
+                                  updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].optionText = e.target.value;
+                                  setCourse(prev => ({
+                                    ...prev,
+                                    quiz: {
+                                      ...prev.quiz,
+                                      sections: updatedSections
+                                    }
+                                  }));
+                                }
+                              }}
+                              variant="outlined"
+                            />
+                          
+                            {/* Numeric Band */}
+                            {getQuestionType(question) === QUESTION_TYPES.NUMERIC && (
+                              <>
+                                <TextField
+                                  label="Từ"
+                                  type="number"
+                                  value={option.minValue ?? ''}
+                                  onChange={(e) => updateQuizOptionBand(sectionIndex, questionIndex, optionIndex, 'minValue', e.target.value)}
+                                  variant="outlined"
+                                  sx={{ width: '120px' }}
+                                />
+                                <TextField
+                                  label="Đến"
+                                  type="number"
+                                  value={option.maxValue ?? ''}
+                                  onChange={(e) => updateQuizOptionBand(sectionIndex, questionIndex, optionIndex, 'maxValue', e.target.value)}
+                                  variant="outlined"
+                                  sx={{ width: '120px' }}
+                                />
+                              </>
+                            )}
+                          
+                            {/* Option Score */}
+                            <TextField
+                              label="Textfield int score"
+                              type="number"
+                              value={option.score}
+                              onChange={(e) => {
+                                const updatedSections = [...(course.quiz?.sections || [])];
+                                if (updatedSections[sectionIndex] && 
+                                    updatedSections[sectionIndex].questions && 
+                                    updatedSections[sectionIndex].questions[questionIndex] &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options) {
+                                  updatedSections[sectionIndex].questions[questionIndex].options[optionIndex].score = parseInt(e.target.value, 10) || 0;
+                                  setCourse(prev => ({
+                                    ...prev,
+                                    quiz: {
+                                      ...prev.quiz,
+                                      sections: updatedSections
+                                    }
+                                  }));
+                                }
+                              }}
+                              variant="outlined"
+                              sx={{ width: '150px' }}
+                            />
+                          
+                            {/* Delete Option Button */}
+                            <IconButton
+                              size="small"
+                              onClick={() => {
+                                const updatedSections = [...(course.quiz?.sections || [])];
+                                if (updatedSections[sectionIndex] && 
+                                    updatedSections[sectionIndex].questions && 
+                                    updatedSections[sectionIndex].questions[questionIndex] &&
+                                    updatedSections[sectionIndex].questions[questionIndex].options) {
+                                  updatedSections[sectionIndex].questions[questionIndex].options.splice(optionIndex, 1);
+                                  setCourse(prev => ({
+                                    ...prev,
+                                    quiz: {
+                                      ...prev.quiz,
+                                      sections: updatedSections
+                                    }
+                                  }));
+                                }
+                              }}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Box>
+
+                          {/* Giải thích riêng của đáp án */}
+                          <Box sx={{ display: 'flex', gap: 2, mt: 1, pl: 2 }}>
+                            <TextField
+                              size="small"
+                              label="Giải thích đáp án này"
+                              value={option.explanation || ''}
+                              onChange={(e) => updateQuizOption(sectionIndex, questionIndex, optionIndex,
+                                { explanation: e.target.value })}
+                              variant="outlined"
+                              inputProps={{ maxLength: 2000 }}
+                              sx={{ flex: 1 }}
+                            />
+                            <TextField
+                              select
+                              size="small"
+                              label="Bài học liên quan"
+                              value={referenceKeyOf(option.reference, course.modules)}
+                              onChange={(e) => updateQuizOption(sectionIndex, questionIndex, optionIndex,
+                                { reference: fromReferenceKey(e.target.value) })}
+                              variant="outlined"
+                              sx={{ width: '240px' }}
+                            >
+                              <MenuItem value="">Không</MenuItem>
+                              {getLessonReferenceChoices(course.modules).map(choice => (
+                                <MenuItem key={choice.value} value={choice.value} sx={{ pl: choice.isModule ? 2 : 4 }}>
+                                  {choice.label}
+                                </MenuItem>
+                              ))}
+                            </TextField>
+                          </Box>
                         </Box>
                       ))}
                     </Box>
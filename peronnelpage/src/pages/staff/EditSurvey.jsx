@@ -19,12 +19,40 @@ import {
   Close as CloseIcon,
   ArrowBack as ArrowBackIcon
 } from '@mui/icons-material';
-import axios from 'axios';
 import { Editor } from '@tinymce/tinymce-react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { getAccessToken, checkAndRefreshToken } from '../../utils/auth';
+import { checkAndRefreshToken } from '../../utils/auth';
 import apiClient from '../../services/apiService';
-import { API_URL } from '../../services/config';
+import {
+  getBranchChoices,
+  getBranchSelectValue,
+  parseBranchSelectValue,
+  remapBranchTargetsAfterDelete,
+  toBranchRequest,
+  fromBranchResponse,
+  BRANCH_NEXT_SECTION
+} from '../../utils/surveyBranching';
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_CHOICES,
+  getQuestionType,
+  createOption,
+  changeQuestionType,
+  toNumericBandRequest,
+  validateQuestionTypes
+} from '../../utils/questionTypes';
+import {
+  CONDITION_OPERATOR_CHOICES,
+  RISK_LEVEL_CHOICES,
+  OPERATOR_RANGE,
+  SCORING_CHECK_DELAY,
+  createCondition,
+  changeConditionOperator,
+  fromConditionResponse,
+  toConditionRequest,
+  getQuestionWeight,
+  parseQuestionWeight
+} from '../../utils/surveyScoring';
 
 const EditSurvey = () => {
   const { id } = useParams();
@@ -52,6 +80,8 @@ const EditSurvey = () => {
   const [initialLoading, setInitialLoading] = useState(true);
   const [hasChanges, setHasChanges] = useState(false);
   const [originalSurvey, setOriginalSurvey] = useState(null);
+  // Cảnh báo khoảng điểm chồng lấn/bỏ sót từ API kiểm tra điều kiện
+  const [scoringWarnings, setScoringWarnings] = useState([]);
 
   // Fetch survey data
   useEffect(() => {
@@ -59,16 +89,7 @@ const EditSurvey = () => {
       try {
         setInitialLoading(true);
         
-        // Ensure we have a valid token
-        await checkAndRefreshToken();
-        const token = getAccessToken();
-        
-        // Use axios directly with proper headers
-        const response = await axios.get(`${API_URL}/staff/surveys/${id}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
+        const response = await apiClient.get(`/staff/surveys/${id}`);
         
         const surveyData = response.data;
         
@@ -81,20 +102,26 @@ const EditSurvey = () => {
           active: surveyData.active !== false,
           forCourse: surveyData.forCourse || false,
           sections: surveyData.sections?.map(section => ({
-            sectionId: section.sectionId || null,
+            // API chi tiết trả về "id"; giữ lại ID để cập nhật thay vì tạo mới section/câu hỏi/đáp án
+            sectionId: section.sectionId || section.id || null,
             sectionName: section.sectionName || '',
             questions: section.questions?.map(question => ({
-              questionId: question.questionId || null,
+              questionId: question.questionId || question.id || null,
               questionText: question.questionText || '',
+              questionType: question.questionType || QUESTION_TYPES.SINGLE_CHOICE,
+              weight: question.weight ?? 1,
               options: question.options?.map(option => ({
-                optionId: option.optionId || null,
+                optionId: option.optionId || option.id || null,
                 optionText: option.optionText || '',
-                score: option.score || 0
+                score: option.score || 0,
+                minValue: option.minValue ?? null,
+                maxValue: option.maxValue ?? null,
+                ...fromBranchResponse(option, surveyData.sections)
               })) || []
             })) || []
           })) || [],
           conditions: surveyData.conditions?.map(condition => ({
-            conditionId: condition.conditionId || null,
+            ...fromConditionResponse(condition),
             message: condition.message || '',
             value: condition.value || 0,
             operator: condition.operator || '='
@@ -248,6 +275,57 @@ const EditSurvey = () => {
     });
   };
 
+  // Create survey request object according to required format
+  const buildSurveyRequest = (description) => ({
+    title: survey.title,
+    description: description,
+    active: survey.active,
+    forCourse: survey.forCourse,
+    sections: survey.sections.map(section => ({
+      sectionId: section.sectionId || null,
+      sectionName: section.sectionName,
+      questions: section.questions.map(question => ({
+        questionId: question.questionId || null,
+        questionText: question.questionText,
+        questionType: getQuestionType(question),
+        weight: getQuestionWeight(question),
+        options: question.options.map(option => ({
+          optionId: option.optionId || null,
+          optionText: option.optionText,
+          score: option.score,
+          ...toNumericBandRequest(question, option),
+          ...toBranchRequest(option)
+        }))
+      }))
+    })),
+    conditions: survey.conditions.map(toConditionRequest)
+  });
+
+  // Kiểm tra khoảng điểm của các điều kiện mỗi khi câu hỏi/điều kiện thay đổi
+  useEffect(() => {
+    if (survey.conditions.length === 0) {
+      setScoringWarnings([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiClient.post('/staff/surveys/scoring-check', buildSurveyRequest(''));
+        if (!cancelled) {
+          setScoringWarnings(response.data || []);
+        }
+      } catch (error) {
+        console.error('Error checking scoring rules:', error);
+      }
+    }, SCORING_CHECK_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [survey.sections, survey.conditions]);
+
   // Submit form
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -308,13 +386,14 @@ const EditSurvey = () => {
         
         for (const section of survey.sections) {
           for (const question of section.questions) {
-            if (!question.options || question.options.length === 0) {
+            if (getQuestionType(question) !== QUESTION_TYPES.FREE_TEXT &&
+                (!question.options || question.options.length === 0)) {
               hasQuestionWithoutOptions = true;
               break;
             }
             
             // Check if option texts are filled
-            for (const option of question.options) {
+            for (const option of question.options || []) {
               if (!option.optionText || option.optionText.trim() === '') {
                 hasEmptyOptionText = true;
                 break;
@@ -332,6 +411,11 @@ const EditSurvey = () => {
         if (hasEmptyOptionText) {
           validationErrors.push('Nội dung lựa chọn không được để trống');
         }
+        
+        const questionTypeError = validateQuestionTypes(survey.sections);
+        if (questionTypeError) {
+          validationErrors.push(questionTypeError);
+        }
       }
     }
     
@@ -374,35 +458,7 @@ const EditSurvey = () => {
         return;
       }
       
-      // Get fresh token after potential refresh
-      const accessToken = getAccessToken();
-      
-      // Create survey request object according to required format
-      const surveyRequest = {
-        title: survey.title,
-        description: currentContent,
-        active: survey.active,
-        forCourse: survey.forCourse,
-        sections: survey.sections.map(section => ({
-          sectionId: section.sectionId || null,
-          sectionName: section.sectionName,
-          questions: section.questions.map(question => ({
-            questionId: question.questionId || null,
-            questionText: question.questionText,
-            options: question.options.map(option => ({
-              optionId: option.optionId || null,
-              optionText: option.optionText,
-              score: option.score
-            }))
-          }))
-        })),
-        conditions: survey.conditions.map(condition => ({
-          conditionId: condition.conditionId || null,
-          operator: condition.operator,
-          value: condition.value,
-          message: condition.message
-        }))
-      };
+      const surveyRequest = buildSurveyRequest(currentContent);
       
       console.log('Sending survey update request:', surveyRequest);
       
@@ -419,16 +475,7 @@ const EditSurvey = () => {
         formData.append('images', survey.imageCover);
       }
       
-      // Submit the survey using axios with proper headers
-      const response = await axios({
-        method: 'patch',
-        url: `${API_URL}/staff/survey/${id}`,
-        data: formData,
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          'Authorization': `Bearer ${accessToken}`
-        }
-      });
+      const response = await apiClient.patch(`/staff/survey/${id}`, formData);
       
       setSnackbar({
         open: true,
@@ -498,6 +545,7 @@ const EditSurvey = () => {
     updatedSections[sectionIndex].questions.push({
       questionId: null,
       questionText: '',
+      questionType: QUESTION_TYPES.SINGLE_CHOICE,
       options: []
     });
     
@@ -515,9 +563,9 @@ const EditSurvey = () => {
     }
     
     updatedSections[sectionIndex].questions[questionIndex].options.push({
-      optionId: null,
-      optionText: '',
-      score: 0
+      ...createOption(getQuestionType(updatedSections[sectionIndex].questions[questionIndex])),
+      branchAction: BRANCH_NEXT_SECTION,
+      targetSectionIndex: null
     });
     
     setSurvey(prev => ({
@@ -534,12 +582,7 @@ const EditSurvey = () => {
     
     setSurvey(prev => ({
       ...prev,
-      conditions: [...prev.conditions, {
-        conditionId: null,
-        message: '',
-        value: 0,
-        operator: '='
-      }]
+      conditions: [...prev.conditions, createCondition()]
     }));
   };
 
@@ -565,11 +608,40 @@ const EditSurvey = () => {
     }));
   };
 
+  // Handle question type change
+  const updateQuestionType = (sectionIndex, questionIndex, questionType) => {
+    const updatedSections = [...survey.sections];
+    updatedSections[sectionIndex].questions[questionIndex] =
+      changeQuestionType(updatedSections[sectionIndex].questions[questionIndex], questionType);
+    
+    setSurvey(prev => ({
+      ...prev,
+      sections: updatedSections
+    }));
+  };
+
+  // Handle question weight change
+  const updateQuestionWeight = (sectionIndex, questionIndex, value) => {
+    const updatedSections = [...survey.sections];
+    updatedSections[sectionIndex].questions[questionIndex].weight = parseQuestionWeight(value);
+    
+    setSurvey(prev => ({
+      ...prev,
+      sections: updatedSections
+    }));
+  };
+
   // Handle option update
   const updateOption = (sectionIndex, questionIndex, optionIndex, field, value) => {
     const updatedSections = [...survey.sections];
-    updatedSections[sectionIndex].questions[questionIndex].options[optionIndex][field] = 
-      field === 'score' ? parseInt(value, 10) || 0 : value;
+    let parsedValue = value;
+    if (field === 'score') {
+      parsedValue = parseInt(value, 10) || 0;
+    } else if (field === 'minValue' || field === 'maxValue') {
+      // Giữ chuỗi rỗng để người dùng có thể xóa rồi nhập lại
+      parsedValue = value === '' ? '' : parseFloat(value);
+    }
+    updatedSections[sectionIndex].questions[questionIndex].options[optionIndex][field] = parsedValue;
     
     setSurvey(prev => ({
       ...prev,
@@ -577,10 +649,28 @@ const EditSurvey = () => {
     }));
   };
 
+  // Handle option branching rule change
+  const updateOptionBranch = (sectionIndex, questionIndex, optionIndex, value) => {
+    const updatedSections = [...survey.sections];
+    Object.assign(
+      updatedSections[sectionIndex].questions[questionIndex].options[optionIndex],
+      parseBranchSelectValue(value)
+    );
+
+    setSurvey(prev => ({
+      ...prev,
+      sections: updatedSections
+    }));
+  };
+
   // Handle condition update
   const updateCondition = (index, field, value) => {
     const updatedConditions = [...survey.conditions];
-    updatedConditions[index][field] = field === 'value' ? parseInt(value, 10) || 0 : value;
+    if (field === 'operator') {
+      updatedConditions[index] = changeConditionOperator(updatedConditions[index], value);
+    } else {
+      updatedConditions[index][field] = field === 'value' || field === 'maxValue' ? parseInt(value, 10) || 0 : value;
+    }
     
     setSurvey(prev => ({
       ...prev,
@@ -590,8 +680,10 @@ const EditSurvey = () => {
 
   // Handle delete section
   const deleteSection = (index) => {
-    const updatedSections = [...survey.sections];
-    updatedSections.splice(index, 1);
+    const remainingSections = [...survey.sections];
+    remainingSections.splice(index, 1);
+    // Giữ luật rẽ nhánh trỏ đúng section sau khi các vị trí bị dịch chuyển
+    const updatedSections = remapBranchTargetsAfterDelete(remainingSections, index);
     
     setSurvey(prev => ({
       ...prev,
@@ -888,16 +980,51 @@ const EditSurvey = () => {
                         sx={{ mb: 2 }}
                       />
                       
-                      {/* Add Option Button */}
-                      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
-                        <Button 
+                      {/* Question Type */}
+                      <TextField
+                        select
+                        label="Loại câu hỏi"
+                        value={getQuestionType(question)}
+                        onChange={(e) => updateQuestionType(sectionIndex, questionIndex, e.target.value)}
+                        variant="outlined"
+                        sx={{ mb: 2, minWidth: '280px' }}
+                      >
+                        {QUESTION_TYPE_CHOICES.map(choice => (
+                          <MenuItem key={choice.value} value={choice.value}>
+                            {choice.label}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                      
+                      {/* Question Weight */}
+                      {getQuestionType(question) !== QUESTION_TYPES.FREE_TEXT && (
+                        <TextField
+                          label="Hệ số điểm"
+                          type="number"
+                          value={getQuestionWeight(question)}
+                          onChange={(e) => updateQuestionWeight(sectionIndex, questionIndex, e.target.value)}
                           variant="outlined"
-                          size="small"
-                          onClick={() => addOption(sectionIndex, questionIndex)}
-                        >
-                          Add option
-                        </Button>
-                      </Box>
+                          inputProps={{ min: 1 }}
+                          sx={{ mb: 2, ml: 2, width: '140px' }}
+                        />
+                      )}
+                      
+                      {/* Add Option Button */}
+                      {getQuestionType(question) === QUESTION_TYPES.FREE_TEXT ? (
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                          Câu hỏi tự luận không có đáp án và không tính điểm.
+                        </Typography>
+                      ) : (
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                          <Button 
+                            variant="outlined"
+                            size="small"
+                            onClick={() => addOption(sectionIndex, questionIndex)}
+                          >
+                            {getQuestionType(question) === QUESTION_TYPES.NUMERIC ? 'Add score band' : 'Add option'}
+                          </Button>
+                        </Box>
+                      )}
                       
                       {/* Options */}
                       {question.options && question.options.map((option, optionIndex) => (
@@ -919,6 +1046,28 @@ const EditSurvey = () => {
                             variant="outlined"
                           />
                           
+                          {/* Numeric Band */}
+                          {getQuestionType(question) === QUESTION_TYPES.NUMERIC && (
+                            <>
+                              <TextField
+                                label="Từ"
+                                type="number"
+                                value={option.minValue ?? ''}
+                                onChange={(e) => updateOption(sectionIndex, questionIndex, optionIndex, 'minValue', e.target.value)}
+                                variant="outlined"
+                                sx={{ width: '120px' }}
+                              />
+                              <TextField
+                                label="Đến"
+                                type="number"
+                                value={option.maxValue ?? ''}
+                                onChange={(e) => updateOption(sectionIndex, questionIndex, optionIndex, 'maxValue', e.target.value)}
+                                variant="outlined"
+                                sx={{ width: '120px' }}
+                              />
+                            </>
+                          )}
+                          
                           {/* Option Score */}
                           <TextField
                             label="Textfield int score"
@@ -929,6 +1078,22 @@ const EditSurvey = () => {
                             sx={{ width: '150px' }}
                           />
                           
+                          {/* Option Branching */}
+                          <TextField
+                            select
+                            label="Sau khi chọn"
+                            value={getBranchSelectValue(option)}
+                            onChange={(e) => updateOptionBranch(sectionIndex, questionIndex, optionIndex, e.target.value)}
+                            variant="outlined"
+                            sx={{ minWidth: '240px' }}
+                          >
+                            {getBranchChoices(survey.sections, sectionIndex).map(choice => (
+                              <MenuItem key={choice.value} value={choice.value}>
+                                {choice.label}
+                              </MenuItem>
+                            ))}
+                          </TextField>
+                          
                           {/* Delete Option Button */}
                           <IconButton
                             size="small"
@@ -989,7 +1154,7 @@ const EditSurvey = () => {
                   
                   {/* Condition Value */}
                   <TextField
-                    label="Textfield kiểu int của value"
+                    label={condition.operator === OPERATOR_RANGE ? 'Từ điểm' : 'Textfield kiểu int của value'}
                     type="number"
                     value={condition.value}
                     onChange={(e) => updateCondition(index, 'value', e.target.value)}
@@ -997,6 +1162,18 @@ const EditSurvey = () => {
                     sx={{ width: '150px' }}
                   />
                   
+                  {/* Range Upper Bound */}
+                  {condition.operator === OPERATOR_RANGE && (
+                    <TextField
+                      label="Đến điểm"
+                      type="number"
+                      value={condition.maxValue ?? ''}
+                      onChange={(e) => updateCondition(index, 'maxValue', e.target.value)}
+                      variant="outlined"
+                      sx={{ width: '150px' }}
+                    />
+                  )}
+                  
                   {/* Operator */}
                   <TextField
                     select
@@ -1004,13 +1181,29 @@ const EditSurvey = () => {
                     value={condition.operator}
                     onChange={(e) => updateCondition(index, 'operator', e.target.value)}
                     variant="outlined"
-                    sx={{ width: '120px' }}
+                    sx={{ width: '150px' }}
+                  >
+                    {CONDITION_OPERATOR_CHOICES.map(choice => (
+                      <MenuItem key={choice.value} value={choice.value}>
+                        {choice.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  
+                  {/* Risk Level */}
+                  <TextField
+                    select
+                    label="Mức nguy cơ"
+                    value={condition.riskLevel || ''}
+                    onChange={(e) => updateCondition(index, 'riskLevel', e.target.value)}
+                    variant="outlined"
+                    sx={{ width: '200px' }}
                   >
-                    <MenuItem value="<">{"<"}</MenuItem>
-                    <MenuItem value=">">{">"}</MenuItem>
-                    <MenuItem value="=">{"="}</MenuItem>
-                    <MenuItem value="<=">{"<="}</MenuItem>
-                    <MenuItem value=">=">{">="}</MenuItem>
+                    {RISK_LEVEL_CHOICES.map(choice => (
+                      <MenuItem key={choice.value} value={choice.value}>
+                        {choice.label}
+                      </MenuItem>
+                    ))}
                   </TextField>
                   
                   {/* Delete Condition */}
@@ -1022,6 +1215,15 @@ const EditSurvey = () => {
                   </IconButton>
                 </Box>
               ))}
+              
+              {/* Scoring Warnings */}
+              {scoringWarnings.length > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  {scoringWarnings.map((warning, index) => (
+                    <Typography key={index} variant="body2">{warning}</Typography>
+                  ))}
+                </Alert>
+              )}
             </Box>
           )}
         </Box>
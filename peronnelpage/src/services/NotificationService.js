@@ -1,8 +1,46 @@
 // NotificationService.js
-// Giả lập notification cho consultant
+// Trung tâm thông báo: nhận thông báo theo thời gian thực qua Server-Sent Events
+// và đồng bộ trạng thái đã đọc với server
+
+import apiClient from './apiService';
+import { API_URL } from './config';
+
+// Thời gian chờ kết nối lại luồng, tăng dần khi lỗi liên tiếp
+const RECONNECT_MIN_DELAY = 2 * 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+
+// Mức độ hiển thị popup theo loại thông báo
+const severityByType = {
+  APPOINTMENT_CANCELLED: 'warning',
+  CONTENT_APPROVED: 'success',
+  CONTENT_REJECTED: 'error',
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tách một khối SSE thành { event, data }, bỏ qua dòng chú thích (heartbeat)
+const parseEvent = (block) => {
+  let event = 'message';
+  const data = [];
+  block.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+  return data.length ? { event, data: data.join('\n') } : null;
+};
 
 class NotificationService {
+  // Lắng nghe popup: { type, message, description, link }
   static listeners = [];
+  // Lắng nghe trạng thái: { unreadCount } hoặc { notification }
+  static changeListeners = [];
+
+  static connections = 0;
+  static generation = 0;
+  static controller = null;
 
   static subscribe(listener) {
     NotificationService.listeners.push(listener);
@@ -11,30 +49,126 @@ class NotificationService {
     };
   }
 
-  static notify(type, message, description) {
-    NotificationService.listeners.forEach(listener => listener({ type, message, description }));
+  static notify(type, message, description, link) {
+    NotificationService.listeners.forEach(listener => listener({ type, message, description, link }));
+  }
+
+  static onChange(listener) {
+    NotificationService.changeListeners.push(listener);
+    return () => {
+      NotificationService.changeListeners = NotificationService.changeListeners.filter(l => l !== listener);
+    };
+  }
+
+  static emitChange(change) {
+    NotificationService.changeListeners.forEach(listener => listener(change));
   }
 
-  // Các loại notification mẫu
-  static newRequest(request) {
-    NotificationService.notify('info', 'Yêu cầu tư vấn mới', `Khách hàng ${request.client} đã gửi yêu cầu tư vấn về "${request.topic}".`);
+  /**
+   * Mở luồng thông báo (đếm số component đang dùng, chỉ giữ một kết nối)
+   * @returns {Function} - Hàm ngắt kết nối
+   */
+  static connect() {
+    NotificationService.connections += 1;
+    if (NotificationService.connections === 1) {
+      NotificationService.generation += 1;
+      NotificationService.runStream(NotificationService.generation);
+    }
+    return () => {
+      NotificationService.connections -= 1;
+      if (NotificationService.connections === 0) {
+        NotificationService.generation += 1;
+        NotificationService.controller?.abort();
+      }
+    };
+  }
+
+  static async runStream(generation) {
+    const isCurrent = () => generation === NotificationService.generation;
+    let delay = RECONNECT_MIN_DELAY;
+
+    while (isCurrent()) {
+      const controller = new AbortController();
+      NotificationService.controller = controller;
+      try {
+        const token = await apiClient.getValidAccessToken();
+        // EventSource không gửi được header Authorization nên đọc luồng bằng fetch
+        const response = await fetch(`${API_URL}/notifications/stream`, {
+          headers: {
+            Accept: 'text/event-stream',
+            Authorization: `Bearer ${token}`,
+          },
+          signal: controller.signal,
+        });
+
+        if (response.status === 401 || response.status === 403) {
+          // Phiên đăng nhập hết hạn thì dừng kết nối, lỗi mạng khi refresh thì thử lại như bình thường
+          try {
+            await apiClient.refreshAccessToken();
+          } catch (refreshError) {
+            if (refreshError.code === 'SESSION_EXPIRED') return;
+            throw refreshError;
+          }
+        } else if (!response.ok || !response.body) {
+          throw new Error(`Notification stream failed with status ${response.status}`);
+        } else {
+          delay = RECONNECT_MIN_DELAY;
+          await NotificationService.readStream(response.body);
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Lỗi kết nối luồng thông báo:', err);
+      }
+
+      if (!isCurrent()) return;
+      await sleep(delay);
+      delay = Math.min(delay * 2, RECONNECT_MAX_DELAY);
+    }
+  }
+
+  static async readStream(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.map(parseEvent).filter(Boolean).forEach(NotificationService.handleEvent);
+    }
   }
 
-  static requestApproved(request) {
-    NotificationService.notify('success', 'Yêu cầu đã được duyệt', `Yêu cầu tư vấn của khách hàng ${request.client} đã được duyệt.`);
+  static handleEvent({ event, data }) {
+    try {
+      const payload = JSON.parse(data);
+      if (event === 'unread-count') {
+        NotificationService.emitChange({ unreadCount: payload.count });
+      } else if (event === 'notification') {
+        NotificationService.emitChange({ notification: payload });
+        NotificationService.notify(severityByType[payload.type] || 'info', payload.title, payload.message, payload.link);
+      }
+    } catch (err) {
+      console.error('Lỗi đọc thông báo:', err);
+    }
   }
 
-  static requestDenied(request) {
-    NotificationService.notify('warning', 'Yêu cầu bị từ chối', `Yêu cầu tư vấn của khách hàng ${request.client} đã bị từ chối.`);
+  static async getNotifications(unreadOnly = false) {
+    const response = await apiClient.get('/notifications', { params: { unreadOnly } });
+    return response.data;
   }
 
-  static meetingSoon(consultation) {
-    NotificationService.notify('info', 'Sắp đến giờ tư vấn', `Bạn có buổi tư vấn với ${consultation.client} lúc ${consultation.time}.`);
+  static async markAsRead(id) {
+    const response = await apiClient.put(`/notifications/${id}/read`);
+    return response.data;
   }
 
-  static requestCanceled(request) {
-    NotificationService.notify('error', 'Yêu cầu bị hủy', `Yêu cầu tư vấn của khách hàng ${request.client} đã bị hủy.`);
+  static async markAllAsRead() {
+    await apiClient.put('/notifications/read-all');
   }
 }
 
-export default NotificationService; 
\ No newline at end of file
+export default NotificationService;
@@ -0,0 +1,58 @@
+import apiClient from './apiService';
+
+// Định dạng được backend chấp nhận: video MP4/WebM/MOV (tối đa 200MB), tài liệu PDF/PPT/PPTX (tối đa 20MB)
+export const LESSON_MEDIA_ACCEPT = 'video/mp4,video/webm,video/quicktime,.pdf,.ppt,.pptx';
+
+export const LESSON_MEDIA_LABELS = {
+  YOUTUBE: 'Video YouTube',
+  VIDEO: 'Video tải lên',
+  DOCUMENT: 'Tài liệu PDF/slide'
+};
+
+/**
+ * Bài học là video YouTube: đã được nhận diện hoặc đường dẫn là link YouTube (giống cách backend nhận diện)
+ */
+export const isYoutubeLesson = (video) => (
+  video.mediaType ? video.mediaType === 'YOUTUBE' : /youtube\.com\/|youtu\.be\//i.test(video.videoUrl || '')
+);
+
+/**
+ * Bài học là video (YouTube, tệp tải lên hoặc link tệp video), không phải tài liệu PDF/slide
+ */
+export const isVideoLesson = (video) => (
+  video.mediaType
+    ? video.mediaType !== 'DOCUMENT'
+    : Boolean(video.videoUrl) && !/\.(pdf|pptx?|ppsx?)(\?.*)?$/i.test(video.videoUrl)
+);
+
+/**
+ * Tiến độ xem được tính theo thời lượng đã lưu: video tải lên lấy thời lượng từ kho lưu trữ,
+ * video YouTube hoặc link tệp video thì staff phải nhập
+ * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+ */
+export const validateLessonDurations = (modules) => {
+  for (const module of modules) {
+    const video = (module.videos || []).find(v => isVideoLesson(v) && !(Number(v.durationSeconds) > 0));
+    if (video) {
+      return `Vui lòng nhập thời lượng cho video${isYoutubeLesson(video) ? ' YouTube' : ''} "${video.title || video.videoUrl}"`;
+    }
+  }
+  return null;
+};
+
+export const formatLessonDuration = (seconds) => {
+  const total = Math.round(Number(seconds) || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Tải video hoặc tài liệu bài học lên kho lưu trữ của khóa học
+ * @param {File} file
+ * @returns {Promise<{url: string, mediaType: string, durationSeconds: number|null, fileName: string}>}
+ */
+export const uploadLessonMedia = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  const response = await apiClient.post('/staff/course/media', formData);
+  return response.data;
+};
@@ -1,5 +1,5 @@
-import axios from 'axios';
-import { API_URL } from '../services/config';
+import { isCancelledError } from '@dupss/api-client';
+import apiClient from '../services/apiService';
 
 /**
  * Xóa token khỏi localStorage và đăng xuất người dùng
@@ -11,7 +11,7 @@ export const logout = async (callback) => {
     
     if (accessToken) {
       // Gọi API logout - truyền accessToken trong request body
-      await axios.post(`${API_URL}/auth/logout`, { accessToken });
+      await apiClient.post('/auth/logout', { accessToken }, { skipAuth: true, retry: false });
     }
     
     // Logout from Google if needed
@@ -126,41 +126,45 @@ export const checkAndRefreshToken = async () => {
   if (!accessToken) return false;
   
   try {
-    // Kiểm tra token hiện tại
-    await axios.post(`${API_URL}/auth/me`, { accessToken });
+    // Kiểm tra token hiện tại, token hết hạn được apiClient làm mới tự động
+    await fetchCurrentUser();
     return true;
-  } catch (err) {
-    if (err.response && err.response.status === 401) {
-      // Token hết hạn, thử refresh
-      return await refreshAccessToken();
-    }
+  } catch {
     return false;
   }
 };
 
+/**
+ * Thông tin người dùng đang đăng nhập. Backend đọc token trong body nên body phải khớp token mới nhất:
+ * nếu token được làm mới trong lúc gửi (request bị 401 rồi gửi lại), gọi lại một lần với token mới.
+ * @param {Object} [config] - Config axios, ví dụ { signal }
+ * @returns {Promise<Object>} - Thông tin người dùng
+ */
+export const fetchCurrentUser = async (config = {}) => {
+  const postMe = async (accessToken) => (await apiClient.post('/auth/me', { accessToken }, config)).data;
+  const accessToken = await apiClient.getValidAccessToken();
+  try {
+    return await postMe(accessToken);
+  } catch (error) {
+    const currentToken = getAccessToken();
+    if (isCancelledError(error) || !currentToken || currentToken === accessToken) throw error;
+    return postMe(currentToken);
+  }
+};
+
 /**
  * Làm mới access token bằng refresh token
  * @returns {Promise<boolean>} - Promise trả về true nếu refresh thành công
  */
 export const refreshAccessToken = async () => {
-  const refreshToken = getRefreshToken();
-  
-  if (!refreshToken) return false;
-  
+  if (!getRefreshToken()) return false;
+
   try {
-    const response = await axios.post(`${API_URL}/auth/refresh-token`, {
-      refreshToken
-    });
-    
-    // Lưu token mới
-    localStorage.setItem('accessToken', response.data.accessToken);
+    // Dùng chung request refresh của apiClient để không gửi nhiều request refresh cùng lúc
+    await apiClient.refreshAccessToken();
     return true;
-  } catch (err) {
-    // Refresh token không hợp lệ hoặc hết hạn
-    // Chỉ xóa thông tin đăng nhập mà không chuyển hướng
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('userInfo');
+  } catch {
+    // apiClient đã xóa thông tin đăng nhập nếu refresh token không hợp lệ hoặc hết hạn
     return false;
   }
 };
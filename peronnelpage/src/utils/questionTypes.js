@@ -0,0 +1,107 @@
+/**
+ * Tiện ích cho các loại câu hỏi của khảo sát/bài kiểm tra (khớp với QuestionType ở backend)
+ */
+
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'SINGLE_CHOICE',
+  MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',
+  LIKERT: 'LIKERT',
+  NUMERIC: 'NUMERIC',
+  FREE_TEXT: 'FREE_TEXT'
+};
+
+export const QUESTION_TYPE_CHOICES = [
+  { value: QUESTION_TYPES.SINGLE_CHOICE, label: 'Chọn một đáp án' },
+  { value: QUESTION_TYPES.MULTIPLE_CHOICE, label: 'Chọn nhiều đáp án (cộng điểm)' },
+  { value: QUESTION_TYPES.LIKERT, label: 'Thang đo Likert' },
+  { value: QUESTION_TYPES.NUMERIC, label: 'Nhập số (chấm theo khoảng)' },
+  { value: QUESTION_TYPES.FREE_TEXT, label: 'Tự luận (không tính điểm)' }
+];
+
+// Thang Likert 5 mức mặc định khi chuyển câu hỏi sang loại LIKERT
+const LIKERT_DEFAULT_LEVELS = [
+  'Hoàn toàn không đồng ý',
+  'Không đồng ý',
+  'Trung lập',
+  'Đồng ý',
+  'Hoàn toàn đồng ý'
+];
+
+export const getQuestionType = (question) => question.questionType || QUESTION_TYPES.SINGLE_CHOICE;
+
+/**
+ * Đáp án trống theo loại câu hỏi; câu hỏi nhập số cần thêm khoảng giá trị
+ */
+export const createOption = (questionType) => ({
+  optionId: null,
+  optionText: '',
+  score: 0,
+  minValue: questionType === QUESTION_TYPES.NUMERIC ? 0 : null,
+  maxValue: questionType === QUESTION_TYPES.NUMERIC ? 0 : null
+});
+
+/**
+ * Đổi loại câu hỏi và điều chỉnh danh sách đáp án cho phù hợp
+ * @returns {Object} Câu hỏi mới
+ */
+export const changeQuestionType = (question, questionType) => {
+  let options = question.options || [];
+
+  if (questionType === QUESTION_TYPES.FREE_TEXT) {
+    options = [];
+  } else if (questionType === QUESTION_TYPES.LIKERT && options.length === 0) {
+    options = LIKERT_DEFAULT_LEVELS.map((label, index) => ({
+      ...createOption(questionType),
+      optionText: label,
+      score: index
+    }));
+  } else {
+    options = options.map(option => ({
+      ...option,
+      minValue: questionType === QUESTION_TYPES.NUMERIC ? (option.minValue ?? 0) : null,
+      maxValue: questionType === QUESTION_TYPES.NUMERIC ? (option.maxValue ?? 0) : null
+    }));
+  }
+
+  return { ...question, questionType, options };
+};
+
+/**
+ * Khoảng giá trị gửi lên API cho một đáp án
+ */
+export const toNumericBandRequest = (question, option) => (
+  getQuestionType(question) === QUESTION_TYPES.NUMERIC
+    ? { minValue: option.minValue, maxValue: option.maxValue }
+    : { minValue: null, maxValue: null }
+);
+
+/**
+ * Kiểm tra cấu hình câu hỏi trước khi lưu
+ * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+ */
+export const validateQuestionTypes = (sections) => {
+  for (const section of sections) {
+    for (const question of section.questions || []) {
+      const type = getQuestionType(question);
+      const options = question.options || [];
+
+      if (type !== QUESTION_TYPES.FREE_TEXT && options.length === 0) {
+        return `Câu hỏi "${question.questionText}" cần ít nhất một đáp án`;
+      }
+      if (type === QUESTION_TYPES.LIKERT && options.length < 2) {
+        return `Thang Likert của câu hỏi "${question.questionText}" cần ít nhất 2 mức`;
+      }
+      if (type === QUESTION_TYPES.NUMERIC) {
+        const invalid = options.find(option =>
+          option.minValue === null || option.minValue === '' ||
+          option.maxValue === null || option.maxValue === '' ||
+          Number(option.minValue) > Number(option.maxValue)
+        );
+        if (invalid) {
+          return `Khoảng giá trị của "${invalid.optionText}" trong câu hỏi "${question.questionText}" không hợp lệ`;
+        }
+      }
+    }
+  }
+  return null;
+};
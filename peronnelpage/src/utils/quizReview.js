@@ -0,0 +1,76 @@
+/**
+ * Giải thích và bài học liên quan của câu hỏi/đáp án quiz, hiển thị cho người học khi xem lại bài làm.
+ * Bài học được tham chiếu theo vị trí { moduleIndex, videoIndex } trong danh sách chương đang soạn
+ * (chương/bài học mới chưa có id); videoIndex null là tham chiếu cả chương.
+ */
+
+export const toReferenceKey = (reference) => {
+  if (!reference || reference.moduleIndex === null || reference.moduleIndex === undefined) return '';
+  return reference.videoIndex === null || reference.videoIndex === undefined
+    ? `${reference.moduleIndex}`
+    : `${reference.moduleIndex}-${reference.videoIndex}`;
+};
+
+export const fromReferenceKey = (key) => {
+  if (!key) return null;
+  const [moduleIndex, videoIndex] = key.split('-').map(Number);
+  return { moduleIndex, videoIndex: Number.isInteger(videoIndex) ? videoIndex : null };
+};
+
+// Chương/bài học được tham chiếu có thể đã bị xóa khỏi form
+const isValidReference = (reference, modules) => {
+  const module = reference && modules[reference.moduleIndex];
+  if (!module) return false;
+  return reference.videoIndex === null || Boolean((module.videos || [])[reference.videoIndex]);
+};
+
+/**
+ * Giá trị của ô chọn bài học, rỗng nếu tham chiếu không còn hợp lệ
+ */
+export const referenceKeyOf = (reference, modules) => (
+  isValidReference(reference, modules) ? toReferenceKey(reference) : ''
+);
+
+/**
+ * Các lựa chọn bài học liên quan: từng chương, sau mỗi chương là các bài học của chương đó
+ */
+export const getLessonReferenceChoices = (modules) => modules.flatMap((module, moduleIndex) => [
+  {
+    value: `${moduleIndex}`,
+    label: `Chương ${moduleIndex + 1}: ${module.title || '(chưa đặt tên)'}`,
+    isModule: true
+  },
+  ...(module.videos || []).map((video, videoIndex) => ({
+    value: `${moduleIndex}-${videoIndex}`,
+    label: `Bài ${videoIndex + 1}: ${video.title || '(chưa đặt tên)'}`,
+    isModule: false
+  }))
+]);
+
+/**
+ * Tham chiếu gửi kèm JSON quiz
+ */
+export const toLessonReferenceRequest = (reference, modules) => (
+  isValidReference(reference, modules)
+    ? { moduleIndex: reference.moduleIndex, videoIndex: reference.videoIndex }
+    : null
+);
+
+/**
+ * Chuyển id chương/bài học API trả về thành vị trí trong danh sách chương của form sửa khóa học
+ */
+export const fromReferenceIds = (modules, moduleId, videoId) => {
+  for (let moduleIndex = 0; moduleIndex < modules.length; moduleIndex++) {
+    const videoIndex = (modules[moduleIndex].videos || []).findIndex(video => video.videoModuleId === videoId);
+    if (videoId && videoIndex !== -1) return { moduleIndex, videoIndex };
+  }
+  const moduleIndex = modules.findIndex(module => module.courseModuleId === moduleId);
+  return moduleId && moduleIndex !== -1 ? { moduleIndex, videoIndex: null } : null;
+};
+
+/**
+ * Tra giải thích của câu hỏi (optionId bỏ trống) hoặc đáp án trong danh sách quizExplanations API trả về
+ */
+export const findQuizExplanation = (explanations) => (questionId, optionId = null) => (
+  (explanations || []).find(item => item.questionId === questionId && (item.optionId ?? null) === optionId) || {}
+);
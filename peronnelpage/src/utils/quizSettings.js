@@ -0,0 +1,63 @@
+/**
+ * Cấu hình lượt làm bài của bài kiểm tra khóa học: giới hạn thời gian, số lượt làm, thời gian chờ giữa hai lượt,
+ * xáo trộn đáp án và số câu rút ngẫu nhiên từ ngân hàng câu hỏi của mỗi section.
+ * Ô để trống nghĩa là không giới hạn (hoặc dùng mọi câu hỏi của section).
+ */
+
+export const EMPTY_QUIZ_SETTINGS = {
+  timeLimitMinutes: '',
+  maxAttempts: '',
+  attemptCooldownMinutes: '',
+  shuffleOptions: false
+};
+
+const toOptionalInteger = (value) => (
+  value === '' || value === null || value === undefined ? null : parseInt(value, 10)
+);
+
+/**
+ * Cấu hình lượt làm bài từ bài kiểm tra API trả về, để hiển thị trên form
+ */
+export const fromQuizResponse = (quiz) => ({
+  timeLimitMinutes: quiz?.timeLimitMinutes ?? '',
+  maxAttempts: quiz?.maxAttempts ?? '',
+  attemptCooldownMinutes: quiz?.attemptCooldownMinutes ?? '',
+  shuffleOptions: Boolean(quiz?.shuffleOptions)
+});
+
+/**
+ * Các trường cấu hình gửi kèm JSON bài kiểm tra
+ */
+export const toQuizSettingsRequest = (quiz) => ({
+  timeLimitMinutes: toOptionalInteger(quiz.timeLimitMinutes),
+  maxAttempts: toOptionalInteger(quiz.maxAttempts),
+  attemptCooldownMinutes: toOptionalInteger(quiz.attemptCooldownMinutes),
+  shuffleOptions: Boolean(quiz.shuffleOptions)
+});
+
+export const toDrawCountRequest = (section) => toOptionalInteger(section.drawCount);
+
+/**
+ * Kiểm tra cấu hình lượt làm bài trước khi lưu
+ * @returns {string|null} Thông báo lỗi hoặc null nếu hợp lệ
+ */
+export const validateQuizSettings = (quiz) => {
+  const { timeLimitMinutes, maxAttempts, attemptCooldownMinutes } = toQuizSettingsRequest(quiz);
+  if (timeLimitMinutes !== null && !(timeLimitMinutes >= 1)) {
+    return 'Thời gian làm bài phải từ 1 phút trở lên';
+  }
+  if (maxAttempts !== null && !(maxAttempts >= 1)) {
+    return 'Số lượt làm bài tối đa phải từ 1 trở lên';
+  }
+  if (attemptCooldownMinutes !== null && !(attemptCooldownMinutes >= 0)) {
+    return 'Thời gian chờ giữa hai lượt làm bài không được âm';
+  }
+  for (const section of quiz.sections || []) {
+    const drawCount = toDrawCountRequest(section);
+    const questionCount = (section.questions || []).length;
+    if (drawCount !== null && !(drawCount >= 1 && drawCount <= questionCount)) {
+      return `Số câu rút ngẫu nhiên của phần "${section.sectionName}" phải từ 1 đến ${questionCount}`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,108 @@
+/**
+ * Tiện ích cho luật rẽ nhánh của khảo sát (chuyển tới section khác hoặc kết thúc sau một đáp án)
+ * Trong state của trình soạn thảo, đích rẽ nhánh được lưu bằng vị trí section (targetSectionIndex)
+ * vì section mới chưa có ID cho tới khi lưu.
+ */
+
+export const BRANCH_NEXT_SECTION = 'NEXT_SECTION';
+export const BRANCH_GO_TO_SECTION = 'GO_TO_SECTION';
+export const BRANCH_END_SURVEY = 'END_SURVEY';
+
+const SECTION_VALUE_PREFIX = 'section-';
+
+/**
+ * Giá trị cho ô chọn "Sau khi chọn" của một đáp án
+ * @param {Object} option - Đáp án trong state của trình soạn thảo
+ * @returns {string}
+ */
+export const getBranchSelectValue = (option) => {
+  if (option.branchAction === BRANCH_GO_TO_SECTION && option.targetSectionIndex != null) {
+    return `${SECTION_VALUE_PREFIX}${option.targetSectionIndex}`;
+  }
+  return option.branchAction === BRANCH_END_SURVEY ? BRANCH_END_SURVEY : BRANCH_NEXT_SECTION;
+};
+
+/**
+ * Chuyển giá trị của ô chọn thành các trường lưu trong đáp án
+ * @param {string} value - Giá trị từ getBranchSelectValue
+ * @returns {{branchAction: string, targetSectionIndex: number|null}}
+ */
+export const parseBranchSelectValue = (value) => {
+  if (value.startsWith(SECTION_VALUE_PREFIX)) {
+    return {
+      branchAction: BRANCH_GO_TO_SECTION,
+      targetSectionIndex: parseInt(value.slice(SECTION_VALUE_PREFIX.length), 10)
+    };
+  }
+  return { branchAction: value, targetSectionIndex: null };
+};
+
+/**
+ * Danh sách lựa chọn rẽ nhánh cho đáp án thuộc section sectionIndex.
+ * Chỉ cho phép chuyển tới các section phía sau để khảo sát không quay vòng.
+ */
+export const getBranchChoices = (sections, sectionIndex) => [
+  { value: BRANCH_NEXT_SECTION, label: 'Tiếp tục phần kế tiếp' },
+  ...sections
+    .map((section, index) => ({
+      value: `${SECTION_VALUE_PREFIX}${index}`,
+      label: `Chuyển tới phần ${index + 1}${section.sectionName ? `: ${section.sectionName}` : ''}`,
+      index
+    }))
+    .filter(choice => choice.index > sectionIndex)
+    .map(({ value, label }) => ({ value, label })),
+  { value: BRANCH_END_SURVEY, label: 'Kết thúc khảo sát' }
+];
+
+/**
+ * Cập nhật đích rẽ nhánh sau khi xóa một section: đáp án trỏ tới section bị xóa quay về mặc định,
+ * các đích phía sau lùi lại một vị trí.
+ */
+export const remapBranchTargetsAfterDelete = (sections, deletedIndex) =>
+  sections.map(section => ({
+    ...section,
+    questions: (section.questions || []).map(question => ({
+      ...question,
+      options: (question.options || []).map(option => {
+        if (option.branchAction !== BRANCH_GO_TO_SECTION || option.targetSectionIndex == null) {
+          return option;
+        }
+        if (option.targetSectionIndex === deletedIndex) {
+          return { ...option, branchAction: BRANCH_NEXT_SECTION, targetSectionIndex: null };
+        }
+        if (option.targetSectionIndex > deletedIndex) {
+          return { ...option, targetSectionIndex: option.targetSectionIndex - 1 };
+        }
+        return option;
+      })
+    }))
+  }));
+
+/**
+ * Các trường rẽ nhánh gửi lên API khi tạo/cập nhật khảo sát
+ */
+export const toBranchRequest = (option) => {
+  const branchAction = option.branchAction || BRANCH_NEXT_SECTION;
+  return {
+    branchAction,
+    targetSectionIndex: branchAction === BRANCH_GO_TO_SECTION ? option.targetSectionIndex : null
+  };
+};
+
+/**
+ * Đọc luật rẽ nhánh từ response của API (đích theo ID section) về dạng vị trí section
+ * @param {Object} option - Đáp án từ API
+ * @param {Array} sections - Danh sách section từ API theo đúng thứ tự
+ */
+export const fromBranchResponse = (option, sections) => {
+  if (option.branchAction !== BRANCH_GO_TO_SECTION) {
+    return {
+      branchAction: option.branchAction === BRANCH_END_SURVEY ? BRANCH_END_SURVEY : BRANCH_NEXT_SECTION,
+      targetSectionIndex: null
+    };
+  }
+  const targetSectionIndex = sections.findIndex(section => section.id === option.targetSectionId);
+  return targetSectionIndex === -1
+    ? { branchAction: BRANCH_NEXT_SECTION, targetSectionIndex: null }
+    : { branchAction: BRANCH_GO_TO_SECTION, targetSectionIndex };
+};
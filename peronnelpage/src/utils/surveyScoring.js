@@ -0,0 +1,69 @@
+/**
+ * Tiện ích cho điều kiện đánh giá (khoảng điểm, mức nguy cơ) và hệ số câu hỏi của khảo sát.
+ * Việc chấm điểm và phát hiện khoảng điểm chồng lấn/bỏ sót do SurveyScoring ở backend đảm nhận.
+ */
+
+// Toán tử khoảng: value là cận dưới, maxValue là cận trên (đều bao gồm)
+export const OPERATOR_RANGE = 'RANGE';
+
+export const CONDITION_OPERATOR_CHOICES = [
+  { value: OPERATOR_RANGE, label: 'Trong khoảng' },
+  { value: '<', label: '<' },
+  { value: '>', label: '>' },
+  { value: '=', label: '=' },
+  { value: '<=', label: '<=' },
+  { value: '>=', label: '>=' }
+];
+
+export const RISK_LEVEL_CHOICES = [
+  { value: '', label: 'Chưa phân mức' },
+  { value: 'LOW', label: 'Nguy cơ thấp' },
+  { value: 'MODERATE', label: 'Nguy cơ trung bình' },
+  { value: 'HIGH', label: 'Nguy cơ cao' }
+];
+
+// Thời gian chờ sau lần chỉnh sửa cuối trước khi gọi API kiểm tra khoảng điểm
+export const SCORING_CHECK_DELAY = 600;
+
+export const createCondition = () => ({
+  conditionId: null,
+  message: '',
+  operator: OPERATOR_RANGE,
+  value: 0,
+  maxValue: 0,
+  riskLevel: ''
+});
+
+/**
+ * Đổi toán tử của điều kiện, tự điền cận trên khi chuyển sang dạng khoảng
+ * @returns {Object} Điều kiện mới
+ */
+export const changeConditionOperator = (condition, operator) => ({
+  ...condition,
+  operator,
+  maxValue: operator === OPERATOR_RANGE ? (condition.maxValue ?? condition.value) : null
+});
+
+// Dữ liệu điều kiện từ API (GET khảo sát) sang state của form
+export const fromConditionResponse = (condition) => ({
+  conditionId: condition.conditionId || condition.id || null,
+  message: condition.message,
+  operator: condition.operator,
+  value: condition.value,
+  maxValue: condition.maxValue ?? null,
+  riskLevel: condition.riskLevel || ''
+});
+
+export const toConditionRequest = (condition) => ({
+  conditionId: condition.conditionId || null,
+  operator: condition.operator,
+  value: condition.value,
+  maxValue: condition.operator === OPERATOR_RANGE ? condition.maxValue : null,
+  riskLevel: condition.riskLevel || null,
+  message: condition.message
+});
+
+export const getQuestionWeight = (question) => question.weight ?? 1;
+
+// Hệ số gửi lên API: số nguyên từ 1 trở lên
+export const parseQuestionWeight = (value) => Math.max(1, parseInt(value, 10) || 1);
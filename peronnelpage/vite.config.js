@@ -16,15 +16,26 @@
 //   }
 // })
 // deloy
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath, URL } from 'node:url'
+import process from 'node:process'
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      // Client gọi API dùng chung với ứng dụng còn lại, nằm ở thư mục shared/ của repo
+      '@dupss/api-client': fileURLToPath(new URL('../shared/api-client/index.js', import.meta.url))
+    }
+  },
   server: {
     host: true, // Cho phép nhận kết nối từ bên ngoài (IP/domain)
     port: 3000, // Đảm bảo Vite chạy đúng cổng bạn dùng
     allowedHosts: ['admin.dupssapp.id.vn'], // Chỉ cho phép domain admin truy cập
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), '../shared']
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:8080', // Proxy sang backend
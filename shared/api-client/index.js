@@ -0,0 +1,290 @@
+/**
+ * @dupss/api-client - Client gọi API dùng chung cho frontend-dupss và peronnelpage
+ *
+ * - Tự gắn header Authorization từ token đang lưu
+ * - Làm mới token một lần duy nhất dù nhiều request cùng gặp 401 (single-flight)
+ * - Thử lại có giãn cách (backoff) với request không làm thay đổi dữ liệu khi lỗi mạng hoặc 408/429/502/503/504
+ * - Hủy request bằng AbortController (truyền signal), request đã hủy không được thử lại
+ * - Mọi lỗi được chuẩn hóa thành ApiError
+ *
+ * Module không import axios mà nhận instance axios của từng ứng dụng qua tham số.
+ */
+
+const ACCESS_TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Làm mới token trước khi hết hạn 30 giây
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+// Chỉ tự thử lại các method không làm thay đổi dữ liệu, method khác bật bằng config.retry
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+const DEFAULT_RETRY = { retries: 2, baseDelay: 500, maxDelay: 4000 };
+
+const DEFAULT_ERROR_MESSAGE = 'Đã xảy ra lỗi, vui lòng thử lại sau.';
+const NETWORK_ERROR_MESSAGE = 'Không thể kết nối đến server. Vui lòng kiểm tra kết nối mạng.';
+const TIMEOUT_ERROR_MESSAGE = 'Máy chủ phản hồi quá lâu. Vui lòng thử lại sau.';
+const SESSION_EXPIRED_MESSAGE = 'Phiên đăng nhập đã hết hạn. Vui lòng đăng nhập lại.';
+const CANCELLED_MESSAGE = 'Yêu cầu đã bị hủy.';
+
+/**
+ * Lỗi đã chuẩn hóa của mọi request.
+ * Giữ lại response/config gốc để code cũ đọc error.response?.data vẫn hoạt động.
+ */
+export class ApiError extends Error {
+  constructor(message, {
+    status = null,
+    code = null,
+    data = null,
+    isNetworkError = false,
+    isCancelled = false,
+    response,
+    config,
+    cause
+  } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.isNetworkError = isNetworkError;
+    this.isCancelled = isCancelled;
+    this.response = response;
+    this.config = config;
+    this.cause = cause;
+  }
+}
+
+const isCancel = (error) =>
+  error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError' || error?.name === 'AbortError';
+
+const cancelledError = (config, cause) =>
+  new ApiError(CANCELLED_MESSAGE, { code: 'CANCELLED', isCancelled: true, config, cause });
+
+/**
+ * Chuyển lỗi axios/fetch bất kỳ thành ApiError
+ * @param {*} error
+ * @returns {ApiError}
+ */
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) return error;
+  if (isCancel(error)) return cancelledError(error.config, error);
+
+  const response = error?.response;
+  if (!response) {
+    const timedOut = error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT';
+    return new ApiError(timedOut ? TIMEOUT_ERROR_MESSAGE : NETWORK_ERROR_MESSAGE, {
+      code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR',
+      isNetworkError: true,
+      config: error?.config,
+      cause: error
+    });
+  }
+
+  // Backend trả về ErrorResponse { status, error, message, path } hoặc chuỗi thông báo
+  const data = response.data;
+  const message = (typeof data === 'string' && data.trim())
+    || data?.message
+    || DEFAULT_ERROR_MESSAGE;
+  return new ApiError(message, {
+    status: response.status,
+    code: `HTTP_${response.status}`,
+    data,
+    response,
+    config: error.config,
+    cause: error
+  });
+};
+
+export const isCancelledError = (error) => error instanceof ApiError ? error.isCancelled : isCancel(error);
+
+// Token lưu trong localStorage, dùng chung key với cả hai ứng dụng
+export const localStorageTokenStore = {
+  getAccessToken: () => localStorage.getItem(ACCESS_TOKEN_KEY),
+  getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+  setTokens: ({ accessToken, refreshToken }) => {
+    if (accessToken) localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  },
+  clear: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+};
+
+// Thời điểm hết hạn (ms) trong JWT, null nếu không đọc được
+const getTokenExpiry = (token) => {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(atob(base64));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+const isNearExpiry = (token) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && Date.now() > expiry - EXPIRY_MARGIN_MS;
+};
+
+const wait = (ms, signal, config) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelledError(config));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(cancelledError(config));
+  }, { once: true });
+});
+
+/**
+ * Tạo axios instance dùng chung cấu hình
+ *
+ * @param {Object} options
+ * @param {Object} options.axios - Module axios của ứng dụng
+ * @param {string} options.baseURL - URL gốc của API, ví dụ https://api.dupssapp.id.vn/api
+ * @param {Object} [options.tokenStore] - Nơi đọc/ghi token, mặc định localStorage
+ * @param {string} [options.refreshPath] - Endpoint làm mới token
+ * @param {Function} [options.onSessionExpired] - Gọi một lần khi refresh token không còn hợp lệ
+ * @param {Object} [options.retry] - { retries, baseDelay, maxDelay }
+ * @param {Object} [options.headers] - Header mặc định
+ * @returns {Object} axios instance có thêm refreshAccessToken() và getValidAccessToken()
+ *
+ * Config riêng cho từng request:
+ * - signal: AbortSignal để hủy request (ví dụ khi component unmount)
+ * - retry: false để tắt thử lại, hoặc số lần thử lại (bật cho cả POST/PUT/PATCH/DELETE)
+ * - skipAuth: true để không gắn token (login, đăng ký...)
+ */
+export const createApiClient = ({
+  axios,
+  baseURL,
+  tokenStore = localStorageTokenStore,
+  refreshPath = '/auth/refresh-token',
+  onSessionExpired,
+  retry = {},
+  headers = {}
+}) => {
+  const retryOptions = { ...DEFAULT_RETRY, ...retry };
+  const client = axios.create({ baseURL, headers });
+  let refreshPromise = null;
+
+  const expireSession = () => {
+    tokenStore.clear();
+    if (onSessionExpired) onSessionExpired();
+  };
+
+  const requestNewToken = async () => {
+    const refreshToken = tokenStore.getRefreshToken();
+    if (!refreshToken) {
+      throw new ApiError(SESSION_EXPIRED_MESSAGE, { status: 401, code: 'SESSION_EXPIRED' });
+    }
+    // Gọi bằng axios gốc để không đi qua interceptor của client
+    const response = await axios.post(`${baseURL}${refreshPath}`, { refreshToken });
+    tokenStore.setTokens(response.data);
+    return response.data.accessToken;
+  };
+
+  /**
+   * Làm mới access token. Các lời gọi đồng thời dùng chung một request refresh.
+   * Refresh token bị từ chối thì xóa phiên và gọi onSessionExpired; lỗi mạng thì giữ nguyên phiên.
+   * @returns {Promise<string>} access token mới
+   */
+  const refreshAccessToken = () => {
+    if (!refreshPromise) {
+      refreshPromise = requestNewToken()
+        .catch(error => {
+          const normalized = normalizeError(error);
+          if (normalized.code === 'SESSION_EXPIRED' || (normalized.status >= 400 && normalized.status < 500)) {
+            expireSession();
+            throw new ApiError(SESSION_EXPIRED_MESSAGE, { status: 401, code: 'SESSION_EXPIRED', cause: error });
+          }
+          throw normalized;
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+  };
+
+  /**
+   * Access token còn hạn (làm mới trước nếu sắp hết hạn) cho request không đi qua axios như fetch streaming, SSE
+   * @returns {Promise<string|null>}
+   */
+  const getValidAccessToken = async () => {
+    const token = tokenStore.getAccessToken();
+    if (!token || !isNearExpiry(token)) return token;
+    try {
+      return await refreshAccessToken();
+    } catch {
+      return tokenStore.getAccessToken();
+    }
+  };
+
+  const shouldRetry = (error, config) => {
+    if (isCancel(error) || config.retry === false) return false;
+
+    const method = (config.method || 'get').toLowerCase();
+    const maxRetries = typeof config.retry === 'number' ? config.retry : retryOptions.retries;
+    if (typeof config.retry !== 'number' && !IDEMPOTENT_METHODS.includes(method)) return false;
+    if ((config._retryCount || 0) >= maxRetries) return false;
+
+    const status = error.response?.status;
+    return !error.response || RETRYABLE_STATUSES.includes(status);
+  };
+
+  // Giãn cách tăng gấp đôi sau mỗi lần thử, có nhiễu ngẫu nhiên; tôn trọng Retry-After của server
+  const getRetryDelay = (error, attempt) => {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, retryOptions.maxDelay);
+    const delay = Math.min(retryOptions.baseDelay * 2 ** (attempt - 1), retryOptions.maxDelay);
+    return delay / 2 + Math.random() * (delay / 2);
+  };
+
+  client.interceptors.request.use(async config => {
+    if (config.skipAuth) return config;
+
+    let token = tokenStore.getAccessToken();
+    if (token && isNearExpiry(token)) {
+      try {
+        token = await refreshAccessToken();
+      } catch {
+        token = tokenStore.getAccessToken();
+      }
+    }
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(
+    response => response,
+    async error => {
+      const config = error.config;
+      if (!config) throw normalizeError(error);
+
+      // Chỉ refresh khi request đã gửi kèm token, 401 của request không đăng nhập (sai mật khẩu...) trả về ngay
+      if (error.response?.status === 401 && config.headers?.Authorization && !config._authRetried) {
+        config._authRetried = true;
+        await refreshAccessToken();
+        return client(config);
+      }
+
+      if (shouldRetry(error, config)) {
+        config._retryCount = (config._retryCount || 0) + 1;
+        await wait(getRetryDelay(error, config._retryCount), config.signal, config);
+        return client(config);
+      }
+
+      throw normalizeError(error);
+    }
+  );
+
+  client.refreshAccessToken = refreshAccessToken;
+  client.getValidAccessToken = getValidAccessToken;
+  return client;
+};